@@ -1,12 +1,51 @@
-import { Category } from '../models/index.js';
+import { Category, Sku } from '../models/index.js';
 import { logAudit } from '../utils/auditLogger.js';
+import { recordStockMovement } from '../utils/stockLedger.js';
+import { getReservedQuantities, describeAvailability } from '../utils/stockReservations.js';
+import { findOrCreateDefaultSku } from '../utils/skus.js';
+import { getLocationBalances, getInTransitQuantities, resolveStockLocation } from '../utils/stockLocations.js';
 
 export const getAllCategories = async (req, res) => {
     try {
-        const categories = await Category.findAll({
-            order: [['createdAt', 'ASC']]
-        });
-        res.json(categories);
+        const [categories, reserved, balances, inTransit] = await Promise.all([
+            Category.findAll({
+                include: [{ model: Sku, as: 'Skus', required: false }],
+                order: [
+                    ['createdAt', 'ASC'],
+                    [{ model: Sku, as: 'Skus' }, 'is_default', 'DESC'],
+                    [{ model: Sku, as: 'Skus' }, 'name', 'ASC']
+                ]
+            }),
+            getReservedQuantities(),
+            getLocationBalances(),
+            getInTransitQuantities()
+        ]);
+
+        // On hand is `quantity`, the total of the category's SKUs across locations; stock held
+        // for endorsed requests is not available to others, and stock in transit between
+        // locations isn't on hand anywhere yet
+        res.json(categories.map(category => {
+            const { Skus: categorySkus, ...data } = category.toJSON();
+            const skus = categorySkus.map(sku => {
+                const { reserved: reservedQuantity, available } = describeAvailability(sku, reserved.get(sku.id) || 0);
+                return {
+                    ...sku,
+                    reserved_quantity: reservedQuantity,
+                    available_quantity: available,
+                    balances: balances.get(sku.id) || [],
+                    in_transit_quantity: inTransit.get(sku.id) || 0
+                };
+            });
+            const reservedTotal = skus.reduce((sum, sku) => sum + sku.reserved_quantity, 0);
+            const { reserved: reservedQuantity, available } = describeAvailability(category, reservedTotal);
+            return {
+                ...data,
+                skus,
+                reserved_quantity: reservedQuantity,
+                available_quantity: available,
+                in_transit_quantity: skus.reduce((sum, sku) => sum + sku.in_transit_quantity, 0)
+            };
+        }));
     } catch (error) {
         console.error('Error fetching categories:', error);
         res.status(500).json({ message: 'Error fetching categories' });
@@ -15,7 +54,7 @@ export const getAllCategories = async (req, res) => {
 
 export const createCategory = async (req, res) => {
     try {
-        const { name, description, quantity, min_stock_level, track_stock, purposes } = req.body;
+        const { name, description, quantity, min_stock_level, unit, track_stock, purposes, location_id } = req.body;
 
         // Check if exists
         const existing = await Category.findOne({ where: { name } });
@@ -23,15 +62,46 @@ export const createCategory = async (req, res) => {
             return res.status(409).json({ message: 'Category already exists' });
         }
 
+        let location;
+        try {
+            location = await resolveStockLocation(location_id);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+
         const category = await Category.create({
             name,
             description,
-            quantity: quantity || 0,
-            min_stock_level: min_stock_level || 5,
+            quantity: 0,
             track_stock: track_stock !== undefined ? track_stock : true,
             purposes: purposes || [],
             stock_updated_at: new Date()
         });
+
+        // A stock-tracked category starts with its default SKU; starting stock goes
+        // through the ledger like any other change
+        if (category.track_stock) {
+            const sku = await Sku.create({
+                category_id: category.id,
+                name: category.name,
+                description: category.description,
+                unit: unit || 'pcs',
+                min_stock_level: min_stock_level !== undefined && min_stock_level !== '' ? parseInt(min_stock_level) : 5,
+                is_default: true
+            });
+
+            const initialQuantity = parseInt(quantity) || 0;
+            if (initialQuantity > 0) {
+                await recordStockMovement({
+                    sku,
+                    type: 'opening_balance',
+                    quantity: initialQuantity,
+                    location,
+                    user: req.user
+                });
+                await category.reload();
+            }
+        }
         // Audit Log
         await logAudit({
             req,
@@ -51,10 +121,11 @@ export const createCategory = async (req, res) => {
     }
 };
 
+// Stock levels are kept per SKU; see skuController
 export const updateCategory = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, description, is_active, quantity, min_stock_level, track_stock, purposes } = req.body;
+        const { name, description, is_active, track_stock, purposes } = req.body;
 
         const category = await Category.findByPk(id);
         if (!category) {
@@ -63,43 +134,36 @@ export const updateCategory = async (req, res) => {
 
         const oldCategory = {
             name: category.name,
-            quantity: category.quantity
+            track_stock: category.track_stock
         };
 
-        const newQuantity = quantity !== undefined ? parseInt(quantity) : category.quantity;
-        const stockUpdated = quantity !== undefined && parseInt(quantity) !== category.quantity;
-
-        // Prepare updates
-        const updates = {
+        await category.update({
             name,
             description,
             is_active,
-            quantity: newQuantity,
-            min_stock_level: min_stock_level !== undefined ? min_stock_level : category.min_stock_level,
             track_stock: track_stock !== undefined ? track_stock : category.track_stock,
             purposes: purposes !== undefined ? purposes : category.purposes
-        };
+        });
 
-        if (stockUpdated) {
-            updates.stock_updated_at = new Date();
+        // The default SKU is named after its category, so it follows a rename
+        if (oldCategory.name !== category.name) {
+            await Sku.update(
+                { name: category.name },
+                { where: { category_id: category.id, is_default: true, name: oldCategory.name } }
+            );
+        }
+        if (category.track_stock && !oldCategory.track_stock) {
+            await findOrCreateDefaultSku(category);
         }
-
-        await category.update(updates);
 
         // Audit Log for Inventory Changes
         const changes = [];
         if (oldCategory.name !== category.name) {
             changes.push(`Name changed from '${oldCategory.name}' to '${category.name}'`);
         }
-        if (oldCategory.quantity !== category.quantity) {
-            changes.push(`Quantity changed from ${oldCategory.quantity} to ${category.quantity}`);
+        if (oldCategory.track_stock !== category.track_stock) {
+            changes.push(`Stock tracking turned ${category.track_stock ? 'on' : 'off'}`);
         }
-
-        // Check for specific purposes changes
-        const oldPurposes = JSON.stringify(category._previousDataValues?.purposes || []);
-        // Note: Sequelize tracking might be tricky here depending on instance state.
-        // Better to check against what we fetched? But we didn't save old purposes explicitly above.
-        // Let's assume for now if 'purposes' was in req.body it triggered this.
         if (purposes !== undefined) {
             changes.push(`Specific purposes updated`);
         }
@@ -1,10 +1,26 @@
 import { Op } from 'sequelize';
 import { validationResult } from 'express-validator';
-import { Request, RequestItem, Approval, User, Department, Category, AuditLog, ApprovalMatrix, sequelize } from '../models/index.js';
+import { Request, RequestItem, Approval, User, Department, AuditLog, ApprovalMatrix, StockReservation, Asset, PurchaseRequisition, PurchaseRequisitionItem, ItemQuotation, Vendor, sequelize } from '../models/index.js';
 
-import { processWorkflowOnSubmit, findCurrentStepForApprover, processWorkflowOnApproval, checkStepCompletion } from '../utils/workflowProcessor.js';
+import { processWorkflowOnSubmit, findCurrentStepForApprover, processWorkflowOnApproval, checkStepCompletion, findDelegatorForStep, getPrincipalApprovers, buildConditionContext, getActiveStepIds, getApproverIdsForSteps, describeParallelBranches } from '../utils/workflowProcessor.js';
 import { logAudit, calculateChanges } from '../utils/auditLogger.js';
 import emailService from '../utils/emailService.js';
+import { runBulkAction, summarizeBulkResults } from '../utils/bulkActions.js';
+import { claimVersion, isStaleVersion, parseVersion, MISSING_VERSION_MESSAGE, STALE_VERSION_MESSAGE } from '../utils/requestVersion.js';
+import { recordStockMovement } from '../utils/stockLedger.js';
+import { resolveItemStock, resolveRequestItemSkuIds } from '../utils/skus.js';
+import { planSourceLocations } from '../utils/stockLocations.js';
+import { canViewItemRequest } from '../utils/requestAccess.js';
+import {
+    syncRequestReservations,
+    releaseRequestReservations,
+    getDeploymentShortages,
+    getDeployedItemIds,
+    consumeRequestReservations
+} from '../utils/stockReservations.js';
+import { registerDeployedAssets, returnItemAssets, getOutstandingItemAssets } from '../utils/assetRegistry.js';
+import { validateReplacedAssets, flagReplacedAssets } from '../utils/assetCustody.js';
+import { approvePurchaseRequisition, getUncoveredPurchaseItems } from '../utils/purchaseRequisitions.js';
 
 // Generate sequential reference ID (ITR-MMDD-00001 or TMP-ITR-MMDD-00001)
 export async function generateReferenceId(isTemporary = false) {
@@ -60,6 +76,384 @@ function buildOrderClause(sortBy, sortOrder) {
     }
 }
 
+// Associations loaded for the request detail view
+const REQUEST_DETAIL_INCLUDE = [
+    {
+        model: User,
+        as: 'Requestor',
+        attributes: ['id', 'username', 'first_name', 'last_name', 'email', 'title', 'phone']
+    },
+    {
+        model: Department,
+        as: 'Department',
+        attributes: ['id', 'name', 'description']
+    },
+    {
+        model: RequestItem,
+        as: 'Items',
+        include: [{
+            model: StockReservation,
+            as: 'Reservations',
+            where: { status: { [Op.ne]: 'released' } },
+            required: false,
+            attributes: ['id', 'status', 'quantity']
+        }, {
+            model: Asset,
+            as: 'ReplacedAsset',
+            attributes: ['id', 'asset_tag', 'model', 'serial_number', 'status', 'custodian_name']
+        }, {
+            model: PurchaseRequisitionItem,
+            as: 'PurchaseRequisitionLine',
+            attributes: ['id', 'quantity', 'quantity_received'],
+            include: [{
+                model: PurchaseRequisition,
+                as: 'PurchaseRequisition',
+                attributes: ['id', 'pr_number', 'status', 'vendor_name']
+            }]
+        }, {
+            model: ItemQuotation,
+            as: 'Quotations',
+            include: [{
+                model: Vendor,
+                as: 'Vendor',
+                attributes: ['id', 'name', 'accreditation_expires_on', 'payment_terms']
+            }, {
+                model: User,
+                as: 'SelectedBy',
+                attributes: ['id', 'first_name', 'last_name']
+            }]
+        }]
+    },
+    {
+        model: Approval,
+        as: 'Approvals',
+        include: [{
+            model: User,
+            as: 'Approver',
+            attributes: ['id', 'username', 'first_name', 'last_name', 'role', 'title'],
+            include: [{
+                model: Department,
+                as: 'Department',
+                attributes: ['id', 'name']
+            }]
+        }, {
+            model: User,
+            as: 'DelegateFor',
+            attributes: ['id', 'username', 'first_name', 'last_name', 'title']
+        }]
+    }
+];
+
+// Tell the Service Desk which replaced assets to collect
+async function notifyReturnTasks(tasks, request) {
+    const serviceDesk = await User.findAll({
+        where: { role: 'service_desk', is_active: true },
+        attributes: ['id', 'username', 'email', 'first_name', 'last_name', 'notification_preferences']
+    });
+
+    for (const task of tasks) {
+        const equipment = {
+            assetTag: task.Asset.asset_tag,
+            model: task.Asset.model,
+            serialNumber: task.Asset.serial_number,
+            fromCustodian: task.custodian_name
+        };
+        for (const recipient of serviceDesk) {
+            try {
+                await emailService.notifyAssetReturnRequested(equipment, request, recipient);
+            } catch (error) {
+                console.error(`Failed to notify ${recipient.username} about return of ${equipment.assetTag}:`, error.message);
+            }
+        }
+    }
+}
+
+// A vendor quotation as shown in the request's comparison table
+function serializeQuotation(quotation, quantity) {
+    const unitPrice = parseFloat(quotation.unit_price);
+    const expiresOn = quotation.Vendor?.accreditation_expires_on;
+    return {
+        id: quotation.id,
+        vendor: quotation.Vendor ? {
+            id: quotation.Vendor.id,
+            name: quotation.Vendor.name,
+            paymentTerms: quotation.Vendor.payment_terms,
+            accreditationExpiresOn: expiresOn,
+            accreditationExpired: Boolean(expiresOn && expiresOn < new Date().toISOString().slice(0, 10))
+        } : null,
+        unitPrice,
+        totalPrice: unitPrice * quantity,
+        leadTimeDays: quotation.lead_time_days,
+        validUntil: quotation.valid_until,
+        notes: quotation.notes,
+        file: quotation.file,
+        isSelected: quotation.is_selected,
+        selectionReason: quotation.selection_reason,
+        selectedBy: quotation.SelectedBy ? `${quotation.SelectedBy.first_name} ${quotation.SelectedBy.last_name}` : null,
+        selectedAt: quotation.selected_at
+    };
+}
+
+// Request detail as returned by GET /api/requests/:id
+async function serializeRequestDetail(request, user) {
+    // Parallel branches of the workflow, for the side-by-side approval view
+    const parallelBranches = request.status === 'draft' ? [] : await describeParallelBranches(
+        'item_request',
+        buildConditionContext('item_request', request),
+        (step) => (request.Approvals || []).filter(a => a.approval_type === step.step_name.toLowerCase().replace(/ /g, '_'))
+    );
+
+    return {
+        id: request.id,
+        requestNumber: request.request_number,
+        requestor: {
+            id: request.Requestor.id,
+            username: request.Requestor.username,
+            fullName: `${request.Requestor.first_name} ${request.Requestor.last_name}`,
+            email: request.Requestor.email,
+            title: request.Requestor.title,
+            phone: request.Requestor.phone
+        },
+        userName: request.user_name,
+        userPosition: request.user_position,
+        department: {
+            id: request.Department.id,
+            name: request.Department.name,
+            description: request.Department.description
+        },
+        status: request.status,
+        priority: request.priority,
+        dateRequired: request.date_required,
+        reason: request.reason,
+        totalEstimatedCost: parseFloat(request.total_estimated_cost || 0),
+        attachments: request.attachments,
+        comments: request.comments,
+        requestorSignature: request.requestor_signature,
+        submittedAt: request.submitted_at,
+        completedAt: request.completed_at,
+        createdAt: request.created_at,
+        updatedAt: request.updated_at,
+        version: request.version,
+        sdStartedAt: request.sd_started_at,
+        items: request.Items?.map(item => ({
+            id: item.id,
+            category: item.category,
+            skuId: item.sku_id,
+            itemDescription: item.item_description,
+            quantity: item.quantity,
+            inventoryNumber: item.inventory_number,
+            proposedSpecs: item.proposed_specs,
+            purpose: item.purpose,
+            estimatedCost: parseFloat(item.estimated_cost || 0),
+            vendorInfo: item.vendor_info,
+            isReplacement: item.is_replacement,
+            replacedItemInfo: item.replaced_item_info,
+            replacedAssetId: item.replaced_asset_id,
+            replacedAsset: item.ReplacedAsset ? {
+                id: item.ReplacedAsset.id,
+                assetTag: item.ReplacedAsset.asset_tag,
+                model: item.ReplacedAsset.model,
+                serialNumber: item.ReplacedAsset.serial_number,
+                status: item.ReplacedAsset.status,
+                custodianName: item.ReplacedAsset.custodian_name
+            } : null,
+            // The PR buying this item, if it is being purchased
+            purchaseRequisition: item.PurchaseRequisitionLine?.PurchaseRequisition ? {
+                id: item.PurchaseRequisitionLine.PurchaseRequisition.id,
+                prNumber: item.PurchaseRequisitionLine.PurchaseRequisition.pr_number,
+                status: item.PurchaseRequisitionLine.PurchaseRequisition.status,
+                vendorName: item.PurchaseRequisitionLine.PurchaseRequisition.vendor_name,
+                quantity: item.PurchaseRequisitionLine.quantity,
+                quantityReceived: item.PurchaseRequisitionLine.quantity_received
+            } : null,
+            // Vendor quotations, cheapest first, for the comparison table
+            quotations: (item.Quotations || [])
+                .map(quotation => serializeQuotation(quotation, item.quantity))
+                .sort((a, b) => a.unitPrice - b.unitPrice),
+            urgencyReason: item.urgency_reason,
+            isReturned: item.is_returned,
+            returnedAt: item.returned_at,
+            dateRequired: item.date_required,
+            itRemarks: item.it_remarks,
+            approvalStatus: item.approval_status,
+            endorserStatus: item.endorser_status,
+            endorserRemarks: item.endorser_remarks,
+            // Stock held for the item since it was endorsed "in stock": active, consumed (deployed) or null
+            reservationStatus: item.Reservations?.[0]?.status || null,
+            reservedQuantity: item.Reservations?.[0]?.quantity || 0,
+            original_quantity: item.original_quantity // Include original_quantity
+        })) || [],
+        verificationStatus: request.verification_status,
+        verifierId: request.verifier_id,
+        verifierReason: request.verifier_reason,
+        verifiedAt: request.verified_at,
+        verifierComments: request.verifier_comments,
+        approvals: request.Approvals?.map(approval => ({
+            id: approval.id,
+            type: approval.approval_type,
+            status: approval.status,
+            approver: approval.Approver ? {
+                id: approval.Approver.id,
+                username: approval.Approver.username,
+                fullName: `${approval.Approver.first_name} ${approval.Approver.last_name}`,
+                role: approval.Approver.role,
+                title: approval.Approver.title || '',
+                Department: approval.Approver.Department ? {
+                    name: approval.Approver.Department.name
+                } : null
+            } : null,
+            onBehalfOf: approval.DelegateFor ? {
+                id: approval.DelegateFor.id,
+                username: approval.DelegateFor.username,
+                fullName: `${approval.DelegateFor.first_name} ${approval.DelegateFor.last_name}`,
+                title: approval.DelegateFor.title || ''
+            } : null,
+            comments: approval.comments,
+            approvedAt: approval.approved_at,
+            declinedAt: approval.declined_at,
+            returnedAt: approval.returned_at,
+            returnReason: approval.return_reason,
+            estimatedCompletionDate: approval.estimated_completion_date,
+            actualCompletionDate: approval.actual_completion_date,
+            processingNotes: approval.processing_notes,
+            signature: approval.signature,
+            createdAt: approval.created_at
+        })) || [],
+        parallelBranches,
+        permissions: (() => {
+            const canEdit = request.canBeEditedBy(user);
+
+            // Enhanced canApprove check:
+            // 1. Check dynamic workflow (pending_approver_ids)
+            // 2. Fallback to static model logic (canBeApprovedBy)
+            let canApprove = false;
+            if (request.pending_approver_ids && request.pending_approver_ids.includes(user.id)) {
+                canApprove = true;
+            } else {
+                canApprove = request.canBeApprovedBy(user);
+            }
+
+            const canProcess = request.canBeProcessedBy(user);
+
+            // Debug logging
+            console.log(`Request ${request.id} - Status: ${request.status}, User Role: ${user.role}`);
+            console.log(`Permissions - canEdit: ${canEdit}, canApprove: ${canApprove}, canProcess: ${canProcess}`);
+
+            return {
+                canEdit,
+                canApprove,
+                canProcess
+            };
+        })()
+    };
+}
+
+// Take the stock of a request being completed out of inventory, inside the transaction that
+// completes it: reserved items from their reservations, the rest from wherever the stock is,
+// never more than is on hand. Returns the request with its items.
+async function deployCompletedRequestStock({ request, user, transaction }) {
+    console.log('📉 Decrementing stock for completed request:', request.id);
+    const completedRequest = await Request.findByPk(request.id, {
+        include: [{ model: RequestItem, as: 'Items' }],
+        transaction
+    });
+
+    // Reserved items are deducted from their reservations
+    const deployedItemIds = await consumeRequestReservations({ request, user, clampAtZero: true, transaction });
+
+    for (const item of completedRequest?.Items || []) {
+        // Skip if item was rejected or cancelled
+        if (item.approval_status === 'rejected') {
+            console.log(`ℹ️ Skipping stock deduction for REJECTED item: ${item.category}`);
+            continue;
+        }
+        if (deployedItemIds.has(item.id)) continue;
+
+        const { sku } = await resolveItemStock(item);
+        if (!sku) continue;
+
+        // Spread over as many locations as it takes; only what is on hand is deducted
+        let deducted = 0;
+        let updated = sku;
+        for (const source of await planSourceLocations({ sku, quantity: item.quantity, transaction })) {
+            const result = await recordStockMovement({
+                sku,
+                type: 'deployment',
+                quantity: source.quantity,
+                location: source.location,
+                request,
+                requestItem: item,
+                user,
+                clampAtZero: true,
+                transaction
+            });
+            deducted += result.movement ? -result.movement.quantity : 0;
+            updated = result.sku;
+        }
+        if (deducted < item.quantity) {
+            console.warn(`⚠️ Not enough stock of ${sku.name}; deducted only what was on hand`);
+        }
+        console.log(`✅ Decremented ${deducted} from ${sku.name}. New Qty: ${updated.quantity}`);
+    }
+
+    return completedRequest;
+}
+
+// Optimistic concurrency: the form sends back the `version` it loaded. Without one answer 400;
+// if someone changed the request since, answer 409 with the current state so the form can
+// merge or reload.
+async function rejectStaleVersion(req, res, request) {
+    const expectedVersion = parseVersion(req.body.version);
+    if (expectedVersion === null) {
+        res.status(400).json({
+            error: 'Version required',
+            message: MISSING_VERSION_MESSAGE
+        });
+        return true;
+    }
+    if (!isStaleVersion(request, expectedVersion)) {
+        return false;
+    }
+
+    await sendVersionConflict(req, res, request);
+    return true;
+}
+
+// Make an action's writes in one transaction that starts by moving the request on from the
+// version the client sent (see claimVersion). Two changes racing past rejectStaleVersion
+// can't both win, and a write that fails rolls the version back with it, so a retry isn't
+// turned away. Answers 409 and returns true when another change got there first.
+async function rejectLostVersion(req, res, request, writes) {
+    const claimed = await sequelize.transaction(async (transaction) => {
+        if (!await claimVersion(request, parseVersion(req.body.version), transaction)) return false;
+        await writes(transaction);
+        return true;
+    });
+    if (claimed) return false;
+
+    await sendVersionConflict(req, res, request);
+    return true;
+}
+
+async function sendVersionConflict(req, res, request) {
+    // Only hand the current state to people involved with the request; others can reload it
+    // through GET /api/requests/:id, which applies the full access rules
+    const user = req.user;
+    const isInvolved = request.requestor_id === user.id ||
+        user.role === 'super_administrator' ||
+        (request.pending_approver_ids || []).includes(user.id) ||
+        request.canBeApprovedBy(user) ||
+        request.canBeProcessedBy(user);
+
+    const current = await Request.findByPk(request.id, { include: REQUEST_DETAIL_INCLUDE });
+    res.status(409).json({
+        error: 'Conflict',
+        message: STALE_VERSION_MESSAGE,
+        currentVersion: current.version,
+        request: isInvolved ? await serializeRequestDetail(current, user) : undefined
+    });
+}
+
 // Get all requests (with filtering and pagination)
 export const getAllRequests = async (req, res) => {
     try {
@@ -356,6 +750,7 @@ export const getAllRequests = async (req, res) => {
                 completedAt: request.completed_at,
                 createdAt: request.created_at,
                 updatedAt: request.updatedAt || request.updated_at,
+                version: request.version,
                 sdStartedAt: request.sd_started_at,
                 verification_status: request.verification_status,
                 verifier_id: request.verifier_id,
@@ -423,38 +818,7 @@ export const getRequestById = async (req, res) => {
     try {
         const { id } = req.params;
 
-        const request = await Request.findByPk(id, {
-            include: [
-                {
-                    model: User,
-                    as: 'Requestor',
-                    attributes: ['id', 'username', 'first_name', 'last_name', 'email', 'title', 'phone']
-                },
-                {
-                    model: Department,
-                    as: 'Department',
-                    attributes: ['id', 'name', 'description']
-                },
-                {
-                    model: RequestItem,
-                    as: 'Items'
-                },
-                {
-                    model: Approval,
-                    as: 'Approvals',
-                    include: [{
-                        model: User,
-                        as: 'Approver',
-                        attributes: ['id', 'username', 'first_name', 'last_name', 'role', 'title'],
-                        include: [{
-                            model: Department,
-                            as: 'Department',
-                            attributes: ['id', 'name']
-                        }]
-                    }]
-                }
-            ]
-        });
+        const request = await Request.findByPk(id, { include: REQUEST_DETAIL_INCLUDE });
 
         if (!request) {
             return res.status(404).json({
@@ -473,49 +837,7 @@ export const getRequestById = async (req, res) => {
         }
 
         // Check access permissions for non-draft requests
-        let canAccess = false;
-
-        if (req.user.role === 'super_administrator') {
-            canAccess = true;
-        } else if (request.requestor_id === req.user.id) {
-            canAccess = true;
-        } else if (request.verifier_id === req.user.id) {
-            // assigned verifier can always view
-            canAccess = true;
-        } else if (request.pending_approver_ids && request.pending_approver_ids.includes(req.user.id)) {
-            // they are currently assigned to approve this step
-            canAccess = true;
-        } else {
-            // they were an approver in the past
-            const pastApproval = await Approval.findOne({
-                where: { request_id: request.id, approver_id: req.user.id }
-            });
-            if (pastApproval) {
-                canAccess = true;
-            }
-        }
-
-        // For department_approver: dynamically check ApprovalMatrix scoped to item_request
-        // IMPORTANT: must filter by form_type so vehicle_request global rules don't bleed in
-        if (!canAccess && req.user.role === 'department_approver') {
-            if (request.department_id === req.user.department_id) {
-                canAccess = true;
-            } else {
-                // Check if they're assigned to this department via item_request ApprovalMatrix
-                const matrixRule = await ApprovalMatrix.findOne({
-                    where: {
-                        user_id: req.user.id,
-                        is_active: true,
-                        form_type: 'item_request',
-                        [Op.or]: [
-                            { department_id: request.department_id },
-                            { department_id: null } // global item_request rule only
-                        ]
-                    }
-                });
-                canAccess = !!matrixRule;
-            }
-        }
+        const canAccess = await canViewItemRequest(req.user, request);
 
         if (!canAccess) {
             return res.status(403).json({
@@ -524,117 +846,7 @@ export const getRequestById = async (req, res) => {
             });
         }
 
-        res.json({
-            request: {
-                id: request.id,
-                requestNumber: request.request_number,
-                requestor: {
-                    id: request.Requestor.id,
-                    username: request.Requestor.username,
-                    fullName: `${request.Requestor.first_name} ${request.Requestor.last_name}`,
-                    email: request.Requestor.email,
-                    title: request.Requestor.title,
-                    phone: request.Requestor.phone
-                },
-                userName: request.user_name,
-                userPosition: request.user_position,
-                department: {
-                    id: request.Department.id,
-                    name: request.Department.name,
-                    description: request.Department.description
-                },
-                status: request.status,
-                priority: request.priority,
-                dateRequired: request.date_required,
-                reason: request.reason,
-                totalEstimatedCost: parseFloat(request.total_estimated_cost || 0),
-                attachments: request.attachments,
-                comments: request.comments,
-                requestorSignature: request.requestor_signature,
-                submittedAt: request.submitted_at,
-                completedAt: request.completed_at,
-                createdAt: request.created_at,
-                updatedAt: request.updated_at,
-                sdStartedAt: request.sd_started_at,
-                items: request.Items?.map(item => ({
-                    id: item.id,
-                    category: item.category,
-                    itemDescription: item.item_description,
-                    quantity: item.quantity,
-                    inventoryNumber: item.inventory_number,
-                    proposedSpecs: item.proposed_specs,
-                    purpose: item.purpose,
-                    estimatedCost: parseFloat(item.estimated_cost || 0),
-                    vendorInfo: item.vendor_info,
-                    isReplacement: item.is_replacement,
-                    replacedItemInfo: item.replaced_item_info,
-                    urgencyReason: item.urgency_reason,
-                    isReturned: item.is_returned,
-                    returnedAt: item.returned_at,
-                    dateRequired: item.date_required,
-                    itRemarks: item.it_remarks,
-                    approvalStatus: item.approval_status,
-                    endorserStatus: item.endorser_status,
-                    endorserRemarks: item.endorser_remarks,
-                    original_quantity: item.original_quantity // Include original_quantity
-                })) || [],
-                verificationStatus: request.verification_status,
-                verifierId: request.verifier_id,
-                verifierReason: request.verifier_reason,
-                verifiedAt: request.verified_at,
-                verifierComments: request.verifier_comments,
-                approvals: request.Approvals?.map(approval => ({
-                    id: approval.id,
-                    type: approval.approval_type,
-                    status: approval.status,
-                    approver: approval.Approver ? {
-                        id: approval.Approver.id,
-                        username: approval.Approver.username,
-                        fullName: `${approval.Approver.first_name} ${approval.Approver.last_name}`,
-                        role: approval.Approver.role,
-                        title: approval.Approver.title || '',
-                        Department: approval.Approver.Department ? {
-                            name: approval.Approver.Department.name
-                        } : null
-                    } : null,
-                    comments: approval.comments,
-                    approvedAt: approval.approved_at,
-                    declinedAt: approval.declined_at,
-                    returnedAt: approval.returned_at,
-                    returnReason: approval.return_reason,
-                    estimatedCompletionDate: approval.estimated_completion_date,
-                    actualCompletionDate: approval.actual_completion_date,
-                    processingNotes: approval.processing_notes,
-                    signature: approval.signature,
-                    createdAt: approval.created_at
-                })) || [],
-                permissions: (() => {
-                    const canEdit = request.canBeEditedBy(req.user);
-
-                    // Enhanced canApprove check:
-                    // 1. Check dynamic workflow (pending_approver_ids)
-                    // 2. Fallback to static model logic (canBeApprovedBy)
-                    let canApprove = false;
-                    if (request.pending_approver_ids && request.pending_approver_ids.includes(req.user.id)) {
-                        canApprove = true;
-                    } else {
-                        canApprove = request.canBeApprovedBy(req.user);
-                    }
-
-                    const canProcess = request.canBeProcessedBy(req.user);
-
-                    // Debug logging
-                    console.log(`Request ${request.id} - Status: ${request.status}, User Role: ${req.user.role}`);
-                    console.log(`Permissions - canEdit: ${canEdit}, canApprove: ${canApprove}, canProcess: ${canProcess}`);
-
-                    return {
-                        canEdit,
-                        canApprove,
-                        canProcess
-                    };
-                })()
-            }
-        });
+        res.json({ request: await serializeRequestDetail(request, req.user) });
     } catch (error) {
         console.error('Error fetching request:', error);
         res.status(500).json({
@@ -687,6 +899,14 @@ export const createRequest = async (req, res) => {
             });
         }
 
+        const replacementError = await validateReplacedAssets({ items, requestorId: req.user.id, departmentId });
+        if (replacementError) {
+            return res.status(400).json({
+                error: 'Invalid replaced asset',
+                message: replacementError
+            });
+        }
+
         // Calculate total estimated cost
         const totalCost = items.reduce((sum, item) => {
             const itemCost = parseFloat(item.estimatedCost || 0) * parseInt(item.quantity || 1);
@@ -709,11 +929,13 @@ export const createRequest = async (req, res) => {
             status: 'draft'
         });
 
-        // Create request items
+        // Create request items, each against the SKU it will be supplied from
+        const skuIds = await resolveRequestItemSkuIds(items);
         const requestItems = await Promise.all(
-            items.map(item => RequestItem.create({
+            items.map((item, index) => RequestItem.create({
                 request_id: request.id,
                 category: item.category,
+                sku_id: skuIds[index],
                 item_description: item.itemDescription,
                 quantity: item.quantity,
                 inventory_number: item.inventoryNumber || null,
@@ -723,6 +945,7 @@ export const createRequest = async (req, res) => {
                 vendor_info: item.vendorInfo || null,
                 is_replacement: item.isReplacement || false,
                 replaced_item_info: item.replacedItemInfo || null,
+                replaced_asset_id: item.isReplacement && item.replacedAssetId ? parseInt(item.replacedAssetId, 10) : null,
                 urgency_reason: item.urgencyReason || null,
                 priority: (item.priority && item.priority !== '') ? item.priority : (priority || 'medium'),
                 date_required: (item.dateRequired && item.dateRequired !== '') ? item.dateRequired : (dateRequired || null),
@@ -739,7 +962,8 @@ export const createRequest = async (req, res) => {
                 requestNumber: request.request_number,
                 status: request.status,
                 totalEstimatedCost: parseFloat(request.total_estimated_cost),
-                itemsCount: requestItems.length
+                itemsCount: requestItems.length,
+                version: request.version
             }
         });
 
@@ -800,6 +1024,8 @@ export const updateRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         const {
             userName,
             userPosition,
@@ -826,32 +1052,23 @@ export const updateRequest = async (req, res) => {
         // If IT Manager is editing, they shouldn't change the requestor signature or other fields ideally, 
         // but current logic is permissive. We assume frontend controls what's sent.
 
-        // Update items if provided
         if (items) {
-            // Delete existing items
-            await RequestItem.destroy({ where: { request_id: id } });
-
-            // Create new items
-            await Promise.all(
-                items.map(item => RequestItem.create({
-                    request_id: id,
-                    category: item.category,
-                    item_description: item.itemDescription,
-                    quantity: item.quantity,
-                    inventory_number: item.inventoryNumber || null,
-                    proposed_specs: item.proposedSpecs || null,
-                    purpose: item.purpose || null,
-                    estimated_cost: item.estimatedCost ? parseFloat(item.estimatedCost) : null,
-                    vendor_info: item.vendorInfo || null,
-                    is_replacement: item.isReplacement || false,
-                    replaced_item_info: item.replacedItemInfo || null,
-                    urgency_reason: item.urgencyReason || null,
-                    date_required: item.dateRequired || null,
-                    it_remarks: item.itRemarks || null,
-                    approval_status: item.approvalStatus || 'pending'
-                }))
-            );
+            const replacementError = await validateReplacedAssets({
+                items,
+                requestorId: request.requestor_id,
+                departmentId: updateData.department_id ?? request.department_id,
+                requestId: request.id
+            });
+            if (replacementError) {
+                return res.status(400).json({
+                    error: 'Invalid replaced asset',
+                    message: replacementError
+                });
+            }
+        }
 
+        const skuIds = items ? await resolveRequestItemSkuIds(items) : [];
+        if (items) {
             // Recalculate total cost
             const totalCost = items.reduce((sum, item) => {
                 const itemCost = parseFloat(item.estimatedCost || 0) * parseInt(item.quantity || 1);
@@ -863,7 +1080,39 @@ export const updateRequest = async (req, res) => {
         // Calculate changes for Audit Log
         const changes = calculateChanges(request, updateData);
 
-        await request.update(updateData);
+        // Also counts replacing the items, which live in their own table, as a change to the request
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            // Update items if provided
+            if (items) {
+                // Delete existing items
+                await RequestItem.destroy({ where: { request_id: id }, transaction });
+
+                // Create new items
+                await Promise.all(
+                    items.map((item, index) => RequestItem.create({
+                        request_id: id,
+                        category: item.category,
+                        sku_id: skuIds[index],
+                        item_description: item.itemDescription,
+                        quantity: item.quantity,
+                        inventory_number: item.inventoryNumber || null,
+                        proposed_specs: item.proposedSpecs || null,
+                        purpose: item.purpose || null,
+                        estimated_cost: item.estimatedCost ? parseFloat(item.estimatedCost) : null,
+                        vendor_info: item.vendorInfo || null,
+                        is_replacement: item.isReplacement || false,
+                        replaced_item_info: item.replacedItemInfo || null,
+                        replaced_asset_id: item.isReplacement && item.replacedAssetId ? parseInt(item.replacedAssetId, 10) : null,
+                        urgency_reason: item.urgencyReason || null,
+                        date_required: item.dateRequired || null,
+                        it_remarks: item.itRemarks || null,
+                        approval_status: item.approvalStatus || 'pending'
+                    }, { transaction }))
+                );
+            }
+
+            await request.update(updateData, { transaction });
+        })) return;
 
         // Audit Log
         // Audit Log: Request Updated
@@ -887,7 +1136,8 @@ export const updateRequest = async (req, res) => {
             request: {
                 id: request.id,
                 requestNumber: request.request_number,
-                status: request.status
+                status: request.status,
+                version: request.version
             }
         });
     } catch (error) {
@@ -921,6 +1171,8 @@ export const submitRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         if (request.status !== 'draft' && request.status !== 'returned') {
             return res.status(400).json({
                 error: 'Invalid status',
@@ -935,10 +1187,11 @@ export const submitRequest = async (req, res) => {
             });
         }
 
-        // Use workflow system to find the first approver
-        const workflowResult = await processWorkflowOnSubmit('item_request', {
-            department_id: request.department_id
-        });
+        // Use workflow system to find the first approver.
+        // A (re)submission follows the latest published version of the workflow.
+        request.workflow_id = null;
+        request.workflow_version = null;
+        const workflowResult = await processWorkflowOnSubmit('item_request', buildConditionContext('item_request', request));
 
         let nextApprovers = [];
 
@@ -953,7 +1206,12 @@ export const submitRequest = async (req, res) => {
             // Save explicit current step ID and pending approvers
             if (workflowResult.step) {
                 request.current_step_id = workflowResult.step.id;
+                request.active_step_ids = (workflowResult.steps || [workflowResult.step]).map(s => s.id);
                 request.pending_approver_ids = nextApprovers.map(a => a.id);
+
+                // Pin the workflow version so later edits to the workflow don't reroute this request
+                request.workflow_id = workflowResult.step.workflow_id;
+                request.workflow_version = workflowResult.step.version;
             }
 
             console.log(`✅ Found ${nextApprovers.length} approver(s) from workflow (Step: ${workflowResult.step?.step_name})`);
@@ -979,63 +1237,78 @@ export const submitRequest = async (req, res) => {
             });
         }
 
-        // Update request status and submission time
-        await request.update({
-            status: 'submitted',
-            submitted_at: new Date(),
-            current_step_id: request.current_step_id,
-            pending_approver_ids: request.pending_approver_ids
-        });
-
-        // Create approval records records
-        const stepApprovalType = 'department_approval';
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            // Update request status and submission time
+            await request.update({
+                status: 'submitted',
+                submitted_at: new Date(),
+                current_step_id: request.current_step_id,
+                active_step_ids: request.active_step_ids,
+                workflow_id: request.workflow_id,
+                workflow_version: request.workflow_version,
+                pending_approver_ids: request.pending_approver_ids
+            }, { transaction });
+
+            // Create approval records records
+            // Parallel branches each get their own records; the first step keeps the legacy approval type
+            const submitBranches = workflowResult?.branches || [{ step: workflowResult?.step, approvers: nextApprovers }];
+            for (const [index, branch] of submitBranches.entries()) {
+                const stepApprovalType = index === 0
+                    ? 'department_approval'
+                    : branch.step.step_name.toLowerCase().replace(/ /g, '_');
+                const branchApprovers = branch.approvers;
+
+                if (branch.step && branch.step.approval_logic === 'all') {
+                    // Create an approval record for EACH approver (delegates act on their principal's record)
+                    const principalApprovers = getPrincipalApprovers(branchApprovers);
+                    console.log(`Generating individual approval records for ${principalApprovers.length} approvers (Logic: ALL)`);
+                    for (const approver of principalApprovers) {
+                        const [app, created] = await Approval.findOrCreate({
+                            where: {
+                                request_id: request.id,
+                                approval_type: stepApprovalType,
+                                approver_id: approver.id
+                            },
+                            defaults: {
+                                status: 'pending'
+                            },
+                            transaction
+                        });
 
-        if (workflowResult.step && workflowResult.step.approval_logic === 'all') {
-            // Create an approval record for EACH approver
-            console.log(`Generating individual approval records for ${nextApprovers.length} approvers (Logic: ALL)`);
-            for (const approver of nextApprovers) {
-                const [app, created] = await Approval.findOrCreate({
-                    where: {
-                        request_id: request.id,
-                        approval_type: stepApprovalType,
-                        approver_id: approver.id
-                    },
-                    defaults: {
-                        status: 'pending'
+                        if (!created && app.status !== 'pending') {
+                            // Reset if resubmitting
+                            await app.update({ status: 'pending', approved_at: null, declined_at: null }, { transaction });
+                        }
                     }
-                });
+                } else {
+                    // "Any" logic: Create one generic record (assigned to first approver or just existing)
+                    const [approval, created] = await Approval.findOrCreate({
+                        where: {
+                            request_id: request.id,
+                            approval_type: stepApprovalType
+                        },
+                        defaults: {
+                            approver_id: branchApprovers[0].id,
+                            status: 'pending'
+                        },
+                        transaction
+                    });
 
-                if (!created && app.status !== 'pending') {
-                    // Reset if resubmitting
-                    await app.update({ status: 'pending', approved_at: null, declined_at: null });
-                }
-            }
-        } else {
-            // "Any" logic: Create one generic record (assigned to first approver or just existing)
-            const [approval, created] = await Approval.findOrCreate({
-                where: {
-                    request_id: request.id,
-                    approval_type: stepApprovalType
-                },
-                defaults: {
-                    approver_id: nextApprovers[0].id,
-                    status: 'pending'
+                    // If approval already exists (resubmission), reset it to pending
+                    if (!created) {
+                        await approval.update({
+                            approver_id: branchApprovers[0].id,
+                            status: 'pending',
+                            approved_at: null,
+                            declined_at: null,
+                            returned_at: null,
+                            return_reason: null,
+                            comments: null
+                        }, { transaction });
+                    }
                 }
-            });
-
-            // If approval already exists (resubmission), reset it to pending
-            if (!created) {
-                await approval.update({
-                    approver_id: nextApprovers[0].id,
-                    status: 'pending',
-                    approved_at: null,
-                    declined_at: null,
-                    returned_at: null,
-                    return_reason: null,
-                    comments: null
-                });
             }
-        }
+        })) return;
 
         // Reload request with relations for email
         const requestWithRelations = await Request.findByPk(id, {
@@ -1122,8 +1395,44 @@ export const approveRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
+        // Dynamic Workflow Logic: Find current step
+        const currentStep = await findCurrentStepForApprover('item_request', req.user, request.status, {
+            department_id: request.department_id,
+            current_step_id: request.current_step_id,
+            active_step_ids: request.active_step_ids,
+            workflow_id: request.workflow_id,
+            workflow_version: request.workflow_version,
+            escalated_approver_ids: request.escalated_approver_ids
+        });
+
+        // Fallback: If no workflow step, check legacy logic permissions
+        if (!currentStep) {
+            if (!request.canBeApprovedBy(req.user) && !request.canBeProcessedBy(req.user)) {
+                return res.status(403).json({
+                    error: 'Access denied',
+                    message: 'You do not have permission to approve this request'
+                });
+            }
+
+            // No workflow step found via dynamic lookup.
+            // This happens for terminal-ish statuses like 'ready_to_deploy', 'pr_approved',
+            // 'service_desk_processing' which are short-circuited in findCurrentStepForApprover.
+            // Only users with process permission (service desk) can complete via the legacy path.
+            if (!request.canBeProcessedBy(req.user)) {
+                console.warn(`⚠️ No workflow step found for user ${req.user.id} on request ${request.id} (status: ${request.status})`);
+                return res.status(400).json({
+                    error: 'No workflow configured',
+                    message: 'No workflow step found for your role on this request. Please ask your administrator to configure a workflow in Workflow Setup.'
+                });
+            }
+        }
+
         // Update items if provided (e.g. Dept Approver verification or IT Manager remarks)
+        // The changes are only set here and saved with everything else once the version is claimed
         const changes = []; // Track detailed changes for audit log
+        const changedItems = [];
 
         if (items && Array.isArray(items)) {
             // We only update specific fields relevant to approval actions to be safe:
@@ -1132,8 +1441,8 @@ export const approveRequest = async (req, res) => {
             // - comments (Additional notes)
             // - We typically don't allow changing core item details (category, qty) during approval unless specifically needed.
 
-            // To refer to items accurately, we iterate existing items and update match by ID? 
-            // Or simpler: full replace like updateRequest? 
+            // To refer to items accurately, we iterate existing items and update match by ID?
+            // Or simpler: full replace like updateRequest?
             // Full replace is safer for UI consistency but risky if IDs change.
             // Let's stick to update loop for existing items since we likely just want to update status/remarks.
 
@@ -1170,48 +1479,58 @@ export const approveRequest = async (req, res) => {
                             changes.push(`Item '${itemToUpdate.category}' quantity changed from ${itemToUpdate.quantity} to ${newQty}`);
                         }
 
+                        // The endorser can point an item at the SKU it should come out of
+                        if (itemData.skuId && parseInt(itemData.skuId, 10) !== itemToUpdate.sku_id) {
+                            const [skuId] = await resolveRequestItemSkuIds([{ category: itemToUpdate.category, skuId: itemData.skuId }]);
+                            if (skuId !== itemToUpdate.sku_id) {
+                                updates.sku_id = skuId;
+                                changes.push(`Item '${itemToUpdate.category}' SKU changed`);
+                            }
+                        }
+
                         if (itemData.itRemarks && itemData.itRemarks !== itemToUpdate.it_remarks) {
                             changes.push(`Item '${itemToUpdate.category}' remarks updated`);
                         }
 
-                        await itemToUpdate.update(updates);
+                        itemToUpdate.set(updates);
+                        changedItems.push(itemToUpdate);
                     }
                 }
             }
         }
 
-        // Dynamic Workflow Logic: Find current step
-        const currentStep = await findCurrentStepForApprover('item_request', req.user, request.status, {
+        // Temporary delegation: is this user acting on behalf of the step's approver?
+        const delegateFor = await findDelegatorForStep(currentStep, req.user, {
             department_id: request.department_id,
-            current_step_id: request.current_step_id
-        });
-
-        // Fallback: If no workflow step, check legacy logic permissions
-        if (!currentStep) {
-            if (!request.canBeApprovedBy(req.user) && !request.canBeProcessedBy(req.user)) {
-                return res.status(403).json({
-                    error: 'Access denied',
-                    message: 'You do not have permission to approve this request'
-                });
-            }
-        }
+            requestor_id: request.requestor_id,
+            escalated_approver_ids: request.escalated_approver_ids
+        }, 'item_request');
 
         let approvalType;
         let newStatus = 'completed';
         let nextStep = null;
         let nextApprovers = [];
+        let nextBranches = [];
+
+        // Parallel branches: other steps of the same order that are still awaiting approval.
+        // The request only advances once every branch has finished.
+        const otherBranchIds = currentStep
+            ? getActiveStepIds(request).filter(stepId => stepId !== currentStep.id)
+            : [];
 
         // Determine Logic Strategy
-        if (currentStep) {
+        if (currentStep && otherBranchIds.length > 0) {
+            approvalType = currentStep.step_name.toLowerCase().replace(/ /g, '_');
+            newStatus = request.status;
+        } else if (currentStep) {
             approvalType = currentStep.step_name.toLowerCase().replace(/ /g, '_');
 
             // Find NEXT step
-            const nextStepResult = await processWorkflowOnApproval('item_request', {
-                department_id: request.department_id
-            }, currentStep.step_order);
+            const nextStepResult = await processWorkflowOnApproval('item_request', buildConditionContext('item_request', request), currentStep.step_order);
 
             if (nextStepResult && nextStepResult.step) {
                 nextStep = nextStepResult.step;
+                nextBranches = nextStepResult.branches || [{ step: nextStep, approvers: nextStepResult.approvers }];
                 newStatus = currentStep.status_on_approval || 'unknown_status';
 
                 if (nextStepResult.approvers && Array.isArray(nextStepResult.approvers)) {
@@ -1222,6 +1541,7 @@ export const approveRequest = async (req, res) => {
 
                 // Update request pending state
                 request.current_step_id = nextStep.id;
+                request.active_step_ids = nextBranches.map(b => b.step.id);
                 request.pending_approver_ids = nextApprovers.map(a => a.id);
 
             } else {
@@ -1231,26 +1551,14 @@ export const approveRequest = async (req, res) => {
                 request.pending_approver_ids = [];
             }
         } else {
-            // No workflow step found via dynamic lookup.
-            // This happens for terminal-ish statuses like 'ready_to_deploy', 'pr_approved',
-            // 'service_desk_processing' which are short-circuited in findCurrentStepForApprover.
-            // If the user has process permission (service desk), allow completion via legacy path.
-            if (request.canBeProcessedBy(req.user)) {
-                console.log(`ℹ️ No workflow step found, but user ${req.user.id} has process permission. Using legacy completion path.`);
-                approvalType = 'service_desk_processing';
-                newStatus = 'completed';
-                request.current_step_id = null;
-                request.pending_approver_ids = [];
-            } else {
-                console.warn(`⚠️ No workflow step found for user ${req.user.id} on request ${request.id} (status: ${request.status})`);
-                return res.status(400).json({
-                    error: 'No workflow configured',
-                    message: 'No workflow step found for your role on this request. Please ask your administrator to configure a workflow in Workflow Setup.'
-                });
-            }
+            console.log(`ℹ️ No workflow step found, but user ${req.user.id} has process permission. Using legacy completion path.`);
+            approvalType = 'service_desk_processing';
+            newStatus = 'completed';
+            request.current_step_id = null;
+            request.pending_approver_ids = [];
         }
 
-        // Find or create approval record
+        // Find approval record (created below if there is none)
         // Prioritize specific user record (for 'all' logic)
         let approval = await Approval.findOne({
             where: {
@@ -1260,57 +1568,66 @@ export const approveRequest = async (req, res) => {
             }
         });
 
-        if (!approval) {
-            // Fallback for 'any' logic scenarios
+        if (!approval && delegateFor) {
+            // Delegate acting on the principal's own record ('all' logic)
             approval = await Approval.findOne({
                 where: {
                     request_id: request.id,
-                    approval_type: approvalType
+                    approval_type: approvalType,
+                    approver_id: delegateFor
                 }
             });
         }
 
         if (!approval) {
-            approval = await Approval.create({
-                request_id: request.id,
-                approval_type: approvalType,
-                approver_id: req.user.id,
-                status: 'pending'
+            // Fallback for 'any' logic scenarios
+            approval = await Approval.findOne({
+                where: {
+                    request_id: request.id,
+                    approval_type: approvalType
+                }
             });
         }
 
-        // Update approval
-        approval.approve(comments);
-        approval.approver_id = req.user.id;
-        if (estimatedCompletionDate) approval.estimated_completion_date = estimatedCompletionDate;
-        if (processingNotes) approval.processing_notes = processingNotes;
-        if (signature) approval.signature = signature;
-        await approval.save();
-
-        // Check if step is fully complete
+        // Check if step is fully complete once this approval is in
         let isStepComplete = true;
         if (currentStep) {
-            isStepComplete = await checkStepCompletion(currentStep, request.id);
-        }
-
-        if (isStepComplete) {
+            isStepComplete = await checkStepCompletion(currentStep, request.id, approval);
+        }
+
+        let remainingApproverIds = null;
+        const replenishmentReceipts = [];
+        let sdStartedAtValue;
+        let oldRequestNumber = null;
+        let newRequestNumber = null;
+        let updatedPending = null;
+
+        if (isStepComplete && otherBranchIds.length > 0) {
+            // This branch is done but parallel branches are still open: keep the request where it is
+            // and only drop the approvers who have nothing left to approve
+            remainingApproverIds = await getApproverIdsForSteps('item_request', otherBranchIds, {
+                department_id: request.department_id,
+                requestor_id: request.requestor_id,
+                escalated_approver_ids: request.escalated_approver_ids
+            });
+        } else if (isStepComplete) {
             // Pre-flight check for STOCK REPLENISHMENT if completing
             if (newStatus === 'completed') {
                 console.log('🔍 Checking stock availability before completion...');
                 const { replenishments } = req.body;
                 console.log('📦 Received Replenishments Payload:', JSON.stringify(replenishments, null, 2));
 
-                // We need to fetch items to check stock
-                const requestItems = await RequestItem.findAll({ where: { request_id: request.id } });
+                // Items deployed at Ready to Deploy have already left the stock
+                const deployedItemIds = await getDeployedItemIds({ request });
 
-                for (const item of requestItems) {
-                    if (item.approval_status === 'rejected') continue;
+                for (const item of request.Items) {
+                    if (item.approval_status === 'rejected' || deployedItemIds.has(item.id)) continue;
 
-                    const category = await Category.findOne({ where: { name: item.category } });
-                    if (category && category.track_stock) {
+                    const { sku } = await resolveItemStock(item);
+                    if (sku) {
                         // Check if we need replenishment
-                        if (category.quantity < item.quantity) {
-                            console.log(`⚠️ Low stock for ${category.name}: Stock ${category.quantity} < Requested ${item.quantity}`);
+                        if (sku.quantity < item.quantity) {
+                            console.log(`⚠️ Low stock for ${sku.name}: Stock ${sku.quantity} < Requested ${item.quantity}`);
 
                             // Debug ID matching
                             const itemId = item.id;
@@ -1326,32 +1643,36 @@ export const approveRequest = async (req, res) => {
 
                             if (!replenishment) {
                                 console.error(`❌ Missing replenishment for Item ID ${itemId}. content:`, safeReplenishments);
-                                throw new Error(`Insufficient stock for ${category.name} (Stock: ${category.quantity}, Requested: ${item.quantity}). Please provide replenishment details.`);
+                                return res.status(400).json({
+                                    error: 'Insufficient stock',
+                                    message: `Insufficient stock for ${sku.name} (Stock: ${sku.quantity}, Requested: ${item.quantity}). Please provide replenishment details.`
+                                });
                             }
 
                             const { prNumber, addedQty } = replenishment;
 
                             // Validate Replenishment
                             if (!prNumber || !/^\d{8}$/.test(prNumber)) {
-                                throw new Error(`Invalid PR Number for ${category.name}. Must be 8 digits.`);
+                                return res.status(400).json({
+                                    error: 'Invalid replenishment',
+                                    message: `Invalid PR Number for ${sku.name}. Must be 8 digits.`
+                                });
                             }
                             if (!addedQty || parseInt(addedQty) <= 0) {
-                                throw new Error(`Invalid Quantity for ${category.name}. Must be greater than 0.`);
+                                return res.status(400).json({
+                                    error: 'Invalid replenishment',
+                                    message: `Invalid Quantity for ${sku.name}. Must be greater than 0.`
+                                });
                             }
 
                             // Apply Replenishment
                             const supplyQty = parseInt(addedQty);
-                            const newStock = category.quantity + supplyQty;
-
-                            // Audit/Log the replenishment (Optional: create a separate log or note)
-                            console.log(`📦 Replenishing ${category.name}: ${category.quantity} + ${supplyQty} = ${newStock} (PR: ${prNumber})`);
+                            const newStock = sku.quantity + supplyQty;
 
-                            await category.update({
-                                quantity: newStock,
-                                stock_updated_at: new Date()
-                            });
+                            console.log(`📦 Replenishing ${sku.name}: ${sku.quantity} + ${supplyQty} = ${newStock} (PR: ${prNumber})`);
 
-                            // Helper to log this specific action if needed
+                            // Recorded with the completion below
+                            replenishmentReceipts.push({ sku, quantity: supplyQty, prNumber, item });
                         }
                     }
                 }
@@ -1366,31 +1687,150 @@ export const approveRequest = async (req, res) => {
                 newStatus === 'service_desk_processing' ||
                 request.status === 'service_desk_processing'
             );
-            const sdStartedAtValue = shouldSetSdStartedAt
+            sdStartedAtValue = shouldSetSdStartedAt
                 ? (request.status === 'service_desk_processing'
                     ? (request.updatedAt || request.updated_at || new Date())  // backfill from current updatedAt
                     : new Date())                                               // fresh transition
                 : undefined;
 
             // If transitioning to department_approved from a temporary ID, assign official ID
-            let oldRequestNumber = null;
-            let newRequestNumber = null;
             if (newStatus === 'department_approved' && request.request_number.startsWith('TMP-ITR-')) {
                 oldRequestNumber = request.request_number;
                 newRequestNumber = await generateReferenceId(false);
                 console.log(`🔄 Upgrading Request ID from ${oldRequestNumber} to ${newRequestNumber}`);
             }
+        } else if (request.pending_approver_ids && Array.isArray(request.pending_approver_ids)) {
+            // Remove current approver (and whoever they stand in for / their delegate) from pending list
+            // so it no longer shows as "Action Required" for them
+            const actedFor = [req.user.id, delegateFor];
+            if (req.user.hasActiveDelegation && req.user.hasActiveDelegation()) {
+                actedFor.push(req.user.temp_delegate_id);
+            }
+            // Someone who also approves a parallel branch stays pending for that branch
+            const otherBranchApproverIds = otherBranchIds.length > 0
+                ? await getApproverIdsForSteps('item_request', otherBranchIds, {
+                    department_id: request.department_id,
+                    requestor_id: request.requestor_id,
+                    escalated_approver_ids: request.escalated_approver_ids
+                })
+                : new Set();
+            updatedPending = request.pending_approver_ids.filter(id => !actedFor.includes(id) || otherBranchApproverIds.has(id));
+        }
+
+        // The item changes, reservations, approval, status change, any replenishment and the stock
+        // deployed on completion are saved together, so a failure part-way leaves neither the
+        // request nor inventory half-updated
+        let stockWarnings = [];
+        let completedRequest = null;
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            for (const item of changedItems) {
+                await item.save({ transaction });
+            }
 
-            // Update request status (and number if upgraded)
-            await request.update({
-                status: newStatus,
-                ...(newRequestNumber && { request_number: newRequestNumber }),
-                current_step_id: request.current_step_id,
-                pending_approver_ids: request.pending_approver_ids,
-                ...(newStatus === 'completed' && { completed_at: new Date() }),
-                ...(sdStartedAtValue !== undefined && { sd_started_at: sdStartedAtValue })
-            });
+            // Reserve stock for items endorsed "in stock" (and release it for items that no longer are)
+            if (items && Array.isArray(items)) {
+                stockWarnings = await syncRequestReservations({ request, items: request.Items, user: req.user, transaction });
+            }
 
+            if (!approval) {
+                approval = await Approval.create({
+                    request_id: request.id,
+                    approval_type: approvalType,
+                    approver_id: req.user.id,
+                    status: 'pending'
+                }, { transaction });
+            }
+
+            // Update approval
+            approval.approve(comments);
+            approval.approver_id = req.user.id;
+            approval.delegate_for = delegateFor;
+            if (estimatedCompletionDate) approval.estimated_completion_date = estimatedCompletionDate;
+            if (processingNotes) approval.processing_notes = processingNotes;
+            if (signature) approval.signature = signature;
+            await approval.save({ transaction });
+
+            if (isStepComplete && otherBranchIds.length > 0) {
+                await request.update({
+                    active_step_ids: otherBranchIds,
+                    pending_approver_ids: (request.pending_approver_ids || []).filter(approverId => remainingApproverIds.has(approverId))
+                }, { transaction });
+            } else if (isStepComplete) {
+                for (const receipt of replenishmentReceipts) {
+                    await recordStockMovement({
+                        sku: receipt.sku,
+                        type: 'receipt',
+                        quantity: receipt.quantity,
+                        request,
+                        requestItem: receipt.item,
+                        prNumber: receipt.prNumber,
+                        user: req.user,
+                        transaction
+                    });
+                }
+
+                // Update request status (and number if upgraded)
+                await request.update({
+                    status: newStatus,
+                    ...(newRequestNumber && { request_number: newRequestNumber }),
+                    current_step_id: request.current_step_id,
+                    active_step_ids: request.active_step_ids,
+                    pending_approver_ids: request.pending_approver_ids,
+                    ...(newStatus === 'completed' && { completed_at: new Date() }),
+                    ...(sdStartedAtValue !== undefined && { sd_started_at: sdStartedAtValue })
+                }, { transaction });
+
+                if (newStatus === 'completed') {
+                    completedRequest = await deployCompletedRequestStock({ request, user: req.user, transaction });
+                }
+
+                // Create next approval if needed (one set of records per parallel branch)
+                if (nextStep && nextApprovers.length > 0) {
+                    for (const branch of nextBranches) {
+                        const nextType = branch.step.step_name.toLowerCase().replace(/ /g, '_');
+
+                        // NEW: Create all approval records if next step requires 'all'
+                        if (branch.step.approval_logic === 'all') {
+                            for (const approver of getPrincipalApprovers(branch.approvers)) {
+                                await Approval.findOrCreate({
+                                    where: { request_id: request.id, approval_type: nextType, approver_id: approver.id },
+                                    defaults: { status: 'pending' },
+                                    transaction
+                                });
+                            }
+                        } else {
+                            // Legacy/Any logic: Create one generic
+                            await Approval.findOrCreate({
+                                where: {
+                                    request_id: request.id,
+                                    approval_type: nextType
+                                },
+                                defaults: {
+                                    approver_id: branch.approvers[0].id,
+                                    status: 'pending'
+                                },
+                                transaction
+                            });
+                        }
+                    }
+
+                    // Update request with new pending approvers
+                    await request.update({
+                        pending_approver_ids: nextApprovers.map(u => u.id),
+                        current_step_id: nextStep.id,
+                        active_step_ids: nextBranches.map(b => b.step.id)
+                    }, { transaction });
+                }
+            } else if (updatedPending) {
+                await request.update({
+                    pending_approver_ids: updatedPending
+                }, { transaction });
+            }
+        })) return;
+
+        if (isStepComplete && otherBranchIds.length > 0) {
+            console.log(`ℹ️ Parallel branch '${currentStep.step_name}' approved. Waiting for ${otherBranchIds.length} other branch(es).`);
+        } else if (isStepComplete) {
             if (newRequestNumber) {
                 await logAudit({
                     req,
@@ -1405,72 +1845,27 @@ export const approveRequest = async (req, res) => {
                 });
             }
 
-            // Decrement Stock if Completed
-            if (newStatus === 'completed') {
-                console.log('📉 Decrementing stock for completed request:', request.id);
-                // Reload items just to be safe (though we have them if we didn't mutate)
-                const completedRequest = await Request.findByPk(request.id, {
-                    include: [{ model: RequestItem, as: 'Items' }]
-                });
-
-                if (completedRequest && completedRequest.Items) {
-                    for (const item of completedRequest.Items) {
-                        // Skip if item was rejected or cancelled
-                        if (item.approval_status === 'rejected') {
-                            console.log(`ℹ️ Skipping stock deduction for REJECTED item: ${item.category}`);
-                            continue;
-                        }
-
-                        try {
-                            const category = await Category.findOne({ where: { name: item.category } });
-                            if (category && category.track_stock) {
-                                let newQty = category.quantity - item.quantity;
-                                // Safety check for negative stock (though we tried to prevent it above)
-                                if (newQty < 0) {
-                                    console.warn(`⚠️ Stock went negative for ${category.name} after deduction!`);
-                                    newQty = 0;
-                                }
-                                await category.update({ quantity: newQty });
-                                console.log(`✅ Decremented ${item.quantity} from ${category.name}. New Qty: ${newQty}`);
-                            }
-                        } catch (stockError) {
-                            console.error(`❌ Failed to decrement stock for item ${item.category}:`, stockError);
-                        }
+            if (completedRequest && completedRequest.Items) {
+                // Every deployed unit gets an entry in the asset registry
+                try {
+                    const assets = await registerDeployedAssets({ request: completedRequest, items: completedRequest.Items, user: req.user });
+                    if (assets.length > 0) {
+                        console.log(`🏷️ Registered ${assets.length} asset(s) for request ${completedRequest.request_number}`);
                     }
+                } catch (assetError) {
+                    console.error('❌ Failed to register deployed assets:', assetError);
                 }
-            }
 
-            // Create next approval if needed
-            if (nextStep && nextApprovers.length > 0) {
-                // NEW: Create all approval records if next step requires 'all'
-                if (nextStep.approval_logic === 'all') {
-                    const nextType = nextStep.step_name.toLowerCase().replace(/ /g, '_');
-                    for (const approver of nextApprovers) {
-                        await Approval.findOrCreate({
-                            where: { request_id: request.id, approval_type: nextType, approver_id: approver.id },
-                            defaults: { status: 'pending' }
-                        });
+                // Equipment the deployed items replace now has to come back
+                try {
+                    const tasks = await flagReplacedAssets({ request: completedRequest, items: completedRequest.Items, user: req.user });
+                    if (tasks.length > 0) {
+                        console.log(`📦 Flagged ${tasks.length} replaced asset(s) for return`);
+                        await notifyReturnTasks(tasks, completedRequest);
                     }
-                } else {
-                    // Legacy/Any logic: Create one generic
-                    const nextType = nextStep.step_name.toLowerCase().replace(/ /g, '_');
-                    await Approval.findOrCreate({
-                        where: {
-                            request_id: request.id,
-                            approval_type: nextType
-                        },
-                        defaults: {
-                            approver_id: nextApprovers[0].id,
-                            status: 'pending'
-                        }
-                    });
+                } catch (replacementError) {
+                    console.error('❌ Failed to flag replaced assets for return:', replacementError);
                 }
-
-                // Update request with new pending approvers
-                await request.update({
-                    pending_approver_ids: nextApprovers.map(u => u.id),
-                    current_step_id: nextStep.id
-                });
             }
 
             // Reload request with approver info for email
@@ -1508,14 +1903,6 @@ export const approveRequest = async (req, res) => {
             }
         } else {
             console.log(`ℹ️ Step '${currentStep.step_name}' partially approved. Waiting for others.`);
-
-            // Remove current approver from pending list so it no longer shows as "Action Required" for them
-            if (request.pending_approver_ids && Array.isArray(request.pending_approver_ids)) {
-                const updatedPending = request.pending_approver_ids.filter(id => id !== req.user.id);
-                await request.update({
-                    pending_approver_ids: updatedPending
-                });
-            }
         }
 
         // Audit Log
@@ -1528,6 +1915,8 @@ export const approveRequest = async (req, res) => {
                 newStatus,
                 comments,
                 approvalType,
+                ...(delegateFor && { onBehalfOf: delegateFor }),
+                ...(otherBranchIds.length > 0 && { parallelBranch: currentStep.step_name }),
                 signatureUsed: !!signature, // Log if signature was provided
                 itemChanges: changes // Use the scoped variable
             }
@@ -1539,7 +1928,8 @@ export const approveRequest = async (req, res) => {
                 id: request.id,
                 requestNumber: request.request_number,
                 status: newStatus
-            }
+            },
+            stockWarnings
         });
     } catch (error) {
         console.error('Error approving request:', error);
@@ -1585,13 +1975,19 @@ export const declineRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         let approvalType;
         let newStatus;
 
         // Dynamic Workflow Logic: Find current step
         const currentStep = await findCurrentStepForApprover('item_request', req.user, request.status, {
             department_id: request.department_id,
-            current_step_id: request.current_step_id
+            current_step_id: request.current_step_id,
+            active_step_ids: request.active_step_ids,
+            workflow_id: request.workflow_id,
+            workflow_version: request.workflow_version,
+            escalated_approver_ids: request.escalated_approver_ids
         });
 
         // Fallback: If no workflow step, check legacy logic permissions
@@ -1629,35 +2025,44 @@ export const declineRequest = async (req, res) => {
             }
         }
 
-        // Find or create approval record
+        // Find approval record (created below if there is none)
         let approval = await Approval.findOne({
             where: {
                 request_id: request.id,
                 approval_type: approvalType
             }
         });
+        const delegateFor = await findDelegatorForStep(currentStep, req.user, {
+            department_id: request.department_id,
+            requestor_id: request.requestor_id,
+            escalated_approver_ids: request.escalated_approver_ids
+        }, 'item_request');
 
-        if (!approval) {
-            approval = await Approval.create({
-                request_id: request.id,
-                approval_type: approvalType,
-                approver_id: req.user.id,
-                status: 'pending'
-            });
-        }
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            if (!approval) {
+                approval = await Approval.create({
+                    request_id: request.id,
+                    approval_type: approvalType,
+                    approver_id: req.user.id,
+                    status: 'pending'
+                }, { transaction });
+            }
 
-        // Update approval
-        approval.decline(comments);
-        approval.approver_id = req.user.id;
-        if (signature) approval.signature = signature;
-        await approval.save();
+            // Update approval
+            approval.decline(comments);
+            approval.approver_id = req.user.id;
+            approval.delegate_for = delegateFor;
+            if (signature) approval.signature = signature;
+            await approval.save({ transaction });
 
-        // Update request status
-        await request.update({
-            status: newStatus,
-            current_step_id: null,
-            pending_approver_ids: []
-        });
+            // Update request status
+            await request.update({
+                status: newStatus,
+                current_step_id: null,
+                pending_approver_ids: []
+            }, { transaction });
+            await releaseRequestReservations({ request, reason: 'request_declined', transaction });
+        })) return;
 
         // Reload request with relations for email
         await request.reload({
@@ -1684,7 +2089,8 @@ export const declineRequest = async (req, res) => {
             details: {
                 newStatus,
                 comments,
-                approvalType
+                approvalType,
+                ...(approval.delegate_for && { onBehalfOf: approval.delegate_for })
             }
         });
 
@@ -1705,6 +2111,36 @@ export const declineRequest = async (req, res) => {
     }
 };
 
+// Approve or decline several requests at once with one comment and signature, each at the
+// version the list showed (`versions`).
+// Each request is handled by approveRequest/declineRequest, so the same checks apply;
+// a request that fails is reported in its result and doesn't stop the rest.
+export const bulkAction = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { action, ids, versions, comments, signature } = req.body;
+        const handler = action === 'decline' ? declineRequest : approveRequest;
+        const uniqueIds = [...new Set(ids.map(id => parseInt(id, 10)))];
+
+        const results = await runBulkAction(handler, req, uniqueIds, { comments, signature }, versions);
+
+        res.json(summarizeBulkResults(action, results));
+    } catch (error) {
+        console.error('Error processing bulk action:', error);
+        res.status(500).json({
+            error: 'Failed to process bulk action',
+            message: error.message
+        });
+    }
+};
+
 // Return request for revision
 export const returnRequest = async (req, res) => {
     try {
@@ -1721,7 +2157,9 @@ export const returnRequest = async (req, res) => {
 
         console.log('Return request - ID:', id, 'Reason:', returnReason, 'ReturnTo:', returnTo);
 
-        const request = await Request.findByPk(id);
+        const request = await Request.findByPk(id, {
+            include: [{ model: RequestItem, as: 'Items' }] // Needed for step conditions when re-routing
+        });
 
         if (!request) {
             return res.status(404).json({
@@ -1743,13 +2181,19 @@ export const returnRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         let approvalType;
         let newStatus = 'returned';
 
         // Dynamic Workflow Logic: Find current step
         const currentStep = await findCurrentStepForApprover('item_request', req.user, request.status, {
             department_id: request.department_id,
-            current_step_id: request.current_step_id
+            current_step_id: request.current_step_id,
+            active_step_ids: request.active_step_ids,
+            workflow_id: request.workflow_id,
+            workflow_version: request.workflow_version,
+            escalated_approver_ids: request.escalated_approver_ids
         });
 
         // Fallback: If no workflow step, AND no legacy permission
@@ -1788,28 +2232,18 @@ export const returnRequest = async (req, res) => {
             }
         }
 
-        // Find or create approval record
+        // Find approval record (created below if there is none)
         let approval = await Approval.findOne({
             where: {
                 request_id: request.id,
                 approval_type: approvalType
             }
         });
-
-        if (!approval) {
-            approval = await Approval.create({
-                request_id: request.id,
-                approval_type: approvalType,
-                approver_id: req.user.id,
-                status: 'pending'
-            });
-        }
-
-        // Update approval
-        approval.returnForRevision(returnReason);
-        approval.approver_id = req.user.id;
-        if (signature) approval.signature = signature;
-        await approval.save();
+        const delegateFor = await findDelegatorForStep(currentStep, req.user, {
+            department_id: request.department_id,
+            requestor_id: request.requestor_id,
+            escalated_approver_ids: request.escalated_approver_ids
+        }, 'item_request');
 
         // Update request status
         const updateData = { status: newStatus };
@@ -1818,12 +2252,10 @@ export const returnRequest = async (req, res) => {
             // Re-route back to Step 1: find it and re-assign the dept approver
             try {
                 const { processWorkflowOnSubmit } = await import('../utils/workflowProcessor.js');
-                const step1Result = await processWorkflowOnSubmit('item_request', {
-                    department_id: request.department_id,
-                    requestor_id: request.requestor_id
-                });
+                const step1Result = await processWorkflowOnSubmit('item_request', buildConditionContext('item_request', request));
                 if (step1Result && step1Result.step) {
                     updateData.current_step_id = step1Result.step.id;
+                    updateData.active_step_ids = (step1Result.steps || [step1Result.step]).map(s => s.id);
                     const approverIds = (step1Result.approvers || (step1Result.approver ? [step1Result.approver] : []))
                         .map(a => a.id);
                     updateData.pending_approver_ids = approverIds;
@@ -1845,7 +2277,26 @@ export const returnRequest = async (req, res) => {
             updateData.pending_approver_ids = [];
         }
 
-        await request.update(updateData);
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            if (!approval) {
+                approval = await Approval.create({
+                    request_id: request.id,
+                    approval_type: approvalType,
+                    approver_id: req.user.id,
+                    status: 'pending'
+                }, { transaction });
+            }
+
+            // Update approval
+            approval.returnForRevision(returnReason);
+            approval.approver_id = req.user.id;
+            approval.delegate_for = delegateFor;
+            if (signature) approval.signature = signature;
+            await approval.save({ transaction });
+
+            await request.update(updateData, { transaction });
+            await releaseRequestReservations({ request, reason: 'request_returned', transaction });
+        })) return;
 
         // Reload request with relations for email
         await request.reload({
@@ -1872,7 +2323,8 @@ export const returnRequest = async (req, res) => {
             details: {
                 newStatus,
                 returnReason,
-                returnedTo: returnTo
+                returnedTo: returnTo,
+                ...(approval.delegate_for && { onBehalfOf: approval.delegate_for })
             }
         });
 
@@ -1916,6 +2368,8 @@ export const cancelRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         // Cannot cancel completed requests
         if (['completed', 'cancelled'].includes(request.status)) {
             return res.status(400).json({
@@ -1924,7 +2378,10 @@ export const cancelRequest = async (req, res) => {
             });
         }
 
-        await request.update({ status: 'cancelled' });
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            await request.update({ status: 'cancelled' }, { transaction });
+            await releaseRequestReservations({ request, reason: 'request_cancelled', transaction });
+        })) return;
 
         res.json({
             message: 'Request cancelled successfully',
@@ -2444,6 +2901,35 @@ export const trackRequest = async (req, res) => {
             }
         }
 
+        // 2b. Parallel branches (workflow steps sharing an order) are shown side by side
+        const parallelGroups = await describeParallelBranches(
+            'item_request',
+            buildConditionContext('item_request', request),
+            (step) => approvals.filter(a => a.approval_type === step.step_name.toLowerCase().replace(/ /g, '_'))
+        );
+
+        for (const group of parallelGroups) {
+            const isGroupDeclined = group.branches.some(b => b.status === 'declined');
+            const isGroupCompleted = group.branches.every(b => b.status === 'approved');
+            const completedCount = group.branches.filter(b => b.status === 'approved').length;
+
+            timeline.push({
+                stage: `parallel_step_${group.stepOrder}`,
+                status: `Parallel Approval (Step ${group.stepOrder})`,
+                timestamp: isGroupCompleted || isGroupDeclined
+                    ? group.branches.map(b => b.completedAt).filter(Boolean).sort((a, b) => new Date(a) - new Date(b)).pop() || null
+                    : null,
+                completedBy: null,
+                description: isGroupDeclined
+                    ? 'Declined in one of the parallel branches'
+                    : `${completedCount} of ${group.branches.length} parallel approvals completed`,
+                branches: group.branches,
+                isPending: !isGroupCompleted && !isGroupDeclined,
+                isCompleted: isGroupCompleted,
+                isDeclined: isGroupDeclined
+            });
+        }
+
         // 3. Post-Processing Stages (PR Approval & Deployment/Completion)
         // These don't always have explicit 'approval' records in the approvals array if they are just status transitions
         // so we add them based on the request status.
@@ -2645,14 +3131,26 @@ export const restockItem = async (req, res) => {
             return res.status(400).json({ error: 'Item is already returned to inventory' });
         }
 
-        // Find Category and Increment Stock
-        const category = await Category.findOne({ where: { name: item.category } });
+        // Units already returned one at a time through the asset registry are not counted again
+        const hasAssets = await Asset.count({ where: { request_item_id: item.id } }) > 0;
+        const returnQuantity = hasAssets ? (await getOutstandingItemAssets(item)).length : item.quantity;
+
+        // Find the item's SKU and Increment Stock
+        const { sku } = await resolveItemStock(item);
 
         let stockMessage = '';
-        if (category && category.track_stock) {
-            const newQty = category.quantity + item.quantity;
-            await category.update({ quantity: newQty });
-            stockMessage = `Stock updated for ${category.name}: ${category.quantity} -> ${newQty}`;
+        if (returnQuantity === 0) {
+            stockMessage = 'Every unit was already returned individually - Stock not updated';
+        } else if (sku) {
+            const { sku: updated } = await recordStockMovement({
+                sku,
+                type: 'return',
+                quantity: returnQuantity,
+                request,
+                requestItem: item,
+                user: req.user
+            });
+            stockMessage = `Stock updated for ${sku.name}: ${sku.quantity} -> ${updated.quantity}`;
         } else {
             stockMessage = 'Category not tracked or not found - Stock not updated';
         }
@@ -2662,6 +3160,7 @@ export const restockItem = async (req, res) => {
             is_returned: true,
             returned_at: new Date()
         });
+        const returnedAssets = await returnItemAssets({ item, user: req.user });
 
         // Audit Log
         await logAudit({
@@ -2672,8 +3171,9 @@ export const restockItem = async (req, res) => {
             details: {
                 requestNumber: request.request_number,
                 itemCategory: item.category,
-                quantity: item.quantity,
-                stockUpdate: stockMessage
+                quantity: returnQuantity,
+                stockUpdate: stockMessage,
+                ...(returnedAssets > 0 && { assetsReturned: returnedAssets })
             }
         });
 
@@ -2812,7 +3312,8 @@ export const uploadAttachments = async (req, res) => {
         res.json({
             success: true,
             message: 'Attachments uploaded successfully',
-            attachments: updatedAttachments
+            attachments: updatedAttachments,
+            version: request.version
         });
     } catch (error) {
         console.error('Error uploading attachments:', error);
@@ -2873,9 +3374,6 @@ export const deleteAttachment = async (req, res) => {
 export const approvePR = async (req, res) => {
     try {
         const { id } = req.params;
-        const { replenishments } = req.body; // Expect replenishments here
-
-        console.log(`[${new Date().toISOString()}] Received Payload: ${JSON.stringify(req.body)}`);
 
         // Ensure user is service desk or admin
         if (!['service_desk', 'super_administrator'].includes(req.user.role)) {
@@ -2887,11 +3385,6 @@ export const approvePR = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Request not found' });
         }
 
-        // Validate attachments exist
-        if (!request.attachments || request.attachments.length === 0) {
-            return res.status(400).json({ success: false, message: 'Cannot approve PR without attachments (e.g. PR document)' });
-        }
-
         // Validate status - PR can only be approved when in service_desk_processing
         if (request.status !== 'service_desk_processing') {
             return res.status(400).json({
@@ -2900,62 +3393,34 @@ export const approvePR = async (req, res) => {
             });
         }
 
-        // --- Replenishment Logic ---
-        if (replenishments) {
-            console.log('📦 Processing Replenishments for PR Approval:', JSON.stringify(replenishments));
-
-            // Fetch items to match
-            const requestItems = await RequestItem.findAll({ where: { request_id: request.id } });
-
-            for (const item of requestItems) {
-                if (item.approval_status === 'rejected') continue;
-
-                // Lookup replenishment data (robust key check)
-                const itemId = item.id;
-                const replenishment = replenishments[itemId] || replenishments[String(itemId)];
-
-                if (replenishment) {
-                    const category = await Category.findOne({ where: { name: item.category } });
-                    if (category && category.track_stock) {
-                        const { prNumber, addedQty } = replenishment;
-
-                        // Validate
-                        if (!prNumber || !/^\d{8}$/.test(prNumber)) {
-                            throw new Error(`Invalid PR Number for ${category.name}. Must be 8 digits.`);
-                        }
-                        if (!addedQty || parseInt(addedQty) <= 0) {
-                            throw new Error(`Invalid Quantity for ${category.name}. Must be greater than 0.`);
-                        }
-
-                        // Update Stock
-                        const supplyQty = parseInt(addedQty);
-                        const newStock = category.quantity + supplyQty;
+        // Every item that has to be bought needs a purchase requisition
+        const uncovered = await getUncoveredPurchaseItems({ request });
+        if (uncovered.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Create a purchase requisition for ${uncovered.map(item => item.category).join(', ')} before approving the PR`
+            });
+        }
 
-                        await category.update({
-                            quantity: newStock,
-                            stock_updated_at: new Date()
-                        });
+        const drafted = await PurchaseRequisition.findAll({ where: { request_id: request.id, status: 'drafted' } });
+        const withoutDocument = drafted.filter(requisition => !requisition.document);
+        if (withoutDocument.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot approve PR without the PR document. Attach it to PR ${withoutDocument.map(requisition => requisition.pr_number).join(', ')}`
+            });
+        }
 
-                        console.log(`✅ Stock Replenished for ${category.name}: +${supplyQty} -> ${newStock} (PR: ${prNumber})`);
-
-                        // Log specific replenishment action
-                        await logAudit({
-                            req,
-                            action: 'RESTOCK', // Using RESTOCK or UPDATE
-                            entityType: 'Category',
-                            entityId: category.id,
-                            details: {
-                                message: `Stock replenished via PR Approval`,
-                                addedQty: supplyQty,
-                                prNumber: prNumber,
-                                newTotal: newStock
-                            }
-                        });
-                    }
-                }
-            }
+        for (const requisition of drafted) {
+            await approvePurchaseRequisition({ requisition, user: req.user });
+            await logAudit({
+                req,
+                action: 'APPROVE',
+                entityType: 'PurchaseRequisition',
+                entityId: requisition.id,
+                details: { prNumber: requisition.pr_number, requestId: request.id }
+            });
         }
-        // ---------------------------
 
         // Update status and clear workflow step to allow completion
         const oldStatus = request.status;
@@ -2973,13 +3438,14 @@ export const approvePR = async (req, res) => {
             details: {
                 previousStatus: oldStatus,
                 newStatus: 'pr_approved',
-                approvalType: 'pr_approval' // Distinct marker for timeline
+                approvalType: 'pr_approval', // Distinct marker for timeline
+                prNumbers: drafted.map(requisition => requisition.pr_number)
             }
         });
 
         res.json({
             success: true,
-            message: 'PR Approved and Stock Replenished successfully',
+            message: 'PR Approved successfully',
             request: {
                 id: request.id,
                 status: 'pr_approved'
@@ -3015,12 +3481,38 @@ export const readyToDeploy = async (req, res) => {
             });
         }
 
-        // Update status and clear workflow step to allow completion
+        // The reserved stock leaves the shelf now, so it must all be there. `location_id` is
+        // the storeroom or site it is taken from; `locations` ({ itemId: locationId }) picks
+        // one per item. Items without either come from wherever the stock is.
+        const source = {
+            locationId: req.body.location_id || null,
+            itemLocations: req.body.locations || {}
+        };
+        await syncRequestReservations({ request, user: req.user });
+        let shortages;
+        try {
+            shortages = await getDeploymentShortages({ request, ...source });
+        } catch (locationError) {
+            return res.status(400).json({ success: false, message: locationError.message });
+        }
+        if (shortages.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Not enough stock on hand to deploy. ${shortages.map(shortage => shortage.message).join('; ')}`,
+                shortages
+            });
+        }
+        // The stock leaves and the status changes together, or neither does
         const oldStatus = request.status;
-        await request.update({
-            status: 'ready_to_deploy',
-            current_step_id: null,
-            pending_approver_ids: []
+        await sequelize.transaction(async (transaction) => {
+            await consumeRequestReservations({ request, user: req.user, ...source, transaction });
+
+            // Update status and clear workflow step to allow completion
+            await request.update({
+                status: 'ready_to_deploy',
+                current_step_id: null,
+                pending_approver_ids: []
+            }, { transaction });
         });
 
         await logAudit({
@@ -3031,7 +3523,8 @@ export const readyToDeploy = async (req, res) => {
             details: {
                 previousStatus: oldStatus,
                 newStatus: 'ready_to_deploy',
-                approvalType: 'ready_to_deploy'
+                approvalType: 'ready_to_deploy',
+                sourceLocationId: source.locationId
             }
         });
 
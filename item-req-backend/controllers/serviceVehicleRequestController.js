@@ -13,11 +13,143 @@ import {
     processWorkflowOnSubmit,
     processWorkflowOnApproval,
     findCurrentStepForApprover,
-    getActiveWorkflow,
-    findApproverForStep
+    getWorkflowForRequest,
+    findApproverForStep,
+    findDelegatorForStep,
+    buildConditionContext,
+    getActiveStepIds,
+    getApproverIdsForSteps
 } from "../utils/workflowProcessor.js";
 import emailService from "../utils/emailService.js";
 import { logAudit, calculateChanges } from '../utils/auditLogger.js';
+import { runBulkAction, summarizeBulkResults } from '../utils/bulkActions.js';
+import { claimVersion, isStaleVersion, parseVersion, MISSING_VERSION_MESSAGE, STALE_VERSION_MESSAGE } from '../utils/requestVersion.js';
+import { canViewVehicleRequest } from '../utils/requestAccess.js';
+
+// Associations loaded for the request detail view
+const VEHICLE_REQUEST_DETAIL_INCLUDE = [
+    {
+        model: User,
+        as: "RequestedByUser",
+        attributes: [
+            "id",
+            "first_name",
+            "last_name",
+            "email",
+            "username",
+            "role",
+        ],
+    },
+    {
+        model: Department,
+        as: "Department",
+        attributes: ["id", "name"],
+    },
+    {
+        model: User,
+        as: "Verifier",
+        attributes: ["id", "first_name", "last_name"]
+    },
+    {
+        model: Vehicle,
+        as: "AssignedVehicle",
+    },
+];
+
+// Request detail as returned by GET /api/service-vehicle-requests/:id
+async function serializeRequestDetail(request, user) {
+    // Map request to include camelCase user fields
+    const requestData = request.toJSON ? request.toJSON() : request;
+
+    // Map RequestedByUser
+    if (requestData.RequestedByUser) {
+        requestData.RequestedByUser = {
+            ...requestData.RequestedByUser,
+            firstName: requestData.RequestedByUser.first_name,
+            lastName: requestData.RequestedByUser.last_name,
+            fullName: `${requestData.RequestedByUser.first_name} ${requestData.RequestedByUser.last_name}`
+        };
+    }
+
+    // Compute isPendingMyApproval so frontend can gate approval buttons correctly
+    if (!['completed', 'declined', 'draft'].includes(requestData.status)) {
+        if (requestData.pending_approver_ids && requestData.pending_approver_ids.length > 0) {
+            requestData.isPendingMyApproval = requestData.pending_approver_ids.includes(user.id);
+        } else {
+            try {
+                const currentStep = await findCurrentStepForApprover('vehicle_request', user, requestData.status, {
+                    department_id: requestData.department_id,
+                    current_step_id: requestData.current_step_id,
+                    active_step_ids: requestData.active_step_ids,
+                    workflow_id: requestData.workflow_id,
+                    workflow_version: requestData.workflow_version,
+                    escalated_approver_ids: requestData.escalated_approver_ids
+                });
+                requestData.isPendingMyApproval = !!currentStep;
+            } catch (err) {
+                requestData.isPendingMyApproval = false;
+            }
+        }
+    } else {
+        requestData.isPendingMyApproval = false;
+    }
+
+    return requestData;
+}
+
+// Optimistic concurrency: the form sends back the `version` it loaded. Without one answer 400;
+// if someone changed the request since, answer 409 with the current state so the form can
+// merge or reload.
+async function rejectStaleVersion(req, res, request) {
+    const expectedVersion = parseVersion(req.body.version);
+    if (expectedVersion === null) {
+        res.status(400).json({
+            success: false,
+            message: MISSING_VERSION_MESSAGE,
+        });
+        return true;
+    }
+    if (!isStaleVersion(request, expectedVersion)) {
+        return false;
+    }
+
+    await sendVersionConflict(req, res, request);
+    return true;
+}
+
+// Make an action's writes in one transaction that starts by moving the request on from the
+// version the client sent (see claimVersion). Two changes racing past rejectStaleVersion
+// can't both win, and a write that fails rolls the version back with it, so a retry isn't
+// turned away. Answers 409 and returns true when another change got there first.
+async function rejectLostVersion(req, res, request, writes) {
+    const claimed = await sequelize.transaction(async (transaction) => {
+        if (!await claimVersion(request, parseVersion(req.body.version), transaction)) return false;
+        await writes(transaction);
+        return true;
+    });
+    if (claimed) return false;
+
+    await sendVersionConflict(req, res, request);
+    return true;
+}
+
+async function sendVersionConflict(req, res, request) {
+    // Only hand the current state to people involved with the request; others can reload it
+    // through GET /api/service-vehicle-requests/:id, which applies the full access rules
+    const user = req.user;
+    const isInvolved = request.requested_by === user.id ||
+        user.role === 'super_administrator' ||
+        (request.pending_approver_ids || []).includes(user.id) ||
+        user.role === 'department_approver';
+
+    const current = await ServiceVehicleRequest.findByPk(request.id, { include: VEHICLE_REQUEST_DETAIL_INCLUDE });
+    res.status(409).json({
+        success: false,
+        message: STALE_VERSION_MESSAGE,
+        currentVersion: current.version,
+        request: isInvolved ? await serializeRequestDetail(current, user) : undefined,
+    });
+}
 
 // Helper function to validate and format dates
 function formatDate(dateString) {
@@ -27,6 +159,51 @@ function formatDate(dateString) {
     return date.toISOString().split("T")[0]; // Returns YYYY-MM-DD format
 }
 
+// Steps sharing an order run in parallel: fold their timeline entries into one entry
+// whose branches are shown side by side
+function groupParallelTimelineSteps(timeline) {
+    const toBranch = (event) => ({
+        stepName: event.status,
+        status: event.isDeclined ? 'declined' : event.isCompleted ? 'approved' : 'pending',
+        completedBy: event.completedBy?.name || null,
+        completedAt: event.isPending ? null : event.timestamp,
+        comments: event.comments || null
+    });
+
+    const grouped = [];
+    for (const event of timeline) {
+        const previous = grouped[grouped.length - 1];
+        if (!previous || !event.stage.startsWith('step_') || previous.stage !== event.stage) {
+            grouped.push(event);
+            continue;
+        }
+
+        const branches = [...(previous.branches || [toBranch(previous)]), toBranch(event)];
+        const isDeclined = branches.some(b => b.status === 'declined');
+        const isCompleted = branches.every(b => b.status === 'approved');
+        const completedCount = branches.filter(b => b.status === 'approved').length;
+
+        grouped[grouped.length - 1] = {
+            stage: event.stage,
+            status: `Parallel Approval (Step ${event.stage.replace('step_', '')})`,
+            timestamp: isCompleted || isDeclined
+                ? branches.map(b => b.completedAt).filter(Boolean).sort((a, b) => new Date(a) - new Date(b)).pop() || null
+                : null,
+            completedBy: null,
+            description: isDeclined
+                ? 'Declined in one of the parallel branches'
+                : `${completedCount} of ${branches.length} parallel approvals completed`,
+            comments: null,
+            branches,
+            isPending: !isCompleted && !isDeclined,
+            isCompleted,
+            isDeclined
+        };
+    }
+
+    return grouped;
+}
+
 // Generate reference code in SVRFYYYY-XXXX format (sequential, DB-backed)
 async function generateReferenceCode() {
     const now = new Date();
@@ -250,6 +427,11 @@ export const getAllRequests = async (req, res) => {
                             model: User,
                             as: "Approver",
                             attributes: ["id", "first_name", "last_name", "username", "role"],
+                        },
+                        {
+                            model: User,
+                            as: "DelegateFor",
+                            attributes: ["id", "first_name", "last_name", "username"],
                         }
                     ],
                     order: [['step_order', 'ASC']],
@@ -292,6 +474,11 @@ export const getAllRequests = async (req, res) => {
                         username: approval.Approver.username,
                         role: approval.Approver.role
                     } : null,
+                    onBehalfOf: approval.DelegateFor ? {
+                        id: approval.DelegateFor.id,
+                        fullName: `${approval.DelegateFor.first_name} ${approval.DelegateFor.last_name}`,
+                        username: approval.DelegateFor.username
+                    } : null,
                     comments: approval.comments,
                     approvedAt: approval.approved_at,
                     declinedAt: approval.declined_at,
@@ -313,7 +500,11 @@ export const getAllRequests = async (req, res) => {
                     try {
                         const currentStep = await findCurrentStepForApprover('vehicle_request', req.user, requestData.status, {
                             department_id: requestData.department_id,
-                            current_step_id: requestData.current_step_id
+                            current_step_id: requestData.current_step_id,
+                            active_step_ids: requestData.active_step_ids,
+                            workflow_id: requestData.workflow_id,
+                            workflow_version: requestData.workflow_version,
+                            escalated_approver_ids: requestData.escalated_approver_ids
                         });
 
                         if (currentStep) {
@@ -361,36 +552,7 @@ export const getRequestById = async (req, res) => {
     try {
         const { id } = req.params;
 
-        const request = await ServiceVehicleRequest.findByPk(id, {
-            include: [
-                {
-                    model: User,
-                    as: "RequestedByUser",
-                    attributes: [
-                        "id",
-                        "first_name",
-                        "last_name",
-                        "email",
-                        "username",
-                        "role",
-                    ],
-                },
-                {
-                    model: Department,
-                    as: "Department",
-                    attributes: ["id", "name"],
-                },
-                {
-                    model: User,
-                    as: "Verifier",
-                    attributes: ["id", "first_name", "last_name"]
-                },
-                {
-                    model: Vehicle,
-                    as: "AssignedVehicle",
-                },
-            ],
-        });
+        const request = await ServiceVehicleRequest.findByPk(id, { include: VEHICLE_REQUEST_DETAIL_INCLUDE });
 
         if (!request) {
             return res.status(404).json({
@@ -400,53 +562,7 @@ export const getRequestById = async (req, res) => {
         }
 
         // Check access permissions
-        let hasAccess = false;
-
-        if (req.user.id === request.requested_by) {
-            // Anyone can see their own request
-            hasAccess = true;
-        } else if (req.user.role === 'super_administrator') {
-            // Super admins can see all requests
-            hasAccess = true;
-        } else if (request.pending_approver_ids && request.pending_approver_ids.includes(req.user.id)) {
-            // Currently assigned approver
-            hasAccess = true;
-        } else if (request.verifier_id === req.user.id) {
-            // Assigned verifier can see request (even after verification)
-            hasAccess = true;
-        } else {
-            // Check past approvals
-            const pastApproval = await VehicleApproval.findOne({
-                where: { vehicle_request_id: request.id, approver_id: req.user.id }
-            });
-            if (pastApproval) {
-                hasAccess = true;
-            } else if (req.user.role === 'department_approver') {
-                // Check if ODHC vehicle steward
-                const odhcDepartment = await Department.findOne({
-                    where: { is_vehicle_steward: true, is_active: true },
-                });
-                if (odhcDepartment && req.user.department_id === odhcDepartment.id) {
-                    hasAccess = true;
-                } else {
-                    // Check ApprovalMatrix assignment for this specific department
-                    const matrixRule = await ApprovalMatrix.findOne({
-                        where: {
-                            user_id: req.user.id,
-                            is_active: true,
-                            form_type: 'vehicle_request',
-                            [Op.or]: [
-                                { department_id: request.department_id },
-                                { department_id: null } // Global rule
-                            ]
-                        }
-                    });
-                    if (matrixRule || req.user.department_id === request.department_id) {
-                        hasAccess = true;
-                    }
-                }
-            }
-        }
+        const hasAccess = await canViewVehicleRequest(req.user, request);
 
         if (!hasAccess) {
             return res.status(403).json({
@@ -455,41 +571,9 @@ export const getRequestById = async (req, res) => {
             });
         }
 
-        // Map request to include camelCase user fields
-        const requestData = request.toJSON ? request.toJSON() : request;
-
-        // Map RequestedByUser
-        if (requestData.RequestedByUser) {
-            requestData.RequestedByUser = {
-                ...requestData.RequestedByUser,
-                firstName: requestData.RequestedByUser.first_name,
-                lastName: requestData.RequestedByUser.last_name,
-                fullName: `${requestData.RequestedByUser.first_name} ${requestData.RequestedByUser.last_name}`
-            };
-        }
-
-        // Compute isPendingMyApproval so frontend can gate approval buttons correctly
-        if (!['completed', 'declined', 'draft'].includes(requestData.status)) {
-            if (requestData.pending_approver_ids && requestData.pending_approver_ids.length > 0) {
-                requestData.isPendingMyApproval = requestData.pending_approver_ids.includes(req.user.id);
-            } else {
-                try {
-                    const currentStep = await findCurrentStepForApprover('vehicle_request', req.user, requestData.status, {
-                        department_id: requestData.department_id,
-                        current_step_id: requestData.current_step_id
-                    });
-                    requestData.isPendingMyApproval = !!currentStep;
-                } catch (err) {
-                    requestData.isPendingMyApproval = false;
-                }
-            }
-        } else {
-            requestData.isPendingMyApproval = false;
-        }
-
         res.json({
             success: true,
-            request: requestData,
+            request: await serializeRequestDetail(request, req.user),
         });
     } catch (error) {
         console.error("Error fetching service vehicle request:", error);
@@ -649,6 +733,8 @@ export const updateRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         // Process passengers array if provided
         if (req.body.passengers !== undefined) {
             if (req.body.passengers && Array.isArray(req.body.passengers)) {
@@ -752,7 +838,9 @@ export const updateRequest = async (req, res) => {
             }
         });
 
-        await request.save();
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            await request.save({ transaction });
+        })) return;
 
         // Audit Log: Vehicle Request Updated
         if (Object.keys(changes).length > 0) {
@@ -800,6 +888,8 @@ export const submitRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         // If it's already submitted, we can just return success for an update & resubmit
         if (request.status === "submitted") {
             return res.json({
@@ -834,12 +924,12 @@ export const submitRequest = async (req, res) => {
 
         request.status = "submitted";
         request.submitted_at = new Date();
-        await request.save();
 
-        // Use workflow system to find the first approver
-        const workflowResult = await processWorkflowOnSubmit('vehicle_request', {
-            department_id: request.department_id
-        });
+        // Use workflow system to find the first approver.
+        // A (re)submission follows the latest published version of the workflow.
+        request.workflow_id = null;
+        request.workflow_version = null;
+        const workflowResult = await processWorkflowOnSubmit('vehicle_request', buildConditionContext('vehicle_request', request));
 
         let nextApprovers = [];
 
@@ -854,11 +944,14 @@ export const submitRequest = async (req, res) => {
             // Phase 1: Save explicit current step ID
             if (workflowResult.step) {
                 request.current_step_id = workflowResult.step.id;
+                request.active_step_ids = (workflowResult.steps || [workflowResult.step]).map(s => s.id);
+
+                // Pin the workflow version so later edits to the workflow don't reroute this request
+                request.workflow_id = workflowResult.step.workflow_id;
+                request.workflow_version = workflowResult.step.version;
 
                 // Phase 3: Save pending approver IDs
                 request.pending_approver_ids = nextApprovers.map(a => a.id);
-
-                await request.save(); // Save the step ID immediately
             }
 
             console.log(`✅ Found ${nextApprovers.length} approver(s) from workflow`);
@@ -891,6 +984,11 @@ export const submitRequest = async (req, res) => {
             }
         }
 
+        // The status, step and approvers are saved together
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            await request.save({ transaction });
+        })) return;
+
         // Convert Sequelize instances to plain objects for email service
         const requestData = requestWithRelations?.toJSON ? requestWithRelations.toJSON() : requestWithRelations;
         const requestorData = requestData?.RequestedByUser ? {
@@ -985,8 +1083,13 @@ export const approveRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         // Use workflow system to determine which statuses can be approved
-        const workflow = await getActiveWorkflow('vehicle_request');
+        const workflow = await getWorkflowForRequest('vehicle_request', {
+            workflow_id: request.workflow_id,
+            workflow_version: request.workflow_version
+        });
         let allowedStatuses = ["submitted", "returned"];
 
         if (workflow && workflow.Steps && workflow.Steps.length > 0) {
@@ -1064,86 +1167,81 @@ export const approveRequest = async (req, res) => {
         let newStatus = "completed"; // Default to completed
         let nextApprovers = [];
         let currentStep = null;
+        let hasNextStep = false;
 
         if (workflow && workflow.Steps && workflow.Steps.length > 0) {
             // Find the current step that matches this approver and request status
             currentStep = await findCurrentStepForApprover('vehicle_request', req.user, request.status, {
                 department_id: request.department_id,
-                current_step_id: request.current_step_id // Phase 1: Pass explicit step ID
+                current_step_id: request.current_step_id, // Phase 1: Pass explicit step ID
+                active_step_ids: request.active_step_ids,
+                workflow_id: request.workflow_id,
+                workflow_version: request.workflow_version,
+                escalated_approver_ids: request.escalated_approver_ids
             });
 
             if (currentStep) {
                 console.log(`✅ Found current step: ${currentStep.step_name} (order: ${currentStep.step_order})`);
 
-                // Check if there's a next step
-                const nextStepResult = await processWorkflowOnApproval('vehicle_request', {
-                    department_id: request.department_id
-                }, currentStep.step_order);
-
-                if (nextStepResult && nextStepResult.step) {
-                    // There's a next step - use the current step's status_on_approval
-                    // Ensure status is never blank - use status_on_approval or fallback to a valid status
-                    if (!currentStep.status_on_approval || currentStep.status_on_approval.trim() === '') {
-                        console.warn(`⚠️ Step ${currentStep.step_order} has empty status_on_approval, using 'department_approved' as fallback`);
-                        newStatus = 'department_approved';
-                    } else {
-                        newStatus = currentStep.status_on_approval;
-                    }
+                // Parallel branches: the request only advances once every step of this order is approved
+                const otherBranchIds = getActiveStepIds(request).filter(stepId => stepId !== currentStep.id);
 
-                    // Phase 2: Handle multiple approvers
-                    if (nextStepResult.approvers && Array.isArray(nextStepResult.approvers)) {
-                        nextApprovers = nextStepResult.approvers;
-                    } else if (nextStepResult.approver) {
-                        nextApprovers = [nextStepResult.approver];
-                    }
+                if (otherBranchIds.length > 0) {
+                    newStatus = request.status;
 
-                    // Phase 1: Update explicit step ID for next step
-                    request.current_step_id = nextStepResult.step.id;
-
-                    // Phase 3: Update pending approver IDs
-                    request.pending_approver_ids = nextApprovers.map(a => a.id);
-
-                    console.log(`➡️ Next step: ${nextStepResult.step.step_name} (order: ${nextStepResult.step.step_order}), Next approvers count: ${nextApprovers.length}`);
-
-                    // Send notification to next approvers if available
-                    if (nextApprovers.length > 0 && requestorData) {
-                        try {
-                            // Notify all approvers
-                            for (const approver of nextApprovers) {
-                                await emailService.notifyVehicleApprovalRequired(
-                                    request.toJSON ? request.toJSON() : request,
-                                    requestorData,
-                                    {
-                                        ...approver.toJSON(),
-                                        firstName: approver.first_name,
-                                        lastName: approver.last_name,
-                                        fullName: `${approver.first_name} ${approver.last_name}`
-                                    }
-                                );
-                            }
-                            console.log(`✅ Email notifications sent to ${nextApprovers.length} next approver(s)`);
-                        } catch (emailError) {
-                            console.error("Failed to send email notification to next approver:", emailError);
-                        }
-                    } else {
-                        if (nextApprovers.length === 0) {
-                            console.warn('⚠️ No next approvers found to send notification');
+                    // Keep only the approvers who still have a branch to approve
+                    const remainingApproverIds = await getApproverIdsForSteps('vehicle_request', otherBranchIds, {
+                        department_id: request.department_id,
+                        requestor_id: request.requested_by,
+                        escalated_approver_ids: request.escalated_approver_ids
+                    });
+                    request.active_step_ids = otherBranchIds;
+                    request.pending_approver_ids = (request.pending_approver_ids || []).filter(approverId => remainingApproverIds.has(approverId));
+
+                    console.log(`ℹ️ Parallel branch '${currentStep.step_name}' approved. Waiting for ${otherBranchIds.length} other branch(es).`);
+                } else {
+                    // Check if there's a next step
+                    const nextStepResult = await processWorkflowOnApproval('vehicle_request', buildConditionContext('vehicle_request', request), currentStep.step_order);
+
+                    if (nextStepResult && nextStepResult.step) {
+                        // There's a next step - use the current step's status_on_approval
+                        // Ensure status is never blank - use status_on_approval or fallback to a valid status
+                        if (!currentStep.status_on_approval || currentStep.status_on_approval.trim() === '') {
+                            console.warn(`⚠️ Step ${currentStep.step_order} has empty status_on_approval, using 'department_approved' as fallback`);
+                            newStatus = 'department_approved';
+                        } else {
+                            newStatus = currentStep.status_on_approval;
                         }
-                        if (!requestorData) {
-                            console.warn('⚠️ No requestor data found to send notification');
+
+                        // Phase 2: Handle multiple approvers
+                        if (nextStepResult.approvers && Array.isArray(nextStepResult.approvers)) {
+                            nextApprovers = nextStepResult.approvers;
+                        } else if (nextStepResult.approver) {
+                            nextApprovers = [nextStepResult.approver];
                         }
-                    }
-                } else {
-                    // No next step - this is the final step
-                    // Phase 1: Clear explicit step ID as workflow is complete
-                    request.current_step_id = null;
 
-                    // Phase 3: Clear pending approver IDs (completed)
-                    request.pending_approver_ids = [];
+                        // Phase 1: Update explicit step ID for next step
+                        request.current_step_id = nextStepResult.step.id;
+                        request.active_step_ids = (nextStepResult.steps || [nextStepResult.step]).map(s => s.id);
+
+                        // Phase 3: Update pending approver IDs
+                        request.pending_approver_ids = nextApprovers.map(a => a.id);
+
+                        console.log(`➡️ Next step: ${nextStepResult.step.step_name} (order: ${nextStepResult.step.step_order}), Next approvers count: ${nextApprovers.length}`);
+
+                        hasNextStep = true;
+                    } else {
+                        // No next step - this is the final step
+                        // Phase 1: Clear explicit step ID as workflow is complete
+                        request.current_step_id = null;
 
-                    // use status_on_completion if set, otherwise use status_on_approval, or default to completed
-                    newStatus = currentStep.status_on_completion || currentStep.status_on_approval || "completed";
-                    console.log(`✅ Final step (${currentStep.step_name}) - setting status to: ${newStatus}`);
+                        // Phase 3: Clear pending approver IDs (completed)
+                        request.pending_approver_ids = [];
+
+                        // use status_on_completion if set, otherwise use status_on_approval, or default to completed
+                        newStatus = currentStep.status_on_completion || currentStep.status_on_approval || "completed";
+                        console.log(`✅ Final step (${currentStep.step_name}) - setting status to: ${newStatus}`);
+                    }
                 }
             } else {
                 console.warn('⚠️ Could not find current step, allowing default completion');
@@ -1159,37 +1257,25 @@ export const approveRequest = async (req, res) => {
             newStatus = "completed";
         }
 
-        // Create or update VehicleApproval record for this approval step
+        // Find the VehicleApproval record for this approval step (created below if there is none)
         let currentApprovalComments = remarks || null;
+        let delegateFor = null;
+        let vehicleApproval = null;
         if (currentStep) {
-            let vehicleApproval = await VehicleApproval.findOne({
+            // Temporary delegation: is this user acting on behalf of the step's approver?
+            delegateFor = await findDelegatorForStep(currentStep, req.user, {
+                department_id: request.department_id,
+                requestor_id: request.requested_by,
+                escalated_approver_ids: request.escalated_approver_ids
+            }, 'vehicle_request');
+
+            vehicleApproval = await VehicleApproval.findOne({
                 where: {
                     vehicle_request_id: request.id,
-                    step_order: currentStep.step_order
+                    step_order: currentStep.step_order,
+                    step_name: currentStep.step_name
                 }
             });
-
-            if (!vehicleApproval) {
-                // Create new approval record
-                vehicleApproval = await VehicleApproval.create({
-                    vehicle_request_id: request.id,
-                    approver_id: req.user.id,
-                    workflow_step_id: currentStep.id,
-                    step_order: currentStep.step_order,
-                    step_name: currentStep.step_name,
-                    status: 'approved',
-                    comments: remarks || null,
-                    approved_at: new Date()
-                });
-            } else {
-                // Update existing approval record
-                vehicleApproval.approve(remarks || null);
-                vehicleApproval.approver_id = req.user.id;
-                await vehicleApproval.save();
-            }
-            // Store the current approver's comments for the email (from VehicleApproval record)
-            currentApprovalComments = vehicleApproval.comments || remarks || null;
-            console.log(`✅ Created/updated VehicleApproval record for step ${currentStep.step_order}: ${currentStep.step_name}`);
         }
 
         // Update request status
@@ -1200,7 +1286,70 @@ export const approveRequest = async (req, res) => {
             request.approval_date = new Date();
         }
 
-        await request.save();
+        // The approval record and the request are saved together
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            if (currentStep) {
+                if (!vehicleApproval) {
+                    // Create new approval record
+                    vehicleApproval = await VehicleApproval.create({
+                        vehicle_request_id: request.id,
+                        approver_id: req.user.id,
+                        workflow_step_id: currentStep.id,
+                        step_order: currentStep.step_order,
+                        step_name: currentStep.step_name,
+                        status: 'approved',
+                        comments: remarks || null,
+                        approved_at: new Date(),
+                        delegate_for: delegateFor
+                    }, { transaction });
+                } else {
+                    // Update existing approval record
+                    vehicleApproval.approve(remarks || null);
+                    vehicleApproval.approver_id = req.user.id;
+                    vehicleApproval.delegate_for = delegateFor;
+                    await vehicleApproval.save({ transaction });
+                }
+            }
+
+            await request.save({ transaction });
+        })) return;
+
+        if (vehicleApproval) {
+            // Store the current approver's comments for the email (from VehicleApproval record)
+            currentApprovalComments = vehicleApproval.comments || remarks || null;
+            console.log(`✅ Created/updated VehicleApproval record for step ${currentStep.step_order}: ${currentStep.step_name}`);
+        }
+
+        if (hasNextStep) {
+            // Send notification to next approvers if available
+            if (nextApprovers.length > 0 && requestorData) {
+                try {
+                    // Notify all approvers
+                    for (const approver of nextApprovers) {
+                        await emailService.notifyVehicleApprovalRequired(
+                            request.toJSON ? request.toJSON() : request,
+                            requestorData,
+                            {
+                                ...approver.toJSON(),
+                                firstName: approver.first_name,
+                                lastName: approver.last_name,
+                                fullName: `${approver.first_name} ${approver.last_name}`
+                            }
+                        );
+                    }
+                    console.log(`✅ Email notifications sent to ${nextApprovers.length} next approver(s)`);
+                } catch (emailError) {
+                    console.error("Failed to send email notification to next approver:", emailError);
+                }
+            } else {
+                if (nextApprovers.length === 0) {
+                    console.warn('⚠️ No next approvers found to send notification');
+                }
+                if (!requestorData) {
+                    console.warn('⚠️ No requestor data found to send notification');
+                }
+            }
+        }
 
         // Send email notification to requestor
         try {
@@ -1240,7 +1389,8 @@ export const approveRequest = async (req, res) => {
             details: {
                 status: newStatus,
                 step: currentStep ? currentStep.step_name : 'unknown',
-                comments: remarks || null
+                comments: remarks || null,
+                ...(delegateFor && { onBehalfOf: delegateFor })
             }
         });
 
@@ -1288,9 +1438,14 @@ export const declineRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         // Use workflow system to determine which statuses can be declined
         // Allow decline for: submitted, returned, and any intermediate workflow statuses
-        const workflow = await getActiveWorkflow('vehicle_request');
+        const workflow = await getWorkflowForRequest('vehicle_request', {
+            workflow_id: request.workflow_id,
+            workflow_version: request.workflow_version
+        });
         let allowedDeclineStatuses = ["submitted", "returned"];
 
         if (workflow && workflow.Steps && workflow.Steps.length > 0) {
@@ -1309,35 +1464,30 @@ export const declineRequest = async (req, res) => {
         // Find current workflow step
         const currentStep = await findCurrentStepForApprover('vehicle_request', req.user, request.status, {
             department_id: request.department_id,
-            current_step_id: request.current_step_id // Phase 1: Pass explicit step ID
+            current_step_id: request.current_step_id, // Phase 1: Pass explicit step ID
+            active_step_ids: request.active_step_ids,
+            workflow_id: request.workflow_id,
+            workflow_version: request.workflow_version,
+            escalated_approver_ids: request.escalated_approver_ids
         });
 
-        // Create or update VehicleApproval record for decline
+        // Find the VehicleApproval record for decline (created below if there is none)
+        let delegateFor = null;
+        let vehicleApproval = null;
         if (currentStep) {
-            let vehicleApproval = await VehicleApproval.findOne({
+            delegateFor = await findDelegatorForStep(currentStep, req.user, {
+                department_id: request.department_id,
+                requestor_id: request.requested_by,
+                escalated_approver_ids: request.escalated_approver_ids
+            }, 'vehicle_request');
+
+            vehicleApproval = await VehicleApproval.findOne({
                 where: {
                     vehicle_request_id: request.id,
-                    step_order: currentStep.step_order
+                    step_order: currentStep.step_order,
+                    step_name: currentStep.step_name
                 }
             });
-
-            if (!vehicleApproval) {
-                vehicleApproval = await VehicleApproval.create({
-                    vehicle_request_id: request.id,
-                    approver_id: req.user.id,
-                    workflow_step_id: currentStep.id,
-                    step_order: currentStep.step_order,
-                    step_name: currentStep.step_name,
-                    status: 'declined',
-                    comments: reason || null,
-                    declined_at: new Date()
-                });
-            } else {
-                vehicleApproval.decline(reason || null);
-                vehicleApproval.approver_id = req.user.id;
-                await vehicleApproval.save();
-            }
-            console.log(`✅ Created/updated VehicleApproval record for decline at step ${currentStep.step_order}`);
         }
 
         request.status = "declined";
@@ -1346,7 +1496,33 @@ export const declineRequest = async (req, res) => {
         request.current_step_id = null;
         // Phase 3: Clear pending approvers
         request.pending_approver_ids = [];
-        await request.save();
+
+        // The approval record and the request are saved together
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            if (currentStep) {
+                if (!vehicleApproval) {
+                    vehicleApproval = await VehicleApproval.create({
+                        vehicle_request_id: request.id,
+                        approver_id: req.user.id,
+                        workflow_step_id: currentStep.id,
+                        step_order: currentStep.step_order,
+                        step_name: currentStep.step_name,
+                        status: 'declined',
+                        comments: reason || null,
+                        declined_at: new Date(),
+                        delegate_for: delegateFor
+                    }, { transaction });
+                } else {
+                    vehicleApproval.decline(reason || null);
+                    vehicleApproval.approver_id = req.user.id;
+                    vehicleApproval.delegate_for = delegateFor;
+                    await vehicleApproval.save({ transaction });
+                }
+                console.log(`✅ Created/updated VehicleApproval record for decline at step ${currentStep.step_order}`);
+            }
+
+            await request.save({ transaction });
+        })) return;
 
         // Convert Sequelize instance to plain object for email service
         const requestData = request.toJSON ? request.toJSON() : request;
@@ -1380,7 +1556,8 @@ export const declineRequest = async (req, res) => {
             entityId: request.id,
             details: {
                 reason,
-                status: request.status
+                status: request.status,
+                ...(delegateFor && { onBehalfOf: delegateFor })
             }
         });
 
@@ -1399,6 +1576,40 @@ export const declineRequest = async (req, res) => {
     }
 };
 
+// Approve or decline several requests at once with one comment, each at the version the
+// list showed (`versions`).
+// Each request is handled by approveRequest/declineRequest, so the same checks apply;
+// a request that fails is reported in its result and doesn't stop the rest.
+export const bulkAction = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+
+        const { action, ids, versions, comments, signature } = req.body;
+        const uniqueIds = [...new Set(ids.map((id) => parseInt(id, 10)))];
+
+        // Vehicle approvals take the comment as remarks, declines as the reason
+        const results = action === "decline"
+            ? await runBulkAction(declineRequest, req, uniqueIds, { reason: comments, signature }, versions)
+            : await runBulkAction(approveRequest, req, uniqueIds, { remarks: comments, signature }, versions);
+
+        res.json(summarizeBulkResults(action, results));
+    } catch (error) {
+        console.error("Error processing bulk action:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to process bulk action",
+            error: error.message,
+        });
+    }
+};
+
 export const returnRequest = async (req, res) => {
     try {
         const { id } = req.params;
@@ -1427,8 +1638,13 @@ export const returnRequest = async (req, res) => {
             });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         // Use workflow system to determine which statuses can be returned
-        const workflow = await getActiveWorkflow('vehicle_request');
+        const workflow = await getWorkflowForRequest('vehicle_request', {
+            workflow_id: request.workflow_id,
+            workflow_version: request.workflow_version
+        });
         let allowedReturnStatuses = ["submitted", "returned"];
 
         if (workflow && workflow.Steps && workflow.Steps.length > 0) {
@@ -1447,36 +1663,30 @@ export const returnRequest = async (req, res) => {
         // Find current workflow step
         const currentStep = await findCurrentStepForApprover('vehicle_request', req.user, request.status, {
             department_id: request.department_id,
-            current_step_id: request.current_step_id // Phase 1: Pass explicit step ID
+            current_step_id: request.current_step_id, // Phase 1: Pass explicit step ID
+            active_step_ids: request.active_step_ids,
+            workflow_id: request.workflow_id,
+            workflow_version: request.workflow_version,
+            escalated_approver_ids: request.escalated_approver_ids
         });
 
-        // Create or update VehicleApproval record for return (History for CURRENT step)
+        // Find the VehicleApproval record for return (History for CURRENT step; created below if there is none)
+        let delegateFor = null;
+        let vehicleApproval = null;
         if (currentStep) {
-            let vehicleApproval = await VehicleApproval.findOne({
+            delegateFor = await findDelegatorForStep(currentStep, req.user, {
+                department_id: request.department_id,
+                requestor_id: request.requested_by,
+                escalated_approver_ids: request.escalated_approver_ids
+            }, 'vehicle_request');
+
+            vehicleApproval = await VehicleApproval.findOne({
                 where: {
                     vehicle_request_id: request.id,
-                    step_order: currentStep.step_order
+                    step_order: currentStep.step_order,
+                    step_name: currentStep.step_name
                 }
             });
-
-            if (!vehicleApproval) {
-                vehicleApproval = await VehicleApproval.create({
-                    vehicle_request_id: request.id,
-                    approver_id: req.user.id,
-                    workflow_step_id: currentStep.id,
-                    step_order: currentStep.step_order,
-                    step_name: currentStep.step_name,
-                    status: 'returned',
-                    return_reason: reason || null,
-                    return_to: returnTo || 'requestor', // Save where it was returned to
-                    returned_at: new Date()
-                });
-            } else {
-                vehicleApproval.returnForRevision(reason || null);
-                vehicleApproval.approver_id = req.user.id;
-                vehicleApproval.return_to = returnTo || 'requestor';
-                await vehicleApproval.save();
-            }
         }
 
         // Handle Return Logic
@@ -1511,7 +1721,33 @@ export const returnRequest = async (req, res) => {
             request.pending_approver_ids = [];
         }
 
-        await request.save();
+        // The approval record and the request are saved together
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            if (currentStep) {
+                if (!vehicleApproval) {
+                    vehicleApproval = await VehicleApproval.create({
+                        vehicle_request_id: request.id,
+                        approver_id: req.user.id,
+                        workflow_step_id: currentStep.id,
+                        step_order: currentStep.step_order,
+                        step_name: currentStep.step_name,
+                        status: 'returned',
+                        return_reason: reason || null,
+                        return_to: returnTo || 'requestor', // Save where it was returned to
+                        returned_at: new Date(),
+                        delegate_for: delegateFor
+                    }, { transaction });
+                } else {
+                    vehicleApproval.returnForRevision(reason || null);
+                    vehicleApproval.approver_id = req.user.id;
+                    vehicleApproval.delegate_for = delegateFor;
+                    vehicleApproval.return_to = returnTo || 'requestor';
+                    await vehicleApproval.save({ transaction });
+                }
+            }
+
+            await request.save({ transaction });
+        })) return;
 
         // Convert Sequelize instance to plain object for email service
         const requestData = request.toJSON ? request.toJSON() : request;
@@ -1545,7 +1781,8 @@ export const returnRequest = async (req, res) => {
             entityId: request.id,
             details: {
                 reason,
-                status: request.status
+                status: request.status,
+                ...(delegateFor && { onBehalfOf: delegateFor })
             }
         });
 
@@ -1591,6 +1828,8 @@ export const cancelRequest = async (req, res) => {
             return res.status(403).json({ success: false, message: "You can only cancel your own requests." });
         }
 
+        if (await rejectStaleVersion(req, res, request)) return;
+
         // Only submitted or department_approved requests may be cancelled
         if (!['submitted', 'department_approved'].includes(request.status)) {
             return res.status(400).json({
@@ -1599,10 +1838,12 @@ export const cancelRequest = async (req, res) => {
             });
         }
 
-        await request.update({
-            status: 'cancelled',
-            cancellation_reason: reason.trim()
-        });
+        if (await rejectLostVersion(req, res, request, async (transaction) => {
+            await request.update({
+                status: 'cancelled',
+                cancellation_reason: reason.trim()
+            }, { transaction });
+        })) return;
 
         // 1. Find ODHC Department Approver to notify
         const odhcDepartment = await Department.findOne({
@@ -1980,7 +2221,10 @@ export const trackRequest = async (req, res) => {
         const timeline = [];
 
         // Get active workflow for vehicle requests
-        const workflow = await getActiveWorkflow('vehicle_request');
+        const workflow = await getWorkflowForRequest('vehicle_request', {
+            workflow_id: request.workflow_id,
+            workflow_version: request.workflow_version
+        });
 
         // 1. Request submitted - Always completed
         // Use created_at (when request was created) as submission date
@@ -2006,9 +2250,10 @@ export const trackRequest = async (req, res) => {
         // Build timeline from workflow steps
         // Use VehicleApproval records if available to get individual approval dates
         const vehicleApprovals = request.Approvals || [];
-        const approvalsByStepOrder = {};
+        // Keyed by order and name, since parallel branches share a step order
+        const approvalsByStep = {};
         vehicleApprovals.forEach(approval => {
-            approvalsByStepOrder[approval.step_order] = approval;
+            approvalsByStep[`${approval.step_order}:${approval.step_name}`] = approval;
         });
 
         if (workflow && workflow.Steps && workflow.Steps.length > 0) {
@@ -2036,7 +2281,7 @@ export const trackRequest = async (req, res) => {
                 let isDeclined = false;
                 let approverInfo = null;
                 let approvalTimestamp = null;
-                const approvalRecord = approvalsByStepOrder[step.step_order];
+                const approvalRecord = approvalsByStep[`${step.step_order}:${step.step_name}`];
                 const isLastStep = i === sortedSteps.length - 1;
                 const requestDataForTimestamp = request.toJSON ? request.toJSON() : request;
                 const updatedAt = requestDataForTimestamp.updated_at || request.updated_at || request.updatedAt || requestDataForTimestamp.updatedAt;
@@ -2288,7 +2533,7 @@ export const trackRequest = async (req, res) => {
                 : request.requestor_name || 'Unknown',
             department: request.Department?.name,
             purpose: request.purpose || 'Vehicle service request',
-            timeline,
+            timeline: groupParallelTimelineSteps(timeline),
             vehicleDetails: {
                 requestType,
                 travelDateFrom: request.travel_date_from,
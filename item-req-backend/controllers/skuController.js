@@ -0,0 +1,261 @@
+import { Op } from 'sequelize';
+import { sequelize, Category, Sku, StockMovement } from '../models/index.js';
+import { logAudit, calculateChanges } from '../utils/auditLogger.js';
+import { recordStockMovement, setStockLevel } from '../utils/stockLedger.js';
+import { getReservedQuantities, describeAvailability } from '../utils/stockReservations.js';
+import { getLocationBalances, getInTransitQuantities, resolveStockLocation } from '../utils/stockLocations.js';
+
+const SKU_FIELDS = ['code', 'name', 'description', 'unit', 'min_stock_level'];
+
+// Stock figures of each SKU: reserved and available, where it is held and how much is in transit
+const loadStockFigures = async (skuIds = null) => {
+    const [reserved, balances, inTransit] = await Promise.all([
+        getReservedQuantities(skuIds),
+        getLocationBalances(skuIds),
+        getInTransitQuantities(skuIds)
+    ]);
+    return { reserved, balances, inTransit };
+};
+
+const withAvailability = (sku, { reserved, balances, inTransit }) => {
+    const { reserved: reservedQuantity, available } = describeAvailability(sku, reserved.get(sku.id) || 0);
+    return {
+        ...sku.toJSON(),
+        reserved_quantity: reservedQuantity,
+        available_quantity: available,
+        balances: balances.get(sku.id) || [],
+        in_transit_quantity: inTransit.get(sku.id) || 0
+    };
+};
+
+const pickSkuFields = (body) => Object.fromEntries(
+    SKU_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+export const getAllSkus = async (req, res) => {
+    try {
+        const { category_id, search = '', include_discontinued } = req.query;
+
+        const where = {};
+        if (category_id) {
+            where.category_id = category_id;
+        }
+        if (search) {
+            where[Op.or] = [
+                { code: { [Op.iLike]: `%${search}%` } },
+                { name: { [Op.iLike]: `%${search}%` } },
+                { description: { [Op.iLike]: `%${search}%` } }
+            ];
+        }
+        if (include_discontinued !== 'true') {
+            where.status = { [Op.ne]: 'discontinued' };
+        }
+
+        const [skus, figures] = await Promise.all([
+            Sku.findAll({
+                where,
+                include: [{ model: Category, as: 'Category', attributes: ['id', 'name', 'track_stock'] }],
+                order: [[{ model: Category, as: 'Category' }, 'name', 'ASC'], ['is_default', 'DESC'], ['name', 'ASC']]
+            }),
+            loadStockFigures()
+        ]);
+
+        res.json(skus.map(sku => withAvailability(sku, figures)));
+    } catch (error) {
+        console.error('Error fetching SKUs:', error);
+        res.status(500).json({ message: 'Error fetching SKUs' });
+    }
+};
+
+export const getSkuById = async (req, res) => {
+    try {
+        const sku = await Sku.findByPk(req.params.id, {
+            include: [{ model: Category, as: 'Category', attributes: ['id', 'name', 'track_stock'] }]
+        });
+        if (!sku) {
+            return res.status(404).json({ message: 'SKU not found' });
+        }
+
+        res.json(withAvailability(sku, await loadStockFigures([sku.id])));
+    } catch (error) {
+        console.error('Error fetching SKU:', error);
+        res.status(500).json({ message: 'Error fetching SKU' });
+    }
+};
+
+export const createSku = async (req, res) => {
+    try {
+        const { category_id, quantity, location_id } = req.body;
+
+        const category = await Category.findByPk(category_id);
+        if (!category) {
+            return res.status(404).json({ message: 'Category not found' });
+        }
+        if (!category.track_stock) {
+            return res.status(400).json({ message: `Stock is not tracked for ${category.name}` });
+        }
+
+        const fields = pickSkuFields(req.body);
+        if (fields.code && await Sku.findOne({ where: { code: fields.code } })) {
+            return res.status(409).json({ message: `SKU code ${fields.code} is already in use` });
+        }
+
+        let location;
+        try {
+            location = await resolveStockLocation(location_id);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+
+        let sku = await Sku.create({
+            ...fields,
+            code: fields.code || undefined,
+            category_id: category.id
+        });
+
+        // Starting stock goes through the ledger like any other change
+        const initialQuantity = parseInt(quantity) || 0;
+        if (initialQuantity > 0) {
+            ({ sku } = await recordStockMovement({
+                sku,
+                type: 'opening_balance',
+                quantity: initialQuantity,
+                location,
+                user: req.user
+            }));
+        }
+
+        await logAudit({
+            req,
+            action: 'CREATE',
+            entityType: 'Inventory',
+            entityId: category.id,
+            details: {
+                itemName: `${sku.name} (${sku.code})`,
+                category: category.name,
+                quantity: sku.quantity
+            }
+        });
+
+        res.status(201).json(sku);
+    } catch (error) {
+        console.error('Error creating SKU:', error);
+        res.status(500).json({ message: 'Error creating SKU' });
+    }
+};
+
+export const updateSku = async (req, res) => {
+    try {
+        const { quantity, location_id, is_default, discontinued, stock_movement_type, stock_notes } = req.body;
+
+        const sku = await Sku.findByPk(req.params.id);
+        if (!sku) {
+            return res.status(404).json({ message: 'SKU not found' });
+        }
+
+        // `quantity` is the stock at `location_id`, or at the default location
+        const newQuantity = quantity !== undefined ? parseInt(quantity) : null;
+        if (newQuantity !== null && (!Number.isInteger(newQuantity) || newQuantity < 0)) {
+            return res.status(400).json({ message: 'Quantity must be a whole number of zero or more' });
+        }
+
+        const fields = pickSkuFields(req.body);
+        if (fields.code && fields.code !== sku.code && await Sku.findOne({ where: { code: fields.code } })) {
+            return res.status(409).json({ message: `SKU code ${fields.code} is already in use` });
+        }
+        if (discontinued === true && (sku.is_default || is_default)) {
+            return res.status(400).json({ message: 'The default SKU can\'t be discontinued; make another SKU the default first' });
+        }
+
+        const oldData = sku.toJSON();
+
+        await sequelize.transaction(async (transaction) => {
+            // A category has one default SKU
+            if (is_default === true && !sku.is_default) {
+                await Sku.update(
+                    { is_default: false },
+                    { where: { category_id: sku.category_id, is_default: true }, transaction }
+                );
+                fields.is_default = true;
+            }
+            if (discontinued === true) {
+                fields.status = 'discontinued';
+            } else if (discontinued === false && sku.status === 'discontinued') {
+                // Cleared here so the save hook works the status out from the stock again
+                fields.status = 'available';
+            }
+
+            await sku.update(fields, { transaction });
+        });
+
+        // A quantity change is recorded in the stock ledger
+        if (newQuantity !== null) {
+            try {
+                await setStockLevel({
+                    sku,
+                    quantity: newQuantity,
+                    location: await resolveStockLocation(location_id),
+                    type: stock_movement_type,
+                    notes: stock_notes || 'Quantity edited in Inventory Management',
+                    user: req.user
+                });
+            } catch (error) {
+                return res.status(400).json({ message: error.message });
+            }
+            await sku.reload();
+        }
+
+        const changes = calculateChanges(oldData, sku.toJSON(), ['updated_at', 'stock_updated_at']);
+        if (Object.keys(changes).length > 0) {
+            await logAudit({
+                req,
+                action: 'UPDATE',
+                entityType: 'Inventory',
+                entityId: sku.category_id,
+                details: {
+                    itemName: `${sku.name} (${sku.code})`,
+                    changes
+                }
+            });
+        }
+
+        res.json(sku);
+    } catch (error) {
+        console.error('Error updating SKU:', error);
+        res.status(500).json({ message: 'Error updating SKU' });
+    }
+};
+
+// Only SKUs without stock history can be deleted; the rest are discontinued so their
+// ledger is kept
+export const deleteSku = async (req, res) => {
+    try {
+        const sku = await Sku.findByPk(req.params.id);
+        if (!sku) {
+            return res.status(404).json({ message: 'SKU not found' });
+        }
+        if (sku.is_default) {
+            return res.status(400).json({ message: 'The default SKU can\'t be deleted' });
+        }
+        if (await StockMovement.count({ where: { sku_id: sku.id } }) > 0) {
+            return res.status(400).json({ message: `${sku.name} has stock history; discontinue it instead` });
+        }
+
+        await sku.destroy();
+
+        await logAudit({
+            req,
+            action: 'DELETE',
+            entityType: 'Inventory',
+            entityId: sku.category_id,
+            details: {
+                itemName: `${sku.name} (${sku.code})`
+            }
+        });
+
+        res.json({ message: 'SKU deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting SKU:', error);
+        res.status(500).json({ message: 'Error deleting SKU' });
+    }
+};
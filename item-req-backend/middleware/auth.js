@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { Op } from 'sequelize';
 import { User, Department } from '../models/index.js';
 
 // Lazy-load ApiKey to avoid circular dependency at module init time
@@ -169,6 +170,36 @@ export function requireRole(...allowedRoles) {
   };
 }
 
+// Role-based authorization that also admits users currently standing in as
+// someone's temporary delegate (the controller still checks the workflow step)
+export function requireRoleOrDelegate(...allowedRoles) {
+  const checkRole = requireRole(...allowedRoles);
+
+  return async (req, res, next) => {
+    if (req.user && !allowedRoles.flat().includes(req.user.role) && req.user.id) {
+      try {
+        const now = new Date();
+        const activeDelegations = await User.count({
+          where: {
+            temp_delegate_id: req.user.id,
+            temp_delegate_start: { [Op.lte]: now },
+            temp_delegate_end: { [Op.gte]: now },
+            is_active: true
+          }
+        });
+
+        if (activeDelegations > 0) {
+          return next();
+        }
+      } catch (error) {
+        console.error('Delegation check failed:', error);
+      }
+    }
+
+    return checkRole(req, res, next);
+  };
+}
+
 // Department-specific authorization
 export function requireDepartmentAccess(req, res, next) {
   if (!req.user) {
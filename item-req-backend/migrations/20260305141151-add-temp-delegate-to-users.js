@@ -3,20 +3,40 @@
 /** @type {import('sequelize-cli').Migration} */
 module.exports = {
   async up(queryInterface, Sequelize) {
-    /**
-     * Add altering commands here.
-     *
-     * Example:
-     * await queryInterface.createTable('users', { id: Sequelize.INTEGER });
-     */
+    await queryInterface.addColumn('users', 'temp_delegate_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'User who temporarily approves on behalf of this user'
+    });
+
+    await queryInterface.addColumn('users', 'temp_delegate_start', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Start of the temporary delegation period'
+    });
+
+    await queryInterface.addColumn('users', 'temp_delegate_end', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'End of the temporary delegation period'
+    });
+
+    await queryInterface.addColumn('users', 'temp_delegate_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Reason for the temporary delegation (e.g. leave, travel)'
+    });
   },
 
   async down(queryInterface, Sequelize) {
-    /**
-     * Add reverting commands here.
-     *
-     * Example:
-     * await queryInterface.dropTable('users');
-     */
+    await queryInterface.removeColumn('users', 'temp_delegate_reason');
+    await queryInterface.removeColumn('users', 'temp_delegate_end');
+    await queryInterface.removeColumn('users', 'temp_delegate_start');
+    await queryInterface.removeColumn('users', 'temp_delegate_id');
   }
 };
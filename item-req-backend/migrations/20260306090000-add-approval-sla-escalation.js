@@ -0,0 +1,80 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Per-step SLA and escalation settings
+    await queryInterface.addColumn('workflow_steps', 'sla_hours', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Hours a request may wait at this step before reminders start (null = no SLA)'
+    });
+    await queryInterface.addColumn('workflow_steps', 'reminders_before_escalation', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Number of reminder emails sent (one per SLA period) before the step is escalated'
+    });
+    await queryInterface.addColumn('workflow_steps', 'escalation_target', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Who to escalate to once reminders are exhausted: "approval_matrix", "it_manager" or null for reminders only'
+    });
+    await queryInterface.addColumn('workflow_steps', 'escalation_matrix_role', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Approval Matrix role whose users are added as backup approvers (if escalation_target is "approval_matrix")'
+    });
+
+    // SLA tracking on item and vehicle requests
+    for (const table of ['requests', 'service_vehicle_requests']) {
+      await queryInterface.addColumn(table, 'step_started_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Timestamp when the request entered its current workflow step (SLA clock)'
+      });
+      await queryInterface.addColumn(table, 'reminder_count', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Number of SLA reminders sent for the current workflow step'
+      });
+      await queryInterface.addColumn(table, 'last_reminder_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Timestamp of the last SLA reminder for the current workflow step'
+      });
+      await queryInterface.addColumn(table, 'escalated_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Timestamp when the current workflow step was escalated'
+      });
+      await queryInterface.addColumn(table, 'escalated_approver_ids', {
+        type: Sequelize.ARRAY(Sequelize.INTEGER),
+        allowNull: true,
+        defaultValue: [],
+        comment: 'Backup approver IDs added to the current workflow step by escalation'
+      });
+
+      // Start the SLA clock for requests already waiting on a step
+      await queryInterface.sequelize.query(
+        `UPDATE ${table} SET step_started_at = updated_at WHERE current_step_id IS NOT NULL`
+      );
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of ['requests', 'service_vehicle_requests']) {
+      await queryInterface.removeColumn(table, 'escalated_approver_ids');
+      await queryInterface.removeColumn(table, 'escalated_at');
+      await queryInterface.removeColumn(table, 'last_reminder_at');
+      await queryInterface.removeColumn(table, 'reminder_count');
+      await queryInterface.removeColumn(table, 'step_started_at');
+    }
+
+    await queryInterface.removeColumn('workflow_steps', 'escalation_matrix_role');
+    await queryInterface.removeColumn('workflow_steps', 'escalation_target');
+    await queryInterface.removeColumn('workflow_steps', 'reminders_before_escalation');
+    await queryInterface.removeColumn('workflow_steps', 'sla_hours');
+  }
+};
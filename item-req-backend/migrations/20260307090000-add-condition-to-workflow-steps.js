@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('workflow_steps', 'condition_expression', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Condition that must hold for this step to apply, e.g. "total_estimated_cost > 50000" (null = always applies)'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('workflow_steps', 'condition_expression');
+  }
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Steps sharing a step_order run in parallel, so a request can wait on several steps at once
+    for (const table of ['requests', 'service_vehicle_requests']) {
+      await queryInterface.addColumn(table, 'active_step_ids', {
+        type: Sequelize.ARRAY(Sequelize.INTEGER),
+        allowNull: true,
+        defaultValue: [],
+        comment: 'Workflow steps currently awaiting approval (several when parallel branches are open)'
+      });
+
+      await queryInterface.sequelize.query(
+        `UPDATE ${table} SET active_step_ids = ARRAY[current_step_id] WHERE current_step_id IS NOT NULL`
+      );
+    }
+
+    // Parallel branches share a step_order, so vehicle approvals are unique per step name within an order.
+    // The old constraint was created either by scripts/createVehicleApprovalsTable.js or by model sync.
+    await queryInterface.sequelize.query(
+      'ALTER TABLE vehicle_approvals DROP CONSTRAINT IF EXISTS unique_vehicle_request_step_order'
+    );
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS unique_vehicle_request_step_order');
+    await queryInterface.addIndex('vehicle_approvals', ['vehicle_request_id', 'step_order', 'step_name'], {
+      unique: true,
+      name: 'unique_vehicle_request_step'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('vehicle_approvals', 'unique_vehicle_request_step');
+    await queryInterface.addIndex('vehicle_approvals', ['vehicle_request_id', 'step_order'], {
+      unique: true,
+      name: 'unique_vehicle_request_step_order'
+    });
+
+    for (const table of ['requests', 'service_vehicle_requests']) {
+      await queryInterface.removeColumn(table, 'active_step_ids');
+    }
+  }
+};
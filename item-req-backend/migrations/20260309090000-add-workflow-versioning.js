@@ -0,0 +1,114 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Published workflow versions (steps of a version are never rewritten)
+    await queryInterface.createTable('workflow_versions', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      workflow_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'approval_workflows', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.addIndex('workflow_versions', ['workflow_id', 'version'], {
+      unique: true,
+      name: 'unique_workflow_version'
+    });
+
+    await queryInterface.addColumn('approval_workflows', 'current_version', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Version whose steps new requests follow; older versions stay for in-flight requests'
+    });
+    await queryInterface.addColumn('workflow_steps', 'version', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Workflow version this step belongs to'
+    });
+
+    // Pin requests to the workflow version they were submitted under
+    for (const table of ['requests', 'service_vehicle_requests']) {
+      await queryInterface.addColumn(table, 'workflow_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'approval_workflows', key: 'id' },
+        onDelete: 'SET NULL',
+        comment: 'Workflow the request was submitted under'
+      });
+      await queryInterface.addColumn(table, 'workflow_version', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Workflow version the request was submitted under (its steps are followed until completion)'
+      });
+    }
+
+    // Existing workflows become version 1
+    await queryInterface.sequelize.query(`
+      INSERT INTO workflow_versions (workflow_id, version, name, created_by, created_at, updated_at)
+      SELECT id, 1, workflow_name, COALESCE(updated_by, created_by), updated_at, updated_at
+      FROM approval_workflows
+    `);
+
+    // In-flight requests keep following the steps they are on
+    for (const table of ['requests', 'service_vehicle_requests']) {
+      await queryInterface.sequelize.query(`
+        UPDATE ${table} r
+        SET workflow_id = s.workflow_id, workflow_version = s.version
+        FROM workflow_steps s
+        WHERE r.current_step_id = s.id
+      `);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of ['requests', 'service_vehicle_requests']) {
+      await queryInterface.removeColumn(table, 'workflow_version');
+      await queryInterface.removeColumn(table, 'workflow_id');
+    }
+
+    // Older versions' steps would otherwise show up as part of the workflow again
+    await queryInterface.sequelize.query(`
+      DELETE FROM workflow_steps s
+      USING approval_workflows w
+      WHERE s.workflow_id = w.id AND s.version <> w.current_version
+    `);
+
+    await queryInterface.removeColumn('workflow_steps', 'version');
+    await queryInterface.removeColumn('approval_workflows', 'current_version');
+    await queryInterface.dropTable('workflow_versions');
+  }
+};
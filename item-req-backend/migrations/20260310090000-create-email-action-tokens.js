@@ -0,0 +1,69 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // One-time approve/decline/return links sent in approval emails
+    await queryInterface.createTable('email_action_tokens', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      form_type: {
+        type: Sequelize.ENUM('item_request', 'vehicle_request'),
+        allowNull: false
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      approver_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      step_ids: {
+        type: Sequelize.ARRAY(Sequelize.INTEGER),
+        allowNull: false,
+        defaultValue: []
+      },
+      request_status: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      used_action: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.addIndex('email_action_tokens', ['form_type', 'request_id']);
+    await queryInterface.addIndex('email_action_tokens', ['approver_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('email_action_tokens');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_email_action_tokens_form_type";');
+  }
+};
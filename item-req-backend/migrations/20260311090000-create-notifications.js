@@ -0,0 +1,64 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // In-app copies of the notification emails
+    await queryInterface.createTable('notifications', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      form_type: {
+        type: Sequelize.ENUM('item_request', 'vehicle_request'),
+        allowNull: true
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      link: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      read_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.addIndex('notifications', ['user_id', 'read_at']);
+    await queryInterface.addIndex('notifications', ['created_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('notifications');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notifications_form_type";');
+  }
+};
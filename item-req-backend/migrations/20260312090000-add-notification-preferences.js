@@ -0,0 +1,33 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'notification_preferences', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Delivery per notification type: immediate, digest, in_app or off (missing types are immediate)'
+    });
+
+    await queryInterface.addColumn('notifications', 'delivery', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'immediate',
+      comment: 'How the recipient gets this notification besides in-app: immediate (email), digest or in_app'
+    });
+    await queryInterface.addColumn('notifications', 'digest_sent_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the notification went out in a daily digest email'
+    });
+    await queryInterface.addIndex('notifications', ['delivery', 'digest_sent_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('notifications', ['delivery', 'digest_sent_at']);
+    await queryInterface.removeColumn('notifications', 'digest_sent_at');
+    await queryInterface.removeColumn('notifications', 'delivery');
+    await queryInterface.removeColumn('users', 'notification_preferences');
+  }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Admin-editable notification emails; the defaults are seeded on server start
+    await queryInterface.createTable('email_templates', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      key: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      subject: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      html_body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('email_templates');
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of ['requests', 'service_vehicle_requests']) {
+      await queryInterface.addColumn(table, 'version', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Incremented on every change; clients send it back so stale edits and approvals are rejected'
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of ['requests', 'service_vehicle_requests']) {
+      await queryInterface.removeColumn(table, 'version');
+    }
+  }
+};
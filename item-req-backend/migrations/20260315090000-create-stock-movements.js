@@ -0,0 +1,71 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Stock ledger; opening balances for existing stock are recorded on server start
+    await queryInterface.createTable('stock_movements', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'categories', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      movement_type: {
+        type: Sequelize.ENUM('opening_balance', 'receipt', 'deployment', 'return', 'adjustment', 'write_off'),
+        allowNull: false
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      balance_after: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'requests', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      request_item_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'request_items', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      pr_number: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.addIndex('stock_movements', ['category_id', 'created_at']);
+    await queryInterface.addIndex('stock_movements', ['request_id']);
+    await queryInterface.addIndex('stock_movements', ['movement_type']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('stock_movements');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stock_movements_movement_type";');
+  }
+};
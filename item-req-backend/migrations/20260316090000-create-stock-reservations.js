@@ -0,0 +1,78 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Soft holds on category stock for request items endorsed as "in stock"
+    await queryInterface.createTable('stock_reservations', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'categories', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'requests', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      request_item_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'request_items', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'consumed', 'released'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      stock_movement_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'stock_movements', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      release_reason: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      reserved_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      closed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.addIndex('stock_reservations', ['category_id', 'status']);
+    await queryInterface.addIndex('stock_reservations', ['request_id']);
+    await queryInterface.addIndex('stock_reservations', ['request_item_id', 'status']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('stock_reservations');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stock_reservations_status";');
+  }
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Registry of individual equipment units, linked to the request items that deployed them
+    await queryInterface.createTable('assets', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      asset_tag: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        unique: true
+      },
+      serial_number: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        unique: true
+      },
+      model: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'categories', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      custodian_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      custodian_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      department_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'departments', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      location: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      deployed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      warranty_end: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('in_stock', 'deployed', 'in_repair', 'retired'),
+        allowNull: false,
+        defaultValue: 'deployed'
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'requests', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      request_item_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'request_items', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.addIndex('assets', ['status']);
+    await queryInterface.addIndex('assets', ['category_id']);
+    await queryInterface.addIndex('assets', ['department_id']);
+    await queryInterface.addIndex('assets', ['custodian_id']);
+    await queryInterface.addIndex('assets', ['request_item_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('assets');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_assets_status";');
+  }
+};
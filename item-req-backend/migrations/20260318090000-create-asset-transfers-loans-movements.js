@@ -0,0 +1,243 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const userRef = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    };
+    const departmentRef = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'departments', key: 'id' },
+      onDelete: 'SET NULL'
+    };
+    const assetRef = {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'assets', key: 'id' },
+      onDelete: 'CASCADE'
+    };
+    const decision = {
+      type: Sequelize.ENUM('pending', 'approved', 'declined'),
+      allowNull: false,
+      defaultValue: 'pending'
+    };
+    const timestamps = {
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    };
+
+    // Custodian/department hand-overs, approved by both departments
+    await queryInterface.createTable('asset_transfers', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      asset_id: assetRef,
+      from_custodian_id: userRef,
+      from_custodian_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      from_department_id: departmentRef,
+      to_custodian_id: userRef,
+      to_custodian_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      to_department_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'departments', key: 'id' }
+      },
+      to_location: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'declined', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      from_decision: decision,
+      from_decided_by: userRef,
+      from_decided_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      to_decision: decision,
+      to_decided_by: userRef,
+      to_decided_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      decision_comments: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      requested_by: userRef,
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+    await queryInterface.addIndex('asset_transfers', ['asset_id']);
+    await queryInterface.addIndex('asset_transfers', ['status']);
+    await queryInterface.addIndex('asset_transfers', ['from_department_id', 'status']);
+    await queryInterface.addIndex('asset_transfers', ['to_department_id', 'status']);
+
+    // Temporary loans of in-stock assets
+    await queryInterface.createTable('asset_loans', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      asset_id: assetRef,
+      borrower_id: userRef,
+      borrower_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      department_id: departmentRef,
+      purpose: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      loaned_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      due_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'returned'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      returned_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      return_condition: {
+        type: Sequelize.ENUM('good', 'fair', 'damaged', 'not_working'),
+        allowNull: true
+      },
+      return_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      reminder_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_reminder_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      issued_by: userRef,
+      received_by: userRef,
+      ...timestamps
+    });
+    await queryInterface.addIndex('asset_loans', ['asset_id', 'status']);
+    await queryInterface.addIndex('asset_loans', ['status', 'due_date']);
+    await queryInterface.addIndex('asset_loans', ['borrower_id', 'status']);
+
+    // Every change of custodian, department or status of an asset
+    await queryInterface.createTable('asset_movements', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      asset_id: assetRef,
+      movement_type: {
+        type: Sequelize.ENUM('registered', 'deployed', 'transferred', 'reassigned', 'loaned', 'loan_returned', 'returned', 'status_changed'),
+        allowNull: false
+      },
+      from_custodian_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      to_custodian_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      from_department_id: departmentRef,
+      to_department_id: departmentRef,
+      from_status: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      to_status: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      condition: {
+        type: Sequelize.ENUM('good', 'fair', 'damaged', 'not_working'),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'requests', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      transfer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'asset_transfers', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      loan_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'asset_loans', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      performed_by: userRef,
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.addIndex('asset_movements', ['asset_id', 'created_at']);
+    await queryInterface.addIndex('asset_movements', ['movement_type']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('asset_movements');
+    await queryInterface.dropTable('asset_loans');
+    await queryInterface.dropTable('asset_transfers');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_asset_movements_movement_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_asset_movements_condition";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_asset_loans_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_asset_loans_return_condition";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_asset_transfers_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_asset_transfers_from_decision";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_asset_transfers_to_decision";');
+  }
+};
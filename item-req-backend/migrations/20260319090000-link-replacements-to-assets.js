@@ -0,0 +1,81 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // The registered asset a replacement item replaces
+    await queryInterface.addColumn('request_items', 'replaced_asset_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'assets', key: 'id' },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('request_items', ['replaced_asset_id']);
+
+    // Replaced equipment waits with its custodian until the Service Desk collects it
+    await queryInterface.sequelize.query('ALTER TYPE "enum_assets_status" ADD VALUE IF NOT EXISTS \'pending_return\';');
+
+    await queryInterface.createTable('asset_return_tasks', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      asset_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'assets', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'requests', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      request_item_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'request_items', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      custodian_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'completed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.addIndex('asset_return_tasks', ['status']);
+    await queryInterface.addIndex('asset_return_tasks', ['asset_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('asset_return_tasks');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_asset_return_tasks_status";');
+    await queryInterface.removeColumn('request_items', 'replaced_asset_id');
+    // Postgres can't drop an enum value; put replaced assets back to deployed instead
+    await queryInterface.sequelize.query('UPDATE "assets" SET "status" = \'deployed\' WHERE "status" = \'pending_return\';');
+  }
+};
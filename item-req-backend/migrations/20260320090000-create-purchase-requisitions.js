@@ -0,0 +1,132 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const userRef = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    };
+    const timestamps = {
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    };
+
+    await queryInterface.createTable('purchase_requisitions', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      pr_number: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      request_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'requests', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      vendor_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('drafted', 'approved', 'ordered', 'partially_received', 'received'),
+        allowNull: false,
+        defaultValue: 'drafted'
+      },
+      document: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: userRef,
+      approved_by: userRef,
+      approved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ordered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      received_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+    await queryInterface.addIndex('purchase_requisitions', ['status']);
+    await queryInterface.addIndex('purchase_requisitions', ['request_id']);
+
+    await queryInterface.createTable('purchase_requisition_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      purchase_requisition_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'purchase_requisitions', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      request_item_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'request_items', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'categories', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      quantity_received: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      quoted_unit_cost: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: true
+      },
+      actual_unit_cost: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: true
+      },
+      ...timestamps
+    });
+    await queryInterface.addIndex('purchase_requisition_items', ['purchase_requisition_id']);
+    await queryInterface.addIndex('purchase_requisition_items', ['request_item_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('purchase_requisition_items');
+    await queryInterface.dropTable('purchase_requisitions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_purchase_requisitions_status";');
+  }
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const userRef = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    };
+    const timestamps = {
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    };
+
+    await queryInterface.createTable('vendors', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: false,
+        unique: true
+      },
+      contact_person: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      phone: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      address: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      category_ids: {
+        type: Sequelize.ARRAY(Sequelize.INTEGER),
+        allowNull: false,
+        defaultValue: []
+      },
+      accreditation_number: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      accreditation_expires_on: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      payment_terms: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: userRef,
+      ...timestamps
+    });
+    await queryInterface.addIndex('vendors', ['is_active']);
+
+    await queryInterface.createTable('item_quotations', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      request_item_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'request_items', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      vendor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'vendors', key: 'id' },
+        onDelete: 'RESTRICT'
+      },
+      unit_price: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      lead_time_days: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      valid_until: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      file: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      is_selected: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      selection_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      selected_by: userRef,
+      selected_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: userRef,
+      ...timestamps
+    });
+    await queryInterface.addIndex('item_quotations', ['request_item_id']);
+    await queryInterface.addIndex('item_quotations', ['vendor_id']);
+
+    // PRs name the directory vendor they were raised with
+    await queryInterface.addColumn('purchase_requisitions', 'vendor_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'vendors', key: 'id' },
+      onDelete: 'SET NULL'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('purchase_requisitions', 'vendor_id');
+    await queryInterface.dropTable('item_quotations');
+    await queryInterface.dropTable('vendors');
+  }
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // All or nothing: a failure part-way leaves the items table as it was
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const query = (sql) => queryInterface.sequelize.query(sql, { transaction });
+      const skuRef = (allowNull, onDelete) => ({
+        type: Sequelize.INTEGER,
+        allowNull,
+        references: { model: 'skus', key: 'id' },
+        onDelete
+      });
+
+      // The old items list becomes the SKU table; its rows keep their ids
+      await queryInterface.renameTable('items', 'skus', { transaction });
+      await query('ALTER TYPE "enum_items_status" RENAME TO "enum_skus_status";');
+      await queryInterface.renameColumn('skus', 'createdAt', 'created_at', { transaction });
+      await queryInterface.renameColumn('skus', 'updatedAt', 'updated_at', { transaction });
+      await queryInterface.addColumn('skus', 'category_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'categories', key: 'id' },
+        onDelete: 'CASCADE'
+      }, { transaction });
+      await queryInterface.addColumn('skus', 'code', {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('skus', 'is_default', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }, { transaction });
+      await queryInterface.addColumn('skus', 'stock_updated_at', {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      }, { transaction });
+
+      // Items named their category as text: file each under it, adding categories that don't exist yet
+      await query(`
+        INSERT INTO "categories" ("name", "is_active", "quantity", "min_stock_level", "track_stock", "purposes", "createdAt", "updatedAt")
+        SELECT DISTINCT ON (LOWER(TRIM(s."category"))) TRIM(s."category"), true, 0, 5, true, '[]', NOW(), NOW()
+        FROM "skus" s
+        WHERE NOT EXISTS (SELECT 1 FROM "categories" c WHERE LOWER(TRIM(c."name")) = LOWER(TRIM(s."category")));
+      `);
+      await query(`
+        UPDATE "skus" s SET "category_id" = c."id", "stock_updated_at" = s."updated_at"::date
+        FROM "categories" c
+        WHERE LOWER(TRIM(c."name")) = LOWER(TRIM(s."category"));
+      `);
+
+      // Every category with stock or a stock history gets a default SKU carrying its stock
+      await query(`
+        INSERT INTO "skus" ("category_id", "name", "description", "category", "quantity", "status", "min_stock_level", "unit", "is_default", "stock_updated_at", "created_at", "updated_at")
+        SELECT c."id", c."name", c."description", c."name", c."quantity",
+          (CASE WHEN c."quantity" = 0 THEN 'out_of_stock' WHEN c."quantity" <= c."min_stock_level" THEN 'low_stock' ELSE 'available' END)::"enum_skus_status",
+          c."min_stock_level", 'pcs', true, c."stock_updated_at", NOW(), NOW()
+        FROM "categories" c
+        WHERE c."track_stock" = true
+          OR c."quantity" <> 0
+          OR EXISTS (SELECT 1 FROM "stock_movements" m WHERE m."category_id" = c."id")
+          OR EXISTS (SELECT 1 FROM "stock_reservations" r WHERE r."category_id" = c."id");
+      `);
+      await query('UPDATE "skus" SET "code" = \'SKU-\' || LPAD("id"::text, 5, \'0\');');
+
+      await queryInterface.removeColumn('skus', 'category', { transaction });
+      await queryInterface.changeColumn('skus', 'category_id', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'categories', key: 'id' },
+        onDelete: 'CASCADE'
+      }, { transaction });
+      await queryInterface.changeColumn('skus', 'code', {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      }, { transaction });
+      await queryInterface.addIndex('skus', ['category_id'], { transaction });
+      await queryInterface.addIndex('skus', ['category_id'], {
+        unique: true,
+        where: { is_default: true },
+        name: 'skus_one_default_per_category',
+        transaction
+      });
+
+      // The ledger so far was kept per category, which is now its default SKU's history
+      await queryInterface.addColumn('stock_movements', 'sku_id', skuRef(true, 'CASCADE'), { transaction });
+      await query(`
+        UPDATE "stock_movements" m SET "sku_id" = s."id"
+        FROM "skus" s
+        WHERE s."category_id" = m."category_id" AND s."is_default" = true;
+      `);
+      await queryInterface.changeColumn('stock_movements', 'sku_id', skuRef(false, 'CASCADE'), { transaction });
+      await queryInterface.addIndex('stock_movements', ['sku_id', 'created_at'], { transaction });
+
+      // Stock the items list held enters the ledger and the category totals
+      await query(`
+        INSERT INTO "stock_movements" ("category_id", "sku_id", "movement_type", "quantity", "balance_after", "notes", "created_at")
+        SELECT "category_id", "id", 'opening_balance', "quantity", "quantity", 'Stock on hand when the items list was merged into SKUs', NOW()
+        FROM "skus"
+        WHERE "is_default" = false AND "quantity" <> 0;
+      `);
+      await query(`
+        UPDATE "categories" c SET "quantity" = t."total"
+        FROM (SELECT "category_id", SUM("quantity") AS "total" FROM "skus" GROUP BY "category_id") t
+        WHERE t."category_id" = c."id";
+      `);
+
+      await queryInterface.addColumn('stock_reservations', 'sku_id', skuRef(true, 'CASCADE'), { transaction });
+      await query(`
+        UPDATE "stock_reservations" r SET "sku_id" = s."id"
+        FROM "skus" s
+        WHERE s."category_id" = r."category_id" AND s."is_default" = true;
+      `);
+      await queryInterface.changeColumn('stock_reservations', 'sku_id', skuRef(false, 'CASCADE'), { transaction });
+      await queryInterface.addIndex('stock_reservations', ['sku_id', 'status'], { transaction });
+
+      await queryInterface.addColumn('purchase_requisition_items', 'sku_id', skuRef(true, 'SET NULL'), { transaction });
+      await query(`
+        UPDATE "purchase_requisition_items" l SET "sku_id" = s."id"
+        FROM "skus" s
+        WHERE s."category_id" = l."category_id" AND s."is_default" = true;
+      `);
+
+      await queryInterface.addColumn('request_items', 'sku_id', skuRef(true, 'SET NULL'), { transaction });
+      await query(`
+        UPDATE "request_items" ri SET "sku_id" = s."id"
+        FROM "categories" c
+        JOIN "skus" s ON s."category_id" = c."id" AND s."is_default" = true
+        WHERE LOWER(TRIM(c."name")) = LOWER(TRIM(ri."category"));
+      `);
+      await queryInterface.addIndex('request_items', ['sku_id'], { transaction });
+
+      // Minimum levels are kept per SKU now
+      await queryInterface.removeColumn('categories', 'min_stock_level', { transaction });
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const query = (sql) => queryInterface.sequelize.query(sql, { transaction });
+
+      await queryInterface.addColumn('categories', 'min_stock_level', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      }, { transaction });
+      await query(`
+        UPDATE "categories" c SET "min_stock_level" = s."min_stock_level"
+        FROM "skus" s
+        WHERE s."category_id" = c."id" AND s."is_default" = true;
+      `);
+
+      // Category quantities stay the SKU totals, which their ledgers still add up to
+      await queryInterface.removeColumn('request_items', 'sku_id', { transaction });
+      await queryInterface.removeColumn('purchase_requisition_items', 'sku_id', { transaction });
+      await queryInterface.removeColumn('stock_reservations', 'sku_id', { transaction });
+      await queryInterface.removeColumn('stock_movements', 'sku_id', { transaction });
+
+      await queryInterface.addColumn('skus', 'category', {
+        type: Sequelize.STRING,
+        allowNull: true
+      }, { transaction });
+      await query('UPDATE "skus" s SET "category" = c."name" FROM "categories" c WHERE c."id" = s."category_id";');
+      await query('DELETE FROM "skus" WHERE "is_default" = true;');
+      await queryInterface.changeColumn('skus', 'category', {
+        type: Sequelize.STRING,
+        allowNull: false
+      }, { transaction });
+      await queryInterface.addIndex('skus', ['category'], { transaction });
+
+      await queryInterface.removeIndex('skus', 'skus_one_default_per_category', { transaction });
+      await queryInterface.removeColumn('skus', 'stock_updated_at', { transaction });
+      await queryInterface.removeColumn('skus', 'is_default', { transaction });
+      await queryInterface.removeColumn('skus', 'code', { transaction });
+      await queryInterface.removeColumn('skus', 'category_id', { transaction });
+      await queryInterface.renameColumn('skus', 'created_at', 'createdAt', { transaction });
+      await queryInterface.renameColumn('skus', 'updated_at', 'updatedAt', { transaction });
+      await query('ALTER TYPE "enum_skus_status" RENAME TO "enum_items_status";');
+      await queryInterface.renameTable('skus', 'items', { transaction });
+    });
+  }
+};
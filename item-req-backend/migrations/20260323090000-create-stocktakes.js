@@ -0,0 +1,119 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const userRef = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    };
+    const timestamps = {
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    };
+
+    await queryInterface.createTable('stocktakes', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'categories', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'posted', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      opened_by: userRef,
+      posted_by: userRef,
+      posted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelled_by: userRef,
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+    await queryInterface.addIndex('stocktakes', ['status']);
+
+    await queryInterface.createTable('stocktake_lines', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      stocktake_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'stocktakes', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      sku_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'skus', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      snapshot_quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      expected_quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      counted_quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      counted_by: userRef,
+      counted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      posted_quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      stock_movement_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'stock_movements', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      ...timestamps
+    });
+    await queryInterface.addIndex('stocktake_lines', ['stocktake_id', 'sku_id'], { unique: true });
+    await queryInterface.addIndex('stocktake_lines', ['sku_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('stocktake_lines');
+    await queryInterface.dropTable('stocktakes');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stocktakes_status";');
+  }
+};
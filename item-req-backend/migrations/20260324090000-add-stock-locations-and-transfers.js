@@ -0,0 +1,207 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const query = (sql) => queryInterface.sequelize.query(sql);
+    const defaultLocation = '(SELECT "id" FROM "stock_locations" WHERE "is_default" = true)';
+    const userRef = {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    };
+    const locationRef = (allowNull) => ({
+      type: Sequelize.INTEGER,
+      allowNull,
+      references: { model: 'stock_locations', key: 'id' },
+      onDelete: 'CASCADE'
+    });
+    const timestamps = {
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    };
+
+    await queryInterface.createTable('stock_locations', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.ENUM('storeroom', 'warehouse', 'branch', 'site'),
+        allowNull: false,
+        defaultValue: 'storeroom'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      is_default: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      ...timestamps
+    });
+    await queryInterface.addIndex('stock_locations', ['is_default'], {
+      unique: true,
+      where: { is_default: true },
+      name: 'stock_locations_one_default'
+    });
+
+    // Everything held so far was in one place, which becomes the default location
+    await query(`
+      INSERT INTO "stock_locations" ("code", "name", "type", "is_default", "is_active", "created_at", "updated_at")
+      VALUES ('MAIN', 'IT Storeroom', 'storeroom', true, true, NOW(), NOW());
+    `);
+
+    await queryInterface.createTable('stock_balances', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      sku_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'skus', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      location_id: locationRef(false),
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      ...timestamps
+    });
+    await queryInterface.addIndex('stock_balances', ['sku_id', 'location_id'], { unique: true });
+    await queryInterface.addIndex('stock_balances', ['location_id']);
+    await query(`
+      INSERT INTO "stock_balances" ("sku_id", "location_id", "quantity", "created_at", "updated_at")
+      SELECT "id", ${defaultLocation}, "quantity", NOW(), NOW()
+      FROM "skus"
+      WHERE "quantity" <> 0;
+    `);
+
+    await queryInterface.createTable('stock_transfers', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+      },
+      sku_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'skus', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      from_location_id: locationRef(false),
+      to_location_id: locationRef(false),
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('in_transit', 'received', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'in_transit'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: userRef,
+      received_by: userRef,
+      received_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelled_by: userRef,
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+    await queryInterface.addIndex('stock_transfers', ['status']);
+    await queryInterface.addIndex('stock_transfers', ['sku_id']);
+
+    // The ledger so far all happened at the default location
+    await query('ALTER TYPE "enum_stock_movements_movement_type" ADD VALUE IF NOT EXISTS \'transfer_out\';');
+    await query('ALTER TYPE "enum_stock_movements_movement_type" ADD VALUE IF NOT EXISTS \'transfer_in\';');
+    await queryInterface.addColumn('stock_movements', 'location_id', locationRef(true));
+    await query(`UPDATE "stock_movements" SET "location_id" = ${defaultLocation};`);
+    await queryInterface.changeColumn('stock_movements', 'location_id', locationRef(false));
+    await queryInterface.addColumn('stock_movements', 'location_balance_after', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('stock_movements', 'transfer_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'stock_transfers', key: 'id' },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('stock_movements', ['location_id', 'created_at']);
+
+    // Stock counts are taken per location
+    await queryInterface.addColumn('stocktakes', 'location_id', locationRef(true));
+    await queryInterface.addColumn('stocktake_lines', 'location_id', locationRef(true));
+    await query(`UPDATE "stocktake_lines" SET "location_id" = ${defaultLocation};`);
+    await queryInterface.changeColumn('stocktake_lines', 'location_id', locationRef(false));
+    await queryInterface.removeIndex('stocktake_lines', ['stocktake_id', 'sku_id']);
+    await queryInterface.addIndex('stocktake_lines', ['stocktake_id', 'sku_id', 'location_id'], { unique: true });
+  },
+
+  async down(queryInterface) {
+    const query = (sql) => queryInterface.sequelize.query(sql);
+
+    // Stock counts started per location can't be told apart once the column goes
+    await query(`
+      DELETE FROM "stocktake_lines" l USING "stocktake_lines" k
+      WHERE l."stocktake_id" = k."stocktake_id" AND l."sku_id" = k."sku_id" AND l."id" > k."id";
+    `);
+    await queryInterface.removeIndex('stocktake_lines', ['stocktake_id', 'sku_id', 'location_id']);
+    await queryInterface.addIndex('stocktake_lines', ['stocktake_id', 'sku_id'], { unique: true });
+    await queryInterface.removeColumn('stocktake_lines', 'location_id');
+    await queryInterface.removeColumn('stocktakes', 'location_id');
+
+    // Postgres can't drop enum values; transfers stay in the ledger as adjustments so SKU totals still add up
+    await query(`
+      UPDATE "stock_movements" SET "movement_type" = 'adjustment'
+      WHERE "movement_type" IN ('transfer_out', 'transfer_in');
+    `);
+    await queryInterface.removeColumn('stock_movements', 'transfer_id');
+    await queryInterface.removeColumn('stock_movements', 'location_balance_after');
+    await queryInterface.removeColumn('stock_movements', 'location_id');
+
+    // Stock still in transit stays out of the SKU totals it left
+    await queryInterface.dropTable('stock_transfers');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stock_transfers_status";');
+    await queryInterface.dropTable('stock_balances');
+    await queryInterface.dropTable('stock_locations');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stock_locations_type";');
+  }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    // Required steps are never skipped, so steps with a condition become optional to keep it working
+    await queryInterface.sequelize.query(`
+      UPDATE workflow_steps
+      SET is_required = false
+      WHERE condition_expression IS NOT NULL AND TRIM(condition_expression) <> ''
+    `);
+  },
+
+  async down() {
+    // Which of these steps were marked required before is not recorded; nothing to undo
+  }
+};
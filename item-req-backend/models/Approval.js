@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import { sequelize } from '../config/database.js';
+import realtimeService from '../utils/realtimeService.js';
 
 const Approval = sequelize.define('Approval', {
   id: {
@@ -79,6 +80,15 @@ const Approval = sequelize.define('Approval', {
     type: DataTypes.TEXT,
     allowNull: true,
     comment: 'Base64 encoded signature image of the approver'
+  },
+  delegate_for: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Original approver this action was taken on behalf of (temporary delegation)'
   }
 }, {
   tableName: 'approvals',
@@ -95,7 +105,15 @@ const Approval = sequelize.define('Approval', {
     {
       fields: ['status']
     }
-  ]
+  ],
+  hooks: {
+    afterCreate: (approval, options) => {
+      realtimeService.approvalChanged('item_request', approval.request_id, approval, options);
+    },
+    afterUpdate: (approval, options) => {
+      realtimeService.approvalChanged('item_request', approval.request_id, approval, options);
+    }
+  }
 });
 
 // Instance methods
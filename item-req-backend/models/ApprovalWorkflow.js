@@ -39,6 +39,12 @@ const ApprovalWorkflow = sequelize.define('ApprovalWorkflow', {
     allowNull: false,
     comment: 'Whether this is the default workflow for this form type'
   },
+  current_version: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    allowNull: false,
+    comment: 'Version whose steps new requests follow; older versions stay for in-flight requests'
+  },
   created_by: {
     type: DataTypes.INTEGER,
     allowNull: false,
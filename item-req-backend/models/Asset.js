@@ -0,0 +1,133 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// One physical unit of equipment, tracked by asset tag from deployment until it is retired.
+// Units deployed through a request keep a link to the request item that issued them.
+const Asset = sequelize.define('Asset', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  asset_tag: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true,
+    comment: 'Generated as AST-YYYY-NNNNNN unless entered by hand'
+  },
+  serial_number: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    unique: true
+  },
+  model: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Make and model, defaulting to the request item description'
+  },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  custodian_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'User account responsible for the unit, when there is one'
+  },
+  custodian_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Name of the person holding the unit (the request end user for deployments)'
+  },
+  department_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'departments',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  location: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  deployed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  warranty_end: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('in_stock', 'deployed', 'pending_return', 'in_repair', 'retired'),
+    allowNull: false,
+    defaultValue: 'deployed'
+  },
+  request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'requests',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  request_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'request_items',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Request item that deployed the unit'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'assets',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['category_id']
+    },
+    {
+      fields: ['department_id']
+    },
+    {
+      fields: ['custodian_id']
+    },
+    {
+      fields: ['request_item_id']
+    }
+  ]
+});
+
+export default Asset;
@@ -0,0 +1,117 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Temporary issue of an in-stock asset, due back by `due_date`
+const AssetLoan = sequelize.define('AssetLoan', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  asset_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'assets',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  borrower_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  borrower_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  department_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'departments',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  purpose: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  loaned_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'returned'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  returned_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  return_condition: {
+    type: DataTypes.ENUM('good', 'fair', 'damaged', 'not_working'),
+    allowNull: true
+  },
+  return_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reminder_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Overdue reminders sent so far'
+  },
+  last_reminder_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  issued_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  received_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'asset_loans',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['asset_id', 'status']
+    },
+    {
+      fields: ['status', 'due_date']
+    },
+    {
+      fields: ['borrower_id', 'status']
+    }
+  ]
+});
+
+export default AssetLoan;
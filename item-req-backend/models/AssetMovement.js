@@ -0,0 +1,118 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// History of an asset: every deployment, transfer, loan, return and status change
+const AssetMovement = sequelize.define('AssetMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  asset_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'assets',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  movement_type: {
+    type: DataTypes.ENUM('registered', 'deployed', 'transferred', 'reassigned', 'loaned', 'loan_returned', 'returned', 'status_changed'),
+    allowNull: false
+  },
+  from_custodian_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  to_custodian_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  from_department_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'departments',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  to_department_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'departments',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  from_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  to_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  condition: {
+    type: DataTypes.ENUM('good', 'fair', 'damaged', 'not_working'),
+    allowNull: true,
+    comment: 'Condition found by the return inspection'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'requests',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  transfer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'asset_transfers',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  loan_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'asset_loans',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  performed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'asset_movements',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['asset_id', 'created_at']
+    },
+    {
+      fields: ['movement_type']
+    }
+  ]
+});
+
+export default AssetMovement;
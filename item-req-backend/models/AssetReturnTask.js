@@ -0,0 +1,78 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Service Desk to-do: collect an asset that a deployed replacement has made redundant.
+// Completed by the asset's return inspection.
+const AssetReturnTask = sequelize.define('AssetReturnTask', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  asset_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'assets',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'requests',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'The request that deployed the replacement'
+  },
+  request_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'request_items',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'The replacement item'
+  },
+  custodian_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Who to collect the asset from'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'completed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'asset_return_tasks',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['asset_id']
+    }
+  ]
+});
+
+export default AssetReturnTask;
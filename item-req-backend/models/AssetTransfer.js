@@ -0,0 +1,155 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const decisionType = () => ({
+  type: DataTypes.ENUM('pending', 'approved', 'declined'),
+  allowNull: false,
+  defaultValue: 'pending'
+});
+
+// Hand-over of a deployed asset to another custodian or department. The department
+// approvers of both the releasing and the receiving department must approve it.
+const AssetTransfer = sequelize.define('AssetTransfer', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  asset_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'assets',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  from_custodian_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  from_custodian_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  from_department_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'departments',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  to_custodian_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  to_custodian_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  to_department_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'departments',
+      key: 'id'
+    }
+  },
+  to_location: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'declined', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  from_decision: {
+    ...decisionType(),
+    comment: 'Decision of the releasing department approver'
+  },
+  from_decided_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  from_decided_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  to_decision: {
+    ...decisionType(),
+    comment: 'Decision of the receiving department approver'
+  },
+  to_decided_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  to_decided_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  decision_comments: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  requested_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the transfer was approved, declined or cancelled'
+  }
+}, {
+  tableName: 'asset_transfers',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['asset_id']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['from_department_id', 'status']
+    },
+    {
+      fields: ['to_department_id', 'status']
+    }
+  ]
+});
+
+export default AssetTransfer;
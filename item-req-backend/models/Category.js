@@ -23,12 +23,8 @@ const Category = sequelize.define('Category', {
     quantity: {
         type: DataTypes.INTEGER,
         defaultValue: 0,
-        allowNull: false
-    },
-    min_stock_level: {
-        type: DataTypes.INTEGER,
-        defaultValue: 5,
-        allowNull: false
+        allowNull: false,
+        comment: 'Total stock of the category\'s SKUs, kept in step by the stock ledger'
     },
     track_stock: {
         type: DataTypes.BOOLEAN,
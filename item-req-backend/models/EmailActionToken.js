@@ -0,0 +1,103 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const EmailActionToken = sequelize.define('EmailActionToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  form_type: {
+    type: DataTypes.ENUM('item_request', 'vehicle_request'),
+    allowNull: false,
+    comment: 'Kind of request the link acts on'
+  },
+  request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'ID of the item or service vehicle request'
+  },
+  approver_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Approver the link was emailed to; the action is taken as this user'
+  },
+  step_ids: {
+    type: DataTypes.ARRAY(DataTypes.INTEGER),
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Workflow steps awaiting approval when the link was sent (empty for requests without a workflow step)'
+  },
+  request_status: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Request status when the link was sent'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the link was used. Links work only once.'
+  },
+  used_action: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'approve, decline or return'
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the request moved past the step the link was sent for'
+  }
+}, {
+  tableName: 'email_action_tokens',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['form_type', 'request_id']
+    },
+    {
+      fields: ['approver_id']
+    }
+  ]
+});
+
+/**
+ * Revoke the unused links of a request that no longer point at one of its open steps.
+ * Called from the request models' afterUpdate hooks, so a link from an earlier step or an
+ * earlier submission round (e.g. before the request was returned) can never be replayed.
+ */
+EmailActionToken.revokeStale = async function (formType, request, options = {}) {
+  const activeStepIds = request.active_step_ids?.length
+    ? request.active_step_ids
+    : (request.current_step_id ? [request.current_step_id] : []);
+
+  const tokens = await this.findAll({
+    where: { form_type: formType, request_id: request.id, used_at: null, revoked_at: null },
+    transaction: options.transaction
+  });
+
+  const staleIds = tokens
+    .filter(token => token.step_ids?.length
+      ? !token.step_ids.some(stepId => activeStepIds.includes(stepId))
+      : token.request_status !== request.status)
+    .map(token => token.id);
+
+  if (staleIds.length > 0) {
+    await this.update(
+      { revoked_at: new Date() },
+      { where: { id: staleIds }, transaction: options.transaction }
+    );
+  }
+};
+
+export default EmailActionToken;
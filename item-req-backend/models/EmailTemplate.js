@@ -0,0 +1,42 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const EmailTemplate = sequelize.define('EmailTemplate', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  key: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Which notification email this is, e.g. approval_required (see utils/emailTemplateDefaults.js)'
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Subject line; may use {{placeholders}}'
+  },
+  html_body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'HTML body with {{placeholders}} and {{#if}} / {{#each}} blocks'
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Admin who last edited the template. NULL for the seeded default.'
+  }
+}, {
+  tableName: 'email_templates',
+  timestamps: true,
+  underscored: true
+});
+
+export default EmailTemplate;
@@ -0,0 +1,102 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// A vendor's quotation for a request item. At most one quotation per item is selected,
+// and the selection records who chose it and why.
+const ItemQuotation = sequelize.define('ItemQuotation', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  request_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'request_items',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  vendor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'vendors',
+      key: 'id'
+    },
+    onDelete: 'RESTRICT'
+  },
+  unit_price: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  lead_time_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  valid_until: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  file: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'The quotation document: { originalName, filename, path, mimetype, size, uploadedAt, uploadedBy }'
+  },
+  is_selected: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  selection_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  selected_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  selected_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'item_quotations',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['request_item_id']
+    },
+    {
+      fields: ['vendor_id']
+    }
+  ]
+});
+
+export default ItemQuotation;
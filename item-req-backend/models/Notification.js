@@ -0,0 +1,81 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Recipient of the notification'
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Event that caused the notification, e.g. approval_required, request_declined'
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  form_type: {
+    type: DataTypes.ENUM('item_request', 'vehicle_request'),
+    allowNull: true,
+    comment: 'Kind of request the notification is about'
+  },
+  request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'ID of the item or service vehicle request the notification is about'
+  },
+  link: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'In-app path to open when the notification is clicked'
+  },
+  delivery: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'immediate',
+    comment: 'How the recipient gets this notification besides in-app: immediate (email), digest or in_app'
+  },
+  digest_sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the notification went out in a daily digest email'
+  },
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the recipient read the notification. NULL means unread.'
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['user_id', 'read_at']
+    },
+    {
+      fields: ['created_at']
+    },
+    {
+      fields: ['delivery', 'digest_sent_at']
+    }
+  ]
+});
+
+export default Notification;
@@ -0,0 +1,101 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// A purchase requisition raised to buy what stock can't cover. Its lines map to the
+// request items it buys for; receipts against the lines top up stock.
+const PurchaseRequisition = sequelize.define('PurchaseRequisition', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  pr_number: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    comment: '8-digit PR number from the procurement system'
+  },
+  request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'requests',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'The request the PR buys for, if any'
+  },
+  vendor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'vendors',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  vendor_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'The vendor\'s name when the PR was raised, or a vendor not in the directory'
+  },
+  status: {
+    type: DataTypes.ENUM('drafted', 'approved', 'ordered', 'partially_received', 'received'),
+    allowNull: false,
+    defaultValue: 'drafted'
+  },
+  document: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'The attached PR document: { originalName, filename, path, mimetype, size, uploadedAt, uploadedBy }'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  approved_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  approved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ordered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  received_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the last line was received in full'
+  }
+}, {
+  tableName: 'purchase_requisitions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['request_id']
+    }
+  ]
+});
+
+export default PurchaseRequisition;
@@ -0,0 +1,93 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// One line of a purchase requisition, usually buying for one request item
+const PurchaseRequisitionItem = sequelize.define('PurchaseRequisitionItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  purchase_requisition_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchase_requisitions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  request_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'request_items',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Stock category receipts are added to'
+  },
+  sku_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'skus',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'SKU receipts are added to; the category\'s default SKU when not set'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  quantity_received: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  quoted_unit_cost: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  actual_unit_cost: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  }
+}, {
+  tableName: 'purchase_requisition_items',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['purchase_requisition_id']
+    },
+    {
+      fields: ['request_item_id']
+    }
+  ]
+});
+
+export default PurchaseRequisitionItem;
@@ -20,6 +20,16 @@ const RequestItem = sequelize.define('RequestItem', {
     type: DataTypes.STRING,
     allowNull: false
   },
+  sku_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'skus',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'SKU the item is supplied from; the category\'s default SKU unless the requester picked one'
+  },
   item_description: {
     type: DataTypes.STRING(500),
     allowNull: true
@@ -70,6 +80,16 @@ const RequestItem = sequelize.define('RequestItem', {
     allowNull: true,
     comment: 'Information about the item being replaced'
   },
+  replaced_asset_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'assets',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Registered asset this item replaces; it is flagged for return once this item is deployed'
+  },
   urgency_reason: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -135,8 +155,14 @@ const RequestItem = sequelize.define('RequestItem', {
     {
       fields: ['category']
     },
+    {
+      fields: ['sku_id']
+    },
     {
       fields: ['inventory_number']
+    },
+    {
+      fields: ['replaced_asset_id']
     }
   ]
 });
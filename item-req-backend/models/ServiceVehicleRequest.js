@@ -1,5 +1,8 @@
 import { DataTypes } from 'sequelize';
 import { sequelize } from '../config/database.js';
+import EmailActionToken from './EmailActionToken.js';
+import realtimeService from '../utils/realtimeService.js';
+import { bumpVersion } from '../utils/requestVersion.js';
 import User from './User.js'; // Assuming User model is in './User.js'
 import Department from './Department.js'; // Assuming Department model is in './Department.js'
 
@@ -38,6 +41,60 @@ const ServiceVehicleRequest = sequelize.define('ServiceVehicleRequest', {
     defaultValue: [],
     comment: 'Array of user IDs who can currently approve this request'
   },
+  step_started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Timestamp when the request entered its current workflow step (SLA clock)'
+  },
+  reminder_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of SLA reminders sent for the current workflow step'
+  },
+  last_reminder_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Timestamp of the last SLA reminder for the current workflow step'
+  },
+  escalated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Timestamp when the current workflow step was escalated'
+  },
+  escalated_approver_ids: {
+    type: DataTypes.ARRAY(DataTypes.INTEGER),
+    allowNull: true,
+    defaultValue: [],
+    comment: 'Backup approver IDs added to the current workflow step by escalation'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Incremented on every change; clients send it back so stale edits and approvals are rejected'
+  },
+  workflow_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'approval_workflows',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Workflow the request was submitted under'
+  },
+  workflow_version: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Workflow version the request was submitted under (its steps are followed until completion)'
+  },
+  active_step_ids: {
+    type: DataTypes.ARRAY(DataTypes.INTEGER),
+    allowNull: true,
+    defaultValue: [],
+    comment: 'Workflow steps currently awaiting approval (several when parallel branches are open)'
+  },
   contact_number: {
     type: DataTypes.STRING(20),
     allowNull: true,
@@ -234,7 +291,41 @@ const ServiceVehicleRequest = sequelize.define('ServiceVehicleRequest', {
   tableName: 'service_vehicle_requests',
   timestamps: true,
   underscored: true,
-  freezeTableName: true
+  freezeTableName: true,
+  hooks: {
+    beforeSave: (request, options) => {
+      // Only react when the step change is actually being written
+      const savesStep = !options.fields || options.fields.includes('current_step_id');
+
+      // Restart the SLA clock whenever the request moves to another workflow step
+      if (savesStep && request.changed('current_step_id')) {
+        request.step_started_at = request.current_step_id ? new Date() : null;
+        request.reminder_count = 0;
+        request.last_reminder_at = null;
+        request.escalated_at = null;
+        request.escalated_approver_ids = [];
+
+        // A plain step change (decline, return, completion) leaves a single active step
+        if (!request.changed('active_step_ids')) {
+          request.active_step_ids = request.current_step_id ? [request.current_step_id] : [];
+        }
+      }
+
+      bumpVersion(request, options);
+    },
+    afterUpdate: async (request, options) => {
+      // Emailed approve/decline links only stay usable while the request waits on their step
+      const routingFields = ['current_step_id', 'active_step_ids', 'status'];
+      if (!options.fields || routingFields.some(field => options.fields.includes(field))) {
+        await EmailActionToken.revokeStale('vehicle_request', request, { transaction: options.transaction });
+      }
+
+      realtimeService.requestChanged('vehicle_request', request, options);
+    },
+    afterCreate: (request, options) => {
+      realtimeService.requestChanged('vehicle_request', request, options, true);
+    }
+  }
 });
 
 export default ServiceVehicleRequest;
@@ -0,0 +1,117 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// A stockable product within a category, e.g. one laptop model. Each SKU keeps its own
+// stock; the category's quantity is the total of its SKUs. Every stock-tracked category
+// has a default SKU that takes stock nobody assigned to a more specific one.
+const Sku = sequelize.define('Sku', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    category_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'categories',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    code: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        validate: {
+            notEmpty: true
+        }
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+            notEmpty: true
+        }
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    quantity: { // This represents the "INV#" / Stock Count
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: 0
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('available', 'low_stock', 'out_of_stock', 'discontinued'),
+        allowNull: false,
+        defaultValue: 'available'
+    },
+    min_stock_level: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+    },
+    unit: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'pcs'
+    },
+    is_default: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Takes the category\'s stock when no other SKU is named'
+    },
+    stock_updated_at: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    }
+}, {
+    tableName: 'skus',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        {
+            fields: ['category_id']
+        },
+        {
+            fields: ['status']
+        },
+        {
+            unique: true,
+            fields: ['category_id'],
+            where: { is_default: true },
+            name: 'skus_one_default_per_category'
+        }
+    ],
+    hooks: {
+        beforeValidate: async (sku, options) => {
+            // Codes default to the id, e.g. SKU-00042, so the id is taken from its sequence up front
+            if (!sku.isNewRecord || sku.code) return;
+            const [[{ id }]] = await sequelize.query(
+                "SELECT nextval(pg_get_serial_sequence('skus', 'id')) AS id",
+                { transaction: options.transaction }
+            );
+            sku.id = parseInt(id, 10);
+            sku.code = `SKU-${String(id).padStart(5, '0')}`;
+        },
+        beforeSave: (sku) => {
+            // Auto-update status based on quantity; discontinued SKUs stay discontinued
+            if (sku.status === 'discontinued') return;
+            if (sku.quantity === 0) {
+                sku.status = 'out_of_stock';
+            } else if (sku.quantity <= sku.min_stock_level) {
+                sku.status = 'low_stock';
+            } else {
+                sku.status = 'available';
+            }
+        }
+    }
+});
+
+export default Sku;
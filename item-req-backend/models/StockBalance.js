@@ -0,0 +1,53 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// A SKU's stock at one location. The SKU's quantity is the total across its locations;
+// stock in transit between locations is held on the transfer instead.
+const StockBalance = sequelize.define('StockBalance', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  sku_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'skus',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  location_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'stock_locations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  }
+}, {
+  tableName: 'stock_balances',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['sku_id', 'location_id']
+    },
+    {
+      fields: ['location_id']
+    }
+  ]
+});
+
+export default StockBalance;
@@ -0,0 +1,62 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// A place stock is kept: a storeroom, warehouse, branch or plant site. SKU stock is held
+// per location; the default location takes stock when nobody names one.
+const StockLocation = sequelize.define('StockLocation', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('storeroom', 'warehouse', 'branch', 'site'),
+    allowNull: false,
+    defaultValue: 'storeroom'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Takes stock movements that don\'t name a location'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Inactive locations keep their history but take no new stock'
+  }
+}, {
+  tableName: 'stock_locations',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['is_default'],
+      where: { is_default: true },
+      name: 'stock_locations_one_default'
+    }
+  ]
+});
+
+export default StockLocation;
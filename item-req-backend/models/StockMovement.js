@@ -0,0 +1,133 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// One row per change to a SKU's stock at a location. Rows are never edited, so the running
+// total of `quantity` is the SKU's stock at that location, across all its locations the
+// SKU's stock level, and across a category's rows the category total.
+const StockMovement = sequelize.define('StockMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  sku_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'skus',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  location_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'stock_locations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Where the stock was added or taken from'
+  },
+  movement_type: {
+    type: DataTypes.ENUM('opening_balance', 'receipt', 'deployment', 'return', 'adjustment', 'write_off', 'transfer_out', 'transfer_in'),
+    allowNull: false,
+    comment: 'opening_balance: stock on hand when the ledger started; receipt: replenished from a PR; deployment: issued to a request; return: brought back from a request; adjustment / write_off: manual corrections; transfer_out / transfer_in: sent to or received from another location'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Signed change in stock: positive adds, negative removes'
+  },
+  balance_after: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'SKU stock level once this movement was applied'
+  },
+  location_balance_after: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'SKU stock at the location once this movement was applied. NULL before locations were introduced.'
+  },
+  transfer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'stock_transfers',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Transfer the stock was sent or received on'
+  },
+  request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'requests',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Item request the stock was deployed to or returned from'
+  },
+  request_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'request_items',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  pr_number: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Purchase requisition the stock was received against'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'User who made the change. NULL for the system or an API key.'
+  }
+}, {
+  tableName: 'stock_movements',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['category_id', 'created_at']
+    },
+    {
+      fields: ['sku_id', 'created_at']
+    },
+    {
+      fields: ['location_id', 'created_at']
+    },
+    {
+      fields: ['request_id']
+    },
+    {
+      fields: ['movement_type']
+    }
+  ]
+});
+
+export default StockMovement;
@@ -0,0 +1,111 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Soft hold on SKU stock for a request item the endorser marked "in stock".
+// Active reservations lower the available quantity without touching the stock on hand.
+const StockReservation = sequelize.define('StockReservation', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  sku_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'skus',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'requests',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  request_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'request_items',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'consumed', 'released'),
+    allowNull: false,
+    defaultValue: 'active',
+    comment: 'active: holding stock; consumed: the stock was deployed; released: the hold was dropped'
+  },
+  stock_movement_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'stock_movements',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Deployment movement that consumed the reservation'
+  },
+  release_reason: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Why the hold was dropped, e.g. request_declined, endorsed_needs_pr'
+  },
+  reserved_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Endorser whose "in stock" decision created the reservation'
+  },
+  closed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the reservation was consumed or released'
+  }
+}, {
+  tableName: 'stock_reservations',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['category_id', 'status']
+    },
+    {
+      fields: ['sku_id', 'status']
+    },
+    {
+      fields: ['request_id']
+    },
+    {
+      fields: ['request_item_id', 'status']
+    }
+  ]
+});
+
+export default StockReservation;
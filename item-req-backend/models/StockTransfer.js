@@ -0,0 +1,91 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const userRef = () => ({
+  type: DataTypes.INTEGER,
+  allowNull: true,
+  references: {
+    model: 'users',
+    key: 'id'
+  },
+  onDelete: 'SET NULL'
+});
+
+// Stock sent from one location to another. Dispatching takes the stock out of the
+// source straight away; it is in transit until the destination receives it, or back at
+// the source if the transfer is cancelled.
+const StockTransfer = sequelize.define('StockTransfer', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  sku_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'skus',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  from_location_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'stock_locations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  to_location_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'stock_locations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('in_transit', 'received', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'in_transit'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: userRef(),
+  received_by: userRef(),
+  received_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelled_by: userRef(),
+  cancelled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'stock_transfers',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['sku_id']
+    }
+  ]
+});
+
+export default StockTransfer;
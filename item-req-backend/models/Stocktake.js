@@ -0,0 +1,88 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// A physical stock count. Opening one lists the SKUs to count at each location; posting
+// it records each counted line's variance in the stock ledger as an adjustment. Stock
+// stays in use while a count is open.
+const Stocktake = sequelize.define('Stocktake', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'The category being counted; NULL counts every stock-tracked category'
+  },
+  location_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'stock_locations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'The location being counted; NULL counts every active location'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'posted', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  opened_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  posted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  posted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelled_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  cancelled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'stocktakes',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+export default Stocktake;
@@ -0,0 +1,105 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// One SKU at one location on a stock count. The variance is the counted quantity less the system
+// quantity when the count was entered, so stock that moves while the count is open
+// doesn't show up as a difference.
+const StocktakeLine = sequelize.define('StocktakeLine', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  stocktake_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'stocktakes',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  sku_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'skus',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  location_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'stock_locations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  snapshot_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'System quantity when the count was opened'
+  },
+  expected_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'System quantity when the count was entered'
+  },
+  counted_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'NULL until the SKU has been counted'
+  },
+  counted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  counted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Why the count differs from the system, recorded on the adjustment'
+  },
+  posted_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Adjustment recorded when the count was posted'
+  },
+  stock_movement_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'stock_movements',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'stocktake_lines',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['stocktake_id', 'sku_id', 'location_id']
+    },
+    {
+      fields: ['sku_id']
+    }
+  ]
+});
+
+export default StocktakeLine;
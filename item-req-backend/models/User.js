@@ -98,6 +98,36 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true,
     comment: 'Last time user data was synced from AD'
+  },
+  temp_delegate_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who temporarily approves on behalf of this user'
+  },
+  temp_delegate_start: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Start of the temporary delegation period'
+  },
+  temp_delegate_end: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'End of the temporary delegation period'
+  },
+  temp_delegate_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Reason for the temporary delegation (e.g. leave, travel)'
+  },
+  notification_preferences: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Delivery per notification type: immediate, digest, in_app or off (missing types are immediate)'
   }
 }, {
   tableName: 'users',
@@ -146,4 +176,9 @@ User.prototype.hasCustomRole = function (roleName) {
   return this.custom_roles.includes(roleName);
 };
 
+User.prototype.hasActiveDelegation = function (at = new Date()) {
+  if (!this.temp_delegate_id || !this.temp_delegate_start || !this.temp_delegate_end) return false;
+  return new Date(this.temp_delegate_start) <= at && at <= new Date(this.temp_delegate_end);
+};
+
 export default User;
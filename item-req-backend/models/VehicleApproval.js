@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import { sequelize } from '../config/database.js';
+import realtimeService from '../utils/realtimeService.js';
 
 const VehicleApproval = sequelize.define('VehicleApproval', {
   id: {
@@ -79,6 +80,15 @@ const VehicleApproval = sequelize.define('VehicleApproval', {
     type: DataTypes.TEXT,
     allowNull: true,
     comment: 'Reason for returning the request'
+  },
+  delegate_for: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Original approver this action was taken on behalf of (temporary delegation)'
   }
 }, {
   tableName: 'vehicle_approvals',
@@ -99,10 +109,18 @@ const VehicleApproval = sequelize.define('VehicleApproval', {
     },
     {
       unique: true,
-      fields: ['vehicle_request_id', 'step_order'],
-      name: 'unique_vehicle_request_step_order'
+      fields: ['vehicle_request_id', 'step_order', 'step_name'],
+      name: 'unique_vehicle_request_step'
     }
-  ]
+  ],
+  hooks: {
+    afterCreate: (approval, options) => {
+      realtimeService.approvalChanged('vehicle_request', approval.vehicle_request_id, approval, options);
+    },
+    afterUpdate: (approval, options) => {
+      realtimeService.approvalChanged('vehicle_request', approval.vehicle_request_id, approval, options);
+    }
+  }
 });
 
 // Instance methods
@@ -0,0 +1,84 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// A supplier in the vendor directory. Vendors are deactivated rather than deleted,
+// so the quotations they gave stay on record.
+const Vendor = sequelize.define('Vendor', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    unique: true
+  },
+  contact_person: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  phone: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  category_ids: {
+    type: DataTypes.ARRAY(DataTypes.INTEGER),
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Equipment categories the vendor supplies'
+  },
+  accreditation_number: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  accreditation_expires_on: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  payment_terms: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'e.g. "30 days net", "COD"'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'vendors',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['is_active']
+    }
+  ]
+});
+
+export default Vendor;
@@ -17,6 +17,12 @@ const WorkflowStep = sequelize.define('WorkflowStep', {
     },
     comment: 'ID of the workflow this step belongs to'
   },
+  version: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    allowNull: false,
+    comment: 'Workflow version this step belongs to'
+  },
   step_order: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -84,6 +90,11 @@ const WorkflowStep = sequelize.define('WorkflowStep', {
     allowNull: false,
     comment: 'Whether this step can be skipped under certain conditions'
   },
+  condition_expression: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Condition that must hold for this step to apply, e.g. "total_estimated_cost > 50000" (null = always applies)'
+  },
   status_on_approval: {
     type: DataTypes.STRING(50),
     allowNull: false,
@@ -93,6 +104,27 @@ const WorkflowStep = sequelize.define('WorkflowStep', {
     type: DataTypes.STRING(50),
     allowNull: true,
     comment: 'Final status if this is the last step (e.g., "completed")'
+  },
+  sla_hours: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Hours a request may wait at this step before reminders start (null = no SLA)'
+  },
+  reminders_before_escalation: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    allowNull: false,
+    comment: 'Number of reminder emails sent (one per SLA period) before the step is escalated'
+  },
+  escalation_target: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Who to escalate to once reminders are exhausted: "approval_matrix", "it_manager" or null for reminders only'
+  },
+  escalation_matrix_role: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Approval Matrix role whose users are added as backup approvers (if escalation_target is "approval_matrix")'
   }
 }, {
   tableName: 'workflow_steps',
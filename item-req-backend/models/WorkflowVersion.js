@@ -0,0 +1,57 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const WorkflowVersion = sequelize.define('WorkflowVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  workflow_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'approval_workflows',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'ID of the workflow this version belongs to'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Version number, starting at 1. Steps of a published version are never changed.'
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    comment: 'Workflow name at the time this version was published'
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Optional description of what changed in this version'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who published this version'
+  }
+}, {
+  tableName: 'workflow_versions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['workflow_id', 'version'],
+      name: 'unique_workflow_version'
+    }
+  ]
+});
+
+export default WorkflowVersion;
@@ -1,3 +1,4 @@
+import { Op } from 'sequelize';
 import { sequelize } from '../config/database.js';
 import User from './User.js';
 import Department from './Department.js';
@@ -7,15 +8,36 @@ import Approval from './Approval.js';
 import ServiceVehicleRequest from './ServiceVehicleRequest.js';
 import ApprovalWorkflow from './ApprovalWorkflow.js';
 import WorkflowStep from './WorkflowStep.js';
+import WorkflowVersion from './WorkflowVersion.js';
 import ApprovalMatrix from './ApprovalMatrix.js';
 import VehicleApproval from './VehicleApproval.js';
 import Vehicle from './Vehicle.js';
 import Driver from './Driver.js';
 import AuditLog from './AuditLog.js';
-import Item from './Item.js';
+import Sku from './Sku.js';
 import Category from './Category.js';
 import SystemSetting from './SystemSetting.js';
 import ApiKey from './ApiKey.js';
+import EmailActionToken from './EmailActionToken.js';
+import Notification from './Notification.js';
+import EmailTemplate from './EmailTemplate.js';
+import StockMovement from './StockMovement.js';
+import StockReservation from './StockReservation.js';
+import Asset from './Asset.js';
+import AssetMovement from './AssetMovement.js';
+import AssetTransfer from './AssetTransfer.js';
+import AssetLoan from './AssetLoan.js';
+import AssetReturnTask from './AssetReturnTask.js';
+import PurchaseRequisition from './PurchaseRequisition.js';
+import PurchaseRequisitionItem from './PurchaseRequisitionItem.js';
+import Vendor from './Vendor.js';
+import ItemQuotation from './ItemQuotation.js';
+import Stocktake from './Stocktake.js';
+import StocktakeLine from './StocktakeLine.js';
+import StockLocation from './StockLocation.js';
+import StockBalance from './StockBalance.js';
+import StockTransfer from './StockTransfer.js';
+import { DEFAULT_EMAIL_TEMPLATES } from '../utils/emailTemplateDefaults.js';
 
 // Define associations
 
@@ -45,6 +67,11 @@ Department.hasMany(User, {
   as: 'Users'
 });
 
+// User - User associations (temporary approver delegation)
+User.belongsTo(User, {
+  foreignKey: 'temp_delegate_id',
+  as: 'TempDelegate'
+});
 
 // Request - User associations
 Request.belongsTo(User, {
@@ -114,6 +141,11 @@ User.hasMany(Approval, {
   as: 'Approvals'
 });
 
+Approval.belongsTo(User, {
+  foreignKey: 'delegate_for',
+  as: 'DelegateFor'
+});
+
 // ServiceVehicleRequest - User associations (requested_by)
 ServiceVehicleRequest.belongsTo(User, {
   foreignKey: 'requested_by',
@@ -195,6 +227,23 @@ WorkflowStep.belongsTo(ApprovalWorkflow, {
   as: 'Workflow'
 });
 
+// ApprovalWorkflow - WorkflowVersion associations
+ApprovalWorkflow.hasMany(WorkflowVersion, {
+  foreignKey: 'workflow_id',
+  as: 'Versions',
+  onDelete: 'CASCADE'
+});
+
+WorkflowVersion.belongsTo(ApprovalWorkflow, {
+  foreignKey: 'workflow_id',
+  as: 'Workflow'
+});
+
+WorkflowVersion.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'Creator'
+});
+
 // WorkflowStep - User associations (for specific user approvers)
 WorkflowStep.belongsTo(User, {
   foreignKey: 'approver_user_id',
@@ -251,6 +300,11 @@ User.hasMany(VehicleApproval, {
   as: 'VehicleApprovals'
 });
 
+VehicleApproval.belongsTo(User, {
+  foreignKey: 'delegate_for',
+  as: 'DelegateFor'
+});
+
 // VehicleApproval - WorkflowStep associations
 VehicleApproval.belongsTo(WorkflowStep, {
   foreignKey: 'workflow_step_id',
@@ -262,6 +316,491 @@ WorkflowStep.hasMany(VehicleApproval, {
   as: 'Approvals'
 });
 
+// EmailActionToken - User associations
+EmailActionToken.belongsTo(User, {
+  foreignKey: 'approver_id',
+  as: 'Approver'
+});
+
+// Notification - User associations
+Notification.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'User'
+});
+
+User.hasMany(Notification, {
+  foreignKey: 'user_id',
+  as: 'Notifications'
+});
+
+// EmailTemplate - User associations
+EmailTemplate.belongsTo(User, {
+  foreignKey: 'updated_by',
+  as: 'UpdatedBy'
+});
+
+// Category - Sku associations
+Category.hasMany(Sku, {
+  foreignKey: 'category_id',
+  as: 'Skus'
+});
+
+Sku.belongsTo(Category, {
+  foreignKey: 'category_id',
+  as: 'Category'
+});
+
+RequestItem.belongsTo(Sku, {
+  foreignKey: 'sku_id',
+  as: 'Sku'
+});
+
+// StockMovement associations
+StockMovement.belongsTo(Category, {
+  foreignKey: 'category_id',
+  as: 'Category'
+});
+
+Category.hasMany(StockMovement, {
+  foreignKey: 'category_id',
+  as: 'StockMovements'
+});
+
+StockMovement.belongsTo(Sku, {
+  foreignKey: 'sku_id',
+  as: 'Sku'
+});
+
+Sku.hasMany(StockMovement, {
+  foreignKey: 'sku_id',
+  as: 'StockMovements'
+});
+
+StockMovement.belongsTo(Request, {
+  foreignKey: 'request_id',
+  as: 'Request'
+});
+
+StockMovement.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'CreatedBy'
+});
+
+// StockReservation associations
+StockReservation.belongsTo(Category, {
+  foreignKey: 'category_id',
+  as: 'Category'
+});
+
+StockReservation.belongsTo(Sku, {
+  foreignKey: 'sku_id',
+  as: 'Sku'
+});
+
+StockReservation.belongsTo(Request, {
+  foreignKey: 'request_id',
+  as: 'Request'
+});
+
+StockReservation.belongsTo(RequestItem, {
+  foreignKey: 'request_item_id',
+  as: 'RequestItem'
+});
+
+RequestItem.hasMany(StockReservation, {
+  foreignKey: 'request_item_id',
+  as: 'Reservations'
+});
+
+// Asset associations
+Asset.belongsTo(Category, {
+  foreignKey: 'category_id',
+  as: 'Category'
+});
+
+Asset.belongsTo(User, {
+  foreignKey: 'custodian_id',
+  as: 'Custodian'
+});
+
+User.hasMany(Asset, {
+  foreignKey: 'custodian_id',
+  as: 'CustodyAssets'
+});
+
+Asset.belongsTo(Department, {
+  foreignKey: 'department_id',
+  as: 'Department'
+});
+
+Asset.belongsTo(Request, {
+  foreignKey: 'request_id',
+  as: 'Request'
+});
+
+Asset.belongsTo(RequestItem, {
+  foreignKey: 'request_item_id',
+  as: 'RequestItem'
+});
+
+RequestItem.hasMany(Asset, {
+  foreignKey: 'request_item_id',
+  as: 'Assets'
+});
+
+Asset.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'CreatedBy'
+});
+
+// AssetMovement associations
+AssetMovement.belongsTo(Asset, {
+  foreignKey: 'asset_id',
+  as: 'Asset'
+});
+
+Asset.hasMany(AssetMovement, {
+  foreignKey: 'asset_id',
+  as: 'Movements'
+});
+
+AssetMovement.belongsTo(Department, {
+  foreignKey: 'from_department_id',
+  as: 'FromDepartment'
+});
+
+AssetMovement.belongsTo(Department, {
+  foreignKey: 'to_department_id',
+  as: 'ToDepartment'
+});
+
+AssetMovement.belongsTo(Request, {
+  foreignKey: 'request_id',
+  as: 'Request'
+});
+
+AssetMovement.belongsTo(User, {
+  foreignKey: 'performed_by',
+  as: 'PerformedBy'
+});
+
+// AssetTransfer associations
+AssetTransfer.belongsTo(Asset, {
+  foreignKey: 'asset_id',
+  as: 'Asset'
+});
+
+Asset.hasMany(AssetTransfer, {
+  foreignKey: 'asset_id',
+  as: 'Transfers'
+});
+
+AssetTransfer.belongsTo(User, {
+  foreignKey: 'from_custodian_id',
+  as: 'FromCustodian'
+});
+
+AssetTransfer.belongsTo(User, {
+  foreignKey: 'to_custodian_id',
+  as: 'ToCustodian'
+});
+
+AssetTransfer.belongsTo(Department, {
+  foreignKey: 'from_department_id',
+  as: 'FromDepartment'
+});
+
+AssetTransfer.belongsTo(Department, {
+  foreignKey: 'to_department_id',
+  as: 'ToDepartment'
+});
+
+AssetTransfer.belongsTo(User, {
+  foreignKey: 'requested_by',
+  as: 'RequestedBy'
+});
+
+AssetTransfer.belongsTo(User, {
+  foreignKey: 'from_decided_by',
+  as: 'FromDecidedBy'
+});
+
+AssetTransfer.belongsTo(User, {
+  foreignKey: 'to_decided_by',
+  as: 'ToDecidedBy'
+});
+
+// AssetLoan associations
+AssetLoan.belongsTo(Asset, {
+  foreignKey: 'asset_id',
+  as: 'Asset'
+});
+
+Asset.hasMany(AssetLoan, {
+  foreignKey: 'asset_id',
+  as: 'Loans'
+});
+
+AssetLoan.belongsTo(User, {
+  foreignKey: 'borrower_id',
+  as: 'Borrower'
+});
+
+AssetLoan.belongsTo(Department, {
+  foreignKey: 'department_id',
+  as: 'Department'
+});
+
+AssetLoan.belongsTo(User, {
+  foreignKey: 'issued_by',
+  as: 'IssuedBy'
+});
+
+AssetLoan.belongsTo(User, {
+  foreignKey: 'received_by',
+  as: 'ReceivedBy'
+});
+
+// Replacement links and return tasks
+RequestItem.belongsTo(Asset, {
+  foreignKey: 'replaced_asset_id',
+  as: 'ReplacedAsset'
+});
+
+AssetReturnTask.belongsTo(Asset, {
+  foreignKey: 'asset_id',
+  as: 'Asset'
+});
+
+Asset.hasMany(AssetReturnTask, {
+  foreignKey: 'asset_id',
+  as: 'ReturnTasks'
+});
+
+AssetReturnTask.belongsTo(Request, {
+  foreignKey: 'request_id',
+  as: 'Request'
+});
+
+AssetReturnTask.belongsTo(RequestItem, {
+  foreignKey: 'request_item_id',
+  as: 'RequestItem'
+});
+
+AssetReturnTask.belongsTo(User, {
+  foreignKey: 'completed_by',
+  as: 'CompletedBy'
+});
+
+// Purchase requisitions
+PurchaseRequisition.belongsTo(Request, {
+  foreignKey: 'request_id',
+  as: 'Request'
+});
+
+Request.hasMany(PurchaseRequisition, {
+  foreignKey: 'request_id',
+  as: 'PurchaseRequisitions'
+});
+
+PurchaseRequisition.hasMany(PurchaseRequisitionItem, {
+  foreignKey: 'purchase_requisition_id',
+  as: 'Items'
+});
+
+PurchaseRequisitionItem.belongsTo(PurchaseRequisition, {
+  foreignKey: 'purchase_requisition_id',
+  as: 'PurchaseRequisition'
+});
+
+PurchaseRequisitionItem.belongsTo(RequestItem, {
+  foreignKey: 'request_item_id',
+  as: 'RequestItem'
+});
+
+RequestItem.hasOne(PurchaseRequisitionItem, {
+  foreignKey: 'request_item_id',
+  as: 'PurchaseRequisitionLine'
+});
+
+PurchaseRequisitionItem.belongsTo(Category, {
+  foreignKey: 'category_id',
+  as: 'Category'
+});
+
+PurchaseRequisitionItem.belongsTo(Sku, {
+  foreignKey: 'sku_id',
+  as: 'Sku'
+});
+
+PurchaseRequisition.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'CreatedBy'
+});
+
+PurchaseRequisition.belongsTo(User, {
+  foreignKey: 'approved_by',
+  as: 'ApprovedBy'
+});
+
+// Vendor directory and quotations
+Vendor.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'CreatedBy'
+});
+
+ItemQuotation.belongsTo(RequestItem, {
+  foreignKey: 'request_item_id',
+  as: 'RequestItem'
+});
+
+RequestItem.hasMany(ItemQuotation, {
+  foreignKey: 'request_item_id',
+  as: 'Quotations'
+});
+
+ItemQuotation.belongsTo(Vendor, {
+  foreignKey: 'vendor_id',
+  as: 'Vendor'
+});
+
+Vendor.hasMany(ItemQuotation, {
+  foreignKey: 'vendor_id',
+  as: 'Quotations'
+});
+
+ItemQuotation.belongsTo(User, {
+  foreignKey: 'selected_by',
+  as: 'SelectedBy'
+});
+
+ItemQuotation.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'CreatedBy'
+});
+
+PurchaseRequisition.belongsTo(Vendor, {
+  foreignKey: 'vendor_id',
+  as: 'Vendor'
+});
+
+// Stock counts
+Stocktake.belongsTo(Category, {
+  foreignKey: 'category_id',
+  as: 'Category'
+});
+
+Stocktake.hasMany(StocktakeLine, {
+  foreignKey: 'stocktake_id',
+  as: 'Lines'
+});
+
+StocktakeLine.belongsTo(Stocktake, {
+  foreignKey: 'stocktake_id',
+  as: 'Stocktake'
+});
+
+StocktakeLine.belongsTo(Sku, {
+  foreignKey: 'sku_id',
+  as: 'Sku'
+});
+
+StocktakeLine.belongsTo(StockMovement, {
+  foreignKey: 'stock_movement_id',
+  as: 'StockMovement'
+});
+
+StocktakeLine.belongsTo(User, {
+  foreignKey: 'counted_by',
+  as: 'CountedBy'
+});
+
+Stocktake.belongsTo(User, {
+  foreignKey: 'opened_by',
+  as: 'OpenedBy'
+});
+
+Stocktake.belongsTo(User, {
+  foreignKey: 'posted_by',
+  as: 'PostedBy'
+});
+
+Stocktake.belongsTo(User, {
+  foreignKey: 'cancelled_by',
+  as: 'CancelledBy'
+});
+
+Stocktake.belongsTo(StockLocation, {
+  foreignKey: 'location_id',
+  as: 'Location'
+});
+
+StocktakeLine.belongsTo(StockLocation, {
+  foreignKey: 'location_id',
+  as: 'Location'
+});
+
+// Stock locations
+StockBalance.belongsTo(Sku, {
+  foreignKey: 'sku_id',
+  as: 'Sku'
+});
+
+Sku.hasMany(StockBalance, {
+  foreignKey: 'sku_id',
+  as: 'Balances'
+});
+
+StockBalance.belongsTo(StockLocation, {
+  foreignKey: 'location_id',
+  as: 'Location'
+});
+
+StockLocation.hasMany(StockBalance, {
+  foreignKey: 'location_id',
+  as: 'Balances'
+});
+
+StockMovement.belongsTo(StockLocation, {
+  foreignKey: 'location_id',
+  as: 'Location'
+});
+
+StockMovement.belongsTo(StockTransfer, {
+  foreignKey: 'transfer_id',
+  as: 'Transfer'
+});
+
+StockTransfer.belongsTo(Sku, {
+  foreignKey: 'sku_id',
+  as: 'Sku'
+});
+
+StockTransfer.belongsTo(StockLocation, {
+  foreignKey: 'from_location_id',
+  as: 'FromLocation'
+});
+
+StockTransfer.belongsTo(StockLocation, {
+  foreignKey: 'to_location_id',
+  as: 'ToLocation'
+});
+
+StockTransfer.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'CreatedBy'
+});
+
+StockTransfer.belongsTo(User, {
+  foreignKey: 'received_by',
+  as: 'ReceivedBy'
+});
+
+StockTransfer.belongsTo(User, {
+  foreignKey: 'cancelled_by',
+  as: 'CancelledBy'
+});
+
 // Export all models
 export {
   sequelize,
@@ -273,15 +812,35 @@ export {
   ServiceVehicleRequest,
   ApprovalWorkflow,
   WorkflowStep,
+  WorkflowVersion,
   ApprovalMatrix,
   VehicleApproval,
   Vehicle,
   Driver,
   AuditLog,
-  Item,
+  Sku,
   Category,
   SystemSetting,
-  ApiKey
+  ApiKey,
+  EmailActionToken,
+  Notification,
+  EmailTemplate,
+  StockMovement,
+  StockReservation,
+  Asset,
+  AssetMovement,
+  AssetTransfer,
+  AssetLoan,
+  AssetReturnTask,
+  PurchaseRequisition,
+  PurchaseRequisitionItem,
+  Vendor,
+  ItemQuotation,
+  Stocktake,
+  StocktakeLine,
+  StockLocation,
+  StockBalance,
+  StockTransfer
 };
 
 // Sync database function
@@ -329,6 +888,21 @@ export async function initializeDefaultData() {
     // Initialize default categories
     await initializeDefaultCategories();
 
+    // Seed any notification email templates that haven't been saved yet
+    await initializeDefaultEmailTemplates();
+
+    // Stock is kept somewhere: there is always a default location
+    await initializeDefaultStockLocation();
+
+    // Every stock-tracked category keeps its stock on at least one SKU
+    await initializeDefaultSkus();
+
+    // SKUs with stock but no location hold it at the default location
+    await initializeStockBalances();
+
+    // Start the stock ledger for SKUs that had stock before it existed
+    await initializeStockOpeningBalances();
+
     return { itDept, hrDept, financeDept };
   } catch (error) {
     console.error('❌ Failed to initialize default data:', error);
@@ -364,3 +938,124 @@ export async function initializeDefaultCategories() {
     console.error('❌ Failed to seed default categories:', error);
   }
 }
+
+// Initialize default email templates
+export async function initializeDefaultEmailTemplates() {
+  try {
+    const existing = await EmailTemplate.findAll({ attributes: ['key'] });
+    const existingKeys = new Set(existing.map(template => template.key));
+    const missing = Object.entries(DEFAULT_EMAIL_TEMPLATES)
+      .filter(([key]) => !existingKeys.has(key))
+      .map(([key, template]) => ({ key, subject: template.subject, html_body: template.html_body }));
+
+    if (missing.length > 0) {
+      console.log(`📧 Seeding ${missing.length} default email template(s)...`);
+      await EmailTemplate.bulkCreate(missing);
+      console.log('✅ Default email templates seeded');
+    }
+  } catch (error) {
+    console.error('❌ Failed to seed default email templates:', error);
+  }
+}
+
+// Create the default stock location when there isn't one
+export async function initializeDefaultStockLocation() {
+  try {
+    if (await StockLocation.count({ where: { is_default: true } }) === 0) {
+      await StockLocation.create({
+        code: 'MAIN',
+        name: 'IT Storeroom',
+        type: 'storeroom',
+        is_default: true
+      });
+      console.log('✅ Default stock location created');
+    }
+  } catch (error) {
+    console.error('❌ Failed to create the default stock location:', error);
+  }
+}
+
+// Give every stock-tracked category without SKUs its default SKU, holding the
+// category's stock on hand
+export async function initializeDefaultSkus() {
+  try {
+    const categories = await Category.findAll({
+      where: { track_stock: true },
+      include: [{ model: Sku, as: 'Skus', attributes: ['id'], required: false }]
+    });
+    const missing = categories.filter(category => category.Skus.length === 0);
+
+    if (missing.length > 0) {
+      console.log(`📦 Creating default SKUs for ${missing.length} categor${missing.length === 1 ? 'y' : 'ies'}...`);
+      for (const category of missing) {
+        await Sku.create({
+          category_id: category.id,
+          name: category.name,
+          description: category.description,
+          quantity: category.quantity,
+          is_default: true,
+          stock_updated_at: category.stock_updated_at
+        });
+      }
+      console.log('✅ Default SKUs created');
+    }
+  } catch (error) {
+    console.error('❌ Failed to create default SKUs:', error);
+  }
+}
+
+// Put the stock of SKUs that aren't held at any location yet at the default location
+export async function initializeStockBalances() {
+  try {
+    const [location, skus, balanced] = await Promise.all([
+      StockLocation.findOne({ where: { is_default: true } }),
+      Sku.findAll({ where: { quantity: { [Op.ne]: 0 } }, attributes: ['id', 'quantity'] }),
+      StockBalance.findAll({ attributes: ['sku_id'], group: ['sku_id'] })
+    ]);
+    const balancedIds = new Set(balanced.map(balance => balance.sku_id));
+    const missing = skus
+      .filter(sku => !balancedIds.has(sku.id))
+      .map(sku => ({ sku_id: sku.id, location_id: location.id, quantity: sku.quantity }));
+
+    if (missing.length > 0) {
+      console.log(`📦 Placing stock of ${missing.length} SKU(s) at ${location.name}...`);
+      await StockBalance.bulkCreate(missing);
+      console.log('✅ Stock balances placed');
+    }
+  } catch (error) {
+    console.error('❌ Failed to place stock balances:', error);
+  }
+}
+
+// Record the stock on hand of SKUs with no ledger entries yet, so their movement
+// history adds up to their current quantity
+export async function initializeStockOpeningBalances() {
+  try {
+    const [location, skus, ledgered] = await Promise.all([
+      StockLocation.findOne({ where: { is_default: true } }),
+      Sku.findAll({ where: { quantity: { [Op.ne]: 0 } }, attributes: ['id', 'category_id', 'quantity'] }),
+      StockMovement.findAll({ attributes: ['sku_id'], group: ['sku_id'] })
+    ]);
+    const ledgeredIds = new Set(ledgered.map(movement => movement.sku_id));
+    const missing = skus
+      .filter(sku => !ledgeredIds.has(sku.id))
+      .map(sku => ({
+        category_id: sku.category_id,
+        sku_id: sku.id,
+        location_id: location.id,
+        movement_type: 'opening_balance',
+        quantity: sku.quantity,
+        balance_after: sku.quantity,
+        location_balance_after: sku.quantity,
+        notes: 'Stock on hand when the movement ledger was introduced'
+      }));
+
+    if (missing.length > 0) {
+      console.log(`📦 Recording opening stock balances for ${missing.length} SKU(s)...`);
+      await StockMovement.bulkCreate(missing);
+      console.log('✅ Opening stock balances recorded');
+    }
+  } catch (error) {
+    console.error('❌ Failed to record opening stock balances:', error);
+  }
+}
@@ -0,0 +1,155 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, query, validationResult } from 'express-validator';
+import { Asset, AssetLoan, Department, User } from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { loanAsset } from '../utils/assetCustody.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator', 'it_manager']));
+
+const USER_ATTRIBUTES = ['id', 'username', 'email', 'first_name', 'last_name'];
+
+const LOAN_INCLUDE = [
+  { model: Asset, as: 'Asset', attributes: ['id', 'asset_tag', 'model', 'serial_number', 'status'] },
+  { model: User, as: 'Borrower', attributes: USER_ATTRIBUTES },
+  { model: Department, as: 'Department', attributes: ['id', 'name'] },
+  { model: User, as: 'IssuedBy', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'ReceivedBy', attributes: USER_ATTRIBUTES }
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// @route   GET /api/asset-loans
+// @desc    Equipment loans, active ones first; `overdue=true` for active loans past their due date
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/', [
+  query('status').optional().isIn(['active', 'returned']),
+  query('overdue').optional().isBoolean(),
+  query('asset_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.asset_id) where.asset_id = parseInt(req.query.asset_id, 10);
+    if (req.query.overdue === 'true') {
+      where.status = 'active';
+      where.due_date = { [Op.lt]: today() };
+    }
+
+    const loans = await AssetLoan.findAll({
+      where,
+      include: LOAN_INCLUDE,
+      order: [['status', 'ASC'], ['due_date', 'ASC']],
+      limit: 200
+    });
+
+    res.json({
+      success: true,
+      loans: loans.map(loan => ({
+        ...loan.toJSON(),
+        is_overdue: loan.status === 'active' && loan.due_date < today()
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching asset loans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch asset loans'
+    });
+  }
+});
+
+// @route   POST /api/asset-loans
+// @desc    Lend an in-stock asset until a due date. Loans are returned through POST /api/assets/:id/return.
+// @access  Private (Service Desk, Super Admin)
+router.post('/', requireRole(['service_desk', 'super_administrator']), [
+  body('asset_id').isInt({ min: 1 }),
+  body('borrower_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('borrower_name').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('department_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('due_date').isISO8601().withMessage('A due date is required')
+    .custom(value => value.slice(0, 10) >= today()).withMessage('The due date can\'t be in the past'),
+  body('purpose').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const [asset, borrower] = await Promise.all([
+      Asset.findByPk(req.body.asset_id),
+      req.body.borrower_id ? User.findByPk(req.body.borrower_id) : null
+    ]);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+    if (req.body.borrower_id && !borrower) {
+      return res.status(404).json({
+        success: false,
+        message: 'Borrower not found'
+      });
+    }
+
+    let loan;
+    try {
+      loan = await loanAsset({
+        asset,
+        borrower,
+        borrowerName: req.body.borrower_name,
+        departmentId: req.body.department_id || null,
+        dueDate: req.body.due_date.slice(0, 10),
+        purpose: req.body.purpose?.trim() || null,
+        user: req.user
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'AssetLoan',
+      entityId: loan.id,
+      details: {
+        assetTag: asset.asset_tag,
+        borrower: loan.borrower_name,
+        dueDate: loan.due_date
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${asset.asset_tag} lent to ${loan.borrower_name} until ${loan.due_date}`,
+      loan: await AssetLoan.findByPk(loan.id, { include: LOAN_INCLUDE })
+    });
+  } catch (error) {
+    console.error('Error creating asset loan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lend asset'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,381 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, param, query, validationResult } from 'express-validator';
+import { Asset, AssetTransfer, Department, User } from '../models/index.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import emailService from '../utils/emailService.js';
+import {
+  requestTransfer,
+  decideTransfer,
+  getTransferSidesFor,
+  getDepartmentApprovers,
+  summarizeTransfer
+} from '../utils/assetCustody.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Roles that manage equipment and may start or cancel any transfer
+const ASSET_MANAGER_ROLES = ['service_desk', 'super_administrator'];
+
+const USER_ATTRIBUTES = ['id', 'username', 'email', 'first_name', 'last_name'];
+
+const TRANSFER_INCLUDE = [
+  { model: Asset, as: 'Asset', attributes: ['id', 'asset_tag', 'model', 'serial_number', 'status'] },
+  { model: Department, as: 'FromDepartment', attributes: ['id', 'name'] },
+  { model: Department, as: 'ToDepartment', attributes: ['id', 'name'] },
+  { model: User, as: 'RequestedBy', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'FromDecidedBy', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'ToDecidedBy', attributes: USER_ATTRIBUTES }
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Transfers a user may see: all of them for IT staff, their department's for approvers,
+// otherwise the ones they asked for or that hand equipment to or from them
+const visibleTransfersWhere = (user) => {
+  if ([...ASSET_MANAGER_ROLES, 'it_manager'].includes(user.role)) return {};
+
+  const mine = [
+    { requested_by: user.id },
+    { from_custodian_id: user.id },
+    { to_custodian_id: user.id }
+  ];
+  if (user.role === 'department_approver' && user.department_id) {
+    mine.push({ from_department_id: user.department_id }, { to_department_id: user.department_id });
+  }
+  return { [Op.or]: mine };
+};
+
+// The transfer as JSON, with which sides the viewer can still decide
+const serializeTransfer = (transfer, user) => ({
+  ...transfer.toJSON(),
+  can_decide: transfer.status === 'pending' && getTransferSidesFor(transfer, user).length > 0
+});
+
+const loadTransfer = (id) => AssetTransfer.findByPk(id, { include: TRANSFER_INCLUDE });
+
+// Approvers still to decide a pending transfer, by side
+async function notifyPendingApprovers(transfer) {
+  const departments = [];
+  if (transfer.from_decision === 'pending') departments.push(transfer.from_department_id);
+  if (transfer.to_decision === 'pending') departments.push(transfer.to_department_id);
+
+  const approvers = (await Promise.all([...new Set(departments)].map(getDepartmentApprovers))).flat();
+  if (approvers.length === 0) {
+    console.warn(`⚠️ No department approver found for asset transfer #${transfer.id}`);
+    return;
+  }
+
+  const equipment = await summarizeTransfer(transfer);
+  for (const approver of approvers) {
+    try {
+      await emailService.notifyAssetTransferApproval(equipment, approver);
+    } catch (error) {
+      console.error(`Failed to notify ${approver.username} about asset transfer #${transfer.id}:`, error.message);
+    }
+  }
+}
+
+// Whoever asked for the transfer and both custodians hear how it ended
+async function notifyTransferDecided(transfer) {
+  const recipientIds = [...new Set([transfer.requested_by, transfer.from_custodian_id, transfer.to_custodian_id].filter(Boolean))];
+  if (recipientIds.length === 0) return;
+
+  const [equipment, recipients] = await Promise.all([
+    summarizeTransfer(transfer),
+    User.findAll({ where: { id: recipientIds }, attributes: USER_ATTRIBUTES })
+  ]);
+
+  for (const recipient of recipients) {
+    try {
+      await emailService.notifyAssetTransferDecided(equipment, recipient);
+    } catch (error) {
+      console.error(`Failed to notify ${recipient.username} about asset transfer #${transfer.id}:`, error.message);
+    }
+  }
+}
+
+// @route   GET /api/asset-transfers
+// @desc    Transfers the user may see, optionally only those awaiting their decision
+// @access  Private
+router.get('/', [
+  query('status').optional().isIn(['pending', 'approved', 'declined', 'cancelled']),
+  query('asset_id').optional().isInt({ min: 1 }),
+  query('awaiting_me').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const where = visibleTransfersWhere(req.user);
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.asset_id) where.asset_id = parseInt(req.query.asset_id, 10);
+    if (req.query.awaiting_me === 'true') where.status = 'pending';
+
+    const transfers = await AssetTransfer.findAll({
+      where,
+      include: TRANSFER_INCLUDE,
+      order: [['created_at', 'DESC']],
+      limit: 200
+    });
+
+    let results = transfers.map(transfer => serializeTransfer(transfer, req.user));
+    if (req.query.awaiting_me === 'true') {
+      results = results.filter(transfer => transfer.can_decide);
+    }
+
+    res.json({
+      success: true,
+      transfers: results
+    });
+  } catch (error) {
+    console.error('Error fetching asset transfers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch asset transfers'
+    });
+  }
+});
+
+// @route   POST /api/asset-transfers
+// @desc    Ask to move a deployed asset to another custodian and/or department
+// @access  Private (Service Desk, Super Admin, or the asset's current custodian)
+router.post('/', [
+  body('asset_id').isInt({ min: 1 }),
+  body('to_custodian_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('to_custodian_name').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('to_department_id').isInt({ min: 1 }).withMessage('The receiving department is required'),
+  body('to_location').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('reason').isString().trim().notEmpty().withMessage('A reason for the transfer is required')
+    .isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const asset = await Asset.findByPk(req.body.asset_id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    const isCustodian = req.user.id && asset.custodian_id === req.user.id;
+    if (!ASSET_MANAGER_ROLES.includes(req.user.role) && !isCustodian) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the Service Desk or the current custodian can transfer this asset'
+      });
+    }
+
+    const [toCustodian, toDepartment] = await Promise.all([
+      req.body.to_custodian_id ? User.findByPk(req.body.to_custodian_id) : null,
+      Department.findByPk(req.body.to_department_id)
+    ]);
+    if (req.body.to_custodian_id && !toCustodian) {
+      return res.status(404).json({
+        success: false,
+        message: 'New custodian not found'
+      });
+    }
+    if (!toDepartment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receiving department not found'
+      });
+    }
+
+    let transfer;
+    try {
+      transfer = await requestTransfer({
+        asset,
+        toCustodian,
+        toCustodianName: req.body.to_custodian_name,
+        toDepartmentId: toDepartment.id,
+        toLocation: req.body.to_location?.trim() || null,
+        reason: req.body.reason.trim(),
+        user: req.user
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'AssetTransfer',
+      entityId: transfer.id,
+      details: {
+        assetTag: asset.asset_tag,
+        from: transfer.from_custodian_name,
+        to: transfer.to_custodian_name,
+        toDepartment: toDepartment.name
+      }
+    });
+
+    await notifyPendingApprovers(transfer);
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer of ${asset.asset_tag} submitted for department approval`,
+      transfer: serializeTransfer(await loadTransfer(transfer.id), req.user)
+    });
+  } catch (error) {
+    console.error('Error requesting asset transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request asset transfer'
+    });
+  }
+});
+
+// @route   POST /api/asset-transfers/:id/approve
+// @route   POST /api/asset-transfers/:id/decline
+// @desc    Decide a transfer for the department(s) the user approves for
+// @access  Private (Department Approvers of either department, Super Admin)
+for (const [action, decision] of [['approve', 'approved'], ['decline', 'declined']]) {
+  router.post(`/:id/${action}`, [
+    param('id').isInt({ min: 1 }),
+    body('comments').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+    ...(decision === 'declined'
+      ? [body('comments').isString().trim().notEmpty().withMessage('Please give a reason for declining')]
+      : [])
+  ], async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const transfer = await AssetTransfer.findByPk(req.params.id);
+      if (!transfer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transfer not found'
+        });
+      }
+
+      if (transfer.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `This transfer is already ${transfer.status}`
+        });
+      }
+
+      if (getTransferSidesFor(transfer, req.user).length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not an approver for either department of this transfer'
+        });
+      }
+
+      await decideTransfer({
+        transfer,
+        user: req.user,
+        decision,
+        comments: req.body.comments?.trim() || null
+      });
+
+      await logAudit({
+        req,
+        action: decision === 'approved' ? 'APPROVE' : 'DECLINE',
+        entityType: 'AssetTransfer',
+        entityId: transfer.id,
+        details: {
+          fromDecision: transfer.from_decision,
+          toDecision: transfer.to_decision,
+          status: transfer.status,
+          ...(req.body.comments && { comments: req.body.comments })
+        }
+      });
+
+      if (transfer.status !== 'pending') {
+        await notifyTransferDecided(transfer);
+      }
+
+      res.json({
+        success: true,
+        message: transfer.status === 'pending'
+          ? 'Your approval was recorded; the other department still needs to approve'
+          : `Transfer ${transfer.status}`,
+        transfer: serializeTransfer(await loadTransfer(transfer.id), req.user)
+      });
+    } catch (error) {
+      console.error(`Error deciding asset transfer (${action}):`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to ${action} transfer`
+      });
+    }
+  });
+}
+
+// @route   POST /api/asset-transfers/:id/cancel
+// @desc    Withdraw a pending transfer
+// @access  Private (whoever requested it, Service Desk, Super Admin)
+router.post('/:id/cancel', [
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const transfer = await AssetTransfer.findByPk(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    const isRequester = req.user.id && transfer.requested_by === req.user.id;
+    if (!ASSET_MANAGER_ROLES.includes(req.user.role) && !isRequester) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only whoever requested this transfer or the Service Desk can cancel it'
+      });
+    }
+
+    if (transfer.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This transfer is already ${transfer.status}`
+      });
+    }
+
+    await transfer.update({ status: 'cancelled', completed_at: new Date() });
+
+    await logAudit({
+      req,
+      action: 'CANCEL',
+      entityType: 'AssetTransfer',
+      entityId: transfer.id,
+      details: { assetId: transfer.asset_id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled',
+      transfer: serializeTransfer(await loadTransfer(transfer.id), req.user)
+    });
+  } catch (error) {
+    console.error('Error cancelling asset transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel transfer'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,533 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, param, query, validationResult } from 'express-validator';
+import { Asset, AssetLoan, AssetMovement, AssetReturnTask, AssetTransfer, Category, Department, Request, RequestItem, User } from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit, calculateChanges } from '../utils/auditLogger.js';
+import { ASSET_STATUSES, WITH_CUSTODIAN_STATUSES, generateAssetTags, recordAssetMovement, snapshotAsset } from '../utils/assetRegistry.js';
+import { RETURN_CONDITIONS, returnAsset, getReplaceableAssets } from '../utils/assetCustody.js';
+
+const router = express.Router();
+
+// @route   GET /api/assets/mine
+// @desc    Equipment currently assigned to the signed-in user, with any loan due dates and pending transfers
+// @access  Private
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.json({ success: true, assets: [] });
+    }
+
+    const assets = await Asset.findAll({
+      where: { custodian_id: req.user.id, status: { [Op.in]: WITH_CUSTODIAN_STATUSES } },
+      include: [
+        { model: Category, as: 'Category', attributes: ['id', 'name'] },
+        { model: Department, as: 'Department', attributes: ['id', 'name'] },
+        { model: Request, as: 'Request', attributes: ['id', 'request_number'] },
+        { model: AssetLoan, as: 'Loans', where: { status: 'active' }, required: false, attributes: ['id', 'due_date', 'purpose', 'loaned_at'] },
+        {
+          model: AssetTransfer,
+          as: 'Transfers',
+          where: { status: 'pending' },
+          required: false,
+          attributes: ['id', 'to_custodian_name', 'to_department_id', 'from_decision', 'to_decision', 'created_at']
+        }
+      ],
+      order: [['deployed_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      assets
+    });
+  } catch (error) {
+    console.error('Error fetching assigned equipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your equipment'
+    });
+  }
+});
+
+// @route   GET /api/assets/replaceable
+// @desc    Deployed assets the signed-in user can name as the equipment a replacement item replaces:
+//          their own, and their department's (any department's, via department_id, for Super Admins)
+// @access  Private
+router.get('/replaceable', authenticateToken, [
+  query('department_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const departmentId = req.user.role === 'super_administrator' && req.query.department_id
+      ? parseInt(req.query.department_id, 10)
+      : req.user.department_id;
+
+    const assets = req.user.id || departmentId
+      ? await getReplaceableAssets({ requestorId: req.user.id, departmentId })
+      : [];
+
+    res.json({
+      success: true,
+      assets
+    });
+  } catch (error) {
+    console.error('Error fetching replaceable assets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch replaceable assets'
+    });
+  }
+});
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator', 'it_manager']));
+
+const canEditAssets = requireRole(['service_desk', 'super_administrator']);
+
+const SORTABLE_FIELDS = ['asset_tag', 'serial_number', 'model', 'custodian_name', 'deployed_at', 'warranty_end', 'status', 'created_at'];
+
+const EDITABLE_FIELDS = ['serial_number', 'model', 'category_id', 'custodian_id', 'custodian_name', 'department_id', 'location', 'deployed_at', 'warranty_end', 'status', 'notes'];
+
+const ASSET_INCLUDE = [
+  { model: Category, as: 'Category', attributes: ['id', 'name'] },
+  { model: Department, as: 'Department', attributes: ['id', 'name'] },
+  { model: User, as: 'Custodian', attributes: ['id', 'username', 'first_name', 'last_name', 'email'] },
+  { model: Request, as: 'Request', attributes: ['id', 'request_number', 'status', 'completed_at'] },
+  { model: RequestItem, as: 'RequestItem', attributes: ['id', 'category', 'item_description', 'quantity', 'inventory_number', 'is_returned', 'returned_at'] }
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const assetFieldValidators = [
+  body('serial_number').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('model').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('category_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('custodian_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('custodian_name').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('department_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('location').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('deployed_at').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('warranty_end').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('status').optional().isIn(ASSET_STATUSES)
+    .withMessage(`Status must be one of: ${ASSET_STATUSES.join(', ')}`),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 })
+];
+
+// Blank strings from the form clear a field rather than storing ''
+const pickAssetFields = (source) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (source[field] === undefined) continue;
+    const value = typeof source[field] === 'string' ? source[field].trim() : source[field];
+    fields[field] = value === '' ? null : value;
+  }
+  return fields;
+};
+
+const duplicateSerialResponse = (res, error) => {
+  if (error.name !== 'SequelizeUniqueConstraintError') return false;
+
+  res.status(409).json({
+    success: false,
+    message: 'Another asset already has this serial number or asset tag'
+  });
+  return true;
+};
+
+// @route   GET /api/assets
+// @desc    Search the asset registry, with filters and pagination
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(ASSET_STATUSES),
+  query('category_id').optional().isInt({ min: 1 }),
+  query('department_id').optional().isInt({ min: 1 }),
+  query('custodian_id').optional().isInt({ min: 1 }),
+  query('deployed_from').optional().isISO8601(),
+  query('deployed_to').optional().isISO8601(),
+  query('warranty_before').optional().isISO8601(),
+  query('sort').optional().isIn(SORTABLE_FIELDS),
+  query('order').optional().isIn(['asc', 'desc', 'ASC', 'DESC'])
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { search, status, category_id, department_id, custodian_id, deployed_from, deployed_to, warranty_before } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (category_id) where.category_id = parseInt(category_id, 10);
+    if (department_id) where.department_id = parseInt(department_id, 10);
+    if (custodian_id) where.custodian_id = parseInt(custodian_id, 10);
+
+    if (deployed_from || deployed_to) {
+      where.deployed_at = {};
+      if (deployed_from) where.deployed_at[Op.gte] = new Date(deployed_from);
+      if (deployed_to) {
+        const end = new Date(deployed_to);
+        end.setHours(23, 59, 59, 999);
+        where.deployed_at[Op.lte] = end;
+      }
+    }
+
+    if (warranty_before) {
+      where.warranty_end = { [Op.lte]: warranty_before };
+    }
+
+    if (search?.trim()) {
+      const term = `%${search.trim()}%`;
+      where[Op.or] = [
+        { asset_tag: { [Op.iLike]: term } },
+        { serial_number: { [Op.iLike]: term } },
+        { model: { [Op.iLike]: term } },
+        { custodian_name: { [Op.iLike]: term } },
+        { location: { [Op.iLike]: term } },
+        { '$Request.request_number$': { [Op.iLike]: term } }
+      ];
+    }
+
+    const sort = req.query.sort || 'created_at';
+    const order = (req.query.order || 'desc').toUpperCase();
+
+    const { count, rows } = await Asset.findAndCountAll({
+      where,
+      include: [
+        ...ASSET_INCLUDE,
+        // Loaded separately so the page limit applies to assets, not joined rows
+        { model: AssetLoan, as: 'Loans', where: { status: 'active' }, required: false, separate: true, attributes: ['id', 'asset_id', 'borrower_name', 'due_date'] },
+        { model: AssetTransfer, as: 'Transfers', where: { status: 'pending' }, required: false, separate: true, attributes: ['id', 'asset_id', 'to_custodian_name'] }
+      ],
+      order: [[sort, order], ['id', order]],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    res.json({
+      success: true,
+      assets: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching assets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch assets'
+    });
+  }
+});
+
+// @route   GET /api/assets/summary
+// @desc    Asset counts by status
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/summary', async (req, res) => {
+  try {
+    const counts = await Asset.count({ group: ['status'] });
+    const byStatus = Object.fromEntries(ASSET_STATUSES.map(status => [status, 0]));
+    for (const { status, count } of counts) byStatus[status] = count;
+
+    res.json({
+      success: true,
+      total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      byStatus
+    });
+  } catch (error) {
+    console.error('Error summarizing assets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to summarize assets'
+    });
+  }
+});
+
+// @route   GET /api/assets/return-tasks
+// @desc    Replaced equipment the Service Desk has to collect, open tasks first
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/return-tasks', [
+  query('status').optional().isIn(['open', 'completed', 'cancelled'])
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const tasks = await AssetReturnTask.findAll({
+      where: { status: req.query.status || 'open' },
+      include: [
+        {
+          model: Asset,
+          as: 'Asset',
+          attributes: ['id', 'asset_tag', 'model', 'serial_number', 'status', 'custodian_name', 'location'],
+          include: [{ model: Department, as: 'Department', attributes: ['id', 'name'] }]
+        },
+        { model: Request, as: 'Request', attributes: ['id', 'request_number'] },
+        { model: RequestItem, as: 'RequestItem', attributes: ['id', 'category', 'item_description'] },
+        { model: User, as: 'CompletedBy', attributes: ['id', 'username', 'first_name', 'last_name'] }
+      ],
+      order: [['created_at', 'ASC']],
+      limit: 200
+    });
+
+    res.json({
+      success: true,
+      tasks
+    });
+  } catch (error) {
+    console.error('Error fetching return tasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return tasks'
+    });
+  }
+});
+
+// @route   GET /api/assets/:id
+// @desc    One asset with its category, custodian and deploying request
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/:id', [
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const asset = await Asset.findByPk(req.params.id, { include: ASSET_INCLUDE });
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      asset
+    });
+  } catch (error) {
+    console.error('Error fetching asset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch asset'
+    });
+  }
+});
+
+// @route   POST /api/assets
+// @desc    Register an asset that did not come through a request (e.g. existing equipment)
+// @access  Private (Service Desk, Super Admin)
+router.post('/', canEditAssets, [
+  body('asset_tag').optional({ checkFalsy: true }).isString().trim().isLength({ max: 30 }),
+  ...assetFieldValidators
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const fields = pickAssetFields(req.body);
+    const [generatedTag] = req.body.asset_tag?.trim() ? [req.body.asset_tag.trim()] : await generateAssetTags(1);
+
+    const asset = await Asset.create({
+      ...fields,
+      asset_tag: generatedTag,
+      status: fields.status || 'in_stock',
+      created_by: req.user.id
+    });
+    await recordAssetMovement({ asset, type: 'registered', user: req.user });
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'Asset',
+      entityId: asset.id,
+      details: {
+        assetTag: asset.asset_tag,
+        serialNumber: asset.serial_number,
+        status: asset.status
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Asset ${asset.asset_tag} registered`,
+      asset: await Asset.findByPk(asset.id, { include: ASSET_INCLUDE })
+    });
+  } catch (error) {
+    if (duplicateSerialResponse(res, error)) return;
+    console.error('Error creating asset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register asset'
+    });
+  }
+});
+
+// @route   PUT /api/assets/:id
+// @desc    Update an asset's details, custodian or status
+// @access  Private (Service Desk, Super Admin)
+router.put('/:id', canEditAssets, [
+  param('id').isInt({ min: 1 }),
+  ...assetFieldValidators
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const asset = await Asset.findByPk(req.params.id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    const fields = pickAssetFields(req.body);
+    const oldValues = asset.toJSON();
+    const before = snapshotAsset(asset);
+    await asset.update(fields);
+
+    // Custody and status changes made by hand still belong in the asset's history
+    if (asset.status !== before.status) {
+      await recordAssetMovement({ asset, type: 'status_changed', before, user: req.user });
+    } else if (asset.custodian_name !== before.custodian_name || asset.department_id !== before.department_id) {
+      await recordAssetMovement({ asset, type: 'reassigned', before, user: req.user });
+    }
+
+    const changes = calculateChanges(oldValues, asset);
+    if (Object.keys(changes).length > 0) {
+      await logAudit({
+        req,
+        action: 'UPDATE',
+        entityType: 'Asset',
+        entityId: asset.id,
+        details: {
+          assetTag: asset.asset_tag,
+          changes
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Asset ${asset.asset_tag} updated`,
+      asset: await Asset.findByPk(asset.id, { include: ASSET_INCLUDE })
+    });
+  } catch (error) {
+    if (duplicateSerialResponse(res, error)) return;
+    console.error('Error updating asset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update asset'
+    });
+  }
+});
+
+// @route   GET /api/assets/:id/history
+// @desc    Every movement of an asset, newest first
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/:id/history', [
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const movements = await AssetMovement.findAll({
+      where: { asset_id: req.params.id },
+      include: [
+        { model: Department, as: 'FromDepartment', attributes: ['id', 'name'] },
+        { model: Department, as: 'ToDepartment', attributes: ['id', 'name'] },
+        { model: Request, as: 'Request', attributes: ['id', 'request_number'] },
+        { model: User, as: 'PerformedBy', attributes: ['id', 'username', 'first_name', 'last_name'] }
+      ],
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      movements
+    });
+  } catch (error) {
+    console.error('Error fetching asset history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch asset history'
+    });
+  }
+});
+
+// @route   POST /api/assets/:id/return
+// @desc    Take back a deployed or loaned asset, recording the condition found on inspection
+// @access  Private (Service Desk, Super Admin)
+router.post('/:id/return', canEditAssets, [
+  param('id').isInt({ min: 1 }),
+  body('condition').isIn(RETURN_CONDITIONS)
+    .withMessage(`Condition must be one of: ${RETURN_CONDITIONS.join(', ')}`),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const asset = await Asset.findByPk(req.params.id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    const { condition } = req.body;
+    const notes = req.body.notes?.trim() || null;
+
+    let result;
+    try {
+      result = await returnAsset({ asset, condition, notes, user: req.user });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'RETURN',
+      entityType: 'Asset',
+      entityId: asset.id,
+      details: {
+        assetTag: asset.asset_tag,
+        condition,
+        newStatus: asset.status,
+        ...(result.loan && { loanId: result.loan.id }),
+        ...(notes && { notes })
+      }
+    });
+
+    res.json({
+      success: true,
+      message: asset.status === 'in_repair'
+        ? `${asset.asset_tag} returned and sent for repair`
+        : `${asset.asset_tag} returned to stock`,
+      asset: await Asset.findByPk(asset.id, { include: ASSET_INCLUDE })
+    });
+  } catch (error) {
+    console.error('Error returning asset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to return asset'
+    });
+  }
+});
+
+export default router;
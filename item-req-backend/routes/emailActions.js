@@ -0,0 +1,227 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import {
+  Request,
+  RequestItem,
+  ServiceVehicleRequest,
+  User,
+  Department
+} from '../models/index.js';
+import { requireRoleOrDelegate } from '../middleware/auth.js';
+import {
+  EMAIL_ACTIONS,
+  findEmailActionToken,
+  getTokenProblem,
+  claimEmailActionToken,
+  releaseEmailActionToken
+} from '../utils/emailActionTokens.js';
+import { invokeRequestAction } from '../utils/bulkActions.js';
+import {
+  approveRequest,
+  declineRequest,
+  returnRequest
+} from '../controllers/requestController.js';
+import {
+  approveRequest as approveVehicleRequest,
+  declineRequest as declineVehicleRequest,
+  returnRequest as returnVehicleRequest
+} from '../controllers/serviceVehicleRequestController.js';
+
+const router = express.Router();
+
+// These routes are public: the signed link in the approval email is the credential.
+// The action runs through the same controller (and, for vehicle requests, the same role check)
+// as the in-app buttons, with the approver the email was sent to as the acting user.
+
+const requireVehicleApprover = requireRoleOrDelegate(['department_approver', 'super_administrator']);
+
+const ACTIONS = {
+  item_request: {
+    approve: { handlers: [approveRequest], body: comments => ({ comments }) },
+    decline: { handlers: [declineRequest], body: comments => ({ comments }) },
+    return: { handlers: [returnRequest], body: comments => ({ returnReason: comments }) }
+  },
+  vehicle_request: {
+    approve: { handlers: [requireVehicleApprover, approveVehicleRequest], body: comments => ({ remarks: comments }) },
+    decline: { handlers: [requireVehicleApprover, declineVehicleRequest], body: comments => ({ reason: comments }) },
+    return: { handlers: [requireVehicleApprover, returnVehicleRequest], body: comments => ({ reason: comments }) }
+  }
+};
+
+const INVALID_LINK_MESSAGE = 'This link is invalid or has expired.';
+
+async function loadRequest(token) {
+  if (token.form_type === 'vehicle_request') {
+    return ServiceVehicleRequest.findByPk(token.request_id, {
+      include: [
+        { model: User, as: 'RequestedByUser', attributes: ['id', 'first_name', 'last_name'] },
+        { model: Department, as: 'Department', attributes: ['id', 'name'] }
+      ]
+    });
+  }
+
+  return Request.findByPk(token.request_id, {
+    include: [
+      { model: User, as: 'Requestor', attributes: ['id', 'first_name', 'last_name'] },
+      { model: Department, as: 'Department', attributes: ['id', 'name'] },
+      { model: RequestItem, as: 'Items', attributes: ['id', 'category', 'item_description', 'quantity'] }
+    ]
+  });
+}
+
+// Only what the approver needs to decide; the full request stays behind the login
+function summarizeRequest(formType, request) {
+  if (formType === 'vehicle_request') {
+    const requestor = request.RequestedByUser;
+    return {
+      formType,
+      id: request.id,
+      number: request.reference_code || String(request.id),
+      status: request.status,
+      version: request.version,
+      requestor: requestor ? `${requestor.first_name} ${requestor.last_name}` : request.requestor_name,
+      department: request.Department?.name || null,
+      requestType: request.request_type,
+      travelDate: request.travel_date_from,
+      destination: request.destination,
+      purpose: request.purpose
+    };
+  }
+
+  return {
+    formType,
+    id: request.id,
+    number: request.request_number,
+    status: request.status,
+    version: request.version,
+    requestor: request.Requestor ? `${request.Requestor.first_name} ${request.Requestor.last_name}` : null,
+    department: request.Department?.name || null,
+    priority: request.priority,
+    totalEstimatedCost: request.total_estimated_cost,
+    items: (request.Items || []).map(item => ({
+      id: item.id,
+      category: item.category,
+      description: item.item_description,
+      quantity: item.quantity
+    }))
+  };
+}
+
+// @route   GET /api/email-actions/:token
+// @desc    Show what an emailed approve/decline/return link will act on
+// @access  Public (signed link)
+router.get('/:token', async (req, res) => {
+  try {
+    const token = await findEmailActionToken(req.params.token);
+    if (!token) {
+      return res.status(404).json({ success: false, message: INVALID_LINK_MESSAGE });
+    }
+
+    const request = await loadRequest(token);
+    const problem = getTokenProblem(token, request);
+    const approver = await User.findByPk(token.approver_id, { attributes: ['id', 'first_name', 'last_name'] });
+
+    res.json({
+      success: true,
+      usable: !problem,
+      message: problem,
+      approver: approver ? `${approver.first_name} ${approver.last_name}` : null,
+      expiresAt: token.expires_at,
+      usedAction: token.used_action,
+      request: request ? summarizeRequest(token.form_type, request) : null
+    });
+  } catch (error) {
+    console.error('Error loading email action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load email action',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/email-actions/:token
+// @desc    Approve, decline or return the request the link was sent for (once), at the `version` shown
+// @access  Public (signed link)
+router.post('/:token', [
+  body('action').isIn(EMAIL_ACTIONS).withMessage('Action must be approve, decline or return'),
+  body('version').isInt({ min: 1 }).withMessage('The version of the request is required'),
+  body('comments').optional({ nullable: true }).trim().isLength({ max: 1000 }),
+  body('comments').if(body('action').isIn(['decline', 'return'])).notEmpty()
+    .withMessage('Please give a reason when declining or returning a request')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array()
+      });
+    }
+
+    const { action, comments, version } = req.body;
+
+    const token = await findEmailActionToken(req.params.token);
+    if (!token) {
+      return res.status(404).json({ success: false, message: INVALID_LINK_MESSAGE });
+    }
+
+    const request = await loadRequest(token);
+    const problem = getTokenProblem(token, request);
+    if (problem) {
+      return res.status(409).json({ success: false, message: problem });
+    }
+
+    const approver = await User.findByPk(token.approver_id, {
+      include: [{ model: Department, as: 'Department' }],
+      attributes: { exclude: ['ad_groups'] }
+    });
+    if (!approver || !approver.is_active) {
+      return res.status(403).json({
+        success: false,
+        message: 'The approver this link was sent to is no longer active.'
+      });
+    }
+
+    // Claim first so a double click can't act twice
+    if (!(await claimEmailActionToken(token, action))) {
+      return res.status(409).json({ success: false, message: 'This link has already been used.' });
+    }
+
+    const { handlers, body: buildBody } = ACTIONS[token.form_type][action];
+    const result = await invokeRequestAction(
+      handlers,
+      req,
+      token.request_id,
+      { ...buildBody(comments || ''), version },
+      { user: approver }
+    );
+
+    if (!result.success) {
+      // Nothing happened, so let the approver try again or use the app instead
+      await releaseEmailActionToken(token);
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message || 'The action could not be completed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      action,
+      status: result.status,
+      request: { formType: token.form_type, id: token.request_id }
+    });
+  } catch (error) {
+    console.error('Error processing email action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process email action',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,464 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { EmailTemplate, User, Department, Request, ServiceVehicleRequest } from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import emailService from '../utils/emailService.js';
+import { DEFAULT_EMAIL_TEMPLATES, EMAIL_TEMPLATE_VARIABLES } from '../utils/emailTemplateDefaults.js';
+import {
+  isEmailTemplateKey,
+  getTemplateSyntaxError,
+  renderEmailTemplate,
+  getEmailTemplate,
+  clearEmailTemplateCache
+} from '../utils/emailTemplates.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['super_administrator']));
+
+// Stand-in requests for previews when there is no real request of that kind yet
+const SAMPLE_REQUESTS = {
+  item_request: {
+    id: 0,
+    request_number: 'REQ-2026-0001',
+    status: 'department_approval',
+    priority: 'medium',
+    Department: { name: 'Information Technology' },
+    submitted_at: new Date()
+  },
+  vehicle_request: {
+    id: 0,
+    reference_code: 'SVR-2026-0001',
+    status: 'department_approval',
+    request_type: 'drop_passenger',
+    requestor_name: 'Sample Requestor',
+    travel_date_from: new Date(),
+    purpose: 'Client meeting',
+    destination: 'Head office',
+    attachments: []
+  }
+};
+
+const SAMPLE_REQUESTOR = { first_name: 'Sample', last_name: 'Requestor', username: 'sample.requestor', email: 'requestor@example.com' };
+
+const requestorInclude = (as) => ({
+  model: User,
+  as,
+  attributes: ['id', 'username', 'first_name', 'last_name', 'email']
+});
+
+// The request a preview is rendered against: the one asked for, else the latest of that kind, else a sample
+async function loadPreviewRequest(formType, requestId) {
+  try {
+    if (formType === 'vehicle_request') {
+      const options = { include: [requestorInclude('RequestedByUser'), { model: Department, as: 'Department' }] };
+      const vehicleRequest = requestId
+        ? await ServiceVehicleRequest.findByPk(requestId, options)
+        : await ServiceVehicleRequest.findOne({ ...options, order: [['id', 'DESC']] });
+      if (vehicleRequest) return { request: vehicleRequest, requestor: vehicleRequest.RequestedByUser };
+    } else {
+      const options = { include: [requestorInclude('Requestor'), { model: Department, as: 'Department' }] };
+      const request = requestId
+        ? await Request.findByPk(requestId, options)
+        : await Request.findOne({ ...options, order: [['id', 'DESC']] });
+      if (request) return { request, requestor: request.Requestor };
+    }
+  } catch (error) {
+    console.error('Failed to load a request for the email template preview:', error.message);
+  }
+
+  return { request: SAMPLE_REQUESTS[formType], requestor: SAMPLE_REQUESTOR };
+}
+
+/**
+ * Template variables for previews and test sends. Every template gets a fully populated
+ * context, with the signed-in admin standing in for the approver, verifier and recipient.
+ */
+async function buildPreviewArgs(key, user, requestId = null) {
+  const formType = DEFAULT_EMAIL_TEMPLATES[key].formType || 'item_request';
+  const { request, requestor } = await loadPreviewRequest(formType, requestId);
+  const reference = formType === 'vehicle_request'
+    ? (request.reference_code || request.id)
+    : request.request_number;
+  const requestorName = emailService.personName(requestor || SAMPLE_REQUESTOR);
+  const requestPath = formType === 'vehicle_request' ? 'service-vehicle-requests' : 'requests';
+
+  return {
+    formType,
+    request,
+    requestor: requestor || SAMPLE_REQUESTOR,
+    approver: user,
+    nextApprover: user,
+    recipient: user,
+    verifier: user,
+    uploadedBy: user,
+    comments: 'Looks good, please proceed.',
+    reason: 'Please attach the signed quotation.',
+    status: 'verified',
+    stage: 'department_approval',
+    isCompleted: false,
+    attachmentCount: 2,
+    summary: {
+      formLabel: formType === 'vehicle_request' ? 'service vehicle request' : 'IT requisition request',
+      reference,
+      requestorName,
+      stepName: 'Department Approval',
+      hoursPending: 30,
+      slaHours: 24,
+      reminderNumber: 1,
+      pendingWith: emailService.personName(user),
+      isBackupApprover: true,
+      link: `${emailService.getFrontendUrl()}/${requestPath}/${request.id}`
+    },
+    notifications: [
+      {
+        title: `Request ${reference} approved`,
+        message: `Approved by ${emailService.personName(user)}.`,
+        link: `/${requestPath}/${request.id}`,
+        created_at: new Date()
+      },
+      {
+        title: `Request ${reference} needs your approval`,
+        message: `${requestorName} submitted a request that is waiting for your approval.`,
+        link: `/${requestPath}/${request.id}`,
+        created_at: new Date()
+      }
+    ],
+    equipment: {
+      assetTag: `AST-${new Date().getFullYear()}-000042`,
+      model: 'Dell Latitude 5440',
+      serialNumber: 'SN-5440-0042',
+      fromCustodian: requestorName,
+      fromDepartment: 'Information Technology',
+      toCustodian: emailService.personName(user),
+      toDepartment: 'Finance',
+      reason: 'Moving to the Finance team.',
+      statusLabel: 'approved',
+      comments: 'Approved for both departments.',
+      borrower: requestorName,
+      dueDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toLocaleDateString(),
+      daysOverdue: 3,
+      reminderNumber: 1
+    },
+    stockAlerts: [
+      {
+        name: 'Dell Latitude 5440',
+        code: 'SKU-00012',
+        category_name: 'Laptop',
+        status: 'low_stock',
+        on_hand: 4,
+        reserved: 2,
+        available: 2,
+        min_stock_level: 5,
+        consumed_quantity: 12,
+        open_request_quantity: 3,
+        on_order_quantity: 5,
+        suggested_quantity: 13
+      },
+      {
+        name: 'Monitor',
+        code: 'SKU-00003',
+        category_name: 'Monitor',
+        status: 'out_of_stock',
+        on_hand: 0,
+        reserved: 0,
+        available: 0,
+        min_stock_level: 3,
+        consumed_quantity: 6,
+        open_request_quantity: 1,
+        on_order_quantity: 0,
+        suggested_quantity: 10
+      }
+    ],
+    actionLinks: {
+      approve: `${emailService.getFrontendUrl()}/email-action/preview?action=approve`,
+      decline: `${emailService.getFrontendUrl()}/email-action/preview?action=decline`,
+      return: `${emailService.getFrontendUrl()}/email-action/preview?action=return`
+    }
+  };
+}
+
+function templateSummary(key, saved) {
+  const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+  const subject = saved?.subject ?? defaults.subject;
+  const htmlBody = saved?.html_body ?? defaults.html_body;
+
+  return {
+    key,
+    name: defaults.name,
+    description: defaults.description,
+    form_type: defaults.formType,
+    subject,
+    is_customized: subject !== defaults.subject || htmlBody !== defaults.html_body,
+    updated_at: saved?.updated_at || saved?.updatedAt || null,
+    updated_by: saved?.UpdatedBy ? emailService.personName(saved.UpdatedBy) : null
+  };
+}
+
+function requireTemplateKey(req, res, next) {
+  if (!isEmailTemplateKey(req.params.key)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email template not found'
+    });
+  }
+  next();
+}
+
+// subject/html_body are optional on preview and test, where they default to the saved template
+const templateValidation = (required) => [
+  body('subject')[required ? 'exists' : 'optional']().isString().trim()
+    .isLength({ min: 1, max: 255 }).withMessage('Subject must be 1-255 characters')
+    .custom(value => {
+      const error = getTemplateSyntaxError(value);
+      if (error) throw new Error(`Subject: ${error}`);
+      return true;
+    }),
+  body('html_body')[required ? 'exists' : 'optional']().isString()
+    .isLength({ min: 1 }).withMessage('Body is required')
+    .custom(value => {
+      const error = getTemplateSyntaxError(value);
+      if (error) throw new Error(`Body: ${error}`);
+      return true;
+    })
+];
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+}
+
+// The template being edited: the posted draft, falling back to the saved one
+async function resolveDraft(key, draft) {
+  const saved = await getEmailTemplate(key);
+  return {
+    subject: draft.subject ?? saved.subject,
+    html_body: draft.html_body ?? saved.html_body
+  };
+}
+
+// @route   GET /api/email-templates
+// @desc    List the notification email templates and the placeholders they can use
+// @access  Private (Super Administrator)
+router.get('/', async (req, res) => {
+  try {
+    const saved = await EmailTemplate.findAll({
+      include: [{ model: User, as: 'UpdatedBy', attributes: ['id', 'username', 'first_name', 'last_name'] }]
+    });
+    const savedByKey = new Map(saved.map(template => [template.key, template]));
+
+    res.json({
+      success: true,
+      templates: Object.keys(DEFAULT_EMAIL_TEMPLATES).map(key => templateSummary(key, savedByKey.get(key))),
+      variables: EMAIL_TEMPLATE_VARIABLES
+    });
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email templates',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/email-templates/:key
+// @desc    Get one template with its current subject and body
+// @access  Private (Super Administrator)
+router.get('/:key', requireTemplateKey, async (req, res) => {
+  try {
+    const saved = await EmailTemplate.findOne({
+      where: { key: req.params.key },
+      include: [{ model: User, as: 'UpdatedBy', attributes: ['id', 'username', 'first_name', 'last_name'] }]
+    });
+
+    res.json({
+      success: true,
+      template: {
+        ...templateSummary(req.params.key, saved),
+        html_body: saved?.html_body ?? DEFAULT_EMAIL_TEMPLATES[req.params.key].html_body
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email template',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/email-templates/:key
+// @desc    Save a template's subject and body
+// @access  Private (Super Administrator)
+router.put('/:key', requireTemplateKey, templateValidation(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { key } = req.params;
+    const { subject, html_body } = req.body;
+
+    const [template, created] = await EmailTemplate.findOrCreate({
+      where: { key },
+      defaults: { subject, html_body, updated_by: req.user.id || null }
+    });
+    if (!created) {
+      await template.update({ subject, html_body, updated_by: req.user.id || null });
+    }
+    clearEmailTemplateCache(key);
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'EmailTemplate',
+      entityId: template.id,
+      details: { change: 'Email Template Updated', key }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email template saved',
+      template: { ...templateSummary(key, template), html_body: template.html_body }
+    });
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save email template',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/email-templates/:key/reset
+// @desc    Restore the built-in default subject and body
+// @access  Private (Super Administrator)
+router.post('/:key/reset', requireTemplateKey, async (req, res) => {
+  try {
+    const { key } = req.params;
+    const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+
+    const [template] = await EmailTemplate.findOrCreate({
+      where: { key },
+      defaults: { subject: defaults.subject, html_body: defaults.html_body }
+    });
+    await template.update({ subject: defaults.subject, html_body: defaults.html_body, updated_by: req.user.id || null });
+    clearEmailTemplateCache(key);
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'EmailTemplate',
+      entityId: template.id,
+      details: { change: 'Email Template Reset to Default', key }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email template reset to default',
+      template: { ...templateSummary(key, template), html_body: template.html_body }
+    });
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset email template',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/email-templates/:key/preview
+// @desc    Render a draft (or the saved template) against a request; the latest one of that kind by default
+// @access  Private (Super Administrator)
+router.post('/:key/preview', requireTemplateKey, [
+  ...templateValidation(false),
+  body('request_id').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { key } = req.params;
+    const template = await resolveDraft(key, req.body);
+    const args = await buildPreviewArgs(key, req.user, req.body.request_id);
+    const rendered = renderEmailTemplate(key, template, emailService.buildTemplateContext(args));
+
+    res.json({
+      success: true,
+      subject: rendered.subject,
+      html: rendered.html,
+      sample: {
+        form_type: args.formType,
+        request_id: args.request.id || null,
+        reference: args.summary.reference
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview email template',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/email-templates/:key/test
+// @desc    Email a rendered draft (or the saved template) to the given address or the current user
+// @access  Private (Super Administrator)
+router.post('/:key/test', requireTemplateKey, [
+  ...templateValidation(false),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Valid email address is required'),
+  body('request_id').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const to = req.body.email || req.user.email;
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter an email address to send the test to'
+      });
+    }
+
+    const { key } = req.params;
+    const template = await resolveDraft(key, req.body);
+    const args = await buildPreviewArgs(key, req.user, req.body.request_id);
+    const rendered = renderEmailTemplate(key, template, emailService.buildTemplateContext(args));
+    const result = await emailService.sendTestEmail(to, rendered);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send test email',
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Test email sent to ${to}`
+    });
+  } catch (error) {
+    console.error('Error sending test email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test email',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,137 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import exportService from '../utils/exportService.js';
+import { spreadsheetUpload } from '../utils/uploadConfig.js';
+import { readInventoryImportFile, planInventoryImport, applyInventoryImport } from '../utils/inventoryImport.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator']));
+
+// The uploaded file's rows checked against current inventory, or a 400 when it can't be read
+const checkUpload = async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({
+      success: false,
+      message: 'No file uploaded'
+    });
+    return null;
+  }
+
+  let rows;
+  try {
+    rows = readInventoryImportFile(req.file.buffer);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return null;
+  }
+  return planInventoryImport(rows);
+};
+
+// @route   GET /api/inventory-import/template
+// @desc    Download the import template as an Excel workbook
+// @access  Private (Service Desk, Super Admin)
+router.get('/template', async (req, res) => {
+  try {
+    const excelBuffer = await exportService.exportInventoryImportTemplate();
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=inventory_import_template.xlsx');
+
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Error building inventory import template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build import template'
+    });
+  }
+});
+
+// @route   POST /api/inventory-import/preview
+// @desc    Check an .xlsx or .csv file (`file`) and show what each row would change, with its errors; nothing is saved
+// @access  Private (Service Desk, Super Admin)
+router.post('/preview', spreadsheetUpload.single('file'), async (req, res) => {
+  try {
+    const checked = await checkUpload(req, res);
+    if (!checked) return;
+
+    res.json({
+      success: true,
+      rows: checked.rows,
+      summary: checked.summary
+    });
+  } catch (error) {
+    console.error('Error previewing inventory import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check import file'
+    });
+  }
+});
+
+// @route   POST /api/inventory-import/commit
+// @desc    Import a file (`file`) in one transaction; nothing is imported while any row has errors
+// @access  Private (Service Desk, Super Admin)
+router.post('/commit', spreadsheetUpload.single('file'), async (req, res) => {
+  try {
+    const checked = await checkUpload(req, res);
+    if (!checked) return;
+
+    // The file is checked again, as inventory may have changed since the preview
+    const { rows, summary, plan } = checked;
+    if (summary.invalid_rows > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${summary.invalid_rows} row${summary.invalid_rows === 1 ? ' has' : 's have'} errors; fix them and try again`,
+        rows,
+        summary
+      });
+    }
+
+    let result;
+    try {
+      result = await applyInventoryImport({ plan, fileName: req.file.originalname, user: req.user });
+    } catch (error) {
+      console.error('Error applying inventory import:', error);
+      return res.status(400).json({
+        success: false,
+        message: `Nothing was imported: ${error.message}`
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'InventoryImport',
+      entityId: null,
+      details: {
+        fileName: req.file.originalname,
+        rows: summary.rows,
+        categoriesCreated: summary.categories_created,
+        categoriesUpdated: summary.categories_updated,
+        skusCreated: summary.skus_created,
+        skusUpdated: summary.skus_updated,
+        stockMovements: result.movements
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${summary.rows} row${summary.rows === 1 ? '' : 's'}: ${result.categories} categor${result.categories === 1 ? 'y' : 'ies'} and ${result.skus} SKU${result.skus === 1 ? '' : 's'} added or updated, ${result.movements} stock change${result.movements === 1 ? '' : 's'}`,
+      summary
+    });
+  } catch (error) {
+    console.error('Error importing inventory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import inventory'
+    });
+  }
+});
+
+export default router;
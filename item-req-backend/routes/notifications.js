@@ -0,0 +1,256 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { Notification } from '../models/index.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import {
+  NOTIFICATION_EVENT_TYPES,
+  DELIVERY_MODES,
+  getDeliveryMode
+} from '../utils/notificationService.js';
+
+const router = express.Router();
+
+// Notifications are per user; API keys have no user to notify
+router.use(authenticateToken, (req, res, next) => {
+  if (!req.user?.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Notifications are only available to signed-in users'
+    });
+  }
+  next();
+});
+
+// @route   GET /api/notifications
+// @desc    List the current user's notifications, newest first
+// @access  Private
+router.get('/', [
+  query('unread_only').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const where = { user_id: req.user.id };
+    if (req.query.unread_only === 'true') {
+      where.read_at = null;
+    }
+
+    const [{ rows, count }, unreadCount] = await Promise.all([
+      Notification.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC']],
+        limit,
+        offset
+      }),
+      Notification.count({ where: { user_id: req.user.id, read_at: null } })
+    ]);
+
+    res.json({
+      success: true,
+      notifications: rows,
+      total: count,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+});
+
+// Every event type with the user's chosen delivery (defaults filled in)
+const buildPreferences = (user) => Object.fromEntries(
+  Object.keys(NOTIFICATION_EVENT_TYPES).map(type => [type, getDeliveryMode(user, type)])
+);
+
+// @route   GET /api/notifications/preferences
+// @desc    The current user's delivery preference per notification type
+// @access  Private
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      preferences: buildPreferences(req.user),
+      eventTypes: Object.entries(NOTIFICATION_EVENT_TYPES).map(([key, label]) => ({ key, label })),
+      modes: DELIVERY_MODES
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update the current user's delivery preferences ({ preferences: { [type]: mode } })
+// @access  Private
+router.put('/preferences', [
+  body('preferences').isObject().withMessage('Preferences must be an object'),
+  body('preferences').custom(preferences => {
+    for (const [type, mode] of Object.entries(preferences)) {
+      if (!NOTIFICATION_EVENT_TYPES[type]) {
+        throw new Error(`Unknown notification type: ${type}`);
+      }
+      if (!DELIVERY_MODES.includes(mode)) {
+        throw new Error(`Delivery for ${type} must be one of: ${DELIVERY_MODES.join(', ')}`);
+      }
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const before = buildPreferences(req.user);
+    await req.user.update({
+      notification_preferences: { ...(req.user.notification_preferences || {}), ...req.body.preferences }
+    });
+    const preferences = buildPreferences(req.user);
+
+    const changes = Object.fromEntries(
+      Object.keys(preferences)
+        .filter(type => before[type] !== preferences[type])
+        .map(type => [type, { from: before[type], to: preferences[type] }])
+    );
+    if (Object.keys(changes).length > 0) {
+      await logAudit({
+        req,
+        action: 'UPDATE',
+        entityType: 'User',
+        entityId: req.user.id,
+        details: { change: 'Notification Preferences Updated', changes }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences saved',
+      preferences
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications (polled by the notification bell)
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.count({
+      where: { user_id: req.user.id, read_at: null }
+    });
+
+    res.json({ success: true, unreadCount });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to count notifications',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.patch('/read-all', async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { read_at: new Date() },
+      { where: { user_id: req.user.id, read_at: null } }
+    );
+
+    res.json({
+      success: true,
+      message: `${updated} notification(s) marked as read`,
+      updated
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private (recipient only)
+router.patch('/:id/read', [
+  param('id').isInt({ min: 1 }).withMessage('Invalid notification ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.read_at) {
+      await notification.update({ read_at: new Date() });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,576 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, query, validationResult } from 'express-validator';
+import {
+  sequelize,
+  Category,
+  PurchaseRequisition,
+  PurchaseRequisitionItem,
+  Request,
+  RequestItem,
+  Sku,
+  User,
+  Vendor
+} from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { itemRequestUpload } from '../utils/uploadConfig.js';
+import {
+  PR_STATUSES,
+  OPEN_PR_STATUSES,
+  PR_NUMBER_PATTERN,
+  preparePurchaseRequisitionLines,
+  approvePurchaseRequisition,
+  receivePurchaseRequisition,
+  serializePurchaseRequisition
+} from '../utils/purchaseRequisitions.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator', 'it_manager']));
+
+const manageRoles = requireRole(['service_desk', 'super_administrator']);
+
+const USER_ATTRIBUTES = ['id', 'username', 'first_name', 'last_name'];
+
+const PR_INCLUDE = [
+  {
+    model: PurchaseRequisitionItem,
+    as: 'Items',
+    separate: true,
+    order: [['id', 'ASC']],
+    include: [
+      { model: RequestItem, as: 'RequestItem', attributes: ['id', 'category', 'item_description', 'quantity'] },
+      { model: Category, as: 'Category', attributes: ['id', 'name', 'track_stock'] },
+      { model: Sku, as: 'Sku', attributes: ['id', 'code', 'name'] }
+    ]
+  },
+  { model: Request, as: 'Request', attributes: ['id', 'request_number', 'status'] },
+  { model: Vendor, as: 'Vendor', attributes: ['id', 'name', 'payment_terms'] },
+  { model: User, as: 'CreatedBy', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'ApprovedBy', attributes: USER_ATTRIBUTES }
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const findRequisition = (id) => PurchaseRequisition.findByPk(id, { include: PR_INCLUDE });
+
+// @route   GET /api/purchase-requisitions
+// @desc    Purchase requisitions, oldest first; `open=true` for those not yet fully received
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/', [
+  query('status').optional().isIn(PR_STATUSES),
+  query('open').optional().isBoolean(),
+  query('request_id').optional().isInt({ min: 1 }),
+  query('search').optional().isString()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.open === 'true') where.status = { [Op.in]: OPEN_PR_STATUSES };
+    if (req.query.request_id) where.request_id = parseInt(req.query.request_id, 10);
+    if (req.query.search) {
+      const term = `%${req.query.search.trim()}%`;
+      where[Op.or] = [
+        { pr_number: { [Op.iLike]: term } },
+        { vendor_name: { [Op.iLike]: term } },
+        { '$Request.request_number$': { [Op.iLike]: term } }
+      ];
+    }
+
+    const requisitions = await PurchaseRequisition.findAll({
+      where,
+      include: PR_INCLUDE,
+      order: [['created_at', 'ASC']],
+      limit: 200
+    });
+
+    res.json({
+      success: true,
+      requisitions: requisitions.map(requisition => serializePurchaseRequisition(requisition))
+    });
+  } catch (error) {
+    console.error('Error fetching purchase requisitions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase requisitions'
+    });
+  }
+});
+
+// @route   GET /api/purchase-requisitions/:id
+// @desc    A purchase requisition with its lines
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/:id', async (req, res) => {
+  try {
+    const requisition = await findRequisition(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase requisition not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      requisition: serializePurchaseRequisition(requisition)
+    });
+  } catch (error) {
+    console.error('Error fetching purchase requisition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase requisition'
+    });
+  }
+});
+
+// @route   POST /api/purchase-requisitions
+// @desc    Draft a purchase requisition, optionally for the items of a request
+// @access  Private (Service Desk, Super Admin)
+router.post('/', manageRoles, [
+  body('pr_number').trim().matches(PR_NUMBER_PATTERN).withMessage('PR number must be 8 digits'),
+  body('request_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('vendor_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('vendor_name').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('items').isArray({ min: 1 }).withMessage('A PR needs at least one line'),
+  body('items.*.request_item_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('items.*.category_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('items.*.sku_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('items.*.description').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Line quantities must be at least 1'),
+  body('items.*.quoted_unit_cost').optional({ nullable: true }).isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const requestId = req.body.request_id || null;
+    if (requestId && !(await Request.findByPk(requestId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+    const vendor = req.body.vendor_id ? await Vendor.findByPk(req.body.vendor_id) : null;
+    if (req.body.vendor_id && !vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+    if (await PurchaseRequisition.findOne({ where: { pr_number: req.body.pr_number } })) {
+      return res.status(409).json({
+        success: false,
+        message: `PR ${req.body.pr_number} already exists`
+      });
+    }
+
+    let lines;
+    try {
+      lines = await preparePurchaseRequisitionLines({ requestId, lines: req.body.items });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const requisition = await sequelize.transaction(async (transaction) => {
+      const created = await PurchaseRequisition.create({
+        pr_number: req.body.pr_number,
+        request_id: requestId,
+        vendor_id: vendor?.id || null,
+        vendor_name: vendor?.name || req.body.vendor_name?.trim() || null,
+        notes: req.body.notes?.trim() || null,
+        created_by: req.user.id
+      }, { transaction });
+      await PurchaseRequisitionItem.bulkCreate(
+        lines.map(line => ({ ...line, purchase_requisition_id: created.id })),
+        { transaction }
+      );
+      return created;
+    });
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'PurchaseRequisition',
+      entityId: requisition.id,
+      details: {
+        prNumber: requisition.pr_number,
+        requestId,
+        lines: lines.length
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `PR ${requisition.pr_number} drafted`,
+      requisition: serializePurchaseRequisition(await findRequisition(requisition.id))
+    });
+  } catch (error) {
+    console.error('Error creating purchase requisition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create purchase requisition'
+    });
+  }
+});
+
+// @route   PUT /api/purchase-requisitions/:id
+// @desc    Update a PR's vendor (`vendor_id` from the directory, or a `vendor_name`), notes and line costs. Quoted costs can only change while drafted.
+// @access  Private (Service Desk, Super Admin)
+router.put('/:id', manageRoles, [
+  body('vendor_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('vendor_name').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('items').optional().isArray(),
+  body('items.*.id').isInt({ min: 1 }),
+  body('items.*.quoted_unit_cost').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('items.*.actual_unit_cost').optional({ nullable: true }).isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const requisition = await findRequisition(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase requisition not found'
+      });
+    }
+
+    const vendor = req.body.vendor_id ? await Vendor.findByPk(req.body.vendor_id) : null;
+    if (req.body.vendor_id && !vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const lineUpdates = req.body.items || [];
+    if (requisition.status !== 'drafted' && lineUpdates.some(line => line.quoted_unit_cost !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quoted costs can only be changed while the PR is drafted'
+      });
+    }
+    const linesById = new Map(requisition.Items.map(line => [line.id, line]));
+    const unknown = lineUpdates.find(line => !linesById.has(parseInt(line.id, 10)));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Line ${unknown.id} is not on PR ${requisition.pr_number}`
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await requisition.update({
+        ...(req.body.vendor_id !== undefined && { vendor_id: vendor?.id || null }),
+        ...(vendor && { vendor_name: vendor.name }),
+        ...(!vendor && req.body.vendor_name !== undefined && { vendor_name: req.body.vendor_name?.trim() || null }),
+        ...(req.body.notes !== undefined && { notes: req.body.notes?.trim() || null })
+      }, { transaction });
+      for (const update of lineUpdates) {
+        await linesById.get(parseInt(update.id, 10)).update({
+          ...(update.quoted_unit_cost !== undefined && { quoted_unit_cost: update.quoted_unit_cost }),
+          ...(update.actual_unit_cost !== undefined && { actual_unit_cost: update.actual_unit_cost })
+        }, { transaction });
+      }
+    });
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'PurchaseRequisition',
+      entityId: requisition.id,
+      details: { prNumber: requisition.pr_number }
+    });
+
+    res.json({
+      success: true,
+      message: `PR ${requisition.pr_number} updated`,
+      requisition: serializePurchaseRequisition(await findRequisition(requisition.id))
+    });
+  } catch (error) {
+    console.error('Error updating purchase requisition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update purchase requisition'
+    });
+  }
+});
+
+// @route   POST /api/purchase-requisitions/:id/document
+// @desc    Attach the PR document, replacing any attached before
+// @access  Private (Service Desk, Super Admin)
+router.post('/:id/document', manageRoles, itemRequestUpload.single('document'), async (req, res) => {
+  try {
+    const requisition = await PurchaseRequisition.findByPk(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase requisition not found'
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    await requisition.update({
+      document: {
+        originalName: req.file.originalname,
+        filename: req.file.filename,
+        path: `/uploads/${req.file.filename}`,
+        mimetype: req.file.mimetype,
+        size: req.file.size,
+        uploadedAt: new Date(),
+        uploadedBy: {
+          id: req.user.id,
+          name: `${req.user.first_name} ${req.user.last_name}`
+        }
+      }
+    });
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'PurchaseRequisition',
+      entityId: requisition.id,
+      details: { message: `Attached PR document ${req.file.originalname}` }
+    });
+
+    res.json({
+      success: true,
+      message: 'PR document attached',
+      requisition: serializePurchaseRequisition(await findRequisition(requisition.id))
+    });
+  } catch (error) {
+    console.error('Error attaching PR document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to attach PR document'
+    });
+  }
+});
+
+// @route   POST /api/purchase-requisitions/:id/approve
+// @desc    Approve a drafted PR that has its document attached
+// @access  Private (Service Desk, Super Admin)
+router.post('/:id/approve', manageRoles, async (req, res) => {
+  try {
+    const requisition = await PurchaseRequisition.findByPk(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase requisition not found'
+      });
+    }
+
+    try {
+      await approvePurchaseRequisition({ requisition, user: req.user });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'APPROVE',
+      entityType: 'PurchaseRequisition',
+      entityId: requisition.id,
+      details: { prNumber: requisition.pr_number }
+    });
+
+    res.json({
+      success: true,
+      message: `PR ${requisition.pr_number} approved`,
+      requisition: serializePurchaseRequisition(await findRequisition(requisition.id))
+    });
+  } catch (error) {
+    console.error('Error approving purchase requisition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve purchase requisition'
+    });
+  }
+});
+
+// @route   POST /api/purchase-requisitions/:id/order
+// @desc    Record that an approved PR has been ordered from the vendor
+// @access  Private (Service Desk, Super Admin)
+router.post('/:id/order', manageRoles, [
+  body('ordered_at').optional({ nullable: true }).isISO8601()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const requisition = await PurchaseRequisition.findByPk(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase requisition not found'
+      });
+    }
+    if (requisition.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: `Only approved PRs can be ordered; PR ${requisition.pr_number} is ${requisition.status.replace('_', ' ')}`
+      });
+    }
+
+    await requisition.update({
+      status: 'ordered',
+      ordered_at: req.body.ordered_at ? new Date(req.body.ordered_at) : new Date()
+    });
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'PurchaseRequisition',
+      entityId: requisition.id,
+      details: { prNumber: requisition.pr_number, newStatus: 'ordered' }
+    });
+
+    res.json({
+      success: true,
+      message: `PR ${requisition.pr_number} marked as ordered`,
+      requisition: serializePurchaseRequisition(await findRequisition(requisition.id))
+    });
+  } catch (error) {
+    console.error('Error ordering purchase requisition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark purchase requisition as ordered'
+    });
+  }
+});
+
+// @route   POST /api/purchase-requisitions/:id/receive
+// @desc    Receive a full or partial delivery; received quantities are added to stock at `location_id` (default location when omitted)
+// @access  Private (Service Desk, Super Admin)
+router.post('/:id/receive', manageRoles, [
+  body('location_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('items').isArray({ min: 1 }),
+  body('items.*.id').isInt({ min: 1 }),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Received quantities must be at least 1'),
+  body('items.*.actual_unit_cost').optional({ nullable: true }).isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const requisition = await PurchaseRequisition.findByPk(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase requisition not found'
+      });
+    }
+
+    let movements;
+    try {
+      movements = await receivePurchaseRequisition({
+        requisition,
+        receipts: req.body.items,
+        locationId: req.body.location_id || null,
+        user: req.user
+      });
+    } catch (error) {
+      if (error.status !== 400) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    await requisition.reload();
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'PurchaseRequisition',
+      entityId: requisition.id,
+      details: {
+        prNumber: requisition.pr_number,
+        newStatus: requisition.status,
+        received: req.body.items.filter(item => parseInt(item.quantity, 10) > 0)
+          .map(item => ({ lineId: item.id, quantity: parseInt(item.quantity, 10) })),
+        stockMovements: movements.filter(Boolean).map(movement => movement.id)
+      }
+    });
+
+    res.json({
+      success: true,
+      message: requisition.status === 'received'
+        ? `PR ${requisition.pr_number} received in full`
+        : `Delivery recorded; PR ${requisition.pr_number} is partially received`,
+      requisition: serializePurchaseRequisition(await findRequisition(requisition.id))
+    });
+  } catch (error) {
+    console.error('Error receiving purchase requisition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive purchase requisition'
+    });
+  }
+});
+
+// @route   DELETE /api/purchase-requisitions/:id
+// @desc    Discard a drafted PR
+// @access  Private (Service Desk, Super Admin)
+router.delete('/:id', manageRoles, async (req, res) => {
+  try {
+    const requisition = await PurchaseRequisition.findByPk(req.params.id);
+    if (!requisition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase requisition not found'
+      });
+    }
+    if (requisition.status !== 'drafted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only drafted PRs can be discarded'
+      });
+    }
+
+    await requisition.destroy();
+
+    await logAudit({
+      req,
+      action: 'DELETE',
+      entityType: 'PurchaseRequisition',
+      entityId: requisition.id,
+      details: { prNumber: requisition.pr_number }
+    });
+
+    res.json({
+      success: true,
+      message: `PR ${requisition.pr_number} discarded`
+    });
+  } catch (error) {
+    console.error('Error deleting purchase requisition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard purchase requisition'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,298 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, query, validationResult } from 'express-validator';
+import { sequelize, ItemQuotation, Request, RequestItem, User, Vendor } from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { itemRequestUpload } from '../utils/uploadConfig.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator', 'it_manager']));
+
+const manageRoles = requireRole(['service_desk', 'super_administrator']);
+
+// How many quotations a request item can collect
+const MAX_QUOTATIONS_PER_ITEM = parseInt(process.env.MAX_QUOTATIONS_PER_ITEM, 10) || 3;
+
+// Quotations are frozen once the request is closed
+const CLOSED_REQUEST_STATUSES = ['department_declined', 'endorser_declined', 'it_manager_declined', 'cancelled', 'completed'];
+
+const QUOTATION_INCLUDE = [
+  { model: Vendor, as: 'Vendor', attributes: ['id', 'name', 'accreditation_expires_on', 'payment_terms', 'is_active'] },
+  { model: User, as: 'SelectedBy', attributes: ['id', 'username', 'first_name', 'last_name'] }
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// The request item a quotation belongs to, with its request, or a 4xx response sent
+const findOpenItem = async (itemId, res) => {
+  const item = await RequestItem.findByPk(itemId, {
+    include: [{ model: Request, as: 'Request', attributes: ['id', 'request_number', 'status'] }]
+  });
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      message: 'Request item not found'
+    });
+    return null;
+  }
+  if (CLOSED_REQUEST_STATUSES.includes(item.Request.status)) {
+    res.status(400).json({
+      success: false,
+      message: `Quotations can't be changed once request ${item.Request.request_number} is closed`
+    });
+    return null;
+  }
+  return item;
+};
+
+// @route   GET /api/quotations
+// @desc    Quotations for a request (`request_id`) or one of its items (`request_item_id`), cheapest first
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/', [
+  query('request_id').optional().isInt({ min: 1 }),
+  query('request_item_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    if (!req.query.request_id && !req.query.request_item_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pass request_id or request_item_id'
+      });
+    }
+
+    const where = {};
+    if (req.query.request_item_id) where.request_item_id = parseInt(req.query.request_item_id, 10);
+    if (req.query.request_id) {
+      const items = await RequestItem.findAll({ where: { request_id: parseInt(req.query.request_id, 10) }, attributes: ['id'] });
+      where.request_item_id = { [Op.in]: items.map(item => item.id) };
+    }
+
+    const quotations = await ItemQuotation.findAll({
+      where,
+      include: QUOTATION_INCLUDE,
+      order: [['request_item_id', 'ASC'], ['unit_price', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      quotations,
+      maxPerItem: MAX_QUOTATIONS_PER_ITEM
+    });
+  } catch (error) {
+    console.error('Error fetching quotations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotations'
+    });
+  }
+});
+
+// @route   POST /api/quotations
+// @desc    Attach a vendor quotation to a request item (multipart, with an optional `file`)
+// @access  Private (Service Desk, Super Admin)
+router.post('/', manageRoles, itemRequestUpload.single('file'), [
+  body('request_item_id').isInt({ min: 1 }),
+  body('vendor_id').isInt({ min: 1 }).withMessage('Choose a vendor'),
+  body('unit_price').isFloat({ min: 0 }).withMessage('Enter the quoted unit price'),
+  body('lead_time_days').optional({ checkFalsy: true }).isInt({ min: 0 }),
+  body('valid_until').optional({ checkFalsy: true }).isISO8601(),
+  body('notes').optional({ checkFalsy: true }).isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const item = await findOpenItem(req.body.request_item_id, res);
+    if (!item) return;
+
+    const vendor = await Vendor.findByPk(req.body.vendor_id);
+    if (!vendor || !vendor.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vendor not found in the directory'
+      });
+    }
+
+    const existing = await ItemQuotation.count({ where: { request_item_id: item.id } });
+    if (existing >= MAX_QUOTATIONS_PER_ITEM) {
+      return res.status(400).json({
+        success: false,
+        message: `${item.category} already has ${MAX_QUOTATIONS_PER_ITEM} quotations; remove one first`
+      });
+    }
+
+    const quotation = await ItemQuotation.create({
+      request_item_id: item.id,
+      vendor_id: vendor.id,
+      unit_price: req.body.unit_price,
+      lead_time_days: req.body.lead_time_days ? parseInt(req.body.lead_time_days, 10) : null,
+      valid_until: req.body.valid_until || null,
+      notes: req.body.notes?.trim() || null,
+      file: req.file ? {
+        originalName: req.file.originalname,
+        filename: req.file.filename,
+        path: `/uploads/${req.file.filename}`,
+        mimetype: req.file.mimetype,
+        size: req.file.size,
+        uploadedAt: new Date(),
+        uploadedBy: {
+          id: req.user.id,
+          name: `${req.user.first_name} ${req.user.last_name}`
+        }
+      } : null,
+      created_by: req.user.id
+    });
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'ItemQuotation',
+      entityId: quotation.id,
+      details: {
+        requestId: item.request_id,
+        item: item.category,
+        vendor: vendor.name,
+        unitPrice: quotation.unit_price
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Quotation from ${vendor.name} added`,
+      quotation: await ItemQuotation.findByPk(quotation.id, { include: QUOTATION_INCLUDE })
+    });
+  } catch (error) {
+    console.error('Error creating quotation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add quotation'
+    });
+  }
+});
+
+// @route   POST /api/quotations/:id/select
+// @desc    Select a quotation for its item, with the reason for choosing it; any other selection is cleared
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.post('/:id/select', [
+  body('reason').trim().notEmpty().withMessage('Give the reason for selecting this quotation').isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const quotation = await ItemQuotation.findByPk(req.params.id, { include: QUOTATION_INCLUDE });
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+    const item = await findOpenItem(quotation.request_item_id, res);
+    if (!item) return;
+
+    const previous = await ItemQuotation.findOne({
+      where: { request_item_id: item.id, is_selected: true, id: { [Op.ne]: quotation.id } },
+      include: QUOTATION_INCLUDE
+    });
+
+    await sequelize.transaction(async (transaction) => {
+      await ItemQuotation.update({
+        is_selected: false,
+        selection_reason: null,
+        selected_by: null,
+        selected_at: null
+      }, { where: { request_item_id: item.id, id: { [Op.ne]: quotation.id } }, transaction });
+      await quotation.update({
+        is_selected: true,
+        selection_reason: req.body.reason,
+        selected_by: req.user.id,
+        selected_at: new Date()
+      }, { transaction });
+      // The free-text vendor field now names the chosen vendor
+      await item.update({ vendor_info: quotation.Vendor.name.slice(0, 200) }, { transaction });
+    });
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'ItemQuotation',
+      entityId: quotation.id,
+      details: {
+        message: `Selected ${quotation.Vendor.name}'s quotation for ${item.category}`,
+        requestId: item.request_id,
+        vendor: quotation.Vendor.name,
+        unitPrice: quotation.unit_price,
+        reason: req.body.reason,
+        ...(previous && { replacedSelection: previous.Vendor.name })
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${quotation.Vendor.name}'s quotation selected`,
+      quotation: await ItemQuotation.findByPk(quotation.id, { include: QUOTATION_INCLUDE })
+    });
+  } catch (error) {
+    console.error('Error selecting quotation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to select quotation'
+    });
+  }
+});
+
+// @route   DELETE /api/quotations/:id
+// @desc    Remove a quotation from its item
+// @access  Private (Service Desk, Super Admin)
+router.delete('/:id', manageRoles, async (req, res) => {
+  try {
+    const quotation = await ItemQuotation.findByPk(req.params.id, { include: QUOTATION_INCLUDE });
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+    const item = await findOpenItem(quotation.request_item_id, res);
+    if (!item) return;
+
+    await quotation.destroy();
+
+    await logAudit({
+      req,
+      action: 'DELETE',
+      entityType: 'ItemQuotation',
+      entityId: quotation.id,
+      details: {
+        requestId: item.request_id,
+        item: item.category,
+        vendor: quotation.Vendor.name,
+        wasSelected: quotation.is_selected
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Quotation from ${quotation.Vendor.name} removed`
+    });
+  } catch (error) {
+    console.error('Error deleting quotation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove quotation'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import realtimeService, { REALTIME_FORM_TYPES } from '../utils/realtimeService.js';
+
+const router = express.Router();
+
+// Live updates are per browser session; API keys have no session to push to
+const requireUser = (req, res, next) => {
+  if (!req.user?.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Live updates are only available to signed-in users'
+    });
+  }
+  next();
+};
+
+// @route   POST /api/realtime/ticket
+// @desc    A single-use ticket, valid for 30 seconds, to open the stream with
+// @access  Private
+router.post('/ticket', authenticateToken, requireUser, (req, res) => {
+  res.json({ success: true, ticket: realtimeService.issueTicket(req.user) });
+});
+
+// @route   GET /api/realtime/stream?ticket=
+// @desc    Server-Sent Events stream of request, approval and attachment changes, opened
+//          with a ticket from POST /ticket (EventSource can't send the JWT as a header).
+//          Only changes to requests the user may see are sent, and events only carry ids,
+//          status and who made the change; pages refetch through the usual endpoints.
+// @access  Private
+router.get('/stream', (req, res) => {
+  const user = realtimeService.redeemTicket(String(req.query.ticket || ''));
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Stream ticket is missing, used or expired'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const clientId = realtimeService.addClient(res, user);
+  realtimeService.send(res, { type: 'ready', clientId });
+
+  req.on('close', () => realtimeService.removeClient(clientId));
+});
+
+// @route   PUT /api/realtime/subscriptions
+// @desc    Choose which requests and queues a stream receives events for
+// @access  Private
+router.put('/subscriptions', authenticateToken, requireUser, [
+  body('client_id').isString().notEmpty(),
+  body('requests').optional().isArray({ max: 100 }),
+  body('requests.*.form_type').isIn(REALTIME_FORM_TYPES),
+  body('requests.*.request_id').isInt({ min: 1 }),
+  body('queues').optional().isArray(),
+  body('queues.*').isIn(REALTIME_FORM_TYPES)
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const updated = realtimeService.setSubscriptions(req.body.client_id, req.user.id, {
+    requests: (req.body.requests || []).map(({ form_type, request_id }) => ({
+      formType: form_type,
+      requestId: parseInt(request_id, 10)
+    })),
+    queues: req.body.queues || []
+  });
+
+  if (!updated) {
+    return res.status(404).json({
+      success: false,
+      message: 'Live update connection not found'
+    });
+  }
+
+  res.json({ success: true });
+});
+
+export default router;
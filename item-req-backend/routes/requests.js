@@ -2,6 +2,7 @@ import express from 'express';
 import { body } from 'express-validator';
 import { authenticateToken } from '../middleware/auth.js';
 import { itemRequestUpload } from '../utils/uploadConfig.js';
+import { MAX_BULK_REQUESTS } from '../utils/bulkActions.js';
 
 import {
   getAllRequests,
@@ -11,6 +12,7 @@ import {
   submitRequest,
   approveRequest,
   declineRequest,
+  bulkAction,
   returnRequest,
   cancelRequest,
   deleteRequest,
@@ -96,6 +98,17 @@ router.post('/:id/decline', [
   body('comments').isLength({ max: 1000 })
 ], declineRequest);
 
+// Approve/Decline several requests at once (results are reported per request)
+router.post('/bulk-action', [
+  authenticateToken,
+  body('action').isIn(['approve', 'decline']).withMessage('Action must be approve or decline'),
+  body('ids').isArray({ min: 1, max: MAX_BULK_REQUESTS }).withMessage(`Select between 1 and ${MAX_BULK_REQUESTS} requests`),
+  body('ids.*').isInt({ min: 1 }).withMessage('Invalid request ID'),
+  body('versions').isObject().withMessage('The version of each selected request is required'),
+  body('comments').optional().trim().isLength({ max: 1000 }),
+  body('comments').if(body('action').equals('decline')).notEmpty().withMessage('Comments are required when declining')
+], bulkAction);
+
 // Return request for revision
 router.post('/:id/return', [
   authenticateToken,
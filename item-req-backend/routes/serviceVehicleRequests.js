@@ -11,11 +11,12 @@ import {
   Driver,
   sequelize,
 } from "../models/index.js";
-import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { authenticateToken, requireRole, requireRoleOrDelegate } from "../middleware/auth.js";
 import emailService from "../utils/emailService.js";
 import { processWorkflowOnSubmit, processWorkflowOnApproval, findCurrentStepForApprover, getActiveWorkflow, findApproverForStep } from "../utils/workflowProcessor.js";
 import { logAudit, calculateChanges } from '../utils/auditLogger.js';
 import upload from "../utils/uploadConfig.js";
+import { MAX_BULK_REQUESTS } from "../utils/bulkActions.js";
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import {
@@ -26,6 +27,7 @@ import {
   submitRequest,
   approveRequest,
   declineRequest,
+  bulkAction,
   returnRequest,
   cancelRequest,
   assignVehicle,
@@ -198,7 +200,8 @@ router.post(
       res.json({
         success: true,
         message: "Files uploaded successfully",
-        attachments: newAttachments
+        attachments: newAttachments,
+        version: request.version
       });
     } catch (error) {
       console.error("Error uploading attachments:", error);
@@ -597,29 +600,45 @@ router.put("/:id", authenticateToken, updateRequest);
 router.post("/:id/submit", authenticateToken, submitRequest);
 
 // Approve service vehicle request
-// Vehicle requests only go through ODHC (department approver) - this is the final step
+// Vehicle requests only go through ODHC (department approver or their temporary delegate) - this is the final step
 router.post(
   "/:id/approve",
   authenticateToken,
-  requireRole(["department_approver", "super_administrator"]),
+  requireRoleOrDelegate(["department_approver", "super_administrator"]),
   approveRequest
 );
 
+// Approve/Decline several service vehicle requests at once (results are reported per request)
+router.post(
+  "/bulk-action",
+  authenticateToken,
+  requireRoleOrDelegate(["department_approver", "super_administrator"]),
+  [
+    body("action").isIn(["approve", "decline"]).withMessage("Action must be approve or decline"),
+    body("ids").isArray({ min: 1, max: MAX_BULK_REQUESTS }).withMessage(`Select between 1 and ${MAX_BULK_REQUESTS} requests`),
+    body("ids.*").isInt({ min: 1 }).withMessage("Invalid request ID"),
+    body("versions").isObject().withMessage("The version of each selected request is required"),
+    body("comments").optional().trim().isLength({ max: 1000 }),
+    body("comments").if(body("action").equals("decline")).notEmpty().withMessage("Decline reason is required"),
+  ],
+  bulkAction
+);
+
 // Decline service vehicle request
-// Only ODHC (department approver) can decline vehicle requests
+// Only ODHC (department approver or their temporary delegate) can decline vehicle requests
 router.post(
   "/:id/decline",
   authenticateToken,
-  requireRole(["department_approver", "super_administrator"]),
+  requireRoleOrDelegate(["department_approver", "super_administrator"]),
   declineRequest
 );
 
 // Return service vehicle request for revision
-// Only ODHC (department approver) can return vehicle requests
+// Only ODHC (department approver or their temporary delegate) can return vehicle requests
 router.post(
   "/:id/return",
   authenticateToken,
-  requireRole(["department_approver", "super_administrator"]),
+  requireRoleOrDelegate(["department_approver", "super_administrator"]),
   returnRequest
 );
 
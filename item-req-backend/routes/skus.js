@@ -1,11 +1,11 @@
 import express from 'express';
 import {
-    getAllItems,
-    getItemById,
-    createItem,
-    updateItem,
-    deleteItem
-} from '../controllers/itemController.js';
+    getAllSkus,
+    getSkuById,
+    createSku,
+    updateSku,
+    deleteSku
+} from '../controllers/skuController.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -14,13 +14,13 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Public (authenticated) routes or Read-only
-router.get('/', getAllItems);
-router.get('/:id', getItemById);
+router.get('/', getAllSkus);
+router.get('/:id', getSkuById);
 
 // Protected routes (Service Desk & Admin only)
-// Creating, Updating, Deleting items is restricted
-router.post('/', requireRole(['service_desk', 'super_administrator']), createItem);
-router.put('/:id', requireRole(['service_desk', 'super_administrator']), updateItem);
-router.delete('/:id', requireRole(['service_desk', 'super_administrator']), deleteItem);
+// Creating, Updating, Deleting SKUs is restricted
+router.post('/', requireRole(['service_desk', 'super_administrator']), createSku);
+router.put('/:id', requireRole(['service_desk', 'super_administrator']), updateSku);
+router.delete('/:id', requireRole(['service_desk', 'super_administrator']), deleteSku);
 
 export default router;
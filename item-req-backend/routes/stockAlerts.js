@@ -0,0 +1,30 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { getLowStockReport, CONSUMPTION_WINDOW_DAYS } from '../utils/lowStock.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator', 'it_manager']));
+
+// @route   GET /api/stock-alerts
+// @desc    Stock SKUs at or below their minimum level, with suggested reorder quantities
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/', async (req, res) => {
+  try {
+    const alerts = await getLowStockReport();
+
+    res.json({
+      success: true,
+      alerts,
+      consumptionWindowDays: CONSUMPTION_WINDOW_DAYS
+    });
+  } catch (error) {
+    console.error('Error building low-stock report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch low-stock alerts'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,261 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, query, validationResult } from 'express-validator';
+import { sequelize, StockBalance, StockLocation, StockTransfer } from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit, calculateChanges } from '../utils/auditLogger.js';
+import { STOCK_LOCATION_TYPES } from '../utils/stockLocations.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator', 'it_manager']));
+
+const manageRoles = requireRole(['service_desk', 'super_administrator']);
+
+const LOCATION_FIELDS = ['code', 'name', 'type', 'description', 'is_active'];
+
+const locationValidators = (isUpdate) => [
+  (isUpdate ? body('code').optional() : body('code'))
+    .trim().notEmpty().withMessage('Location code is required').isLength({ max: 20 }),
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim().notEmpty().withMessage('Location name is required').isLength({ max: 200 }),
+  body('type').optional().isIn(STOCK_LOCATION_TYPES)
+    .withMessage(`Location type must be one of: ${STOCK_LOCATION_TYPES.join(', ')}`),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('is_default').optional().isBoolean(),
+  body('is_active').optional().isBoolean()
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Location fields from the request body; codes are kept upper case
+const pickLocationFields = (source) => {
+  const fields = Object.fromEntries(
+    LOCATION_FIELDS
+      .filter(field => source[field] !== undefined)
+      .map(field => [field, typeof source[field] === 'string' ? source[field].trim() || null : source[field]])
+  );
+  if (fields.code) fields.code = fields.code.toUpperCase();
+  return fields;
+};
+
+// How much stock each location holds, and how much is on its way in or out
+const loadLocationTotals = async () => {
+  const [held, transfers] = await Promise.all([
+    StockBalance.findAll({
+      attributes: [
+        'location_id',
+        [sequelize.fn('SUM', sequelize.col('quantity')), 'quantity'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'sku_count']
+      ],
+      where: { quantity: { [Op.ne]: 0 } },
+      group: ['location_id'],
+      raw: true
+    }),
+    StockTransfer.findAll({
+      attributes: ['from_location_id', 'to_location_id', 'quantity'],
+      where: { status: 'in_transit' },
+      raw: true
+    })
+  ]);
+
+  return (location) => {
+    const total = held.find(entry => entry.location_id === location.id);
+    return {
+      quantity: total ? parseInt(total.quantity, 10) : 0,
+      sku_count: total ? parseInt(total.sku_count, 10) : 0,
+      incoming_quantity: transfers.filter(transfer => transfer.to_location_id === location.id).reduce((sum, transfer) => sum + transfer.quantity, 0),
+      outgoing_quantity: transfers.filter(transfer => transfer.from_location_id === location.id).reduce((sum, transfer) => sum + transfer.quantity, 0)
+    };
+  };
+};
+
+const findLocationCoded = (code, exceptId = null) => StockLocation.findOne({
+  where: {
+    code: code.toUpperCase(),
+    ...(exceptId && { id: { [Op.ne]: exceptId } })
+  }
+});
+
+// A location can only be closed once it holds nothing and nothing is on its way to or from it
+const findDeactivationBlocker = async (location) => {
+  if (location.is_default) return `${location.name} is the default location; make another location the default first`;
+
+  const held = (await StockBalance.sum('quantity', { where: { location_id: location.id } })) || 0;
+  if (held !== 0) return `${location.name} still holds ${held} unit(s) of stock; transfer or write it off first`;
+
+  const inTransit = await StockTransfer.count({
+    where: {
+      status: 'in_transit',
+      [Op.or]: [{ from_location_id: location.id }, { to_location_id: location.id }]
+    }
+  });
+  if (inTransit > 0) return `${location.name} has ${inTransit} transfer(s) in transit; receive or cancel them first`;
+
+  return null;
+};
+
+// @route   GET /api/stock-locations
+// @desc    Stock locations with the stock each holds (`include_inactive=true` for closed ones)
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/', [
+  query('include_inactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const [locations, totalsFor] = await Promise.all([
+      StockLocation.findAll({
+        where: req.query.include_inactive === 'true' ? {} : { is_active: true },
+        order: [['is_default', 'DESC'], ['name', 'ASC']]
+      }),
+      loadLocationTotals()
+    ]);
+
+    res.json({
+      success: true,
+      locations: locations.map(location => ({ ...location.toJSON(), ...totalsFor(location) }))
+    });
+  } catch (error) {
+    console.error('Error fetching stock locations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock locations'
+    });
+  }
+});
+
+// @route   POST /api/stock-locations
+// @desc    Add a storeroom, warehouse, branch or site; `is_default: true` makes it the default location
+// @access  Private (Service Desk, Super Admin)
+router.post('/', manageRoles, locationValidators(false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const fields = pickLocationFields(req.body);
+    if (await findLocationCoded(fields.code)) {
+      return res.status(409).json({
+        success: false,
+        message: `Location code ${fields.code} is already in use`
+      });
+    }
+
+    const location = await sequelize.transaction(async (transaction) => {
+      if (req.body.is_default === true) {
+        await StockLocation.update({ is_default: false }, { where: { is_default: true }, transaction });
+      }
+      return StockLocation.create({
+        ...fields,
+        is_active: true,
+        is_default: req.body.is_default === true
+      }, { transaction });
+    });
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'StockLocation',
+      entityId: location.id,
+      details: { code: location.code, name: location.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${location.name} added`,
+      location
+    });
+  } catch (error) {
+    console.error('Error creating stock location:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create stock location'
+    });
+  }
+});
+
+// @route   PUT /api/stock-locations/:id
+// @desc    Update a location; `is_active: false` closes it once it is empty, `is_default: true` makes it the default
+// @access  Private (Service Desk, Super Admin)
+router.put('/:id', manageRoles, locationValidators(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const location = await StockLocation.findByPk(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock location not found'
+      });
+    }
+
+    const fields = pickLocationFields(req.body);
+    if (fields.code && await findLocationCoded(fields.code, location.id)) {
+      return res.status(409).json({
+        success: false,
+        message: `Location code ${fields.code} is already in use`
+      });
+    }
+    if (req.body.is_default === false && location.is_default) {
+      return res.status(400).json({
+        success: false,
+        message: 'There must be a default location; make another location the default instead'
+      });
+    }
+    if (fields.is_active === false && location.is_active) {
+      const blocker = await findDeactivationBlocker(location);
+      if (blocker) {
+        return res.status(400).json({
+          success: false,
+          message: blocker
+        });
+      }
+    }
+    if (req.body.is_default === true && !(fields.is_active ?? location.is_active)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An inactive location can\'t be the default'
+      });
+    }
+
+    const before = location.toJSON();
+    await sequelize.transaction(async (transaction) => {
+      if (req.body.is_default === true && !location.is_default) {
+        await StockLocation.update({ is_default: false }, { where: { is_default: true }, transaction });
+        fields.is_default = true;
+      }
+      await location.update(fields, { transaction });
+    });
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'StockLocation',
+      entityId: location.id,
+      details: { changes: calculateChanges(before, location.toJSON()) }
+    });
+
+    res.json({
+      success: true,
+      message: `${location.name} updated`,
+      location
+    });
+  } catch (error) {
+    console.error('Error updating stock location:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update stock location'
+    });
+  }
+});
+
+export default router;
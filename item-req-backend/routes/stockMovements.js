@@ -0,0 +1,291 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { Category, Sku, StockLocation, StockMovement, StockReservation, Request, User } from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import {
+  STOCK_MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  recordStockMovement,
+  getStockReconciliation,
+  reconcileSkuStock
+} from '../utils/stockLedger.js';
+import { resolveStockLocation } from '../utils/stockLocations.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator']));
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @route   GET /api/stock-movements
+// @desc    Stock ledger entries, newest first, optionally for one category, SKU, location or movement type
+// @access  Private (Service Desk, Super Admin)
+router.get('/', [
+  query('category_id').optional().isInt({ min: 1 }),
+  query('sku_id').optional().isInt({ min: 1 }),
+  query('location_id').optional().isInt({ min: 1 }),
+  query('movement_type').optional().isIn(STOCK_MOVEMENT_TYPES),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const where = {};
+    if (req.query.category_id) where.category_id = parseInt(req.query.category_id, 10);
+    if (req.query.sku_id) where.sku_id = parseInt(req.query.sku_id, 10);
+    if (req.query.location_id) where.location_id = parseInt(req.query.location_id, 10);
+    if (req.query.movement_type) where.movement_type = req.query.movement_type;
+
+    const { rows, count } = await StockMovement.findAndCountAll({
+      where,
+      include: [
+        { model: Category, as: 'Category', attributes: ['id', 'name'] },
+        { model: Sku, as: 'Sku', attributes: ['id', 'code', 'name'] },
+        { model: StockLocation, as: 'Location', attributes: ['id', 'code', 'name'] },
+        { model: Request, as: 'Request', attributes: ['id', 'request_number'] },
+        { model: User, as: 'CreatedBy', attributes: ['id', 'username', 'first_name', 'last_name'] }
+      ],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      movements: rows,
+      pagination: {
+        total: count,
+        limit,
+        offset
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock movements'
+    });
+  }
+});
+
+// @route   POST /api/stock-movements
+// @desc    Record a manual receipt, return, adjustment or write-off against a SKU at a location (`location_id`, default location when omitted)
+// @access  Private (Service Desk, Super Admin)
+router.post('/', [
+  body('sku_id').isInt({ min: 1 }),
+  body('location_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('movement_type').isIn(MANUAL_MOVEMENT_TYPES)
+    .withMessage(`Movement type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`),
+  body('quantity').isInt().custom(value => parseInt(value, 10) !== 0)
+    .withMessage('Quantity must be a non-zero whole number'),
+  body('quantity').if(body('movement_type').not().equals('adjustment')).isInt({ min: 1 })
+    .withMessage('Receipts, returns and write-offs take a positive quantity'),
+  body('pr_number').optional({ checkFalsy: true }).matches(/^\d{8}$/)
+    .withMessage('PR Number must be 8 digits'),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { sku_id, location_id, movement_type, quantity, pr_number, notes } = req.body;
+
+    const sku = await Sku.findByPk(sku_id, {
+      include: [{ model: Category, as: 'Category', attributes: ['id', 'name', 'track_stock'] }]
+    });
+    if (!sku) {
+      return res.status(404).json({
+        success: false,
+        message: 'SKU not found'
+      });
+    }
+
+    if (!sku.Category.track_stock) {
+      return res.status(400).json({
+        success: false,
+        message: `Stock is not tracked for ${sku.Category.name}`
+      });
+    }
+
+    if (['adjustment', 'write_off'].includes(movement_type) && !notes?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adjustments and write-offs need a note explaining the change'
+      });
+    }
+
+    let result;
+    try {
+      result = await recordStockMovement({
+        sku,
+        type: movement_type,
+        quantity,
+        location: await resolveStockLocation(location_id),
+        prNumber: pr_number || null,
+        notes: notes?.trim() || null,
+        user: req.user
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'Inventory',
+      entityId: sku.category_id,
+      details: {
+        itemName: `${sku.name} (${sku.code})`,
+        changes: [`Stock ${movement_type.replace('_', '-')} of ${result.movement.quantity} at location ${result.movement.location_id}: ${sku.quantity} -> ${result.sku.quantity}`],
+        ...(pr_number && { prNumber: pr_number })
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock movement recorded',
+      movement: result.movement,
+      sku: result.sku,
+      category: result.category
+    });
+  } catch (error) {
+    console.error('Error recording stock movement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record stock movement'
+    });
+  }
+});
+
+// @route   GET /api/stock-movements/reservations
+// @desc    Active stock reservations (stock held for requests endorsed "in stock"), optionally for one category or SKU
+// @access  Private (Service Desk, Super Admin)
+router.get('/reservations', [
+  query('category_id').optional().isInt({ min: 1 }),
+  query('sku_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const where = { status: 'active' };
+    if (req.query.category_id) where.category_id = parseInt(req.query.category_id, 10);
+    if (req.query.sku_id) where.sku_id = parseInt(req.query.sku_id, 10);
+
+    const reservations = await StockReservation.findAll({
+      where,
+      include: [
+        { model: Category, as: 'Category', attributes: ['id', 'name'] },
+        { model: Sku, as: 'Sku', attributes: ['id', 'code', 'name'] },
+        { model: Request, as: 'Request', attributes: ['id', 'request_number', 'status'] }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      reservations
+    });
+  } catch (error) {
+    console.error('Error fetching stock reservations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock reservations'
+    });
+  }
+});
+
+// @route   GET /api/stock-movements/reconciliation
+// @desc    Each SKU's quantity next to the total of its ledger
+// @access  Private (Service Desk, Super Admin)
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const skus = await getStockReconciliation();
+
+    res.json({
+      success: true,
+      skus,
+      discrepancies: skus.filter(sku => sku.difference !== 0).length
+    });
+  } catch (error) {
+    console.error('Error reconciling stock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile stock'
+    });
+  }
+});
+
+// @route   POST /api/stock-movements/reconciliation/:skuId
+// @desc    Record a SKU's untracked stock difference as an adjustment
+// @access  Private (Super Admin)
+router.post('/reconciliation/:skuId', requireRole(['super_administrator']), [
+  param('skuId').isInt({ min: 1 }),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const sku = await Sku.findByPk(req.params.skuId);
+    if (!sku) {
+      return res.status(404).json({
+        success: false,
+        message: 'SKU not found'
+      });
+    }
+
+    const movement = await reconcileSkuStock({
+      sku,
+      notes: req.body.notes?.trim() || null,
+      user: req.user
+    });
+
+    if (!movement) {
+      return res.json({
+        success: true,
+        message: `${sku.name} already matches its ledger`,
+        movement: null
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'Inventory',
+      entityId: sku.category_id,
+      details: {
+        itemName: `${sku.name} (${sku.code})`,
+        changes: [`Stock ledger reconciled with an adjustment of ${movement.quantity}`]
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${sku.name} reconciled with its ledger`,
+      movement
+    });
+  } catch (error) {
+    console.error('Error reconciling SKU stock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile SKU stock'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,241 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, query, validationResult } from 'express-validator';
+import { Category, Sku, StockLocation, StockTransfer, User } from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import {
+  STOCK_TRANSFER_STATUSES,
+  formatTransferReference,
+  dispatchStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer
+} from '../utils/stockTransfers.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator']));
+
+const USER_ATTRIBUTES = ['id', 'username', 'first_name', 'last_name'];
+const LOCATION_ATTRIBUTES = ['id', 'code', 'name'];
+
+const TRANSFER_INCLUDE = [
+  {
+    model: Sku,
+    as: 'Sku',
+    attributes: ['id', 'code', 'name', 'unit'],
+    include: [{ model: Category, as: 'Category', attributes: ['id', 'name'] }]
+  },
+  { model: StockLocation, as: 'FromLocation', attributes: LOCATION_ATTRIBUTES },
+  { model: StockLocation, as: 'ToLocation', attributes: LOCATION_ATTRIBUTES },
+  { model: User, as: 'CreatedBy', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'ReceivedBy', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'CancelledBy', attributes: USER_ATTRIBUTES }
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const serializeTransfer = (transfer) => ({
+  ...transfer.toJSON(),
+  reference: formatTransferReference(transfer)
+});
+
+const loadTransfer = async (id) => {
+  const transfer = await StockTransfer.findByPk(id, { include: TRANSFER_INCLUDE });
+  return transfer ? serializeTransfer(transfer) : null;
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Stock transfer not found'
+});
+
+// @route   GET /api/stock-transfers
+// @desc    Transfers between locations, newest first (`status`, `sku_id`, `location_id` for either end)
+// @access  Private (Service Desk, Super Admin)
+router.get('/', [
+  query('status').optional().isIn(STOCK_TRANSFER_STATUSES),
+  query('sku_id').optional().isInt({ min: 1 }),
+  query('location_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.sku_id) where.sku_id = parseInt(req.query.sku_id, 10);
+    if (req.query.location_id) {
+      const locationId = parseInt(req.query.location_id, 10);
+      where[Op.or] = [{ from_location_id: locationId }, { to_location_id: locationId }];
+    }
+
+    const transfers = await StockTransfer.findAll({
+      where,
+      include: TRANSFER_INCLUDE,
+      order: [['created_at', 'DESC']],
+      limit: 200
+    });
+
+    res.json({
+      success: true,
+      transfers: transfers.map(serializeTransfer)
+    });
+  } catch (error) {
+    console.error('Error fetching stock transfers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock transfers'
+    });
+  }
+});
+
+// @route   POST /api/stock-transfers
+// @desc    Send stock of a SKU from one location to another; it is in transit until received
+// @access  Private (Service Desk, Super Admin)
+router.post('/', [
+  body('sku_id').isInt({ min: 1 }),
+  body('from_location_id').isInt({ min: 1 }),
+  body('to_location_id').isInt({ min: 1 }),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a whole number greater than zero'),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    let transfer;
+    try {
+      transfer = await dispatchStockTransfer({
+        skuId: req.body.sku_id,
+        fromLocationId: req.body.from_location_id,
+        toLocationId: req.body.to_location_id,
+        quantity: req.body.quantity,
+        notes: req.body.notes?.trim() || null,
+        user: req.user
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'StockTransfer',
+      entityId: transfer.id,
+      details: {
+        reference: formatTransferReference(transfer),
+        skuId: transfer.sku_id,
+        fromLocationId: transfer.from_location_id,
+        toLocationId: transfer.to_location_id,
+        quantity: transfer.quantity
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer ${formatTransferReference(transfer)} dispatched`,
+      transfer: await loadTransfer(transfer.id)
+    });
+  } catch (error) {
+    console.error('Error dispatching stock transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dispatch stock transfer'
+    });
+  }
+});
+
+// @route   POST /api/stock-transfers/:id/receive
+// @desc    Book an in-transit transfer in at its destination
+// @access  Private (Service Desk, Super Admin)
+router.post('/:id/receive', async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findByPk(req.params.id);
+    if (!transfer) return notFound(res);
+
+    try {
+      await receiveStockTransfer({ transfer, user: req.user });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'StockTransfer',
+      entityId: transfer.id,
+      details: {
+        reference: formatTransferReference(transfer),
+        newStatus: 'received'
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer ${formatTransferReference(transfer)} received`,
+      transfer: await loadTransfer(transfer.id)
+    });
+  } catch (error) {
+    console.error('Error receiving stock transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive stock transfer'
+    });
+  }
+});
+
+// @route   POST /api/stock-transfers/:id/cancel
+// @desc    Cancel an in-transit transfer; its stock goes back to the source location
+// @access  Private (Service Desk, Super Admin)
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findByPk(req.params.id);
+    if (!transfer) return notFound(res);
+
+    try {
+      await cancelStockTransfer({ transfer, user: req.user });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'CANCEL',
+      entityType: 'StockTransfer',
+      entityId: transfer.id,
+      details: { reference: formatTransferReference(transfer) }
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer ${formatTransferReference(transfer)} cancelled; stock returned to the source`,
+      transfer: await loadTransfer(transfer.id)
+    });
+  } catch (error) {
+    console.error('Error cancelling stock transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel stock transfer'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,313 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { Category, StockLocation, Stocktake, StocktakeLine, User } from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import exportService from '../utils/exportService.js';
+import {
+  STOCKTAKE_STATUSES,
+  formatStocktakeReference,
+  openStocktake,
+  recordStocktakeCounts,
+  getStocktakeVariance,
+  postStocktake,
+  cancelStocktake,
+  serializeStocktake
+} from '../utils/stocktakes.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator']));
+
+const USER_ATTRIBUTES = ['id', 'username', 'first_name', 'last_name'];
+
+const STOCKTAKE_INCLUDE = [
+  { model: Category, as: 'Category', attributes: ['id', 'name'] },
+  { model: StockLocation, as: 'Location', attributes: ['id', 'code', 'name'] },
+  { model: User, as: 'OpenedBy', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'PostedBy', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'CancelledBy', attributes: USER_ATTRIBUTES }
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const findStocktake = (id) => Stocktake.findByPk(id, { include: STOCKTAKE_INCLUDE });
+
+// A count with every line's variance
+const loadStocktake = async (id) => {
+  const stocktake = await findStocktake(id);
+  return stocktake ? serializeStocktake(stocktake, await getStocktakeVariance(stocktake)) : null;
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Stock count not found'
+});
+
+// @route   GET /api/stocktakes
+// @desc    Stock counts, newest first, with how many lines have been counted
+// @access  Private (Service Desk, Super Admin)
+router.get('/', [
+  query('status').optional().isIn(STOCKTAKE_STATUSES)
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const stocktakes = await Stocktake.findAll({
+      where: req.query.status ? { status: req.query.status } : {},
+      include: [
+        ...STOCKTAKE_INCLUDE,
+        { model: StocktakeLine, as: 'Lines', attributes: ['id', 'counted_quantity'] }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: 100
+    });
+
+    res.json({
+      success: true,
+      stocktakes: stocktakes.map(stocktake => serializeStocktake(stocktake))
+    });
+  } catch (error) {
+    console.error('Error fetching stock counts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock counts'
+    });
+  }
+});
+
+// @route   GET /api/stocktakes/:id
+// @desc    A stock count with each line's system quantity, count and variance
+// @access  Private (Service Desk, Super Admin)
+router.get('/:id', async (req, res) => {
+  try {
+    const stocktake = await loadStocktake(req.params.id);
+    if (!stocktake) return notFound(res);
+
+    res.json({
+      success: true,
+      stocktake
+    });
+  } catch (error) {
+    console.error('Error fetching stock count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock count'
+    });
+  }
+});
+
+// @route   GET /api/stocktakes/:id/export
+// @desc    Download the variance report as an Excel workbook
+// @access  Private (Service Desk, Super Admin)
+router.get('/:id/export', async (req, res) => {
+  try {
+    const stocktake = await loadStocktake(req.params.id);
+    if (!stocktake) return notFound(res);
+
+    const excelBuffer = exportService.exportStocktakeVariance(stocktake);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=stock_count_${stocktake.reference}_variance.xlsx`);
+
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Error exporting stock count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export stock count'
+    });
+  }
+});
+
+// @route   POST /api/stocktakes
+// @desc    Open a stock count for one category (`category_id`) or all stock-tracked categories, at one location (`location_id`) or all
+// @access  Private (Service Desk, Super Admin)
+router.post('/', [
+  body('category_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('location_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    let stocktake;
+    try {
+      stocktake = await openStocktake({
+        categoryId: req.body.category_id || null,
+        locationId: req.body.location_id || null,
+        notes: req.body.notes?.trim() || null,
+        user: req.user
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'Stocktake',
+      entityId: stocktake.id,
+      details: {
+        reference: formatStocktakeReference(stocktake),
+        categoryId: stocktake.category_id,
+        locationId: stocktake.location_id
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Stock count ${formatStocktakeReference(stocktake)} opened`,
+      stocktake: await loadStocktake(stocktake.id)
+    });
+  } catch (error) {
+    console.error('Error opening stock count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open stock count'
+    });
+  }
+});
+
+// @route   PUT /api/stocktakes/:id/counts
+// @desc    Enter counted quantities and variance reasons (`counts: [{ line_id, counted_quantity, reason }]`)
+// @access  Private (Service Desk, Super Admin)
+router.put('/:id/counts', [
+  body('counts').isArray({ min: 1 }).withMessage('Enter at least one count'),
+  body('counts.*.line_id').isInt({ min: 1 }),
+  body('counts.*.counted_quantity').optional({ nullable: true })
+    .custom(value => value === '' || (Number.isInteger(Number(value)) && Number(value) >= 0))
+    .withMessage('Counted quantities must be whole numbers of zero or more'),
+  body('counts.*.reason').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const stocktake = await Stocktake.findByPk(req.params.id);
+    if (!stocktake) return notFound(res);
+
+    try {
+      await recordStocktakeCounts({ stocktake, counts: req.body.counts, user: req.user });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Counts saved',
+      stocktake: await loadStocktake(stocktake.id)
+    });
+  } catch (error) {
+    console.error('Error saving stock counts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save stock counts'
+    });
+  }
+});
+
+// @route   POST /api/stocktakes/:id/post
+// @desc    Post a stock count: each counted variance is recorded as a stock adjustment. `reason` covers lines without their own.
+// @access  Private (Service Desk, Super Admin)
+router.post('/:id/post', [
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const stocktake = await Stocktake.findByPk(req.params.id);
+    if (!stocktake) return notFound(res);
+
+    let movements;
+    try {
+      movements = await postStocktake({ stocktake, reason: req.body.reason, user: req.user });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'Stocktake',
+      entityId: stocktake.id,
+      details: {
+        reference: formatStocktakeReference(stocktake),
+        newStatus: 'posted',
+        adjustments: movements.length,
+        netAdjustment: movements.reduce((sum, movement) => sum + movement.quantity, 0)
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Stock count ${formatStocktakeReference(stocktake)} posted with ${movements.length} adjustment${movements.length === 1 ? '' : 's'}`,
+      stocktake: await loadStocktake(stocktake.id)
+    });
+  } catch (error) {
+    console.error('Error posting stock count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post stock count'
+    });
+  }
+});
+
+// @route   POST /api/stocktakes/:id/cancel
+// @desc    Cancel an open stock count without changing stock
+// @access  Private (Service Desk, Super Admin)
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findByPk(req.params.id);
+    if (!stocktake) return notFound(res);
+
+    try {
+      await cancelStocktake({ stocktake, user: req.user });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logAudit({
+      req,
+      action: 'CANCEL',
+      entityType: 'Stocktake',
+      entityId: stocktake.id,
+      details: { reference: formatStocktakeReference(stocktake) }
+    });
+
+    res.json({
+      success: true,
+      message: `Stock count ${formatStocktakeReference(stocktake)} cancelled`,
+      stocktake: await loadStocktake(stocktake.id)
+    });
+  } catch (error) {
+    console.error('Error cancelling stock count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel stock count'
+    });
+  }
+});
+
+export default router;
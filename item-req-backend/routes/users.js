@@ -6,9 +6,36 @@ import userSyncService from '../utils/userSync.js';
 import ldapService from '../config/ldap.js';
 import exportService from '../utils/exportService.js';
 import { logAudit, calculateChanges } from '../utils/auditLogger.js';
+import { syncDelegateInPendingQueues } from '../utils/workflowProcessor.js';
 
 const router = express.Router();
 
+// Shape a user's temporary delegation for API responses
+function formatDelegation(user, delegate = null) {
+  if (!user.temp_delegate_id) {
+    return null;
+  }
+
+  return {
+    delegateUserId: user.temp_delegate_id,
+    delegate: delegate ? {
+      id: delegate.id,
+      username: delegate.username,
+      fullName: delegate.getFullName(),
+      email: delegate.email
+    } : null,
+    startDate: user.temp_delegate_start,
+    endDate: user.temp_delegate_end,
+    reason: user.temp_delegate_reason,
+    isActive: user.hasActiveDelegation()
+  };
+}
+
+// Only the user themselves or a super administrator may manage a delegation
+function canManageDelegation(req, userId) {
+  return req.user.role === 'super_administrator' || req.user.id === parseInt(userId);
+}
+
 // Get all users (admin and IT manager only)
 router.get('/', authenticateToken, requireRole('super_administrator', 'it_manager', 'endorser', 'department_approver'), async (req, res) => {
   try {
@@ -45,6 +72,10 @@ router.get('/', authenticateToken, requireRole('super_administrator', 'it_manage
         model: Department,
         as: 'Department',
         attributes: ['id', 'name', 'description']
+      }, {
+        model: User,
+        as: 'TempDelegate',
+        attributes: ['id', 'username', 'first_name', 'last_name', 'email']
       }],
       attributes: { exclude: ['ad_groups', 'ad_dn'] },
       order: [['last_name', 'ASC'], ['first_name', 'ASC']],
@@ -71,6 +102,7 @@ router.get('/', authenticateToken, requireRole('super_administrator', 'it_manage
           name: user.Department.name,
           description: user.Department.description
         } : null,
+        delegation: formatDelegation(user, user.TempDelegate),
         createdAt: user.created_at,
         updatedAt: user.updated_at
       })),
@@ -265,6 +297,206 @@ router.patch('/:id/custom-roles', authenticateToken, requireRole('super_administ
   }
 });
 
+// Get a user's temporary approver delegation
+router.get('/:id/delegation', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!canManageDelegation(req, id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view your own delegation'
+      });
+    }
+
+    const user = await User.findByPk(id, {
+      include: [{ model: User, as: 'TempDelegate' }]
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    res.json({ delegation: formatDelegation(user, user.TempDelegate) });
+  } catch (error) {
+    console.error('Error fetching user delegation:', error);
+    res.status(500).json({
+      error: 'Failed to fetch delegation',
+      message: error.message
+    });
+  }
+});
+
+// Nominate a temporary delegate who can approve on the user's behalf for a date range
+router.put('/:id/delegation', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { delegateUserId, startDate, endDate, reason } = req.body;
+
+    if (!canManageDelegation(req, id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only manage your own delegation'
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (!delegateUserId || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'delegateUserId, startDate and endDate are required'
+      });
+    }
+
+    if (end <= start) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'End date must be after start date'
+      });
+    }
+
+    if (end < new Date()) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'End date must be in the future'
+      });
+    }
+
+    if (parseInt(delegateUserId) === parseInt(id)) {
+      return res.status(400).json({
+        error: 'Invalid delegate',
+        message: 'A user cannot delegate to themselves'
+      });
+    }
+
+    const user = await User.findByPk(id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    const delegate = await User.findByPk(delegateUserId);
+
+    if (!delegate || !delegate.is_active) {
+      return res.status(400).json({
+        error: 'Invalid delegate',
+        message: 'The selected delegate does not exist or is inactive'
+      });
+    }
+
+    const previous = {
+      delegateUserId: user.temp_delegate_id,
+      wasActive: user.hasActiveDelegation()
+    };
+
+    await user.update({
+      temp_delegate_id: delegate.id,
+      temp_delegate_start: start,
+      temp_delegate_end: end,
+      temp_delegate_reason: reason || null
+    });
+
+    // Move in-flight queues over to the new delegate
+    if (previous.wasActive && previous.delegateUserId !== delegate.id) {
+      await syncDelegateInPendingQueues(user.id, previous.delegateUserId, { add: false });
+    }
+    if (user.hasActiveDelegation()) {
+      await syncDelegateInPendingQueues(user.id, delegate.id, { add: true });
+    }
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'User',
+      entityId: user.id,
+      details: {
+        change: 'Delegation Set',
+        delegateUserId: delegate.id,
+        delegateUsername: delegate.username,
+        startDate: start,
+        endDate: end,
+        reason: reason || null
+      }
+    });
+
+    res.json({
+      message: 'Delegation saved successfully',
+      delegation: formatDelegation(user, delegate)
+    });
+  } catch (error) {
+    console.error('Error saving user delegation:', error);
+    res.status(500).json({
+      error: 'Failed to save delegation',
+      message: error.message
+    });
+  }
+});
+
+// Cancel a user's temporary delegation
+router.delete('/:id/delegation', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!canManageDelegation(req, id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only manage your own delegation'
+      });
+    }
+
+    const user = await User.findByPk(id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    const previousDelegateId = user.temp_delegate_id;
+
+    if (!previousDelegateId) {
+      return res.json({ message: 'No delegation to cancel', delegation: null });
+    }
+
+    await user.update({
+      temp_delegate_id: null,
+      temp_delegate_start: null,
+      temp_delegate_end: null,
+      temp_delegate_reason: null
+    });
+
+    await syncDelegateInPendingQueues(user.id, previousDelegateId, { add: false });
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'User',
+      entityId: user.id,
+      details: {
+        change: 'Delegation Cancelled',
+        delegateUserId: previousDelegateId
+      }
+    });
+
+    res.json({ message: 'Delegation cancelled successfully', delegation: null });
+  } catch (error) {
+    console.error('Error cancelling user delegation:', error);
+    res.status(500).json({
+      error: 'Failed to cancel delegation',
+      message: error.message
+    });
+  }
+});
+
 // Assign user to department (DB only, no AD sync) - used by Workflow Setup
 router.patch('/:id/assign-department', authenticateToken, requireRole('super_administrator'), async (req, res) => {
   try {
@@ -0,0 +1,268 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { body, query, validationResult } from 'express-validator';
+import { sequelize, Category, ItemQuotation, Vendor } from '../models/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAudit, calculateChanges } from '../utils/auditLogger.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['service_desk', 'super_administrator', 'it_manager']));
+
+const manageRoles = requireRole(['service_desk', 'super_administrator']);
+
+const VENDOR_FIELDS = [
+  'name',
+  'contact_person',
+  'email',
+  'phone',
+  'address',
+  'category_ids',
+  'accreditation_number',
+  'accreditation_expires_on',
+  'payment_terms',
+  'notes',
+  'is_active'
+];
+
+const vendorValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim().notEmpty().withMessage('Vendor name is required').isLength({ max: 200 }),
+  body('contact_person').optional({ nullable: true }).isString().isLength({ max: 200 }),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Enter a valid email address'),
+  body('phone').optional({ nullable: true }).isString().isLength({ max: 50 }),
+  body('address').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('category_ids').optional().isArray(),
+  body('category_ids.*').isInt({ min: 1 }),
+  body('accreditation_number').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('accreditation_expires_on').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('payment_terms').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('is_active').optional().isBoolean()
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Vendor fields from the request body, with blank strings stored as null
+const pickVendorFields = (source) => Object.fromEntries(
+  VENDOR_FIELDS
+    .filter(field => source[field] !== undefined)
+    .map(field => [field, typeof source[field] === 'string' ? source[field].trim() || null : source[field]])
+);
+
+const serializeVendor = (vendor, categories) => ({
+  ...vendor.toJSON(),
+  categories: categories
+    .filter(category => vendor.category_ids.includes(category.id))
+    .map(category => ({ id: category.id, name: category.name })),
+  accreditation_expired: Boolean(vendor.accreditation_expires_on && vendor.accreditation_expires_on < today())
+});
+
+// Vendor names are unique regardless of case
+const findVendorNamed = (name, exceptId = null) => Vendor.findOne({
+  where: {
+    [Op.and]: [
+      sequelize.where(sequelize.fn('LOWER', sequelize.col('name')), name.toLowerCase()),
+      ...(exceptId ? [{ id: { [Op.ne]: exceptId } }] : [])
+    ]
+  }
+});
+
+const findUnknownCategory = async (categoryIds = []) => {
+  if (categoryIds.length === 0) return null;
+  const found = await Category.findAll({ where: { id: { [Op.in]: categoryIds } }, attributes: ['id'] });
+  return categoryIds.find(id => !found.some(category => category.id === parseInt(id, 10))) || null;
+};
+
+// @route   GET /api/vendors
+// @desc    The vendor directory (`search`, `category_id`, `include_inactive=true`)
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/', [
+  query('search').optional().isString(),
+  query('category_id').optional().isInt({ min: 1 }),
+  query('include_inactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const where = {};
+    if (req.query.include_inactive !== 'true') where.is_active = true;
+    if (req.query.category_id) where.category_ids = { [Op.contains]: [parseInt(req.query.category_id, 10)] };
+    if (req.query.search) {
+      const term = `%${req.query.search.trim()}%`;
+      where[Op.or] = [
+        { name: { [Op.iLike]: term } },
+        { contact_person: { [Op.iLike]: term } },
+        { email: { [Op.iLike]: term } },
+        { accreditation_number: { [Op.iLike]: term } }
+      ];
+    }
+
+    const [vendors, categories] = await Promise.all([
+      Vendor.findAll({ where, order: [['name', 'ASC']] }),
+      Category.findAll({ attributes: ['id', 'name'] })
+    ]);
+
+    res.json({
+      success: true,
+      vendors: vendors.map(vendor => serializeVendor(vendor, categories))
+    });
+  } catch (error) {
+    console.error('Error fetching vendors:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vendors'
+    });
+  }
+});
+
+// @route   GET /api/vendors/:id
+// @desc    A vendor with how many quotations it has given
+// @access  Private (Service Desk, IT Manager, Super Admin)
+router.get('/:id', async (req, res) => {
+  try {
+    const vendor = await Vendor.findByPk(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const [categories, quotationCount, selectedCount] = await Promise.all([
+      Category.findAll({ attributes: ['id', 'name'] }),
+      ItemQuotation.count({ where: { vendor_id: vendor.id } }),
+      ItemQuotation.count({ where: { vendor_id: vendor.id, is_selected: true } })
+    ]);
+
+    res.json({
+      success: true,
+      vendor: {
+        ...serializeVendor(vendor, categories),
+        quotation_count: quotationCount,
+        selected_quotation_count: selectedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching vendor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vendor'
+    });
+  }
+});
+
+// @route   POST /api/vendors
+// @desc    Add a vendor to the directory
+// @access  Private (Service Desk, Super Admin)
+router.post('/', manageRoles, vendorValidators(false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const fields = pickVendorFields(req.body);
+    if (await findVendorNamed(fields.name)) {
+      return res.status(409).json({
+        success: false,
+        message: `A vendor named ${fields.name} already exists`
+      });
+    }
+    const unknownCategory = await findUnknownCategory(fields.category_ids);
+    if (unknownCategory) {
+      return res.status(400).json({
+        success: false,
+        message: `Category ${unknownCategory} not found`
+      });
+    }
+
+    const vendor = await Vendor.create({ ...fields, created_by: req.user.id });
+
+    await logAudit({
+      req,
+      action: 'CREATE',
+      entityType: 'Vendor',
+      entityId: vendor.id,
+      details: { name: vendor.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${vendor.name} added to the vendor directory`,
+      vendor: serializeVendor(vendor, await Category.findAll({ attributes: ['id', 'name'] }))
+    });
+  } catch (error) {
+    console.error('Error creating vendor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create vendor'
+    });
+  }
+});
+
+// @route   PUT /api/vendors/:id
+// @desc    Update a vendor; `is_active: false` takes it out of the directory
+// @access  Private (Service Desk, Super Admin)
+router.put('/:id', manageRoles, vendorValidators(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const vendor = await Vendor.findByPk(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const fields = pickVendorFields(req.body);
+    if (fields.name && await findVendorNamed(fields.name, vendor.id)) {
+      return res.status(409).json({
+        success: false,
+        message: `A vendor named ${fields.name} already exists`
+      });
+    }
+    const unknownCategory = await findUnknownCategory(fields.category_ids);
+    if (unknownCategory) {
+      return res.status(400).json({
+        success: false,
+        message: `Category ${unknownCategory} not found`
+      });
+    }
+
+    const before = vendor.toJSON();
+    await vendor.update(fields);
+
+    await logAudit({
+      req,
+      action: 'UPDATE',
+      entityType: 'Vendor',
+      entityId: vendor.id,
+      details: { changes: calculateChanges(before, vendor.toJSON()) }
+    });
+
+    res.json({
+      success: true,
+      message: `${vendor.name} updated`,
+      vendor: serializeVendor(vendor, await Category.findAll({ attributes: ['id', 'name'] }))
+    });
+  } catch (error) {
+    console.error('Error updating vendor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update vendor'
+    });
+  }
+});
+
+export default router;
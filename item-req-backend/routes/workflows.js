@@ -2,8 +2,10 @@ import express from 'express';
 import { Op } from 'sequelize';
 import { body, validationResult } from 'express-validator';
 import {
+  sequelize,
   ApprovalWorkflow,
   WorkflowStep,
+  WorkflowVersion,
   User,
   Department,
   Request,
@@ -11,6 +13,8 @@ import {
 } from '../models/index.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { logAudit, calculateChanges } from '../utils/auditLogger.js';
+import { validateCondition } from '../utils/workflowConditions.js';
+import { simulateWorkflow, getConditionFields } from '../utils/workflowProcessor.js';
 
 const router = express.Router();
 
@@ -39,19 +43,128 @@ function mapWorkflowData(workflow) {
     workflowData.Updater = mapUserData(workflowData.Updater);
   }
 
-  // Map Steps and their ApproverUser
+  // Map Steps and their ApproverUser (older versions' steps are kept for in-flight requests only)
   if (workflowData.Steps) {
-    workflowData.Steps = workflowData.Steps.map(step => {
-      if (step.ApproverUser) {
-        step.ApproverUser = mapUserData(step.ApproverUser);
-      }
-      return step;
-    });
+    workflowData.Steps = workflowData.Steps
+      .filter(step => !workflowData.current_version || step.version === workflowData.current_version)
+      .sort((a, b) => a.step_order - b.step_order)
+      .map(step => {
+        if (step.ApproverUser) {
+          step.ApproverUser = mapUserData(step.ApproverUser);
+        }
+        return step;
+      });
   }
 
   return workflowData;
 }
 
+// Columns of a workflow step as saved from the create/update payload
+function stepAttributes(step) {
+  return {
+    step_order: step.step_order,
+    step_name: step.step_name,
+    approver_type: step.approver_type,
+    approver_role: step.approver_role || null,
+    approver_user_id: step.approver_user_id || null,
+    approver_department_id: step.approver_department_id || null,
+    requires_same_department: step.requires_same_department || false,
+    // A step with a condition is optional unless said otherwise; required steps are never skipped
+    is_required: step.is_required !== undefined ? step.is_required : !step.condition_expression?.trim(),
+    can_skip: step.can_skip || false,
+    condition_expression: step.condition_expression?.trim() || null,
+    status_on_approval: step.status_on_approval,
+    status_on_completion: step.status_on_completion || null,
+    sla_hours: step.sla_hours || null,
+    reminders_before_escalation: step.reminders_before_escalation ?? 1,
+    escalation_target: step.sla_hours ? (step.escalation_target || null) : null,
+    escalation_matrix_role: step.escalation_target === 'approval_matrix' ? (step.escalation_matrix_role || null) : null
+  };
+}
+
+const VERSIONED_STEP_FIELDS = Object.keys(stepAttributes({}));
+
+// Comparable form of a version's steps, used to skip publishing a version when nothing changed
+function stepsSignature(steps) {
+  return steps
+    .map(step => {
+      const attributes = stepAttributes(step);
+      return JSON.stringify(VERSIONED_STEP_FIELDS.map(field => String(attributes[field] ?? '')));
+    })
+    .sort()
+    .join('\n');
+}
+
+// Steps are matched across versions by name, since step ids change with every version
+function diffVersionSteps(fromSteps, toSteps) {
+  const key = step => step.step_name.trim().toLowerCase();
+  const fromByName = new Map(fromSteps.map(step => [key(step), step]));
+  const toByName = new Map(toSteps.map(step => [key(step), step]));
+
+  const added = toSteps.filter(step => !fromByName.has(key(step)));
+  const removed = fromSteps.filter(step => !toByName.has(key(step)));
+  const changed = [];
+
+  for (const step of toSteps) {
+    const previous = fromByName.get(key(step));
+    if (!previous) continue;
+
+    const changes = {};
+    for (const field of VERSIONED_STEP_FIELDS) {
+      const from = previous[field] ?? null;
+      const to = step[field] ?? null;
+      if (from !== to) changes[field] = { from, to };
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ step_name: step.step_name, changes });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+// The form type step conditions are checked against: the payload's on create, the workflow's on update
+async function conditionFormType(req) {
+  if (req.body.form_type) return req.body.form_type;
+  if (!req.params.id) return null;
+  const workflow = await ApprovalWorkflow.findByPk(req.params.id, { attributes: ['form_type'] });
+  return workflow?.form_type || null;
+}
+
+// SLA / escalation settings and step conditions shared by create and update
+const stepSettingsValidators = [
+  body('steps.*.condition_expression').optional({ nullable: true, checkFalsy: true }).custom(async (value, { req }) => {
+    const error = validateCondition(value, getConditionFields(await conditionFormType(req)));
+    if (error) throw new Error(`Invalid step condition: ${error}`);
+    return true;
+  }),
+  body('steps.*.sla_hours').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('SLA hours must be a positive integer'),
+  body('steps.*.reminders_before_escalation').optional({ nullable: true }).isInt({ min: 0, max: 10 }).withMessage('Reminders before escalation must be between 0 and 10'),
+  body('steps.*.escalation_target').optional({ nullable: true, checkFalsy: true }).isIn(['approval_matrix', 'it_manager']).withMessage('Invalid escalation target'),
+  body('steps.*').custom((step) => {
+    if (step?.escalation_target === 'approval_matrix' && !step.escalation_matrix_role) {
+      throw new Error('Backup approver role is required when escalating to the Approval Matrix');
+    }
+    if (step?.condition_expression?.trim() && step.is_required === true) {
+      throw new Error(`Step '${step.step_name}' has a condition, so it can't be required; untick Required or remove the condition`);
+    }
+    return true;
+  }),
+  // Steps sharing a step_order run in parallel; their approvals are keyed by step name
+  body('steps').optional().custom((steps) => {
+    if (!Array.isArray(steps)) return true;
+    const seen = new Set();
+    for (const step of steps) {
+      const key = `${step?.step_order}:${String(step?.step_name || '').trim().toLowerCase().replace(/ /g, '_')}`;
+      if (seen.has(key)) {
+        throw new Error(`Parallel steps at order ${step.step_order} must have different names`);
+      }
+      seen.add(key);
+    }
+    return true;
+  })
+];
+
 // Get all users for workflow configuration (no pagination)
 // MUST be before /:id route to avoid route conflict
 router.get('/users', authenticateToken, requireRole(['super_administrator']), async (req, res) => {
@@ -98,6 +211,112 @@ router.get('/users', authenticateToken, requireRole(['super_administrator']), as
   }
 });
 
+// Check a step condition expression without saving the workflow; with `form_type`, its fields are checked too
+// MUST be before /:id route to avoid route conflict
+router.post('/validate-condition', authenticateToken, requireRole(['super_administrator']), (req, res) => {
+  const error = validateCondition(req.body.expression, getConditionFields(req.body.form_type));
+
+  res.json({
+    success: true,
+    valid: !error,
+    message: error
+  });
+});
+
+// Dry-run a workflow for a sample request: who would be asked to approve each step.
+// Nothing is saved and no notifications are sent.
+// MUST be before /:id route to avoid route conflict
+router.post(
+  '/simulate',
+  authenticateToken,
+  requireRole(['super_administrator']),
+  [
+    body('form_type').isIn(['item_request', 'vehicle_request']).withMessage('Invalid form type'),
+    body('workflow_id').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Invalid workflow'),
+    body('department_id').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Invalid department'),
+    body('requestor_id').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Invalid requestor'),
+    body('priority').optional({ nullable: true, checkFalsy: true }).isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+    body('items').optional().isArray().withMessage('Items must be a list'),
+    body('items.*.quantity').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Item quantity must be a positive integer'),
+    body('items.*.estimated_cost').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Item estimated cost must be a positive number'),
+    body('fields').optional().isObject().withMessage('Fields must be an object')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { form_type, workflow_id, requestor_id, priority = 'medium', items = [], fields = {} } = req.body;
+
+      let requestor = null;
+      if (requestor_id) {
+        requestor = await User.findByPk(requestor_id);
+        if (!requestor) {
+          return res.status(404).json({
+            success: false,
+            message: 'Requestor not found'
+          });
+        }
+      }
+
+      const sampleItems = items.map(item => ({
+        category: item.category || null,
+        item_description: item.item_description || null,
+        quantity: parseInt(item.quantity || 1, 10),
+        estimated_cost: parseFloat(item.estimated_cost || 0),
+        priority: item.priority || priority
+      }));
+
+      // Shaped like a real request so step conditions and approver lookups see the same fields
+      const sampleRequest = {
+        ...fields,
+        department_id: req.body.department_id || requestor?.department_id || null,
+        requestor_id: requestor?.id || null,
+        requested_by: requestor?.id || null,
+        priority,
+        total_estimated_cost: fields.total_estimated_cost ??
+          sampleItems.reduce((sum, item) => sum + item.estimated_cost * item.quantity, 0),
+        items: sampleItems
+      };
+
+      const simulation = await simulateWorkflow(form_type, sampleRequest, workflow_id || null);
+
+      if (!simulation) {
+        return res.status(404).json({
+          success: false,
+          message: workflow_id
+            ? 'Workflow not found for this form type'
+            : 'No active workflow found for this form type and department'
+        });
+      }
+
+      res.json({
+        success: true,
+        request: {
+          departmentId: sampleRequest.department_id,
+          requestorId: sampleRequest.requestor_id,
+          priority: sampleRequest.priority,
+          totalEstimatedCost: sampleRequest.total_estimated_cost
+        },
+        ...simulation
+      });
+    } catch (error) {
+      console.error('Error simulating workflow:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to simulate workflow',
+        error: error.message
+      });
+    }
+  }
+);
+
 // Get active workflow for a form type
 // MUST be before /:id route to avoid route conflict
 router.get('/active/:form_type', authenticateToken, async (req, res) => {
@@ -333,7 +552,7 @@ router.get('/:id', authenticateToken, requireRole(['super_administrator']), asyn
 
     res.json({
       success: true,
-      workflow
+      workflow: mapWorkflowData(workflow)
     });
   } catch (error) {
     console.error('Error fetching workflow:', error);
@@ -357,7 +576,8 @@ router.post(
     body('steps.*.step_name').trim().isLength({ min: 1 }).withMessage('Step name is required'),
     body('steps.*.step_order').isInt({ min: 1 }).withMessage('Step order must be a positive integer'),
     body('steps.*.approver_type').isIn(['role', 'user', 'department', 'department_approver', 'custom_matrix_role']).withMessage('Invalid approver type'),
-    body('steps.*.status_on_approval').trim().isLength({ min: 1 }).withMessage('Status on approval is required')
+    body('steps.*.status_on_approval').trim().isLength({ min: 1 }).withMessage('Status on approval is required'),
+    ...stepSettingsValidators
   ],
   async (req, res) => {
     try {
@@ -392,26 +612,25 @@ router.post(
         updated_by: req.user.id
       });
 
-      // Create workflow steps
+      // Create workflow steps as version 1
       const createdSteps = [];
       for (const step of steps) {
         const workflowStep = await WorkflowStep.create({
           workflow_id: workflow.id,
-          step_order: step.step_order,
-          step_name: step.step_name,
-          approver_type: step.approver_type,
-          approver_role: step.approver_role || null,
-          approver_user_id: step.approver_user_id || null,
-          approver_department_id: step.approver_department_id || null,
-          requires_same_department: step.requires_same_department || false,
-          is_required: step.is_required !== undefined ? step.is_required : true,
-          can_skip: step.can_skip || false,
-          status_on_approval: step.status_on_approval,
-          status_on_completion: step.status_on_completion || null
+          version: 1,
+          ...stepAttributes(step)
         });
         createdSteps.push(workflowStep);
       }
 
+      await WorkflowVersion.create({
+        workflow_id: workflow.id,
+        version: 1,
+        name: workflow.name,
+        note: req.body.version_note?.trim() || null,
+        created_by: req.user.id
+      });
+
       // Reload workflow with steps
       await workflow.reload({
         include: [
@@ -476,7 +695,9 @@ router.put(
   requireRole(['super_administrator']),
   [
     body('name').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Name must be less than 200 characters'),
-    body('steps').optional().isArray({ min: 1 }).withMessage('At least one workflow step is required')
+    body('steps').optional().isArray({ min: 1 }).withMessage('At least one workflow step is required'),
+    body('version_note').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Version note must be less than 1000 characters'),
+    ...stepSettingsValidators
   ],
   async (req, res) => {
     try {
@@ -492,84 +713,72 @@ router.put(
       const { id } = req.params;
       const { name, is_active, is_default, department_id, steps } = req.body;
 
-      const workflow = await ApprovalWorkflow.findByPk(id);
-      if (!workflow) {
-        return res.status(404).json({
-          success: false,
-          message: 'Workflow not found'
-        });
-      }
+      // The workflow row is locked so two saves can't both publish the same version number
+      let publishedVersion = null;
+      const workflow = await sequelize.transaction(async (transaction) => {
+        const locked = await ApprovalWorkflow.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!locked) return null;
 
-      // If setting as default, unset other defaults for this form type
-      if (is_default && !workflow.is_default && !workflow.department_id && !department_id) {
-        await ApprovalWorkflow.update(
-          { is_default: false },
-          { where: { form_type: workflow.form_type, is_default: true, department_id: null, id: { [Op.ne]: id } } }
-        );
-      }
+        // If setting as default, unset other defaults for this form type
+        if (is_default && !locked.is_default && !locked.department_id && !department_id) {
+          await ApprovalWorkflow.update(
+            { is_default: false },
+            { where: { form_type: locked.form_type, is_default: true, department_id: null, id: { [Op.ne]: id } }, transaction }
+          );
+        }
 
-      // Update workflow
-      const updateData = {
-        updated_by: req.user.id
-      };
-      if (name !== undefined) updateData.name = name;
-      if (is_active !== undefined) updateData.is_active = is_active;
-      if (department_id !== undefined) updateData.department_id = department_id;
-      // If a workflow gets assigned a department, it cannot be a global default
-      if (department_id) updateData.is_default = false;
-      else if (is_default !== undefined) updateData.is_default = is_default;
-
-      await workflow.update(updateData);
-
-      // Update steps if provided
-      if (steps && Array.isArray(steps)) {
-        // Check if workflow is in use by active requests before modifying steps
-        if (workflow.form_type === 'item_request') {
-          const activeItemRequests = await Request.count({
-            where: {
-              status: { [Op.in]: ['submitted', 'department_approved', 'it_manager_approved', 'service_desk_processing'] }
-            }
+        // Update workflow
+        const updateData = {
+          updated_by: req.user.id
+        };
+        if (name !== undefined) updateData.name = name;
+        if (is_active !== undefined) updateData.is_active = is_active;
+        if (department_id !== undefined) updateData.department_id = department_id;
+        // If a workflow gets assigned a department, it cannot be a global default
+        if (department_id) updateData.is_default = false;
+        else if (is_default !== undefined) updateData.is_default = is_default;
+
+        await locked.update(updateData, { transaction });
+
+        // Changing the steps publishes a new version. Steps of earlier versions are left untouched,
+        // so requests submitted under them keep following their original route.
+        if (steps && Array.isArray(steps)) {
+          const currentSteps = await WorkflowStep.findAll({
+            where: { workflow_id: id, version: locked.current_version },
+            transaction
           });
-          if (activeItemRequests > 0) {
-            return res.status(400).json({
-              success: false,
-              message: 'Cannot modify workflow steps while there are active item requests. Please process all active requests first.'
-            });
-          }
-        } else if (workflow.form_type === 'vehicle_request') {
-          const activeVehicleRequests = await ServiceVehicleRequest.count({
-            where: {
-              status: { [Op.in]: ['submitted', 'returned', 'department_approved'] }
+
+          if (stepsSignature(currentSteps.map(step => step.toJSON())) !== stepsSignature(steps)) {
+            publishedVersion = locked.current_version + 1;
+
+            for (const step of steps) {
+              await WorkflowStep.create({
+                workflow_id: id,
+                version: publishedVersion,
+                ...stepAttributes(step)
+              }, { transaction });
             }
-          });
-          if (activeVehicleRequests > 0) {
-            return res.status(400).json({
-              success: false,
-              message: 'Cannot modify workflow steps while there are active vehicle requests. Please process all active requests first.'
-            });
+
+            await WorkflowVersion.create({
+              workflow_id: locked.id,
+              version: publishedVersion,
+              name: locked.name,
+              note: req.body.version_note?.trim() || null,
+              created_by: req.user.id
+            }, { transaction });
+
+            await locked.update({ current_version: publishedVersion }, { transaction });
           }
         }
 
-        // Delete existing steps
-        await WorkflowStep.destroy({ where: { workflow_id: id } });
-
-        // Create new steps
-        for (const step of steps) {
-          await WorkflowStep.create({
-            workflow_id: id,
-            step_order: step.step_order,
-            step_name: step.step_name,
-            approver_type: step.approver_type,
-            approver_role: step.approver_role || null,
-            approver_user_id: step.approver_user_id || null,
-            approver_department_id: step.approver_department_id || null,
-            requires_same_department: step.requires_same_department || false,
-            is_required: step.is_required !== undefined ? step.is_required : true,
-            can_skip: step.can_skip || false,
-            status_on_approval: step.status_on_approval,
-            status_on_completion: step.status_on_completion || null
-          });
-        }
+        return locked;
+      });
+
+      if (!workflow) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workflow not found'
+        });
       }
 
       // Reload workflow with steps
@@ -618,6 +827,22 @@ router.put(
           steps_updated: steps ? true : false
         }
       });
+
+      // Audit Log: Workflow Version Published
+      if (publishedVersion) {
+        await logAudit({
+          req,
+          action: 'UPDATE',
+          entityType: 'Workflow',
+          entityId: workflow.id,
+          details: {
+            change: 'Workflow Version Published',
+            name: workflow.name,
+            version: publishedVersion,
+            note: req.body.version_note?.trim() || null
+          }
+        });
+      }
     } catch (error) {
       console.error('Error updating workflow:', error);
       res.status(500).json({
@@ -629,8 +854,8 @@ router.put(
   }
 );
 
-// Delete workflow
-router.delete('/:id', authenticateToken, requireRole(['super_administrator']), async (req, res) => {
+// Get the published versions of a workflow with their steps
+router.get('/:id/versions', authenticateToken, requireRole(['super_administrator']), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -642,36 +867,147 @@ router.delete('/:id', authenticateToken, requireRole(['super_administrator']), a
       });
     }
 
+    const versions = await WorkflowVersion.findAll({
+      where: { workflow_id: id },
+      include: [{
+        model: User,
+        as: 'Creator',
+        attributes: ['id', 'first_name', 'last_name', 'email'],
+        required: false
+      }],
+      order: [['version', 'DESC']]
+    });
 
-    // Check if workflow is in use
-    // For item requests
-    if (workflow.form_type === 'item_request') {
-      const requestsUsingWorkflow = await Request.count({
-        where: {
-          status: { [Op.in]: ['submitted', 'department_approved', 'it_manager_approved', 'service_desk_processing'] }
+    const steps = await WorkflowStep.findAll({
+      where: { workflow_id: id },
+      include: [
+        {
+          model: User,
+          as: 'ApproverUser',
+          attributes: ['id', 'first_name', 'last_name', 'email'],
+          required: false
+        },
+        {
+          model: Department,
+          as: 'ApproverDepartment',
+          attributes: ['id', 'name'],
+          required: false
         }
+      ],
+      order: [['step_order', 'ASC'], ['id', 'ASC']]
+    });
+
+    // How many in-progress requests are still following each version
+    const requestModel = workflow.form_type === 'vehicle_request' ? ServiceVehicleRequest : Request;
+    const pinnedCounts = await requestModel.count({
+      where: { workflow_id: id, current_step_id: { [Op.ne]: null } },
+      group: ['workflow_version']
+    });
+    const inFlightByVersion = Object.fromEntries(
+      pinnedCounts.map(row => [row.workflow_version, parseInt(row.count, 10)])
+    );
+
+    res.json({
+      success: true,
+      currentVersion: workflow.current_version,
+      versions: versions.map(version => {
+        const versionData = version.toJSON();
+        return {
+          ...versionData,
+          Creator: mapUserData(versionData.Creator),
+          isCurrent: versionData.version === workflow.current_version,
+          inFlightRequests: inFlightByVersion[versionData.version] || 0,
+          Steps: steps
+            .filter(step => step.version === versionData.version)
+            .map(step => {
+              const stepData = step.toJSON();
+              return { ...stepData, ApproverUser: mapUserData(stepData.ApproverUser) };
+            })
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching workflow versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch workflow versions',
+      error: error.message
+    });
+  }
+});
+
+// Compare the steps of two versions of a workflow
+router.get('/:id/versions/diff', authenticateToken, requireRole(['super_administrator']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both from and to versions are required'
       });
-      if (requestsUsingWorkflow > 0 && workflow.is_active) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot delete active workflow that has pending requests. Please deactivate it first.'
-        });
-      }
     }
 
-    // For vehicle requests
-    if (workflow.form_type === 'vehicle_request') {
-      const vehicleRequestsUsingWorkflow = await ServiceVehicleRequest.count({
-        where: {
-          status: { [Op.in]: ['submitted', 'returned'] }
-        }
+    const versionCount = await WorkflowVersion.count({
+      where: { workflow_id: id, version: [from, to] }
+    });
+    if (versionCount < (from === to ? 1 : 2)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow version not found'
       });
-      if (vehicleRequestsUsingWorkflow > 0 && workflow.is_active) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot delete active workflow that has pending requests. Please deactivate it first.'
-        });
+    }
+
+    const [fromSteps, toSteps] = await Promise.all([from, to].map(version => WorkflowStep.findAll({
+      where: { workflow_id: id, version },
+      order: [['step_order', 'ASC'], ['id', 'ASC']],
+      raw: true
+    })));
+
+    res.json({
+      success: true,
+      from,
+      to,
+      diff: diffVersionSteps(fromSteps, toSteps)
+    });
+  } catch (error) {
+    console.error('Error comparing workflow versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare workflow versions',
+      error: error.message
+    });
+  }
+});
+
+// Delete workflow
+router.delete('/:id', authenticateToken, requireRole(['super_administrator']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workflow = await ApprovalWorkflow.findByPk(id);
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workflow not found'
+      });
+    }
+
+    // Requests pinned to any version of this workflow still need its steps
+    const requestModel = workflow.form_type === 'vehicle_request' ? ServiceVehicleRequest : Request;
+    const requestsUsingWorkflow = await requestModel.count({
+      where: {
+        workflow_id: workflow.id,
+        current_step_id: { [Op.ne]: null }
       }
+    });
+    if (requestsUsingWorkflow > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete this workflow while ${requestsUsingWorkflow} in-progress request(s) are following it. Deactivate it instead; those requests will finish on their original version.`
+      });
     }
 
     await workflow.destroy();
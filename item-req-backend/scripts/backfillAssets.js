@@ -0,0 +1,43 @@
+import { Request, RequestItem, sequelize } from '../models/index.js';
+import { registerDeployedAssets } from '../utils/assetRegistry.js';
+
+// Register assets for requests completed before the asset registry existed.
+// Safe to run more than once: items that already have assets are skipped.
+async function backfillAssets() {
+    try {
+        await sequelize.authenticate();
+        console.log('✅ Connected to database');
+
+        const requests = await Request.findAll({
+            where: { status: 'completed' },
+            include: [{ model: RequestItem, as: 'Items' }],
+            order: [['completed_at', 'ASC']]
+        });
+
+        console.log(`📋 Found ${requests.length} completed requests`);
+
+        let assetCount = 0;
+        let requestCount = 0;
+
+        for (const request of requests) {
+            try {
+                const assets = await registerDeployedAssets({ request, items: request.Items });
+                if (assets.length > 0) {
+                    console.log(`   🏷️ ${request.request_number}: registered ${assets.length} asset(s)`);
+                    assetCount += assets.length;
+                    requestCount++;
+                }
+            } catch (err) {
+                console.error(`   ❌ Failed to register assets for ${request.request_number}:`, err.message);
+            }
+        }
+
+        console.log(`✨ Backfill complete. Registered ${assetCount} asset(s) across ${requestCount} request(s).`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Backfill failed:', error);
+        process.exit(1);
+    }
+}
+
+backfillAssets();
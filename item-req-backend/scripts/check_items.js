@@ -1,13 +1,13 @@
 import { sequelize } from '../config/database.js';
-import { Item } from '../models/index.js';
+import { Category, Sku } from '../models/index.js';
 
 async function checkItems() {
     try {
-        const items = await Item.findAll();
-        console.log(`Found ${items.length} items.`);
-        items.forEach(i => console.log(`- [${i.id}] ${i.name} (${i.category}) Qty: ${i.quantity}`));
+        const skus = await Sku.findAll({ include: [{ model: Category, as: 'Category', attributes: ['name'] }] });
+        console.log(`Found ${skus.length} SKUs.`);
+        skus.forEach(s => console.log(`- [${s.code}] ${s.name} (${s.Category.name}) Qty: ${s.quantity}`));
     } catch (error) {
-        console.error('Error fetching items:', error);
+        console.error('Error fetching SKUs:', error);
     } finally {
         await sequelize.close();
     }
@@ -47,7 +47,7 @@ async function createVehicleApprovalsTable() {
           REFERENCES users(id),
         CONSTRAINT fk_workflow_step FOREIGN KEY (workflow_step_id) 
           REFERENCES workflow_steps(id),
-        CONSTRAINT unique_vehicle_request_step_order UNIQUE (vehicle_request_id, step_order)
+        CONSTRAINT unique_vehicle_request_step UNIQUE (vehicle_request_id, step_order, step_name)
       );
     `);
 
@@ -65,7 +65,7 @@ async function createVehicleApprovalsTable() {
     console.log('   - vehicle_request_id (Foreign Key to service_vehicle_requests)');
     console.log('   - approver_id (Foreign Key to users)');
     console.log('   - workflow_step_id (Foreign Key to workflow_steps)');
-    console.log('   - step_order (Integer, unique per request)');
+    console.log('   - step_order (Integer, unique per request and step name)');
     console.log('   - step_name (VARCHAR 200)');
     console.log('   - status (ENUM: pending, approved, declined, returned)');
     console.log('   - comments (TEXT)');
@@ -18,15 +18,37 @@ import workflowRoutes from './routes/workflows.js';
 import vehicleRoutes from './routes/vehicles.js';
 import driverRoutes from './routes/drivers.js';
 import auditLogRoutes from './routes/auditLogs.js';
-import itemRoutes from './routes/items.js';
+import skuRoutes from './routes/skus.js';
 import categoryRoutes from './routes/categories.js';
 import settingsRoutes from './routes/settings.js';
 import chatbotRoutes from './routes/chatbot.js';
 import approvalMatrixRoutes from './routes/approvalMatrix.js';
 import apiKeyRoutes from './routes/apiKeys.js';
+import emailActionRoutes from './routes/emailActions.js';
+import notificationRoutes from './routes/notifications.js';
+import emailTemplateRoutes from './routes/emailTemplates.js';
+import realtimeRoutes from './routes/realtime.js';
+import stockMovementRoutes from './routes/stockMovements.js';
+import assetRoutes from './routes/assets.js';
+import assetTransferRoutes from './routes/assetTransfers.js';
+import assetLoanRoutes from './routes/assetLoans.js';
+import purchaseRequisitionRoutes from './routes/purchaseRequisitions.js';
+import vendorRoutes from './routes/vendors.js';
+import quotationRoutes from './routes/quotations.js';
+import stockAlertRoutes from './routes/stockAlerts.js';
+import stocktakeRoutes from './routes/stocktakes.js';
+import stockLocationRoutes from './routes/stockLocations.js';
+import stockTransferRoutes from './routes/stockTransfers.js';
+import inventoryImportRoutes from './routes/inventoryImport.js';
+import { requestContextMiddleware } from './utils/requestContext.js';
 
 // Import database
 import { sequelize } from './config/database.js';
+import approvalEscalationService from './utils/approvalEscalation.js';
+import notificationDigestService from './utils/notificationDigest.js';
+import assetLoanReminderService from './utils/assetLoanReminders.js';
+import lowStockAlertService from './utils/lowStockAlerts.js';
+import delegationSyncService from './utils/delegationSync.js';
 
 // Load environment variables
 dotenv.config();
@@ -71,6 +93,9 @@ app.use(limiter); // Enabled for security
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Lets model hooks see who made a change (used for live update events)
+app.use(requestContextMiddleware);
+
 // Static files for uploads
 app.use('/uploads', express.static(join(__dirname, 'uploads')));
 
@@ -93,12 +118,28 @@ app.use('/api/workflows', workflowRoutes);
 app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/drivers', driverRoutes);
 app.use('/api/audit-logs', auditLogRoutes);
-app.use('/api/items', itemRoutes);
+app.use('/api/skus', skuRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/stock-movements', stockMovementRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/asset-transfers', assetTransferRoutes);
+app.use('/api/asset-loans', assetLoanRoutes);
+app.use('/api/purchase-requisitions', purchaseRequisitionRoutes);
+app.use('/api/vendors', vendorRoutes);
+app.use('/api/quotations', quotationRoutes);
+app.use('/api/stock-alerts', stockAlertRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/stock-locations', stockLocationRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/inventory-import', inventoryImportRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/chat', chatbotRoutes);
 app.use('/api/approval-matrix', approvalMatrixRoutes);
 app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/email-actions', emailActionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
+app.use('/api/realtime', realtimeRoutes);
 
 // Option 1: Serve frontend static files from backend (Single Port Deployment)
 // This allows the backend to serve both API and frontend from the same port
@@ -168,6 +209,31 @@ async function startServer() {
       console.error('Warning: Failed to initialize default data:', error.message);
     }
 
+    // Start SLA reminders / escalation for stalled approvals
+    if (process.env.APPROVAL_SLA_CHECK_ENABLED !== 'false') {
+      approvalEscalationService.scheduleChecks(parseInt(process.env.APPROVAL_SLA_CHECK_INTERVAL_MINUTES || '30', 10));
+    }
+
+    // Start the daily digest for users who prefer one summary email
+    if (process.env.NOTIFICATION_DIGEST_ENABLED !== 'false') {
+      notificationDigestService.scheduleDaily(parseInt(process.env.NOTIFICATION_DIGEST_HOUR || '7', 10));
+    }
+
+    // Start overdue reminders for borrowed equipment
+    if (process.env.ASSET_LOAN_REMINDERS_ENABLED !== 'false') {
+      assetLoanReminderService.scheduleChecks(parseInt(process.env.ASSET_LOAN_REMINDER_INTERVAL_MINUTES || '60', 10));
+    }
+
+    // Start syncing approval queues as temporary delegations start and end
+    if (process.env.DELEGATION_SYNC_ENABLED !== 'false') {
+      delegationSyncService.scheduleChecks(parseInt(process.env.DELEGATION_SYNC_INTERVAL_MINUTES || '15', 10));
+    }
+
+    // Start the daily low-stock report for the Service Desk and IT Managers
+    if (process.env.LOW_STOCK_REPORT_ENABLED !== 'false') {
+      lowStockAlertService.scheduleDaily(parseInt(process.env.LOW_STOCK_REPORT_HOUR || '8', 10));
+    }
+
     // Start server - listen on all interfaces (0.0.0.0) to allow network access
     const HOST = process.env.HOST || '0.0.0.0';
 
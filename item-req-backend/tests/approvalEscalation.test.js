@@ -0,0 +1,40 @@
+import { getOverdueSteps } from '../utils/approvalEscalation.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const started = new Date('2026-01-05T08:00:00Z');
+const after = (hours) => new Date(started.getTime() + hours * HOUR_MS);
+
+const stepsById = new Map([
+  [1, { id: 1, sla_hours: 24 }],
+  [2, { id: 2, sla_hours: 48 }]
+]);
+
+describe('getOverdueSteps', () => {
+  test('waits for the SLA to pass', () => {
+    const request = { current_step_id: 1, step_started_at: started, reminder_count: 0 };
+    expect(getOverdueSteps(request, stepsById, after(23))).toEqual([]);
+    expect(getOverdueSteps(request, stepsById, after(24)).map(step => step.id)).toEqual([1]);
+  });
+
+  test('is due once per elapsed SLA period', () => {
+    const request = { current_step_id: 1, step_started_at: started, reminder_count: 1 };
+    expect(getOverdueSteps(request, stepsById, after(30))).toEqual([]);
+    expect(getOverdueSteps(request, stepsById, after(48)).map(step => step.id)).toEqual([1]);
+  });
+
+  test('checks every parallel branch', () => {
+    const request = { current_step_id: 1, active_step_ids: [1, 2], step_started_at: started, reminder_count: 0 };
+    expect(getOverdueSteps(request, stepsById, after(24)).map(step => step.id)).toEqual([1]);
+    expect(getOverdueSteps(request, stepsById, after(48)).map(step => step.id)).toEqual([1, 2]);
+  });
+
+  test('checks a branch still open after the current step finished', () => {
+    const request = { current_step_id: 1, active_step_ids: [2], step_started_at: started, reminder_count: 0 };
+    expect(getOverdueSteps(request, stepsById, after(48)).map(step => step.id)).toEqual([2]);
+  });
+
+  test('skips steps without an SLA', () => {
+    const request = { current_step_id: 3, active_step_ids: [3], step_started_at: started, reminder_count: 0 };
+    expect(getOverdueSteps(request, stepsById, after(100))).toEqual([]);
+  });
+});
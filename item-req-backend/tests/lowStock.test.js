@@ -0,0 +1,44 @@
+import { isLowStock, suggestReorderQuantity, outstandingQuantity } from '../utils/lowStock.js';
+
+describe('isLowStock', () => {
+  test('is low at or below the minimum level', () => {
+    expect(isLowStock({ available: 5, inTransit: 0, minStockLevel: 5 })).toBe(true);
+    expect(isLowStock({ available: 6, inTransit: 0, minStockLevel: 5 })).toBe(false);
+    expect(isLowStock({ available: -2, inTransit: 0, minStockLevel: 0 })).toBe(true);
+  });
+
+  test('counts stock in transit', () => {
+    expect(isLowStock({ available: 3, inTransit: 3, minStockLevel: 5 })).toBe(false);
+  });
+});
+
+describe('suggestReorderQuantity', () => {
+  const stock = { minStockLevel: 5, consumed: 0, openDemand: 0, available: 0, inTransit: 0, onOrder: 0 };
+
+  test('tops up to the minimum level', () => {
+    expect(suggestReorderQuantity({ ...stock, available: 2 })).toBe(3);
+  });
+
+  test('adds consumption and open demand', () => {
+    expect(suggestReorderQuantity({ ...stock, consumed: 12, openDemand: 4, available: 3 })).toBe(18);
+  });
+
+  test('subtracts what is in transit and on order', () => {
+    expect(suggestReorderQuantity({ ...stock, consumed: 10, available: 2, inTransit: 3, onOrder: 4 })).toBe(6);
+  });
+
+  test('covers over-promised stock', () => {
+    expect(suggestReorderQuantity({ ...stock, available: -3 })).toBe(8);
+  });
+
+  test('never goes below zero', () => {
+    expect(suggestReorderQuantity({ ...stock, available: 4, onOrder: 20 })).toBe(0);
+  });
+});
+
+describe('outstandingQuantity', () => {
+  test('is what is still to be delivered', () => {
+    expect(outstandingQuantity({ quantity: 10, quantity_received: 4 })).toBe(6);
+    expect(outstandingQuantity({ quantity: 10, quantity_received: 12 })).toBe(0);
+  });
+});
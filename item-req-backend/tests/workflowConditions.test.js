@@ -0,0 +1,114 @@
+import { parseCondition, validateCondition, evaluateCondition } from '../utils/workflowConditions.js';
+
+const fields = {
+  fields: ['total_estimated_cost', 'priority', 'department_id'],
+  itemFields: ['category', 'quantity']
+};
+
+describe('parseCondition', () => {
+  test('parses a comparison', () => {
+    expect(parseCondition('total_estimated_cost > 50000')).toEqual({
+      type: 'compare',
+      field: 'total_estimated_cost',
+      isItemField: false,
+      quantifier: null,
+      operator: '>',
+      value: 50000
+    });
+  });
+
+  test('binds AND tighter than OR', () => {
+    const node = parseCondition('priority = urgent OR priority = high AND department_id = 3');
+    expect(node.type).toBe('or');
+    expect(node.right.type).toBe('and');
+  });
+
+  test('defaults item fields to any', () => {
+    expect(parseCondition("item.category = 'Software'").quantifier).toBe('any');
+    expect(parseCondition('all item.quantity >= 2').quantifier).toBe('all');
+  });
+
+  test('reads true, false and null as values', () => {
+    expect(parseCondition('priority = null').value).toBeNull();
+    expect(parseCondition('priority != true').value).toBe(true);
+  });
+
+  test('throws on syntax errors', () => {
+    expect(() => parseCondition('')).toThrow('Condition is empty');
+    expect(() => parseCondition('(priority = urgent')).toThrow('Missing closing parenthesis');
+    expect(() => parseCondition('priority urgent')).toThrow("Expected a comparison operator after 'priority'");
+    expect(() => parseCondition('priority =')).toThrow("Expected a value after 'priority ='");
+    expect(() => parseCondition('any priority = urgent')).toThrow("'any' can only be used with item fields");
+    expect(() => parseCondition('priority = urgent urgent')).toThrow("Unexpected 'urgent' after end of condition");
+  });
+
+  test('rejects fields the form does not have', () => {
+    expect(() => parseCondition('total_cost > 5', fields)).toThrow("Unknown field 'total_cost'");
+    expect(() => parseCondition('item.vendor = Dell', fields)).toThrow("Unknown field 'item.vendor'");
+    expect(() => parseCondition('NOT (priority = urgent AND item.category = Laptop)', fields)).not.toThrow();
+  });
+});
+
+describe('validateCondition', () => {
+  test('accepts empty conditions', () => {
+    expect(validateCondition('')).toBeNull();
+    expect(validateCondition('   ')).toBeNull();
+    expect(validateCondition(null)).toBeNull();
+  });
+
+  test('returns the error message of an invalid condition', () => {
+    expect(validateCondition('priority = urgent')).toBeNull();
+    expect(validateCondition('priority = urgent AND')).toBe("Expected a field name but found 'end of condition'");
+    expect(validateCondition('cost#5')).toBe("Unexpected character '#' at position 5");
+  });
+
+  test('checks fields only when given', () => {
+    expect(validateCondition('budget > 5')).toBeNull();
+    expect(validateCondition('budget > 5', fields)).toBe("Unknown field 'budget'");
+  });
+});
+
+describe('evaluateCondition', () => {
+  const context = {
+    total_estimated_cost: 75000,
+    priority: 'Urgent',
+    department_id: 3,
+    items: [
+      { category: 'Laptop', quantity: 2 },
+      { category: 'Software', quantity: 1 }
+    ]
+  };
+
+  test('always applies empty conditions', () => {
+    expect(evaluateCondition('', context)).toBe(true);
+  });
+
+  test('compares numbers and case-insensitive text', () => {
+    expect(evaluateCondition('total_estimated_cost > 50000', context)).toBe(true);
+    expect(evaluateCondition('total_estimated_cost <= 50000', context)).toBe(false);
+    expect(evaluateCondition('priority = urgent', context)).toBe(true);
+    expect(evaluateCondition("priority <> 'URGENT'", context)).toBe(false);
+  });
+
+  test('combines with AND, OR, NOT and parentheses', () => {
+    expect(evaluateCondition('(priority = low OR total_estimated_cost >= 75000) AND NOT department_id = 4', context)).toBe(true);
+    expect(evaluateCondition('priority = low OR department_id = 4', context)).toBe(false);
+  });
+
+  test('matches any or all items', () => {
+    expect(evaluateCondition("any item.category = 'software'", context)).toBe(true);
+    expect(evaluateCondition('all item.quantity >= 2', context)).toBe(false);
+    expect(evaluateCondition('all item.quantity >= 1', context)).toBe(true);
+    expect(evaluateCondition('all item.quantity >= 1', { items: [] })).toBe(false);
+  });
+
+  test('treats missing values as null', () => {
+    expect(evaluateCondition('reason = null', context)).toBe(true);
+    expect(evaluateCondition('reason != null', context)).toBe(false);
+    expect(evaluateCondition('reason > 5', context)).toBe(false);
+  });
+
+  test('throws on unknown fields instead of evaluating them', () => {
+    expect(() => evaluateCondition('budget > 5', context, fields)).toThrow("Unknown field 'budget'");
+  });
+});
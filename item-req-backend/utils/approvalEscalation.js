@@ -0,0 +1,303 @@
+import { Op } from 'sequelize';
+import { Request, ServiceVehicleRequest, WorkflowStep, User, ApprovalMatrix } from '../models/index.js';
+import emailService from './emailService.js';
+import { logAudit } from './auditLogger.js';
+import { getActiveStepIds, getApproverIdsForSteps } from './workflowProcessor.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Request types covered by the SLA check
+const SOURCES = [
+  {
+    formType: 'item_request',
+    model: Request,
+    entityType: 'Request',
+    requestorAs: 'Requestor',
+    requestorField: 'requestor_id',
+    formLabel: 'IT requisition request',
+    reference: (request) => request.request_number,
+    link: (request) => `${emailService.getFrontendUrl()}/requests/${request.id}`
+  },
+  {
+    formType: 'vehicle_request',
+    model: ServiceVehicleRequest,
+    entityType: 'ServiceVehicleRequest',
+    requestorAs: 'RequestedByUser',
+    requestorField: 'requested_by',
+    formLabel: 'service vehicle request',
+    reference: (request) => request.reference_code || request.id,
+    link: (request) => `${emailService.getFrontendUrl()}/service-vehicle-requests/${request.id}`
+  }
+];
+
+const fullName = (user) => `${user.first_name} ${user.last_name}`;
+
+/**
+ * The active steps of a request (every open branch when they run in parallel) that are due
+ * their next reminder or escalation: one per elapsed SLA period. Parallel branches start
+ * together and share the request's SLA clock and reminder count.
+ */
+export function getOverdueSteps(request, stepsById, now = new Date()) {
+  const elapsedMs = now - new Date(request.step_started_at);
+  return getActiveStepIds(request)
+    .map(stepId => stepsById.get(stepId))
+    .filter(step => step && elapsedMs >= step.sla_hours * HOUR_MS * (request.reminder_count + 1));
+}
+
+class ApprovalEscalationService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Send reminders for, and escalate, requests whose active steps are past their SLA.
+   * Once one branch of a request has escalated, its other branches are no longer checked.
+   */
+  async checkStalledApprovals(now = new Date()) {
+    if (this.isRunning) {
+      console.log('⏭️ SLA check already in progress, skipping');
+      return null;
+    }
+
+    this.isRunning = true;
+    const results = { checked: 0, reminders: 0, escalations: 0 };
+
+    try {
+      const steps = await WorkflowStep.findAll({
+        where: { sla_hours: { [Op.gt]: 0 } }
+      });
+
+      if (steps.length === 0) {
+        return results;
+      }
+
+      const stepsById = new Map(steps.map(step => [step.id, step]));
+      const stepIds = [...stepsById.keys()];
+
+      for (const source of SOURCES) {
+        const requests = await source.model.findAll({
+          where: {
+            [Op.or]: [
+              { current_step_id: { [Op.in]: stepIds } },
+              { active_step_ids: { [Op.overlap]: stepIds } }
+            ],
+            step_started_at: { [Op.ne]: null },
+            escalated_at: null
+          },
+          include: [{
+            model: User,
+            as: source.requestorAs,
+            attributes: ['id', 'username', 'first_name', 'last_name'],
+            required: false
+          }]
+        });
+
+        for (const request of requests) {
+          results.checked++;
+          const elapsedMs = now - new Date(request.step_started_at);
+          const reminderCount = request.reminder_count;
+
+          // Each overdue branch reminds, then escalates, its own approvers
+          for (const step of getOverdueSteps(request, stepsById, now)) {
+            try {
+              if (reminderCount < step.reminders_before_escalation) {
+                if (await this.sendReminder(source, request, step, elapsedMs, now, reminderCount + 1)) results.reminders++;
+              } else if (step.escalation_target) {
+                if (await this.escalate(source, request, step, elapsedMs, now)) results.escalations++;
+              }
+            } catch (error) {
+              console.error(`❌ SLA processing failed for ${source.entityType} #${request.id}:`, error.message);
+            }
+          }
+        }
+      }
+
+      console.log(`⏰ SLA check complete: ${results.checked} overdue candidate(s), ${results.reminders} reminder(s), ${results.escalations} escalation(s)`);
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Build the summary object shared by the reminder and escalation emails
+   */
+  buildSummary(source, request, step, elapsedMs) {
+    const requestor = request[source.requestorAs];
+    return {
+      formType: source.formType,
+      requestId: request.id,
+      formLabel: source.formLabel,
+      reference: source.reference(request),
+      link: source.link(request),
+      requestorName: requestor ? fullName(requestor) : (request.requestor_name || 'N/A'),
+      stepName: step.step_name,
+      slaHours: step.sla_hours,
+      hoursPending: Math.floor(elapsedMs / HOUR_MS)
+    };
+  }
+
+  /**
+   * Active approvers the request is waiting on at `step`; with parallel branches open, only
+   * those who approve that branch
+   */
+  async getPendingApprovers(source, request, step) {
+    let ids = request.pending_approver_ids || [];
+    if (ids.length > 0 && getActiveStepIds(request).length > 1) {
+      const stepApproverIds = await getApproverIdsForSteps(source.formType, [step.id], {
+        department_id: request.department_id,
+        requestor_id: request[source.requestorField],
+        escalated_approver_ids: request.escalated_approver_ids
+      });
+      ids = ids.filter(id => stepApproverIds.has(id));
+    }
+    if (ids.length === 0) return [];
+
+    return User.findAll({
+      where: { id: ids, is_active: true }
+    });
+  }
+
+  async sendReminder(source, request, step, elapsedMs, now, reminderNumber = request.reminder_count + 1) {
+    const approvers = await this.getPendingApprovers(source, request, step);
+    const summary = { ...this.buildSummary(source, request, step, elapsedMs), reminderNumber };
+
+    for (const approver of approvers) {
+      await emailService.notifyApprovalReminder(summary, approver);
+    }
+
+    // silent: the reminder bookkeeping is not a user edit of the request
+    await request.update({
+      reminder_count: reminderNumber,
+      last_reminder_at: now
+    }, { silent: true });
+
+    await logAudit({
+      action: 'UPDATE',
+      entityType: source.entityType,
+      entityId: request.id,
+      details: {
+        change: 'SLA Reminder Sent',
+        reference: summary.reference,
+        step: step.step_name,
+        slaHours: step.sla_hours,
+        hoursPending: summary.hoursPending,
+        reminderNumber,
+        recipients: approvers.map(a => a.username)
+      }
+    });
+
+    console.log(`🔔 SLA reminder #${reminderNumber} sent for ${summary.reference} (${approvers.length} approver(s))`);
+    return true;
+  }
+
+  /**
+   * Find backup approvers for a step from the Approval Matrix.
+   * Department-specific rules win over global ones.
+   */
+  async findBackupApprovers(formType, request, step) {
+    if (!step.escalation_matrix_role) return [];
+
+    const rules = await ApprovalMatrix.findAll({
+      where: {
+        form_type: formType,
+        role: step.escalation_matrix_role,
+        is_active: true,
+        department_id: { [Op.or]: [request.department_id, null] }
+      }
+    });
+
+    const departmentRules = rules.filter(r => r.department_id === request.department_id);
+    const userIds = (departmentRules.length > 0 ? departmentRules : rules).map(r => r.user_id);
+    if (userIds.length === 0) return [];
+
+    const pending = request.pending_approver_ids || [];
+    return User.findAll({
+      where: {
+        id: userIds.filter(id => !pending.includes(id)),
+        is_active: true
+      }
+    });
+  }
+
+  async escalate(source, request, step, elapsedMs, now) {
+    const summary = this.buildSummary(source, request, step, elapsedMs);
+    const pendingApprovers = await this.getPendingApprovers(source, request, step);
+    summary.pendingWith = pendingApprovers.map(fullName).join(', ');
+
+    let target = step.escalation_target;
+    let recipients = [];
+
+    if (target === 'approval_matrix') {
+      recipients = await this.findBackupApprovers(source.formType, request, step);
+      if (recipients.length === 0) {
+        console.warn(`⚠️ No backup approvers in the Approval Matrix for role '${step.escalation_matrix_role}', escalating ${summary.reference} to IT Manager`);
+        target = 'it_manager';
+      }
+    }
+
+    if (target === 'it_manager') {
+      recipients = await User.findAll({
+        where: { role: 'it_manager', is_active: true }
+      });
+    }
+
+    const backupIds = target === 'approval_matrix' ? recipients.map(u => u.id) : [];
+    const updateData = { escalated_at: now };
+    if (backupIds.length > 0) {
+      updateData.pending_approver_ids = [...(request.pending_approver_ids || []), ...backupIds];
+      updateData.escalated_approver_ids = [...(request.escalated_approver_ids || []), ...backupIds];
+    }
+    await request.update(updateData, { silent: true });
+
+    for (const recipient of recipients) {
+      await emailService.notifyApprovalEscalated({ ...summary, isBackupApprover: backupIds.length > 0 }, recipient);
+    }
+
+    await logAudit({
+      action: 'UPDATE',
+      entityType: source.entityType,
+      entityId: request.id,
+      details: {
+        change: 'Approval Escalated',
+        reference: summary.reference,
+        step: step.step_name,
+        slaHours: step.sla_hours,
+        hoursPending: summary.hoursPending,
+        escalationTarget: target,
+        backupApprovers: backupIds,
+        recipients: recipients.map(u => u.username)
+      }
+    });
+
+    console.log(`🚨 Escalated ${summary.reference} to ${target} (${recipients.length} recipient(s))`);
+    return true;
+  }
+
+  /**
+   * Schedule recurring SLA checks
+   */
+  scheduleChecks(intervalMinutes = 30) {
+    const intervalMs = intervalMinutes * 60 * 1000;
+
+    const runCheck = async () => {
+      try {
+        await this.checkStalledApprovals();
+      } catch (error) {
+        console.error('Scheduled SLA check failed:', error);
+      }
+    };
+
+    // Run initial check
+    setTimeout(runCheck, 10000); // 10 seconds after startup
+
+    // Schedule recurring check
+    setInterval(runCheck, intervalMs);
+
+    console.log(`📅 Scheduled approval SLA check every ${intervalMinutes} minutes`);
+  }
+}
+
+// Export singleton instance
+const approvalEscalationService = new ApprovalEscalationService();
+export default approvalEscalationService;
@@ -0,0 +1,411 @@
+import { Op } from 'sequelize';
+import { Asset, AssetLoan, AssetReturnTask, AssetTransfer, Category, Department, Request, RequestItem, User } from '../models/index.js';
+import { recordAssetMovement, snapshotAsset, completeReturnTasks, WITH_CUSTODIAN_STATUSES } from './assetRegistry.js';
+import { recordStockMovement } from './stockLedger.js';
+import { resolveStockSku } from './skus.js';
+
+export const RETURN_CONDITIONS = ['good', 'fair', 'damaged', 'not_working'];
+
+// Returned units in these conditions go back on the shelf; the rest go for repair
+const USABLE_CONDITIONS = ['good', 'fair'];
+
+const CLEARED_CUSTODY = {
+  custodian_id: null,
+  custodian_name: null,
+  department_id: null,
+  location: null
+};
+
+/**
+ * The loan an asset is currently out on, if any
+ */
+export function getActiveLoan(asset) {
+  return AssetLoan.findOne({ where: { asset_id: asset.id, status: 'active' } });
+}
+
+/**
+ * Take back a deployed or loaned asset after inspecting it. Usable units return to stock
+ * (and to the category's stock count, for deployed units); damaged or broken ones go to repair.
+ * When the last deployed unit of a request item comes back, the item is marked returned.
+ * Any open return task for the asset is completed.
+ * Returns `{ asset, loan }`, with the loan that was closed, if any.
+ */
+export async function returnAsset({ asset, condition, notes = null, user = null }) {
+  if (!RETURN_CONDITIONS.includes(condition)) {
+    throw new Error(`Condition must be one of: ${RETURN_CONDITIONS.join(', ')}`);
+  }
+  if (!WITH_CUSTODIAN_STATUSES.includes(asset.status)) {
+    throw new Error(`${asset.asset_tag} is not deployed, so it can't be returned`);
+  }
+
+  const loan = await getActiveLoan(asset);
+  const usable = USABLE_CONDITIONS.includes(condition);
+  const before = snapshotAsset(asset);
+
+  await asset.update({
+    ...CLEARED_CUSTODY,
+    status: usable ? 'in_stock' : 'in_repair'
+  });
+
+  if (loan) {
+    await loan.update({
+      status: 'returned',
+      returned_at: new Date(),
+      return_condition: condition,
+      return_notes: notes,
+      received_by: user?.id || null
+    });
+    await recordAssetMovement({ asset, type: 'loan_returned', before, condition, notes, loan, user });
+    return { asset, loan };
+  }
+
+  await recordAssetMovement({ asset, type: 'returned', before, condition, notes, user });
+  await completeReturnTasks({ asset, user });
+
+  // Loans never left the stock count, but a deployed unit did, from its request item's SKU
+  const [category, requestItem] = await Promise.all([
+    asset.category_id ? Category.findByPk(asset.category_id) : null,
+    asset.request_item_id ? RequestItem.findByPk(asset.request_item_id, { attributes: ['id', 'sku_id'] }) : null
+  ]);
+  const sku = usable ? await resolveStockSku({ category, skuId: requestItem?.sku_id }) : null;
+  if (sku) {
+    await recordStockMovement({
+      sku,
+      type: 'return',
+      quantity: 1,
+      requestItem: asset.request_item_id ? { id: asset.request_item_id } : null,
+      request: asset.request_id ? { id: asset.request_id } : null,
+      notes: `Asset ${asset.asset_tag} returned in ${condition.replace('_', ' ')} condition`,
+      user
+    });
+  }
+
+  if (asset.request_item_id) {
+    const stillDeployed = await Asset.count({
+      where: { request_item_id: asset.request_item_id, status: { [Op.in]: WITH_CUSTODIAN_STATUSES } }
+    });
+    if (stillDeployed === 0) {
+      await RequestItem.update(
+        { is_returned: true, returned_at: new Date() },
+        { where: { id: asset.request_item_id, is_returned: false } }
+      );
+    }
+  }
+
+  return { asset, loan: null };
+}
+
+/**
+ * Lend an in-stock asset until `dueDate`. The borrower becomes its custodian while it is out.
+ */
+export async function loanAsset({ asset, borrower = null, borrowerName, departmentId = null, dueDate, purpose = null, user = null }) {
+  if (asset.status !== 'in_stock') {
+    throw new Error(`${asset.asset_tag} is not in stock, so it can't be lent`);
+  }
+  if (await getActiveLoan(asset)) {
+    throw new Error(`${asset.asset_tag} is already out on loan`);
+  }
+
+  const name = borrowerName?.trim() || (borrower ? `${borrower.first_name} ${borrower.last_name}`.trim() : null);
+  if (!name) {
+    throw new Error('A borrower is required');
+  }
+
+  const loan = await AssetLoan.create({
+    asset_id: asset.id,
+    borrower_id: borrower?.id || null,
+    borrower_name: name,
+    department_id: departmentId || borrower?.department_id || null,
+    purpose,
+    due_date: dueDate,
+    issued_by: user?.id || null
+  });
+
+  const before = snapshotAsset(asset);
+  await asset.update({
+    status: 'deployed',
+    custodian_id: loan.borrower_id,
+    custodian_name: loan.borrower_name,
+    department_id: loan.department_id,
+    location: null
+  });
+  await recordAssetMovement({ asset, type: 'loaned', before, notes: `Due back ${dueDate}${purpose ? ` - ${purpose}` : ''}`, loan, user });
+
+  return loan;
+}
+
+/**
+ * Which sides of a pending transfer `user` may decide: 'from' for an approver of the
+ * releasing department, 'to' for one of the receiving department. Super administrators
+ * may decide any side still pending.
+ */
+export function getTransferSidesFor(transfer, user) {
+  const isAdmin = user.role === 'super_administrator';
+  const sides = [];
+
+  if (transfer.from_decision === 'pending' &&
+    (isAdmin || (transfer.from_department_id && user.canApproveForDepartment(transfer.from_department_id)))) {
+    sides.push('from');
+  }
+  if (transfer.to_decision === 'pending' &&
+    (isAdmin || user.canApproveForDepartment(transfer.to_department_id))) {
+    sides.push('to');
+  }
+
+  return sides;
+}
+
+/**
+ * Active department approvers of a department
+ */
+export function getDepartmentApprovers(departmentId) {
+  if (!departmentId) return Promise.resolve([]);
+  return User.findAll({
+    where: { role: 'department_approver', department_id: departmentId, is_active: true },
+    attributes: ['id', 'username', 'email', 'first_name', 'last_name', 'notification_preferences']
+  });
+}
+
+/**
+ * Start a transfer of a deployed asset. An asset without a department has nobody to
+ * release it, so that side starts approved.
+ */
+export async function requestTransfer({ asset, toCustodian = null, toCustodianName, toDepartmentId, toLocation = null, reason, user = null }) {
+  if (asset.status !== 'deployed') {
+    throw new Error(`${asset.asset_tag} is not deployed, so it can't be transferred`);
+  }
+  if (await getActiveLoan(asset)) {
+    throw new Error(`${asset.asset_tag} is out on loan; return it before transferring it`);
+  }
+
+  const pending = await AssetTransfer.count({ where: { asset_id: asset.id, status: 'pending' } });
+  if (pending > 0) {
+    throw new Error(`${asset.asset_tag} already has a transfer awaiting approval`);
+  }
+
+  const name = toCustodianName?.trim() || (toCustodian ? `${toCustodian.first_name} ${toCustodian.last_name}`.trim() : null);
+  if (!name) {
+    throw new Error('The new custodian is required');
+  }
+
+  return AssetTransfer.create({
+    asset_id: asset.id,
+    from_custodian_id: asset.custodian_id,
+    from_custodian_name: asset.custodian_name,
+    from_department_id: asset.department_id,
+    to_custodian_id: toCustodian?.id || null,
+    to_custodian_name: name,
+    to_department_id: toDepartmentId,
+    to_location: toLocation,
+    reason,
+    from_decision: asset.department_id ? 'pending' : 'approved',
+    requested_by: user?.id || null
+  });
+}
+
+/**
+ * Record `user`'s decision on every side of a transfer they may decide. A decline ends
+ * the transfer; once both sides approve, the asset moves to the new custodian.
+ * Returns the updated transfer.
+ */
+export async function decideTransfer({ transfer, user, decision, comments = null }) {
+  const sides = getTransferSidesFor(transfer, user);
+  if (sides.length === 0) {
+    throw new Error('You are not an approver for this transfer');
+  }
+
+  const now = new Date();
+  const updates = {};
+  for (const side of sides) {
+    updates[`${side}_decision`] = decision;
+    updates[`${side}_decided_by`] = user.id;
+    updates[`${side}_decided_at`] = now;
+  }
+  if (comments) {
+    updates.decision_comments = transfer.decision_comments ? `${transfer.decision_comments}\n${comments}` : comments;
+  }
+
+  const fromDecision = updates.from_decision || transfer.from_decision;
+  const toDecision = updates.to_decision || transfer.to_decision;
+
+  if (decision === 'declined') {
+    await transfer.update({ ...updates, status: 'declined', completed_at: now });
+    return transfer;
+  }
+
+  if (fromDecision === 'approved' && toDecision === 'approved') {
+    await transfer.update({ ...updates, status: 'approved', completed_at: now });
+    await applyTransfer({ transfer, user });
+    return transfer;
+  }
+
+  await transfer.update(updates);
+  return transfer;
+}
+
+/**
+ * Move an asset to the custodian and department of an approved transfer
+ */
+async function applyTransfer({ transfer, user }) {
+  const asset = await Asset.findByPk(transfer.asset_id);
+  const before = snapshotAsset(asset);
+
+  await asset.update({
+    custodian_id: transfer.to_custodian_id,
+    custodian_name: transfer.to_custodian_name,
+    department_id: transfer.to_department_id,
+    ...(transfer.to_location && { location: transfer.to_location })
+  });
+  await recordAssetMovement({ asset, type: 'transferred', before, notes: transfer.reason, transfer, user });
+}
+
+/**
+ * Active loans past their due date
+ */
+export function getOverdueLoans(now = new Date()) {
+  return AssetLoan.findAll({
+    where: {
+      status: 'active',
+      due_date: { [Op.lt]: now.toISOString().slice(0, 10) }
+    },
+    include: [
+      { model: Asset, as: 'Asset', attributes: ['id', 'asset_tag', 'model', 'serial_number'] },
+      { model: User, as: 'Borrower', attributes: ['id', 'username', 'email', 'first_name', 'last_name'] },
+      { model: User, as: 'IssuedBy', attributes: ['id', 'username', 'email', 'first_name', 'last_name'] }
+    ],
+    order: [['due_date', 'ASC']]
+  });
+}
+
+/**
+ * Transfer details in the form the equipment email templates expect
+ */
+export async function summarizeTransfer(transfer) {
+  const [asset, fromDepartment, toDepartment] = await Promise.all([
+    Asset.findByPk(transfer.asset_id, { attributes: ['asset_tag', 'model', 'serial_number'] }),
+    transfer.from_department_id ? Department.findByPk(transfer.from_department_id, { attributes: ['name'] }) : null,
+    Department.findByPk(transfer.to_department_id, { attributes: ['name'] })
+  ]);
+
+  return {
+    assetTag: asset?.asset_tag,
+    model: asset?.model,
+    serialNumber: asset?.serial_number,
+    fromCustodian: transfer.from_custodian_name,
+    fromDepartment: fromDepartment?.name || 'No department',
+    toCustodian: transfer.to_custodian_name,
+    toDepartment: toDepartment?.name || 'N/A',
+    reason: transfer.reason,
+    statusLabel: transfer.status,
+    comments: transfer.decision_comments
+  };
+}
+
+// Requests in these statuses no longer claim the asset they would replace
+const CLOSED_REQUEST_STATUSES = ['department_declined', 'endorser_declined', 'it_manager_declined', 'cancelled', 'completed'];
+
+/**
+ * Deployed assets a requestor may name as the equipment being replaced: those in their
+ * custody or assigned to the request's department
+ */
+export function getReplaceableAssets({ requestorId, departmentId }) {
+  const holders = [{ custodian_id: requestorId }];
+  if (departmentId) holders.push({ department_id: departmentId });
+
+  return Asset.findAll({
+    where: { status: 'deployed', [Op.or]: holders },
+    attributes: ['id', 'asset_tag', 'model', 'serial_number', 'custodian_id', 'custodian_name', 'department_id'],
+    include: [{ model: Category, as: 'Category', attributes: ['id', 'name'] }],
+    order: [['asset_tag', 'ASC']]
+  });
+}
+
+/**
+ * Check the assets that replacement items say they replace. Each must be deployed, held by the
+ * requestor or the request's department, and not already claimed by another open request.
+ * Returns an error message, or null when every link is valid.
+ */
+export async function validateReplacedAssets({ items, requestorId, departmentId, requestId = null }) {
+  const assetIds = items
+    .filter(item => item.isReplacement && item.replacedAssetId)
+    .map(item => parseInt(item.replacedAssetId, 10));
+  if (assetIds.length === 0) return null;
+
+  if (assetIds.some(Number.isNaN)) {
+    return 'Replaced asset must be an asset ID';
+  }
+  if (new Set(assetIds).size !== assetIds.length) {
+    return 'The same asset can only be replaced by one item';
+  }
+
+  const assets = await Asset.findAll({ where: { id: assetIds } });
+  for (const assetId of assetIds) {
+    const asset = assets.find(candidate => candidate.id === assetId);
+    if (!asset) {
+      return `Asset #${assetId} does not exist`;
+    }
+    if (asset.status !== 'deployed') {
+      return `${asset.asset_tag} is not deployed, so it can't be replaced`;
+    }
+    if (asset.custodian_id !== requestorId && asset.department_id !== Number(departmentId)) {
+      return `${asset.asset_tag} is not assigned to you or your department`;
+    }
+  }
+
+  const claimed = await RequestItem.findOne({
+    where: {
+      replaced_asset_id: { [Op.in]: assetIds },
+      approval_status: { [Op.ne]: 'rejected' },
+      ...(requestId && { request_id: { [Op.ne]: requestId } })
+    },
+    include: [{
+      model: Request,
+      as: 'Request',
+      where: { status: { [Op.notIn]: CLOSED_REQUEST_STATUSES } },
+      attributes: ['request_number']
+    }]
+  });
+  if (claimed) {
+    const asset = assets.find(candidate => candidate.id === claimed.replaced_asset_id);
+    return `${asset.asset_tag} is already being replaced by request ${claimed.Request.request_number}`;
+  }
+
+  return null;
+}
+
+/**
+ * Once a request's replacement items are deployed, flag each asset they replace as pending
+ * return and open a Service Desk task to collect it. Assets already back are skipped.
+ * Returns the tasks created, each with its Asset.
+ */
+export async function flagReplacedAssets({ request, items, user = null }) {
+  const replacements = items.filter(item => item.replaced_asset_id && item.approval_status !== 'rejected');
+  const tasks = [];
+
+  for (const item of replacements) {
+    const asset = await Asset.findByPk(item.replaced_asset_id);
+    if (!asset || asset.status !== 'deployed') continue;
+
+    const before = snapshotAsset(asset);
+    await asset.update({ status: 'pending_return' });
+    await recordAssetMovement({
+      asset,
+      type: 'status_changed',
+      before,
+      notes: `Replaced by ${item.category} on request ${request.request_number}; awaiting return`,
+      request,
+      user
+    });
+
+    const task = await AssetReturnTask.create({
+      asset_id: asset.id,
+      request_id: request.id,
+      request_item_id: item.id,
+      custodian_name: asset.custodian_name
+    });
+    task.Asset = asset;
+    tasks.push(task);
+  }
+
+  return tasks;
+}
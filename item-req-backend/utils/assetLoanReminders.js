@@ -0,0 +1,90 @@
+import emailService from './emailService.js';
+import { getOverdueLoans } from './assetCustody.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A loan gets at most one overdue reminder per this many hours
+const REMINDER_GAP_HOURS = 24;
+
+class AssetLoanReminderService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Remind the borrower, and whoever issued the loan, about each loan past its due date
+   */
+  async sendOverdueReminders(now = new Date()) {
+    if (this.isRunning) {
+      console.log('⏭️ Loan reminder check already in progress, skipping');
+      return null;
+    }
+
+    this.isRunning = true;
+    const results = { overdue: 0, reminders: 0 };
+
+    try {
+      const loans = await getOverdueLoans(now);
+      results.overdue = loans.length;
+
+      for (const loan of loans) {
+        if (loan.last_reminder_at && now - new Date(loan.last_reminder_at) < REMINDER_GAP_HOURS * 60 * 60 * 1000) {
+          continue;
+        }
+
+        try {
+          const reminderNumber = loan.reminder_count + 1;
+          const equipment = {
+            assetTag: loan.Asset?.asset_tag,
+            model: loan.Asset?.model,
+            serialNumber: loan.Asset?.serial_number,
+            borrower: loan.borrower_name,
+            dueDate: new Date(`${loan.due_date}T00:00:00`).toLocaleDateString(),
+            daysOverdue: Math.floor((now - new Date(`${loan.due_date}T00:00:00`)) / DAY_MS),
+            reminderNumber
+          };
+
+          const recipients = [loan.Borrower, loan.IssuedBy].filter(Boolean);
+          const seen = new Set();
+          for (const recipient of recipients) {
+            if (seen.has(recipient.id)) continue;
+            seen.add(recipient.id);
+            await emailService.notifyAssetLoanOverdue(equipment, recipient);
+          }
+
+          await loan.update({ reminder_count: reminderNumber, last_reminder_at: now });
+          results.reminders++;
+        } catch (error) {
+          console.error(`❌ Overdue reminder failed for loan #${loan.id}:`, error.message);
+        }
+      }
+
+      console.log(`⏰ Loan reminder check complete: ${results.overdue} overdue, ${results.reminders} reminder(s) sent`);
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Check for overdue loans every `intervalMinutes`
+   */
+  scheduleChecks(intervalMinutes = 60) {
+    const runCheck = async () => {
+      try {
+        await this.sendOverdueReminders();
+      } catch (error) {
+        console.error('Scheduled loan reminder check failed:', error);
+      }
+    };
+
+    setTimeout(runCheck, 15000); // shortly after startup
+    setInterval(runCheck, intervalMinutes * 60 * 1000);
+
+    console.log(`📅 Scheduled overdue loan reminders every ${intervalMinutes} minutes`);
+  }
+}
+
+// Export singleton instance
+const assetLoanReminderService = new AssetLoanReminderService();
+export default assetLoanReminderService;
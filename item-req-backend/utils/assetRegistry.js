@@ -0,0 +1,189 @@
+import { Op } from 'sequelize';
+import { sequelize, Asset, AssetLoan, AssetMovement, AssetReturnTask, Category, RequestItem, User } from '../models/index.js';
+
+export const ASSET_STATUSES = ['in_stock', 'deployed', 'pending_return', 'in_repair', 'retired'];
+
+// Statuses of an asset that is still with its custodian
+export const WITH_CUSTODIAN_STATUSES = ['deployed', 'pending_return'];
+
+export const ASSET_MOVEMENT_TYPES = ['registered', 'deployed', 'transferred', 'reassigned', 'loaned', 'loan_returned', 'returned', 'status_changed'];
+
+/**
+ * Custodian, department and status of an asset, taken before changing it so the
+ * movement can show where it came from
+ */
+export const snapshotAsset = (asset) => ({
+  custodian_name: asset.custodian_name,
+  department_id: asset.department_id,
+  status: asset.status
+});
+
+/**
+ * Record a movement in an asset's history, from `before` (a snapshotAsset taken before
+ * the change; omit it for a new asset) to the asset's current state
+ */
+export async function recordAssetMovement({
+  asset,
+  type,
+  before = null,
+  condition = null,
+  notes = null,
+  request = null,
+  transfer = null,
+  loan = null,
+  user = null,
+  transaction = null
+}) {
+  if (!ASSET_MOVEMENT_TYPES.includes(type)) {
+    throw new Error(`Unknown asset movement type "${type}"`);
+  }
+
+  return AssetMovement.create({
+    asset_id: asset.id,
+    movement_type: type,
+    from_custodian_name: before?.custodian_name || null,
+    to_custodian_name: asset.custodian_name || null,
+    from_department_id: before?.department_id || null,
+    to_department_id: asset.department_id || null,
+    from_status: before?.status || null,
+    to_status: asset.status,
+    condition,
+    notes,
+    request_id: request?.id || asset.request_id || null,
+    transfer_id: transfer?.id || null,
+    loan_id: loan?.id || null,
+    performed_by: user?.id || null
+  }, { transaction });
+}
+
+const TAG_PREFIX = 'AST';
+
+/**
+ * The next `count` asset tags for the current year, in the form AST-YYYY-NNNNNN
+ */
+export async function generateAssetTags(count = 1, { transaction } = {}) {
+  const prefix = `${TAG_PREFIX}-${new Date().getFullYear()}-`;
+
+  // Sequences are zero-padded, so the highest tag sorts last
+  const last = await Asset.findOne({
+    where: { asset_tag: { [Op.like]: `${prefix}%` } },
+    order: [['asset_tag', 'DESC']],
+    attributes: ['asset_tag'],
+    transaction
+  });
+
+  const lastSequence = last ? parseInt(last.asset_tag.slice(prefix.length), 10) || 0 : 0;
+
+  return Array.from({ length: count }, (_, index) =>
+    `${prefix}${String(lastSequence + index + 1).padStart(6, '0')}`
+  );
+}
+
+/**
+ * Register one asset per unit of every deployed item of a completed request.
+ * Rejected items and items that already have assets are skipped, so it is safe to run
+ * again (e.g. from the backfill script). Items already returned are registered as in stock.
+ * The requestor is the custodian account; the request's end user, when named, is the custodian name.
+ */
+export async function registerDeployedAssets({ request, items = null, user = null }) {
+  const requestItems = items || await RequestItem.findAll({ where: { request_id: request.id } });
+  const candidates = requestItems.filter(item => item.approval_status !== 'rejected');
+  if (candidates.length === 0) return [];
+
+  const [existing, categories, requestor] = await Promise.all([
+    Asset.findAll({
+      where: { request_item_id: { [Op.in]: candidates.map(item => item.id) } },
+      attributes: ['request_item_id']
+    }),
+    Category.findAll({
+      where: { name: { [Op.in]: [...new Set(candidates.map(item => item.category))] } },
+      attributes: ['id', 'name']
+    }),
+    request.requestor_id ? User.findByPk(request.requestor_id, { attributes: ['id', 'first_name', 'last_name'] }) : null
+  ]);
+
+  const registeredItemIds = new Set(existing.map(asset => asset.request_item_id));
+  const categoryIds = new Map(categories.map(category => [category.name, category.id]));
+  const custodianName = request.user_name?.trim() ||
+    (requestor ? `${requestor.first_name} ${requestor.last_name}`.trim() : null);
+
+  const pending = candidates.filter(item => !registeredItemIds.has(item.id));
+  if (pending.length === 0) return [];
+
+  return sequelize.transaction(async (transaction) => {
+    const unitCount = pending.reduce((total, item) => total + item.quantity, 0);
+    const tags = await generateAssetTags(unitCount, { transaction });
+
+    const rows = pending.flatMap(item => Array.from({ length: item.quantity }, () => ({
+      asset_tag: tags.shift(),
+      model: item.item_description || item.category,
+      category_id: categoryIds.get(item.category) || null,
+      custodian_id: item.is_returned ? null : request.requestor_id || null,
+      custodian_name: item.is_returned ? null : custodianName,
+      department_id: item.is_returned ? null : request.department_id,
+      deployed_at: request.completed_at || new Date(),
+      status: item.is_returned ? 'in_stock' : 'deployed',
+      request_id: request.id,
+      request_item_id: item.id,
+      created_by: user?.id || null
+    })));
+
+    const assets = await Asset.bulkCreate(rows, { returning: true, transaction });
+    await AssetMovement.bulkCreate(assets.map(asset => ({
+      asset_id: asset.id,
+      movement_type: 'deployed',
+      to_custodian_name: asset.custodian_name,
+      to_department_id: asset.department_id,
+      to_status: asset.status,
+      request_id: request.id,
+      performed_by: user?.id || null
+    })), { transaction });
+
+    return assets;
+  });
+}
+
+/**
+ * Close the open return tasks of an asset once it is back
+ */
+export function completeReturnTasks({ asset, user = null }) {
+  return AssetReturnTask.update(
+    { status: 'completed', completed_at: new Date(), completed_by: user?.id || null },
+    { where: { asset_id: asset.id, status: 'open' } }
+  );
+}
+
+/**
+ * Assets of a request item that are still with their custodian; units out on a
+ * loan are left to the loan
+ */
+export async function getOutstandingItemAssets(item) {
+  const assets = await Asset.findAll({
+    where: { request_item_id: item.id, status: { [Op.in]: WITH_CUSTODIAN_STATUSES } },
+    include: [{ model: AssetLoan, as: 'Loans', where: { status: 'active' }, required: false, attributes: ['id'] }]
+  });
+  return assets.filter(asset => asset.Loans.length === 0);
+}
+
+/**
+ * Put the deployed assets of a request item back in stock when the whole item is returned.
+ * Returns how many assets were updated.
+ */
+export async function returnItemAssets({ item, user = null }) {
+  const assets = await getOutstandingItemAssets(item);
+
+  for (const asset of assets) {
+    const before = snapshotAsset(asset);
+    await asset.update({
+      status: 'in_stock',
+      custodian_id: null,
+      custodian_name: null,
+      department_id: null,
+      location: null
+    });
+    await recordAssetMovement({ asset, type: 'returned', before, notes: 'Request item returned to inventory', user });
+    await completeReturnTasks({ asset, user });
+  }
+
+  return assets.length;
+}
@@ -0,0 +1,99 @@
+/**
+ * Bulk request actions
+ *
+ * Runs a single-request controller action (e.g. approveRequest) once per ID, so every request in
+ * the batch goes through exactly the same permission and workflow checks as when it is acted on
+ * individually. A failure is recorded against its ID and the rest of the batch carries on.
+ */
+
+export const MAX_BULK_REQUESTS = 100;
+
+/**
+ * Call a controller action for a single request ID and capture its response instead of sending it.
+ * `handlers` may also be a list of middleware ending in the action (e.g. a role check first); the
+ * chain stops at the first one that answers without calling next(). `overrides` replaces properties
+ * of `req`, such as the acting user.
+ *
+ * Returns { id, success, statusCode, message, status }.
+ */
+export async function invokeRequestAction(handlers, req, id, body, overrides = {}) {
+  const chain = Array.isArray(handlers) ? handlers : [handlers];
+  const captured = { statusCode: 200, payload: {} };
+  const res = {
+    status(code) {
+      captured.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      captured.payload = payload || {};
+      return res;
+    }
+  };
+
+  // Inherit the authenticated user, headers etc. from the incoming request
+  const properties = {
+    params: { value: { id: String(id) }, enumerable: true },
+    body: { value: body, enumerable: true }
+  };
+  for (const [key, value] of Object.entries(overrides)) {
+    properties[key] = { value, enumerable: true };
+  }
+  const singleReq = Object.create(req, properties);
+
+  try {
+    for (const handler of chain) {
+      let proceed = false;
+      await handler(singleReq, res, () => { proceed = true; });
+      if (!proceed) break;
+    }
+  } catch (error) {
+    captured.statusCode = 500;
+    captured.payload = { message: error.message };
+  }
+
+  const { payload, statusCode } = captured;
+  return {
+    id,
+    success: statusCode < 400,
+    statusCode,
+    message: payload.message || payload.error || null,
+    status: payload.request?.status || null
+  };
+}
+
+/**
+ * Call `handler(req, res)` for each ID with `body` as the request body and collect the outcome.
+ * Each request gets the version the client listed for it in `versions` ({ [id]: version }), so
+ * one that changed since the list was loaded fails with a conflict instead of being acted on.
+ * Requests are processed one after another so approvals of the same workflow don't race.
+ *
+ * Returns [{ id, success, statusCode, message, status }] in the order of `ids`.
+ */
+export async function runBulkAction(handler, req, ids, body, versions = {}) {
+  const results = [];
+
+  for (const id of ids) {
+    results.push(await invokeRequestAction(handler, req, id, { ...body, version: versions[id] }));
+  }
+
+  return results;
+}
+
+/**
+ * Response body for a finished batch
+ */
+export function summarizeBulkResults(action, results) {
+  const succeeded = results.filter(result => result.success).length;
+  const failed = results.length - succeeded;
+  const verb = action === 'decline' ? 'declined' : 'approved';
+
+  return {
+    success: failed === 0,
+    message: failed === 0
+      ? `${succeeded} request(s) ${verb}`
+      : `${succeeded} request(s) ${verb}, ${failed} failed`,
+    succeeded,
+    failed,
+    results
+  };
+}
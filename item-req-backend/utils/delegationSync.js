@@ -0,0 +1,74 @@
+import { Op } from 'sequelize';
+import { User } from '../models/index.js';
+import { syncDelegateInPendingQueues } from './workflowProcessor.js';
+
+class DelegationSyncService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Bring approval queues in line with delegation periods that started or ended on their
+   * own: delegates join the queues of principals whose delegation is active and leave
+   * them once it has ended. Saving or cancelling a delegation syncs right away; this
+   * catches the dates passing. Safe to run repeatedly.
+   */
+  async syncDelegations(now = new Date()) {
+    if (this.isRunning) {
+      console.log('⏭️ Delegation sync already in progress, skipping');
+      return null;
+    }
+
+    this.isRunning = true;
+    const results = { active: 0, ended: 0, updated: 0 };
+
+    try {
+      const delegating = await User.findAll({
+        attributes: ['id', 'temp_delegate_id', 'temp_delegate_start', 'temp_delegate_end'],
+        where: {
+          temp_delegate_id: { [Op.ne]: null },
+          temp_delegate_start: { [Op.lte]: now }
+        }
+      });
+
+      for (const user of delegating) {
+        const active = user.hasActiveDelegation(now);
+        try {
+          results.updated += await syncDelegateInPendingQueues(user.id, user.temp_delegate_id, { add: active });
+          results[active ? 'active' : 'ended']++;
+        } catch (error) {
+          console.error(`❌ Delegation sync failed for user #${user.id}:`, error.message);
+        }
+      }
+
+      if (results.updated > 0) {
+        console.log(`🔁 Delegation sync complete: ${results.active} active, ${results.ended} ended, ${results.updated} request(s) updated`);
+      }
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Sync queues with delegation periods every `intervalMinutes`
+   */
+  scheduleChecks(intervalMinutes = 15) {
+    const runCheck = async () => {
+      try {
+        await this.syncDelegations();
+      } catch (error) {
+        console.error('Scheduled delegation sync failed:', error);
+      }
+    };
+
+    setTimeout(runCheck, 20000); // shortly after startup
+    setInterval(runCheck, intervalMinutes * 60 * 1000);
+
+    console.log(`📅 Scheduled delegation queue sync every ${intervalMinutes} minutes`);
+  }
+}
+
+// Export singleton instance
+const delegationSyncService = new DelegationSyncService();
+export default delegationSyncService;
@@ -0,0 +1,139 @@
+/**
+ * Email action links
+ *
+ * Approval emails carry Approve / Decline / Return links so an approver can act without logging in.
+ * Each link is a signed token that identifies a single EmailActionToken row. The row ties the link
+ * to one approver and to the workflow step(s) the request was waiting on when the email went out,
+ * and it can be used only once.
+ */
+
+import jwt from 'jsonwebtoken';
+import { EmailActionToken } from '../models/index.js';
+
+export const EMAIL_ACTIONS = ['approve', 'decline', 'return'];
+
+const TOKEN_PURPOSE = 'email_action';
+const DEFAULT_TTL_HOURS = 72;
+
+function getSecret() {
+  return process.env.EMAIL_ACTION_SECRET || process.env.JWT_SECRET;
+}
+
+function getTtlHours() {
+  const hours = parseInt(process.env.EMAIL_ACTION_TOKEN_TTL_HOURS, 10);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS;
+}
+
+/**
+ * Workflow steps the request is currently waiting on
+ */
+export function getOpenStepIds(request) {
+  if (request.active_step_ids?.length) {
+    return request.active_step_ids;
+  }
+  return request.current_step_id ? [request.current_step_id] : [];
+}
+
+/**
+ * Issue a token for `approver` on the request's current step and return the three action URLs.
+ * Returns null when no link can be issued (no approver ID or no signing secret).
+ */
+export async function createEmailActionLinks(formType, request, approver, frontendUrl) {
+  const secret = getSecret();
+  if (!approver?.id || !request?.id || !secret) {
+    return null;
+  }
+
+  const ttlHours = getTtlHours();
+  const token = await EmailActionToken.create({
+    form_type: formType,
+    request_id: request.id,
+    approver_id: approver.id,
+    step_ids: getOpenStepIds(request),
+    request_status: request.status,
+    expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  });
+
+  // The payload deliberately has no user `id`, so it can never pass as a login token
+  const signed = jwt.sign({ purpose: TOKEN_PURPOSE }, secret, {
+    jwtid: String(token.id),
+    expiresIn: `${ttlHours}h`
+  });
+
+  const baseUrl = `${frontendUrl}/email-action/${encodeURIComponent(signed)}`;
+  return Object.fromEntries(EMAIL_ACTIONS.map(action => [action, `${baseUrl}?action=${action}`]));
+}
+
+/**
+ * Verify a signed link and load its token row.
+ * Returns null when the signature is invalid or the link has expired.
+ */
+export async function findEmailActionToken(signed) {
+  const secret = getSecret();
+  if (!signed || !secret) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(signed, secret);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== TOKEN_PURPOSE || !decoded.jti) {
+    return null;
+  }
+
+  return EmailActionToken.findByPk(parseInt(decoded.jti, 10));
+}
+
+/**
+ * Why a token can no longer be used, or null when it is still valid for `request`
+ */
+export function getTokenProblem(token, request) {
+  if (token.used_at) {
+    return 'This link has already been used.';
+  }
+  if (token.revoked_at) {
+    return 'This request has moved on since the email was sent, so the link no longer applies.';
+  }
+  if (new Date(token.expires_at) < new Date()) {
+    return 'This link has expired.';
+  }
+  if (!request) {
+    return 'The request no longer exists.';
+  }
+
+  // Stale links must never act on a later step than the one they were sent for
+  const openStepIds = getOpenStepIds(request);
+  const stillOnStep = token.step_ids?.length
+    ? token.step_ids.some(stepId => openStepIds.includes(stepId))
+    : token.request_status === request.status;
+
+  return stillOnStep
+    ? null
+    : 'This request has moved on since the email was sent, so the link no longer applies.';
+}
+
+/**
+ * Mark the token as used. The update only succeeds for the first caller, so a link that is
+ * clicked twice at the same time still acts once. Returns false when the token was already used.
+ */
+export async function claimEmailActionToken(token, action) {
+  const [claimed] = await EmailActionToken.update(
+    { used_at: new Date(), used_action: action },
+    { where: { id: token.id, used_at: null, revoked_at: null } }
+  );
+  return claimed === 1;
+}
+
+/**
+ * Give a claimed token back when the action itself failed, so the approver can retry
+ */
+export async function releaseEmailActionToken(token) {
+  await EmailActionToken.update(
+    { used_at: null, used_action: null },
+    { where: { id: token.id } }
+  );
+}
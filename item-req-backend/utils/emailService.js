@@ -1,9 +1,24 @@
 import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import os from 'os';
+import { createEmailActionLinks } from './emailActionTokens.js';
+import notificationService, { getRequestPath } from './notificationService.js';
+import { getEmailTemplate, renderEmailTemplate } from './emailTemplates.js';
 
 dotenv.config();
 
+// Fixed item request stages passed to notifyRequestApproved, and who reviews the request next
+const STAGE_LABELS = {
+  department_approval: 'Department Approval',
+  it_manager_approval: 'IT Manager Approval',
+  service_desk_processing: 'Service Desk Processing'
+};
+
+const NEXT_STAGES = {
+  department_approval: 'IT Manager',
+  it_manager_approval: 'Service Desk'
+};
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -164,7 +179,15 @@ class EmailService {
     }
   }
 
-  async sendTestEmail(to) {
+  /**
+   * Send the SMTP test email, or, when `rendered` ({ subject, html }) is given,
+   * a sample of a notification template marked as a test
+   */
+  async sendTestEmail(to, rendered = null) {
+    if (rendered) {
+      return await this.sendEmail(to, `[TEST] ${rendered.subject}`, rendered.html);
+    }
+
     const testSubject = 'Test Email - IT Equipment Request System';
     const testHtml = `
       <!DOCTYPE html>
@@ -218,631 +241,713 @@ class EmailService {
   }
 
   // Email templates
-  getRequestSubmittedTemplate(request, requestor, departmentApprover) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #4b5563; }
-          .button { display: inline-block; padding: 10px 20px; background-color: #2563eb; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
-          .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Request Submitted Successfully</h2>
-          </div>
-          <div class="content">
-            <p>Hello ${requestor.first_name} ${requestor.last_name},</p>
-            <p>Your IT requisition request has been submitted successfully and is now pending department approval.</p>
-            
-            <div class="info-row">
-              <span class="label">Request Number:</span> ${request.request_number}
-            </div>
-            <div class="info-row">
-              <span class="label">Department:</span> ${request.Department?.name || 'N/A'}
-            </div>
-            <div class="info-row">
-              <span class="label">Priority:</span> ${request.priority}
-            </div>
-            <div class="info-row">
-              <span class="label">Submitted Date:</span> ${new Date(request.submitted_at || request.created_at).toLocaleString()}
-            </div>
-            
-            <p>Your request is now awaiting approval from ${departmentApprover?.first_name} ${departmentApprover?.last_name} (Department Approver).</p>
-            
-            <a href="${this.getFrontendUrl()}/track?code=${request.request_number}" class="button">Track Your Request</a>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification. Please do not reply to this email.</p>
-            <p style="margin-top: 10px;">
-              <a href="${this.getFrontendUrl()}/login" style="color: #2563eb; text-decoration: underline;">Access Login Portal</a>
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-  }
+  // The HTML lives in the email_templates table (defaults in emailTemplateDefaults.js);
+  // these helpers turn a request and the people involved into template variables
 
-  getApprovalRequestTemplate(request, requestor, approver) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background-color: #f59e0b; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #4b5563; }
-          .button { display: inline-block; padding: 10px 20px; background-color: #f59e0b; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
-          .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>New Request Pending Approval</h2>
-          </div>
-          <div class="content">
-            <p>Hello ${approver.first_name} ${approver.last_name},</p>
-            <p>A new IT requisition request requires your approval.</p>
-            
-            <div class="info-row">
-              <span class="label">Request Number:</span> ${request.request_number}
-            </div>
-            <div class="info-row">
-              <span class="label">Requestor:</span> ${requestor.first_name} ${requestor.last_name}
-            </div>
-            <div class="info-row">
-              <span class="label">Department:</span> ${request.Department?.name || 'N/A'}
-            </div>
-            <div class="info-row">
-              <span class="label">Priority:</span> ${request.priority}
-            </div>
-            <div class="info-row">
-              <span class="label">Submitted Date:</span> ${new Date(request.submitted_at || request.created_at).toLocaleString()}
-            </div>
-            
-            <a href="${this.getFrontendUrl()}/requests/${request.id}" class="button">Review Request</a>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification. Please do not reply to this email.</p>
-            <p style="margin-top: 10px;">
-              <a href="${this.getFrontendUrl()}/login" style="color: #f59e0b; text-decoration: underline;">Access Login Portal</a>
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+  /**
+   * Subject and HTML for notification email `key`, rendered from its current template
+   */
+  async renderEmail(key, args = {}) {
+    const template = await getEmailTemplate(key);
+    return renderEmailTemplate(key, template, this.buildTemplateContext(args));
   }
 
-  getRequestApprovedTemplate(request, requestor, approver, stage) {
-    const stageNames = {
-      'department_approval': 'Department Approval',
-      'it_manager_approval': 'IT Manager Approval',
-      'service_desk_processing': 'Service Desk Processing'
+  /**
+   * Variables available to the email templates. Everything is pre-formatted so templates
+   * only need {{placeholders}} and {{#if}} / {{#each}} blocks.
+   */
+  buildTemplateContext({
+    formType = 'item_request',
+    request = null,
+    requestor = null,
+    approver = null,
+    nextApprover = null,
+    recipient = null,
+    verifier = null,
+    uploadedBy = null,
+    comments = null,
+    reason = null,
+    status = null,
+    stage = null,
+    isCompleted = false,
+    attachmentCount = 0,
+    summary = null,
+    notifications = [],
+    equipment = null,
+    stockAlerts = [],
+    actionLinks = null
+  } = {}) {
+    const frontendUrl = this.getFrontendUrl();
+    const requestVars = this.requestTemplateVars(formType, request);
+    const requestPath = request ? getRequestPath(formType, request.id) : null;
+
+    return {
+      request: requestVars,
+      requestor: this.personTemplateVars(requestor, request?.requestor_name),
+      approver: this.personTemplateVars(approver),
+      next_approver: this.personTemplateVars(nextApprover),
+      recipient: this.personTemplateVars(recipient),
+      verifier: this.personTemplateVars(verifier),
+      uploaded_by: this.personTemplateVars(uploadedBy),
+      comments,
+      reason,
+      status,
+      is_verified: status === 'verified',
+      is_completed: isCompleted,
+      stage: {
+        key: stage,
+        label: STAGE_LABELS[stage] || null,
+        next: NEXT_STAGES[stage] || null
+      },
+      attachment_count: attachmentCount,
+      summary: summary ? {
+        form_label: summary.formLabel,
+        reference: summary.reference,
+        requestor_name: summary.requestorName,
+        step_name: summary.stepName,
+        hours_pending: summary.hoursPending,
+        sla_hours: summary.slaHours,
+        reminder_number: summary.reminderNumber,
+        pending_with: summary.pendingWith,
+        is_backup_approver: Boolean(summary.isBackupApprover),
+        link: summary.link
+      } : {},
+      notifications: notifications.map(notification => ({
+        title: notification.title,
+        message: notification.message,
+        link: notification.link ? `${frontendUrl}${notification.link}` : null,
+        created_at: new Date(notification.created_at || notification.createdAt).toLocaleString()
+      })),
+      notification_count: notifications.length,
+      equipment: equipment ? {
+        asset_tag: equipment.assetTag,
+        model: equipment.model,
+        serial_number: equipment.serialNumber,
+        from_custodian: equipment.fromCustodian,
+        from_department: equipment.fromDepartment,
+        to_custodian: equipment.toCustodian,
+        to_department: equipment.toDepartment,
+        reason: equipment.reason,
+        status_label: equipment.statusLabel,
+        comments: equipment.comments,
+        borrower: equipment.borrower,
+        due_date: equipment.dueDate,
+        days_overdue: equipment.daysOverdue,
+        reminder_number: equipment.reminderNumber
+      } : {},
+      stock_alerts: stockAlerts.map(alert => ({
+        name: alert.name,
+        code: alert.code,
+        category: alert.category_name,
+        status_label: alert.status === 'out_of_stock' ? 'Out of stock' : 'Low stock',
+        on_hand: alert.on_hand,
+        reserved: alert.reserved,
+        available: alert.available,
+        min_stock_level: alert.min_stock_level,
+        consumed_quantity: alert.consumed_quantity,
+        open_request_quantity: alert.open_request_quantity,
+        on_order_quantity: alert.on_order_quantity,
+        suggested_quantity: alert.suggested_quantity
+      })),
+      stock_alert_count: stockAlerts.length,
+      action_buttons: this.getActionButtonsHtml(actionLinks),
+      links: {
+        login: `${frontendUrl}/login`,
+        request: requestPath ? `${frontendUrl}${requestPath}` : `${frontendUrl}/login`,
+        track: requestVars.request_number ? `${frontendUrl}/track?code=${encodeURIComponent(requestVars.request_number)}` : `${frontendUrl}/login`,
+        profile: `${frontendUrl}/settings/profile`,
+        my_equipment: `${frontendUrl}/my-equipment`,
+        assets: `${frontendUrl}/deployed-assets`,
+        dashboard: `${frontendUrl}/dashboard`
+      },
+      now: new Date().toLocaleString(),
+      year: new Date().getFullYear()
     };
+  }
 
-    const nextStage = stage === 'department_approval' ? 'IT Manager' :
-      stage === 'it_manager_approval' ? 'Service Desk' :
-        'Completed';
+  requestTemplateVars(formType, request) {
+    if (!request) {
+      return {};
+    }
 
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background-color: #10b981; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #4b5563; }
-          .button { display: inline-block; padding: 10px 20px; background-color: #10b981; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
-          .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Request Approved</h2>
-          </div>
-          <div class="content">
-            <p>Hello ${requestor.first_name} ${requestor.last_name},</p>
-            <p>Your request has been approved by ${approver.first_name} ${approver.last_name}${stageNames[stage] ? ` (${stageNames[stage]})` : ''}.</p>
-            
-            <div class="info-row">
-              <span class="label">Request Number:</span> ${request.request_number}
-            </div>
-            <div class="info-row">
-              <span class="label">Status:</span> ${request.status}
-            </div>
-            ${request.status === 'completed' ? `
-            <div class="info-row">
-              <span class="label">Completed Date:</span> ${new Date(request.completed_at || new Date()).toLocaleString()}
-            </div>
-            ` : nextStage !== 'Completed' ? `
-            <p>Your request is now pending ${nextStage} review.</p>
-            ` : ''}
-            
-            <a href="${this.getFrontendUrl()}/track?code=${request.request_number}" class="button">View Request Status</a>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification. Please do not reply to this email.</p>
-            <p style="margin-top: 10px;">
-              <a href="${this.getFrontendUrl()}/login" style="color: #10b981; text-decoration: underline;">Access Login Portal</a>
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    const reference = formType === 'vehicle_request' ? this.vehicleReference(request) : request.request_number;
+
+    return {
+      id: request.id,
+      request_number: reference,
+      reference_code: reference,
+      status: request.status,
+      status_label: (request.status || '').replace(/_/g, ' '),
+      is_completed: request.status === 'completed',
+      priority: request.priority,
+      department: request.Department?.name || 'N/A',
+      submitted_at: new Date(request.submitted_at || request.requested_date || request.created_at || request.createdAt || Date.now()).toLocaleString(),
+      completed_at: new Date(request.completed_at || Date.now()).toLocaleString(),
+      approval_date: new Date(request.approval_date || Date.now()).toLocaleString(),
+      request_type: (request.request_type || 'N/A').replace(/_/g, ' '),
+      travel_date: request.travel_date_from ? new Date(request.travel_date_from).toLocaleDateString() : 'N/A',
+      purpose: request.purpose,
+      destination: request.destination || request.destination_car || 'N/A',
+      urgency_justification: request.urgency_justification,
+      verifier_reason: request.verifier_reason,
+      attachment_count: Array.isArray(request.attachments) ? request.attachments.length : 0
+    };
   }
 
-  getRequestDeclinedTemplate(request, requestor, approver, comments) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background-color: #ef4444; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #4b5563; }
-          .comments { background-color: #fee2e2; padding: 15px; border-left: 4px solid #ef4444; margin: 15px 0; }
-          .button { display: inline-block; padding: 10px 20px; background-color: #ef4444; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
-          .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Request Declined</h2>
-          </div>
-          <div class="content">
-            <p>Hello ${requestor.first_name} ${requestor.last_name},</p>
-            <p>Unfortunately, your request has been declined by ${approver.first_name} ${approver.last_name}.</p>
-            
-            <div class="info-row">
-              <span class="label">Request Number:</span> ${request.request_number}
-            </div>
-            <div class="info-row">
-              <span class="label">Status:</span> ${request.status}
-            </div>
-            
-            ${comments ? `
-            <div class="comments">
-              <strong>Comments:</strong><br>
-              ${comments}
-            </div>
-            ` : ''}
-            
-            <a href="${this.getFrontendUrl()}/track?code=${request.request_number}" class="button">View Request Details</a>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification. Please do not reply to this email.</p>
-            <p style="margin-top: 10px;">
-              <a href="${this.getFrontendUrl()}/login" style="color: #ef4444; text-decoration: underline;">Access Login Portal</a>
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+  personTemplateVars(user, fallbackName = null) {
+    if (!user) {
+      return fallbackName ? { name: fallbackName, first_name: fallbackName } : {};
+    }
+
+    const fullName = `${user.first_name || ''} ${user.last_name || ''}`.trim();
+    return {
+      name: fullName || user.fullName || user.username || fallbackName || '',
+      first_name: user.first_name || user.username || '',
+      last_name: user.last_name || '',
+      username: user.username || '',
+      email: user.email || ''
+    };
   }
 
-  getRequestReturnedTemplate(request, requestor, approver, returnReason) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background-color: #f59e0b; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #4b5563; }
-          .comments { background-color: #fef3c7; padding: 15px; border-left: 4px solid #f59e0b; margin: 15px 0; }
-          .button { display: inline-block; padding: 10px 20px; background-color: #f59e0b; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
-          .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Request Returned for Revision</h2>
-          </div>
-          <div class="content">
-            <p>Hello ${requestor.first_name} ${requestor.last_name},</p>
-            <p>Your request has been returned by ${approver.first_name} ${approver.last_name} for revision.</p>
-            
-            <div class="info-row">
-              <span class="label">Request Number:</span> ${request.request_number}
-            </div>
-            
-            ${returnReason ? `
-            <div class="comments">
-              <strong>Revision Required:</strong><br>
-              ${returnReason}
-            </div>
-            ` : ''}
-            
-            <p>Please review the comments above and update your request accordingly.</p>
-            
-            <a href="${this.getFrontendUrl()}/requests/${request.id}" class="button">Update Request</a>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification. Please do not reply to this email.</p>
-            <p style="margin-top: 10px;">
-              <a href="${process.env.FRONTEND_URL}/login" style="color: #f59e0b; text-decoration: underline;">Access Login Portal</a>
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+  /**
+   * One-time Approve / Decline / Return links for an approval email.
+   * A failure here must never stop the email itself, so it falls back to no links.
+   */
+  async getActionLinks(formType, request, approver) {
+    try {
+      return await createEmailActionLinks(formType, request, approver, this.getFrontendUrl());
+    } catch (error) {
+      console.error('Failed to create email action links:', error.message);
+      return null;
+    }
   }
 
-  getVerifierAssignedTemplate(request, requestor, verifier, reason) {
+  getActionButtonsHtml(actionLinks) {
+    if (!actionLinks) {
+      return '';
+    }
+
+    const buttonStyle = 'display: inline-block; padding: 10px 18px; margin: 0 4px 8px; color: white; text-decoration: none; border-radius: 5px; font-weight: bold;';
     return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background-color: #8b5cf6; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #4b5563; }
-          .comments { background-color: #ede9fe; padding: 15px; border-left: 4px solid #8b5cf6; margin: 15px 0; }
-          .button { display: inline-block; padding: 10px 20px; background-color: #8b5cf6; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
-          .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Action Required: Verification Assignment</h2>
-          </div>
-          <div class="content">
-            <p>Hello ${verifier.first_name} ${verifier.last_name},</p>
-            <p>You have been assigned as a temporary verifier for an IT requisition request.</p>
-            
-            <div class="info-row">
-              <span class="label">Request Number:</span> ${request.request_number}
+            <div style="margin-top: 20px; text-align: center;">
+              <p style="margin-bottom: 10px;">Act on this request directly from this email:</p>
+              <a href="${actionLinks.approve}" style="${buttonStyle} background-color: #16a34a;">Approve</a>
+              <a href="${actionLinks.decline}" style="${buttonStyle} background-color: #dc2626;">Decline</a>
+              <a href="${actionLinks.return}" style="${buttonStyle} background-color: #6b7280;">Return</a>
+              <p style="font-size: 12px; color: #6b7280; margin-top: 6px;">Each link opens a confirmation page, works once and expires after a few days.</p>
             </div>
-            <div class="info-row">
-              <span class="label">Requested By:</span> ${requestor.first_name} ${requestor.last_name}
-            </div>
-            
-            ${reason ? `
-            <div class="comments">
-              <strong>Reason for Assignment:</strong><br>
-              ${reason}
-            </div>
-            ` : ''}
-            
-            <p>Please review the request details and provide your verification decision.</p>
-            
-            <a href="${this.getFrontendUrl()}/requests/${request.id}" class="button">View Request</a>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification. Please do not reply to this email.</p>
-            <p style="margin-top: 10px;">
-              <a href="${process.env.FRONTEND_URL || this.getFrontendUrl()}/login" style="color: #8b5cf6; text-decoration: underline;">Access Login Portal</a>
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
     `;
   }
 
-  getVerificationCompletedTemplate(request, requestor, verifier, status, comments) {
-    const isVerified = status === 'verified';
-    const headerColor = isVerified ? '#10b981' : '#ef4444'; // Green for verified, Red for declined
-    const titleText = isVerified ? 'Request Verified' : 'Request Verification Declined';
-    const commentBgColor = isVerified ? '#d1fae5' : '#fee2e2';
-    const commentBorderColor = isVerified ? '#10b981' : '#ef4444';
+  personName(user) {
+    if (!user) return 'Someone';
+    if (user.first_name || user.last_name) return `${user.first_name || ''} ${user.last_name || ''}`.trim();
+    return user.fullName || user.username || 'Someone';
+  }
 
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background-color: ${headerColor}; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #4b5563; }
-          .comments { background-color: ${commentBgColor}; padding: 15px; border-left: 4px solid ${commentBorderColor}; margin: 15px 0; }
-          .button { display: inline-block; padding: 10px 20px; background-color: ${headerColor}; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
-          .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>${titleText}</h2>
-          </div>
-          <div class="content">
-            <p>Hello,</p>
-            <p>The IT requisition request <strong>${request.request_number}</strong> has been <strong>${status}</strong> by the assigned verifier (${verifier.first_name} ${verifier.last_name}).</p>
-            
-            <div class="info-row">
-              <span class="label">Requested By:</span> ${requestor.first_name} ${requestor.last_name}
-            </div>
-            
-            ${comments ? `
-            <div class="comments">
-              <strong>Verifier Remarks:</strong><br>
-              ${comments}
-            </div>
-            ` : ''}
-            
-            <p>Please review the request details for next steps.</p>
-            
-            <a href="${this.getFrontendUrl()}/requests/${request.id}" class="button">View Request Details</a>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification. Please do not reply to this email.</p>
-            <p style="margin-top: 10px;">
-              <a href="${process.env.FRONTEND_URL || this.getFrontendUrl()}/login" style="color: ${headerColor}; text-decoration: underline;">Access Login Portal</a>
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+  vehicleReference(vehicleRequest) {
+    return vehicleRequest.reference_code || vehicleRequest.id;
   }
 
-  getVehicleRequestCancelledTemplate(vehicleRequest, requestor, odhcUser, reason) {
-    const requestorName = requestor.first_name && requestor.last_name
-      ? `${requestor.first_name} ${requestor.last_name}`
-      : requestor.username || vehicleRequest.requestor_name;
+  /**
+   * Store the in-app notification for `recipient` (a user or user ID) and report whether they want
+   * it emailed right away, rather than in the daily digest, in-app only or not at all
+   */
+  async recordNotification(recipient, notification) {
+    const recipientId = recipient && typeof recipient === 'object' ? recipient.id : recipient;
+    if (!recipientId) {
+      return true;
+    }
 
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f5; margin: 0; padding: 0; }
-          .container { max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); }
-          .header { background-color: #ef4444; color: white; padding: 25px; text-align: center; }
-          .header h2 { margin: 0; font-size: 24px; font-weight: 600; }
-          .content { padding: 30px; }
-          .info-box { background-color: #f8fafc; border-radius: 6px; padding: 15px; margin: 20px 0; border: 1px solid #e2e8f0; }
-          .info-row { margin: 10px 0; display: flex; border-bottom: 1px solid #f1f5f9; padding-bottom: 5px; }
-          .info-row:last-child { border-bottom: none; }
-          .label { font-weight: 600; color: #64748b; width: 140px; min-width: 140px; }
-          .value { color: #0f172a; font-weight: 500; }
-          .reason-box { background-color: #fee2e2; padding: 15px; border-left: 4px solid #ef4444; margin: 15px 0; border-radius: 0 6px 6px 0; }
-          .footer { background-color: #f8fafc; padding: 20px; text-align: center; font-size: 12px; color: #94a3b8; border-top: 1px solid #e2e8f0; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Request Cancelled</h2>
-            <p style="margin: 5px 0 0; opacity: 0.9;">Service Vehicle Request</p>
-          </div>
-          <div class="content">
-            <p>Hello <strong>${odhcUser.first_name || odhcUser.username}</strong>,</p>
-            <p>A service vehicle request has been <strong>cancelled</strong> by the requestor.</p>
-            
-            <div class="info-box">
-              <div class="info-row">
-                <span class="label">Reference Code:</span>
-                <span class="value">${vehicleRequest.reference_code || vehicleRequest.id}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Requestor:</span>
-                <span class="value">${requestorName}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Travel Date:</span>
-                <span class="value">${vehicleRequest.travel_date_from ? new Date(vehicleRequest.travel_date_from).toLocaleDateString() : 'N/A'}</span>
-              </div>
-            </div>
-            
-            <div class="reason-box">
-              <p style="margin: 0 0 5px 0;"><strong>Cancellation Reason:</strong></p>
-              <p style="margin: 0;">${reason}</p>
-            </div>
-            
-            <p>No further action is required for this request.</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification from the General Services Request System.</p>
-            <p>&copy; ${new Date().getFullYear()} Styrotech Corporation</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    const emailNow = await notificationService.notifyUsers([recipientId], notification);
+    if (!emailNow.has(recipientId)) {
+      console.log(`📭 Skipping email - user ${recipientId} doesn't want ${notification.type} emails right away`);
+      return false;
+    }
+    return true;
   }
 
   // Send notification methods
+  // Each one also stores an in-app notification, so nothing is missed when mail is filtered or delayed
   async notifyRequestSubmitted(request, requestor, departmentApprover) {
+    const emailNow = await this.recordNotification(requestor?.id || request.requestor_id, {
+      type: 'request_submitted',
+      title: `Request ${request.request_number} submitted`,
+      message: 'Your request has been submitted and is awaiting approval.',
+      formType: 'item_request',
+      requestId: request.id
+    });
+    if (!emailNow) return;
+
     if (!requestor.email) {
       console.log(`⚠️ Skipping email - requestor ${requestor.username} has no email`);
       return;
     }
 
-    const subject = `Request Submitted: ${request.request_number}`;
-    const html = this.getRequestSubmittedTemplate(request, requestor, departmentApprover);
+    const { subject, html } = await this.renderEmail('request_submitted', {
+      request, requestor, approver: departmentApprover, recipient: requestor
+    });
 
     return await this.sendEmail(requestor.email, subject, html);
   }
 
   async notifyApprovalRequired(request, requestor, approver) {
+    const emailNow = await this.recordNotification(approver, {
+      type: 'approval_required',
+      title: `Request ${request.request_number} needs your approval`,
+      message: `${this.personName(requestor)} submitted a request that is waiting for your approval.`,
+      formType: 'item_request',
+      requestId: request.id
+    });
+    if (!emailNow) return;
+
     if (!approver.email) {
       console.log(`⚠️ Skipping email - approver ${approver.username} has no email`);
       return;
     }
 
-    const subject = `Action Required: Approve Request ${request.request_number}`;
-    const html = this.getApprovalRequestTemplate(request, requestor, approver);
+    const actionLinks = await this.getActionLinks('item_request', request, approver);
+    const { subject, html } = await this.renderEmail('approval_required', {
+      request, requestor, approver, recipient: approver, actionLinks
+    });
 
     return await this.sendEmail(approver.email, subject, html);
   }
 
   async notifyRequestApproved(request, requestor, approver, stage, bccEmails = null) {
+    const approvedNotification = {
+      type: 'request_approved',
+      title: `Request ${request.request_number} approved`,
+      message: `Approved by ${this.personName(approver)}.`,
+      formType: 'item_request',
+      requestId: request.id
+    };
+    const emailRequestor = await this.recordNotification(requestor?.id || request.requestor_id, approvedNotification);
+    const bccRecipients = await notificationService.notifyEmails(bccEmails, approvedNotification);
+
     if (!requestor.email) {
       console.log(`⚠️ Skipping email - requestor ${requestor.username} has no email`);
       return;
     }
 
-    const subject = `Request Approved: ${request.request_number}`;
-    const html = this.getRequestApprovedTemplate(request, requestor, approver, stage);
+    const { subject, html } = await this.renderEmail('request_approved', {
+      request, requestor, approver, recipient: requestor, stage
+    });
 
-    return await this.sendEmail(requestor.email, subject, html, null, [], null, bccEmails);
+    // The BCC'd IT Managers still get it when the requestor opted out of the email
+    if (!emailRequestor) {
+      return bccRecipients.length > 0 ? await this.sendEmail(bccRecipients, subject, html) : undefined;
+    }
+
+    return await this.sendEmail(requestor.email, subject, html, null, [], null, bccRecipients.length > 0 ? bccRecipients : null);
   }
 
   async notifyRequestDeclined(request, requestor, approver, comments) {
+    const emailNow = await this.recordNotification(requestor?.id || request.requestor_id, {
+      type: 'request_declined',
+      title: `Request ${request.request_number} declined`,
+      message: `Declined by ${this.personName(approver)}${comments ? `: ${comments}` : '.'}`,
+      formType: 'item_request',
+      requestId: request.id
+    });
+    if (!emailNow) return;
+
     if (!requestor.email) {
       console.log(`⚠️ Skipping email - requestor ${requestor.username} has no email`);
       return;
     }
 
-    const subject = `Request Declined: ${request.request_number}`;
-    const html = this.getRequestDeclinedTemplate(request, requestor, approver, comments);
+    const { subject, html } = await this.renderEmail('request_declined', {
+      request, requestor, approver, recipient: requestor, comments
+    });
 
     return await this.sendEmail(requestor.email, subject, html);
   }
 
   async notifyRequestReturned(request, requestor, approver, returnReason) {
+    const emailNow = await this.recordNotification(requestor?.id || request.requestor_id, {
+      type: 'request_returned',
+      title: `Request ${request.request_number} returned for revision`,
+      message: `Returned by ${this.personName(approver)}${returnReason ? `: ${returnReason}` : '.'}`,
+      formType: 'item_request',
+      requestId: request.id
+    });
+    if (!emailNow) return;
+
     if (!requestor.email) {
       console.log(`⚠️ Skipping email - requestor ${requestor.username} has no email`);
       return;
     }
 
-    const subject = `Request Returned for Revision: ${request.request_number}`;
-    const html = this.getRequestReturnedTemplate(request, requestor, approver, returnReason);
+    const { subject, html } = await this.renderEmail('request_returned', {
+      request, requestor, approver, recipient: requestor, reason: returnReason
+    });
 
     return await this.sendEmail(requestor.email, subject, html);
   }
 
+  async notifyApprovalReminder(summary, approver) {
+    const emailNow = await this.recordNotification(approver, {
+      type: 'approval_reminder',
+      title: `Reminder: ${summary.reference} is awaiting your approval`,
+      message: `Pending for ${summary.hoursPending} hours at step "${summary.stepName}".`,
+      formType: summary.formType,
+      requestId: summary.requestId
+    });
+    if (!emailNow) return;
+
+    if (!approver.email) {
+      console.log(`⚠️ Skipping email - approver ${approver.username} has no email`);
+      return;
+    }
+
+    const { subject, html } = await this.renderEmail('approval_reminder', {
+      formType: summary.formType, approver, recipient: approver, summary
+    });
+
+    return await this.sendEmail(approver.email, subject, html);
+  }
+
+  async notifyApprovalEscalated(summary, recipient) {
+    const emailNow = await this.recordNotification(recipient, {
+      type: 'approval_escalated',
+      title: `Escalation: ${summary.reference} is awaiting approval`,
+      message: `Pending for ${summary.hoursPending} hours at step "${summary.stepName}" and has been escalated to you.`,
+      formType: summary.formType,
+      requestId: summary.requestId
+    });
+    if (!emailNow) return;
+
+    if (!recipient.email) {
+      console.log(`⚠️ Skipping email - escalation recipient ${recipient.username} has no email`);
+      return;
+    }
+
+    const { subject, html } = await this.renderEmail('approval_escalated', {
+      formType: summary.formType, recipient, summary
+    });
+
+    return await this.sendEmail(recipient.email, subject, html);
+  }
+
+  async notifyAssetTransferApproval(equipment, approver) {
+    const emailNow = await this.recordNotification(approver, {
+      type: 'asset_transfer_approval',
+      title: `Transfer of ${equipment.assetTag} needs your approval`,
+      message: `From ${equipment.fromCustodian || 'stock'} (${equipment.fromDepartment || 'no department'}) to ${equipment.toCustodian} (${equipment.toDepartment}).`,
+      link: '/my-equipment'
+    });
+    if (!emailNow) return;
+
+    if (!approver.email) {
+      console.log(`⚠️ Skipping email - transfer approver ${approver.username} has no email`);
+      return;
+    }
+
+    const { subject, html } = await this.renderEmail('asset_transfer_approval', {
+      formType: null, approver, recipient: approver, equipment
+    });
+
+    return await this.sendEmail(approver.email, subject, html);
+  }
+
+  async notifyAssetTransferDecided(equipment, recipient) {
+    const emailNow = await this.recordNotification(recipient, {
+      type: 'asset_transfer_decided',
+      title: `Transfer of ${equipment.assetTag} ${equipment.statusLabel}`,
+      message: `To ${equipment.toCustodian} (${equipment.toDepartment}).${equipment.comments ? ` ${equipment.comments}` : ''}`,
+      link: '/my-equipment'
+    });
+    if (!emailNow) return;
+
+    if (!recipient.email) {
+      console.log(`⚠️ Skipping email - transfer recipient ${recipient.username} has no email`);
+      return;
+    }
+
+    const { subject, html } = await this.renderEmail('asset_transfer_decided', {
+      formType: null, recipient, equipment
+    });
+
+    return await this.sendEmail(recipient.email, subject, html);
+  }
+
+  async notifyAssetLoanOverdue(equipment, recipient) {
+    const emailNow = await this.recordNotification(recipient, {
+      type: 'asset_loan_overdue',
+      title: `${equipment.assetTag} is overdue`,
+      message: `Lent to ${equipment.borrower}, due back ${equipment.dueDate} (${equipment.daysOverdue} day(s) overdue).`,
+      link: '/my-equipment'
+    });
+    if (!emailNow) return;
+
+    if (!recipient.email) {
+      console.log(`⚠️ Skipping email - loan reminder recipient ${recipient.username} has no email`);
+      return;
+    }
+
+    const { subject, html } = await this.renderEmail('asset_loan_overdue', {
+      formType: null, recipient, equipment
+    });
+
+    return await this.sendEmail(recipient.email, subject, html);
+  }
+
+  async notifyAssetReturnRequested(equipment, request, recipient) {
+    const emailNow = await this.recordNotification(recipient, {
+      type: 'asset_return_requested',
+      title: `Collect ${equipment.assetTag} from ${equipment.fromCustodian || 'its custodian'}`,
+      message: `Replaced by request ${request.request_number}. Record a return inspection once it is back.`,
+      formType: 'item_request',
+      requestId: request.id,
+      link: '/deployed-assets'
+    });
+    if (!emailNow) return;
+
+    if (!recipient.email) {
+      console.log(`⚠️ Skipping email - return task recipient ${recipient.username} has no email`);
+      return;
+    }
+
+    const { subject, html } = await this.renderEmail('asset_return_requested', {
+      request, recipient, equipment
+    });
+
+    return await this.sendEmail(recipient.email, subject, html);
+  }
+
+  async notifyLowStock(stockAlerts, recipient) {
+    const outOfStock = stockAlerts.filter(alert => alert.status === 'out_of_stock').length;
+    const emailNow = await this.recordNotification(recipient, {
+      type: 'low_stock_alert',
+      title: `${stockAlerts.length} stock item${stockAlerts.length === 1 ? ' is' : 's are'} running low`,
+      message: `${stockAlerts.map(alert => alert.name).join(', ')}${outOfStock ? ` (${outOfStock} out of stock)` : ''}. Reorder suggestions are on the dashboard.`,
+      link: '/dashboard'
+    });
+    if (!emailNow) return;
+
+    if (!recipient.email) {
+      console.log(`⚠️ Skipping email - low-stock report recipient ${recipient.username} has no email`);
+      return;
+    }
+
+    const { subject, html } = await this.renderEmail('low_stock_report', {
+      formType: null, recipient, stockAlerts
+    });
+
+    return await this.sendEmail(recipient.email, subject, html);
+  }
+
+  async notifyNotificationDigest(user, notifications) {
+    if (!user.email) {
+      console.log(`⚠️ Skipping digest - user ${user.username} has no email`);
+      return;
+    }
+
+    const { subject, html } = await this.renderEmail('notification_digest', {
+      formType: null, recipient: user, notifications
+    });
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
   async notifyVerifierAssigned(request, requestor, verifier, reason) {
+    const emailNow = await this.recordNotification(verifier, {
+      type: 'verification_required',
+      title: `Request ${request.request_number} needs your verification`,
+      message: reason || `${this.personName(requestor)}'s request has been assigned to you for verification.`,
+      formType: 'item_request',
+      requestId: request.id
+    });
+    if (!emailNow) return;
+
     if (!verifier.email) {
       console.log(`⚠️ Skipping email - verifier ${verifier.username} has no email`);
       return;
     }
 
+    const { subject, html } = await this.renderEmail('verifier_assigned', {
+      request, requestor, verifier, recipient: verifier, reason
+    });
+
     return await this.sendEmail(verifier.email, subject, html);
   }
 
   async notifyVerificationCompleted(request, requestor, verifier, status, comments, itManagers = []) {
+    const verifiedNotification = {
+      type: 'verification_completed',
+      title: `Request ${request.request_number} ${status === 'verified' ? 'verified' : 'verification declined'}`,
+      message: `${status === 'verified' ? 'Verified' : 'Verification declined'} by ${this.personName(verifier)}${comments ? `: ${comments}` : '.'}`,
+      formType: 'item_request',
+      requestId: request.id
+    };
+    const emailRequestor = await this.recordNotification(requestor?.id || request.requestor_id, verifiedNotification);
+    const itManagerEmails = await notificationService.notifyEmails(itManagers.map(mgr => mgr.email), verifiedNotification);
+
     if (!requestor.email) {
       console.log(`⚠️ Skipping email - requestor ${requestor.username} has no email`);
       return;
     }
 
-    const actionText = status === 'verified' ? 'Verified' : 'Verification Declined';
-    const subject = `Request ${actionText}: ${request.request_number}`;
-    const html = this.getVerificationCompletedTemplate(request, requestor, verifier, status, comments);
+    const { subject, html } = await this.renderEmail('verification_completed', {
+      request, requestor, verifier, recipient: requestor, status, comments
+    });
 
     // BCC IT Managers so they are immediately aware of the verifier's decision
-    const bccEmails = itManagers
-      .filter(mgr => mgr.email)
-      .map(mgr => mgr.email)
-      .join(', ');
+    const bccEmails = itManagerEmails.join(', ');
+
+    if (!emailRequestor) {
+      return bccEmails ? await this.sendEmail(bccEmails, subject, html) : undefined;
+    }
 
     return await this.sendEmail(requestor.email, subject, html, null, [], null, bccEmails ? bccEmails : undefined);
   }
 
   // Vehicle Request Email Methods
   async notifyVehicleRequestSubmitted(vehicleRequest, requestor, departmentApprover) {
+    const emailNow = await this.recordNotification(requestor?.id || vehicleRequest.requested_by, {
+      type: 'request_submitted',
+      title: `Service vehicle request ${this.vehicleReference(vehicleRequest)} submitted`,
+      message: 'Your request has been submitted and is awaiting approval.',
+      formType: 'vehicle_request',
+      requestId: vehicleRequest.id
+    });
+    if (!emailNow) return;
+
     if (!requestor?.email) {
       console.log(`⚠️ Skipping email - requestor has no email`);
       return;
     }
 
-    const subject = `Service Vehicle Request Submitted: ${vehicleRequest.reference_code || vehicleRequest.id}`;
-    const html = this.getVehicleRequestSubmittedTemplate(vehicleRequest, requestor, departmentApprover);
+    const { subject, html } = await this.renderEmail('vehicle_request_submitted', {
+      formType: 'vehicle_request', request: vehicleRequest, requestor, approver: departmentApprover, recipient: requestor
+    });
     const attachments = await this.prepareAttachments(vehicleRequest.attachments);
 
     return await this.sendEmail(requestor.email, subject, html, null, attachments);
   }
 
   async notifyVehicleApprovalRequired(vehicleRequest, requestor, approver) {
+    const emailNow = await this.recordNotification(approver, {
+      type: 'approval_required',
+      title: `Service vehicle request ${this.vehicleReference(vehicleRequest)} needs your approval`,
+      message: `${this.personName(requestor)} submitted a request that is waiting for your approval.`,
+      formType: 'vehicle_request',
+      requestId: vehicleRequest.id
+    });
+    if (!emailNow) return;
+
     if (!approver?.email) {
       console.log(`⚠️ Skipping email - approver ${approver?.username || 'unknown'} has no email`);
       return;
     }
 
-    const subject = `Action Required: Approve Service Vehicle Request ${vehicleRequest.reference_code || vehicleRequest.id}`;
-    const html = this.getVehicleApprovalRequestTemplate(vehicleRequest, requestor, approver);
+    const actionLinks = await this.getActionLinks('vehicle_request', vehicleRequest, approver);
+    const { subject, html } = await this.renderEmail('vehicle_approval_required', {
+      formType: 'vehicle_request', request: vehicleRequest, requestor, approver, recipient: approver, actionLinks
+    });
     const attachments = await this.prepareAttachments(vehicleRequest.attachments);
 
     return await this.sendEmail(approver.email, subject, html, null, attachments);
   }
 
   async notifyVehicleRequestApproved(vehicleRequest, requestor, approver, isCompleted = true, nextApprover = null, approverComments = null) {
+    const emailNow = await this.recordNotification(requestor?.id || vehicleRequest.requested_by, {
+      type: 'request_approved',
+      title: `Service vehicle request ${this.vehicleReference(vehicleRequest)} approved`,
+      message: isCompleted
+        ? `Approved by ${this.personName(approver)}.`
+        : `Approved by ${this.personName(approver)}, now pending the next approval.`,
+      formType: 'vehicle_request',
+      requestId: vehicleRequest.id
+    });
+    if (!emailNow) return;
+
     if (!requestor?.email) {
       console.log(`⚠️ Skipping email - requestor has no email`);
       return;
     }
 
-    const subject = isCompleted
-      ? `Service Vehicle Request Approved: ${vehicleRequest.reference_code || vehicleRequest.id}`
-      : `Service Vehicle Request Approved - Pending Next Approval: ${vehicleRequest.reference_code || vehicleRequest.id}`;
-    const html = this.getVehicleRequestApprovedTemplate(vehicleRequest, requestor, approver, isCompleted, nextApprover, approverComments);
+    // Show the approver's own comments, falling back to the request's comments
+    const { subject, html } = await this.renderEmail('vehicle_request_approved', {
+      formType: 'vehicle_request',
+      request: vehicleRequest,
+      requestor,
+      approver,
+      recipient: requestor,
+      nextApprover,
+      isCompleted,
+      comments: approverComments || vehicleRequest.comments
+    });
     const attachments = await this.prepareAttachments(vehicleRequest.attachments);
 
     return await this.sendEmail(requestor.email, subject, html, null, attachments);
   }
 
   async notifyVehicleRequestDeclined(vehicleRequest, requestor, approver, comments) {
+    const emailNow = await this.recordNotification(requestor?.id || vehicleRequest.requested_by, {
+      type: 'request_declined',
+      title: `Service vehicle request ${this.vehicleReference(vehicleRequest)} declined`,
+      message: `Declined by ${this.personName(approver)}${comments ? `: ${comments}` : '.'}`,
+      formType: 'vehicle_request',
+      requestId: vehicleRequest.id
+    });
+    if (!emailNow) return;
+
     if (!requestor?.email) {
       console.log(`⚠️ Skipping email - requestor has no email`);
       return;
     }
 
-    const subject = `Service Vehicle Request Declined: ${vehicleRequest.reference_code || vehicleRequest.id}`;
-    const html = this.getVehicleRequestDeclinedTemplate(vehicleRequest, requestor, approver, comments);
+    const { subject, html } = await this.renderEmail('vehicle_request_declined', {
+      formType: 'vehicle_request', request: vehicleRequest, requestor, approver, recipient: requestor, comments
+    });
     const attachments = await this.prepareAttachments(vehicleRequest.attachments);
 
     return await this.sendEmail(requestor.email, subject, html, null, attachments);
   }
 
   async notifyVehicleRequestReturned(vehicleRequest, requestor, approver, returnReason) {
+    const emailNow = await this.recordNotification(requestor?.id || vehicleRequest.requested_by, {
+      type: 'request_returned',
+      title: `Service vehicle request ${this.vehicleReference(vehicleRequest)} returned for revision`,
+      message: `Returned by ${this.personName(approver)}${returnReason ? `: ${returnReason}` : '.'}`,
+      formType: 'vehicle_request',
+      requestId: vehicleRequest.id
+    });
+    if (!emailNow) return;
+
     if (!requestor?.email) {
       console.log(`⚠️ Skipping email - requestor has no email`);
       return;
     }
 
-    const subject = `Service Vehicle Request Returned for Revision: ${vehicleRequest.reference_code || vehicleRequest.id}`;
-    const html = this.getVehicleRequestReturnedTemplate(vehicleRequest, requestor, approver, returnReason);
+    const { subject, html } = await this.renderEmail('vehicle_request_returned', {
+      formType: 'vehicle_request', request: vehicleRequest, requestor, approver, recipient: requestor, reason: returnReason
+    });
     const attachments = await this.prepareAttachments(vehicleRequest.attachments);
 
     return await this.sendEmail(requestor.email, subject, html, null, attachments);
   }
 
   async notifyVehicleRequestCancelled(vehicleRequest, requestor, odhcUser, reason) {
+    const emailNow = await this.recordNotification(odhcUser, {
+      type: 'request_cancelled',
+      title: `Service vehicle request ${this.vehicleReference(vehicleRequest)} cancelled`,
+      message: `Cancelled by ${this.personName(requestor)}${reason ? `: ${reason}` : '.'}`,
+      formType: 'vehicle_request',
+      requestId: vehicleRequest.id
+    });
+    if (!emailNow) return;
+
     if (!odhcUser?.email) {
       console.log(`⚠️ Skipping email - ODHC user has no email`);
       return;
     }
 
-    const subject = `Service Vehicle Request Cancelled: ${vehicleRequest.reference_code || vehicleRequest.id}`;
-    const html = this.getVehicleRequestCancelledTemplate(vehicleRequest, requestor, odhcUser, reason);
+    const { subject, html } = await this.renderEmail('vehicle_request_cancelled', {
+      formType: 'vehicle_request', request: vehicleRequest, requestor, recipient: odhcUser, reason
+    });
 
     // Optional: add attachments if needed, but not required for cancellation notification
 
@@ -882,481 +987,16 @@ class EmailService {
     return emailAttachments;
   }
 
-  // Vehicle Request Email Templates
-  getVehicleRequestSubmittedTemplate(vehicleRequest, requestor, departmentApprover) {
-    const requestorName = requestor.first_name && requestor.last_name
-      ? `${requestor.first_name} ${requestor.last_name}`
-      : requestor.username || vehicleRequest.requestor_name;
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f5; margin: 0; padding: 0; }
-          .container { max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); }
-          .header { background-color: #2563eb; color: white; padding: 25px; text-align: center; }
-          .header h2 { margin: 0; font-size: 24px; font-weight: 600; }
-          .content { padding: 30px; }
-          .info-box { background-color: #f8fafc; border-radius: 6px; padding: 15px; margin: 20px 0; border: 1px solid #e2e8f0; }
-          .info-row { margin: 10px 0; display: flex; border-bottom: 1px solid #f1f5f9; padding-bottom: 5px; }
-          .info-row:last-child { border-bottom: none; }
-          .label { font-weight: 600; color: #64748b; width: 140px; min-width: 140px; }
-          .value { color: #0f172a; font-weight: 500; }
-          .button-container { text-align: center; margin-top: 30px; }
-          .button { display: inline-block; padding: 12px 24px; background-color: #2563eb; color: white; text-decoration: none; border-radius: 6px; font-weight: 600; transition: background-color 0.2s; }
-          .button:hover { background-color: #1d4ed8; }
-          .footer { background-color: #f8fafc; padding: 20px; text-align: center; font-size: 12px; color: #94a3b8; border-top: 1px solid #e2e8f0; }
-          .footer a { color: #64748b; text-decoration: underline; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Request Submitted</h2>
-            <p style="margin: 5px 0 0; opacity: 0.9;">Service Vehicle Request</p>
-          </div>
-          <div class="content">
-            <p>Hello <strong>${requestorName}</strong>,</p>
-            <p>Your service vehicle request has been submitted successfully and is now pending department approval.</p>
-            
-            <div class="info-box">
-              <div class="info-row">
-                <span class="label">Reference Code:</span>
-                <span class="value">${vehicleRequest.reference_code || vehicleRequest.id}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Request Type:</span>
-                <span class="value" style="text-transform: capitalize;">${(vehicleRequest.request_type || 'N/A').replace(/_/g, ' ')}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Travel Date:</span>
-                <span class="value">${vehicleRequest.travel_date_from ? new Date(vehicleRequest.travel_date_from).toLocaleDateString() : 'N/A'}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Submitted Date:</span>
-                <span class="value">${new Date(vehicleRequest.submitted_at || vehicleRequest.requested_date || new Date()).toLocaleString()}</span>
-              </div>
-              ${vehicleRequest.urgency_justification ? `
-              <div class="info-row" style="background-color: #fef2f2; border-left: 3px solid #dc2626; padding-left: 10px;">
-                <span class="label" style="color: #dc2626;">Urgency Justification:</span>
-                <span class="value" style="color: #dc2626; font-weight: bold;">${vehicleRequest.urgency_justification}</span>
-              </div>` : ''}
-            </div>
-            
-            <p>Your request is now awaiting approval from <strong>${departmentApprover ? `${departmentApprover.first_name || ''} ${departmentApprover.last_name || ''}`.trim() || departmentApprover.username : 'your department approver'}</strong>.</p>
-            
-            <p>You will be notified once your request has been reviewed.</p>
-            
-            <div class="button-container">
-              <a href="${this.getFrontendUrl()}/login" class="button">Access Login Portal</a>
-            </div>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification from the General Services Request System.</p>
-            <p>&copy; ${new Date().getFullYear()} Styrotech Corporation</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-  }
-
-  getVehicleApprovalRequestTemplate(vehicleRequest, requestor, approver) {
-    const requestorName = requestor.first_name && requestor.last_name
-      ? `${requestor.first_name} ${requestor.last_name}`
-      : requestor.username || vehicleRequest.requestor_name;
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f5; margin: 0; padding: 0; }
-          .container { max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); }
-          .header { background-color: #f59e0b; color: white; padding: 25px; text-align: center; }
-          .header h2 { margin: 0; font-size: 24px; font-weight: 600; }
-          .content { padding: 30px; }
-          .info-box { background-color: #f8fafc; border-radius: 6px; padding: 15px; margin: 20px 0; border: 1px solid #e2e8f0; }
-          .info-row { margin: 10px 0; display: flex; border-bottom: 1px solid #f1f5f9; padding-bottom: 5px; }
-          .info-row:last-child { border-bottom: none; }
-          .label { font-weight: 600; color: #64748b; width: 140px; min-width: 140px; }
-          .value { color: #0f172a; font-weight: 500; }
-          .button-container { text-align: center; margin-top: 30px; }
-          .button { display: inline-block; padding: 12px 24px; background-color: #2563eb; color: white; text-decoration: none; border-radius: 6px; font-weight: 600; transition: background-color 0.2s; }
-          .button:hover { background-color: #1d4ed8; }
-          .footer { background-color: #f8fafc; padding: 20px; text-align: center; font-size: 12px; color: #94a3b8; border-top: 1px solid #e2e8f0; }
-          .footer a { color: #64748b; text-decoration: underline; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Action Required</h2>
-            <p style="margin: 5px 0 0; opacity: 0.9;">Service Vehicle Request Approval</p>
-          </div>
-          <div class="content">
-            <p>Hello <strong>${approver.first_name || approver.username}</strong>,</p>
-            <p>A new service vehicle request requires your review and approval.</p>
-            
-            <div class="info-box">
-              <div class="info-row">
-                <span class="label">Reference Code:</span>
-                <span class="value">${vehicleRequest.reference_code || vehicleRequest.id}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Requestor:</span>
-                <span class="value">${requestorName}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Request Type:</span>
-                <span class="value" style="text-transform: capitalize;">${(vehicleRequest.request_type || 'N/A').replace(/_/g, ' ')}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Travel Date:</span>
-                <span class="value">${vehicleRequest.travel_date_from ? new Date(vehicleRequest.travel_date_from).toLocaleDateString() : 'N/A'}</span>
-              </div>
-              ${vehicleRequest.purpose ? `
-              <div class="info-row">
-                <span class="label">Purpose:</span>
-                <span class="value">${vehicleRequest.purpose}</span>
-              </div>` : ''}
-              ${vehicleRequest.urgency_justification ? `
-              <div class="info-row" style="background-color: #fef2f2; border-left: 3px solid #dc2626; padding-left: 10px;">
-                <span class="label" style="color: #dc2626;">Urgency Justification:</span>
-                <span class="value" style="color: #dc2626; font-weight: bold;">${vehicleRequest.urgency_justification}</span>
-              </div>` : ''}
-              ${vehicleRequest.attachments && vehicleRequest.attachments.length > 0 ? `
-              <div class="info-row">
-                <span class="label">Attachments:</span>
-                <span class="value">${vehicleRequest.attachments.length} file(s) attached</span>
-              </div>
-              ` : ''}
-            </div>
-            
-            <p>Please log in to the General Services Request System to review and process this request.</p>
-            
-            <div class="button-container">
-              <a href="${this.getFrontendUrl()}/login" class="button">Access Login Portal</a>
-            </div>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification from the General Services Request System.</p>
-            <p>&copy; ${new Date().getFullYear()} Styrotech Corporation</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-  }
-
-  getVehicleRequestApprovedTemplate(vehicleRequest, requestor, approver, isCompleted = true, nextApprover = null, approverComments = null) {
-    const requestorName = requestor.first_name && requestor.last_name
-      ? `${requestor.first_name} ${requestor.last_name}`
-      : requestor.username || vehicleRequest.requestor_name;
-    const approverName = approver.first_name && approver.last_name
-      ? `${approver.first_name} ${approver.last_name}`
-      : approver.username;
-    const nextApproverName = nextApprover && nextApprover.first_name && nextApprover.last_name
-      ? `${nextApprover.first_name} ${nextApprover.last_name}`
-      : nextApprover?.username || nextApprover?.email || 'the next approver';
-
-    // Use approverComments if provided, otherwise fall back to vehicleRequest.comments
-    const commentsToShow = approverComments || vehicleRequest.comments;
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f5; margin: 0; padding: 0; }
-          .container { max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); }
-          .header { background-color: #16a34a; color: white; padding: 25px; text-align: center; }
-          .header h2 { margin: 0; font-size: 24px; font-weight: 600; }
-          .content { padding: 30px; }
-          .info-box { background-color: #f8fafc; border-radius: 6px; padding: 15px; margin: 20px 0; border: 1px solid #e2e8f0; }
-          .info-row { margin: 10px 0; display: flex; border-bottom: 1px solid #f1f5f9; padding-bottom: 5px; }
-          .info-row:last-child { border-bottom: none; }
-          .label { font-weight: 600; color: #64748b; width: 140px; min-width: 140px; }
-          .value { color: #0f172a; font-weight: 500; }
-          .pending-notice { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
-          .button-container { text-align: center; margin-top: 30px; }
-          .button { display: inline-block; padding: 12px 24px; background-color: #16a34a; color: white; text-decoration: none; border-radius: 6px; font-weight: 600; transition: background-color 0.2s; }
-          .button:hover { background-color: #15803d; }
-          .footer { background-color: #f8fafc; padding: 20px; text-align: center; font-size: 12px; color: #94a3b8; border-top: 1px solid #e2e8f0; }
-          .footer a { color: #64748b; text-decoration: underline; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Request Approved</h2>
-            <p style="margin: 5px 0 0; opacity: 0.9;">Service Vehicle Request</p>
-          </div>
-          <div class="content">
-            <p>Hello <strong>${requestorName}</strong>,</p>
-            ${isCompleted ? `
-            <p>Your service vehicle request has been <strong>approved and completed</strong>.</p>
-            ` : `
-            <p>Your service vehicle request has been approved by ${approverName}.</p>
-            <div class="pending-notice">
-              <strong>Note:</strong> Your request is now pending approval from ${nextApproverName}. You will be notified once all approvals are complete.
-            </div>
-            `}
-            
-            <div class="info-box">
-              <div class="info-row">
-                <span class="label">Reference Code:</span>
-                <span class="value">${vehicleRequest.reference_code || vehicleRequest.id}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Approved By:</span>
-                <span class="value">${approverName}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Approval Date:</span>
-                <span class="value">${vehicleRequest.approval_date ? new Date(vehicleRequest.approval_date).toLocaleString() : new Date().toLocaleString()}</span>
-              </div>
-              ${commentsToShow ? `
-              <div class="info-row">
-                <span class="label">Comments:</span>
-                <span class="value">${commentsToShow}</span>
-              </div>` : ''}
-            </div>
-            
-            ${isCompleted ? `
-            <p>Your vehicle request is now complete. Please contact your department for further arrangements.</p>
-            ` : `
-            <p>Your request will be processed further once all required approvals are received.</p>
-            `}
-            
-            <div class="button-container">
-              <a href="${this.getFrontendUrl()}/login" class="button">Access Login Portal</a>
-            </div>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification from the General Services Request System.</p>
-            <p>&copy; ${new Date().getFullYear()} Styrotech Corporation</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-  }
-
-  getVehicleRequestDeclinedTemplate(vehicleRequest, requestor, approver, comments) {
-    const requestorName = requestor.first_name && requestor.last_name
-      ? `${requestor.first_name} ${requestor.last_name}`
-      : requestor.username || vehicleRequest.requestor_name;
-    const approverName = approver.first_name && approver.last_name
-      ? `${approver.first_name} ${approver.last_name}`
-      : approver.username;
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f5; margin: 0; padding: 0; }
-          .container { max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); }
-          .header { background-color: #dc2626; color: white; padding: 25px; text-align: center; }
-          .header h2 { margin: 0; font-size: 24px; font-weight: 600; }
-          .content { padding: 30px; }
-          .info-box { background-color: #fef2f2; border-radius: 6px; padding: 15px; margin: 20px 0; border: 1px solid #fecaca; }
-          .info-row { margin: 10px 0; display: flex; border-bottom: 1px solid #fee2e2; padding-bottom: 5px; }
-          .info-row:last-child { border-bottom: none; }
-          .label { font-weight: 600; color: #991b1b; width: 140px; min-width: 140px; }
-          .value { color: #7f1d1d; font-weight: 500; }
-          .reason-box { background-color: #fee2e2; border-left: 4px solid #dc2626; padding: 15px; margin: 20px 0; border-radius: 4px; }
-          .button-container { text-align: center; margin-top: 30px; }
-          .button { display: inline-block; padding: 12px 24px; background-color: #dc2626; color: white; text-decoration: none; border-radius: 6px; font-weight: 600; transition: background-color 0.2s; }
-          .button:hover { background-color: #b91c1c; }
-          .footer { background-color: #f8fafc; padding: 20px; text-align: center; font-size: 12px; color: #94a3b8; border-top: 1px solid #e2e8f0; }
-          .footer a { color: #64748b; text-decoration: underline; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Request Declined</h2>
-            <p style="margin: 5px 0 0; opacity: 0.9;">Service Vehicle Request</p>
-          </div>
-          <div class="content">
-            <p>Hello <strong>${requestorName}</strong>,</p>
-            <p>Unfortunately, your service vehicle request has been declined.</p>
-            
-            <div class="info-box">
-              <div class="info-row">
-                <span class="label">Reference Code:</span>
-                <span class="value">${vehicleRequest.reference_code || vehicleRequest.id}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Declined By:</span>
-                <span class="value">${approverName}</span>
-              </div>
-            </div>
-            
-            ${comments ? `
-            <div class="reason-box">
-              <strong>Reason for Decline:</strong><br>
-              ${comments}
-            </div>` : ''}
-            
-            <p>If you have any questions, please contact ${approverName}.</p>
-            
-            <div class="button-container">
-              <a href="${this.getFrontendUrl()}/login" class="button">Access Login Portal</a>
-            </div>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification from the General Services Request System.</p>
-            <p>&copy; ${new Date().getFullYear()} Styrotech Corporation</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-  }
-
-  getVehicleRequestReturnedTemplate(vehicleRequest, requestor, approver, returnReason) {
-    const requestorName = requestor.first_name && requestor.last_name
-      ? `${requestor.first_name} ${requestor.last_name}`
-      : requestor.username || vehicleRequest.requestor_name;
-    const approverName = approver.first_name && approver.last_name
-      ? `${approver.first_name} ${approver.last_name}`
-      : approver.username;
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f5; margin: 0; padding: 0; }
-          .container { max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); }
-          .header { background-color: #f59e0b; color: white; padding: 25px; text-align: center; }
-          .header h2 { margin: 0; font-size: 24px; font-weight: 600; }
-          .content { padding: 30px; }
-          .info-box { background-color: #fffbeb; border-radius: 6px; padding: 15px; margin: 20px 0; border: 1px solid #fcd34d; }
-          .info-row { margin: 10px 0; display: flex; border-bottom: 1px solid #fef3c7; padding-bottom: 5px; }
-          .info-row:last-child { border-bottom: none; }
-          .label { font-weight: 600; color: #92400e; width: 140px; min-width: 140px; }
-          .value { color: #78350f; font-weight: 500; }
-          .reason-box { background-color: #fff7ed; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
-          .button-container { text-align: center; margin-top: 30px; }
-          .button { display: inline-block; padding: 12px 24px; background-color: #f59e0b; color: white; text-decoration: none; border-radius: 6px; font-weight: 600; transition: background-color 0.2s; }
-          .button:hover { background-color: #d97706; }
-          .footer { background-color: #f8fafc; padding: 20px; text-align: center; font-size: 12px; color: #94a3b8; border-top: 1px solid #e2e8f0; }
-          .footer a { color: #64748b; text-decoration: underline; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Returned for Revision</h2>
-            <p style="margin: 5px 0 0; opacity: 0.9;">Service Vehicle Request</p>
-          </div>
-          <div class="content">
-            <p>Hello <strong>${requestorName}</strong>,</p>
-            <p>Your service vehicle request has been returned for revision.</p>
-            
-            <div class="info-box">
-              <div class="info-row">
-                <span class="label">Reference Code:</span>
-                <span class="value">${vehicleRequest.reference_code || vehicleRequest.id}</span>
-              </div>
-              <div class="info-row">
-                <span class="label">Returned By:</span>
-                <span class="value">${approverName}</span>
-              </div>
-            </div>
-            
-            ${returnReason ? `
-            <div class="reason-box">
-              <strong>Revision Required:</strong><br>
-              ${returnReason}
-            </div>` : ''}
-            
-            <p>Please review the comments above and resubmit your request with the necessary changes.</p>
-            
-            <div class="button-container">
-              <a href="${this.getFrontendUrl()}/login" class="button">Access Login Portal</a>
-            </div>
-          </div>
-          <div class="footer">
-            <p>This is an automated notification from the General Services Request System.</p>
-            <p>&copy; ${new Date().getFullYear()} Styrotech Corporation</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-  }
-
-  getVehicleAttachmentUploadedTemplate(vehicleRequest, requestor, uploadedBy, attachmentCount) {
-    const requestorName = requestor.first_name && requestor.last_name
-      ? `${requestor.first_name} ${requestor.last_name}`
-      : requestor.username || vehicleRequest.requestor_name;
-    const uploaderName = uploadedBy.first_name && uploadedBy.last_name
-      ? `${uploadedBy.first_name} ${uploadedBy.last_name}`
-      : uploadedBy.username;
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background-color: #3b82f6; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
-          .info-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #4b5563; }
-          .attachment-box { background-color: #dbeafe; border-left: 4px solid #3b82f6; padding: 15px; margin: 15px 0; }
-          .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>New Attachments Added to Vehicle Request</h2>
-          </div>
-          <div class="content">
-            <p>Hello ${requestorName},</p>
-            <p>New attachment(s) have been added to your vehicle request.</p>
-            
-            <div class="info-row">
-              <span class="label">Reference Code:</span> ${vehicleRequest.reference_code || vehicleRequest.id}
-            </div>
-            <div class="info-row">
-              <span class="label">Uploaded By:</span> ${uploaderName}
-            </div>
-            <div class="info-row">
-              <span class="label">Number of Files:</span> ${attachmentCount}
-            </div>
-            <div class="info-row">
-              <span class="label">Upload Date:</span> ${new Date().toLocaleString()}
-            </div>
-            
-            <div class="attachment-box">
-              <strong>📎 Attachments:</strong><br>
-              ${attachmentCount} file(s) ${attachmentCount === 1 ? 'has' : 'have'} been attached to this request. Please check the request details in the system to view the files.
-            </div>
-            
-            <p>You can view the attachments by accessing the request in the system.</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated message. Please do not reply to this email.</p>
-            <p style="margin-top: 10px;">
-              <a href="${this.getFrontendUrl()}/login" style="color: #3b82f6; text-decoration: underline;">Access Login Portal</a>
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-  }
-
   async notifyVehicleAttachmentUploaded(vehicleRequest, requestor, uploadedBy, attachmentCount, newAttachments = []) {
+    const emailNow = await this.recordNotification(requestor?.id || vehicleRequest.requested_by, {
+      type: 'attachments_added',
+      title: `New attachments on ${this.vehicleReference(vehicleRequest)}`,
+      message: `${this.personName(uploadedBy)} added ${attachmentCount} attachment(s).`,
+      formType: 'vehicle_request',
+      requestId: vehicleRequest.id
+    });
+    if (!emailNow) return;
+
     // Debug logging
     console.log('📧 notifyVehicleAttachmentUploaded called:');
     console.log('   Requestor object:', JSON.stringify(requestor, null, 2));
@@ -1369,8 +1009,9 @@ class EmailService {
       return;
     }
 
-    const subject = `New Attachments Added: ${vehicleRequest.reference_code || vehicleRequest.id}`;
-    const html = this.getVehicleAttachmentUploadedTemplate(vehicleRequest, requestor, uploadedBy, attachmentCount);
+    const { subject, html } = await this.renderEmail('vehicle_attachments_added', {
+      formType: 'vehicle_request', request: vehicleRequest, requestor, uploadedBy, recipient: requestor, attachmentCount
+    });
 
     // Prepare only the newly uploaded attachments for email
     const emailAttachments = await this.prepareAttachments(newAttachments);
@@ -1380,122 +1021,43 @@ class EmailService {
 
   // Verification Emails
   async notifyVerifierAssignment(vehicleRequest, requestor, verifier) {
+    const emailNow = await this.recordNotification(verifier, {
+      type: 'verification_required',
+      title: `Service vehicle request ${this.vehicleReference(vehicleRequest)} needs your verification`,
+      message: `${this.personName(requestor)}'s request has been assigned to you for verification.`,
+      formType: 'vehicle_request',
+      requestId: vehicleRequest.id
+    });
+    if (!emailNow) return;
+
     if (!verifier?.email) return;
 
-    const subject = `Action Required: Verify Service Vehicle Request ${vehicleRequest.reference_code || vehicleRequest.id}`;
-    const html = this.getVerifierAssignmentTemplate(vehicleRequest, requestor, verifier);
+    const { subject, html } = await this.renderEmail('vehicle_verifier_assigned', {
+      formType: 'vehicle_request', request: vehicleRequest, requestor, verifier, recipient: verifier
+    });
     const attachments = await this.prepareAttachments(vehicleRequest.attachments);
 
     return await this.sendEmail(verifier.email, subject, html, null, attachments);
   }
 
   async notifyVerificationOutcome(vehicleRequest, verifier, outcome, comments, odhcEmails) {
-    if (!odhcEmails || odhcEmails.length === 0) return;
+    const recipients = await notificationService.notifyEmails(odhcEmails, {
+      type: 'verification_completed',
+      title: `Service vehicle request ${this.vehicleReference(vehicleRequest)} ${outcome === 'verified' ? 'verified' : 'verification declined'}`,
+      message: `${outcome === 'verified' ? 'Verified' : 'Verification declined'} by ${this.personName(verifier)}${comments ? `: ${comments}` : '.'}`,
+      formType: 'vehicle_request',
+      requestId: vehicleRequest.id
+    });
 
-    const subject = `Verification ${outcome === 'verified' ? 'Completed' : 'Declined'}: Request ${vehicleRequest.reference_code || vehicleRequest.id}`;
-    const html = this.getVerificationOutcomeTemplate(vehicleRequest, verifier, outcome, comments);
+    if (recipients.length === 0) return;
 
-    return await this.sendEmail(odhcEmails, subject, html);
-  }
+    const { subject, html } = await this.renderEmail('vehicle_verification_outcome', {
+      formType: 'vehicle_request', request: vehicleRequest, verifier, status: outcome, comments
+    });
 
-  getVerifierAssignmentTemplate(vehicleRequest, requestor, verifier) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px; }
-          .header { background-color: #8b5cf6; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-          .content { padding: 20px; background-color: #f9fafb; }
-          .info-row { margin: 10px 0; border-bottom: 1px solid #e5e7eb; padding-bottom: 5px; }
-          .label { font-weight: bold; color: #4b5563; min-width: 140px; display: inline-block; }
-          .button { display: inline-block; padding: 10px 20px; background-color: #8b5cf6; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Verification Assignment</h2>
-          </div>
-          <div class="content">
-            <p>Hello ${verifier.first_name || verifier.username},</p>
-            <p>You have been assigned to verify the following Service Vehicle Request.</p>
-            
-            <div class="info-row">
-              <span class="label">Reference Code:</span> ${vehicleRequest.reference_code || vehicleRequest.id}
-            </div>
-            <div class="info-row">
-              <span class="label">Requestor:</span> ${requestor.first_name} ${requestor.last_name}
-            </div>
-            <div class="info-row">
-              <span class="label">Reason for Assignment:</span> ${vehicleRequest.verifier_reason || 'N/A'}
-            </div>
-            <div class="info-row">
-              <span class="label">Travel Date:</span> ${vehicleRequest.travel_date_from}
-            </div>
-             <div class="info-row">
-              <span class="label">Destination:</span> ${vehicleRequest.destination || vehicleRequest.destination_car}
-            </div>
-
-            <p>Please review the details and provide verification or decline/notes.</p>
-            
-            <div style="text-align: center;">
-              <a href="${this.getFrontendUrl()}/requests/${vehicleRequest.id}" class="button">View Request</a>
-            </div>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    return await this.sendEmail(recipients, subject, html);
   }
 
-  getVerificationOutcomeTemplate(vehicleRequest, verifier, outcome, comments) {
-    const isVerified = outcome === 'verified';
-    const color = isVerified ? '#10b981' : '#ef4444';
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px; }
-          .header { background-color: ${color}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-          .content { padding: 20px; background-color: #f9fafb; }
-          .info-row { margin: 10px 0; border-bottom: 1px solid #e5e7eb; padding-bottom: 5px; }
-          .label { font-weight: bold; color: #4b5563; min-width: 140px; display: inline-block; }
-          .comments { background-color: ${isVerified ? '#d1fae5' : '#fee2e2'}; padding: 15px; border-left: 4px solid ${color}; margin: 15px 0; }
-           .button { display: inline-block; padding: 10px 20px; background-color: ${color}; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>Verification ${isVerified ? 'Success' : 'Declined'}</h2>
-          </div>
-          <div class="content">
-            <p>Hello ODHC Team,</p>
-            <p>The temporary verifier <strong>${verifier.first_name} ${verifier.last_name}</strong> has <strong>${isVerified ? 'VERIFIED' : 'DECLINED'}</strong> the request.</p>
-            
-            <div class="info-row">
-              <span class="label">Reference Code:</span> ${vehicleRequest.reference_code}
-            </div>
-            
-             <div class="comments">
-              <strong>Verifier Comments:</strong><br>
-              ${comments || 'No comments provided.'}
-            </div>
-
-             <div style="text-align: center;">
-              <a href="${this.getFrontendUrl()}/requests/${vehicleRequest.id}" class="button">View Request</a>
-            </div>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-  }
 }
 
 // Export singleton instance
@@ -0,0 +1,1005 @@
+// Built-in notification email templates. These are seeded into the email_templates table,
+// used whenever a template hasn't been saved, and restored by "Reset to default".
+// Placeholders are filled from the context built by emailService.buildTemplateContext.
+
+const CLASSIC_STYLES = `
+      body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+      .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+      .header { background-color: {{color}}; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+      .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
+      .info-row { margin: 10px 0; }
+      .label { font-weight: bold; color: #4b5563; }
+      .button { display: inline-block; padding: 10px 20px; background-color: {{color}}; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+      .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; }`;
+
+const CARD_STYLES = `
+      body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f5; margin: 0; padding: 0; }
+      .container { max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); }
+      .header { background-color: {{color}}; color: white; padding: 25px; text-align: center; }
+      .header h2 { margin: 0; font-size: 24px; font-weight: 600; }
+      .content { padding: 30px; }
+      .info-box { background-color: #f8fafc; border-radius: 6px; padding: 15px; margin: 20px 0; border: 1px solid #e2e8f0; }
+      .info-row { margin: 10px 0; display: flex; border-bottom: 1px solid #f1f5f9; padding-bottom: 5px; }
+      .info-row:last-child { border-bottom: none; }
+      .label { font-weight: 600; color: #64748b; width: 140px; min-width: 140px; }
+      .value { color: #0f172a; font-weight: 500; }
+      .button-container { text-align: center; margin-top: 30px; }
+      .button { display: inline-block; padding: 12px 24px; background-color: {{color}}; color: white; text-decoration: none; border-radius: 6px; font-weight: 600; }
+      .footer { background-color: #f8fafc; padding: 20px; text-align: center; font-size: 12px; color: #94a3b8; border-top: 1px solid #e2e8f0; }
+      .footer a { color: #64748b; text-decoration: underline; }`;
+
+const LOGIN_FOOTER = `
+      <p>This is an automated notification. Please do not reply to this email.</p>
+      <p style="margin-top: 10px;">
+        <a href="{{links.login}}" style="color: {{color}}; text-decoration: underline;">Access Login Portal</a>
+      </p>`;
+
+const CARD_FOOTER = `
+      <p>This is an automated notification from the General Services Request System.</p>
+      <p>&copy; {{year}} Styrotech Corporation</p>`;
+
+const LOGIN_BUTTON = `
+      <div class="button-container">
+        <a href="{{links.login}}" class="button">Access Login Portal</a>
+      </div>`;
+
+// Builds a complete HTML document; {{color}} in the shared styles is swapped for the template's accent colour
+const page = ({ styles, extraStyles = '', color, header, body, footer }) => `<!DOCTYPE html>
+<html>
+<head>
+  <style>${styles}${extraStyles}
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">${header}
+    </div>
+    <div class="content">${body}
+    </div>
+    <div class="footer">${footer}
+    </div>
+  </div>
+</body>
+</html>
+`.replace(/\{\{color\}\}/g, color);
+
+const classic = ({ color, title, extraStyles, body, footer = LOGIN_FOOTER }) => page({
+  styles: CLASSIC_STYLES,
+  extraStyles,
+  color,
+  header: `
+      <h2>${title}</h2>`,
+  body,
+  footer
+});
+
+const card = ({ color, title, subtitle = 'Service Vehicle Request', extraStyles, body }) => page({
+  styles: CARD_STYLES,
+  extraStyles,
+  color,
+  header: `
+      <h2>${title}</h2>
+      <p style="margin: 5px 0 0; opacity: 0.9;">${subtitle}</p>`,
+  body,
+  footer: CARD_FOOTER
+});
+
+const commentStyle = (background, border) => `
+      .comments { background-color: ${background}; padding: 15px; border-left: 4px solid ${border}; margin: 15px 0; }`;
+
+const reasonBoxStyle = (background, border) => `
+      .reason-box { background-color: ${background}; border-left: 4px solid ${border}; padding: 15px; margin: 20px 0; border-radius: 4px; }`;
+
+const VERIFIED_COLOR = '{{#if is_verified}}#10b981{{else}}#ef4444{{/if}}';
+const VERIFIED_TINT = '{{#if is_verified}}#d1fae5{{else}}#fee2e2{{/if}}';
+
+export const DEFAULT_EMAIL_TEMPLATES = {
+  request_submitted: {
+    name: 'Request submitted',
+    description: 'Sent to the requestor when an IT requisition request is submitted.',
+    formType: 'item_request',
+    subject: 'Request Submitted: {{request.request_number}}',
+    html_body: classic({
+      color: '#2563eb',
+      title: 'Request Submitted Successfully',
+      body: `
+      <p>Hello {{requestor.name}},</p>
+      <p>Your IT requisition request has been submitted successfully and is now pending department approval.</p>
+
+      <div class="info-row">
+        <span class="label">Request Number:</span> {{request.request_number}}
+      </div>
+      <div class="info-row">
+        <span class="label">Department:</span> {{request.department}}
+      </div>
+      <div class="info-row">
+        <span class="label">Priority:</span> {{request.priority}}
+      </div>
+      <div class="info-row">
+        <span class="label">Submitted Date:</span> {{request.submitted_at}}
+      </div>
+
+      <p>Your request is now awaiting approval from {{approver.name}} (Department Approver).</p>
+
+      <a href="{{links.track}}" class="button">Track Your Request</a>`
+    })
+  },
+
+  approval_required: {
+    name: 'Approval required',
+    description: 'Sent to each approver when an IT requisition request reaches their step. Includes the one-time Approve / Decline / Return links.',
+    formType: 'item_request',
+    subject: 'Action Required: Approve Request {{request.request_number}}',
+    html_body: classic({
+      color: '#f59e0b',
+      title: 'New Request Pending Approval',
+      body: `
+      <p>Hello {{approver.name}},</p>
+      <p>A new IT requisition request requires your approval.</p>
+
+      <div class="info-row">
+        <span class="label">Request Number:</span> {{request.request_number}}
+      </div>
+      <div class="info-row">
+        <span class="label">Requestor:</span> {{requestor.name}}
+      </div>
+      <div class="info-row">
+        <span class="label">Department:</span> {{request.department}}
+      </div>
+      <div class="info-row">
+        <span class="label">Priority:</span> {{request.priority}}
+      </div>
+      <div class="info-row">
+        <span class="label">Submitted Date:</span> {{request.submitted_at}}
+      </div>
+
+      <a href="{{links.request}}" class="button">Review Request</a>
+      {{{action_buttons}}}`
+    })
+  },
+
+  request_approved: {
+    name: 'Request approved',
+    description: 'Sent to the requestor (and BCC\'d IT Managers after department approval) each time an IT requisition request is approved.',
+    formType: 'item_request',
+    subject: 'Request Approved: {{request.request_number}}',
+    html_body: classic({
+      color: '#10b981',
+      title: 'Request Approved',
+      body: `
+      <p>Hello {{requestor.name}},</p>
+      <p>Your request has been approved by {{approver.name}}{{#if stage.label}} ({{stage.label}}){{/if}}.</p>
+
+      <div class="info-row">
+        <span class="label">Request Number:</span> {{request.request_number}}
+      </div>
+      <div class="info-row">
+        <span class="label">Status:</span> {{request.status}}
+      </div>
+      {{#if request.is_completed}}
+      <div class="info-row">
+        <span class="label">Completed Date:</span> {{request.completed_at}}
+      </div>
+      {{else}}{{#if stage.next}}
+      <p>Your request is now pending {{stage.next}} review.</p>
+      {{/if}}{{/if}}
+
+      <a href="{{links.track}}" class="button">View Request Status</a>`
+    })
+  },
+
+  request_declined: {
+    name: 'Request declined',
+    description: 'Sent to the requestor when an IT requisition request is declined.',
+    formType: 'item_request',
+    subject: 'Request Declined: {{request.request_number}}',
+    html_body: classic({
+      color: '#ef4444',
+      title: 'Request Declined',
+      extraStyles: commentStyle('#fee2e2', '#ef4444'),
+      body: `
+      <p>Hello {{requestor.name}},</p>
+      <p>Unfortunately, your request has been declined by {{approver.name}}.</p>
+
+      <div class="info-row">
+        <span class="label">Request Number:</span> {{request.request_number}}
+      </div>
+      <div class="info-row">
+        <span class="label">Status:</span> {{request.status}}
+      </div>
+
+      {{#if comments}}
+      <div class="comments">
+        <strong>Comments:</strong><br>
+        {{comments}}
+      </div>
+      {{/if}}
+
+      <a href="{{links.track}}" class="button">View Request Details</a>`
+    })
+  },
+
+  request_returned: {
+    name: 'Request returned',
+    description: 'Sent to the requestor when an IT requisition request is returned for revision.',
+    formType: 'item_request',
+    subject: 'Request Returned for Revision: {{request.request_number}}',
+    html_body: classic({
+      color: '#f59e0b',
+      title: 'Request Returned for Revision',
+      extraStyles: commentStyle('#fef3c7', '#f59e0b'),
+      body: `
+      <p>Hello {{requestor.name}},</p>
+      <p>Your request has been returned by {{approver.name}} for revision.</p>
+
+      <div class="info-row">
+        <span class="label">Request Number:</span> {{request.request_number}}
+      </div>
+
+      {{#if reason}}
+      <div class="comments">
+        <strong>Revision Required:</strong><br>
+        {{reason}}
+      </div>
+      {{/if}}
+
+      <p>Please review the comments above and update your request accordingly.</p>
+
+      <a href="{{links.request}}" class="button">Update Request</a>`
+    })
+  },
+
+  verifier_assigned: {
+    name: 'Verifier assigned',
+    description: 'Sent to a temporary verifier assigned to an IT requisition request.',
+    formType: 'item_request',
+    subject: 'Action Required: Verify Request {{request.request_number}}',
+    html_body: classic({
+      color: '#8b5cf6',
+      title: 'Action Required: Verification Assignment',
+      extraStyles: commentStyle('#ede9fe', '#8b5cf6'),
+      body: `
+      <p>Hello {{verifier.name}},</p>
+      <p>You have been assigned as a temporary verifier for an IT requisition request.</p>
+
+      <div class="info-row">
+        <span class="label">Request Number:</span> {{request.request_number}}
+      </div>
+      <div class="info-row">
+        <span class="label">Requested By:</span> {{requestor.name}}
+      </div>
+
+      {{#if reason}}
+      <div class="comments">
+        <strong>Reason for Assignment:</strong><br>
+        {{reason}}
+      </div>
+      {{/if}}
+
+      <p>Please review the request details and provide your verification decision.</p>
+
+      <a href="{{links.request}}" class="button">View Request</a>`
+    })
+  },
+
+  verification_completed: {
+    name: 'Verification completed',
+    description: 'Sent to the requestor (BCC IT Managers) when the verifier verifies or declines an IT requisition request.',
+    formType: 'item_request',
+    subject: 'Request {{#if is_verified}}Verified{{else}}Verification Declined{{/if}}: {{request.request_number}}',
+    html_body: classic({
+      color: VERIFIED_COLOR,
+      title: '{{#if is_verified}}Request Verified{{else}}Request Verification Declined{{/if}}',
+      extraStyles: commentStyle(VERIFIED_TINT, VERIFIED_COLOR),
+      body: `
+      <p>Hello,</p>
+      <p>The IT requisition request <strong>{{request.request_number}}</strong> has been <strong>{{status}}</strong> by the assigned verifier ({{verifier.name}}).</p>
+
+      <div class="info-row">
+        <span class="label">Requested By:</span> {{requestor.name}}
+      </div>
+
+      {{#if comments}}
+      <div class="comments">
+        <strong>Verifier Remarks:</strong><br>
+        {{comments}}
+      </div>
+      {{/if}}
+
+      <p>Please review the request details for next steps.</p>
+
+      <a href="{{links.request}}" class="button">View Request Details</a>`
+    })
+  },
+
+  vehicle_request_submitted: {
+    name: 'Service vehicle request submitted',
+    description: 'Sent to the requestor when a service vehicle request is submitted.',
+    formType: 'vehicle_request',
+    subject: 'Service Vehicle Request Submitted: {{request.reference_code}}',
+    html_body: card({
+      color: '#2563eb',
+      title: 'Request Submitted',
+      body: `
+      <p>Hello <strong>{{requestor.name}}</strong>,</p>
+      <p>Your service vehicle request has been submitted successfully and is now pending department approval.</p>
+
+      <div class="info-box">
+        <div class="info-row">
+          <span class="label">Reference Code:</span>
+          <span class="value">{{request.reference_code}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Request Type:</span>
+          <span class="value" style="text-transform: capitalize;">{{request.request_type}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Travel Date:</span>
+          <span class="value">{{request.travel_date}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Submitted Date:</span>
+          <span class="value">{{request.submitted_at}}</span>
+        </div>
+        {{#if request.urgency_justification}}
+        <div class="info-row" style="background-color: #fef2f2; border-left: 3px solid #dc2626; padding-left: 10px;">
+          <span class="label" style="color: #dc2626;">Urgency Justification:</span>
+          <span class="value" style="color: #dc2626; font-weight: bold;">{{request.urgency_justification}}</span>
+        </div>
+        {{/if}}
+      </div>
+
+      <p>Your request is now awaiting approval from <strong>{{#if approver.name}}{{approver.name}}{{else}}your department approver{{/if}}</strong>.</p>
+
+      <p>You will be notified once your request has been reviewed.</p>
+${LOGIN_BUTTON}`
+    })
+  },
+
+  vehicle_approval_required: {
+    name: 'Service vehicle approval required',
+    description: 'Sent to each approver when a service vehicle request reaches their step. Includes the one-time Approve / Decline / Return links.',
+    formType: 'vehicle_request',
+    subject: 'Action Required: Approve Service Vehicle Request {{request.reference_code}}',
+    html_body: card({
+      color: '#f59e0b',
+      title: 'Action Required',
+      subtitle: 'Service Vehicle Request Approval',
+      body: `
+      <p>Hello <strong>{{approver.name}}</strong>,</p>
+      <p>A new service vehicle request requires your review and approval.</p>
+
+      <div class="info-box">
+        <div class="info-row">
+          <span class="label">Reference Code:</span>
+          <span class="value">{{request.reference_code}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Requestor:</span>
+          <span class="value">{{requestor.name}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Request Type:</span>
+          <span class="value" style="text-transform: capitalize;">{{request.request_type}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Travel Date:</span>
+          <span class="value">{{request.travel_date}}</span>
+        </div>
+        {{#if request.purpose}}
+        <div class="info-row">
+          <span class="label">Purpose:</span>
+          <span class="value">{{request.purpose}}</span>
+        </div>
+        {{/if}}
+        {{#if request.urgency_justification}}
+        <div class="info-row" style="background-color: #fef2f2; border-left: 3px solid #dc2626; padding-left: 10px;">
+          <span class="label" style="color: #dc2626;">Urgency Justification:</span>
+          <span class="value" style="color: #dc2626; font-weight: bold;">{{request.urgency_justification}}</span>
+        </div>
+        {{/if}}
+        {{#if request.attachment_count}}
+        <div class="info-row">
+          <span class="label">Attachments:</span>
+          <span class="value">{{request.attachment_count}} file(s) attached</span>
+        </div>
+        {{/if}}
+      </div>
+
+      <p>Please log in to the General Services Request System to review and process this request.</p>
+${LOGIN_BUTTON}
+      {{{action_buttons}}}`
+    })
+  },
+
+  vehicle_request_approved: {
+    name: 'Service vehicle request approved',
+    description: 'Sent to the requestor each time a service vehicle request is approved, whether or not more approvals are pending.',
+    formType: 'vehicle_request',
+    subject: 'Service Vehicle Request Approved{{#unless is_completed}} - Pending Next Approval{{/unless}}: {{request.reference_code}}',
+    html_body: card({
+      color: '#16a34a',
+      title: 'Request Approved',
+      extraStyles: `
+      .pending-notice { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }`,
+      body: `
+      <p>Hello <strong>{{requestor.name}}</strong>,</p>
+      {{#if is_completed}}
+      <p>Your service vehicle request has been <strong>approved and completed</strong>.</p>
+      {{else}}
+      <p>Your service vehicle request has been approved by {{approver.name}}.</p>
+      <div class="pending-notice">
+        <strong>Note:</strong> Your request is now pending approval from {{#if next_approver.name}}{{next_approver.name}}{{else}}the next approver{{/if}}. You will be notified once all approvals are complete.
+      </div>
+      {{/if}}
+
+      <div class="info-box">
+        <div class="info-row">
+          <span class="label">Reference Code:</span>
+          <span class="value">{{request.reference_code}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Approved By:</span>
+          <span class="value">{{approver.name}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Approval Date:</span>
+          <span class="value">{{request.approval_date}}</span>
+        </div>
+        {{#if comments}}
+        <div class="info-row">
+          <span class="label">Comments:</span>
+          <span class="value">{{comments}}</span>
+        </div>
+        {{/if}}
+      </div>
+
+      {{#if is_completed}}
+      <p>Your vehicle request is now complete. Please contact your department for further arrangements.</p>
+      {{else}}
+      <p>Your request will be processed further once all required approvals are received.</p>
+      {{/if}}
+${LOGIN_BUTTON}`
+    })
+  },
+
+  vehicle_request_declined: {
+    name: 'Service vehicle request declined',
+    description: 'Sent to the requestor when a service vehicle request is declined.',
+    formType: 'vehicle_request',
+    subject: 'Service Vehicle Request Declined: {{request.reference_code}}',
+    html_body: card({
+      color: '#dc2626',
+      title: 'Request Declined',
+      extraStyles: `
+      .info-box { background-color: #fef2f2; border-color: #fecaca; }
+      .info-row { border-bottom-color: #fee2e2; }
+      .label { color: #991b1b; }
+      .value { color: #7f1d1d; }${reasonBoxStyle('#fee2e2', '#dc2626')}`,
+      body: `
+      <p>Hello <strong>{{requestor.name}}</strong>,</p>
+      <p>Unfortunately, your service vehicle request has been declined.</p>
+
+      <div class="info-box">
+        <div class="info-row">
+          <span class="label">Reference Code:</span>
+          <span class="value">{{request.reference_code}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Declined By:</span>
+          <span class="value">{{approver.name}}</span>
+        </div>
+      </div>
+
+      {{#if comments}}
+      <div class="reason-box">
+        <strong>Reason for Decline:</strong><br>
+        {{comments}}
+      </div>
+      {{/if}}
+
+      <p>If you have any questions, please contact {{approver.name}}.</p>
+${LOGIN_BUTTON}`
+    })
+  },
+
+  vehicle_request_returned: {
+    name: 'Service vehicle request returned',
+    description: 'Sent to the requestor when a service vehicle request is returned for revision.',
+    formType: 'vehicle_request',
+    subject: 'Service Vehicle Request Returned for Revision: {{request.reference_code}}',
+    html_body: card({
+      color: '#f59e0b',
+      title: 'Returned for Revision',
+      extraStyles: `
+      .info-box { background-color: #fffbeb; border-color: #fcd34d; }
+      .info-row { border-bottom-color: #fef3c7; }
+      .label { color: #92400e; }
+      .value { color: #78350f; }${reasonBoxStyle('#fff7ed', '#f59e0b')}`,
+      body: `
+      <p>Hello <strong>{{requestor.name}}</strong>,</p>
+      <p>Your service vehicle request has been returned for revision.</p>
+
+      <div class="info-box">
+        <div class="info-row">
+          <span class="label">Reference Code:</span>
+          <span class="value">{{request.reference_code}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Returned By:</span>
+          <span class="value">{{approver.name}}</span>
+        </div>
+      </div>
+
+      {{#if reason}}
+      <div class="reason-box">
+        <strong>Revision Required:</strong><br>
+        {{reason}}
+      </div>
+      {{/if}}
+
+      <p>Please review the comments above and resubmit your request with the necessary changes.</p>
+${LOGIN_BUTTON}`
+    })
+  },
+
+  vehicle_request_cancelled: {
+    name: 'Service vehicle request cancelled',
+    description: 'Sent to ODHC when the requestor cancels a service vehicle request.',
+    formType: 'vehicle_request',
+    subject: 'Service Vehicle Request Cancelled: {{request.reference_code}}',
+    html_body: card({
+      color: '#ef4444',
+      title: 'Request Cancelled',
+      extraStyles: `
+      .reason-box { background-color: #fee2e2; padding: 15px; border-left: 4px solid #ef4444; margin: 15px 0; border-radius: 0 6px 6px 0; }`,
+      body: `
+      <p>Hello <strong>{{recipient.first_name}}</strong>,</p>
+      <p>A service vehicle request has been <strong>cancelled</strong> by the requestor.</p>
+
+      <div class="info-box">
+        <div class="info-row">
+          <span class="label">Reference Code:</span>
+          <span class="value">{{request.reference_code}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Requestor:</span>
+          <span class="value">{{requestor.name}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Travel Date:</span>
+          <span class="value">{{request.travel_date}}</span>
+        </div>
+      </div>
+
+      <div class="reason-box">
+        <p style="margin: 0 0 5px 0;"><strong>Cancellation Reason:</strong></p>
+        <p style="margin: 0;">{{reason}}</p>
+      </div>
+
+      <p>No further action is required for this request.</p>`
+    })
+  },
+
+  vehicle_attachments_added: {
+    name: 'Service vehicle attachments added',
+    description: 'Sent to the requestor when someone uploads attachments to their service vehicle request.',
+    formType: 'vehicle_request',
+    subject: 'New Attachments Added: {{request.reference_code}}',
+    html_body: classic({
+      color: '#3b82f6',
+      title: 'New Attachments Added to Vehicle Request',
+      extraStyles: `
+      .attachment-box { background-color: #dbeafe; border-left: 4px solid #3b82f6; padding: 15px; margin: 15px 0; }`,
+      body: `
+      <p>Hello {{requestor.name}},</p>
+      <p>New attachment(s) have been added to your vehicle request.</p>
+
+      <div class="info-row">
+        <span class="label">Reference Code:</span> {{request.reference_code}}
+      </div>
+      <div class="info-row">
+        <span class="label">Uploaded By:</span> {{uploaded_by.name}}
+      </div>
+      <div class="info-row">
+        <span class="label">Number of Files:</span> {{attachment_count}}
+      </div>
+      <div class="info-row">
+        <span class="label">Upload Date:</span> {{now}}
+      </div>
+
+      <div class="attachment-box">
+        <strong>📎 Attachments:</strong><br>
+        {{attachment_count}} file(s) attached to this request. Please check the request details in the system to view the files.
+      </div>
+
+      <p>You can view the attachments by accessing the request in the system.</p>`
+    })
+  },
+
+  vehicle_verifier_assigned: {
+    name: 'Service vehicle verifier assigned',
+    description: 'Sent to the verifier assigned to a service vehicle request.',
+    formType: 'vehicle_request',
+    subject: 'Action Required: Verify Service Vehicle Request {{request.reference_code}}',
+    html_body: card({
+      color: '#8b5cf6',
+      title: 'Verification Assignment',
+      body: `
+      <p>Hello {{verifier.first_name}},</p>
+      <p>You have been assigned to verify the following Service Vehicle Request.</p>
+
+      <div class="info-box">
+        <div class="info-row">
+          <span class="label">Reference Code:</span>
+          <span class="value">{{request.reference_code}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Requestor:</span>
+          <span class="value">{{requestor.name}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Reason for Assignment:</span>
+          <span class="value">{{#if request.verifier_reason}}{{request.verifier_reason}}{{else}}N/A{{/if}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Travel Date:</span>
+          <span class="value">{{request.travel_date}}</span>
+        </div>
+        <div class="info-row">
+          <span class="label">Destination:</span>
+          <span class="value">{{request.destination}}</span>
+        </div>
+      </div>
+
+      <p>Please review the details and provide verification or decline/notes.</p>
+
+      <div class="button-container">
+        <a href="{{links.request}}" class="button">View Request</a>
+      </div>`
+    })
+  },
+
+  vehicle_verification_outcome: {
+    name: 'Service vehicle verification outcome',
+    description: 'Sent to the ODHC team when the verifier verifies or declines a service vehicle request.',
+    formType: 'vehicle_request',
+    subject: 'Verification {{#if is_verified}}Completed{{else}}Declined{{/if}}: Request {{request.reference_code}}',
+    html_body: card({
+      color: VERIFIED_COLOR,
+      title: 'Verification {{#if is_verified}}Success{{else}}Declined{{/if}}',
+      extraStyles: reasonBoxStyle(VERIFIED_TINT, VERIFIED_COLOR),
+      body: `
+      <p>Hello ODHC Team,</p>
+      <p>The temporary verifier <strong>{{verifier.name}}</strong> has <strong>{{#if is_verified}}VERIFIED{{else}}DECLINED{{/if}}</strong> the request.</p>
+
+      <div class="info-box">
+        <div class="info-row">
+          <span class="label">Reference Code:</span>
+          <span class="value">{{request.reference_code}}</span>
+        </div>
+      </div>
+
+      <div class="reason-box">
+        <strong>Verifier Comments:</strong><br>
+        {{#if comments}}{{comments}}{{else}}No comments provided.{{/if}}
+      </div>
+
+      <div class="button-container">
+        <a href="{{links.request}}" class="button">View Request</a>
+      </div>`
+    })
+  },
+
+  approval_reminder: {
+    name: 'Approval reminder',
+    description: 'Sent to pending approvers when a request is past the SLA of its current workflow step.',
+    formType: null,
+    subject: 'Reminder: Approval Pending for {{summary.reference}}',
+    html_body: classic({
+      color: '#f59e0b',
+      title: 'Reminder: Approval Pending',
+      body: `
+      <p>Hello {{approver.name}},</p>
+      <p>The following {{summary.form_label}} has been waiting for your approval for {{summary.hours_pending}} hours, which is past the {{summary.sla_hours}}-hour target for this step.</p>
+
+      <div class="info-row">
+        <span class="label">Reference:</span> {{summary.reference}}
+      </div>
+      <div class="info-row">
+        <span class="label">Requestor:</span> {{summary.requestor_name}}
+      </div>
+      <div class="info-row">
+        <span class="label">Approval Step:</span> {{summary.step_name}}
+      </div>
+      <div class="info-row">
+        <span class="label">Reminder:</span> {{summary.reminder_number}}
+      </div>
+
+      <a href="{{summary.link}}" class="button">Review Request</a>`
+    })
+  },
+
+  approval_escalated: {
+    name: 'Approval escalated',
+    description: 'Sent to backup approvers or the IT Manager when a stalled approval is escalated.',
+    formType: null,
+    subject: 'Escalation: {{summary.reference}} is awaiting approval',
+    html_body: classic({
+      color: '#ef4444',
+      title: 'Approval Escalated',
+      extraStyles: commentStyle('#fee2e2', '#ef4444'),
+      body: `
+      <p>Hello {{recipient.name}},</p>
+      <p>The following {{summary.form_label}} has been stalled at the <strong>{{summary.step_name}}</strong> step for {{summary.hours_pending}} hours and has been escalated to you.</p>
+
+      <div class="info-row">
+        <span class="label">Reference:</span> {{summary.reference}}
+      </div>
+      <div class="info-row">
+        <span class="label">Requestor:</span> {{summary.requestor_name}}
+      </div>
+      <div class="info-row">
+        <span class="label">Pending With:</span> {{#if summary.pending_with}}{{summary.pending_with}}{{else}}N/A{{/if}}
+      </div>
+
+      <div class="comments">
+        {{#if summary.is_backup_approver}}
+        You have been added as a backup approver for this step and may approve, decline or return the request.
+        {{else}}
+        Please follow up with the pending approver(s) or reassign the request.
+        {{/if}}
+      </div>
+
+      <a href="{{summary.link}}" class="button">View Request</a>`
+    })
+  },
+
+  asset_transfer_approval: {
+    name: 'Equipment transfer approval',
+    description: 'Sent to the department approvers of both departments when an asset transfer is requested.',
+    formType: null,
+    subject: 'Equipment Transfer Approval: {{equipment.asset_tag}}',
+    html_body: classic({
+      color: '#2563eb',
+      title: 'Equipment Transfer Awaiting Approval',
+      extraStyles: commentStyle('#eff6ff', '#2563eb'),
+      body: `
+      <p>Hello {{approver.name}},</p>
+      <p>A transfer of the following equipment involves your department and needs your approval.</p>
+
+      <div class="info-row">
+        <span class="label">Asset Tag:</span> {{equipment.asset_tag}}
+      </div>
+      <div class="info-row">
+        <span class="label">Model:</span> {{#if equipment.model}}{{equipment.model}}{{else}}N/A{{/if}}
+      </div>
+      <div class="info-row">
+        <span class="label">From:</span> {{#if equipment.from_custodian}}{{equipment.from_custodian}}{{else}}N/A{{/if}} ({{equipment.from_department}})
+      </div>
+      <div class="info-row">
+        <span class="label">To:</span> {{equipment.to_custodian}} ({{equipment.to_department}})
+      </div>
+
+      <div class="comments">
+        <strong>Reason:</strong><br>
+        {{equipment.reason}}
+      </div>
+
+      <a href="{{links.my_equipment}}" class="button">Review Transfer</a>`
+    })
+  },
+
+  asset_transfer_decided: {
+    name: 'Equipment transfer decided',
+    description: 'Sent to whoever requested a transfer and to the old and new custodians once it is approved or declined.',
+    formType: null,
+    subject: 'Equipment Transfer {{equipment.status_label}}: {{equipment.asset_tag}}',
+    html_body: classic({
+      color: '#10b981',
+      title: 'Equipment Transfer {{equipment.status_label}}',
+      extraStyles: commentStyle('#f3f4f6', '#6b7280'),
+      body: `
+      <p>Hello {{recipient.name}},</p>
+      <p>The transfer of <strong>{{equipment.asset_tag}}</strong>{{#if equipment.model}} ({{equipment.model}}){{/if}} has been {{equipment.status_label}}.</p>
+
+      <div class="info-row">
+        <span class="label">From:</span> {{#if equipment.from_custodian}}{{equipment.from_custodian}}{{else}}N/A{{/if}} ({{equipment.from_department}})
+      </div>
+      <div class="info-row">
+        <span class="label">To:</span> {{equipment.to_custodian}} ({{equipment.to_department}})
+      </div>
+
+      {{#if equipment.comments}}
+      <div class="comments">
+        <strong>Comments:</strong><br>
+        {{equipment.comments}}
+      </div>
+      {{/if}}
+
+      <a href="{{links.my_equipment}}" class="button">View My Equipment</a>`
+    })
+  },
+
+  asset_loan_overdue: {
+    name: 'Borrowed equipment overdue',
+    description: 'Sent daily to the borrower and to the Service Desk member who issued a loan once it is past its due date.',
+    formType: null,
+    subject: 'Overdue: {{equipment.asset_tag}} was due back on {{equipment.due_date}}',
+    html_body: classic({
+      color: '#f59e0b',
+      title: 'Borrowed Equipment Overdue',
+      body: `
+      <p>Hello {{recipient.name}},</p>
+      <p>The following equipment on loan to {{equipment.borrower}} was due back on {{equipment.due_date}} and is now {{equipment.days_overdue}} day(s) overdue. Please return it to the IT Service Desk.</p>
+
+      <div class="info-row">
+        <span class="label">Asset Tag:</span> {{equipment.asset_tag}}
+      </div>
+      <div class="info-row">
+        <span class="label">Model:</span> {{#if equipment.model}}{{equipment.model}}{{else}}N/A{{/if}}
+      </div>
+      <div class="info-row">
+        <span class="label">Serial Number:</span> {{#if equipment.serial_number}}{{equipment.serial_number}}{{else}}N/A{{/if}}
+      </div>
+      <div class="info-row">
+        <span class="label">Reminder:</span> {{equipment.reminder_number}}
+      </div>
+
+      <a href="{{links.my_equipment}}" class="button">View My Equipment</a>`
+    })
+  },
+
+  asset_return_requested: {
+    name: 'Replaced equipment to collect',
+    description: 'Sent to the Service Desk when a replacement is deployed and the equipment it replaces has to come back.',
+    formType: 'item_request',
+    subject: 'Return Task: collect {{equipment.asset_tag}} from {{equipment.from_custodian}}',
+    html_body: classic({
+      color: '#0ea5e9',
+      title: 'Replaced Equipment to Collect',
+      body: `
+      <p>Hello {{recipient.name}},</p>
+      <p>Request <strong>{{request.request_number}}</strong> has been deployed as a replacement. Please collect the equipment it replaces and record a return inspection.</p>
+
+      <div class="info-row">
+        <span class="label">Asset Tag:</span> {{equipment.asset_tag}}
+      </div>
+      <div class="info-row">
+        <span class="label">Model:</span> {{#if equipment.model}}{{equipment.model}}{{else}}N/A{{/if}}
+      </div>
+      <div class="info-row">
+        <span class="label">Serial Number:</span> {{#if equipment.serial_number}}{{equipment.serial_number}}{{else}}N/A{{/if}}
+      </div>
+      <div class="info-row">
+        <span class="label">Collect From:</span> {{#if equipment.from_custodian}}{{equipment.from_custodian}}{{else}}N/A{{/if}}
+      </div>
+
+      <a href="{{links.assets}}" class="button">Open Asset Registry</a>`
+    })
+  },
+
+  low_stock_report: {
+    name: 'Low-stock report',
+    description: 'Sent daily to the Service Desk and IT Managers while any SKU of a tracked stock category is at or below its minimum level.',
+    formType: null,
+    subject: 'Low Stock: {{stock_alert_count}} item{{#if stock_alerts.1}}s need{{else}} needs{{/if}} reordering',
+    html_body: classic({
+      color: '#dc2626',
+      title: 'Low-Stock Report',
+      extraStyles: `
+      table { width: 100%; border-collapse: collapse; margin-top: 10px; font-size: 13px; }
+      th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+      th { background-color: #f3f4f6; color: #4b5563; }
+      .num { text-align: right; }`,
+      body: `
+      <p>Hello {{recipient.name}},</p>
+      <p>The following stock is at or below its minimum level. Suggested quantities cover the last 90 days of consumption and open requests, less what is already on order.</p>
+
+      <table>
+        <tr>
+          <th>SKU</th>
+          <th class="num">Available</th>
+          <th class="num">Minimum</th>
+          <th class="num">On Order</th>
+          <th class="num">Suggested</th>
+        </tr>
+        {{#each stock_alerts}}
+        <tr>
+          <td><strong>{{name}}</strong> ({{code}})<br><span style="font-size: 11px; color: #6b7280;">{{category}} &middot; {{status_label}}, {{on_hand}} on hand, {{reserved}} reserved</span></td>
+          <td class="num">{{available}}</td>
+          <td class="num">{{min_stock_level}}</td>
+          <td class="num">{{on_order_quantity}}</td>
+          <td class="num"><strong>{{suggested_quantity}}</strong></td>
+        </tr>
+        {{/each}}
+      </table>
+
+      <a href="{{links.dashboard}}" class="button">Review and Replenish</a>`
+    })
+  },
+
+  notification_digest: {
+    name: 'Daily notification digest',
+    description: 'The once-a-day summary for users who chose "Daily digest" for some notifications.',
+    formType: null,
+    subject: 'Daily Summary: {{notification_count}} update(s)',
+    html_body: classic({
+      color: '#2563eb',
+      title: 'Your Daily Summary',
+      extraStyles: `
+      .item { padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+      .item-title { font-weight: bold; }
+      .item-title a { color: #2563eb; text-decoration: none; }
+      .item-time { font-size: 12px; color: #6b7280; }`,
+      body: `
+      <p>Hello {{recipient.name}},</p>
+      <p>Here are the {{notification_count}} update(s) you chose to receive as a daily digest:</p>
+      {{#each notifications}}
+      <div class="item">
+        <div class="item-title">
+          {{#if link}}<a href="{{link}}">{{title}}</a>{{else}}{{title}}{{/if}}
+        </div>
+        {{#if message}}<div>{{message}}</div>{{/if}}
+        <div class="item-time">{{created_at}}</div>
+      </div>
+      {{/each}}`,
+      footer: `
+      <p>This is an automated notification. Please do not reply to this email.</p>
+      <p style="margin-top: 10px;">
+        <a href="{{links.profile}}" style="color: #2563eb; text-decoration: underline;">Change notification preferences</a>
+      </p>`
+    })
+  }
+};
+
+// Shown in the template editor as the list of available placeholders
+export const EMAIL_TEMPLATE_VARIABLES = [
+  { name: 'request.request_number', description: 'Request number (item requests) or reference code (service vehicle requests)' },
+  { name: 'request.reference_code', description: 'Service vehicle reference code' },
+  { name: 'request.status', description: 'Current status, e.g. department_approval' },
+  { name: 'request.status_label', description: 'Current status in words' },
+  { name: 'request.is_completed', description: 'True once the request is completed' },
+  { name: 'request.priority', description: 'Item request priority' },
+  { name: 'request.department', description: 'Requesting department' },
+  { name: 'request.submitted_at', description: 'Submission date and time' },
+  { name: 'request.completed_at', description: 'Completion date and time' },
+  { name: 'request.approval_date', description: 'Latest approval date and time' },
+  { name: 'request.request_type', description: 'Service vehicle request type' },
+  { name: 'request.travel_date', description: 'Service vehicle travel date' },
+  { name: 'request.purpose', description: 'Service vehicle purpose' },
+  { name: 'request.destination', description: 'Service vehicle destination' },
+  { name: 'request.urgency_justification', description: 'Urgency justification, if any' },
+  { name: 'request.verifier_reason', description: 'Why a verifier was assigned' },
+  { name: 'request.attachment_count', description: 'Number of files attached to the request' },
+  { name: 'requestor.name', description: 'Requestor\'s full name (also first_name, last_name, email)' },
+  { name: 'approver.name', description: 'Approver who acted or must act (also first_name, last_name, email)' },
+  { name: 'next_approver.name', description: 'Next approver, when more approvals are pending' },
+  { name: 'recipient.name', description: 'Person the email is addressed to' },
+  { name: 'verifier.name', description: 'Assigned verifier' },
+  { name: 'uploaded_by.name', description: 'Person who uploaded attachments' },
+  { name: 'comments', description: 'Approver or verifier comments' },
+  { name: 'reason', description: 'Return, cancellation or verifier assignment reason' },
+  { name: 'status', description: 'Verification result: verified or declined' },
+  { name: 'is_verified', description: 'True when the verifier verified the request' },
+  { name: 'is_completed', description: 'True when a service vehicle approval was the final one' },
+  { name: 'stage.label', description: 'Approval stage that was just completed' },
+  { name: 'stage.next', description: 'Who reviews the request next' },
+  { name: 'attachment_count', description: 'Number of files just uploaded' },
+  { name: 'summary.reference', description: 'Reminders/escalations: request reference (also form_label, requestor_name, step_name, hours_pending, sla_hours, reminder_number, pending_with, is_backup_approver, link)' },
+  { name: 'equipment.asset_tag', description: 'Equipment emails: asset tag (also model, serial_number, from_custodian, from_department, to_custodian, to_department, reason, status_label, comments, borrower, due_date, days_overdue, reminder_number)' },
+  { name: 'stock_alerts', description: 'Low-stock report: list for {{#each stock_alerts}} with name, code, category, status_label, on_hand, reserved, available, min_stock_level, consumed_quantity, open_request_quantity, on_order_quantity and suggested_quantity' },
+  { name: 'stock_alert_count', description: 'Low-stock report: number of SKUs listed' },
+  { name: 'notifications', description: 'Digest: list for {{#each notifications}} with title, message, link and created_at' },
+  { name: 'notification_count', description: 'Digest: number of notifications' },
+  { name: 'links.request', description: 'Link to the request in the system' },
+  { name: 'links.track', description: 'Public tracking link for item requests' },
+  { name: 'links.login', description: 'Login page' },
+  { name: 'links.profile', description: 'Profile settings (notification preferences)' },
+  { name: 'links.my_equipment', description: 'The recipient\'s My Equipment page' },
+  { name: 'links.assets', description: 'The Service Desk\'s asset registry' },
+  { name: 'links.dashboard', description: 'The dashboard, where low-stock alerts are shown' },
+  { name: 'action_buttons', raw: true, description: 'One-time Approve / Decline / Return buttons for approval emails' },
+  { name: 'now', description: 'Current date and time' },
+  { name: 'year', description: 'Current year' }
+];
@@ -0,0 +1,211 @@
+import { EmailTemplate } from '../models/index.js';
+import { DEFAULT_EMAIL_TEMPLATES } from './emailTemplateDefaults.js';
+
+// {{{path}}} inserts a value as-is, {{path}} HTML-escapes it, and
+// {{#if path}} / {{#unless path}} / {{#each path}} ... {{else}} ... {{/if}} etc. are blocks
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if|#unless|#each|else|\/if|\/unless|\/each)?\s*([\w.]*)\s*\}\}/g;
+
+const BLOCKS = ['if', 'unless', 'each'];
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Parse a template into a tree of text, variable and block nodes.
+ * Throws an Error describing the first syntax problem found.
+ */
+function parseTemplate(source) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const append = (node) => {
+    const parent = stack[stack.length - 1];
+    (parent.inverse || parent.children).push(node);
+  };
+
+  for (const match of String(source || '').matchAll(TAG_PATTERN)) {
+    const [tag, rawPath, keyword, path] = match;
+
+    if (match.index > lastIndex) {
+      append({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (rawPath) {
+      append({ type: 'var', path: rawPath, raw: true });
+      continue;
+    }
+
+    if (!keyword) {
+      if (!path) throw new Error(`Empty placeholder "${tag}"`);
+      append({ type: 'var', path, raw: false });
+      continue;
+    }
+
+    const current = stack[stack.length - 1];
+
+    if (keyword.startsWith('#')) {
+      if (!path) throw new Error(`"${tag}" needs a variable, e.g. {{${keyword} request.comments}}`);
+      const block = { type: keyword.slice(1), path, children: [], inverse: null };
+      append(block);
+      stack.push(block);
+    } else if (keyword === 'else') {
+      if (current.type === 'root' || current.inverse) throw new Error('{{else}} must be inside an {{#if}}, {{#unless}} or {{#each}} block');
+      current.inverse = [];
+    } else {
+      const type = keyword.slice(1);
+      if (current.type !== type) {
+        throw new Error(current.type === 'root'
+          ? `"${tag}" has no matching {{#${type}}}`
+          : `"${tag}" found where {{/${current.type}}} was expected`);
+      }
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`{{#${stack[stack.length - 1].type} ${stack[stack.length - 1].path}}} is never closed`);
+  }
+
+  if (lastIndex < String(source || '').length) {
+    append({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root;
+}
+
+/**
+ * Resolve a dotted path against the innermost scope that has its first segment.
+ * Only own properties are read, so templates can't reach prototypes.
+ */
+function lookup(scopes, path) {
+  const [head, ...rest] = path.split('.');
+  const hasOwn = (value, key) => value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key);
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (head !== 'this' && !hasOwn(scope, head)) continue;
+
+    const start = head === 'this' ? scope : scope[head];
+    return rest.reduce((value, key) => (hasOwn(value, key) ? value[key] : undefined), start);
+  }
+
+  return undefined;
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+function renderNodes(nodes, scopes, escape) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var': {
+        const value = lookup(scopes, node.path);
+        if (value === null || value === undefined || typeof value === 'object') return '';
+        return node.raw || !escape ? String(value) : escapeHtml(value);
+      }
+      case 'each': {
+        const list = lookup(scopes, node.path);
+        if (!Array.isArray(list) || list.length === 0) {
+          return node.inverse ? renderNodes(node.inverse, scopes, escape) : '';
+        }
+        return list.map(item => renderNodes(node.children, [...scopes, item], escape)).join('');
+      }
+      default: {
+        const truthy = isTruthy(lookup(scopes, node.path));
+        const show = node.type === 'unless' ? !truthy : truthy;
+        if (show) return renderNodes(node.children, scopes, escape);
+        return node.inverse ? renderNodes(node.inverse, scopes, escape) : '';
+      }
+    }
+  }).join('');
+}
+
+/**
+ * Fill a template's placeholders from `context`.
+ * Pass `escape: false` for plain-text output such as subject lines.
+ */
+export function renderTemplate(source, context = {}, { escape = true } = {}) {
+  return renderNodes(parseTemplate(source).children, [context], escape);
+}
+
+/**
+ * Syntax problem in a template, or null when it parses
+ */
+export function getTemplateSyntaxError(source) {
+  try {
+    parseTemplate(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+export const isEmailTemplateKey = (key) => Object.prototype.hasOwnProperty.call(DEFAULT_EMAIL_TEMPLATES, key);
+
+// Saved templates by key; cleared whenever an admin edits one
+const templateCache = new Map();
+
+export function clearEmailTemplateCache(key = null) {
+  if (key) {
+    templateCache.delete(key);
+  } else {
+    templateCache.clear();
+  }
+}
+
+/**
+ * Current subject and body for `key`: the saved template, or the built-in default
+ * when there is none or the database can't be reached
+ */
+export async function getEmailTemplate(key) {
+  if (templateCache.has(key)) {
+    return templateCache.get(key);
+  }
+
+  const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+  if (!defaults) {
+    throw new Error(`Unknown email template "${key}"`);
+  }
+
+  try {
+    const saved = await EmailTemplate.findOne({ where: { key } });
+    const template = saved
+      ? { subject: saved.subject, html_body: saved.html_body }
+      : { subject: defaults.subject, html_body: defaults.html_body };
+    templateCache.set(key, template);
+    return template;
+  } catch (error) {
+    console.error(`Failed to load email template "${key}", using the default:`, error.message);
+    return { subject: defaults.subject, html_body: defaults.html_body };
+  }
+}
+
+/**
+ * Render a subject/body pair. A broken saved template falls back to the default
+ * rather than stopping the email.
+ */
+export function renderEmailTemplate(key, template, context) {
+  try {
+    return {
+      subject: renderTemplate(template.subject, context, { escape: false }).replace(/\s+/g, ' ').trim(),
+      html: renderTemplate(template.html_body, context)
+    };
+  } catch (error) {
+    const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+    if (!defaults || (template.subject === defaults.subject && template.html_body === defaults.html_body)) {
+      throw error;
+    }
+    console.error(`Email template "${key}" could not be rendered, using the default:`, error.message);
+    return renderEmailTemplate(key, defaults, context);
+  }
+}
@@ -1,6 +1,7 @@
 import XLSX from 'xlsx';
-import { User, Department } from '../models/index.js';
+import { User, Department, StockLocation } from '../models/index.js';
 import { Op } from 'sequelize';
+import { INVENTORY_IMPORT_COLUMNS, INVENTORY_IMPORT_SHEET } from './inventoryImport.js';
 
 class ExportService {
   /**
@@ -198,6 +199,115 @@ class ExportService {
     }
   }
 
+  /**
+   * Export a stock count's variance report to Excel format
+   */
+  exportStocktakeVariance(stocktake) {
+    const lines = stocktake.lines || [];
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+    const varianceData = lines.map(line => ({
+      'Category': line.category_name,
+      'SKU Code': line.code,
+      'SKU': line.name,
+      'Location': line.location_name,
+      'Unit': line.unit,
+      'System Qty (Count Opened)': line.snapshot_quantity,
+      'System Qty (When Counted)': line.expected_quantity ?? '',
+      'Counted Qty': line.counted_quantity ?? 'Not counted',
+      'Variance': line.variance ?? '',
+      'Moved Since Count': line.moved_since_count,
+      'Current System Qty': line.system_quantity,
+      'Reason': line.reason || '',
+      'Counted At': formatDate(line.counted_at),
+      'Adjustment Posted': line.posted_quantity ?? ''
+    }));
+
+    const summaryData = [
+      { 'Field': 'Reference', 'Value': stocktake.reference },
+      { 'Field': 'Scope', 'Value': stocktake.Category?.name || 'All stock-tracked categories' },
+      { 'Field': 'Location', 'Value': stocktake.Location?.name || 'All locations' },
+      { 'Field': 'Status', 'Value': stocktake.status },
+      { 'Field': 'Opened', 'Value': formatDate(stocktake.createdAt) },
+      { 'Field': 'Posted', 'Value': formatDate(stocktake.posted_at) },
+      { 'Field': 'Lines', 'Value': stocktake.line_count },
+      { 'Field': 'Counted', 'Value': stocktake.counted_count },
+      { 'Field': 'With Variance', 'Value': stocktake.variance_count },
+      { 'Field': 'Net Variance', 'Value': stocktake.net_variance },
+      { 'Field': 'Notes', 'Value': stocktake.notes || '' }
+    ];
+
+    const workbook = XLSX.utils.book_new();
+
+    const varianceWorksheet = XLSX.utils.json_to_sheet(varianceData);
+    varianceWorksheet['!cols'] = [
+      { wch: 20 },  // Category
+      { wch: 12 },  // SKU Code
+      { wch: 30 },  // SKU
+      { wch: 20 },  // Location
+      { wch: 8 },   // Unit
+      { wch: 14 },  // System Qty (Count Opened)
+      { wch: 14 },  // System Qty (When Counted)
+      { wch: 12 },  // Counted Qty
+      { wch: 10 },  // Variance
+      { wch: 12 },  // Moved Since Count
+      { wch: 12 },  // Current System Qty
+      { wch: 40 },  // Reason
+      { wch: 20 },  // Counted At
+      { wch: 12 }   // Adjustment Posted
+    ];
+    XLSX.utils.book_append_sheet(workbook, varianceWorksheet, 'Variance');
+
+    const summaryWorksheet = XLSX.utils.json_to_sheet(summaryData);
+    summaryWorksheet['!cols'] = [{ wch: 15 }, { wch: 40 }];
+    XLSX.utils.book_append_sheet(workbook, summaryWorksheet, 'Summary');
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  /**
+   * Build the bulk inventory import template: the import sheet with example rows, what
+   * each column means, and the stock locations that can be named
+   */
+  async exportInventoryImportTemplate() {
+    const locations = await StockLocation.findAll({
+      where: { is_active: true },
+      order: [['is_default', 'DESC'], ['name', 'ASC']]
+    });
+    const defaultCode = locations.find(location => location.is_default)?.code || '';
+
+    const headers = INVENTORY_IMPORT_COLUMNS.map(column => column.header);
+    const examples = [
+      ['Laptop', 'Company laptops', 'Yes', 'Replacement; New hire', 'LAP-T14', 'ThinkPad T14', '14" business laptop', 'pcs', 3, 12, defaultCode],
+      ['Laptop', '', '', '', '', 'Latitude 5440', '', 'pcs', 3, 4, defaultCode],
+      ['Mouse', 'USB mice', 'Yes', '', '', '', '', 'pcs', 10, 40, ''],
+      ['Software License', 'Licenses bought per request', 'No', 'Project work', '', '', '', '', '', '', '']
+    ];
+
+    const workbook = XLSX.utils.book_new();
+
+    const importWorksheet = XLSX.utils.aoa_to_sheet([headers, ...examples]);
+    importWorksheet['!cols'] = INVENTORY_IMPORT_COLUMNS.map(column => ({ wch: Math.max(column.header.length + 2, 14) }));
+    XLSX.utils.book_append_sheet(workbook, importWorksheet, INVENTORY_IMPORT_SHEET);
+
+    const instructionsWorksheet = XLSX.utils.json_to_sheet(INVENTORY_IMPORT_COLUMNS.map(column => ({
+      'Column': column.header,
+      'How it is used': column.note
+    })));
+    instructionsWorksheet['!cols'] = [{ wch: 22 }, { wch: 100 }];
+    XLSX.utils.book_append_sheet(workbook, instructionsWorksheet, 'Instructions');
+
+    const locationsWorksheet = XLSX.utils.json_to_sheet(locations.map(location => ({
+      'Code': location.code,
+      'Name': location.name,
+      'Default': location.is_default ? 'Yes' : ''
+    })));
+    locationsWorksheet['!cols'] = [{ wch: 12 }, { wch: 30 }, { wch: 10 }];
+    XLSX.utils.book_append_sheet(workbook, locationsWorksheet, 'Locations');
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
   /**
    * Format role for display
    */
@@ -0,0 +1,423 @@
+import XLSX from 'xlsx';
+import { sequelize, Category, Sku, StockBalance, StockLocation } from '../models/index.js';
+import { lockStockBalance, recordStockMovement } from './stockLedger.js';
+
+export const INVENTORY_IMPORT_SHEET = 'Inventory';
+
+const MAX_IMPORT_ROWS = 2000;
+
+// The import sheet's columns, matched by header (case and spacing don't matter)
+export const INVENTORY_IMPORT_COLUMNS = [
+  { key: 'category', header: 'Category', note: 'Required. Matches an existing category by name; a new name creates the category' },
+  { key: 'category_description', header: 'Category Description', note: 'Replaces the category\'s description when given' },
+  { key: 'track_stock', header: 'Track Stock', note: 'Yes or No. New categories track stock unless this is No' },
+  { key: 'purposes', header: 'Purposes', note: 'Category-specific purposes separated by semicolons; added to those the category already has' },
+  { key: 'sku_code', header: 'SKU Code', note: 'Matches an existing SKU by code; a new code creates the SKU. Leave blank to match by SKU Name or have the code generated' },
+  { key: 'sku_name', header: 'SKU Name', note: 'Required for a new SKU with a code. Leave SKU Code and SKU Name blank to fill in the category\'s default SKU' },
+  { key: 'sku_description', header: 'SKU Description', note: 'Replaces the SKU\'s description when given' },
+  { key: 'unit', header: 'Unit', note: 'e.g. pcs, box, set. New SKUs default to pcs' },
+  { key: 'min_stock_level', header: 'Min Stock Level', note: 'Low-stock alert level, a whole number. New SKUs default to 5' },
+  { key: 'quantity', header: 'Quantity', note: 'Stock on hand at the location. The SKU\'s stock there is set to this through the stock ledger' },
+  { key: 'location', header: 'Location', note: 'Stock location code or name; the default location when blank' }
+];
+
+const normaliseHeader = (header) => String(header).trim().toLowerCase().replace(/[\s_]+/g, ' ');
+const COLUMN_KEYS = new Map(INVENTORY_IMPORT_COLUMNS.map(column => [normaliseHeader(column.header), column.key]));
+
+const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const parseWholeNumber = (value) => {
+  const text = value.replace(/,/g, '');
+  return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+};
+
+const parseYesNo = (value) => {
+  const text = value.toLowerCase();
+  if (['yes', 'y', 'true', '1'].includes(text)) return true;
+  if (['no', 'n', 'false', '0'].includes(text)) return false;
+  return undefined;
+};
+
+/**
+ * The rows of an uploaded .xlsx or .csv import file, as `{ row, values }` where `row` is
+ * the spreadsheet row number and `values` holds each known column's text. Reads the
+ * "Inventory" sheet, or the first sheet; blank rows are skipped.
+ */
+export function readInventoryImportFile(buffer) {
+  let workbook;
+  try {
+    // `raw` keeps CSV text as written, so codes like 00123 aren't read as numbers
+    workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+  } catch {
+    throw new Error('The file could not be read as an Excel workbook or CSV file');
+  }
+
+  const sheet = workbook.Sheets[INVENTORY_IMPORT_SHEET] || workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet?.['!ref']) {
+    throw new Error('The file is empty');
+  }
+
+  const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r + 1;
+  const [headers = [], ...cells] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true });
+  const keys = headers.map(header => COLUMN_KEYS.get(normaliseHeader(header)) || null);
+  if (!keys.includes('category')) {
+    throw new Error('The file has no Category column; start from the import template');
+  }
+
+  const rows = cells
+    .map((line, index) => ({
+      row: firstRow + index + 1,
+      values: Object.fromEntries(keys
+        .map((key, column) => [key, String(line[column] ?? '').trim()])
+        .filter(([key]) => key))
+    }))
+    .filter(({ values }) => Object.values(values).some(Boolean));
+
+  if (rows.length === 0) {
+    throw new Error('The file has no rows to import');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`The file has ${rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time`);
+  }
+  return rows;
+}
+
+// Record `value` for `field` on a category or SKU plan, or the row it conflicts with
+const setPlanField = (plan, field, value, row, label) => {
+  if (plan.fields[field] !== undefined && plan.fields[field] !== value) {
+    return `${label} differs from row ${plan.fieldRows[field]}`;
+  }
+  plan.fields[field] = value;
+  plan.fieldRows[field] ??= row;
+  return null;
+};
+
+/**
+ * Check every row of an import against the current categories, SKUs and locations and
+ * work out what it would change. Returns `{ rows, summary, plan }`: each row with its
+ * errors and the category, SKU and stock changes it makes, and the plan
+ * applyInventoryImport carries out. Nothing is saved.
+ *
+ * Categories are matched by name and SKUs by code, else by name within the category; a
+ * row without either fills in the category's default SKU. A new stock-tracked category's
+ * first new SKU becomes its default. Quantity sets the SKU's stock at the row's location.
+ */
+export async function planInventoryImport(rows) {
+  const [categories, skus, locations, balances] = await Promise.all([
+    Category.findAll(),
+    Sku.findAll(),
+    StockLocation.findAll(),
+    StockBalance.findAll({ raw: true })
+  ]);
+  const defaultLocation = locations.find(location => location.is_default);
+  const heldAt = (skuId, locationId) => balances.find(balance => balance.sku_id === skuId && balance.location_id === locationId)?.quantity || 0;
+
+  const categoryPlans = new Map();
+  const skuPlans = new Map();
+  const stockPlans = new Map();
+  const results = rows.map(({ row, values }) => ({ row, values, errors: [] }));
+
+  // Category details first, so every row sees whether its category tracks stock
+  for (const result of results) {
+    const { values, row, errors } = result;
+    if (!values.category) {
+      errors.push('Category is required');
+      continue;
+    }
+
+    const key = values.category.toLowerCase();
+    if (!categoryPlans.has(key)) {
+      const existing = categories.find(category => sameText(category.name, values.category)) || null;
+      categoryPlans.set(key, { existing, name: existing?.name || values.category, fields: {}, fieldRows: {}, purposes: [], row });
+    }
+    const plan = categoryPlans.get(key);
+    result.category = plan;
+
+    if (values.category_description) {
+      const conflict = setPlanField(plan, 'description', values.category_description, row, 'Category Description');
+      if (conflict) errors.push(conflict);
+    }
+    if (values.track_stock) {
+      const trackStock = parseYesNo(values.track_stock);
+      if (trackStock === undefined) {
+        errors.push('Track Stock must be Yes or No');
+      } else {
+        const conflict = setPlanField(plan, 'track_stock', trackStock, row, 'Track Stock');
+        if (conflict) errors.push(conflict);
+      }
+    }
+    for (const purpose of values.purposes ? values.purposes.split(';').map(text => text.trim()).filter(Boolean) : []) {
+      if (!plan.purposes.some(existing => sameText(existing, purpose))) plan.purposes.push(purpose);
+    }
+  }
+
+  for (const plan of categoryPlans.values()) {
+    plan.track_stock = plan.fields.track_stock ?? plan.existing?.track_stock ?? true;
+  }
+
+  for (const result of results) {
+    const { values, row, errors, category } = result;
+    if (!category) continue;
+
+    const skuColumns = ['sku_code', 'sku_name', 'sku_description', 'unit', 'min_stock_level', 'quantity', 'location'];
+    if (!category.track_stock) {
+      if (skuColumns.some(column => values[column])) {
+        errors.push(`Stock isn't tracked for ${category.name}; leave the SKU and stock columns blank or set Track Stock to Yes`);
+      }
+      continue;
+    }
+
+    // Which SKU the row is about
+    const inCategory = (sku) => category.existing && sku.category_id === category.existing.id;
+    let existing = null;
+    let key;
+    if (values.sku_code) {
+      existing = skus.find(sku => sameText(sku.code, values.sku_code)) || null;
+      if (existing && !inCategory(existing)) {
+        errors.push(`SKU code ${existing.code} belongs to another category`);
+        continue;
+      }
+      if (!existing && !values.sku_name) {
+        errors.push('SKU Name is required for a new SKU');
+        continue;
+      }
+      if (values.sku_code.length > 50) {
+        errors.push('SKU Code can be at most 50 characters');
+        continue;
+      }
+      key = existing ? `id:${existing.id}` : `code:${values.sku_code.toLowerCase()}`;
+    } else if (values.sku_name) {
+      existing = skus.find(sku => inCategory(sku) && sameText(sku.name, values.sku_name)) || null;
+      key = existing ? `id:${existing.id}` : `name:${category.name.toLowerCase()}:${values.sku_name.toLowerCase()}`;
+    } else {
+      existing = skus.find(sku => inCategory(sku) && sku.is_default) || null;
+      key = existing ? `id:${existing.id}` : `default:${category.name.toLowerCase()}`;
+    }
+
+    if (!skuPlans.has(key)) {
+      skuPlans.set(key, {
+        key,
+        category,
+        existing,
+        code: existing?.code || values.sku_code || null,
+        name: existing?.name || values.sku_name || category.name,
+        is_default: existing ? existing.is_default : !values.sku_code && !values.sku_name,
+        fields: {},
+        fieldRows: {},
+        row
+      });
+    }
+    const sku = skuPlans.get(key);
+    if (sku.category !== category) {
+      errors.push(`SKU code ${values.sku_code} is used for ${sku.category.name} on row ${sku.row}`);
+      continue;
+    }
+    result.sku = sku;
+
+    if (values.sku_code && values.sku_name && !sameText(values.sku_name, sku.name)) {
+      if (existing) {
+        const conflict = setPlanField(sku, 'name', values.sku_name, row, 'SKU Name');
+        if (conflict) errors.push(conflict);
+      } else {
+        errors.push(`SKU Name differs from row ${sku.row}`);
+      }
+    }
+    if (values.sku_description) {
+      const conflict = setPlanField(sku, 'description', values.sku_description, row, 'SKU Description');
+      if (conflict) errors.push(conflict);
+    }
+    if (values.unit) {
+      const conflict = setPlanField(sku, 'unit', values.unit, row, 'Unit');
+      if (conflict) errors.push(conflict);
+    }
+    if (values.min_stock_level) {
+      const minStockLevel = parseWholeNumber(values.min_stock_level);
+      if (Number.isNaN(minStockLevel)) {
+        errors.push('Min Stock Level must be a whole number of zero or more');
+      } else {
+        const conflict = setPlanField(sku, 'min_stock_level', minStockLevel, row, 'Min Stock Level');
+        if (conflict) errors.push(conflict);
+      }
+    }
+
+    if (!values.quantity) {
+      if (values.location) errors.push('Location is only used with a Quantity');
+      continue;
+    }
+    const quantity = parseWholeNumber(values.quantity);
+    if (Number.isNaN(quantity)) {
+      errors.push('Quantity must be a whole number of zero or more');
+      continue;
+    }
+    const location = values.location
+      ? locations.find(candidate => sameText(candidate.code, values.location) || sameText(candidate.name, values.location))
+      : defaultLocation;
+    if (!location) {
+      errors.push(values.location ? `Unknown stock location "${values.location}"` : 'No default stock location has been set up');
+      continue;
+    }
+    if (!location.is_active) {
+      errors.push(`${location.name} is closed`);
+      continue;
+    }
+    if (existing?.status === 'discontinued') {
+      errors.push(`${existing.name} is discontinued`);
+      continue;
+    }
+
+    const stockKey = `${key}@${location.id}`;
+    if (stockPlans.has(stockKey)) {
+      errors.push(`Stock of this SKU at ${location.name} is already set on row ${stockPlans.get(stockKey).row}`);
+      continue;
+    }
+    const stock = { sku, location, quantity, current: existing ? heldAt(existing.id, location.id) : 0, row };
+    stockPlans.set(stockKey, stock);
+    result.stock = stock;
+  }
+
+  // Every stock-tracked category needs a default SKU: a new category's first new SKU, or
+  // an empty one named after the category
+  for (const category of categoryPlans.values()) {
+    if (!category.track_stock) continue;
+    const planned = [...skuPlans.values()].filter(sku => sku.category === category);
+    const hasDefault = planned.some(sku => sku.is_default) ||
+      (category.existing && skus.some(sku => sku.category_id === category.existing.id && sku.is_default));
+    if (hasDefault) continue;
+
+    const first = planned.find(sku => !sku.existing);
+    if (first) {
+      first.is_default = true;
+    } else {
+      const key = `default:${category.name.toLowerCase()}`;
+      skuPlans.set(key, { key, category, existing: null, code: null, name: category.name, is_default: true, fields: {}, fieldRows: {}, row: category.row });
+    }
+  }
+
+  // What each category and SKU would change
+  for (const category of categoryPlans.values()) {
+    const { existing, fields, purposes } = category;
+    category.newPurposes = purposes.filter(purpose => !(existing?.purposes || []).some(current => sameText(current, purpose)));
+    const changed = existing && (
+      (fields.description !== undefined && fields.description !== existing.description) ||
+      (fields.track_stock !== undefined && fields.track_stock !== existing.track_stock) ||
+      category.newPurposes.length > 0
+    );
+    category.action = existing ? (changed ? 'update' : 'none') : 'create';
+  }
+  for (const sku of skuPlans.values()) {
+    const changed = sku.existing && Object.entries(sku.fields).some(([field, value]) => sku.existing[field] !== value);
+    sku.action = sku.existing ? (changed ? 'update' : 'none') : 'create';
+  }
+
+  const categoryList = [...categoryPlans.values()];
+  const skuList = [...skuPlans.values()];
+  const stockList = [...stockPlans.values()].filter(stock => stock.quantity !== stock.current);
+  const invalid = results.filter(result => result.errors.length > 0);
+
+  return {
+    rows: results.map(({ row, values, errors, category, sku, stock }) => ({
+      row,
+      category: category?.name || values.category || '',
+      category_action: category && category.row === row ? category.action : null,
+      sku_code: sku?.code || null,
+      sku_name: sku ? sku.fields.name || sku.name : null,
+      sku_action: sku && sku.row === row ? sku.action : null,
+      is_default: sku?.is_default || false,
+      location: stock?.location.name || null,
+      current_quantity: stock ? stock.current : null,
+      quantity: stock ? stock.quantity : null,
+      errors
+    })),
+    summary: {
+      rows: results.length,
+      invalid_rows: invalid.length,
+      categories_created: categoryList.filter(category => category.action === 'create').length,
+      categories_updated: categoryList.filter(category => category.action === 'update').length,
+      skus_created: skuList.filter(sku => sku.action === 'create').length,
+      skus_updated: skuList.filter(sku => sku.action === 'update').length,
+      stock_changes: stockList.length
+    },
+    plan: { categories: categoryList, skus: skuList, stock: stockList }
+  };
+}
+
+/**
+ * Carry out a checked import in one transaction: categories, then SKUs, then stock. Stock
+ * is set through the stock ledger (an opening balance for new SKUs, an adjustment
+ * otherwise) against the stock held when the import runs.
+ */
+export async function applyInventoryImport({ plan, fileName, user = null }) {
+  const notes = `Bulk import from ${fileName}`;
+
+  return sequelize.transaction(async (transaction) => {
+    for (const category of plan.categories) {
+      const { existing, fields, newPurposes } = category;
+      if (category.action === 'create') {
+        category.record = await Category.create({
+          name: category.name,
+          description: fields.description || null,
+          quantity: 0,
+          track_stock: category.track_stock,
+          purposes: category.purposes,
+          stock_updated_at: new Date()
+        }, { transaction });
+      } else {
+        if (category.action === 'update') {
+          await existing.update({
+            ...(fields.description !== undefined && { description: fields.description }),
+            ...(fields.track_stock !== undefined && { track_stock: fields.track_stock }),
+            purposes: [...(existing.purposes || []), ...newPurposes]
+          }, { transaction });
+        }
+        category.record = existing;
+      }
+    }
+
+    for (const sku of plan.skus) {
+      if (sku.action === 'create') {
+        sku.record = await Sku.create({
+          category_id: sku.category.record.id,
+          code: sku.code || undefined,
+          name: sku.name,
+          description: sku.fields.description ?? (sku.is_default ? sku.category.record.description : null),
+          unit: sku.fields.unit || 'pcs',
+          min_stock_level: sku.fields.min_stock_level ?? 5,
+          is_default: sku.is_default
+        }, { transaction });
+      } else {
+        if (sku.action === 'update') {
+          await sku.existing.update(sku.fields, { transaction });
+        }
+        sku.record = sku.existing;
+      }
+    }
+
+    let movements = 0;
+    for (const stock of plan.stock) {
+      const held = await lockStockBalance({
+        skuId: stock.sku.record.id,
+        locationId: stock.location.id,
+        transaction
+      });
+      const delta = stock.quantity - (held?.quantity || 0);
+      if (delta === 0) continue;
+
+      await recordStockMovement({
+        sku: stock.sku.record,
+        type: stock.sku.action === 'create' ? 'opening_balance' : 'adjustment',
+        quantity: delta,
+        location: stock.location,
+        notes: `${notes}, row ${stock.row}`,
+        user,
+        transaction
+      });
+      movements += 1;
+    }
+
+    return {
+      categories: plan.categories.filter(category => category.action !== 'none').length,
+      skus: plan.skus.filter(sku => sku.action !== 'none').length,
+      movements
+    };
+  });
+}
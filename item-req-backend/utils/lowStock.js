@@ -0,0 +1,173 @@
+import { Op } from 'sequelize';
+import {
+  Category,
+  PurchaseRequisition,
+  PurchaseRequisitionItem,
+  Request,
+  RequestItem,
+  Sku,
+  StockReservation
+} from '../models/index.js';
+import { getReservedQuantities, describeAvailability } from './stockReservations.js';
+import { OPEN_PR_STATUSES } from './purchaseRequisitions.js';
+import { getInTransitQuantities } from './stockLocations.js';
+
+// How far back consumption is counted when suggesting a reorder quantity
+export const CONSUMPTION_WINDOW_DAYS = 90;
+
+// Requests whose items still have to be supplied
+const OPEN_REQUEST_STATUSES = [
+  'submitted',
+  'department_approved',
+  'checked_endorsed',
+  'it_manager_approved',
+  'service_desk_processing',
+  'pr_approved',
+  'returned'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sumBy = (rows, key, amount) => rows.reduce((totals, row) => {
+  const name = key(row);
+  totals.set(name, (totals.get(name) || 0) + amount(row));
+  return totals;
+}, new Map());
+
+/**
+ * Whether available stock, counting what is in transit, is at or below the minimum level
+ */
+export function isLowStock({ available, inTransit, minStockLevel }) {
+  return available + inTransit <= minStockLevel;
+}
+
+/**
+ * Enough to cover consumption and open demand on top of the minimum level, less what is
+ * available, in transit and already on order; never below zero
+ */
+export function suggestReorderQuantity({ minStockLevel, consumed, openDemand, available, inTransit, onOrder }) {
+  return Math.max(minStockLevel + consumed + openDemand - available - inTransit - onOrder, 0);
+}
+
+/**
+ * What is still to be delivered on a PR line
+ */
+export function outstandingQuantity(line) {
+  return Math.max(line.quantity - line.quantity_received, 0);
+}
+
+/**
+ * SKUs of active, tracked categories whose available stock (on hand less reserved, plus
+ * what is in transit between locations) is at or below their minimum level, most urgent
+ * first. Each comes with a suggested reorder quantity: enough to cover the last 90 days of
+ * consumption by completed requests and what open requests still need, on top of the
+ * minimum level, less what is available, in transit and already on order.
+ */
+export async function getLowStockReport(now = new Date()) {
+  const skus = await Sku.findAll({
+    where: { status: { [Op.ne]: 'discontinued' } },
+    include: [{
+      model: Category,
+      as: 'Category',
+      attributes: ['id', 'name'],
+      where: { is_active: true, track_stock: true }
+    }],
+    order: [['name', 'ASC']]
+  });
+  const [reserved, inTransit] = await Promise.all([
+    getReservedQuantities(skus.map(sku => sku.id)),
+    getInTransitQuantities(skus.map(sku => sku.id))
+  ]);
+
+  const low = skus
+    .map(sku => ({ sku, ...describeAvailability(sku, reserved.get(sku.id) || 0), in_transit: inTransit.get(sku.id) || 0 }))
+    .filter(({ sku, available, in_transit: inTransit }) => isLowStock({ available, inTransit, minStockLevel: sku.min_stock_level }));
+  if (low.length === 0) return [];
+
+  const lowIds = low.map(({ sku }) => sku.id);
+  const since = new Date(now.getTime() - CONSUMPTION_WINDOW_DAYS * DAY_MS);
+
+  const [consumedItems, openItems, orderedLines] = await Promise.all([
+    RequestItem.findAll({
+      where: { sku_id: { [Op.in]: lowIds }, approval_status: { [Op.ne]: 'rejected' } },
+      attributes: ['id', 'sku_id', 'quantity'],
+      include: [{
+        model: Request,
+        as: 'Request',
+        attributes: [],
+        where: { status: 'completed', completed_at: { [Op.gte]: since } }
+      }]
+    }),
+    RequestItem.findAll({
+      where: { sku_id: { [Op.in]: lowIds }, approval_status: { [Op.ne]: 'rejected' } },
+      attributes: ['id', 'sku_id', 'quantity'],
+      include: [{
+        model: Request,
+        as: 'Request',
+        attributes: [],
+        where: { status: { [Op.in]: OPEN_REQUEST_STATUSES } }
+      }]
+    }),
+    PurchaseRequisitionItem.findAll({
+      where: { sku_id: { [Op.in]: lowIds } },
+      attributes: ['sku_id', 'quantity', 'quantity_received'],
+      include: [{
+        model: PurchaseRequisition,
+        as: 'PurchaseRequisition',
+        attributes: [],
+        where: { status: { [Op.in]: OPEN_PR_STATUSES } }
+      }]
+    })
+  ]);
+
+  // Open items already holding or done with their stock are counted in `reserved` or gone from on-hand
+  const heldItemIds = openItems.length === 0 ? new Set() : new Set((await StockReservation.findAll({
+    where: {
+      request_item_id: { [Op.in]: openItems.map(item => item.id) },
+      status: { [Op.in]: ['active', 'consumed'] }
+    },
+    attributes: ['request_item_id']
+  })).map(reservation => reservation.request_item_id));
+
+  const consumed = sumBy(consumedItems, item => item.sku_id, item => item.quantity);
+  const openDemand = sumBy(
+    openItems.filter(item => !heldItemIds.has(item.id)),
+    item => item.sku_id,
+    item => item.quantity
+  );
+  const onOrder = sumBy(orderedLines, line => line.sku_id, outstandingQuantity);
+
+  return low
+    .map(({ sku, on_hand, reserved: held, available, in_transit: moving }) => {
+      const consumedQuantity = consumed.get(sku.id) || 0;
+      const openQuantity = openDemand.get(sku.id) || 0;
+      const orderedQuantity = onOrder.get(sku.id) || 0;
+
+      return {
+        sku_id: sku.id,
+        code: sku.code,
+        name: sku.name,
+        category_id: sku.Category.id,
+        category_name: sku.Category.name,
+        unit: sku.unit,
+        status: available <= 0 ? 'out_of_stock' : 'low_stock',
+        on_hand,
+        reserved: held,
+        available,
+        in_transit_quantity: moving,
+        min_stock_level: sku.min_stock_level,
+        consumed_quantity: consumedQuantity,
+        open_request_quantity: openQuantity,
+        on_order_quantity: orderedQuantity,
+        suggested_quantity: suggestReorderQuantity({
+          minStockLevel: sku.min_stock_level,
+          consumed: consumedQuantity,
+          openDemand: openQuantity,
+          available,
+          inTransit: moving,
+          onOrder: orderedQuantity
+        })
+      };
+    })
+    .sort((a, b) => (a.available - a.min_stock_level) - (b.available - b.min_stock_level) || a.name.localeCompare(b.name));
+}
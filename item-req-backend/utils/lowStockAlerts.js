@@ -0,0 +1,86 @@
+import { Op } from 'sequelize';
+import { User } from '../models/index.js';
+import emailService from './emailService.js';
+import { getLowStockReport } from './lowStock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Who gets the low-stock report
+const REPORT_ROLES = ['service_desk', 'it_manager'];
+
+class LowStockAlertService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Send the Service Desk and IT Managers one report of every SKU at or below its
+   * minimum stock level, with suggested reorder quantities. Nothing is sent when all stock is fine.
+   */
+  async sendLowStockReport(now = new Date()) {
+    if (this.isRunning) {
+      console.log('⏭️ Low-stock check already in progress, skipping');
+      return null;
+    }
+
+    this.isRunning = true;
+    const results = { lowStock: 0, recipients: 0, failed: 0 };
+
+    try {
+      const report = await getLowStockReport(now);
+      results.lowStock = report.length;
+
+      if (report.length > 0) {
+        const recipients = await User.findAll({
+          where: { role: { [Op.in]: REPORT_ROLES }, is_active: true },
+          attributes: ['id', 'username', 'email', 'first_name', 'last_name', 'notification_preferences']
+        });
+
+        for (const recipient of recipients) {
+          try {
+            await emailService.notifyLowStock(report, recipient);
+            results.recipients++;
+          } catch (error) {
+            results.failed++;
+            console.error(`❌ Low-stock report failed for ${recipient.username}:`, error.message);
+          }
+        }
+      }
+
+      console.log(`📦 Low-stock check complete: ${results.lowStock} SKU(s) low, report sent to ${results.recipients} user(s), ${results.failed} failed`);
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Check stock every day at `hour` (server local time)
+   */
+  scheduleDaily(hour = 8) {
+    const runCheck = async () => {
+      try {
+        await this.sendLowStockReport();
+      } catch (error) {
+        console.error('Scheduled low-stock check failed:', error);
+      }
+    };
+
+    const nextRun = new Date();
+    nextRun.setHours(hour, 0, 0, 0);
+    if (nextRun <= new Date()) {
+      nextRun.setDate(nextRun.getDate() + 1);
+    }
+
+    setTimeout(() => {
+      runCheck();
+      setInterval(runCheck, DAY_MS);
+    }, nextRun - new Date());
+
+    console.log(`📅 Scheduled daily low-stock report at ${String(hour).padStart(2, '0')}:00 (next run ${nextRun.toLocaleString()})`);
+  }
+}
+
+// Export singleton instance
+const lowStockAlertService = new LowStockAlertService();
+export default lowStockAlertService;
@@ -0,0 +1,104 @@
+import { Op } from 'sequelize';
+import { Notification, User } from '../models/index.js';
+import emailService from './emailService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Notifications older than this are left out of a digest (e.g. after a long outage)
+const MAX_DIGEST_AGE_DAYS = 7;
+
+class NotificationDigestService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Email each user one summary of the notifications they chose to get as a daily digest
+   */
+  async sendDigests(now = new Date()) {
+    if (this.isRunning) {
+      console.log('⏭️ Notification digest already in progress, skipping');
+      return null;
+    }
+
+    this.isRunning = true;
+    const results = { users: 0, notifications: 0, failed: 0 };
+
+    try {
+      const pending = await Notification.findAll({
+        where: {
+          delivery: 'digest',
+          digest_sent_at: null,
+          created_at: { [Op.gte]: new Date(now.getTime() - MAX_DIGEST_AGE_DAYS * DAY_MS) }
+        },
+        order: [['created_at', 'ASC']]
+      });
+
+      const byUser = new Map();
+      for (const notification of pending) {
+        if (!byUser.has(notification.user_id)) byUser.set(notification.user_id, []);
+        byUser.get(notification.user_id).push(notification);
+      }
+
+      for (const [userId, notifications] of byUser) {
+        try {
+          const user = await User.findByPk(userId, {
+            attributes: ['id', 'username', 'email', 'first_name', 'last_name', 'is_active']
+          });
+          if (!user || !user.is_active || !user.email) continue;
+
+          const sent = await emailService.notifyNotificationDigest(user, notifications);
+          if (!sent?.success) {
+            results.failed++;
+            continue;
+          }
+
+          await Notification.update(
+            { digest_sent_at: now },
+            { where: { id: notifications.map(notification => notification.id) } }
+          );
+          results.users++;
+          results.notifications += notifications.length;
+        } catch (error) {
+          results.failed++;
+          console.error(`❌ Notification digest failed for user #${userId}:`, error.message);
+        }
+      }
+
+      console.log(`📬 Notification digest complete: ${results.notifications} notification(s) to ${results.users} user(s), ${results.failed} failed`);
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Send the digest every day at `hour` (server local time)
+   */
+  scheduleDaily(hour = 7) {
+    const runDigest = async () => {
+      try {
+        await this.sendDigests();
+      } catch (error) {
+        console.error('Scheduled notification digest failed:', error);
+      }
+    };
+
+    const nextRun = new Date();
+    nextRun.setHours(hour, 0, 0, 0);
+    if (nextRun <= new Date()) {
+      nextRun.setDate(nextRun.getDate() + 1);
+    }
+
+    setTimeout(() => {
+      runDigest();
+      setInterval(runDigest, DAY_MS);
+    }, nextRun - new Date());
+
+    console.log(`📅 Scheduled daily notification digest at ${String(hour).padStart(2, '0')}:00 (next run ${nextRun.toLocaleString()})`);
+  }
+}
+
+// Export singleton instance
+const notificationDigestService = new NotificationDigestService();
+export default notificationDigestService;
@@ -0,0 +1,140 @@
+import { Op } from 'sequelize';
+import { Notification, User } from '../models/index.js';
+
+// Notification types a user can set a delivery preference for
+export const NOTIFICATION_EVENT_TYPES = {
+  request_submitted: 'Request submitted',
+  approval_required: 'Approval required',
+  request_approved: 'Request approved',
+  request_declined: 'Request declined',
+  request_returned: 'Request returned for revision',
+  request_cancelled: 'Request cancelled',
+  verification_required: 'Verifier assigned',
+  verification_completed: 'Verification completed',
+  attachments_added: 'Attachment uploaded',
+  approval_reminder: 'Approval reminder',
+  approval_escalated: 'Approval escalated',
+  asset_transfer_approval: 'Equipment transfer awaiting approval',
+  asset_transfer_decided: 'Equipment transfer approved or declined',
+  asset_loan_overdue: 'Borrowed equipment overdue',
+  asset_return_requested: 'Replaced equipment to collect',
+  low_stock_alert: 'Low-stock report'
+};
+
+// immediate: in-app + email right away, digest: in-app + daily summary email,
+// in_app: in-app only, off: nothing at all
+export const DELIVERY_MODES = ['immediate', 'digest', 'in_app', 'off'];
+
+export const DEFAULT_DELIVERY_MODE = 'immediate';
+
+/**
+ * How `user` wants notifications of `type` delivered
+ */
+export function getDeliveryMode(user, type) {
+  const mode = user?.notification_preferences?.[type];
+  return DELIVERY_MODES.includes(mode) ? mode : DEFAULT_DELIVERY_MODE;
+}
+
+/**
+ * In-app path of a request, used as the notification link
+ */
+export function getRequestPath(formType, requestId) {
+  if (!requestId) return null;
+  return formType === 'vehicle_request'
+    ? `/service-vehicle-requests/${requestId}`
+    : `/requests/${requestId}`;
+}
+
+class NotificationService {
+  /**
+   * Store an in-app notification for each recipient, following their delivery preference.
+   * `recipients` may mix user objects and user IDs; duplicates and blanks are ignored.
+   * `link` overrides the request path for notifications that aren't about a request.
+   *
+   * Returns the IDs of the recipients who want this notification emailed right away.
+   * Never throws: if anything goes wrong every recipient is reported as wanting the email,
+   * so a notification is never lost.
+   */
+  async notifyUsers(recipients, { type, title, message = null, formType = null, requestId = null, link: explicitLink = null }) {
+    const userIds = [...new Set(
+      (recipients || [])
+        .map(recipient => (recipient && typeof recipient === 'object' ? recipient.id : recipient))
+        .filter(Boolean)
+    )];
+
+    if (userIds.length === 0) {
+      return new Set();
+    }
+
+    try {
+      const users = await User.findAll({
+        where: { id: { [Op.in]: userIds } },
+        attributes: ['id', 'notification_preferences']
+      });
+
+      const link = explicitLink || getRequestPath(formType, requestId);
+      const emailNow = new Set();
+      const rows = [];
+
+      for (const user of users) {
+        const delivery = getDeliveryMode(user, type);
+        if (delivery === 'off') continue;
+        if (delivery === 'immediate') emailNow.add(user.id);
+
+        rows.push({
+          user_id: user.id,
+          type,
+          title,
+          message,
+          form_type: formType,
+          request_id: requestId,
+          link,
+          delivery
+        });
+      }
+
+      if (rows.length > 0) {
+        await Notification.bulkCreate(rows);
+      }
+
+      return emailNow;
+    } catch (error) {
+      console.error(`❌ Failed to create in-app notification (${type}):`, error.message);
+      return new Set(userIds);
+    }
+  }
+
+  /**
+   * Same as notifyUsers for recipients only known by email address (e.g. BCC lists).
+   * Returns the addresses that should still get the email right away; addresses that don't
+   * belong to a user are always kept.
+   */
+  async notifyEmails(emails, notification) {
+    const list = [...new Set(
+      (Array.isArray(emails) ? emails : String(emails || '').split(','))
+        .map(email => email && email.trim())
+        .filter(Boolean)
+    )];
+
+    if (list.length === 0) {
+      return [];
+    }
+
+    try {
+      const users = await User.findAll({
+        where: { email: { [Op.in]: list } },
+        attributes: ['id', 'email']
+      });
+      const emailNow = await this.notifyUsers(users, notification);
+      const optedOut = new Set(users.filter(user => !emailNow.has(user.id)).map(user => user.email));
+
+      return list.filter(email => !optedOut.has(email));
+    } catch (error) {
+      console.error(`❌ Failed to resolve in-app notification recipients (${notification.type}):`, error.message);
+      return list;
+    }
+  }
+}
+
+const notificationService = new NotificationService();
+export default notificationService;
@@ -0,0 +1,244 @@
+import { Op } from 'sequelize';
+import { sequelize, Category, PurchaseRequisition, PurchaseRequisitionItem, RequestItem, Sku } from '../models/index.js';
+import { recordStockMovement } from './stockLedger.js';
+import { resolveStockSku } from './skus.js';
+import { resolveStockLocation } from './stockLocations.js';
+
+export const PR_STATUSES = ['drafted', 'approved', 'ordered', 'partially_received', 'received'];
+
+// PRs still waiting on approval, the vendor or a delivery
+export const OPEN_PR_STATUSES = ['drafted', 'approved', 'ordered', 'partially_received'];
+
+// PRs that deliveries can be received against
+export const RECEIVABLE_PR_STATUSES = ['ordered', 'partially_received'];
+
+export const PR_NUMBER_PATTERN = /^\d{8}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toCost = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Check the lines of a new PR and resolve what each buys. Lines for a request item must
+ * belong to `requestId`, be approved, and not already be on another PR; their description,
+ * stock category and SKU default to the item's. A line with a category but no SKU
+ * receives into the category's default SKU. Throws with a message for the requester on
+ * the first problem. Returns the rows to create, without `purchase_requisition_id`.
+ */
+export async function preparePurchaseRequisitionLines({ requestId = null, lines }) {
+  const itemIds = lines.filter(line => line.request_item_id).map(line => parseInt(line.request_item_id, 10));
+  if (new Set(itemIds).size !== itemIds.length) {
+    throw new Error('A request item can only appear once on a PR');
+  }
+  if (itemIds.length > 0 && !requestId) {
+    throw new Error('Lines can only name request items when the PR is for a request');
+  }
+
+  const [items, covered, categories, skus] = await Promise.all([
+    itemIds.length ? RequestItem.findAll({ where: { id: { [Op.in]: itemIds } } }) : [],
+    itemIds.length ? PurchaseRequisitionItem.findAll({ where: { request_item_id: { [Op.in]: itemIds } } }) : [],
+    Category.findAll({ attributes: ['id', 'name'] }),
+    Sku.findAll({ attributes: ['id', 'category_id', 'is_default'] })
+  ]);
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  const coveredIds = new Set(covered.map(line => line.request_item_id));
+
+  // The named SKU if it is in the category, otherwise the category's default
+  const skuFor = (categoryId, skuId) => {
+    const inCategory = skus.filter(sku => sku.category_id === categoryId);
+    return (inCategory.find(sku => sku.id === skuId) || inCategory.find(sku => sku.is_default))?.id || null;
+  };
+
+  return lines.map(line => {
+    const skuId = line.sku_id ? parseInt(line.sku_id, 10) : null;
+    const sku = skuId ? skus.find(candidate => candidate.id === skuId) : null;
+    if (skuId && !sku) {
+      throw new Error(`SKU ${skuId} not found`);
+    }
+
+    const categoryId = line.category_id ? parseInt(line.category_id, 10) : sku?.category_id || null;
+    if (categoryId && !categories.some(category => category.id === categoryId)) {
+      throw new Error(`Category ${categoryId} not found`);
+    }
+    if (sku && sku.category_id !== categoryId) {
+      throw new Error(`SKU ${skuId} is not in category ${categoryId}`);
+    }
+
+    const base = {
+      category_id: categoryId,
+      sku_id: categoryId ? skuFor(categoryId, skuId) : null,
+      description: line.description?.trim() || null,
+      quantity: parseInt(line.quantity, 10),
+      quoted_unit_cost: toCost(line.quoted_unit_cost)
+    };
+
+    if (!line.request_item_id) {
+      if (!base.description) throw new Error('Every PR line needs a description');
+      return { ...base, request_item_id: null };
+    }
+
+    const item = itemsById.get(parseInt(line.request_item_id, 10));
+    if (!item || item.request_id !== parseInt(requestId, 10)) {
+      throw new Error(`Item ${line.request_item_id} is not part of this request`);
+    }
+    if (item.approval_status !== 'approved') {
+      throw new Error(`${item.category} has not been approved, so it can't be purchased`);
+    }
+    if (coveredIds.has(item.id)) {
+      throw new Error(`${item.category} is already covered by another PR`);
+    }
+
+    const itemCategoryId = categoryId || categories.find(category => category.name === item.category)?.id || null;
+    return {
+      ...base,
+      request_item_id: item.id,
+      category_id: itemCategoryId,
+      sku_id: itemCategoryId ? skuFor(itemCategoryId, skuId || item.sku_id) : null,
+      description: base.description || [item.category, item.item_description].filter(Boolean).join(' - ').slice(0, 255)
+    };
+  });
+}
+
+/**
+ * Approve a drafted PR. The PR document has to be attached first.
+ */
+export async function approvePurchaseRequisition({ requisition, user = null }) {
+  if (requisition.status !== 'drafted') {
+    throw new Error(`PR ${requisition.pr_number} is already ${requisition.status.replace('_', ' ')}`);
+  }
+  if (!requisition.document) {
+    throw new Error(`Attach the PR document to PR ${requisition.pr_number} before approving it`);
+  }
+
+  return requisition.update({
+    status: 'approved',
+    approved_by: user?.id || null,
+    approved_at: new Date()
+  });
+}
+
+// A delivery the caller got wrong (as opposed to a failure on our side), answered with a 400
+const receiptError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Receive a delivery against an ordered PR. `receipts` is a list of
+ * `{ id, quantity, actual_unit_cost }` for the PR's lines; each quantity is added to
+ * the line and, for stock-tracked categories, to the line's SKU, so a PR can be
+ * received in several deliveries. The PR becomes partially received or, once every
+ * line is in full, received. Stock goes into `locationId`, or the default location.
+ * The PR and its lines are locked while the delivery is checked and recorded in one
+ * transaction, so two deliveries can't both fill the same outstanding quantity.
+ * Errors in the delivery itself carry `status` 400. Returns the stock movements recorded.
+ */
+export async function receivePurchaseRequisition({ requisition, receipts, locationId = null, user = null }) {
+  let location;
+  try {
+    location = await resolveStockLocation(locationId);
+  } catch (error) {
+    throw receiptError(error.message);
+  }
+  if (!location.is_active) {
+    throw receiptError(`${location.name} is inactive and can't take stock`);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const locked = await PurchaseRequisition.findByPk(requisition.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!RECEIVABLE_PR_STATUSES.includes(locked.status)) {
+      throw receiptError(`PR ${locked.pr_number} must be ordered before deliveries can be received`);
+    }
+
+    const lines = await PurchaseRequisitionItem.findAll({
+      where: { purchase_requisition_id: locked.id },
+      include: [{ model: Category, as: 'Category' }],
+      transaction,
+      lock: { level: transaction.LOCK.UPDATE, of: PurchaseRequisitionItem }
+    });
+    const linesById = new Map(lines.map(line => [line.id, line]));
+
+    // Check every receipt before touching stock, so a bad line doesn't leave a half-received delivery
+    const accepted = receipts.map(receipt => ({
+      ...receipt,
+      line: linesById.get(parseInt(receipt.id, 10)),
+      quantity: receipt.quantity === undefined ? 0 : parseInt(receipt.quantity, 10)
+    })).filter(receipt => receipt.quantity > 0 || receipt.actual_unit_cost !== undefined);
+    for (const receipt of accepted) {
+      if (!receipt.line) {
+        throw receiptError(`Line ${receipt.id} is not on PR ${locked.pr_number}`);
+      }
+      const outstanding = receipt.line.quantity - receipt.line.quantity_received;
+      if (receipt.quantity > outstanding) {
+        throw receiptError(`Only ${outstanding} of ${receipt.line.description} are still to be received`);
+      }
+    }
+    if (!accepted.some(receipt => receipt.quantity > 0)) {
+      throw receiptError('Enter the quantity received for at least one line');
+    }
+
+    const movements = [];
+    for (const { line, quantity, actual_unit_cost: actualUnitCost } of accepted) {
+      await line.update({
+        quantity_received: line.quantity_received + quantity,
+        ...(actualUnitCost !== undefined && { actual_unit_cost: toCost(actualUnitCost) })
+      }, { transaction });
+
+      const sku = quantity > 0 ? await resolveStockSku({ category: line.Category, skuId: line.sku_id }) : null;
+      if (sku) {
+        const { movement } = await recordStockMovement({
+          sku,
+          type: 'receipt',
+          quantity,
+          location,
+          request: locked.request_id ? { id: locked.request_id } : null,
+          requestItem: line.request_item_id ? { id: line.request_item_id } : null,
+          prNumber: locked.pr_number,
+          notes: `Received against PR ${locked.pr_number}${locked.vendor_name ? ` from ${locked.vendor_name}` : ''}`,
+          user,
+          transaction
+        });
+        movements.push(movement);
+      }
+    }
+
+    const complete = lines.every(line => line.quantity_received >= line.quantity);
+    await locked.update({
+      status: complete ? 'received' : 'partially_received',
+      ...(complete && { received_at: new Date() })
+    }, { transaction });
+
+    return movements;
+  });
+}
+
+/**
+ * Approved request items that will be bought rather than taken from stock but that
+ * no PR covers yet
+ */
+export async function getUncoveredPurchaseItems({ request }) {
+  const items = await RequestItem.findAll({
+    where: { request_id: request.id, approval_status: 'approved', endorser_status: 'needs_pr' },
+    include: [{ model: PurchaseRequisitionItem, as: 'PurchaseRequisitionLine', required: false }]
+  });
+  return items.filter(item => !item.PurchaseRequisitionLine);
+}
+
+/**
+ * A PR as returned by the API, with its totals and how many days it has been open
+ */
+export function serializePurchaseRequisition(requisition, now = new Date()) {
+  const data = requisition.toJSON();
+  const lines = data.Items || [];
+  const total = (field) => lines.reduce((sum, line) => (
+    line[field] === null ? sum : sum + parseFloat(line[field]) * line.quantity
+  ), 0);
+  const closedAt = requisition.received_at ? new Date(requisition.received_at) : now;
+
+  return {
+    ...data,
+    quoted_total: total('quoted_unit_cost'),
+    actual_total: lines.some(line => line.actual_unit_cost !== null) ? total('actual_unit_cost') : null,
+    age_days: Math.floor((closedAt - new Date(requisition.created_at)) / DAY_MS)
+  };
+}
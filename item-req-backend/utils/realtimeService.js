@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import { getCurrentUser } from './requestContext.js';
+import { BOOKKEEPING_FIELDS } from './requestVersion.js';
+import { canViewRequest, findRequestForAccess } from './requestAccess.js';
+
+// Comment line sent to every open stream so proxies don't close idle connections
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long a stream ticket can wait before the browser opens the stream with it
+const TICKET_TTL_MS = 30 * 1000;
+
+export const REALTIME_FORM_TYPES = ['item_request', 'vehicle_request'];
+
+const actorOf = (user) => (user?.id
+  ? { id: user.id, name: `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.username }
+  : null);
+
+class RealtimeService {
+  constructor() {
+    // connection id -> { res, user, requests: Set<'formType:id'>, queues: Set<formType> }
+    this.clients = new Map();
+    // ticket -> { user, expiresAt }
+    this.tickets = new Map();
+    this.heartbeat = null;
+  }
+
+  /**
+   * A single-use ticket to open one stream as `user`. EventSource can't send headers, so the
+   * browser puts this in the stream URL instead of its long-lived JWT.
+   */
+  issueTicket(user) {
+    const now = Date.now();
+    for (const [ticket, entry] of this.tickets) {
+      if (entry.expiresAt <= now) this.tickets.delete(ticket);
+    }
+
+    const ticket = crypto.randomBytes(32).toString('hex');
+    this.tickets.set(ticket, { user, expiresAt: now + TICKET_TTL_MS });
+    return ticket;
+  }
+
+  /**
+   * The user a ticket was issued to, or null when it is unknown, used or expired
+   */
+  redeemTicket(ticket) {
+    const entry = this.tickets.get(ticket);
+    if (!entry) return null;
+
+    this.tickets.delete(ticket);
+    return entry.expiresAt > Date.now() ? entry.user : null;
+  }
+
+  /**
+   * Register an open Server-Sent Events response. Returns the connection id the browser
+   * uses to set its subscriptions.
+   */
+  addClient(res, user) {
+    const clientId = crypto.randomUUID();
+    this.clients.set(clientId, { res, user, requests: new Set(), queues: new Set() });
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        for (const client of this.clients.values()) {
+          client.res.write(': ping\n\n');
+        }
+      }, HEARTBEAT_MS);
+    }
+
+    return clientId;
+  }
+
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Replace what a connection listens to: single requests (the one open in a form) and whole
+   * queues (list pages and the dashboard). Only the connection's own user may change it.
+   */
+  setSubscriptions(clientId, userId, { requests = [], queues = [] }) {
+    const client = this.clients.get(clientId);
+    if (!client || client.user.id !== userId) {
+      return false;
+    }
+
+    client.requests = new Set(requests.map(({ formType, requestId }) => `${formType}:${requestId}`));
+    client.queues = new Set(queues);
+    return true;
+  }
+
+  send(res, payload) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  /**
+   * Push an event to every connection listening to its request or queue whose user may see
+   * the request, by the same rules as the request endpoints (utils/requestAccess.js)
+   */
+  async publish(event) {
+    const requestKey = `${event.formType}:${event.requestId}`;
+    const listening = [...this.clients].filter(([, client]) => client.queues.has(event.formType) || client.requests.has(requestKey));
+    if (listening.length === 0) return;
+
+    const request = await findRequestForAccess(event.formType, event.requestId);
+    if (!request) return;
+
+    const payload = { ...event, at: new Date().toISOString() };
+    const visibleTo = new Map(); // user id -> may see the request
+
+    for (const [clientId, client] of listening) {
+      if (!visibleTo.has(client.user.id)) {
+        visibleTo.set(client.user.id, await canViewRequest(event.formType, client.user, request));
+      }
+      if (!visibleTo.get(client.user.id)) continue;
+
+      try {
+        this.send(client.res, payload);
+      } catch (error) {
+        console.error(`Failed to push realtime event to connection ${clientId}:`, error.message);
+        this.removeClient(clientId);
+      }
+    }
+  }
+
+  /**
+   * Publish once the surrounding transaction commits, so listeners that refetch see the change.
+   * The actor is read now, while the HTTP request that made the change is still current.
+   */
+  publishAfterCommit(event, transaction) {
+    const changedBy = actorOf(getCurrentUser());
+    const publish = () => this.publish({ ...event, changedBy })
+      .catch(error => console.error('Failed to publish realtime event:', error.message));
+
+    if (transaction) {
+      transaction.afterCommit(publish);
+    } else {
+      publish();
+    }
+  }
+
+  /**
+   * Called from the Request / ServiceVehicleRequest hooks
+   */
+  requestChanged(formType, request, options, created = false) {
+    if (this.clients.size === 0) return;
+
+    const changes = created ? [] : (request.changed() || []).filter(field => !BOOKKEEPING_FIELDS.includes(field));
+    if (!created && changes.length === 0) return;
+
+    this.publishAfterCommit({
+      type: created ? 'request_created' : 'request_updated',
+      formType,
+      requestId: request.id,
+      status: request.status,
+      version: request.version,
+      previousStatus: created ? null : request.previous('status'),
+      changes
+    }, options.transaction);
+  }
+
+  /**
+   * Called from the Approval / VehicleApproval hooks
+   */
+  approvalChanged(formType, requestId, approval, options) {
+    if (this.clients.size === 0 || !requestId) return;
+
+    this.publishAfterCommit({
+      type: 'approval_updated',
+      formType,
+      requestId,
+      approvalId: approval.id,
+      approvalStatus: approval.status
+    }, options.transaction);
+  }
+}
+
+// Export singleton instance
+const realtimeService = new RealtimeService();
+export default realtimeService;
@@ -0,0 +1,97 @@
+import { Op } from 'sequelize';
+import { Approval, ApprovalMatrix, Department, Request, ServiceVehicleRequest, VehicleApproval } from '../models/index.js';
+
+/**
+ * Whether `user` may see an item request: its requestor, verifier, current or past approvers,
+ * super administrators and, for department approvers, requests of their own department or
+ * one they approve through the item_request Approval Matrix. Drafts only to their requestor.
+ */
+export async function canViewItemRequest(user, request) {
+  if (request.status === 'draft') return request.requestor_id === user.id;
+
+  if (user.role === 'super_administrator') return true;
+  if (request.requestor_id === user.id || request.verifier_id === user.id) return true;
+  if (request.pending_approver_ids && request.pending_approver_ids.includes(user.id)) return true;
+
+  const pastApproval = await Approval.findOne({
+    where: { request_id: request.id, approver_id: user.id }
+  });
+  if (pastApproval) return true;
+
+  if (user.role !== 'department_approver') return false;
+  if (request.department_id === user.department_id) return true;
+
+  // Scoped to item_request so vehicle_request global rules don't bleed in
+  const matrixRule = await ApprovalMatrix.findOne({
+    where: {
+      user_id: user.id,
+      is_active: true,
+      form_type: 'item_request',
+      [Op.or]: [
+        { department_id: request.department_id },
+        { department_id: null }
+      ]
+    }
+  });
+  return !!matrixRule;
+}
+
+/**
+ * Whether `user` may see a vehicle request: its requestor, verifier, current or past approvers,
+ * super administrators and, for department approvers, the vehicle steward department (ODHC)
+ * and requests of their own department or one they approve through the Approval Matrix.
+ */
+export async function canViewVehicleRequest(user, request) {
+  if (request.requested_by === user.id || user.role === 'super_administrator') return true;
+  if (request.pending_approver_ids && request.pending_approver_ids.includes(user.id)) return true;
+  if (request.verifier_id === user.id) return true;
+
+  const pastApproval = await VehicleApproval.findOne({
+    where: { vehicle_request_id: request.id, approver_id: user.id }
+  });
+  if (pastApproval) return true;
+
+  if (user.role !== 'department_approver') return false;
+
+  const odhcDepartment = await Department.findOne({
+    where: { is_vehicle_steward: true, is_active: true }
+  });
+  if (odhcDepartment && user.department_id === odhcDepartment.id) return true;
+  if (user.department_id === request.department_id) return true;
+
+  const matrixRule = await ApprovalMatrix.findOne({
+    where: {
+      user_id: user.id,
+      is_active: true,
+      form_type: 'vehicle_request',
+      [Op.or]: [
+        { department_id: request.department_id },
+        { department_id: null }
+      ]
+    }
+  });
+  return !!matrixRule;
+}
+
+/**
+ * Load a request of either form type with just the columns the checks above read
+ */
+export async function findRequestForAccess(formType, requestId) {
+  if (formType === 'item_request') {
+    return Request.findByPk(requestId, {
+      attributes: ['id', 'status', 'requestor_id', 'verifier_id', 'department_id', 'pending_approver_ids']
+    });
+  }
+  return ServiceVehicleRequest.findByPk(requestId, {
+    attributes: ['id', 'status', 'requested_by', 'verifier_id', 'department_id', 'pending_approver_ids']
+  });
+}
+
+/**
+ * Whether `user` may see a request of either form type
+ */
+export function canViewRequest(formType, user, request) {
+  return formType === 'item_request'
+    ? canViewItemRequest(user, request)
+    : canViewVehicleRequest(user, request);
+}
@@ -0,0 +1,15 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Keeps the current HTTP request reachable from code that isn't handed `req`, such as model hooks
+const storage = new AsyncLocalStorage();
+
+export function requestContextMiddleware(req, res, next) {
+  storage.run({ req }, next);
+}
+
+/**
+ * The signed-in user of the HTTP request being handled, if any
+ */
+export function getCurrentUser() {
+  return storage.getStore()?.req?.user || null;
+}
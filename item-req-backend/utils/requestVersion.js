@@ -0,0 +1,75 @@
+// Optimistic concurrency for item and vehicle requests.
+// Every meaningful save bumps `version`; clients send back the version they loaded, and a
+// mismatch means someone else changed the request in the meantime. Changes made through the
+// API always carry a version, and are applied only if it is still current (see claimVersion).
+
+// Columns the system updates on its own (SLA reminders, escalation). Changing only these
+// doesn't count as someone changing the request.
+export const BOOKKEEPING_FIELDS = [
+  'updated_at',
+  'updatedAt',
+  'step_started_at',
+  'reminder_count',
+  'last_reminder_at',
+  'escalated_at',
+  'escalated_approver_ids',
+  'version'
+];
+
+export const STALE_VERSION_MESSAGE = 'This request was changed by someone else after you opened it. Review the latest version and try again.';
+
+/**
+ * beforeSave hook body: bump the version when anything but bookkeeping is being written.
+ * Callers that change related rows only (e.g. request items) can set `version` themselves.
+ */
+export function bumpVersion(request, options) {
+  if (request.isNewRecord || request.changed('version')) return;
+
+  const changed = (request.changed() || [])
+    .filter(field => !BOOKKEEPING_FIELDS.includes(field))
+    .filter(field => !options.fields || options.fields.includes(field));
+  if (changed.length === 0) return;
+
+  request.version = (request.version || 1) + 1;
+
+  // update() picks up fields changed by hooks; an explicit save({ fields }) does not
+  if (options.fields && !options.defaultFields && !options.fields.includes('version')) {
+    options.fields.push('version');
+  }
+}
+
+export const MISSING_VERSION_MESSAGE = 'The version of the request you are changing is required. Reload the request and try again.';
+
+/**
+ * The version the client sent as a number, or null when it is missing or not a number
+ */
+export function parseVersion(expectedVersion) {
+  const version = parseInt(expectedVersion, 10);
+  return Number.isNaN(version) ? null : version;
+}
+
+/**
+ * True when the client's version is no longer current
+ */
+export function isStaleVersion(request, expectedVersion) {
+  return expectedVersion !== request.version;
+}
+
+/**
+ * Move the stored version on from `expectedVersion` with a conditional
+ * UPDATE ... SET version = v + 1 WHERE id = ? AND version = v, so of two changes made against
+ * the same version only one gets through. Returns false when no row matched.
+ * The instance takes the new version, so the save that follows doesn't bump it again.
+ * Run it in the `transaction` that makes the change, so a write that fails takes the claim
+ * back with it.
+ */
+export async function claimVersion(request, expectedVersion, transaction = null) {
+  const [affected] = await request.constructor.update(
+    { version: expectedVersion + 1 },
+    { where: { id: request.id, version: expectedVersion }, transaction }
+  );
+  if (affected === 0) return false;
+
+  request.version = expectedVersion + 1;
+  return true;
+}
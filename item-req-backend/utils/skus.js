@@ -0,0 +1,59 @@
+import { Op } from 'sequelize';
+import { Category, Sku } from '../models/index.js';
+
+/**
+ * The category's default SKU, created (empty) when a stock-tracked category doesn't have one yet
+ */
+export async function findOrCreateDefaultSku(category) {
+  const existing = await Sku.findOne({ where: { category_id: category.id, is_default: true } });
+  if (existing) return existing;
+
+  return Sku.create({
+    category_id: category.id,
+    name: category.name,
+    description: category.description,
+    is_default: true
+  });
+}
+
+/**
+ * The SKU stock of `category` moves through: `skuId` when it names one of the category's
+ * SKUs, otherwise the default SKU. Null for a missing category or one that doesn't track stock.
+ */
+export async function resolveStockSku({ category, skuId = null }) {
+  if (!category?.track_stock) return null;
+
+  if (skuId) {
+    const sku = await Sku.findOne({ where: { id: skuId, category_id: category.id } });
+    if (sku) return sku;
+  }
+  return findOrCreateDefaultSku(category);
+}
+
+/**
+ * The category a request item names and the SKU its stock comes from
+ */
+export async function resolveItemStock(item) {
+  const category = await Category.findOne({ where: { name: item.category } });
+  const sku = await resolveStockSku({ category, skuId: item.sku_id });
+  return { category, sku };
+}
+
+/**
+ * The SKU id to store on each item of a submitted request, in order: the SKU the requester
+ * picked when it belongs to the item's category and isn't discontinued, otherwise the
+ * category's default SKU, or null for categories without SKUs.
+ */
+export async function resolveRequestItemSkuIds(items) {
+  const names = [...new Set(items.map(item => item.category).filter(Boolean))];
+  const skus = names.length ? await Sku.findAll({
+    attributes: ['id', 'is_default', 'status'],
+    include: [{ model: Category, as: 'Category', attributes: ['name'], where: { name: { [Op.in]: names } } }]
+  }) : [];
+
+  return items.map(item => {
+    const candidates = skus.filter(sku => sku.Category.name === item.category);
+    const picked = candidates.find(sku => sku.id === parseInt(item.skuId, 10) && sku.status !== 'discontinued');
+    return (picked || candidates.find(sku => sku.is_default))?.id || null;
+  });
+}
@@ -0,0 +1,246 @@
+import { sequelize, Category, Sku, StockBalance, StockMovement } from '../models/index.js';
+import { getDefaultStockLocation } from './stockLocations.js';
+
+export const STOCK_MOVEMENT_TYPES = ['opening_balance', 'receipt', 'deployment', 'return', 'adjustment', 'write_off', 'transfer_out', 'transfer_in'];
+
+// Types staff can record by hand; the rest come from request processing, transfers and start-up
+export const MANUAL_MOVEMENT_TYPES = ['receipt', 'return', 'adjustment', 'write_off'];
+
+// Types that always take stock out, and types that always put it back
+const OUTGOING_TYPES = ['deployment', 'write_off', 'transfer_out'];
+const INCOMING_TYPES = ['receipt', 'return', 'transfer_in'];
+
+/**
+ * Change a SKU's stock at a location and record the movement in the ledger, in one
+ * transaction. The location's balance, the SKU's total and its category total change with it.
+ * `quantity` is the size of the change: its sign is taken from the type for receipts,
+ * returns, deployments, write-offs and transfers, and used as given for adjustments.
+ * `location` defaults to the default location; inactive locations take no new stock.
+ * With `clampAtZero`, an outgoing movement larger than the stock at the location only
+ * takes what is there (and records nothing when there is none); otherwise it fails.
+ * Pass `transaction` to make the movement part of a larger one.
+ * Returns the movement and the updated SKU, category and location balance; the `sku`
+ * passed in is not refreshed.
+ */
+export async function recordStockMovement({
+  sku,
+  type,
+  quantity,
+  location = null,
+  transfer = null,
+  request = null,
+  requestItem = null,
+  prNumber = null,
+  notes = null,
+  user = null,
+  clampAtZero = false,
+  transaction: outer = null
+}) {
+  if (!STOCK_MOVEMENT_TYPES.includes(type)) {
+    throw new Error(`Unknown stock movement type "${type}"`);
+  }
+
+  const amount = parseInt(quantity, 10);
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw new Error('Stock movement quantity must be a non-zero whole number');
+  }
+
+  let delta = amount;
+  if (OUTGOING_TYPES.includes(type)) delta = -Math.abs(amount);
+  if (INCOMING_TYPES.includes(type)) delta = Math.abs(amount);
+
+  const stockLocation = location || await getDefaultStockLocation();
+  if (delta > 0 && !stockLocation.is_active) {
+    throw new Error(`${stockLocation.name} is inactive and can't take stock`);
+  }
+
+  const apply = async (transaction) => {
+    // Always the SKU before its category and balances, so concurrent movements lock in the same order
+    const locked = await Sku.findByPk(sku.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!locked) {
+      throw new Error(`SKU ${sku.id} no longer exists`);
+    }
+    const category = await Category.findByPk(locked.category_id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const held = await StockBalance.findOne({
+      where: { sku_id: locked.id, location_id: stockLocation.id },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    }) || await StockBalance.create({
+      sku_id: locked.id,
+      location_id: stockLocation.id,
+      quantity: 0
+    }, { transaction });
+
+    if (held.quantity + delta < 0) {
+      if (!clampAtZero) {
+        throw new Error(`Not enough stock of ${locked.name} at ${stockLocation.name}: ${held.quantity} on hand, ${Math.abs(delta)} requested`);
+      }
+      delta = -held.quantity;
+      if (delta === 0) return { movement: null, sku: locked, category, balance: held };
+    }
+
+    const balance = locked.quantity + delta;
+    const movement = await StockMovement.create({
+      category_id: locked.category_id,
+      sku_id: locked.id,
+      location_id: stockLocation.id,
+      movement_type: type,
+      quantity: delta,
+      balance_after: balance,
+      location_balance_after: held.quantity + delta,
+      transfer_id: transfer?.id || null,
+      request_id: request?.id || null,
+      request_item_id: requestItem?.id || null,
+      pr_number: prNumber ? String(prNumber) : null,
+      notes,
+      created_by: user?.id || null
+    }, { transaction });
+
+    await held.update({ quantity: held.quantity + delta }, { transaction });
+    await locked.update({
+      quantity: balance,
+      stock_updated_at: new Date()
+    }, { transaction });
+    await category.update({
+      quantity: category.quantity + delta,
+      stock_updated_at: new Date()
+    }, { transaction });
+
+    return { movement, sku: locked, category, balance: held };
+  };
+
+  return outer ? apply(outer) : sequelize.transaction(apply);
+}
+
+/**
+ * Lock a SKU and then its balance at a location (null when it has none yet), in the order
+ * recordStockMovement takes them. Read stock this way inside `transaction` before working
+ * out a movement from it, so no other movement can change it in between.
+ */
+export async function lockStockBalance({ skuId, locationId, transaction }) {
+  await Sku.findByPk(skuId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  return StockBalance.findOne({
+    where: { sku_id: skuId, location_id: locationId },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+}
+
+/**
+ * Bring a SKU's stock at `location` (the default location when not given) to `quantity`
+ * with an adjustment (or a write-off when `type` is 'write_off'), in one transaction.
+ * Returns null when the stock is already at that level.
+ */
+export async function setStockLevel({ sku, quantity, location = null, type = 'adjustment', notes = null, user = null }) {
+  const target = parseInt(quantity, 10);
+  if (!Number.isInteger(target) || target < 0) {
+    throw new Error('Stock level must be a whole number of zero or more');
+  }
+
+  const stockLocation = location || await getDefaultStockLocation();
+
+  return sequelize.transaction(async (transaction) => {
+    const held = await lockStockBalance({ skuId: sku.id, locationId: stockLocation.id, transaction });
+    const delta = target - (held?.quantity || 0);
+    if (delta === 0) return null;
+
+    return recordStockMovement({
+      sku,
+      type: type === 'write_off' && delta < 0 ? 'write_off' : 'adjustment',
+      quantity: delta,
+      location: stockLocation,
+      notes,
+      user,
+      transaction
+    });
+  });
+}
+
+/**
+ * Compare every SKU's quantity with the total of its ledger.
+ * `difference` is how far the stored quantity has drifted from the ledger.
+ */
+export async function getStockReconciliation() {
+  const [skus, totals] = await Promise.all([
+    Sku.findAll({
+      attributes: ['id', 'code', 'name', 'quantity', 'category_id'],
+      include: [{ model: Category, as: 'Category', attributes: ['id', 'name', 'track_stock'] }],
+      order: [[{ model: Category, as: 'Category' }, 'name', 'ASC'], ['is_default', 'DESC'], ['name', 'ASC']]
+    }),
+    StockMovement.findAll({
+      attributes: [
+        'sku_id',
+        [sequelize.fn('SUM', sequelize.col('quantity')), 'ledger_balance'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'movement_count'],
+        [sequelize.fn('MAX', sequelize.col('created_at')), 'last_movement_at']
+      ],
+      group: ['sku_id'],
+      raw: true
+    })
+  ]);
+
+  const totalsBySku = new Map(totals.map(total => [total.sku_id, total]));
+
+  return skus.map(sku => {
+    const total = totalsBySku.get(sku.id);
+    const ledgerBalance = total ? parseInt(total.ledger_balance, 10) : 0;
+
+    return {
+      sku_id: sku.id,
+      code: sku.code,
+      name: sku.name,
+      category_id: sku.category_id,
+      category_name: sku.Category.name,
+      track_stock: sku.Category.track_stock,
+      quantity: sku.quantity,
+      ledger_balance: ledgerBalance,
+      difference: sku.quantity - ledgerBalance,
+      movement_count: total ? parseInt(total.movement_count, 10) : 0,
+      last_movement_at: total?.last_movement_at || null
+    };
+  });
+}
+
+/**
+ * Record a stored quantity that drifted from the ledger (e.g. edited directly in the
+ * database) as an adjustment at the default location, so the two agree again. Location
+ * balances are left as they are. Returns null when they already do.
+ */
+export async function reconcileSkuStock({ sku, notes = null, user = null }) {
+  const location = await getDefaultStockLocation();
+
+  return sequelize.transaction(async (transaction) => {
+    const locked = await Sku.findByPk(sku.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const ledgerBalance = (await StockMovement.sum('quantity', {
+      where: { sku_id: locked.id },
+      transaction
+    })) || 0;
+
+    const difference = locked.quantity - ledgerBalance;
+    if (difference === 0) return null;
+
+    return StockMovement.create({
+      category_id: locked.category_id,
+      sku_id: locked.id,
+      location_id: location.id,
+      movement_type: 'adjustment',
+      quantity: difference,
+      balance_after: locked.quantity,
+      notes: notes || `Reconciled: stock was ${locked.quantity} but the ledger totalled ${ledgerBalance}`,
+      created_by: user?.id || null
+    }, { transaction });
+  });
+}
@@ -0,0 +1,119 @@
+import { Op } from 'sequelize';
+import { sequelize, StockBalance, StockLocation, StockTransfer } from '../models/index.js';
+
+export const STOCK_LOCATION_TYPES = ['storeroom', 'warehouse', 'branch', 'site'];
+
+/**
+ * The location that takes stock movements which don't name one
+ */
+export async function getDefaultStockLocation() {
+  const location = await StockLocation.findOne({ where: { is_default: true } });
+  if (!location) {
+    throw new Error('No default stock location has been set up');
+  }
+  return location;
+}
+
+/**
+ * The location `locationId` names, or the default location when it is empty.
+ * Fails for an unknown location.
+ */
+export async function resolveStockLocation(locationId = null) {
+  if (!locationId) return getDefaultStockLocation();
+
+  const location = await StockLocation.findByPk(locationId);
+  if (!location) {
+    throw new Error(`Stock location ${locationId} not found`);
+  }
+  return location;
+}
+
+/**
+ * Stock held at each location, by SKU id: a list of `{ location_id, code, name, quantity }`,
+ * largest first. Locations holding nothing are left out.
+ */
+export async function getLocationBalances(skuIds = null) {
+  const where = { quantity: { [Op.ne]: 0 } };
+  if (skuIds) where.sku_id = { [Op.in]: skuIds };
+
+  const balances = await StockBalance.findAll({
+    where,
+    include: [{ model: StockLocation, as: 'Location', attributes: ['id', 'code', 'name'] }],
+    order: [['quantity', 'DESC']]
+  });
+
+  const bySku = new Map();
+  for (const balance of balances) {
+    const list = bySku.get(balance.sku_id) || [];
+    list.push({
+      location_id: balance.location_id,
+      code: balance.Location.code,
+      name: balance.Location.name,
+      quantity: balance.quantity
+    });
+    bySku.set(balance.sku_id, list);
+  }
+  return bySku;
+}
+
+/**
+ * Quantity on its way between locations, by SKU id
+ */
+export async function getInTransitQuantities(skuIds = null) {
+  const where = { status: 'in_transit' };
+  if (skuIds) where.sku_id = { [Op.in]: skuIds };
+
+  const totals = await StockTransfer.findAll({
+    attributes: ['sku_id', [sequelize.fn('SUM', sequelize.col('quantity')), 'in_transit']],
+    where,
+    group: ['sku_id'],
+    raw: true
+  });
+
+  return new Map(totals.map(total => [total.sku_id, parseInt(total.in_transit, 10) || 0]));
+}
+
+/**
+ * Where to take `quantity` of a SKU from, as a list of `{ location, quantity }`: all of it
+ * from `locationId` when given, otherwise from the default location first and then the
+ * others, most stock first, until it is covered. What no location can cover is left on the
+ * first source. `planned` (`"skuId:locationId"` to quantity) holds stock already set aside
+ * by earlier calls and is updated with this one. Pass `transaction` to see stock moved
+ * earlier in it.
+ */
+export async function planSourceLocations({ sku, quantity, locationId = null, planned = new Map(), transaction = null }) {
+  const sources = [];
+  if (locationId) {
+    sources.push({ location: await resolveStockLocation(locationId), quantity });
+  } else {
+    const [defaultLocation, balances] = await Promise.all([
+      getDefaultStockLocation(),
+      StockBalance.findAll({
+        where: { sku_id: sku.id, quantity: { [Op.gt]: 0 } },
+        include: [{ model: StockLocation, as: 'Location' }],
+        order: [['quantity', 'DESC']],
+        transaction
+      })
+    ]);
+    balances.sort((a, b) => (b.location_id === defaultLocation.id) - (a.location_id === defaultLocation.id));
+
+    let remaining = quantity;
+    for (const balance of balances) {
+      const free = balance.quantity - (planned.get(`${sku.id}:${balance.location_id}`) || 0);
+      if (remaining <= 0) break;
+      if (free <= 0) continue;
+      sources.push({ location: balance.Location, quantity: Math.min(free, remaining) });
+      remaining -= Math.min(free, remaining);
+    }
+    if (remaining > 0) {
+      if (sources.length) sources[0].quantity += remaining;
+      else sources.push({ location: defaultLocation, quantity: remaining });
+    }
+  }
+
+  for (const source of sources) {
+    const key = `${sku.id}:${source.location.id}`;
+    planned.set(key, (planned.get(key) || 0) + source.quantity);
+  }
+  return sources;
+}
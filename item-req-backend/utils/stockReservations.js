@@ -0,0 +1,276 @@
+import { Op } from 'sequelize';
+import { sequelize, RequestItem, Sku, StockBalance, StockReservation } from '../models/index.js';
+import { recordStockMovement } from './stockLedger.js';
+import { resolveItemStock } from './skus.js';
+import { getLocationBalances, planSourceLocations } from './stockLocations.js';
+
+/**
+ * Quantity held by active reservations, by SKU id
+ */
+export async function getReservedQuantities(skuIds = null) {
+  const where = { status: 'active' };
+  if (skuIds) where.sku_id = { [Op.in]: skuIds };
+
+  const totals = await StockReservation.findAll({
+    attributes: ['sku_id', [sequelize.fn('SUM', sequelize.col('quantity')), 'reserved']],
+    where,
+    group: ['sku_id'],
+    raw: true
+  });
+
+  return new Map(totals.map(total => [total.sku_id, parseInt(total.reserved, 10) || 0]));
+}
+
+/**
+ * On-hand, reserved and available stock for a SKU (or a category's total). Available can
+ * go negative when more has been promised than is on hand.
+ */
+export function describeAvailability(stock, reserved = 0) {
+  return {
+    on_hand: stock.quantity,
+    reserved,
+    available: stock.quantity - reserved
+  };
+}
+
+// An item holds stock while the endorser says it is in stock and nobody has rejected it
+const shouldReserve = (item, sku) => Boolean(
+  sku &&
+  item.endorser_status === 'in_stock' &&
+  item.approval_status !== 'rejected' &&
+  !item.is_returned
+);
+
+const closeReservation = (reservation, status, extra = {}, transaction = null) => reservation.update({
+  status,
+  closed_at: new Date(),
+  ...extra
+}, { transaction });
+
+/**
+ * Create, resize or release the reservation for one request item so it matches the item's
+ * endorsement, quantity and SKU. Items whose stock was already deployed are left alone.
+ * Returns a shortfall warning, naming the locations that hold the SKU, when it has less
+ * available than the item needs. Pass `transaction` to make the changes part of a larger one.
+ */
+export async function syncItemReservation({ request, item, user = null, transaction = null }) {
+  const [{ category, sku }, reservations] = await Promise.all([
+    resolveItemStock(item),
+    StockReservation.findAll({ where: { request_item_id: item.id, status: { [Op.in]: ['active', 'consumed'] } }, transaction })
+  ]);
+
+  if (reservations.some(reservation => reservation.status === 'consumed')) return null;
+
+  let active = reservations.find(reservation => reservation.status === 'active') || null;
+
+  if (!shouldReserve(item, sku)) {
+    if (active) {
+      await closeReservation(active, 'released', {
+        release_reason: item.approval_status === 'rejected' ? 'item_rejected' : 'endorsement_changed'
+      }, transaction);
+    }
+    return null;
+  }
+
+  if (active && active.sku_id !== sku.id) {
+    await closeReservation(active, 'released', {
+      release_reason: active.category_id !== category.id ? 'category_changed' : 'sku_changed'
+    }, transaction);
+    active = null;
+  }
+
+  if (!active) {
+    await StockReservation.create({
+      category_id: category.id,
+      sku_id: sku.id,
+      request_id: request.id,
+      request_item_id: item.id,
+      quantity: item.quantity,
+      reserved_by: user?.id || null
+    }, { transaction });
+  } else if (active.quantity !== item.quantity) {
+    await active.update({ quantity: item.quantity }, { transaction });
+  }
+
+  // Everything reserved for other items counts against what this one can have
+  const reservedForOthers = (await StockReservation.sum('quantity', {
+    where: {
+      sku_id: sku.id,
+      status: 'active',
+      request_item_id: { [Op.ne]: item.id }
+    },
+    transaction
+  })) || 0;
+  const available = sku.quantity - reservedForOthers;
+
+  if (available >= item.quantity) return null;
+
+  const locations = (await getLocationBalances([sku.id])).get(sku.id) || [];
+  return {
+    itemId: item.id,
+    category: sku.name,
+    requested: item.quantity,
+    onHand: sku.quantity,
+    available: Math.max(available, 0),
+    locations,
+    message: `${sku.name}: ${item.quantity} reserved but only ${Math.max(available, 0)} available (${sku.quantity} on hand${locations.length ? ` at ${locations.map(balance => `${balance.name}: ${balance.quantity}`).join(', ')}` : ''}, ${reservedForOthers} held for other requests)`
+  };
+}
+
+/**
+ * Bring every item of a request in line with its endorsement. Returns shortfall warnings.
+ */
+export async function syncRequestReservations({ request, items = null, user = null, transaction = null }) {
+  const requestItems = items || await RequestItem.findAll({ where: { request_id: request.id }, transaction });
+  const warnings = [];
+
+  for (const item of requestItems) {
+    const warning = await syncItemReservation({ request, item, user, transaction });
+    if (warning) warnings.push(warning);
+  }
+
+  return warnings;
+}
+
+/**
+ * Drop every active reservation of a request, e.g. when it is declined, cancelled or returned
+ */
+export async function releaseRequestReservations({ request, reason, transaction = null }) {
+  const [released] = await StockReservation.update({
+    status: 'released',
+    release_reason: reason,
+    closed_at: new Date()
+  }, {
+    where: { request_id: request.id, status: 'active' },
+    transaction
+  });
+
+  if (released > 0) {
+    console.log(`🔓 Released ${released} stock reservation(s) for request ${request.request_number} (${reason})`);
+  }
+  return released;
+}
+
+// Where each active reservation of a request will be deployed from: the item's entry in
+// `itemLocations`, else `locationId`, else the default location and then wherever holds
+// the most, split across as many locations as it takes. Inside a transaction the
+// reservations are locked so they can only be deployed once.
+async function planDeployment({ request, locationId = null, itemLocations = {}, transaction = null }) {
+  const reservations = await StockReservation.findAll({
+    where: { request_id: request.id, status: 'active' },
+    include: [{ model: Sku, as: 'Sku' }],
+    transaction,
+    ...(transaction && { lock: { level: transaction.LOCK.UPDATE, of: StockReservation } })
+  });
+
+  const plan = [];
+  const planned = new Map();
+  for (const reservation of reservations) {
+    const sources = await planSourceLocations({
+      sku: reservation.Sku,
+      quantity: reservation.quantity,
+      locationId: itemLocations[reservation.request_item_id] || locationId,
+      planned,
+      transaction
+    });
+    plan.push({ reservation, sources });
+  }
+  return plan;
+}
+
+/**
+ * SKUs where the stock at the locations they are deployed from can't cover what a request
+ * has reserved, with the other locations that hold the SKU. `locationId` and `itemLocations`
+ * (`{ [request_item_id]: location_id }`) choose the source as in consumeRequestReservations.
+ * Call after syncRequestReservations.
+ */
+export async function getDeploymentShortages({ request, locationId = null, itemLocations = {} }) {
+  const plan = await planDeployment({ request, locationId, itemLocations });
+
+  const needed = new Map();
+  for (const { reservation, sources } of plan) {
+    for (const { location, quantity } of sources) {
+      const key = `${reservation.sku_id}:${location.id}`;
+      const entry = needed.get(key) || { sku: reservation.Sku, location, quantity: 0 };
+      entry.quantity += quantity;
+      needed.set(key, entry);
+    }
+  }
+
+  const [held, balances] = await Promise.all([
+    StockBalance.findAll({
+      where: { sku_id: { [Op.in]: plan.map(({ reservation }) => reservation.sku_id) } },
+      raw: true
+    }),
+    getLocationBalances(plan.map(({ reservation }) => reservation.sku_id))
+  ]);
+  const heldAt = (skuId, locationId) => held.find(balance => balance.sku_id === skuId && balance.location_id === locationId)?.quantity || 0;
+
+  return [...needed.values()]
+    .filter(({ sku, location, quantity }) => heldAt(sku.id, location.id) < quantity)
+    .map(({ sku, location, quantity }) => {
+      // Locations this request already draws the SKU from have nothing more to give
+      const elsewhere = (balances.get(sku.id) || []).filter(balance => !needed.has(`${sku.id}:${balance.location_id}`));
+      return {
+        category: sku.name,
+        reserved: quantity,
+        onHand: heldAt(sku.id, location.id),
+        location: location.name,
+        locations: balances.get(sku.id) || [],
+        message: `${sku.name}: ${quantity} reserved for this request but only ${heldAt(sku.id, location.id)} at ${location.name}` +
+          (elsewhere.length ? ` (also held at ${elsewhere.map(balance => `${balance.name}: ${balance.quantity}`).join(', ')})` : '')
+      };
+    });
+}
+
+/**
+ * Ids of a request's items whose reserved stock has already been deployed
+ */
+export async function getDeployedItemIds({ request, transaction = null }) {
+  const consumed = await StockReservation.findAll({
+    where: { request_id: request.id, status: 'consumed' },
+    attributes: ['request_item_id'],
+    transaction
+  });
+  return new Set(consumed.map(reservation => reservation.request_item_id));
+}
+
+/**
+ * Deploy a request's reserved stock: record a deployment movement for each active
+ * reservation and mark it consumed. Each item's stock comes from its entry in
+ * `itemLocations` (`{ [request_item_id]: location_id }`), else from `locationId`, else
+ * from the default location and then wherever holds the most, until it is covered. Returns the ids of every item of
+ * the request whose stock has been deployed this way, including earlier calls.
+ * The movements and reservations change together: pass `transaction` to make them part
+ * of a larger one (e.g. with the request's status change), otherwise one is opened here.
+ */
+export async function consumeRequestReservations({ request, user = null, clampAtZero = false, locationId = null, itemLocations = {}, transaction: outer = null }) {
+  const apply = async (transaction) => {
+    const plan = await planDeployment({ request, locationId, itemLocations, transaction });
+
+    for (const { reservation, sources } of plan) {
+      const movements = [];
+      for (const { location, quantity } of sources) {
+        const { movement } = await recordStockMovement({
+          sku: reservation.Sku,
+          type: 'deployment',
+          quantity,
+          location,
+          request,
+          requestItem: { id: reservation.request_item_id },
+          notes: 'Reserved stock deployed',
+          user,
+          clampAtZero,
+          transaction
+        });
+        if (movement) movements.push(movement);
+      }
+
+      await closeReservation(reservation, 'consumed', { stock_movement_id: movements[0]?.id || null }, transaction);
+    }
+
+    return getDeployedItemIds({ request, transaction });
+  };
+
+  return outer ? apply(outer) : sequelize.transaction(apply);
+}
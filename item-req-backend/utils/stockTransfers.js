@@ -0,0 +1,123 @@
+import { Sku, StockLocation, StockTransfer } from '../models/index.js';
+import { recordStockMovement } from './stockLedger.js';
+
+export const STOCK_TRANSFER_STATUSES = ['in_transit', 'received', 'cancelled'];
+
+export const formatTransferReference = (transfer) => `TR-${String(transfer.id).padStart(5, '0')}`;
+
+/**
+ * Send stock from one location to another. The stock leaves the source straight away
+ * (a transfer_out movement) and is in transit until the transfer is received.
+ */
+export async function dispatchStockTransfer({ skuId, fromLocationId, toLocationId, quantity, notes = null, user = null }) {
+  const amount = parseInt(quantity, 10);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error('Transfer quantity must be a whole number greater than zero');
+  }
+  if (parseInt(fromLocationId, 10) === parseInt(toLocationId, 10)) {
+    throw new Error('Stock must be transferred to a different location');
+  }
+
+  const [sku, from, to] = await Promise.all([
+    Sku.findByPk(skuId),
+    StockLocation.findByPk(fromLocationId),
+    StockLocation.findByPk(toLocationId)
+  ]);
+  if (!sku) throw new Error(`SKU ${skuId} not found`);
+  if (!from) throw new Error(`Stock location ${fromLocationId} not found`);
+  if (!to) throw new Error(`Stock location ${toLocationId} not found`);
+  if (!to.is_active) throw new Error(`${to.name} is inactive and can't take stock`);
+
+  const transfer = await StockTransfer.create({
+    sku_id: sku.id,
+    from_location_id: from.id,
+    to_location_id: to.id,
+    quantity: amount,
+    notes,
+    created_by: user?.id || null
+  });
+
+  try {
+    await recordStockMovement({
+      sku,
+      type: 'transfer_out',
+      quantity: amount,
+      location: from,
+      transfer,
+      notes: `Transfer ${formatTransferReference(transfer)} to ${to.name}`,
+      user
+    });
+  } catch (error) {
+    await transfer.destroy();
+    throw error;
+  }
+
+  return transfer;
+}
+
+// Move an in-transit transfer on to `status`, claiming it first so it can only be closed once.
+// The claim is undone when the stock can't be put at `location`.
+async function closeTransfer({ transfer, status, location, notes, user, stamp }) {
+  const reference = formatTransferReference(transfer);
+  const [claimed] = await StockTransfer.update({ status, ...stamp }, {
+    where: { id: transfer.id, status: 'in_transit' }
+  });
+  if (claimed === 0) {
+    throw new Error(`Transfer ${reference} is no longer in transit`);
+  }
+
+  try {
+    await recordStockMovement({
+      sku: await Sku.findByPk(transfer.sku_id),
+      type: 'transfer_in',
+      quantity: transfer.quantity,
+      location,
+      transfer,
+      notes,
+      user
+    });
+  } catch (error) {
+    await StockTransfer.update({
+      status: 'in_transit',
+      ...Object.fromEntries(Object.keys(stamp).map(key => [key, null]))
+    }, { where: { id: transfer.id } });
+    throw error;
+  }
+
+  return transfer.reload();
+}
+
+/**
+ * Book an in-transit transfer in at its destination
+ */
+export async function receiveStockTransfer({ transfer, user = null }) {
+  const [from, to] = await Promise.all([
+    StockLocation.findByPk(transfer.from_location_id),
+    StockLocation.findByPk(transfer.to_location_id)
+  ]);
+
+  return closeTransfer({
+    transfer,
+    status: 'received',
+    location: to,
+    notes: `Transfer ${formatTransferReference(transfer)} received from ${from.name}`,
+    user,
+    stamp: { received_by: user?.id || null, received_at: new Date() }
+  });
+}
+
+/**
+ * Call back an in-transit transfer: its stock goes back to the source location
+ */
+export async function cancelStockTransfer({ transfer, user = null }) {
+  const from = await StockLocation.findByPk(transfer.from_location_id);
+
+  return closeTransfer({
+    transfer,
+    status: 'cancelled',
+    location: from,
+    notes: `Transfer ${formatTransferReference(transfer)} cancelled; stock returned`,
+    user,
+    stamp: { cancelled_by: user?.id || null, cancelled_at: new Date() }
+  });
+}
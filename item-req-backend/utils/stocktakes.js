@@ -0,0 +1,339 @@
+import { Op } from 'sequelize';
+import { sequelize, Category, Sku, StockBalance, StockLocation, StockMovement, Stocktake, StocktakeLine } from '../models/index.js';
+import { recordStockMovement } from './stockLedger.js';
+
+export const STOCKTAKE_STATUSES = ['open', 'posted', 'cancelled'];
+
+export const formatStocktakeReference = (stocktake) => `ST-${String(stocktake.id).padStart(5, '0')}`;
+
+/**
+ * Open a stock count for one category, or for every stock-tracked category when
+ * `categoryId` is not given, at one location or at every active location when
+ * `locationId` is not given. Each SKU still in use gets a line for each location it is
+ * held at (every SKU, when counting a single location), holding the quantity there now.
+ * Counts can't overlap: a SKU at a location is only ever on one open count.
+ */
+export async function openStocktake({ categoryId = null, locationId = null, notes = null, user = null }) {
+  const [category, location] = await Promise.all([
+    categoryId ? Category.findByPk(categoryId) : null,
+    locationId ? StockLocation.findByPk(locationId) : null
+  ]);
+  if (categoryId && !category) {
+    throw new Error(`Category ${categoryId} not found`);
+  }
+  if (category && !category.track_stock) {
+    throw new Error(`Stock is not tracked for ${category.name}`);
+  }
+  if (locationId && !location) {
+    throw new Error(`Stock location ${locationId} not found`);
+  }
+  if (location && !location.is_active) {
+    throw new Error(`${location.name} is inactive`);
+  }
+
+  const overlapping = await Stocktake.findOne({
+    where: {
+      status: 'open',
+      [Op.and]: [
+        ...(category ? [{ [Op.or]: [{ category_id: null }, { category_id: category.id }] }] : []),
+        ...(location ? [{ [Op.or]: [{ location_id: null }, { location_id: location.id }] }] : [])
+      ]
+    }
+  });
+  if (overlapping) {
+    throw new Error(`Stock count ${formatStocktakeReference(overlapping)} is still open for ${overlapping.category_id ? 'this category' : 'all stock'}${overlapping.location_id ? ' at this location' : ' at every location'}; post or cancel it first`);
+  }
+
+  const skus = await Sku.findAll({
+    where: {
+      status: { [Op.ne]: 'discontinued' },
+      ...(category && { category_id: category.id })
+    },
+    include: [{ model: Category, as: 'Category', where: { track_stock: true }, attributes: ['id'] }],
+    order: [['id', 'ASC']]
+  });
+  if (skus.length === 0) {
+    throw new Error('There are no stock-tracked SKUs to count');
+  }
+
+  const [locations, balances] = await Promise.all([
+    location ? [location] : StockLocation.findAll({ where: { is_active: true } }),
+    StockBalance.findAll({ where: { sku_id: { [Op.in]: skus.map(sku => sku.id) } }, raw: true })
+  ]);
+  const defaultLocation = locations.find(candidate => candidate.is_default);
+
+  const lines = [];
+  for (const sku of skus) {
+    const held = balances.filter(balance => balance.sku_id === sku.id);
+    for (const candidate of locations) {
+      const balance = held.find(entry => entry.location_id === candidate.id);
+      // A SKU held nowhere yet is counted at the default location
+      const counted = location || balance || (held.length === 0 && candidate === defaultLocation);
+      if (counted) {
+        lines.push({ sku_id: sku.id, location_id: candidate.id, snapshot_quantity: balance?.quantity || 0 });
+      }
+    }
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const stocktake = await Stocktake.create({
+      category_id: category?.id || null,
+      location_id: location?.id || null,
+      notes,
+      opened_by: user?.id || null
+    }, { transaction });
+    await StocktakeLine.bulkCreate(lines.map(line => ({
+      ...line,
+      stocktake_id: stocktake.id
+    })), { transaction });
+    return stocktake;
+  });
+}
+
+// Stock held now at each line's location, keyed `skuId:locationId`
+async function getLineBalances(lines) {
+  const balances = await StockBalance.findAll({
+    where: { sku_id: { [Op.in]: lines.map(line => line.sku_id) } },
+    raw: true
+  });
+  return new Map(balances.map(balance => [`${balance.sku_id}:${balance.location_id}`, balance.quantity]));
+}
+
+const balanceAt = (balances, line) => balances.get(`${line.sku_id}:${line.location_id}`) || 0;
+
+/**
+ * Enter counted quantities on an open count. `counts` is a list of
+ * `{ line_id, counted_quantity, reason }`; a null quantity clears the count. Each count
+ * is compared with the SKU's quantity at the line's location at the moment it is
+ * entered, so re-entering a count after stock has moved starts the comparison again.
+ */
+export async function recordStocktakeCounts({ stocktake, counts, user = null }) {
+  if (stocktake.status !== 'open') {
+    throw new Error(`Stock count ${formatStocktakeReference(stocktake)} is ${stocktake.status}`);
+  }
+
+  const lines = await StocktakeLine.findAll({
+    where: { stocktake_id: stocktake.id },
+    include: [{ model: Sku, as: 'Sku', attributes: ['id', 'name', 'quantity'] }]
+  });
+  const linesById = new Map(lines.map(line => [line.id, line]));
+  const balances = await getLineBalances(lines);
+
+  // Check every count before saving any
+  const accepted = counts.map(count => ({ ...count, line: linesById.get(parseInt(count.line_id, 10)) }));
+  for (const count of accepted) {
+    if (!count.line) {
+      throw new Error(`Line ${count.line_id} is not on stock count ${formatStocktakeReference(stocktake)}`);
+    }
+    if (count.line.posted_quantity !== null) {
+      throw new Error(`${count.line.Sku.name} has already been posted`);
+    }
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    for (const { line, counted_quantity: countedQuantity, reason } of accepted) {
+      const cleared = countedQuantity === null || countedQuantity === '';
+      const quantity = cleared ? null : parseInt(countedQuantity, 10);
+      const changed = quantity !== line.counted_quantity;
+
+      await line.update({
+        ...(changed && {
+          counted_quantity: quantity,
+          expected_quantity: cleared ? null : balanceAt(balances, line),
+          counted_by: cleared ? null : user?.id || null,
+          counted_at: cleared ? null : new Date()
+        }),
+        ...(reason !== undefined && { reason: reason?.trim() || null })
+      }, { transaction });
+    }
+  });
+
+  return accepted.length;
+}
+
+/**
+ * The variance of every line on a count, with what has moved on each SKU at the line's
+ * location since it was counted (or since the count was opened, for lines not counted yet).
+ */
+export async function getStocktakeVariance(stocktake) {
+  const lines = await StocktakeLine.findAll({
+    where: { stocktake_id: stocktake.id },
+    include: [
+      {
+        model: Sku,
+        as: 'Sku',
+        attributes: ['id', 'code', 'name', 'unit', 'quantity', 'category_id'],
+        include: [{ model: Category, as: 'Category', attributes: ['id', 'name'] }]
+      },
+      { model: StockLocation, as: 'Location', attributes: ['id', 'code', 'name'] }
+    ],
+    order: [
+      [{ model: Sku, as: 'Sku' }, 'category_id', 'ASC'],
+      [{ model: Sku, as: 'Sku' }, 'name', 'ASC'],
+      [{ model: StockLocation, as: 'Location' }, 'name', 'ASC']
+    ]
+  });
+  const balances = await getLineBalances(lines);
+
+  // The count's own adjustments aren't movements "during" it
+  const postedIds = lines.map(line => line.stock_movement_id).filter(Boolean);
+  const movements = await StockMovement.findAll({
+    attributes: ['id', 'sku_id', 'location_id', 'quantity', 'created_at'],
+    where: {
+      sku_id: { [Op.in]: lines.map(line => line.sku_id) },
+      created_at: { [Op.gte]: stocktake.createdAt },
+      ...(postedIds.length && { id: { [Op.notIn]: postedIds } })
+    },
+    raw: true
+  });
+  const movedSince = (line) => {
+    const since = new Date(line.counted_at || stocktake.createdAt);
+    return movements
+      .filter(movement => movement.sku_id === line.sku_id && movement.location_id === line.location_id && new Date(movement.created_at) > since)
+      .reduce((sum, movement) => sum + movement.quantity, 0);
+  };
+
+  return lines.map(line => {
+    const counted = line.counted_quantity !== null;
+    return {
+      line_id: line.id,
+      sku_id: line.sku_id,
+      code: line.Sku.code,
+      name: line.Sku.name,
+      unit: line.Sku.unit,
+      category_id: line.Sku.category_id,
+      category_name: line.Sku.Category.name,
+      location_id: line.location_id,
+      location_name: line.Location.name,
+      snapshot_quantity: line.snapshot_quantity,
+      expected_quantity: line.expected_quantity,
+      counted_quantity: line.counted_quantity,
+      variance: counted ? line.counted_quantity - line.expected_quantity : null,
+      system_quantity: balanceAt(balances, line),
+      moved_since_count: movedSince(line),
+      reason: line.reason,
+      counted_by: line.counted_by,
+      counted_at: line.counted_at,
+      posted_quantity: line.posted_quantity,
+      stock_movement_id: line.stock_movement_id
+    };
+  });
+}
+
+/**
+ * Post an open count: every counted line with a variance is recorded in the stock
+ * ledger as an adjustment of that variance at the line's location, with the line's
+ * reason (or `reason`). Lines not counted are left as they are. The adjustment is applied
+ * to the stock as it is now, so movements made while the count was open are kept.
+ * The count is locked while it is posted, so it is posted once; every adjustment and
+ * the status change are one transaction.
+ */
+export async function postStocktake({ stocktake, reason = null, user = null }) {
+  return sequelize.transaction(async (transaction) => {
+    const locked = await Stocktake.findByPk(stocktake.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (locked.status !== 'open') {
+      throw new Error(`Stock count ${formatStocktakeReference(locked)} is ${locked.status}`);
+    }
+
+    const reference = formatStocktakeReference(locked);
+    const lines = await StocktakeLine.findAll({
+      where: { stocktake_id: locked.id },
+      include: [
+        { model: Sku, as: 'Sku' },
+        { model: StockLocation, as: 'Location' }
+      ],
+      transaction
+    });
+    const counted = lines.filter(line => line.counted_quantity !== null);
+    if (counted.length === 0) {
+      throw new Error('Enter at least one counted quantity before posting');
+    }
+
+    const toPost = counted.filter(line => line.posted_quantity === null && line.counted_quantity !== line.expected_quantity);
+    const unexplained = toPost.find(line => !line.reason && !reason?.trim());
+    if (unexplained) {
+      throw new Error(`Give a reason for the variance on ${unexplained.Sku.name} at ${unexplained.Location.name}`);
+    }
+
+    const movements = [];
+    for (const line of toPost) {
+      const { movement } = await recordStockMovement({
+        sku: line.Sku,
+        type: 'adjustment',
+        quantity: line.counted_quantity - line.expected_quantity,
+        location: line.Location,
+        notes: `Stock count ${reference}: ${line.reason || reason.trim()}`,
+        user,
+        clampAtZero: true,
+        transaction
+      });
+      await line.update({
+        posted_quantity: movement?.quantity || 0,
+        stock_movement_id: movement?.id || null
+      }, { transaction });
+      if (movement) movements.push(movement);
+    }
+
+    await locked.update({
+      status: 'posted',
+      posted_by: user?.id || null,
+      posted_at: new Date()
+    }, { transaction });
+
+    return movements;
+  });
+}
+
+/**
+ * Cancel an open count without changing stock
+ */
+export async function cancelStocktake({ stocktake, user = null }) {
+  if (stocktake.status !== 'open') {
+    throw new Error(`Stock count ${formatStocktakeReference(stocktake)} is ${stocktake.status}`);
+  }
+  if (await StocktakeLine.count({ where: { stocktake_id: stocktake.id, posted_quantity: { [Op.ne]: null } } }) > 0) {
+    throw new Error(`Part of stock count ${formatStocktakeReference(stocktake)} has been posted; post the rest instead`);
+  }
+
+  // Only while still open, so a count being posted at the same time can't also be cancelled
+  const [cancelled] = await Stocktake.update({
+    status: 'cancelled',
+    cancelled_by: user?.id || null,
+    cancelled_at: new Date()
+  }, {
+    where: { id: stocktake.id, status: 'open' }
+  });
+  if (cancelled === 0) {
+    throw new Error(`Stock count ${formatStocktakeReference(stocktake)} is no longer open`);
+  }
+  return stocktake.reload();
+}
+
+/**
+ * A count as returned by the API, with its reference and progress
+ */
+export function serializeStocktake(stocktake, variance = null) {
+  const data = stocktake.toJSON();
+  const { Lines: lines, ...rest } = data;
+  const summary = variance
+    ? {
+      line_count: variance.length,
+      counted_count: variance.filter(line => line.counted_quantity !== null).length,
+      variance_count: variance.filter(line => line.variance).length,
+      net_variance: variance.reduce((sum, line) => sum + (line.variance || 0), 0)
+    }
+    : {
+      line_count: lines?.length || 0,
+      counted_count: lines?.filter(line => line.counted_quantity !== null).length || 0
+    };
+
+  return {
+    ...rest,
+    reference: formatStocktakeReference(stocktake),
+    ...summary,
+    ...(variance && { lines: variance })
+  };
+}
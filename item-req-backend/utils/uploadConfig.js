@@ -65,6 +65,23 @@ export const itemRequestUpload = multer({
   }
 });
 
+// Spreadsheet imports are read straight from memory and never saved
+const spreadsheetFilter = (req, file, cb) => {
+  if (/\.(xlsx|csv)$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .xlsx and .csv files can be imported'), false);
+  }
+};
+
+export const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: spreadsheetFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
 // Create vehicle-requests subdirectory
 const vehicleRequestsDir = join(uploadsDir, 'vehicle-requests');
 if (!fs.existsSync(vehicleRequestsDir)) {
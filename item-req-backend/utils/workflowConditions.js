@@ -0,0 +1,268 @@
+/**
+ * Workflow step conditions
+ *
+ * A step may carry a condition expression that decides whether it applies to a request, e.g.
+ *   total_estimated_cost > 50000
+ *   priority = urgent
+ *   any item.category = 'Software'
+ *   (priority = urgent OR total_estimated_cost >= 100000) AND NOT department_id = 3
+ *
+ * Fields are read from the condition context built for the request. `item.<field>` compares
+ * against the request's line items: `any` (the default) matches if one item matches,
+ * `all` only if every item does. Unquoted words on the right-hand side are treated as text,
+ * text comparisons are case-insensitive.
+ *
+ * Passing the form's `fields` (`{ fields, itemFields }`, see getConditionFields in
+ * workflowProcessor.js) makes a comparison on any other field an error, like a syntax error.
+ */
+
+const TOKEN_PATTERN = /\s*(?:(-?\d+(?:\.\d+)?)(?![A-Za-z_])|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(>=|<=|!=|<>|==|=|>|<|\(|\))|([A-Za-z_][A-Za-z0-9_.]*))/y;
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '>', '>=', '<', '<='];
+const KEYWORDS = ['and', 'or', 'not', 'any', 'all', 'true', 'false', 'null'];
+const ITEM_PREFIXES = ['item.', 'items.'];
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+
+    if (!match) {
+      if (expression.slice(start).trim() === '') break;
+      throw new Error(`Unexpected character '${expression.slice(start).trim()[0]}' at position ${start + 1}`);
+    }
+
+    const [, number, string, operator, word] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: parseFloat(number) });
+    else if (string !== undefined) tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (operator !== undefined) tokens.push({ type: operator === '(' || operator === ')' ? operator : 'operator', value: operator });
+    else if (word !== undefined) {
+      const lower = word.toLowerCase();
+      tokens.push(KEYWORDS.includes(lower) ? { type: 'keyword', value: lower } : { type: 'identifier', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'keyword' && token.value === value;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) throw new Error('Condition is empty');
+    const node = this.parseOr();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected '${this.peek().value}' after end of condition`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('or')) {
+      this.next();
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword('and')) {
+      this.next();
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword('not')) {
+      this.next();
+      return { type: 'not', expression: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    if (this.peek()?.type === '(') {
+      this.next();
+      const node = this.parseOr();
+      if (this.next()?.type !== ')') throw new Error('Missing closing parenthesis');
+      return node;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let quantifier = null;
+    if ((this.isKeyword('any') || this.isKeyword('all')) && this.peek(1)?.type === 'identifier') {
+      quantifier = this.next().value;
+    }
+
+    const field = this.next();
+    if (field?.type !== 'identifier') {
+      throw new Error(`Expected a field name but found '${field ? field.value : 'end of condition'}'`);
+    }
+
+    const isItemField = ITEM_PREFIXES.some(prefix => field.value.toLowerCase().startsWith(prefix));
+    if (quantifier && !isItemField) {
+      throw new Error(`'${quantifier}' can only be used with item fields (e.g. ${quantifier} item.category = 'Software')`);
+    }
+
+    const operator = this.next();
+    if (operator?.type !== 'operator' || !COMPARISON_OPERATORS.includes(operator.value)) {
+      throw new Error(`Expected a comparison operator after '${field.value}'`);
+    }
+
+    const valueToken = this.next();
+    let value;
+    if (valueToken?.type === 'number' || valueToken?.type === 'string') {
+      value = valueToken.value;
+    } else if (valueToken?.type === 'identifier') {
+      value = valueToken.value; // bare word, e.g. priority = urgent
+    } else if (valueToken?.type === 'keyword' && ['true', 'false', 'null'].includes(valueToken.value)) {
+      value = valueToken.value === 'null' ? null : valueToken.value === 'true';
+    } else {
+      throw new Error(`Expected a value after '${field.value} ${operator.value}'`);
+    }
+
+    return {
+      type: 'compare',
+      field: field.value,
+      isItemField,
+      quantifier: isItemField ? (quantifier || 'any') : null,
+      operator: operator.value,
+      value
+    };
+  }
+}
+
+function compareValues(actual, operator, expected) {
+  const isEqualityCheck = ['=', '==', '!=', '<>'].includes(operator);
+  const negate = operator === '!=' || operator === '<>';
+
+  if (actual === undefined || actual === null || actual === '') {
+    if (isEqualityCheck) return (expected === null) !== negate;
+    return false;
+  }
+  if (expected === null) return isEqualityCheck && negate;
+
+  let left;
+  let right;
+  if (typeof expected === 'number') {
+    left = Number(actual);
+    right = expected;
+    if (Number.isNaN(left)) return negate;
+  } else if (typeof expected === 'boolean') {
+    left = String(actual).toLowerCase() === 'true';
+    right = expected;
+  } else {
+    left = String(actual).toLowerCase();
+    right = String(expected).toLowerCase();
+  }
+
+  switch (operator) {
+    case '=':
+    case '==': return left === right;
+    case '!=':
+    case '<>': return left !== right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    default: return false;
+  }
+}
+
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'and': return evaluateNode(node.left, context) && evaluateNode(node.right, context);
+    case 'or': return evaluateNode(node.left, context) || evaluateNode(node.right, context);
+    case 'not': return !evaluateNode(node.expression, context);
+    case 'compare': {
+      if (node.isItemField) {
+        const itemField = node.field.slice(node.field.indexOf('.') + 1);
+        const items = context.items || [];
+        const matches = (item) => compareValues(item?.[itemField], node.operator, node.value);
+        return node.quantifier === 'all'
+          ? items.length > 0 && items.every(matches)
+          : items.some(matches);
+      }
+      return compareValues(context[node.field], node.operator, node.value);
+    }
+    default:
+      return false;
+  }
+}
+
+function assertKnownFields(node, fields) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      assertKnownFields(node.left, fields);
+      assertKnownFields(node.right, fields);
+      return;
+    case 'not':
+      assertKnownFields(node.expression, fields);
+      return;
+    case 'compare': {
+      const known = node.isItemField
+        ? (fields.itemFields || []).includes(node.field.slice(node.field.indexOf('.') + 1))
+        : (fields.fields || []).includes(node.field);
+      if (!known) throw new Error(`Unknown field '${node.field}'`);
+      return;
+    }
+    default:
+      return;
+  }
+}
+
+/**
+ * Parse a condition expression, throwing an Error with a readable message if it is invalid
+ * or, when `fields` is given, compares a field the form doesn't have
+ */
+export function parseCondition(expression, fields = null) {
+  const node = new Parser(tokenize(String(expression))).parse();
+  if (fields) assertKnownFields(node, fields);
+  return node;
+}
+
+/**
+ * Return null if the expression is valid (or empty), otherwise the error message
+ */
+export function validateCondition(expression, fields = null) {
+  if (!expression || !String(expression).trim()) return null;
+  try {
+    parseCondition(expression, fields);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Evaluate a condition against a request context. Empty conditions always apply.
+ * Throws if the condition is invalid, as in parseCondition.
+ */
+export function evaluateCondition(expression, context = {}, fields = null) {
+  if (!expression || !String(expression).trim()) return true;
+  return evaluateNode(parseCondition(expression, fields), context);
+}
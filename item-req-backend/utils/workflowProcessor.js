@@ -1,10 +1,12 @@
-import { ApprovalWorkflow, WorkflowStep, User, Department, Approval, ApprovalMatrix } from '../models/index.js';
+import { ApprovalWorkflow, WorkflowStep, User, Department, Approval, ApprovalMatrix, Request, RequestItem, ServiceVehicleRequest } from '../models/index.js';
 import { Op } from 'sequelize';
+import { evaluateCondition } from './workflowConditions.js';
 
 /**
- * Check if a workflow step is fully completed based on approval logic
+ * Check if a workflow step is fully completed based on approval logic.
+ * `approving` is an approval record about to be approved, counted as done already.
  */
-export async function checkStepCompletion(step, requestId) {
+export async function checkStepCompletion(step, requestId, approving = null) {
   if (!step) return true;
 
   // Default to 'any' if not specified
@@ -22,7 +24,8 @@ export async function checkStepCompletion(step, requestId) {
       where: {
         request_id: requestId,
         approval_type: approvalType,
-        status: 'pending'
+        status: 'pending',
+        ...(approving?.id && { id: { [Op.ne]: approving.id } })
       }
     });
 
@@ -92,12 +95,13 @@ export async function getActiveWorkflow(formType, departmentId = null) {
     // Note: is_active column doesn't exist in workflow_steps table, so we don't filter by it
     const steps = await WorkflowStep.findAll({
       where: {
-        workflow_id: workflow.id
+        workflow_id: workflow.id,
+        version: workflow.current_version
       },
       order: [['step_order', 'ASC']]
     });
 
-    console.log(`📋 Found ${steps.length} step(s) for workflow ${workflow.id}`);
+    console.log(`📋 Found ${steps.length} step(s) for workflow ${workflow.id} (v${workflow.current_version})`);
 
     // Attach steps to workflow object
     workflow.Steps = steps;
@@ -109,25 +113,230 @@ export async function getActiveWorkflow(formType, departmentId = null) {
   }
 }
 
+/**
+ * Get the workflow a request follows: the version it was submitted under if it is pinned,
+ * otherwise the currently active workflow. Steps of a published version never change,
+ * so in-flight requests keep their original route when the workflow is edited.
+ */
+export async function getWorkflowForRequest(formType, requestData = {}) {
+  if (requestData.workflow_id && requestData.workflow_version) {
+    try {
+      const workflow = await ApprovalWorkflow.findByPk(requestData.workflow_id);
+
+      if (workflow) {
+        workflow.Steps = await WorkflowStep.findAll({
+          where: {
+            workflow_id: workflow.id,
+            version: requestData.workflow_version
+          },
+          order: [['step_order', 'ASC']]
+        });
+
+        if (workflow.Steps.length > 0) {
+          return workflow;
+        }
+      }
+
+      console.warn(`⚠️ Pinned workflow ${requestData.workflow_id} v${requestData.workflow_version} not found, using the active workflow`);
+    } catch (error) {
+      console.error('❌ Error loading pinned workflow version:', error);
+    }
+  }
+
+  return getActiveWorkflow(formType, requestData.department_id);
+}
+
+/**
+ * Check whether a step applies to a request based on its condition expression.
+ * Steps without a condition and required steps always apply. A condition that can't be
+ * read, or that tests a field `formType` doesn't have, never skips the step.
+ */
+export function isStepApplicable(step, requestData = {}, formType = null) {
+  if (!step || !step.condition_expression || step.is_required) return true;
+
+  try {
+    const applies = evaluateCondition(step.condition_expression, requestData, getConditionFields(formType));
+    if (!applies) {
+      console.log(`⏭️ Skipping step '${step.step_name}' - condition not met: ${step.condition_expression}`);
+    }
+    return applies;
+  } catch (error) {
+    console.warn(`⚠️ Invalid condition on step '${step.step_name}' (${error.message}), step will not be skipped`);
+    return true;
+  }
+}
+
+/**
+ * The fields step conditions can test for a form type, as passed to validateCondition:
+ * the request's columns (plus `passenger_count` for vehicle requests) and, for item
+ * requests, the columns of its items. Null for an unknown form type.
+ */
+export function getConditionFields(formType) {
+  if (formType === 'item_request') {
+    return { fields: Object.keys(Request.rawAttributes), itemFields: Object.keys(RequestItem.rawAttributes) };
+  }
+  if (formType === 'vehicle_request') {
+    return { fields: [...Object.keys(ServiceVehicleRequest.rawAttributes), 'passenger_count'], itemFields: [] };
+  }
+  return null;
+}
+
+/**
+ * Build the values step conditions can test from a request instance (or plain object).
+ * Item requests expose their line items as `items`; vehicle requests get a `passenger_count`.
+ */
+export function buildConditionContext(formType, request) {
+  const data = request?.get ? request.get({ plain: true }) : { ...request };
+
+  if (formType === 'item_request') {
+    return { ...data, items: data.Items || data.items || [] };
+  }
+
+  return { ...data, passenger_count: Array.isArray(data.passengers) ? data.passengers.length : 0 };
+}
+
 /**
  * Get the first pending step for a request
  */
-export async function getFirstPendingStep(formType, departmentId = null) {
-  const workflow = await getActiveWorkflow(formType, departmentId);
+export async function getFirstPendingStep(formType, departmentId = null, requestData = {}) {
+  const workflow = await getWorkflowForRequest(formType, { ...requestData, department_id: departmentId });
 
   if (!workflow || !workflow.Steps || workflow.Steps.length === 0) {
     return null;
   }
 
-  // Return the first step (lowest step_order)
-  return workflow.Steps[0];
+  // Return the first applicable step (lowest step_order)
+  return workflow.Steps.find(step => isStepApplicable(step, requestData, formType)) || null;
+}
+
+/**
+ * Steps that share a step_order run in parallel. Return the applicable steps of the
+ * group that `step` belongs to, each with its approvers. Branches nobody can approve are dropped.
+ */
+export async function getParallelBranches(formType, step, requestData = {}) {
+  const workflow = await getWorkflowForRequest(formType, requestData);
+  const groupSteps = (workflow?.Steps || []).filter(
+    s => s.step_order === step.step_order && isStepApplicable(s, requestData, formType)
+  );
+  if (!groupSteps.some(s => s.id === step.id)) groupSteps.unshift(step);
+
+  const branches = [];
+  for (const groupStep of groupSteps) {
+    const approvers = await findApproversForStep(groupStep, requestData, formType);
+    if (approvers.length > 0) {
+      branches.push({ step: groupStep, approvers });
+    } else {
+      console.warn(`⚠️ No approvers found for parallel step '${groupStep.step_name}' (order: ${groupStep.step_order}), skipping branch`);
+    }
+  }
+
+  return branches;
+}
+
+/**
+ * Build the workflow result for a step group: the first branch is the lead step,
+ * approvers is the de-duplicated union across all branches
+ */
+function buildGroupResult(branches) {
+  const approvers = [];
+  for (const branch of branches) {
+    for (const approver of branch.approvers) {
+      if (!approvers.some(a => a.id === approver.id)) approvers.push(approver);
+    }
+  }
+
+  return {
+    step: branches[0].step,
+    steps: branches.map(b => b.step),
+    branches,
+    approvers: approvers, // Return array
+    approver: approvers[0] // Legacy support (first one)
+  };
+}
+
+/**
+ * IDs of the workflow steps a request is currently waiting on (several when branches run in parallel)
+ */
+export function getActiveStepIds(requestData = {}) {
+  if (Array.isArray(requestData.active_step_ids) && requestData.active_step_ids.length > 0) {
+    return requestData.active_step_ids;
+  }
+  return requestData.current_step_id ? [requestData.current_step_id] : [];
+}
+
+/**
+ * IDs of everyone who can still act on the given steps, including SLA backup approvers
+ */
+export async function getApproverIdsForSteps(formType, stepIds, requestData = {}) {
+  const ids = new Set(requestData.escalated_approver_ids || []);
+  if (stepIds.length === 0) return ids;
+
+  const steps = await WorkflowStep.findAll({ where: { id: stepIds } });
+  for (const step of steps) {
+    const approvers = await findApproversForStep(step, requestData, formType);
+    approvers.forEach(a => ids.add(a.id));
+  }
+
+  return ids;
+}
+
+/**
+ * Describe the parallel step groups of a request's workflow for display (timelines, approval grids).
+ * `getStepApprovals(step)` returns the approval records of one step. Groups the request
+ * has not reached yet are left out.
+ */
+export async function describeParallelBranches(formType, requestData, getStepApprovals) {
+  const workflow = await getWorkflowForRequest(formType, requestData);
+  if (!workflow || !workflow.Steps) return [];
+
+  const groups = new Map();
+  for (const step of workflow.Steps) {
+    if (!isStepApplicable(step, requestData, formType)) continue;
+    if (!groups.has(step.step_order)) groups.set(step.step_order, []);
+    groups.get(step.step_order).push(step);
+  }
+
+  const activeStepIds = getActiveStepIds(requestData);
+  const result = [];
+
+  for (const [stepOrder, steps] of groups) {
+    if (steps.length < 2) continue;
+
+    const branches = steps.map(step => {
+      const approvals = getStepApprovals(step) || [];
+      const declined = approvals.find(a => a.status === 'declined');
+      const approved = approvals.filter(a => a.status === 'approved');
+      const isApproved = !declined && approved.length > 0 &&
+        ((step.approval_logic || 'any') === 'any' || approvals.every(a => a.status === 'approved'));
+      const decidedBy = declined || (isApproved ? approved[approved.length - 1] : null);
+
+      return {
+        stepId: step.id,
+        stepName: step.step_name,
+        status: declined ? 'declined' : isApproved ? 'approved' : 'pending',
+        completedBy: decidedBy?.Approver ? `${decidedBy.Approver.first_name} ${decidedBy.Approver.last_name}` : null,
+        completedAt: declined ? declined.declined_at : (decidedBy?.approved_at || null),
+        comments: decidedBy?.comments || null
+      };
+    });
+
+    const isActive = steps.some(step => activeStepIds.includes(step.id));
+    if (!isActive && branches.every(b => b.status === 'pending')) continue;
+
+    result.push({ stepOrder, isActive, branches });
+  }
+
+  return result;
 }
 
 /**
  * Find ALL valid approvers for a workflow step based on the step configuration
  * Phase 2 Improvement: Group Approvals
+ *
+ * `resolution.source` is set to where the approvers came from (e.g. 'approval_matrix' or
+ * 'role_fallback'), which the workflow simulation reports back to admins.
  */
-export async function findApproversForStep(step, requestData = {}, formType = null) {
+export async function findApproversForStep(step, requestData = {}, formType = null, resolution = {}) {
   if (!step) {
     console.warn('⚠️ No step provided to findApproversForStep');
     return [];
@@ -156,6 +365,7 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
 
         console.log(`   Searching for users with role: ${step.approver_role}`);
         approvers = await User.findAll({ where: whereClause });
+        resolution.source = 'role';
         break;
 
       case 'user':
@@ -186,6 +396,7 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
               is_active: true
             }
           });
+          resolution.source = 'specific_users';
         } else {
           console.warn(`   ⚠️ No specific users configured for user-type step`);
         }
@@ -197,6 +408,7 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
           console.log(`   Searching for Requestor: ${requestData.requestor_id}`);
           const reqUser = await User.findByPk(requestData.requestor_id);
           if (reqUser) approvers = [reqUser];
+          resolution.source = 'requestor';
         } else {
           console.warn('   ⚠️ Requestor ID missing in requestData (cannot assign to Requestor)');
         }
@@ -240,6 +452,7 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
 
               if (matrixUsers && matrixUsers.length > 0) {
                 approvers = matrixUsers;
+                resolution.source = 'approval_matrix';
                 break; // Skip the default department approver fallback
               }
             }
@@ -252,6 +465,7 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
               is_active: true
             }
           });
+          resolution.source = 'role_fallback';
         } else {
           console.warn(`   ⚠️ No department specified and requires_same_department is false`);
         }
@@ -294,6 +508,7 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
 
             if (matrixUsers && matrixUsers.length > 0) {
               approvers = matrixUsers;
+              resolution.source = 'approval_matrix';
               break;
             }
           }
@@ -321,6 +536,7 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
 
             if (globalMatrixUsers && globalMatrixUsers.length > 0) {
               approvers = globalMatrixUsers;
+              resolution.source = 'global_approval_matrix';
               break;
             }
           }
@@ -336,6 +552,7 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
           });
 
           approvers = allDeptUsers.filter(u => u.hasCustomRole(step.approver_role));
+          resolution.source = 'role_fallback';
         } else {
           console.warn(`   ⚠️ Missing department ID or role name for custom_matrix_role lookup`);
         }
@@ -345,6 +562,8 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
         console.warn(`⚠️ Unknown approver_type: ${step.approver_type}`);
     }
 
+    approvers = await appendActiveDelegates(approvers);
+
     if (approvers.length > 0) {
       console.log(`   ✅ Found ${approvers.length} approver(s)`);
     } else {
@@ -358,6 +577,119 @@ export async function findApproversForStep(step, requestData = {}, formType = nu
   }
 }
 
+/**
+ * Add the temporary delegates of any approver whose delegation period is active.
+ * Delegates are tagged with `delegateFor` (the original approver's ID) so the
+ * approval record can show who they acted on behalf of.
+ */
+async function appendActiveDelegates(approvers) {
+  const now = new Date();
+  const delegating = approvers.filter(a => a.hasActiveDelegation && a.hasActiveDelegation(now));
+
+  if (delegating.length === 0) {
+    return approvers;
+  }
+
+  const existingIds = new Set(approvers.map(a => a.id));
+  const delegateIds = [...new Set(delegating.map(a => a.temp_delegate_id))].filter(id => !existingIds.has(id));
+
+  if (delegateIds.length === 0) {
+    return approvers;
+  }
+
+  const delegates = await User.findAll({
+    where: {
+      id: delegateIds,
+      is_active: true
+    }
+  });
+
+  for (const delegate of delegates) {
+    const principal = delegating.find(a => a.temp_delegate_id === delegate.id);
+    delegate.delegateFor = principal.id;
+    console.log(`   🔁 Adding delegate ${delegate.username} on behalf of ${principal.username}`);
+  }
+
+  return [...approvers, ...delegates];
+}
+
+/**
+ * Approvers who hold the step in their own right (excludes temporary delegates).
+ * Used when one approval record is created per approver ("all" logic).
+ */
+export function getPrincipalApprovers(approvers = []) {
+  return approvers.filter(a => !a.delegateFor);
+}
+
+/**
+ * If the user can act on the step only as someone's temporary delegate,
+ * return the ID of the approver they act on behalf of. Otherwise null.
+ */
+export async function findDelegatorForStep(step, user, requestData = {}, formType = null) {
+  if (!step || !user) return null;
+
+  const approvers = await findApproversForStep(step, requestData, formType);
+  const match = approvers.find(a => a.id === user.id);
+
+  return match?.delegateFor || null;
+}
+
+/**
+ * Keep in-flight approval queues in step with a delegation change.
+ * When `add` is true the delegate is added wherever the principal is pending;
+ * otherwise the delegate is removed again unless they still approve the step, in their own
+ * right or for someone else.
+ * Called when a delegation is saved or cancelled, and by the delegation sync job as
+ * periods start and end (utils/delegationSync.js). Returns the number of requests updated.
+ */
+export async function syncDelegateInPendingQueues(principalId, delegateId, { add = true } = {}) {
+  const sources = [
+    { model: Request, formType: 'item_request', requestorField: 'requestor_id' },
+    { model: ServiceVehicleRequest, formType: 'vehicle_request', requestorField: 'requested_by' }
+  ];
+  let updatedCount = 0;
+
+  for (const { model, formType, requestorField } of sources) {
+    // Removing only concerns queues the delegate is still in, so repeated syncs stay cheap
+    const requests = await model.findAll({
+      where: {
+        pending_approver_ids: { [Op.contains]: add ? [principalId] : [principalId, delegateId] }
+      }
+    });
+
+    for (const request of requests) {
+      const pending = request.pending_approver_ids || [];
+
+      if (add) {
+        if (pending.includes(delegateId)) continue;
+        await request.update({ pending_approver_ids: [...pending, delegateId] });
+        updatedCount++;
+        continue;
+      }
+
+      if (!pending.includes(delegateId)) continue;
+
+      if (request.current_step_id) {
+        const step = await WorkflowStep.findByPk(request.current_step_id);
+        const approvers = await findApproversForStep(step, {
+          department_id: request.department_id,
+          requestor_id: request[requestorField]
+        }, formType);
+        // Still an approver in their own right, or as another approver's active delegate
+        if (approvers.some(a => a.id === delegateId)) continue;
+      }
+
+      await request.update({ pending_approver_ids: pending.filter(id => id !== delegateId) });
+      updatedCount++;
+    }
+  }
+
+  if (updatedCount > 0) {
+    console.log(`🔁 Delegation sync (${add ? 'add' : 'remove'}) for user ${principalId} -> ${delegateId}: ${updatedCount} request(s) updated`);
+  }
+  return updatedCount;
+}
+
 // Support legacy calls temporarily if needed, but best to update all callers
 export async function findApproverForStep(step, requestData, formType = null) {
   const list = await findApproversForStep(step, requestData, formType);
@@ -367,15 +699,15 @@ export async function findApproverForStep(step, requestData, formType = null) {
 /**
  * Get the next step in the workflow after the current step
  */
-export async function getNextStep(formType, currentStepOrder, departmentId = null) {
-  const workflow = await getActiveWorkflow(formType, departmentId);
+export async function getNextStep(formType, currentStepOrder, departmentId = null, requestData = {}) {
+  const workflow = await getWorkflowForRequest(formType, { ...requestData, department_id: departmentId });
 
   if (!workflow || !workflow.Steps || workflow.Steps.length === 0) {
     return null;
   }
 
   const nextStep = workflow.Steps.find(
-    step => step.step_order > currentStepOrder
+    step => step.step_order > currentStepOrder && isStepApplicable(step, requestData, formType)
   );
 
   return nextStep || null;
@@ -387,25 +719,21 @@ export async function getNextStep(formType, currentStepOrder, departmentId = nul
  */
 export async function processWorkflowOnSubmit(formType, requestData) {
   try {
-    const firstStep = await getFirstPendingStep(formType, requestData.department_id);
+    const firstStep = await getFirstPendingStep(formType, requestData.department_id, requestData);
 
     if (!firstStep) {
       console.warn(`No workflow found for form type: ${formType}. Using fallback logic.`);
       return null;
     }
 
-    const approvers = await findApproversForStep(firstStep, requestData, formType);
+    const branches = await getParallelBranches(formType, firstStep, requestData);
 
-    if (!approvers || approvers.length === 0) {
+    if (branches.length === 0) {
       console.warn(`No approvers found for first step of workflow: ${formType}`);
       return null;
     }
 
-    return {
-      step: firstStep,
-      approvers: approvers, // Return array
-      approver: approvers[0] // Legacy support (first one)
-    };
+    return buildGroupResult(branches);
   } catch (error) {
     console.error('Error processing workflow on submit:', error);
     return null;
@@ -424,22 +752,31 @@ export async function findCurrentStepForApprover(formType, approver, requestStat
     }
 
     // Phase 1 Improvement: Explicit State Tracking
-    if (requestData.current_step_id) {
-      const step = await WorkflowStep.findByPk(requestData.current_step_id);
+    // Parallel branches: the request may be waiting on several steps at once
+    const activeStepIds = getActiveStepIds(requestData);
+    if (activeStepIds.length > 0) {
+      let firstActiveStep = null;
+
+      for (const stepId of activeStepIds) {
+        const step = await WorkflowStep.findByPk(stepId);
+        if (!step) continue;
+        firstActiveStep = firstActiveStep || step;
 
-      if (step) {
         // Check if the user is in the list of valid approvers for this step
         const stepApprovers = await findApproversForStep(step, requestData, formType);
-        const isApprover = stepApprovers.some(a => a.id === approver.id);
-
-        if (isApprover) {
+        if (stepApprovers.some(a => a.id === approver.id)) {
           return step;
         }
       }
+
+      // Backup approvers added to the current step by SLA escalation
+      if (firstActiveStep && (requestData.escalated_approver_ids || []).includes(approver.id)) {
+        return firstActiveStep;
+      }
     }
 
     // Fallback: Legacy "Guessing" Logic
-    const workflow = await getActiveWorkflow(formType, requestData.department_id);
+    const workflow = await getWorkflowForRequest(formType, requestData);
 
     if (!workflow || !workflow.Steps || workflow.Steps.length === 0) {
       return null;
@@ -499,26 +836,89 @@ export async function findCurrentStepForApprover(formType, approver, requestStat
  */
 export async function processWorkflowOnApproval(formType, requestData, currentStepOrder) {
   try {
-    const nextStep = await getNextStep(formType, currentStepOrder, requestData.department_id);
+    const nextStep = await getNextStep(formType, currentStepOrder, requestData.department_id, requestData);
 
     if (!nextStep) {
       return null;
     }
 
-    const approvers = await findApproversForStep(nextStep, requestData, formType);
+    const branches = await getParallelBranches(formType, nextStep, requestData);
 
-    if (!approvers || approvers.length === 0) {
+    if (branches.length === 0) {
       console.warn(`No approvers found for next step (order: ${nextStep.step_order}) of workflow: ${formType}`);
       return null;
     }
 
-    return {
-      step: nextStep,
-      approvers: approvers, // Return array
-      approver: approvers[0] // Legacy support
-    };
+    return buildGroupResult(branches);
   } catch (error) {
     console.error('Error processing workflow on approval:', error);
     return null;
   }
 }
+
+/**
+ * Dry-run a workflow against a sample request: evaluate every step's condition and resolve its
+ * approvers exactly as a real submission would, without creating or updating anything.
+ * Simulates `workflowId` (at its current version, even while inactive) if given,
+ * otherwise the workflow that is active for the sample's department.
+ */
+export async function simulateWorkflow(formType, sampleRequest = {}, workflowId = null) {
+  let workflow = null;
+
+  if (workflowId) {
+    workflow = await ApprovalWorkflow.findOne({ where: { id: workflowId, form_type: formType } });
+    if (workflow) {
+      workflow.Steps = await WorkflowStep.findAll({
+        where: { workflow_id: workflow.id, version: workflow.current_version },
+        order: [['step_order', 'ASC']]
+      });
+    }
+  } else {
+    workflow = await getActiveWorkflow(formType, sampleRequest.department_id);
+  }
+
+  if (!workflow) {
+    return null;
+  }
+
+  const requestData = buildConditionContext(formType, sampleRequest);
+  const steps = [];
+
+  for (const step of workflow.Steps || []) {
+    const applies = isStepApplicable(step, requestData, formType);
+    const resolution = {};
+    const approvers = applies ? await findApproversForStep(step, requestData, formType, resolution) : [];
+
+    steps.push({
+      stepId: step.id,
+      stepOrder: step.step_order,
+      stepName: step.step_name,
+      approverType: step.approver_type,
+      approverRole: step.approver_role,
+      conditionExpression: step.condition_expression,
+      statusOnApproval: step.status_on_approval,
+      isParallel: workflow.Steps.some(other => other.id !== step.id && other.step_order === step.step_order),
+      applies,
+      source: applies ? (resolution.source || null) : null,
+      approvers: approvers.map(approver => ({
+        id: approver.id,
+        name: `${approver.first_name} ${approver.last_name}`,
+        email: approver.email,
+        role: approver.role,
+        delegateFor: approver.delegateFor || null
+      }))
+    });
+  }
+
+  return {
+    workflow: {
+      id: workflow.id,
+      name: workflow.name,
+      version: workflow.current_version,
+      isActive: workflow.is_active,
+      departmentId: workflow.department_id
+    },
+    steps,
+    unresolvedSteps: steps.filter(step => step.applies && step.approvers.length === 0)
+  };
+}
@@ -2,6 +2,7 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { ToastProvider } from './contexts/ToastContext';
+import { RealtimeProvider } from './contexts/RealtimeContext';
 import Toast from './components/common/Toast';
 import LoginForm from './components/auth/LoginForm';
 import Dashboard from './components/dashboard/Dashboard';
@@ -9,6 +10,7 @@ import RequestForm from './components/requests/RequestForm';
 import UserManagement from './components/admin/UserManagement';
 import DepartmentManagement from './components/admin/DepartmentManagement';
 import TrackRequest from './components/requests/TrackRequest';
+import EmailActionPage from './components/requests/EmailActionPage';
 import ServiceVehicleRequestForm from './components/requests/ServiceVehicleRequestForm';
 import FormSelector from './components/requests/FormSelector';
 import WorkflowSettings from './components/admin/WorkflowSettings';
@@ -16,9 +18,15 @@ import ApprovalMatrixSettings from './components/admin/ApprovalMatrixSettings';
 import WorkflowSetup from './components/admin/WorkflowSetup';
 import AuditLogs from './components/audit/AuditLogs';
 import DeployedAssets from './components/inventory/DeployedAssets';
+import PurchaseRequisitions from './components/inventory/PurchaseRequisitions';
+import VendorDirectory from './components/inventory/VendorDirectory';
+import StockCounts from './components/inventory/StockCounts';
+import MyEquipment from './components/inventory/MyEquipment';
 import InventoryManagement from './components/admin/InventoryManagement';
 import RoleUIConfig from './components/admin/RoleUIConfig';
 import ApiKeysPage from './components/admin/ApiKeysPage';
+import EmailTemplatesPage from './components/admin/EmailTemplatesPage';
+import ProfileSettings from './components/profile/ProfileSettings';
 
 import ModuleRequestsPage from './components/requests/ModuleRequestsPage';
 import { MODULES } from './config/modules';
@@ -75,6 +83,11 @@ function AppRoutes() {
         element={<TrackRequest />}
       />
 
+      <Route
+        path="/email-action/:token"
+        element={<EmailActionPage />}
+      />
+
       {/* Protected Routes wrapped with Layout */}
       <Route element={
         <ProtectedRoute>
@@ -105,9 +118,15 @@ function AppRoutes() {
         <Route path="/settings/workflow-setup" element={<WorkflowSetup />} />
         <Route path="/audit-logs" element={<AuditLogs />} />
         <Route path="/deployed-assets" element={<DeployedAssets />} />
+        <Route path="/purchase-requisitions" element={<PurchaseRequisitions />} />
+        <Route path="/vendors" element={<VendorDirectory />} />
+        <Route path="/stock-counts" element={<StockCounts />} />
+        <Route path="/my-equipment" element={<MyEquipment />} />
         <Route path="/inventory" element={<InventoryManagement />} />
         <Route path="/settings/role-access" element={<RoleUIConfig />} />
         <Route path="/settings/api-keys" element={<ApiKeysPage />} />
+        <Route path="/settings/email-templates" element={<EmailTemplatesPage />} />
+        <Route path="/settings/profile" element={<ProfileSettings />} />
       </Route>
 
       {/* Default redirect */}
@@ -126,13 +145,15 @@ function App() {
     <ThemeProvider>
       <ToastProvider>
         <AuthProvider>
-          <Router>
-            <div className="App dark:bg-gray-900 dark:text-gray-100 min-h-screen transition-colors duration-200">
-              <Toast />
-              <AppRoutes />
-              <div className="no-print"><ChatbotWidget /></div>
-            </div>
-          </Router>
+          <RealtimeProvider>
+            <Router>
+              <div className="App dark:bg-gray-900 dark:text-gray-100 min-h-screen transition-colors duration-200">
+                <Toast />
+                <AppRoutes />
+                <div className="no-print"><ChatbotWidget /></div>
+              </div>
+            </Router>
+          </RealtimeProvider>
         </AuthProvider>
       </ToastProvider>
     </ThemeProvider>
@@ -0,0 +1,385 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Mail, Save, RotateCcw, Send, RefreshCw, ChevronDown, ChevronRight, AlertTriangle } from 'lucide-react';
+import { emailTemplatesAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useToast } from '../../hooks/useToast';
+
+// Wait this long after the last keystroke before re-rendering the preview
+const PREVIEW_DELAY_MS = 500;
+
+const FORM_TYPE_LABELS = {
+    item_request: 'Item requests',
+    vehicle_request: 'Service vehicle requests'
+};
+
+const EmailTemplatesPage = () => {
+    const { user } = useAuth();
+    const navigate = useNavigate();
+    const toast = useToast();
+    const [templates, setTemplates] = useState([]);
+    const [variables, setVariables] = useState([]);
+    const [selectedKey, setSelectedKey] = useState(null);
+    const [subject, setSubject] = useState('');
+    const [htmlBody, setHtmlBody] = useState('');
+    const [saved, setSaved] = useState({ subject: '', html_body: '' });
+    const [previewRequestId, setPreviewRequestId] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [previewError, setPreviewError] = useState('');
+    const [testEmail, setTestEmail] = useState('');
+    const [showVariables, setShowVariables] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [sending, setSending] = useState(false);
+
+    // Guard: only super_admin
+    useEffect(() => {
+        if (user && user.role !== 'super_administrator') {
+            navigate('/dashboard');
+        }
+    }, [user, navigate]);
+
+    const fetchTemplates = async () => {
+        try {
+            setLoading(true);
+            const res = await emailTemplatesAPI.getAll();
+            setTemplates(res.data.templates || []);
+            setVariables(res.data.variables || []);
+            if (!selectedKey && res.data.templates?.length) {
+                setSelectedKey(res.data.templates[0].key);
+            }
+        } catch (err) {
+            console.error('Error loading email templates:', err);
+            toast.error('Failed to load email templates.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    useEffect(() => { fetchTemplates(); }, []);
+
+    useEffect(() => {
+        if (!selectedKey) return;
+        const loadTemplate = async () => {
+            try {
+                const res = await emailTemplatesAPI.get(selectedKey);
+                setSubject(res.data.template.subject);
+                setHtmlBody(res.data.template.html_body);
+                setSaved({ subject: res.data.template.subject, html_body: res.data.template.html_body });
+            } catch (err) {
+                console.error('Error loading email template:', err);
+                toast.error('Failed to load the email template.');
+            }
+        };
+        loadTemplate();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [selectedKey]);
+
+    // Live preview of the draft
+    useEffect(() => {
+        if (!selectedKey || !htmlBody) return undefined;
+        const timer = setTimeout(async () => {
+            try {
+                const res = await emailTemplatesAPI.preview(selectedKey, {
+                    subject,
+                    html_body: htmlBody,
+                    request_id: previewRequestId ? parseInt(previewRequestId, 10) : null
+                });
+                setPreview(res.data);
+                setPreviewError('');
+            } catch (err) {
+                const errors = err.response?.data?.errors;
+                setPreviewError(errors?.length ? errors.map(e => e.msg).join(' ') : (err.response?.data?.message || 'Preview failed'));
+            }
+        }, PREVIEW_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [selectedKey, subject, htmlBody, previewRequestId]);
+
+    const selectedTemplate = templates.find(template => template.key === selectedKey);
+    const hasChanges = subject !== saved.subject || htmlBody !== saved.html_body;
+
+    const handleSelect = (key) => {
+        if (key === selectedKey) return;
+        if (hasChanges && !window.confirm('Discard your unsaved changes to this template?')) return;
+        setPreview(null);
+        setPreviewError('');
+        setSelectedKey(key);
+    };
+
+    const applySavedTemplate = (template) => {
+        setSubject(template.subject);
+        setHtmlBody(template.html_body);
+        setSaved({ subject: template.subject, html_body: template.html_body });
+        setTemplates(prev => prev.map(t => t.key === template.key ? { ...t, ...template } : t));
+    };
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            const res = await emailTemplatesAPI.update(selectedKey, { subject, html_body: htmlBody });
+            applySavedTemplate(res.data.template);
+            toast.success('Email template saved');
+        } catch (err) {
+            console.error('Error saving email template:', err);
+            const errors = err.response?.data?.errors;
+            toast.error(errors?.length ? errors[0].msg : (err.response?.data?.message || 'Failed to save the email template.'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm(`Reset "${selectedTemplate?.name}" to the built-in default? Your customizations will be lost.`)) return;
+        try {
+            setSaving(true);
+            const res = await emailTemplatesAPI.reset(selectedKey);
+            applySavedTemplate(res.data.template);
+            toast.success('Email template reset to default');
+        } catch (err) {
+            console.error('Error resetting email template:', err);
+            toast.error(err.response?.data?.message || 'Failed to reset the email template.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSendTest = async () => {
+        try {
+            setSending(true);
+            const res = await emailTemplatesAPI.sendTest(selectedKey, {
+                subject,
+                html_body: htmlBody,
+                email: testEmail || undefined,
+                request_id: previewRequestId ? parseInt(previewRequestId, 10) : null
+            });
+            toast.success(res.data.message || 'Test email sent');
+        } catch (err) {
+            console.error('Error sending test email:', err);
+            const errors = err.response?.data?.errors;
+            toast.error(errors?.length ? errors[0].msg : (err.response?.data?.error || err.response?.data?.message || 'Failed to send the test email.'));
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const groups = templates.reduce((acc, template) => {
+        const group = FORM_TYPE_LABELS[template.form_type] || 'General';
+        (acc[group] = acc[group] || []).push(template);
+        return acc;
+    }, {});
+
+    return (
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Header */}
+                <div className="flex items-center justify-between mb-8">
+                    <div className="flex items-center gap-3">
+                        <div className="p-2 bg-blue-600 rounded-xl">
+                            <Mail className="h-6 w-6 text-white" />
+                        </div>
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Email Templates</h1>
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                                Edit the wording of notification emails. Changes apply to the next email sent.
+                            </p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={fetchTemplates}
+                        className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                        title="Reload"
+                    >
+                        <RefreshCw className="h-4 w-4" />
+                    </button>
+                </div>
+
+                {loading ? (
+                    <div className="flex justify-center py-12">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                        {/* Template list */}
+                        <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-3 h-fit">
+                            {Object.entries(groups).map(([group, items]) => (
+                                <div key={group} className="mb-3 last:mb-0">
+                                    <p className="text-[10px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest px-2 mb-1">{group}</p>
+                                    {items.map(template => (
+                                        <button
+                                            key={template.key}
+                                            onClick={() => handleSelect(template.key)}
+                                            className={`w-full text-left px-2 py-2 rounded-lg text-sm flex items-center justify-between gap-2 ${template.key === selectedKey
+                                                ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 font-medium'
+                                                : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700/50'}`}
+                                        >
+                                            <span className="truncate">{template.name}</span>
+                                            {template.is_customized && (
+                                                <span className="text-[10px] px-1.5 py-0.5 rounded bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300 flex-shrink-0">Edited</span>
+                                            )}
+                                        </button>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+
+                        {/* Editor */}
+                        {selectedTemplate && (
+                            <div className="lg:col-span-3 space-y-6">
+                                <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+                                    <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                                        <h2 className="font-semibold text-gray-900 dark:text-white">{selectedTemplate.name}</h2>
+                                        <p className="text-xs text-gray-500 dark:text-gray-400">{selectedTemplate.description}</p>
+                                        {selectedTemplate.updated_by && (
+                                            <p className="text-xs text-gray-400 mt-1">
+                                                Last edited by {selectedTemplate.updated_by}
+                                                {selectedTemplate.updated_at ? ` on ${new Date(selectedTemplate.updated_at).toLocaleString()}` : ''}
+                                            </p>
+                                        )}
+                                    </div>
+
+                                    <div className="p-6 space-y-4">
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Subject</label>
+                                            <input
+                                                type="text"
+                                                value={subject}
+                                                onChange={(e) => setSubject(e.target.value)}
+                                                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">HTML Body</label>
+                                            <textarea
+                                                value={htmlBody}
+                                                onChange={(e) => setHtmlBody(e.target.value)}
+                                                rows={18}
+                                                spellCheck={false}
+                                                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent custom-scrollbar"
+                                            />
+                                        </div>
+
+                                        {/* Placeholder reference */}
+                                        <div className="border border-gray-200 dark:border-gray-700 rounded-lg">
+                                            <button
+                                                onClick={() => setShowVariables(prev => !prev)}
+                                                className="w-full flex items-center gap-2 px-3 py-2 text-sm text-gray-700 dark:text-gray-300"
+                                            >
+                                                {showVariables ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                                                Available placeholders
+                                            </button>
+                                            {showVariables && (
+                                                <div className="px-3 pb-3 text-xs text-gray-600 dark:text-gray-400 space-y-2">
+                                                    <p>
+                                                        Use <code>{'{{name}}'}</code> to insert a value, <code>{'{{#if name}}...{{else}}...{{/if}}'}</code> to show text only when a value is set,
+                                                        and <code>{'{{#each notifications}}...{{/each}}'}</code> to repeat a block. Values are HTML-escaped.
+                                                    </p>
+                                                    <table className="w-full">
+                                                        <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                                                            {variables.map(variable => (
+                                                                <tr key={variable.name}>
+                                                                    <td className="py-1 pr-4 font-mono whitespace-nowrap text-gray-800 dark:text-gray-200">
+                                                                        {variable.raw ? `{{{${variable.name}}}}` : `{{${variable.name}}}`}
+                                                                    </td>
+                                                                    <td className="py-1">{variable.description}</td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                </div>
+                                            )}
+                                        </div>
+                                    </div>
+
+                                    <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-3">
+                                        <button
+                                            onClick={handleReset}
+                                            disabled={saving || !selectedTemplate.is_customized}
+                                            className="flex items-center gap-2 px-4 py-2 text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            <RotateCcw className="h-4 w-4" />
+                                            Reset to Default
+                                        </button>
+                                        <div className="flex flex-wrap items-center gap-2">
+                                            <input
+                                                type="email"
+                                                value={testEmail}
+                                                onChange={(e) => setTestEmail(e.target.value)}
+                                                placeholder={user?.email || 'test@example.com'}
+                                                className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm w-56"
+                                            />
+                                            <button
+                                                onClick={handleSendTest}
+                                                disabled={sending}
+                                                className="flex items-center gap-2 px-4 py-2 text-blue-700 dark:text-blue-300 border border-blue-300 dark:border-blue-700 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/30 transition-colors font-medium text-sm disabled:opacity-50"
+                                            >
+                                                <Send className="h-4 w-4" />
+                                                {sending ? 'Sending...' : 'Send Test'}
+                                            </button>
+                                            <button
+                                                onClick={handleSave}
+                                                disabled={!hasChanges || saving}
+                                                className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                                            >
+                                                <Save className="h-4 w-4" />
+                                                {saving ? 'Saving...' : 'Save Template'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+
+                                {/* Live preview */}
+                                <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+                                    <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-3">
+                                        <div>
+                                            <h2 className="font-semibold text-gray-900 dark:text-white">Preview</h2>
+                                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                                {preview?.sample?.request_id
+                                                    ? `Rendered against request ${preview.sample.reference}, with you as the approver.`
+                                                    : 'Rendered against sample data, with you as the approver.'}
+                                            </p>
+                                        </div>
+                                        <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                                            Request ID
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                value={previewRequestId}
+                                                onChange={(e) => setPreviewRequestId(e.target.value)}
+                                                placeholder="Latest"
+                                                className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm w-24"
+                                            />
+                                        </label>
+                                    </div>
+
+                                    {previewError && (
+                                        <div className="mx-6 mt-4 p-3 flex items-start gap-2 bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-700 rounded-lg text-sm text-red-700 dark:text-red-300">
+                                            <AlertTriangle className="h-4 w-4 flex-shrink-0 mt-0.5" />
+                                            {previewError}
+                                        </div>
+                                    )}
+
+                                    {preview && (
+                                        <div className="p-6">
+                                            <p className="text-sm text-gray-700 dark:text-gray-300 mb-3">
+                                                <span className="font-medium">Subject:</span> {preview.subject}
+                                            </p>
+                                            <iframe
+                                                title="Email preview"
+                                                srcDoc={preview.html}
+                                                sandbox=""
+                                                className="w-full h-[600px] bg-white border border-gray-200 dark:border-gray-700 rounded-lg"
+                                            />
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default EmailTemplatesPage;
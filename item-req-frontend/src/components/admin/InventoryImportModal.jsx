@@ -0,0 +1,245 @@
+import React, { useState, useContext } from 'react';
+import { X, Upload, Download, AlertCircle } from 'lucide-react';
+import { inventoryImportAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const ACTION_LABELS = {
+    create: { label: 'New', className: 'bg-green-100 text-green-800' },
+    update: { label: 'Updated', className: 'bg-blue-100 text-blue-800' }
+};
+
+const ActionBadge = ({ action }) => {
+    if (!ACTION_LABELS[action]) return null;
+    const { label, className } = ACTION_LABELS[action];
+    return (
+        <span className={`ml-2 px-1.5 py-0.5 text-[10px] font-semibold rounded ${className}`}>{label.toUpperCase()}</span>
+    );
+};
+
+// Bulk-load categories, SKUs and stock from a spreadsheet. The file is checked first and
+// only imported, all or nothing, once every row is valid.
+const InventoryImportModal = ({ isOpen, onClose, onImported }) => {
+    const { success: toastSuccess, error: toastError } = useContext(ToastContext);
+    const [file, setFile] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [checking, setChecking] = useState(false);
+    const [importing, setImporting] = useState(false);
+
+    const reset = () => {
+        setFile(null);
+        setPreview(null);
+    };
+
+    const handleClose = () => {
+        reset();
+        onClose();
+    };
+
+    const asFormData = () => {
+        const formData = new FormData();
+        formData.append('file', file);
+        return formData;
+    };
+
+    const uploadError = (error, fallback) => error.response?.data?.message || error.response?.data?.error || fallback;
+
+    const handleDownloadTemplate = async () => {
+        try {
+            const response = await inventoryImportAPI.downloadTemplate();
+            const blob = new Blob([response.data], {
+                type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            });
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'inventory_import_template.xlsx';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error downloading import template:', error);
+            toastError('Failed to download import template');
+        }
+    };
+
+    const handleCheck = async () => {
+        try {
+            setChecking(true);
+            const response = await inventoryImportAPI.preview(asFormData());
+            setPreview(response.data);
+        } catch (error) {
+            console.error('Error checking import file:', error);
+            setPreview(null);
+            toastError(uploadError(error, 'Failed to check import file'));
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    const handleImport = async () => {
+        try {
+            setImporting(true);
+            const response = await inventoryImportAPI.commit(asFormData());
+            toastSuccess(response.data.message);
+            reset();
+            onImported();
+        } catch (error) {
+            console.error('Error importing inventory:', error);
+            // Rows are checked again on import; show what changed since the preview
+            if (error.response?.data?.rows) {
+                setPreview(error.response.data);
+            }
+            toastError(uploadError(error, 'Failed to import inventory'));
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    if (!isOpen) return null;
+
+    const summary = preview?.summary;
+    const hasErrors = summary?.invalid_rows > 0;
+    const hasChanges = summary && (summary.categories_created + summary.categories_updated + summary.skus_created + summary.skus_updated + summary.stock_changes) > 0;
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={handleClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-5xl sm:w-full">
+                    <div className="bg-white dark:bg-gray-800 px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white flex items-center">
+                                    <Upload className="h-5 w-5 mr-2" />
+                                    Import Inventory
+                                </h3>
+                                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                                    Add or update categories, SKUs, minimum levels, purposes and stock from an .xlsx or .csv file. Nothing is imported while any row has errors.
+                                </p>
+                            </div>
+                            <button onClick={handleClose} className="text-gray-400 hover:text-gray-500">
+                                <X className="h-6 w-6" />
+                            </button>
+                        </div>
+
+                        <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-4">
+                            <input
+                                type="file"
+                                accept=".xlsx,.csv"
+                                onChange={(e) => {
+                                    setFile(e.target.files[0] || null);
+                                    setPreview(null);
+                                }}
+                                className="flex-1 text-sm text-gray-700 dark:text-gray-300"
+                            />
+                            <button
+                                onClick={handleDownloadTemplate}
+                                className="flex items-center px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 text-sm dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                            >
+                                <Download className="h-4 w-4 mr-2" />
+                                Download Template
+                            </button>
+                            <button
+                                onClick={handleCheck}
+                                disabled={!file || checking}
+                                className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 text-sm disabled:opacity-50"
+                            >
+                                {checking ? 'Checking...' : 'Check File'}
+                            </button>
+                        </div>
+
+                        {summary && (
+                            <>
+                                <div className={`mb-3 p-3 rounded-md text-sm ${hasErrors ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'}`}>
+                                    {hasErrors ? (
+                                        <span className="flex items-center">
+                                            <AlertCircle className="h-4 w-4 mr-2" />
+                                            {summary.invalid_rows} of {summary.rows} rows have errors. Fix them in the file and check it again.
+                                        </span>
+                                    ) : (
+                                        <span>
+                                            {summary.rows} rows ready: {summary.categories_created} new and {summary.categories_updated} updated categories,
+                                            {' '}{summary.skus_created} new and {summary.skus_updated} updated SKUs, {summary.stock_changes} stock changes.
+                                        </span>
+                                    )}
+                                </div>
+
+                                <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+                                    <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                                        <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0">
+                                            <tr>
+                                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Row</th>
+                                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Category</th>
+                                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">SKU</th>
+                                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Stock</th>
+                                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Errors</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                                            {preview.rows.map((row) => (
+                                                <tr key={row.row} className={row.errors.length ? 'bg-red-50 dark:bg-red-900/20' : ''}>
+                                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{row.row}</td>
+                                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                                                        {row.category || '-'}
+                                                        <ActionBadge action={row.category_action} />
+                                                    </td>
+                                                    <td className="px-4 py-2 text-sm text-gray-900 dark:text-white">
+                                                        {row.sku_name ? (
+                                                            <>
+                                                                {row.sku_name}
+                                                                <ActionBadge action={row.sku_action} />
+                                                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                                                    {row.sku_code || 'Code generated'}{row.is_default ? ' · default' : ''}
+                                                                </span>
+                                                            </>
+                                                        ) : '-'}
+                                                    </td>
+                                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                                                        {row.quantity !== null ? (
+                                                            <>
+                                                                {row.current_quantity === row.quantity ? `${row.quantity} (unchanged)` : `${row.current_quantity} → ${row.quantity}`}
+                                                                <span className="block text-xs text-gray-500 dark:text-gray-400">{row.location}</span>
+                                                            </>
+                                                        ) : '-'}
+                                                    </td>
+                                                    <td className="px-4 py-2 text-sm text-red-700 dark:text-red-400">
+                                                        {row.errors.map((message, index) => (
+                                                            <div key={index}>{message}</div>
+                                                        ))}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                    <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
+                        <button
+                            type="button"
+                            onClick={handleImport}
+                            disabled={!summary || hasErrors || !hasChanges || importing}
+                            className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 disabled:opacity-50 sm:ml-3 sm:w-auto sm:text-sm"
+                        >
+                            {importing ? 'Importing...' : 'Import'}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={handleClose}
+                            className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default InventoryImportModal;
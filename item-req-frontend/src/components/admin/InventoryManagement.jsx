@@ -4,20 +4,70 @@ import {
     Search,
     Edit2,
     Trash2,
-    AlertTriangle,
-    CheckCircle,
     X,
-    Settings
+    Settings,
+    History,
+    Scale,
+    ChevronRight,
+    ChevronDown,
+    PackagePlus,
+    MapPin,
+    Truck,
+    Upload
 } from 'lucide-react';
-import { categoriesAPI, settingsAPI } from '../../services/api';
+import { categoriesAPI, settingsAPI, skusAPI, stockLocationsAPI } from '../../services/api';
 import { ToastContext } from '../../contexts/ToastContext';
 import ConfirmDialog from '../common/ConfirmDialog';
+import StockHistoryModal from './StockHistoryModal';
+import StockReconciliationModal from './StockReconciliationModal';
+import SkuFormModal from './SkuFormModal';
+import StockLocationsModal from './StockLocationsModal';
+import StockTransfersModal from './StockTransfersModal';
+import InventoryImportModal from './InventoryImportModal';
+
+// Worst first, so a category shows the state of its most urgent SKU
+const STOCK_STATES = {
+    out: { label: 'Out of Stock', className: 'bg-red-100 text-red-800' },
+    reserved: { label: 'Fully Reserved', className: 'bg-orange-100 text-orange-800' },
+    low: { label: 'Low Stock', className: 'bg-yellow-100 text-yellow-800' },
+    ok: { label: 'Available', className: 'bg-green-100 text-green-800' },
+    discontinued: { label: 'Discontinued', className: 'bg-gray-100 text-gray-600' }
+};
+const STATE_ORDER = Object.keys(STOCK_STATES);
+
+const getSkuState = (sku) => {
+    if (sku.status === 'discontinued') return 'discontinued';
+    // Stock reserved for endorsed requests isn't available to anyone else
+    const available = sku.available_quantity ?? sku.quantity;
+    if (sku.quantity === 0) return 'out';
+    if (available <= 0) return 'reserved';
+    if (available <= sku.min_stock_level) return 'low';
+    return 'ok';
+};
+
+const getCategoryState = (category) => {
+    const states = (category.skus || []).map(getSkuState).filter(state => state !== 'discontinued');
+    if (states.length === 0) return null;
+    return states.sort((a, b) => STATE_ORDER.indexOf(a) - STATE_ORDER.indexOf(b))[0];
+};
 
+const StatusBadge = ({ state }) => {
+    const { label, className } = STOCK_STATES[state] || { label: 'N/A', className: 'bg-gray-100 text-gray-800' };
+    return (
+        <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${className}`}>
+            {label}
+        </span>
+    );
+};
+
+// Categories group the stockable SKUs; each SKU keeps its own stock, unit and alert level
+// and the category shows their total.
 const InventoryManagement = () => {
     const { success: toastSuccess, error: toastError } = useContext(ToastContext);
     const [categories, setCategories] = useState([]);
     const [loading, setLoading] = useState(true);
     const [filter, setFilter] = useState('');
+    const [expandedIds, setExpandedIds] = useState([]);
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [editingCategory, setEditingCategory] = useState(null);
 
@@ -26,13 +76,29 @@ const InventoryManagement = () => {
     const [isPurposeModalOpen, setIsPurposeModalOpen] = useState(false);
     const [newPurpose, setNewPurpose] = useState('');
 
+    // SKU State
+    const [skuForm, setSkuForm] = useState(null);
+
+    // Stock Ledger State
+    const [historySkuId, setHistorySkuId] = useState(null);
+    const [isReconcileOpen, setIsReconcileOpen] = useState(false);
+
+    // Stock Location State
+    const [locations, setLocations] = useState([]);
+    const [locationFilter, setLocationFilter] = useState('');
+    const [isLocationsOpen, setIsLocationsOpen] = useState(false);
+    const [isTransfersOpen, setIsTransfersOpen] = useState(false);
+    const [isImportOpen, setIsImportOpen] = useState(false);
+
     // Modal Form State
     const [formData, setFormData] = useState({
         name: '',
         description: '',
         quantity: 0,
         min_stock_level: 5,
+        unit: 'pcs',
         track_stock: true,
+        location_id: '',
         purposes: []
     });
 
@@ -46,12 +112,14 @@ const InventoryManagement = () => {
     const fetchCategories = async () => {
         try {
             setLoading(true);
-            const [categoriesRes, purposesRes] = await Promise.all([
+            const [categoriesRes, purposesRes, locationsRes] = await Promise.all([
                 categoriesAPI.getAll(),
-                settingsAPI.getGeneralPurposes()
+                settingsAPI.getGeneralPurposes(),
+                stockLocationsAPI.getAll({ include_inactive: true })
             ]);
             setCategories(categoriesRes.data);
             setGeneralPurposes(purposesRes.data);
+            setLocations(locationsRes.data.locations);
         } catch (error) {
             console.error('Error fetching data:', error);
             toastError('Failed to load inventory data');
@@ -100,9 +168,11 @@ const InventoryManagement = () => {
             setFormData({
                 name: category.name,
                 description: category.description || '',
-                quantity: category.quantity || 0,
-                min_stock_level: category.min_stock_level || 5,
+                quantity: 0,
+                min_stock_level: 5,
+                unit: 'pcs',
                 track_stock: category.track_stock !== undefined ? category.track_stock : true,
+                location_id: '',
                 purposes: category.purposes || []
             });
         } else {
@@ -112,7 +182,9 @@ const InventoryManagement = () => {
                 description: '',
                 quantity: 0,
                 min_stock_level: 5,
+                unit: 'pcs',
                 track_stock: true,
+                location_id: '',
                 purposes: []
             });
         }
@@ -144,10 +216,12 @@ const InventoryManagement = () => {
         e.preventDefault();
         try {
             if (editingCategory) {
-                await categoriesAPI.update(editingCategory.id, formData);
+                // Stock is kept on the category's SKUs; only the category itself changes here
+                const { name, description, track_stock, purposes } = formData;
+                await categoriesAPI.update(editingCategory.id, { name, description, track_stock, purposes });
                 toastSuccess('Category updated successfully');
             } else {
-                await categoriesAPI.create(formData);
+                await categoriesAPI.create({ ...formData, location_id: formData.location_id ? parseInt(formData.location_id) : null });
                 toastSuccess('Category created successfully');
             }
             setIsModalOpen(false);
@@ -162,7 +236,7 @@ const InventoryManagement = () => {
         setConfirmDialog({
             isOpen: true,
             title: 'Delete Category',
-            message: `Are you sure you want to delete "${category.name}"? This action cannot be undone.`,
+            message: `Are you sure you want to delete "${category.name}"? Its SKUs and their stock history are deleted with it. This action cannot be undone.`,
             onConfirm: async () => {
                 try {
                     await categoriesAPI.delete(category.id);
@@ -178,40 +252,53 @@ const InventoryManagement = () => {
         });
     };
 
-    const getStatusBadge = (category) => {
-        if (!category.track_stock) {
-            return (
-                <span className="px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-800">
-                    N/A
-                </span>
-            );
-        }
-
-        if (category.quantity === 0) {
-            return (
-                <span className="px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
-                    Out of Stock
-                </span>
-            );
-        }
-
-        if (category.quantity <= category.min_stock_level) {
-            return (
-                <span className="px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
-                    Low Stock
-                </span>
-            );
-        }
+    const handleDeleteSku = (sku) => {
+        setConfirmDialog({
+            isOpen: true,
+            title: 'Delete SKU',
+            message: `Are you sure you want to delete "${sku.name}" (${sku.code})? SKUs with stock history can only be discontinued.`,
+            onConfirm: async () => {
+                try {
+                    await skusAPI.delete(sku.id);
+                    toastSuccess('SKU deleted successfully');
+                    fetchCategories();
+                } catch (error) {
+                    console.error('Error deleting SKU:', error);
+                    toastError(error.response?.data?.message || 'Failed to delete SKU');
+                } finally {
+                    setConfirmDialog(prev => ({ ...prev, isOpen: false }));
+                }
+            }
+        });
+    };
 
-        return (
-            <span className="px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
-                Available
-            </span>
-        );
+    const toggleExpanded = (categoryId) => {
+        setExpandedIds(prev => (prev.includes(categoryId) ? prev.filter(id => id !== categoryId) : [...prev, categoryId]));
     };
 
+    // A search matches category names and SKU names and codes
+    const term = filter.trim().toLowerCase();
+    const skuMatches = (sku) => sku.name.toLowerCase().includes(term) || sku.code.toLowerCase().includes(term);
+    // With a location picked, On Hand is the stock held there and only what is held there is listed;
+    // reserved and available stay company-wide
+    const activeLocations = locations.filter(location => location.is_active);
+    const selectedLocationId = locationFilter ? parseInt(locationFilter) : null;
+    const heldAt = (sku) => (selectedLocationId
+        ? (sku.balances || []).find(balance => balance.location_id === selectedLocationId)?.quantity || 0
+        : sku.quantity);
+    const skusShown = (cat) => (cat.skus || []).filter(sku => !selectedLocationId || heldAt(sku) > 0);
     const filteredCategories = categories.filter(cat =>
-        cat.name.toLowerCase().includes(filter.toLowerCase())
+        (!selectedLocationId || skusShown(cat).length > 0) &&
+        (cat.name.toLowerCase().includes(term) || skusShown(cat).some(skuMatches))
+    );
+
+    const allSkus = categories.flatMap(cat => (cat.skus || []).map(sku => ({ ...sku, track_stock: cat.track_stock })));
+    const historySku = allSkus.find(sku => sku.id === historySkuId) || null;
+
+    const stockCell = (value, tracked, className = 'text-gray-900 dark:text-white') => (
+        <td className={`px-6 py-4 whitespace-nowrap text-sm font-bold ${className}`}>
+            {tracked ? value : '-'}
+        </td>
     );
 
     return (
@@ -222,13 +309,41 @@ const InventoryManagement = () => {
                     <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
                     <input
                         type="text"
-                        placeholder="Search equipment types..."
+                        placeholder="Search categories, SKU names or codes..."
                         value={filter}
                         onChange={(e) => setFilter(e.target.value)}
                         className="pl-10 w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-white"
                     />
                 </div>
+                {activeLocations.length > 1 && (
+                    <select
+                        value={locationFilter}
+                        onChange={(e) => setLocationFilter(e.target.value)}
+                        className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:text-white"
+                    >
+                        <option value="">All locations</option>
+                        {activeLocations.map(location => (
+                            <option key={location.id} value={location.id}>
+                                {location.name} ({location.quantity})
+                            </option>
+                        ))}
+                    </select>
+                )}
                 <div className="flex gap-2">
+                    <button
+                        onClick={() => setIsLocationsOpen(true)}
+                        className="flex items-center px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                    >
+                        <MapPin className="h-5 w-5 mr-2" />
+                        Locations
+                    </button>
+                    <button
+                        onClick={() => setIsTransfersOpen(true)}
+                        className="flex items-center px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                    >
+                        <Truck className="h-5 w-5 mr-2" />
+                        Transfers
+                    </button>
                     <button
                         onClick={() => {
                             setNewPurpose('');
@@ -239,12 +354,26 @@ const InventoryManagement = () => {
                         <Settings className="h-5 w-5 mr-2" />
                         Global Purposes
                     </button>
+                    <button
+                        onClick={() => setIsReconcileOpen(true)}
+                        className="flex items-center px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                    >
+                        <Scale className="h-5 w-5 mr-2" />
+                        Reconcile Stock
+                    </button>
+                    <button
+                        onClick={() => setIsImportOpen(true)}
+                        className="flex items-center px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                    >
+                        <Upload className="h-5 w-5 mr-2" />
+                        Import
+                    </button>
                     <button
                         onClick={() => handleOpenModal()}
                         className="flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
                     >
                         <Plus className="h-5 w-5 mr-2" />
-                        Add Equipment
+                        Add Category
                     </button>
                 </div>
             </div>
@@ -255,9 +384,11 @@ const InventoryManagement = () => {
                     <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
                         <thead className="bg-gray-50 dark:bg-gray-700">
                             <tr>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Item/Category Name</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Category / SKU</th>
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Description</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Stock Qty</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">On Hand</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Reserved</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Available</th>
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Status</th>
                                 <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Actions</th>
                             </tr>
@@ -265,45 +396,153 @@ const InventoryManagement = () => {
                         <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
                             {loading ? (
                                 <tr>
-                                    <td colSpan="5" className="px-6 py-4 text-center text-gray-500">Loading...</td>
+                                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">Loading...</td>
                                 </tr>
                             ) : filteredCategories.length === 0 ? (
                                 <tr>
-                                    <td colSpan="5" className="px-6 py-4 text-center text-gray-500">No equipment found</td>
+                                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">No equipment found</td>
                                 </tr>
                             ) : (
-                                filteredCategories.map((cat) => (
-                                    <tr key={cat.id} className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
-                                            {cat.name}
-                                        </td>
-                                        <td className="px-6 py-4">
-                                            <div className="text-sm text-gray-500 dark:text-gray-400 truncate max-w-xs">
-                                                {cat.description || '-'}
-                                            </div>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900 dark:text-white">
-                                            {cat.track_stock ? cat.quantity : '-'}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap">
-                                            {getStatusBadge(cat)}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                                            <button
-                                                onClick={() => handleOpenModal(cat)}
-                                                className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
-                                            >
-                                                <Edit2 className="h-4 w-4" />
-                                            </button>
-                                            <button
-                                                onClick={() => handleDelete(cat)}
-                                                className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
-                                            >
-                                                <Trash2 className="h-4 w-4" />
-                                            </button>
-                                        </td>
-                                    </tr>
-                                ))
+                                filteredCategories.map((cat) => {
+                                    const skus = skusShown(cat);
+                                    const isExpanded = expandedIds.includes(cat.id) || (term && !cat.name.toLowerCase().includes(term));
+                                    const visibleSkus = term && !cat.name.toLowerCase().includes(term) ? skus.filter(skuMatches) : skus;
+
+                                    return (
+                                        <React.Fragment key={cat.id}>
+                                            <tr className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
+                                                    <button
+                                                        onClick={() => toggleExpanded(cat.id)}
+                                                        disabled={skus.length === 0}
+                                                        className="flex items-center disabled:cursor-default"
+                                                    >
+                                                        {skus.length > 0 && (isExpanded
+                                                            ? <ChevronDown className="h-4 w-4 mr-1 text-gray-400" />
+                                                            : <ChevronRight className="h-4 w-4 mr-1 text-gray-400" />)}
+                                                        <span className={skus.length === 0 ? 'ml-5' : ''}>{cat.name}</span>
+                                                        {skus.length > 0 && (
+                                                            <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                                                                {skus.length} SKU{skus.length === 1 ? '' : 's'}
+                                                            </span>
+                                                        )}
+                                                    </button>
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <div className="text-sm text-gray-500 dark:text-gray-400 truncate max-w-xs">
+                                                        {cat.description || '-'}
+                                                    </div>
+                                                </td>
+                                                {stockCell(
+                                                    <>
+                                                        {selectedLocationId ? skus.reduce((sum, sku) => sum + heldAt(sku), 0) : cat.quantity}
+                                                        {!selectedLocationId && cat.in_transit_quantity > 0 && (
+                                                            <span className="block text-xs font-normal text-purple-600">+{cat.in_transit_quantity} in transit</span>
+                                                        )}
+                                                    </>,
+                                                    cat.track_stock
+                                                )}
+                                                {stockCell(cat.reserved_quantity || 0, cat.track_stock, 'font-normal text-gray-600 dark:text-gray-300')}
+                                                {stockCell(cat.available_quantity ?? cat.quantity, cat.track_stock, cat.track_stock && cat.available_quantity < 0 ? 'text-red-600' : undefined)}
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <StatusBadge state={cat.track_stock ? getCategoryState(cat) : null} />
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                                    {cat.track_stock && (
+                                                        <button
+                                                            onClick={() => setSkuForm({ category: cat, sku: null })}
+                                                            title="Add SKU"
+                                                            className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-200 mr-4"
+                                                        >
+                                                            <PackagePlus className="h-4 w-4" />
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => handleOpenModal(cat)}
+                                                        title="Edit category"
+                                                        className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
+                                                    >
+                                                        <Edit2 className="h-4 w-4" />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleDelete(cat)}
+                                                        title="Delete category"
+                                                        className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                                                    >
+                                                        <Trash2 className="h-4 w-4" />
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                            {isExpanded && visibleSkus.map((sku) => (
+                                                <tr key={`sku-${sku.id}`} className={`bg-gray-50/50 dark:bg-gray-900/30 ${sku.status === 'discontinued' ? 'opacity-60' : ''}`}>
+                                                    <td className="pl-12 pr-6 py-3 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                                                        {sku.name}
+                                                        {sku.is_default && (
+                                                            <span className="ml-2 px-1.5 py-0.5 text-[10px] font-semibold rounded bg-blue-100 text-blue-700">DEFAULT</span>
+                                                        )}
+                                                        <span className="block text-xs text-gray-500 dark:text-gray-400">{sku.code} · {sku.unit}</span>
+                                                    </td>
+                                                    <td className="px-6 py-3">
+                                                        <div className="text-sm text-gray-500 dark:text-gray-400 truncate max-w-xs">
+                                                            {sku.description || '-'}
+                                                        </div>
+                                                    </td>
+                                                    {stockCell(
+                                                        <>
+                                                            {heldAt(sku)}
+                                                            {!selectedLocationId && (sku.balances || []).length > 1 && (
+                                                                <span className="block text-xs font-normal text-gray-500 dark:text-gray-400">
+                                                                    {sku.balances.map(balance => `${balance.code} ${balance.quantity}`).join(' · ')}
+                                                                </span>
+                                                            )}
+                                                            {sku.in_transit_quantity > 0 && (
+                                                                <span className="block text-xs font-normal text-purple-600">+{sku.in_transit_quantity} in transit</span>
+                                                            )}
+                                                        </>,
+                                                        true,
+                                                        'font-semibold text-gray-900 dark:text-white'
+                                                    )}
+                                                    {stockCell(sku.reserved_quantity || 0, true, 'font-normal text-gray-600 dark:text-gray-300')}
+                                                    {stockCell(
+                                                        <>
+                                                            {sku.available_quantity ?? sku.quantity}
+                                                            <span className="ml-1 text-xs font-normal text-gray-400">/ min {sku.min_stock_level}</span>
+                                                        </>,
+                                                        true,
+                                                        sku.available_quantity < 0 ? 'font-semibold text-red-600' : 'font-semibold text-gray-900 dark:text-white'
+                                                    )}
+                                                    <td className="px-6 py-3 whitespace-nowrap">
+                                                        <StatusBadge state={getSkuState(sku)} />
+                                                    </td>
+                                                    <td className="px-6 py-3 whitespace-nowrap text-right text-sm font-medium">
+                                                        <button
+                                                            onClick={() => setHistorySkuId(sku.id)}
+                                                            title="Stock history"
+                                                            className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-200 mr-4"
+                                                        >
+                                                            <History className="h-4 w-4" />
+                                                        </button>
+                                                        <button
+                                                            onClick={() => setSkuForm({ category: cat, sku })}
+                                                            title="Edit SKU"
+                                                            className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
+                                                        >
+                                                            <Edit2 className="h-4 w-4" />
+                                                        </button>
+                                                        <button
+                                                            onClick={() => handleDeleteSku(sku)}
+                                                            disabled={sku.is_default}
+                                                            title={sku.is_default ? 'The default SKU can\'t be deleted' : 'Delete SKU'}
+                                                            className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300 disabled:opacity-30"
+                                                        >
+                                                            <Trash2 className="h-4 w-4" />
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </React.Fragment>
+                                    );
+                                })
                             )}
                         </tbody>
                     </table>
@@ -390,7 +629,7 @@ const InventoryManagement = () => {
                             <div className="bg-white dark:bg-gray-800 px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
                                 <div className="flex justify-between items-start mb-4">
                                     <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
-                                        {editingCategory ? 'Edit Equipment' : 'Add New Equipment'}
+                                        {editingCategory ? 'Edit Category' : 'Add New Category'}
                                     </h3>
                                     <button onClick={() => setIsModalOpen(false)} className="text-gray-400 hover:text-gray-500">
                                         <X className="h-6 w-6" />
@@ -399,7 +638,7 @@ const InventoryManagement = () => {
 
                                 <form id="categoryForm" onSubmit={handleSubmit} className="space-y-4">
                                     <div>
-                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Item Name</label>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Category Name</label>
                                         <input
                                             type="text"
                                             required
@@ -420,7 +659,7 @@ const InventoryManagement = () => {
                                     </div>
 
                                     <div>
-                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Item Specific Purposes</label>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Category Specific Purposes</label>
                                         <div className="flex gap-2 mb-2">
                                             <input
                                                 type="text"
@@ -469,31 +708,61 @@ const InventoryManagement = () => {
                                         </label>
                                     </div>
 
-                                    {formData.track_stock && (
-                                        <div className="grid grid-cols-2 gap-4">
-                                            <div>
-                                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Quantity</label>
-                                                <input
-                                                    type="number"
-                                                    min="0"
-                                                    required
-                                                    value={formData.quantity}
-                                                    onChange={(e) => setFormData(prev => ({ ...prev, quantity: parseInt(e.target.value) || 0 }))}
-                                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
-                                                />
-                                            </div>
+                                    {formData.track_stock && !editingCategory && (
+                                        <div>
+                                            <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+                                                The category starts with a default SKU holding this stock. Add more SKUs from the list afterwards.
+                                            </p>
+                                            <div className="grid grid-cols-3 gap-4">
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Opening Quantity</label>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        required
+                                                        value={formData.quantity}
+                                                        onChange={(e) => setFormData(prev => ({ ...prev, quantity: parseInt(e.target.value) || 0 }))}
+                                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                                    />
+                                                </div>
 
-                                            <div>
-                                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Low Stock Alert Level</label>
-                                                <input
-                                                    type="number"
-                                                    min="0"
-                                                    required
-                                                    value={formData.min_stock_level}
-                                                    onChange={(e) => setFormData(prev => ({ ...prev, min_stock_level: parseInt(e.target.value) || 0 }))}
-                                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
-                                                />
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Low Stock Alert Level</label>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        required
+                                                        value={formData.min_stock_level}
+                                                        onChange={(e) => setFormData(prev => ({ ...prev, min_stock_level: parseInt(e.target.value) || 0 }))}
+                                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                                    />
+                                                </div>
+
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Unit</label>
+                                                    <input
+                                                        type="text"
+                                                        required
+                                                        value={formData.unit}
+                                                        onChange={(e) => setFormData(prev => ({ ...prev, unit: e.target.value }))}
+                                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                                    />
+                                                </div>
                                             </div>
+                                            {formData.quantity > 0 && activeLocations.length > 1 && (
+                                                <div className="mt-4">
+                                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Held At</label>
+                                                    <select
+                                                        value={formData.location_id}
+                                                        onChange={(e) => setFormData(prev => ({ ...prev, location_id: e.target.value }))}
+                                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                                    >
+                                                        {activeLocations.map(location => (
+                                                            <option key={location.id} value={location.is_default ? '' : location.id}>{location.name}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            )}
                                         </div>
                                     )}
                                 </form>
@@ -504,7 +773,7 @@ const InventoryManagement = () => {
                                     form="categoryForm"
                                     className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 sm:ml-3 sm:w-auto sm:text-sm"
                                 >
-                                    {editingCategory ? 'Save Changes' : 'Create Equipment'}
+                                    {editingCategory ? 'Save Changes' : 'Create Category'}
                                 </button>
                                 <button
                                     type="button"
@@ -519,6 +788,56 @@ const InventoryManagement = () => {
                 </div>
             )}
 
+            {skuForm && (
+                <SkuFormModal
+                    sku={skuForm.sku}
+                    category={skuForm.category}
+                    locations={locations}
+                    onClose={() => setSkuForm(null)}
+                    onSaved={() => {
+                        setSkuForm(null);
+                        setExpandedIds(prev => (prev.includes(skuForm.category.id) ? prev : [...prev, skuForm.category.id]));
+                        fetchCategories();
+                    }}
+                />
+            )}
+
+            {/* Stock Ledger Modals */}
+            <StockHistoryModal
+                key={historySkuId}
+                isOpen={!!historySku}
+                sku={historySku}
+                trackStock={historySku?.track_stock}
+                locations={locations}
+                onClose={() => setHistorySkuId(null)}
+                onStockChange={fetchCategories}
+            />
+            <StockReconciliationModal
+                isOpen={isReconcileOpen}
+                onClose={() => setIsReconcileOpen(false)}
+                onStockChange={fetchCategories}
+            />
+            <StockLocationsModal
+                isOpen={isLocationsOpen}
+                onClose={() => setIsLocationsOpen(false)}
+                onChange={fetchCategories}
+            />
+            <StockTransfersModal
+                isOpen={isTransfersOpen}
+                onClose={() => setIsTransfersOpen(false)}
+                categories={categories}
+                locations={locations}
+                onStockChange={fetchCategories}
+            />
+            <InventoryImportModal
+                isOpen={isImportOpen}
+                onClose={() => setIsImportOpen(false)}
+                onImported={() => {
+                    setIsImportOpen(false);
+                    fetchCategories();
+                }}
+            />
+
             {/* Confirm Dialog */}
             <ConfirmDialog
                 isOpen={confirmDialog.isOpen}
@@ -0,0 +1,220 @@
+import React, { useState, useContext } from 'react';
+import { X } from 'lucide-react';
+import { skusAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm';
+
+// Add a SKU to a category, or edit one. Stock on hand changes through Stock History;
+// only a new SKU takes an opening quantity here, at the location picked.
+const SkuFormModal = ({ sku, category, locations = [], onClose, onSaved }) => {
+    const { success: toastSuccess, error: toastError } = useContext(ToastContext);
+    const [saving, setSaving] = useState(false);
+    const [formData, setFormData] = useState({
+        code: sku?.code || '',
+        name: sku?.name || '',
+        description: sku?.description || '',
+        unit: sku?.unit || 'pcs',
+        min_stock_level: sku?.min_stock_level ?? 5,
+        quantity: 0,
+        location_id: '',
+        is_default: sku?.is_default || false,
+        discontinued: sku?.status === 'discontinued'
+    });
+
+    const setField = (field, value) => setFormData(prev => ({ ...prev, [field]: value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            const { quantity, location_id, is_default, discontinued, ...details } = formData;
+            if (sku) {
+                await skusAPI.update(sku.id, {
+                    ...details,
+                    ...(!sku.is_default && { is_default, discontinued })
+                });
+                toastSuccess('SKU updated successfully');
+            } else {
+                await skusAPI.create({
+                    ...details,
+                    category_id: category.id,
+                    quantity,
+                    location_id: location_id ? parseInt(location_id) : undefined
+                });
+                toastSuccess('SKU created successfully');
+            }
+            onSaved();
+        } catch (error) {
+            console.error('Error saving SKU:', error);
+            toastError(error.response?.data?.message || 'Failed to save SKU');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true">
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+                    <div className="bg-white dark:bg-gray-800 px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+                                    {sku ? 'Edit SKU' : 'Add SKU'}
+                                </h3>
+                                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">{category.name}</p>
+                            </div>
+                            <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                <X className="h-6 w-6" />
+                            </button>
+                        </div>
+
+                        <form id="skuForm" onSubmit={handleSubmit} className="space-y-4">
+                            <div className="grid grid-cols-3 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Code</label>
+                                    <input
+                                        type="text"
+                                        maxLength={50}
+                                        required={!!sku}
+                                        placeholder={sku ? '' : 'Auto'}
+                                        value={formData.code}
+                                        onChange={(e) => setField('code', e.target.value.toUpperCase())}
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <div className="col-span-2">
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Name</label>
+                                    <input
+                                        type="text"
+                                        required
+                                        placeholder="e.g. Dell Latitude 5440"
+                                        value={formData.name}
+                                        onChange={(e) => setField('name', e.target.value)}
+                                        className={inputClass}
+                                    />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Description</label>
+                                <textarea
+                                    rows="2"
+                                    value={formData.description}
+                                    onChange={(e) => setField('description', e.target.value)}
+                                    className={inputClass}
+                                />
+                            </div>
+
+                            <div className="grid grid-cols-3 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Unit</label>
+                                    <input
+                                        type="text"
+                                        required
+                                        value={formData.unit}
+                                        onChange={(e) => setField('unit', e.target.value)}
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Low Stock Alert Level</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        required
+                                        value={formData.min_stock_level}
+                                        onChange={(e) => setField('min_stock_level', parseInt(e.target.value) || 0)}
+                                        className={inputClass}
+                                    />
+                                </div>
+                                {!sku && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Opening Quantity</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={formData.quantity}
+                                            onChange={(e) => setField('quantity', parseInt(e.target.value) || 0)}
+                                            className={inputClass}
+                                        />
+                                    </div>
+                                )}
+                                {!sku && formData.quantity > 0 && locations.length > 1 && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Held At</label>
+                                        <select
+                                            value={formData.location_id}
+                                            onChange={(e) => setField('location_id', e.target.value)}
+                                            className={inputClass}
+                                        >
+                                            {locations.filter(location => location.is_active).map(location => (
+                                                <option key={location.id} value={location.is_default ? '' : location.id}>
+                                                    {location.name}{location.is_default ? ' (default)' : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                            </div>
+
+                            {sku && !sku.is_default && (
+                                <div className="space-y-2">
+                                    <label className="flex items-center text-sm text-gray-900 dark:text-gray-300">
+                                        <input
+                                            type="checkbox"
+                                            checked={formData.is_default}
+                                            disabled={formData.discontinued}
+                                            onChange={(e) => setField('is_default', e.target.checked)}
+                                            className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                                        />
+                                        Default SKU for {category.name} (used when a request doesn't name one)
+                                    </label>
+                                    <label className="flex items-center text-sm text-gray-900 dark:text-gray-300">
+                                        <input
+                                            type="checkbox"
+                                            checked={formData.discontinued}
+                                            disabled={formData.is_default}
+                                            onChange={(e) => setField('discontinued', e.target.checked)}
+                                            className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                                        />
+                                        Discontinued (no longer offered on requests)
+                                    </label>
+                                </div>
+                            )}
+                            {sku && (
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                    Record receipts, adjustments and write-offs from Stock History.
+                                </p>
+                            )}
+                        </form>
+                    </div>
+                    <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
+                        <button
+                            type="submit"
+                            form="skuForm"
+                            disabled={saving}
+                            className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 sm:ml-3 sm:w-auto sm:text-sm disabled:opacity-50"
+                        >
+                            {saving ? 'Saving...' : sku ? 'Save Changes' : 'Create SKU'}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SkuFormModal;
@@ -0,0 +1,410 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { X, History, Plus } from 'lucide-react';
+import { stockMovementsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const PAGE_SIZE = 25;
+
+const MOVEMENT_TYPE_LABELS = {
+    opening_balance: 'Opening Balance',
+    receipt: 'Receipt',
+    deployment: 'Deployment',
+    return: 'Return',
+    adjustment: 'Adjustment',
+    write_off: 'Write-off',
+    transfer_out: 'Transfer Out',
+    transfer_in: 'Transfer In'
+};
+
+const MOVEMENT_TYPE_STYLES = {
+    opening_balance: 'bg-gray-100 text-gray-800',
+    receipt: 'bg-green-100 text-green-800',
+    deployment: 'bg-blue-100 text-blue-800',
+    return: 'bg-teal-100 text-teal-800',
+    adjustment: 'bg-yellow-100 text-yellow-800',
+    write_off: 'bg-red-100 text-red-800',
+    transfer_out: 'bg-purple-100 text-purple-800',
+    transfer_in: 'bg-indigo-100 text-indigo-800'
+};
+
+const EMPTY_MOVEMENT = {
+    movement_type: 'receipt',
+    location_id: '',
+    quantity: 1,
+    pr_number: '',
+    notes: ''
+};
+
+const formatActor = (movement) => {
+    const user = movement.CreatedBy;
+    if (!user) return 'System';
+    return `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.username;
+};
+
+// Ledger of every stock change for one SKU, with a form to record manual movements at a location.
+// Render it with `key={sku.id}` so switching SKUs starts from a clean state.
+const StockHistoryModal = ({ isOpen, sku, trackStock = true, locations = [], onClose, onStockChange }) => {
+    const { success: toastSuccess, error: toastError } = useContext(ToastContext);
+    const [movements, setMovements] = useState([]);
+    const [reservations, setReservations] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [offset, setOffset] = useState(0);
+    const [typeFilter, setTypeFilter] = useState('');
+    const [locationFilter, setLocationFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [movementForm, setMovementForm] = useState(EMPTY_MOVEMENT);
+
+    const skuId = sku?.id;
+
+    const fetchMovements = useCallback(async () => {
+        if (!skuId) return;
+        try {
+            setLoading(true);
+            const [response, reservationsRes] = await Promise.all([
+                stockMovementsAPI.getAll({
+                    sku_id: skuId,
+                    movement_type: typeFilter || undefined,
+                    location_id: locationFilter || undefined,
+                    limit: PAGE_SIZE,
+                    offset
+                }),
+                stockMovementsAPI.getReservations({ sku_id: skuId })
+            ]);
+            setMovements(response.data.movements);
+            setTotal(response.data.pagination.total);
+            setReservations(reservationsRes.data.reservations);
+        } catch (error) {
+            console.error('Error fetching stock movements:', error);
+            toastError('Failed to load stock history');
+        } finally {
+            setLoading(false);
+        }
+    }, [skuId, typeFilter, locationFilter, offset, toastError]);
+
+    useEffect(() => {
+        if (isOpen) {
+            fetchMovements();
+        }
+    }, [isOpen, fetchMovements]);
+
+    const handleRecordMovement = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            await stockMovementsAPI.create({
+                sku_id: skuId,
+                movement_type: movementForm.movement_type,
+                location_id: movementForm.location_id ? parseInt(movementForm.location_id) : undefined,
+                quantity: movementForm.quantity,
+                pr_number: movementForm.movement_type === 'receipt' ? movementForm.pr_number : undefined,
+                notes: movementForm.notes
+            });
+            toastSuccess('Stock movement recorded');
+            setIsFormOpen(false);
+            setMovementForm(EMPTY_MOVEMENT);
+            setOffset(0);
+            fetchMovements();
+            if (onStockChange) onStockChange();
+        } catch (error) {
+            console.error('Error recording stock movement:', error);
+            const validationErrors = error.response?.data?.errors;
+            toastError(validationErrors?.[0]?.msg || error.response?.data?.message || 'Failed to record stock movement');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!isOpen || !sku) return null;
+
+    const isAdjustment = movementForm.movement_type === 'adjustment';
+    const activeLocations = locations.filter(location => location.is_active);
+    const needsNote = ['adjustment', 'write_off'].includes(movementForm.movement_type);
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-4xl sm:w-full">
+                    <div className="bg-white dark:bg-gray-800 px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white flex items-center">
+                                    <History className="h-5 w-5 mr-2" />
+                                    Stock History: {sku.name}
+                                </h3>
+                                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                                    {sku.code}
+                                    {' · '}On hand: <span className="font-semibold">{sku.quantity} {sku.unit}</span>
+                                    {' · '}Reserved: <span className="font-semibold">{sku.reserved_quantity || 0}</span>
+                                    {' · '}Available: <span className="font-semibold">{sku.available_quantity ?? sku.quantity}</span>
+                                    {sku.in_transit_quantity > 0 && (
+                                        <>{' · '}In transit: <span className="font-semibold">{sku.in_transit_quantity}</span></>
+                                    )}
+                                </p>
+                                {(sku.balances || []).length > 0 && (
+                                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                        Held at: {sku.balances.map(balance => `${balance.name} ${balance.quantity}`).join(' · ')}
+                                    </p>
+                                )}
+                            </div>
+                            <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                <X className="h-6 w-6" />
+                            </button>
+                        </div>
+
+                        {reservations.length > 0 && (
+                            <div className="mb-4 p-3 bg-orange-50 dark:bg-orange-900/20 border border-orange-200 dark:border-orange-800 rounded-md">
+                                <p className="text-sm font-medium text-orange-800 dark:text-orange-300 mb-1">Reserved for endorsed requests</p>
+                                <ul className="text-sm text-orange-700 dark:text-orange-300 space-y-0.5">
+                                    {reservations.map((reservation) => (
+                                        <li key={reservation.id}>
+                                            {reservation.quantity} for{' '}
+                                            {reservation.Request ? (
+                                                <Link to={`/requests/${reservation.Request.id}`} className="underline">
+                                                    {reservation.Request.request_number}
+                                                </Link>
+                                            ) : `request #${reservation.request_id}`}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        <div className="flex flex-col sm:flex-row justify-between gap-2 mb-4">
+                            <div className="flex gap-2">
+                                <select
+                                    value={typeFilter}
+                                    onChange={(e) => {
+                                        setTypeFilter(e.target.value);
+                                        setOffset(0);
+                                    }}
+                                    className="rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                >
+                                    <option value="">All movement types</option>
+                                    {Object.entries(MOVEMENT_TYPE_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                                {locations.length > 1 && (
+                                    <select
+                                        value={locationFilter}
+                                        onChange={(e) => {
+                                            setLocationFilter(e.target.value);
+                                            setOffset(0);
+                                        }}
+                                        className="rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                    >
+                                        <option value="">All locations</option>
+                                        {locations.map(location => (
+                                            <option key={location.id} value={location.id}>{location.name}</option>
+                                        ))}
+                                    </select>
+                                )}
+                            </div>
+                            {trackStock && sku.status !== 'discontinued' && (
+                                <button
+                                    onClick={() => setIsFormOpen(open => !open)}
+                                    className="flex items-center justify-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 text-sm"
+                                >
+                                    <Plus className="h-4 w-4 mr-2" />
+                                    Record Movement
+                                </button>
+                            )}
+                        </div>
+
+                        {isFormOpen && (
+                            <form onSubmit={handleRecordMovement} className="mb-4 p-4 border border-gray-200 dark:border-gray-600 rounded-md space-y-3">
+                                <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Location</label>
+                                        <select
+                                            value={movementForm.location_id}
+                                            onChange={(e) => setMovementForm(prev => ({ ...prev, location_id: e.target.value }))}
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                        >
+                                            {activeLocations.map(location => (
+                                                <option key={location.id} value={location.is_default ? '' : location.id}>
+                                                    {location.name}{location.is_default ? ' (default)' : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Type</label>
+                                        <select
+                                            value={movementForm.movement_type}
+                                            onChange={(e) => setMovementForm(prev => ({ ...prev, movement_type: e.target.value }))}
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                        >
+                                            <option value="receipt">Receipt (stock in)</option>
+                                            <option value="return">Return (stock in)</option>
+                                            <option value="write_off">Write-off (stock out)</option>
+                                            <option value="adjustment">Adjustment (+/-)</option>
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                            Quantity{isAdjustment ? ' (negative to remove)' : ''}
+                                        </label>
+                                        <input
+                                            type="number"
+                                            required
+                                            min={isAdjustment ? undefined : 1}
+                                            value={movementForm.quantity}
+                                            onChange={(e) => setMovementForm(prev => ({ ...prev, quantity: parseInt(e.target.value) || 0 }))}
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                        />
+                                    </div>
+                                    {movementForm.movement_type === 'receipt' && (
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">PR Number</label>
+                                            <input
+                                                type="text"
+                                                maxLength={8}
+                                                pattern="\d{8}"
+                                                placeholder="8 digits"
+                                                value={movementForm.pr_number}
+                                                onChange={(e) => setMovementForm(prev => ({ ...prev, pr_number: e.target.value.replace(/\D/g, '') }))}
+                                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                            />
+                                        </div>
+                                    )}
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                        Notes{needsNote ? ' (required)' : ''}
+                                    </label>
+                                    <input
+                                        type="text"
+                                        required={needsNote}
+                                        value={movementForm.notes}
+                                        onChange={(e) => setMovementForm(prev => ({ ...prev, notes: e.target.value }))}
+                                        placeholder={needsNote ? 'e.g. Damaged in storage, stock count correction' : ''}
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm"
+                                    />
+                                </div>
+                                <div className="flex justify-end gap-2">
+                                    <button
+                                        type="button"
+                                        onClick={() => setIsFormOpen(false)}
+                                        className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 text-sm dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        type="submit"
+                                        disabled={saving}
+                                        className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 text-sm disabled:opacity-50"
+                                    >
+                                        {saving ? 'Saving...' : 'Save Movement'}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+
+                        <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+                            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                                <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Date</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Type</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Location</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Change</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Balance</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Reference</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">By</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Notes</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                                    {loading ? (
+                                        <tr>
+                                            <td colSpan="8" className="px-4 py-4 text-center text-gray-500">Loading...</td>
+                                        </tr>
+                                    ) : movements.length === 0 ? (
+                                        <tr>
+                                            <td colSpan="8" className="px-4 py-4 text-center text-gray-500">No stock movements recorded</td>
+                                        </tr>
+                                    ) : (
+                                        movements.map((movement) => (
+                                            <tr key={movement.id}>
+                                                <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600 dark:text-gray-300">
+                                                    {new Date(movement.created_at || movement.createdAt).toLocaleString()}
+                                                </td>
+                                                <td className="px-4 py-2 whitespace-nowrap">
+                                                    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${MOVEMENT_TYPE_STYLES[movement.movement_type]}`}>
+                                                        {MOVEMENT_TYPE_LABELS[movement.movement_type]}
+                                                    </span>
+                                                </td>
+                                                <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600 dark:text-gray-300">
+                                                    {movement.Location?.name || '-'}
+                                                </td>
+                                                <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-semibold ${movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                                    {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                                                </td>
+                                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-bold text-gray-900 dark:text-white">
+                                                    {movement.balance_after}
+                                                    {movement.location_balance_after !== null && movement.location_balance_after !== undefined && (
+                                                        <span className="block text-xs font-normal text-gray-400">{movement.location_balance_after} here</span>
+                                                    )}
+                                                </td>
+                                                <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600 dark:text-gray-300">
+                                                    {movement.Request && (
+                                                        <Link to={`/requests/${movement.Request.id}`} className="text-primary-600 hover:underline dark:text-primary-400">
+                                                            {movement.Request.request_number}
+                                                        </Link>
+                                                    )}
+                                                    {movement.Request && movement.pr_number && ' · '}
+                                                    {movement.pr_number && `PR ${movement.pr_number}`}
+                                                    {!movement.Request && !movement.pr_number && '-'}
+                                                </td>
+                                                <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600 dark:text-gray-300">
+                                                    {formatActor(movement)}
+                                                </td>
+                                                <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400 max-w-xs truncate" title={movement.notes || ''}>
+                                                    {movement.notes || '-'}
+                                                </td>
+                                            </tr>
+                                        ))
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {total > PAGE_SIZE && (
+                            <div className="flex justify-between items-center mt-3 text-sm text-gray-600 dark:text-gray-300">
+                                <span>
+                                    {offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}
+                                </span>
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => setOffset(prev => Math.max(prev - PAGE_SIZE, 0))}
+                                        disabled={offset === 0}
+                                        className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50 dark:border-gray-600"
+                                    >
+                                        Newer
+                                    </button>
+                                    <button
+                                        onClick={() => setOffset(prev => prev + PAGE_SIZE)}
+                                        disabled={offset + PAGE_SIZE >= total}
+                                        className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50 dark:border-gray-600"
+                                    >
+                                        Older
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StockHistoryModal;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { X, MapPin, Plus, Edit2, Star } from 'lucide-react';
+import { stockLocationsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm';
+
+const LOCATION_TYPE_LABELS = {
+    storeroom: 'Storeroom',
+    warehouse: 'Warehouse',
+    branch: 'Branch',
+    site: 'Plant / Site'
+};
+
+const EMPTY_LOCATION = {
+    code: '',
+    name: '',
+    type: 'storeroom',
+    description: ''
+};
+
+// Storerooms, warehouses and sites stock is kept at. A location can only be closed once
+// it holds nothing and nothing is in transit to or from it.
+const StockLocationsModal = ({ isOpen, onClose, onChange }) => {
+    const { success: toastSuccess, error: toastError } = useContext(ToastContext);
+    const [locations, setLocations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const fetchLocations = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await stockLocationsAPI.getAll({ include_inactive: true });
+            setLocations(response.data.locations);
+        } catch (error) {
+            console.error('Error fetching stock locations:', error);
+            toastError('Failed to load stock locations');
+        } finally {
+            setLoading(false);
+        }
+    }, [toastError]);
+
+    useEffect(() => {
+        if (isOpen) {
+            fetchLocations();
+        }
+    }, [isOpen, fetchLocations]);
+
+    const openForm = (location = null) => {
+        setEditingId(location?.id || null);
+        setForm(location
+            ? { code: location.code, name: location.name, type: location.type, description: location.description || '' }
+            : EMPTY_LOCATION);
+    };
+
+    const saveLocation = async (id, data, message) => {
+        try {
+            setSaving(true);
+            const response = id ? await stockLocationsAPI.update(id, data) : await stockLocationsAPI.create(data);
+            toastSuccess(message || response.data.message);
+            setForm(null);
+            fetchLocations();
+            if (onChange) onChange();
+        } catch (error) {
+            console.error('Error saving stock location:', error);
+            const validationErrors = error.response?.data?.errors;
+            toastError(validationErrors?.[0]?.msg || error.response?.data?.message || 'Failed to save stock location');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        saveLocation(editingId, form);
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-4xl sm:w-full">
+                    <div className="bg-white dark:bg-gray-800 px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white flex items-center">
+                                    <MapPin className="h-5 w-5 mr-2" />
+                                    Stock Locations
+                                </h3>
+                                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                                    Stock movements that don't name a location use the default location.
+                                </p>
+                            </div>
+                            <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                <X className="h-6 w-6" />
+                            </button>
+                        </div>
+
+                        <div className="flex justify-end mb-4">
+                            <button
+                                onClick={() => openForm()}
+                                className="flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 text-sm"
+                            >
+                                <Plus className="h-4 w-4 mr-2" />
+                                Add Location
+                            </button>
+                        </div>
+
+                        {form && (
+                            <form onSubmit={handleSubmit} className="mb-4 p-4 border border-gray-200 dark:border-gray-600 rounded-md space-y-3">
+                                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Code</label>
+                                        <input
+                                            type="text"
+                                            required
+                                            maxLength={20}
+                                            value={form.code}
+                                            onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+                                            placeholder="e.g. PLANT2"
+                                            className={inputClass}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Name</label>
+                                        <input
+                                            type="text"
+                                            required
+                                            value={form.name}
+                                            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                                            className={inputClass}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Type</label>
+                                        <select
+                                            value={form.type}
+                                            onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                                            className={inputClass}
+                                        >
+                                            {Object.entries(LOCATION_TYPE_LABELS).map(([value, label]) => (
+                                                <option key={value} value={value}>{label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Description</label>
+                                    <input
+                                        type="text"
+                                        value={form.description}
+                                        onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                                        placeholder="e.g. Building B, ground floor"
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <div className="flex justify-end gap-2">
+                                    <button
+                                        type="button"
+                                        onClick={() => setForm(null)}
+                                        className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 text-sm dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        type="submit"
+                                        disabled={saving}
+                                        className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 text-sm disabled:opacity-50"
+                                    >
+                                        {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Location'}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+
+                        <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+                            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                                <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Location</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Type</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">On Hand</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">In Transit</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Status</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                                    {loading ? (
+                                        <tr>
+                                            <td colSpan="6" className="px-4 py-4 text-center text-gray-500">Loading...</td>
+                                        </tr>
+                                    ) : locations.map((location) => (
+                                        <tr key={location.id} className={location.is_active ? '' : 'opacity-60'}>
+                                            <td className="px-4 py-2 text-sm text-gray-900 dark:text-white">
+                                                {location.name}
+                                                {location.is_default && (
+                                                    <span className="ml-2 px-1.5 py-0.5 text-[10px] font-semibold rounded bg-blue-100 text-blue-700">DEFAULT</span>
+                                                )}
+                                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                                    {location.code}{location.description ? ` · ${location.description}` : ''}
+                                                </span>
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600 dark:text-gray-300">
+                                                {LOCATION_TYPE_LABELS[location.type] || location.type}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-bold text-gray-900 dark:text-white">
+                                                {location.quantity}
+                                                <span className="block text-xs font-normal text-gray-400">{location.sku_count} SKU{location.sku_count === 1 ? '' : 's'}</span>
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right text-gray-600 dark:text-gray-300">
+                                                {location.incoming_quantity > 0 && <span className="block">+{location.incoming_quantity} in</span>}
+                                                {location.outgoing_quantity > 0 && <span className="block">-{location.outgoing_quantity} out</span>}
+                                                {location.incoming_quantity === 0 && location.outgoing_quantity === 0 && '-'}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap">
+                                                <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${location.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                                                    {location.is_active ? 'Active' : 'Inactive'}
+                                                </span>
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-right text-sm font-medium">
+                                                {location.is_active && !location.is_default && (
+                                                    <button
+                                                        onClick={() => saveLocation(location.id, { is_default: true }, `${location.name} is now the default location`)}
+                                                        disabled={saving}
+                                                        title="Make default"
+                                                        className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-200 mr-4"
+                                                    >
+                                                        <Star className="h-4 w-4" />
+                                                    </button>
+                                                )}
+                                                <button
+                                                    onClick={() => openForm(location)}
+                                                    title="Edit location"
+                                                    className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
+                                                >
+                                                    <Edit2 className="h-4 w-4" />
+                                                </button>
+                                                {!location.is_default && (
+                                                    <button
+                                                        onClick={() => saveLocation(location.id, { is_active: !location.is_active }, `${location.name} ${location.is_active ? 'closed' : 'reopened'}`)}
+                                                        disabled={saving}
+                                                        className="text-xs text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-200 underline"
+                                                    >
+                                                        {location.is_active ? 'Close' : 'Reopen'}
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StockLocationsModal;
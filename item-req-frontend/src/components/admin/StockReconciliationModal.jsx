@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { X, Scale, CheckCircle, AlertTriangle } from 'lucide-react';
+import { stockMovementsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Compares each SKU's stored quantity with the total of its stock ledger. A difference
+// means the quantity was changed outside the ledger; admins can record it as an adjustment.
+const StockReconciliationModal = ({ isOpen, onClose, onStockChange }) => {
+    const { success: toastSuccess, error: toastError } = useContext(ToastContext);
+    const { isAdmin } = useAuth();
+    const [rows, setRows] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [reconcilingId, setReconcilingId] = useState(null);
+
+    const fetchReconciliation = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await stockMovementsAPI.getReconciliation();
+            setRows(response.data.skus);
+        } catch (error) {
+            console.error('Error fetching stock reconciliation:', error);
+            toastError('Failed to check stock against the ledger');
+        } finally {
+            setLoading(false);
+        }
+    }, [toastError]);
+
+    useEffect(() => {
+        if (isOpen) {
+            fetchReconciliation();
+        }
+    }, [isOpen, fetchReconciliation]);
+
+    const handleReconcile = async (row) => {
+        try {
+            setReconcilingId(row.sku_id);
+            const response = await stockMovementsAPI.reconcile(row.sku_id);
+            toastSuccess(response.data.message);
+            fetchReconciliation();
+            if (onStockChange) onStockChange();
+        } catch (error) {
+            console.error('Error reconciling stock:', error);
+            toastError(error.response?.data?.message || 'Failed to reconcile stock');
+        } finally {
+            setReconcilingId(null);
+        }
+    };
+
+    if (!isOpen) return null;
+
+    const visibleRows = rows.filter(row => row.track_stock || row.difference !== 0 || row.movement_count > 0);
+    const discrepancies = visibleRows.filter(row => row.difference !== 0).length;
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-3xl sm:w-full">
+                    <div className="bg-white dark:bg-gray-800 px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white flex items-center">
+                                    <Scale className="h-5 w-5 mr-2" />
+                                    Stock Reconciliation
+                                </h3>
+                                {!loading && (
+                                    <p className={`mt-1 text-sm flex items-center ${discrepancies > 0 ? 'text-yellow-700 dark:text-yellow-400' : 'text-green-700 dark:text-green-400'}`}>
+                                        {discrepancies > 0 ? (
+                                            <>
+                                                <AlertTriangle className="h-4 w-4 mr-1" />
+                                                {discrepancies} item{discrepancies === 1 ? '' : 's'} out of step with the ledger
+                                            </>
+                                        ) : (
+                                            <>
+                                                <CheckCircle className="h-4 w-4 mr-1" />
+                                                All stock levels match the ledger
+                                            </>
+                                        )}
+                                    </p>
+                                )}
+                            </div>
+                            <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                <X className="h-6 w-6" />
+                            </button>
+                        </div>
+
+                        <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+                            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                                <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">SKU</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Stock Qty</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Ledger Total</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Difference</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Movements</th>
+                                        <th className="px-4 py-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                                    {loading ? (
+                                        <tr>
+                                            <td colSpan="6" className="px-4 py-4 text-center text-gray-500">Loading...</td>
+                                        </tr>
+                                    ) : visibleRows.map((row) => (
+                                        <tr key={row.sku_id} className={row.difference !== 0 ? 'bg-yellow-50 dark:bg-yellow-900/20' : ''}>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
+                                                {row.name}
+                                                <span className="block text-xs font-normal text-gray-500 dark:text-gray-400">{row.code} · {row.category_name}</span>
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right text-gray-700 dark:text-gray-300">{row.quantity}</td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right text-gray-700 dark:text-gray-300">{row.ledger_balance}</td>
+                                            <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-semibold ${row.difference !== 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                                                {row.difference > 0 ? `+${row.difference}` : row.difference}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right text-gray-500 dark:text-gray-400">{row.movement_count}</td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-right text-sm">
+                                                {row.difference !== 0 && isAdmin() && (
+                                                    <button
+                                                        onClick={() => handleReconcile(row)}
+                                                        disabled={reconcilingId === row.sku_id}
+                                                        className="text-primary-600 hover:text-primary-900 dark:text-primary-400 disabled:opacity-50"
+                                                    >
+                                                        {reconcilingId === row.sku_id ? 'Recording...' : 'Record adjustment'}
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                    <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StockReconciliationModal;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useContext, useCallback, useMemo } from 'react';
+import { X, Truck } from 'lucide-react';
+import { stockTransfersAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+import ConfirmDialog from '../common/ConfirmDialog';
+
+const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white sm:text-sm';
+
+const TRANSFER_STATUS_STYLES = {
+    in_transit: { label: 'In Transit', className: 'bg-yellow-100 text-yellow-800' },
+    received: { label: 'Received', className: 'bg-green-100 text-green-800' },
+    cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' }
+};
+
+const EMPTY_TRANSFER = {
+    sku_id: '',
+    from_location_id: '',
+    to_location_id: '',
+    quantity: '',
+    notes: ''
+};
+
+// Move stock of a SKU between locations. Stock leaves the source when the transfer is
+// sent and only counts at the destination once it is received.
+const StockTransfersModal = ({ isOpen, onClose, categories = [], locations = [], onStockChange }) => {
+    const { success: toastSuccess, error: toastError } = useContext(ToastContext);
+    const [transfers, setTransfers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [statusFilter, setStatusFilter] = useState('in_transit');
+    const [form, setForm] = useState(EMPTY_TRANSFER);
+    const [saving, setSaving] = useState(false);
+    const [pendingAction, setPendingAction] = useState(null);
+
+    const skus = useMemo(() => categories
+        .filter(category => category.track_stock)
+        .flatMap(category => (category.skus || [])
+            .filter(sku => sku.status !== 'discontinued')
+            .map(sku => ({ ...sku, category_name: category.name }))), [categories]);
+
+    const selectedSku = skus.find(sku => sku.id === parseInt(form.sku_id));
+    const activeLocations = locations.filter(location => location.is_active);
+    const sourceBalances = selectedSku?.balances || [];
+    const sourceBalance = sourceBalances.find(balance => balance.location_id === parseInt(form.from_location_id));
+
+    const fetchTransfers = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await stockTransfersAPI.getAll({ status: statusFilter || undefined });
+            setTransfers(response.data.transfers);
+        } catch (error) {
+            console.error('Error fetching stock transfers:', error);
+            toastError('Failed to load stock transfers');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, toastError]);
+
+    useEffect(() => {
+        if (isOpen) {
+            fetchTransfers();
+        }
+    }, [isOpen, fetchTransfers]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            const response = await stockTransfersAPI.create({
+                sku_id: parseInt(form.sku_id),
+                from_location_id: parseInt(form.from_location_id),
+                to_location_id: parseInt(form.to_location_id),
+                quantity: parseInt(form.quantity),
+                notes: form.notes
+            });
+            toastSuccess(response.data.message);
+            setForm(EMPTY_TRANSFER);
+            fetchTransfers();
+            if (onStockChange) onStockChange();
+        } catch (error) {
+            console.error('Error sending stock transfer:', error);
+            const validationErrors = error.response?.data?.errors;
+            toastError(validationErrors?.[0]?.msg || error.response?.data?.message || 'Failed to send stock transfer');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const confirmAction = async () => {
+        const { transfer, action } = pendingAction;
+        setPendingAction(null);
+        try {
+            const response = action === 'receive'
+                ? await stockTransfersAPI.receive(transfer.id)
+                : await stockTransfersAPI.cancel(transfer.id);
+            toastSuccess(response.data.message);
+            fetchTransfers();
+            if (onStockChange) onStockChange();
+        } catch (error) {
+            console.error(`Error trying to ${action} stock transfer:`, error);
+            toastError(error.response?.data?.message || `Failed to ${action} stock transfer`);
+        }
+    };
+
+    const formatUser = (person) => (person ? `${person.first_name} ${person.last_name}` : 'System');
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-5xl sm:w-full">
+                    <div className="bg-white dark:bg-gray-800 px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white flex items-center">
+                                    <Truck className="h-5 w-5 mr-2" />
+                                    Stock Transfers
+                                </h3>
+                                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                                    Stock leaves the source when sent and is added at the destination once received.
+                                </p>
+                            </div>
+                            <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                <X className="h-6 w-6" />
+                            </button>
+                        </div>
+
+                        <form onSubmit={handleSubmit} className="mb-4 p-4 border border-gray-200 dark:border-gray-600 rounded-md space-y-3">
+                            <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                                <div className="sm:col-span-2">
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">SKU</label>
+                                    <select
+                                        required
+                                        value={form.sku_id}
+                                        onChange={(e) => setForm(prev => ({ ...prev, sku_id: e.target.value, from_location_id: '' }))}
+                                        className={inputClass}
+                                    >
+                                        <option value="">Select a SKU</option>
+                                        {skus.map(sku => (
+                                            <option key={sku.id} value={sku.id}>
+                                                {sku.category_name} - {sku.name} ({sku.quantity} on hand)
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">From</label>
+                                    <select
+                                        required
+                                        value={form.from_location_id}
+                                        onChange={(e) => setForm(prev => ({ ...prev, from_location_id: e.target.value }))}
+                                        disabled={!selectedSku}
+                                        className={inputClass}
+                                    >
+                                        <option value="">{sourceBalances.length ? 'Select a location' : 'No stock held'}</option>
+                                        {sourceBalances.map(balance => (
+                                            <option key={balance.location_id} value={balance.location_id}>
+                                                {balance.name} ({balance.quantity})
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">To</label>
+                                    <select
+                                        required
+                                        value={form.to_location_id}
+                                        onChange={(e) => setForm(prev => ({ ...prev, to_location_id: e.target.value }))}
+                                        className={inputClass}
+                                    >
+                                        <option value="">Select a location</option>
+                                        {activeLocations
+                                            .filter(location => location.id !== parseInt(form.from_location_id))
+                                            .map(location => (
+                                                <option key={location.id} value={location.id}>{location.name}</option>
+                                            ))}
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Quantity</label>
+                                    <input
+                                        type="number"
+                                        required
+                                        min="1"
+                                        max={sourceBalance?.quantity}
+                                        value={form.quantity}
+                                        onChange={(e) => setForm(prev => ({ ...prev, quantity: e.target.value }))}
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <div className="sm:col-span-2">
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Notes</label>
+                                    <input
+                                        type="text"
+                                        value={form.notes}
+                                        onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+                                        placeholder="e.g. Restock for Plant 2 rollout"
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <div className="flex items-end">
+                                    <button
+                                        type="submit"
+                                        disabled={saving}
+                                        className="w-full px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 text-sm disabled:opacity-50"
+                                    >
+                                        {saving ? 'Sending...' : 'Send Transfer'}
+                                    </button>
+                                </div>
+                            </div>
+                        </form>
+
+                        <div className="flex justify-end mb-2">
+                            <select
+                                value={statusFilter}
+                                onChange={(e) => setStatusFilter(e.target.value)}
+                                className="rounded-md border-gray-300 shadow-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white text-sm"
+                            >
+                                <option value="">All Transfers</option>
+                                {Object.entries(TRANSFER_STATUS_STYLES).map(([value, { label }]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+                            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                                <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Transfer</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">SKU</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Route</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Qty</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Status</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                                    {loading ? (
+                                        <tr>
+                                            <td colSpan="6" className="px-4 py-4 text-center text-gray-500">Loading...</td>
+                                        </tr>
+                                    ) : transfers.length === 0 ? (
+                                        <tr>
+                                            <td colSpan="6" className="px-4 py-4 text-center text-gray-500">No transfers found.</td>
+                                        </tr>
+                                    ) : transfers.map((transfer) => {
+                                        const status = TRANSFER_STATUS_STYLES[transfer.status];
+                                        return (
+                                            <tr key={transfer.id}>
+                                                <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                                                    {transfer.reference}
+                                                    <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                                        {new Date(transfer.createdAt).toLocaleString()} · {formatUser(transfer.CreatedBy)}
+                                                    </span>
+                                                </td>
+                                                <td className="px-4 py-2 text-sm text-gray-900 dark:text-white">
+                                                    {transfer.Sku?.name}
+                                                    <span className="block text-xs text-gray-500 dark:text-gray-400">{transfer.Sku?.Category?.name}</span>
+                                                    {transfer.notes && <span className="block text-xs text-gray-400">{transfer.notes}</span>}
+                                                </td>
+                                                <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600 dark:text-gray-300">
+                                                    {transfer.FromLocation?.name} &rarr; {transfer.ToLocation?.name}
+                                                </td>
+                                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-bold text-gray-900 dark:text-white">
+                                                    {transfer.quantity}
+                                                </td>
+                                                <td className="px-4 py-2 whitespace-nowrap">
+                                                    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${status.className}`}>
+                                                        {status.label}
+                                                    </span>
+                                                    {transfer.received_at && (
+                                                        <span className="block text-xs text-gray-500 mt-1">{new Date(transfer.received_at).toLocaleDateString()} by {formatUser(transfer.ReceivedBy)}</span>
+                                                    )}
+                                                    {transfer.cancelled_at && (
+                                                        <span className="block text-xs text-gray-500 mt-1">{new Date(transfer.cancelled_at).toLocaleDateString()} by {formatUser(transfer.CancelledBy)}</span>
+                                                    )}
+                                                </td>
+                                                <td className="px-4 py-2 whitespace-nowrap text-right text-sm font-medium">
+                                                    {transfer.status === 'in_transit' && (
+                                                        <>
+                                                            <button
+                                                                onClick={() => setPendingAction({ transfer, action: 'receive' })}
+                                                                className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
+                                                            >
+                                                                Receive
+                                                            </button>
+                                                            <button
+                                                                onClick={() => setPendingAction({ transfer, action: 'cancel' })}
+                                                                className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                                                            >
+                                                                Cancel
+                                                            </button>
+                                                        </>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <ConfirmDialog
+                isOpen={!!pendingAction}
+                onClose={() => setPendingAction(null)}
+                onConfirm={confirmAction}
+                title={pendingAction?.action === 'receive' ? 'Receive Transfer' : 'Cancel Transfer'}
+                message={pendingAction && (pendingAction.action === 'receive'
+                    ? `Receive ${pendingAction.transfer.quantity} x ${pendingAction.transfer.Sku?.name} at ${pendingAction.transfer.ToLocation?.name}?`
+                    : `Cancel ${pendingAction.transfer.reference}? The stock goes back to ${pendingAction.transfer.FromLocation?.name}.`)}
+                confirmText={pendingAction?.action === 'receive' ? 'Receive' : 'Cancel Transfer'}
+                variant={pendingAction?.action === 'receive' ? 'info' : 'danger'}
+            />
+        </div>
+    );
+};
+
+export default StockTransfersModal;
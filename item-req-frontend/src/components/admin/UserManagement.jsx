@@ -17,7 +17,8 @@ import {
   CheckCircle,
   XCircle,
   Download,
-  ArrowUpDown
+  ArrowUpDown,
+  CalendarClock
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { usersAPI, departmentsAPI, settingsAPI, USER_ROLES } from '../../services/api';
@@ -44,6 +45,8 @@ const UserManagement = () => {
   const [sortBy, setSortBy] = useState('name'); // 'name' or 'id'
   const [sortOrder, setSortOrder] = useState('asc'); // 'asc' or 'desc'
   const [savedRoles, setSavedRoles] = useState([]); // custom roles from Workflow Setup
+  const [delegationUser, setDelegationUser] = useState(null); // user whose delegation is being edited
+  const [savingDelegation, setSavingDelegation] = useState(false);
 
   // Redirect if user doesn't have permission
   useEffect(() => {
@@ -177,6 +180,70 @@ const UserManagement = () => {
     }
   };
 
+  // Format a timestamp as YYYY-MM-DD in local time for <input type="date">
+  const toDateInput = (value) => {
+    if (!value) return '';
+    const d = new Date(value);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  };
+
+  const handleEditDelegation = (userToEdit) => {
+    const delegation = userToEdit.delegation;
+    setDelegationUser({
+      ...userToEdit,
+      delegateUserId: delegation?.delegateUserId?.toString() || '',
+      startDate: toDateInput(delegation?.startDate),
+      endDate: toDateInput(delegation?.endDate),
+      reason: delegation?.reason || ''
+    });
+  };
+
+  const handleSaveDelegation = async () => {
+    const { id, delegateUserId, startDate, endDate, reason } = delegationUser;
+
+    if (!delegateUserId || !startDate || !endDate) {
+      alert('Please select a delegate and a start and end date.');
+      return;
+    }
+
+    try {
+      setSavingDelegation(true);
+      // Cover whole days: from the start of the first day to the end of the last day
+      await usersAPI.setDelegation(id, {
+        delegateUserId: parseInt(delegateUserId),
+        startDate: new Date(`${startDate}T00:00:00`).toISOString(),
+        endDate: new Date(`${endDate}T23:59:59`).toISOString(),
+        reason
+      });
+      await loadData();
+      setDelegationUser(null);
+      alert('Delegation saved successfully!');
+    } catch (error) {
+      console.error('Error saving delegation:', error);
+      alert('Error saving delegation: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSavingDelegation(false);
+    }
+  };
+
+  const handleCancelDelegation = async () => {
+    if (!window.confirm('Cancel this delegation? The delegate will no longer be able to approve on this user\'s behalf.')) {
+      return;
+    }
+
+    try {
+      setSavingDelegation(true);
+      await usersAPI.cancelDelegation(delegationUser.id);
+      await loadData();
+      setDelegationUser(null);
+    } catch (error) {
+      console.error('Error cancelling delegation:', error);
+      alert('Error cancelling delegation: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSavingDelegation(false);
+    }
+  };
+
   const handleExportExcel = async () => {
     try {
       setExporting(true);
@@ -470,6 +537,18 @@ const UserManagement = () => {
                               ))}
                             </div>
                           )}
+                          {u.delegation && (
+                            <span
+                              className={`inline-flex items-center px-2 py-0.5 rounded text-[10px] font-medium border ${u.delegation.isActive
+                                ? 'bg-amber-100 text-amber-800 border-amber-200'
+                                : 'bg-gray-100 text-gray-600 border-gray-200'
+                                }`}
+                              title={u.delegation.reason || ''}
+                            >
+                              <CalendarClock className="w-3 h-3 mr-1" />
+                              {u.delegation.isActive ? 'Delegating to' : 'Delegates to'} {u.delegation.delegate?.fullName || 'Unknown'} until {new Date(u.delegation.endDate).toLocaleDateString()}
+                            </span>
+                          )}
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
@@ -509,6 +588,13 @@ const UserManagement = () => {
                           >
                             <Edit className="h-4 w-4" />
                           </button>
+                          <button
+                            onClick={() => handleEditDelegation(u)}
+                            className="text-amber-600 hover:text-amber-900"
+                            title="Temporary Delegation"
+                          >
+                            <CalendarClock className="h-4 w-4" />
+                          </button>
                           <button
                             onClick={() => handleToggleUserStatus(u.id, u.isActive)}
                             className={`${u.isActive
@@ -676,6 +762,108 @@ const UserManagement = () => {
           </div>
         </div>
       )}
+
+      {/* Delegation Modal */}
+      {delegationUser && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">
+                Temporary Delegation: {delegationUser.firstName} {delegationUser.lastName}
+              </h3>
+              <p className="text-xs text-gray-500 mb-4">
+                During this period the delegate can approve, decline or return requests on this user's behalf.
+              </p>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Delegate
+                </label>
+                <select
+                  value={delegationUser.delegateUserId}
+                  onChange={(e) => setDelegationUser(prev => ({ ...prev, delegateUserId: e.target.value }))}
+                  className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Select a user...</option>
+                  {users
+                    .filter(u => u.isActive && u.id !== delegationUser.id)
+                    .map(u => (
+                      <option key={u.id} value={u.id}>
+                        {u.lastName}, {u.firstName} ({u.department?.name || 'No Department'})
+                      </option>
+                    ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3 mb-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    From
+                  </label>
+                  <input
+                    type="date"
+                    value={delegationUser.startDate}
+                    onChange={(e) => setDelegationUser(prev => ({ ...prev, startDate: e.target.value }))}
+                    className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 px-3 py-2 border"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Until
+                  </label>
+                  <input
+                    type="date"
+                    value={delegationUser.endDate}
+                    min={delegationUser.startDate || undefined}
+                    onChange={(e) => setDelegationUser(prev => ({ ...prev, endDate: e.target.value }))}
+                    className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 px-3 py-2 border"
+                  />
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Reason
+                </label>
+                <input
+                  type="text"
+                  value={delegationUser.reason}
+                  onChange={(e) => setDelegationUser(prev => ({ ...prev, reason: e.target.value }))}
+                  placeholder="e.g. Annual leave"
+                  className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 px-3 py-2 border"
+                />
+              </div>
+
+              <div className="flex justify-between items-center">
+                {delegationUser.delegation ? (
+                  <button
+                    onClick={handleCancelDelegation}
+                    disabled={savingDelegation}
+                    className="px-3 py-2 text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    Remove Delegation
+                  </button>
+                ) : <span />}
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => setDelegationUser(null)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSaveDelegation}
+                    disabled={savingDelegation}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+                  >
+                    {savingDelegation ? 'Saving...' : 'Save Delegation'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -27,10 +27,12 @@ import {
   ArrowUp,
   ArrowDown,
   AlertCircle,
-  LayoutDashboard
+  LayoutDashboard,
+  GitBranch,
+  History
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
-import { workflowsAPI, REQUEST_STATUSES, settingsAPI } from '../../services/api';
+import { workflowsAPI, categoriesAPI, REQUEST_STATUSES, settingsAPI } from '../../services/api';
 import api from '../../services/api';
 
 // ── All possible status cards per module per role ──────────────────────────
@@ -136,6 +138,17 @@ const USER_ROLES = [
   { value: 'super_administrator', label: 'Super Administrator' }
 ];
 
+const APPROVER_SOURCES = {
+  role: 'Role',
+  specific_users: 'Specific users',
+  requestor: 'Requestor',
+  approval_matrix: 'Approval Matrix',
+  global_approval_matrix: 'Approval Matrix (global)',
+  role_fallback: 'Role fallback'
+};
+
+const EMPTY_SIMULATION_ITEM = { category: '', item_description: '', quantity: 1, estimated_cost: '' };
+
 const tryParseJSON = (str) => {
   try {
     return JSON.parse(str);
@@ -238,6 +251,19 @@ export default function WorkflowSettings() {
   const modalContentRef = useRef(null); // Ref for auto-scrolling
   const [editingWorkflow, setEditingWorkflow] = useState(null);
   const [expandedWorkflows, setExpandedWorkflows] = useState(new Set());
+
+  // Workflow simulation (dry run)
+  const [simulationForm, setSimulationForm] = useState(null); // null = modal closed
+  const [simulationResult, setSimulationResult] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+  const [categories, setCategories] = useState([]);
+
+  // Version history
+  const [historyWorkflow, setHistoryWorkflow] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [loadingVersions, setLoadingVersions] = useState(false);
+  const [diffRange, setDiffRange] = useState({ from: '', to: '' });
+  const [versionDiff, setVersionDiff] = useState(null);
   const [helloKittyTheme, setHelloKittyTheme] = useState(false);
   const [loadingSettings, setLoadingSettings] = useState(true);
 
@@ -267,7 +293,11 @@ export default function WorkflowSettings() {
         can_skip: false,
         approval_logic: 'any',
         status_on_approval: '',
-        status_on_completion: null
+        status_on_completion: null,
+        sla_hours: '',
+        reminders_before_escalation: 1,
+        escalation_target: '',
+        escalation_matrix_role: ''
       }
     ]
   });
@@ -339,7 +369,11 @@ export default function WorkflowSettings() {
           can_skip: false,
           approval_logic: 'any',
           status_on_approval: '',
-          status_on_completion: null
+          status_on_completion: null,
+          sla_hours: '',
+          reminders_before_escalation: 1,
+          escalation_target: '',
+          escalation_matrix_role: ''
         }
       ]
     });
@@ -360,6 +394,16 @@ export default function WorkflowSettings() {
     return REQUEST_STATUSES;
   };
 
+  // Steps flagged runs_in_parallel share the previous step's order number
+  const renumberSteps = (steps) => {
+    let order = 0;
+    return steps.map((step, i) => {
+      const runsInParallel = i > 0 && !!step.runs_in_parallel;
+      if (!runsInParallel) order += 1;
+      return { ...step, runs_in_parallel: runsInParallel, step_order: order };
+    });
+  };
+
   const handleEditWorkflow = (workflow) => {
     const workflowData = {
       form_type: workflow.form_type,
@@ -367,6 +411,7 @@ export default function WorkflowSettings() {
       name: workflow.name,
       is_active: workflow.is_active,
       is_default: workflow.is_default,
+      version_note: '',
       steps: workflow.Steps.map(step => ({
         step_order: step.step_order,
         step_name: step.step_name,
@@ -382,8 +427,18 @@ export default function WorkflowSettings() {
         can_skip: step.can_skip,
         approval_logic: step.approval_logic || 'any',
         status_on_approval: step.status_on_approval,
-        status_on_completion: step.status_on_completion || null
-      })).sort((a, b) => a.step_order - b.step_order)
+        status_on_completion: step.status_on_completion || null,
+        condition_expression: step.condition_expression || null,
+        sla_hours: step.sla_hours || '',
+        reminders_before_escalation: step.reminders_before_escalation ?? 1,
+        escalation_target: step.escalation_target || '',
+        escalation_matrix_role: step.escalation_matrix_role || ''
+      }))
+        .sort((a, b) => a.step_order - b.step_order)
+        .map((step, i, sorted) => ({
+          ...step,
+          runs_in_parallel: i > 0 && step.step_order === sorted[i - 1].step_order
+        }))
     };
     setFormData(workflowData);
     setEditingWorkflow(workflow);
@@ -391,7 +446,7 @@ export default function WorkflowSettings() {
   };
 
   const handleAddStep = () => {
-    const newStepOrder = formData.steps.length + 1;
+    const newStepOrder = (formData.steps[formData.steps.length - 1]?.step_order || 0) + 1;
     setFormData({
       ...formData,
       steps: [
@@ -409,7 +464,11 @@ export default function WorkflowSettings() {
           can_skip: false,
           approval_logic: 'any',
           status_on_approval: '',
-          status_on_completion: null
+          status_on_completion: null,
+          sla_hours: '',
+          reminders_before_escalation: 1,
+          escalation_target: '',
+          escalation_matrix_role: ''
         }
       ]
     });
@@ -454,11 +513,7 @@ export default function WorkflowSettings() {
     newSteps.splice(targetIndex, 0, movedStep);
 
     // Reorder steps
-    const reorderedSteps = newSteps.map((step, i) => ({
-      ...step,
-      step_order: i + 1
-    }));
-    setFormData({ ...formData, steps: reorderedSteps });
+    setFormData({ ...formData, steps: renumberSteps(newSteps) });
   };
 
   const handleRemoveStep = (index) => {
@@ -468,11 +523,7 @@ export default function WorkflowSettings() {
     }
     const newSteps = formData.steps.filter((_, i) => i !== index);
     // Reorder steps
-    const reorderedSteps = newSteps.map((step, i) => ({
-      ...step,
-      step_order: i + 1
-    }));
-    setFormData({ ...formData, steps: reorderedSteps });
+    setFormData({ ...formData, steps: renumberSteps(newSteps) });
   };
 
   const handleMoveStep = (index, direction) => {
@@ -485,11 +536,7 @@ export default function WorkflowSettings() {
     newSteps[index + direction] = temp;
 
     // Reorder steps
-    const reorderedSteps = newSteps.map((step, i) => ({
-      ...step,
-      step_order: i + 1
-    }));
-    setFormData({ ...formData, steps: reorderedSteps });
+    setFormData({ ...formData, steps: renumberSteps(newSteps) });
   };
 
   const handleStepChange = (index, field, value) => {
@@ -503,7 +550,7 @@ export default function WorkflowSettings() {
       newSteps[index].approver_department_id = null;
     }
 
-    setFormData({ ...formData, steps: newSteps });
+    setFormData({ ...formData, steps: field === 'runs_in_parallel' ? renumberSteps(newSteps) : newSteps });
   };
 
   const handleSubmit = async () => {
@@ -524,6 +571,14 @@ export default function WorkflowSettings() {
         return;
       }
 
+      // Parallel steps are told apart by name
+      const stepKeys = formData.steps.map(step => `${step.step_order}:${step.step_name.trim().toLowerCase()}`);
+      const duplicateIndex = stepKeys.findIndex((key, i) => stepKeys.indexOf(key) !== i);
+      if (duplicateIndex >= 0) {
+        alert(`Step ${formData.steps[duplicateIndex].step_order}: Parallel steps must have different names`);
+        return;
+      }
+
       // Validate approver configuration
       for (const step of formData.steps) {
         if (step.approver_type === 'role' && !step.approver_role) {
@@ -549,6 +604,10 @@ export default function WorkflowSettings() {
           alert(`Step ${step.step_order}: Please select a department`);
           return;
         }
+        if (step.escalation_target === 'approval_matrix' && !step.escalation_matrix_role.trim()) {
+          alert(`Step ${step.step_order}: Please specify the Approval Matrix role for backup approvers`);
+          return;
+        }
       }
 
       // Pre-process formData
@@ -600,6 +659,95 @@ export default function WorkflowSettings() {
     }
   };
 
+  const handleOpenSimulation = async (workflow = null) => {
+    setSimulationResult(null);
+    setSimulationForm({
+      form_type: workflow?.form_type || 'item_request',
+      workflow_id: workflow?.id || '',
+      department_id: workflow?.department_id || '',
+      requestor_id: '',
+      priority: 'medium',
+      items: [{ ...EMPTY_SIMULATION_ITEM }]
+    });
+
+    if (categories.length === 0) {
+      try {
+        const response = await categoriesAPI.getAll();
+        setCategories(response.data?.categories || response.data || []);
+      } catch (error) {
+        console.error('Error loading categories:', error);
+      }
+    }
+  };
+
+  const handleSimulationItemChange = (index, field, value) => {
+    const items = simulationForm.items.map((item, i) => (i === index ? { ...item, [field]: value } : item));
+    setSimulationForm({ ...simulationForm, items });
+  };
+
+  const handleRunSimulation = async () => {
+    try {
+      setSimulating(true);
+      const response = await workflowsAPI.simulate({
+        form_type: simulationForm.form_type,
+        workflow_id: simulationForm.workflow_id || null,
+        department_id: simulationForm.department_id || null,
+        requestor_id: simulationForm.requestor_id || null,
+        priority: simulationForm.priority,
+        items: simulationForm.form_type === 'item_request'
+          ? simulationForm.items.filter(item => item.category || item.item_description)
+          : []
+      });
+      setSimulationResult(response.data);
+    } catch (error) {
+      console.error('Error simulating workflow:', error);
+      setSimulationResult(null);
+      alert(error.response?.data?.message || 'Failed to simulate workflow');
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const handleShowHistory = async (workflow) => {
+    setHistoryWorkflow(workflow);
+    setVersions([]);
+    setVersionDiff(null);
+    try {
+      setLoadingVersions(true);
+      const response = await workflowsAPI.getVersions(workflow.id);
+      const loadedVersions = response.data.versions || [];
+      setVersions(loadedVersions);
+      setDiffRange({
+        from: loadedVersions[1]?.version || loadedVersions[0]?.version || '',
+        to: loadedVersions[0]?.version || ''
+      });
+    } catch (error) {
+      console.error('Error loading workflow versions:', error);
+      alert(error.response?.data?.message || 'Failed to load version history');
+    } finally {
+      setLoadingVersions(false);
+    }
+  };
+
+  const handleCompareVersions = async () => {
+    try {
+      setLoadingVersions(true);
+      const response = await workflowsAPI.diffVersions(historyWorkflow.id, diffRange.from, diffRange.to);
+      setVersionDiff(response.data);
+    } catch (error) {
+      console.error('Error comparing workflow versions:', error);
+      alert(error.response?.data?.message || 'Failed to compare versions');
+    } finally {
+      setLoadingVersions(false);
+    }
+  };
+
+  const formatDiffValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+  };
+
   const toggleWorkflowExpansion = (workflowId) => {
     const newExpanded = new Set(expandedWorkflows);
     if (newExpanded.has(workflowId)) {
@@ -725,13 +873,22 @@ export default function WorkflowSettings() {
               <h1 className="text-3xl font-bold text-gray-900">Workflow Settings</h1>
               <p className="text-gray-600 mt-1">Configure approval workflows for request forms</p>
             </div>
-            <button
-              onClick={handleCreateWorkflow}
-              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-            >
-              <Plus className="h-5 w-5 mr-2" />
-              Create Workflow
-            </button>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => handleOpenSimulation()}
+                className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+              >
+                <PlayCircle className="h-5 w-5 mr-2" />
+                Simulate
+              </button>
+              <button
+                onClick={handleCreateWorkflow}
+                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                <Plus className="h-5 w-5 mr-2" />
+                Create Workflow
+              </button>
+            </div>
           </div>
         </div>
 
@@ -977,6 +1134,9 @@ export default function WorkflowSettings() {
                           <div>
                             <div className="flex items-center space-x-3">
                               <h3 className="text-lg font-bold text-gray-900">{workflow.name}</h3>
+                              <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-50 text-indigo-700 border border-indigo-100" title="Published version">
+                                v{workflow.current_version || 1}
+                              </span>
                               {workflow.is_default && (
                                 <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 border border-green-200">
                                   Default
@@ -1015,6 +1175,20 @@ export default function WorkflowSettings() {
                           >
                             {isExpanded ? <ChevronUp className="h-5 w-5" /> : <ChevronDown className="h-5 w-5" />}
                           </button>
+                          <button
+                            onClick={() => handleOpenSimulation(workflow)}
+                            className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-full transition-colors"
+                            title="Simulate Workflow"
+                          >
+                            <PlayCircle className="h-5 w-5" />
+                          </button>
+                          <button
+                            onClick={() => handleShowHistory(workflow)}
+                            className="p-2 text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 rounded-full transition-colors"
+                            title="Version History"
+                          >
+                            <History className="h-5 w-5" />
+                          </button>
                           <button
                             onClick={() => handleEditWorkflow(workflow)}
                             className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
@@ -1096,6 +1270,12 @@ export default function WorkflowSettings() {
                                         <AlertCircle className="w-3 h-3 mr-1.5" /> Required
                                       </span>
                                     )}
+
+                                    {workflow.Steps.some(other => other.id !== step.id && other.step_order === step.step_order) && (
+                                      <span className="px-2.5 py-1 rounded-md text-xs font-medium bg-indigo-50 text-indigo-700 border border-indigo-100 flex items-center shadow-sm">
+                                        <GitBranch className="w-3 h-3 mr-1.5" /> Parallel
+                                      </span>
+                                    )}
                                   </div>
                                 </div>
 
@@ -1105,6 +1285,23 @@ export default function WorkflowSettings() {
                                     <CheckCircle className="w-4 h-4 mr-2 text-green-500" />
                                     <span>Approving sets status to <b>{step.status_on_approval}</b></span>
                                   </div>
+                                  {step.condition_expression && (
+                                    <div className="flex items-center text-gray-500">
+                                      <GitBranch className="w-4 h-4 mr-2 text-purple-500" />
+                                      Only if <code className="ml-1 px-1 bg-gray-100 rounded text-gray-700">{step.condition_expression}</code>
+                                    </div>
+                                  )}
+                                  {step.sla_hours && (
+                                    <div className="flex items-center text-gray-500">
+                                      <Clock className="w-4 h-4 mr-2 text-amber-500" />
+                                      SLA: <b className="ml-1 text-gray-700">{step.sla_hours}h</b>
+                                      {step.escalation_target && (
+                                        <span>
+                                          , then escalate to {step.escalation_target === 'it_manager' ? 'IT Manager' : `${step.escalation_matrix_role} (Approval Matrix)`}
+                                        </span>
+                                      )}
+                                    </div>
+                                  )}
                                   {step.status_on_completion && (
                                     <div className="flex items-center text-gray-500">
                                       <div className="w-1.5 h-1.5 rounded-full bg-gray-300 mr-2"></div>
@@ -1249,7 +1446,12 @@ export default function WorkflowSettings() {
                         onDrop={(e) => handleDrop(e, index)}
                       >
                         <div className="flex items-center justify-between mb-3">
-                          <h4 className="font-semibold text-gray-900">Step {step.step_order}</h4>
+                          <h4 className="font-semibold text-gray-900">
+                            Step {step.step_order}
+                            {step.runs_in_parallel && (
+                              <span className="ml-2 text-xs font-medium text-indigo-600">(parallel)</span>
+                            )}
+                          </h4>
                           <div className="flex items-center space-x-2">
                             <div className="flex items-center space-x-1 mr-2 border-r border-gray-300 pr-2">
                               <button
@@ -1509,11 +1711,107 @@ export default function WorkflowSettings() {
                             />
                             <span className="text-sm text-gray-700">Can Skip</span>
                           </label>
+                          {index > 0 && (
+                            <label className="flex items-center" title="Both steps must be approved before the request moves on">
+                              <input
+                                type="checkbox"
+                                checked={!!step.runs_in_parallel}
+                                onChange={(e) => handleStepChange(index, 'runs_in_parallel', e.target.checked)}
+                                className="mr-2"
+                              />
+                              <span className="text-sm text-gray-700">Run in parallel with previous step</span>
+                            </label>
+                          )}
+                        </div>
+
+                        {/* SLA & Escalation */}
+                        <div className="mt-4 pt-3 border-t border-gray-200 grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              SLA (hours)
+                            </label>
+                            <input
+                              type="number"
+                              min="1"
+                              value={step.sla_hours}
+                              onChange={(e) => handleStepChange(index, 'sla_hours', e.target.value ? parseInt(e.target.value, 10) : '')}
+                              placeholder="No SLA"
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            />
+                            <p className="text-xs text-gray-500 mt-1">Pending approvers are reminded once per SLA period</p>
+                          </div>
+
+                          {step.sla_hours && (
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Reminders Before Escalation
+                              </label>
+                              <input
+                                type="number"
+                                min="0"
+                                max="10"
+                                value={step.reminders_before_escalation}
+                                onChange={(e) => handleStepChange(index, 'reminders_before_escalation', parseInt(e.target.value, 10) || 0)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                              />
+                            </div>
+                          )}
+
+                          {step.sla_hours && (
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Escalate To
+                              </label>
+                              <select
+                                value={step.escalation_target}
+                                onChange={(e) => handleStepChange(index, 'escalation_target', e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                              >
+                                <option value="">No escalation (reminders only)</option>
+                                <option value="approval_matrix">Backup approver (Approval Matrix)</option>
+                                <option value="it_manager">IT Manager</option>
+                              </select>
+                            </div>
+                          )}
+
+                          {step.sla_hours && step.escalation_target === 'approval_matrix' && (
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Backup Approver Role <span className="text-red-600">*</span>
+                              </label>
+                              <input
+                                type="text"
+                                value={step.escalation_matrix_role}
+                                onChange={(e) => handleStepChange(index, 'escalation_matrix_role', e.target.value)}
+                                placeholder="e.g. backup_approver"
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                              />
+                              <p className="text-xs text-gray-500 mt-1">Approval Matrix role whose users are added as approvers</p>
+                            </div>
+                          )}
                         </div>
                       </div>
                     ))}
                   </div>
                 </div>
+
+                {editingWorkflow && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Version Note
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.version_note}
+                      onChange={(e) => setFormData({ ...formData, version_note: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="e.g., Added Finance review for purchases over 50,000"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Changing the steps publishes version {(editingWorkflow.current_version || 1) + 1}. Requests already in progress finish on the version they were submitted under.
+                    </p>
+                  </div>
+                )}
               </div>
 
               <div className="sticky bottom-0 bg-gray-50 px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
@@ -1538,6 +1836,408 @@ export default function WorkflowSettings() {
             </div>
           </div>
         )}
+        {/* Simulation Modal */}
+        {simulationForm && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+              <div className="sticky top-0 bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between z-10">
+                <div>
+                  <h2 className="text-xl font-bold text-gray-900">Simulate Workflow</h2>
+                  <p className="text-sm text-gray-500">See who would be asked to approve a sample request. Nothing is saved and no emails are sent.</p>
+                </div>
+                <button
+                  onClick={() => setSimulationForm(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="h-6 w-6" />
+                </button>
+              </div>
+
+              <div className="p-6 space-y-6">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Workflow</label>
+                    <select
+                      value={simulationForm.workflow_id}
+                      onChange={(e) => {
+                        const workflow = workflows.find(w => w.id === parseInt(e.target.value, 10));
+                        setSimulationForm({
+                          ...simulationForm,
+                          workflow_id: e.target.value,
+                          form_type: workflow ? workflow.form_type : simulationForm.form_type
+                        });
+                      }}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Active workflow for the department</option>
+                      {workflows.map(workflow => (
+                        <option key={workflow.id} value={workflow.id}>
+                          {workflow.name}{!workflow.is_active ? ' (inactive)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Form Type</label>
+                    <select
+                      value={simulationForm.form_type}
+                      onChange={(e) => setSimulationForm({ ...simulationForm, form_type: e.target.value })}
+                      disabled={!!simulationForm.workflow_id}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {FORM_TYPES.map(ft => (
+                        <option key={ft.value} value={ft.value}>{ft.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Requestor</label>
+                    <select
+                      value={simulationForm.requestor_id}
+                      onChange={(e) => {
+                        const requestor = users.find(u => u.id === parseInt(e.target.value, 10));
+                        setSimulationForm({
+                          ...simulationForm,
+                          requestor_id: e.target.value,
+                          department_id: requestor?.department?.id || simulationForm.department_id
+                        });
+                      }}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">No specific requestor</option>
+                      {users.map(u => (
+                        <option key={u.id} value={u.id}>{u.fullName}{u.department ? ` (${u.department.name})` : ''}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Department</label>
+                    <select
+                      value={simulationForm.department_id}
+                      onChange={(e) => setSimulationForm({ ...simulationForm, department_id: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">None</option>
+                      {departments.map(dept => (
+                        <option key={dept.id} value={dept.id}>{dept.name}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                    <select
+                      value={simulationForm.priority}
+                      onChange={(e) => setSimulationForm({ ...simulationForm, priority: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="low">Low</option>
+                      <option value="medium">Medium</option>
+                      <option value="high">High</option>
+                      <option value="urgent">Urgent</option>
+                    </select>
+                  </div>
+                </div>
+
+                {simulationForm.form_type === 'item_request' && (
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700">Sample Items</label>
+                      <button
+                        onClick={() => setSimulationForm({ ...simulationForm, items: [...simulationForm.items, { ...EMPTY_SIMULATION_ITEM }] })}
+                        className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        <Plus className="h-4 w-4 mr-1" /> Add Item
+                      </button>
+                    </div>
+                    <datalist id="simulation-categories">
+                      {categories.map(category => (
+                        <option key={category.id || category.name} value={category.name} />
+                      ))}
+                    </datalist>
+                    <div className="space-y-2">
+                      {simulationForm.items.map((item, index) => (
+                        <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                          <input
+                            type="text"
+                            list="simulation-categories"
+                            value={item.category}
+                            onChange={(e) => handleSimulationItemChange(index, 'category', e.target.value)}
+                            placeholder="Category"
+                            className="col-span-3 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                          />
+                          <input
+                            type="text"
+                            value={item.item_description}
+                            onChange={(e) => handleSimulationItemChange(index, 'item_description', e.target.value)}
+                            placeholder="Description"
+                            className="col-span-4 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                          />
+                          <input
+                            type="number"
+                            min="1"
+                            value={item.quantity}
+                            onChange={(e) => handleSimulationItemChange(index, 'quantity', e.target.value)}
+                            placeholder="Qty"
+                            className="col-span-2 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                          />
+                          <input
+                            type="number"
+                            min="0"
+                            value={item.estimated_cost}
+                            onChange={(e) => handleSimulationItemChange(index, 'estimated_cost', e.target.value)}
+                            placeholder="Unit cost"
+                            className="col-span-2 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                          />
+                          <button
+                            onClick={() => setSimulationForm({ ...simulationForm, items: simulationForm.items.filter((_, i) => i !== index) })}
+                            className="col-span-1 p-2 text-gray-400 hover:text-red-600"
+                            title="Remove Item"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {simulationResult && (
+                  <div className="space-y-3">
+                    <div className="flex items-center justify-between">
+                      <h3 className="font-bold text-gray-900">
+                        {simulationResult.workflow.name}
+                        <span className="ml-2 text-xs font-medium text-indigo-700">v{simulationResult.workflow.version}</span>
+                        {!simulationResult.workflow.isActive && (
+                          <span className="ml-2 text-xs font-medium text-gray-500">(inactive)</span>
+                        )}
+                      </h3>
+                      <span className="text-sm text-gray-500">
+                        Total estimated cost: {Number(simulationResult.request.totalEstimatedCost || 0).toLocaleString()}
+                      </span>
+                    </div>
+
+                    {simulationResult.unresolvedSteps.length > 0 && (
+                      <div className="flex items-start px-4 py-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-800">
+                        <AlertCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+                        <span>
+                          {simulationResult.unresolvedSteps.map(step => step.stepName).join(', ')} would resolve to no approvers.
+                          A real request would get stuck or skip {simulationResult.unresolvedSteps.length === 1 ? 'this step' : 'these steps'}.
+                        </span>
+                      </div>
+                    )}
+
+                    {simulationResult.steps.map(step => (
+                      <div
+                        key={step.stepId}
+                        className={`border rounded-lg p-4 ${!step.applies ? 'border-gray-200 bg-gray-50 opacity-70' : step.approvers.length === 0 ? 'border-red-300 bg-red-50/40' : 'border-gray-200'}`}
+                      >
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center space-x-2">
+                            <span className="w-6 h-6 rounded-full border-2 border-blue-500 text-blue-600 text-xs font-bold flex items-center justify-center">
+                              {step.stepOrder}
+                            </span>
+                            <span className="font-semibold text-gray-900">{step.stepName}</span>
+                            {step.isParallel && (
+                              <span className="px-2 py-0.5 rounded-md text-xs font-medium bg-indigo-50 text-indigo-700 border border-indigo-100 flex items-center">
+                                <GitBranch className="w-3 h-3 mr-1" /> Parallel
+                              </span>
+                            )}
+                          </div>
+                          {!step.applies ? (
+                            <span className="text-xs text-gray-500">Skipped: condition not met</span>
+                          ) : step.source && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                              {APPROVER_SOURCES[step.source] || step.source}
+                            </span>
+                          )}
+                        </div>
+
+                        {step.conditionExpression && (
+                          <p className="mt-1 text-xs text-gray-500">
+                            Only if <code className="px-1 bg-gray-100 rounded text-gray-700">{step.conditionExpression}</code>
+                          </p>
+                        )}
+
+                        {step.applies && (
+                          step.approvers.length > 0 ? (
+                            <ul className="mt-2 text-sm text-gray-700 space-y-0.5">
+                              {step.approvers.map(approver => (
+                                <li key={approver.id} className="flex items-center">
+                                  <User className="w-3.5 h-3.5 mr-1.5 text-gray-400" />
+                                  {approver.name}
+                                  <span className="ml-1 text-gray-400">({approver.email})</span>
+                                  {approver.delegateFor && (
+                                    <span className="ml-2 text-xs text-amber-700">
+                                      delegate for {step.approvers.find(a => a.id === approver.delegateFor)?.name || 'another approver'}
+                                    </span>
+                                  )}
+                                </li>
+                              ))}
+                            </ul>
+                          ) : (
+                            <p className="mt-2 text-sm font-medium text-red-700">No approvers found</p>
+                          )
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="sticky bottom-0 bg-gray-50 px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+                <button
+                  onClick={() => setSimulationForm(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={handleRunSimulation}
+                  disabled={simulating}
+                  className="flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                >
+                  <PlayCircle className="h-4 w-4 mr-2" />
+                  {simulating ? 'Simulating...' : 'Run Simulation'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Version History Modal */}
+        {historyWorkflow && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+              <div className="sticky top-0 bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between z-10">
+                <h2 className="text-xl font-bold text-gray-900">
+                  Version History: {historyWorkflow.name}
+                </h2>
+                <button
+                  onClick={() => setHistoryWorkflow(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="h-6 w-6" />
+                </button>
+              </div>
+
+              <div className="p-6 space-y-6">
+                {loadingVersions && versions.length === 0 ? (
+                  <p className="text-sm text-gray-500">Loading versions...</p>
+                ) : (
+                  <>
+                    {/* Compare */}
+                    {versions.length > 1 && (
+                      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+                        <div className="flex flex-wrap items-end gap-3">
+                          <div>
+                            <label className="block text-xs font-medium text-gray-600 mb-1">Compare</label>
+                            <select
+                              value={diffRange.from}
+                              onChange={(e) => setDiffRange({ ...diffRange, from: e.target.value })}
+                              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                            >
+                              {versions.map(version => (
+                                <option key={version.id} value={version.version}>Version {version.version}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div>
+                            <label className="block text-xs font-medium text-gray-600 mb-1">With</label>
+                            <select
+                              value={diffRange.to}
+                              onChange={(e) => setDiffRange({ ...diffRange, to: e.target.value })}
+                              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                            >
+                              {versions.map(version => (
+                                <option key={version.id} value={version.version}>Version {version.version}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <button
+                            onClick={handleCompareVersions}
+                            disabled={loadingVersions}
+                            className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700 disabled:opacity-50"
+                          >
+                            Compare
+                          </button>
+                        </div>
+
+                        {versionDiff && (
+                          <div className="mt-4 space-y-3 text-sm">
+                            {versionDiff.diff.added.length === 0 && versionDiff.diff.removed.length === 0 && versionDiff.diff.changed.length === 0 && (
+                              <p className="text-gray-500">No step differences between version {versionDiff.from} and version {versionDiff.to}.</p>
+                            )}
+                            {versionDiff.diff.added.map(step => (
+                              <div key={`added-${step.id}`} className="px-3 py-2 rounded-md bg-green-50 border border-green-100 text-green-800">
+                                <b>+ {step.step_name}</b> added at step {step.step_order}
+                              </div>
+                            ))}
+                            {versionDiff.diff.removed.map(step => (
+                              <div key={`removed-${step.id}`} className="px-3 py-2 rounded-md bg-red-50 border border-red-100 text-red-800">
+                                <b>&minus; {step.step_name}</b> removed (was step {step.step_order})
+                              </div>
+                            ))}
+                            {versionDiff.diff.changed.map(change => (
+                              <div key={`changed-${change.step_name}`} className="px-3 py-2 rounded-md bg-amber-50 border border-amber-100 text-amber-900">
+                                <b>{change.step_name}</b> changed
+                                <ul className="mt-1 ml-4 list-disc text-xs">
+                                  {Object.entries(change.changes).map(([field, values]) => (
+                                    <li key={field}>
+                                      {field.replace(/_/g, ' ')}: {formatDiffValue(values.from)} &rarr; {formatDiffValue(values.to)}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Versions */}
+                    <div className="space-y-3">
+                      {versions.map(version => (
+                        <div key={version.id} className={`border rounded-lg p-4 ${version.isCurrent ? 'border-indigo-300 bg-indigo-50/40' : 'border-gray-200'}`}>
+                          <div className="flex items-center justify-between">
+                            <div className="flex items-center space-x-2">
+                              <span className="font-bold text-gray-900">Version {version.version}</span>
+                              {version.isCurrent && (
+                                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-700">Current</span>
+                              )}
+                              {version.inFlightRequests > 0 && (
+                                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+                                  {version.inFlightRequests} in progress
+                                </span>
+                              )}
+                            </div>
+                            <span className="text-xs text-gray-500">
+                              {new Date(version.created_at || version.createdAt).toLocaleString()}
+                              {version.Creator && ` by ${version.Creator.fullName}`}
+                            </span>
+                          </div>
+                          {version.note && <p className="text-sm text-gray-600 mt-1">{version.note}</p>}
+                          <ol className="mt-2 text-sm text-gray-700 space-y-0.5">
+                            {version.Steps.map(step => (
+                              <li key={step.id}>
+                                <span className="text-gray-400 mr-2">{step.step_order}.</span>
+                                {step.step_name}
+                                <span className="text-gray-400"> &middot; {getApproverDescription(step)}</span>
+                              </li>
+                            ))}
+                          </ol>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
       </div>
       <VehicleManagement className='mb-6' />
       <DriverManagement />
@@ -586,6 +586,12 @@ const STATUS_OPTIONS = [
     { value: 'approved', label: 'Approved (Generic)' },
 ];
 
+// Fields a step condition can test, per form type (see backend utils/workflowConditions.js)
+const CONDITION_FIELD_HINTS = {
+    item_request: ['total_estimated_cost', 'priority', 'department_id', 'any item.category', 'all item.category', 'item.estimated_cost', 'item.quantity'],
+    vehicle_request: ['request_type', 'department_id', 'destination', 'passenger_count', 'has_valid_license']
+};
+
 // Default status per step index (keeps backward compat when user doesn't pick)
 const DEFAULT_STATUS = (idx) => {
     const map = ['department_approved', 'it_manager_approved', 'service_desk_processing'];
@@ -616,11 +622,22 @@ function SequencesTab({ departments, roles, toast }) {
                     steps: (wf.steps || wf.Steps || [])
                         .slice()
                         .sort((a, b) => (a.step_order ?? 0) - (b.step_order ?? 0))
-                        .map(s => ({
+                        .map((s, idx, sorted) => ({
                             id: s.id,
                             role: s.approver_role || s.approver_type,
                             status: s.status_on_approval || '',
-                            step_order: s.step_order
+                            condition: s.condition_expression || '',
+                            conditionError: null,
+                            step_order: s.step_order,
+                            // Shares the previous step's order number, so both are approved in parallel
+                            parallel: idx > 0 && s.step_order === sorted[idx - 1].step_order,
+                            // Settings edited elsewhere (Workflow Settings) — carried through on save
+                            sla: {
+                                sla_hours: s.sla_hours,
+                                reminders_before_escalation: s.reminders_before_escalation,
+                                escalation_target: s.escalation_target,
+                                escalation_matrix_role: s.escalation_matrix_role
+                            }
                         }))
                 };
             });
@@ -648,6 +665,20 @@ function SequencesTab({ departments, roles, toast }) {
         }));
     };
 
+    // Check a condition with the backend parser when the field loses focus
+    const validateStepCondition = async (deptId, stepIdx, condition) => {
+        if (!condition?.trim()) {
+            updateStep(deptId, stepIdx, 'conditionError', null);
+            return;
+        }
+        try {
+            const res = await workflowsAPI.validateCondition(condition, formType);
+            updateStep(deptId, stepIdx, 'conditionError', res.data?.valid ? null : res.data?.message);
+        } catch (e) {
+            updateStep(deptId, stepIdx, 'conditionError', e.response?.data?.message || 'Could not validate condition');
+        }
+    };
+
     const addStep = (deptId) => {
         setWorkflows(prev => prev.map(w => {
             if (w.department_id !== deptId) return w;
@@ -675,8 +706,14 @@ function SequencesTab({ departments, roles, toast }) {
             toast.show('Please fill in all role names before saving.', 'error');
             return;
         }
+        if (wf.steps.some(s => s.conditionError)) {
+            toast.show('Please fix the invalid step conditions before saving.', 'error');
+            return;
+        }
         setSaving(wf.department_id ?? 'global');
         try {
+            let stepOrder = 0;
+            const stepOrders = wf.steps.map((s, idx) => (idx > 0 && s.parallel ? stepOrder : ++stepOrder));
             const dept = departments.find(d => d.id === wf.department_id);
             const deptName = dept?.name || 'Global';
             const payload = {
@@ -687,11 +724,13 @@ function SequencesTab({ departments, roles, toast }) {
                 is_default: !wf.department_id,
                 steps: wf.steps.map((s, idx) => ({
                     step_name: `Step ${idx + 1}`,
-                    step_order: idx + 1,
+                    step_order: stepOrders[idx],
                     approver_type: 'custom_matrix_role',
                     approver_role: s.role,
                     requires_same_department: true,
-                    status_on_approval: s.status?.trim() || DEFAULT_STATUS(idx)
+                    status_on_approval: s.status?.trim() || DEFAULT_STATUS(idx),
+                    condition_expression: s.condition?.trim() || null,
+                    ...(s.sla || {})
                 }))
             };
 
@@ -795,14 +834,43 @@ function SequencesTab({ departments, roles, toast }) {
                                                 <X className="w-4 h-4" />
                                             </button>
                                         </div>
+                                        <div className="ml-20 flex items-center gap-2">
+                                            <span className="text-xs text-gray-500 flex-shrink-0">Only if</span>
+                                            <input
+                                                type="text"
+                                                placeholder="Always (e.g. total_estimated_cost > 50000)"
+                                                value={step.condition || ''}
+                                                onChange={e => updateStep(wf.department_id, idx, 'condition', e.target.value)}
+                                                onBlur={e => validateStepCondition(wf.department_id, idx, e.target.value)}
+                                                className={`flex-1 rounded-md border px-2 py-1 text-xs font-mono focus:ring-blue-500 focus:border-blue-500 ${step.conditionError ? 'border-red-400' : 'border-gray-300'}`}
+                                            />
+                                        </div>
+                                        {step.conditionError && (
+                                            <div className="ml-20 text-[10px] text-red-500">{step.conditionError}</div>
+                                        )}
+                                        {idx > 0 && (
+                                            <label className="ml-20 flex items-center gap-1.5 text-xs text-gray-500">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={!!step.parallel}
+                                                    onChange={e => updateStep(wf.department_id, idx, 'parallel', e.target.checked)}
+                                                />
+                                                Runs in parallel with Step {idx} (both must approve before the request moves on)
+                                            </label>
+                                        )}
                                         <div className="ml-20 text-[10px] text-gray-400">
                                             When approved → sets status to <code className="bg-gray-100 px-1 rounded">{step.status || DEFAULT_STATUS(idx)}</code>
+                                            {step.condition?.trim() && <> · skipped unless <code className="bg-gray-100 px-1 rounded">{step.condition}</code></>}
                                         </div>
                                     </div>
                                 ))}
                                 <datalist id="seqRoleList">
                                     {roles.map(r => <option key={r} value={r} />)}
                                 </datalist>
+                                <p className="text-[10px] text-gray-400 pt-1">
+                                    Conditions can use: {CONDITION_FIELD_HINTS[formType].map(f => <code key={f} className="bg-gray-100 px-1 rounded mr-1">{f}</code>)}
+                                    with = != &gt; &gt;= &lt; &lt;= and AND / OR / NOT. Steps whose condition is false are skipped.
+                                </p>
                                 <button
                                     onClick={() => addStep(wf.department_id)}
                                     className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 mt-1"
@@ -0,0 +1,97 @@
+import React from 'react';
+import { GitMerge, RefreshCw } from 'lucide-react';
+
+// Shown when the server rejects a save or approval because someone else changed the request
+// first (HTTP 409). Lists what differs between the user's copy and the server's, and lets them
+// reload the latest version or keep their input and try again on top of it.
+export default function ConflictDialog({
+    isOpen,
+    onClose,
+    onReload,
+    onKeepMine,
+    message,
+    differences = []
+}) {
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto" aria-labelledby="conflict-title" role="dialog" aria-modal="true">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div
+                    className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+                    aria-hidden="true"
+                    onClick={onClose}
+                ></div>
+
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+
+                <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl w-full">
+                    <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                        <div className="sm:flex sm:items-start">
+                            <div className="mx-auto flex-shrink-0 flex items-center justify-center h-12 w-12 rounded-full sm:mx-0 sm:h-10 sm:w-10 bg-amber-100">
+                                <GitMerge className="h-6 w-6 text-amber-600" />
+                            </div>
+                            <div className="mt-3 text-center sm:mt-0 sm:ml-4 sm:text-left w-full">
+                                <h3 className="text-lg leading-6 font-medium text-gray-900" id="conflict-title">
+                                    This request has changed
+                                </h3>
+                                <p className="mt-2 text-sm text-gray-500">{message}</p>
+
+                                {differences.length > 0 ? (
+                                    <table className="mt-4 w-full text-sm border border-gray-200">
+                                        <thead className="bg-gray-50 text-gray-600">
+                                            <tr>
+                                                <th className="px-3 py-2 text-left font-medium">Field</th>
+                                                <th className="px-3 py-2 text-left font-medium">Yours</th>
+                                                <th className="px-3 py-2 text-left font-medium">Current</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-100">
+                                            {differences.map(({ label, mine, theirs }) => (
+                                                <tr key={label}>
+                                                    <td className="px-3 py-2 font-medium text-gray-700">{label}</td>
+                                                    <td className="px-3 py-2 text-gray-600 break-words">{mine || '—'}</td>
+                                                    <td className="px-3 py-2 text-gray-900 break-words">{theirs || '—'}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                ) : (
+                                    <p className="mt-4 text-sm text-gray-500">
+                                        None of the fields you can see here differ; the change was to its status or approvals.
+                                    </p>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                    <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-3">
+                        <button
+                            type="button"
+                            onClick={onReload}
+                            className="w-full inline-flex justify-center items-center gap-2 rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 sm:w-auto sm:text-sm"
+                        >
+                            <RefreshCw className="h-4 w-4" />
+                            Discard mine and reload
+                        </button>
+                        {onKeepMine && (
+                            <button
+                                type="button"
+                                onClick={onKeepMine}
+                                className="mt-3 w-full inline-flex justify-center rounded-md border border-amber-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-amber-700 hover:bg-amber-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-amber-500 sm:mt-0 sm:w-auto sm:text-sm"
+                            >
+                                Keep my changes
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 sm:mt-0 sm:w-auto sm:text-sm"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
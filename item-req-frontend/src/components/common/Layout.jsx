@@ -21,6 +21,7 @@ import {
     GitBranch,
     Lock,
     KeyRound,
+    Mail,
 } from "lucide-react";
 import { Link, Outlet, useNavigate, useLocation } from "react-router-dom";
 import { motion } from "framer-motion";
@@ -31,6 +32,7 @@ import { useTheme } from '../../contexts/ThemeContext';
 import { Sun, Moon } from "lucide-react";
 import { settingsAPI } from '../../services/api';
 import { DEFAULT_ROLE_UI_CONFIG } from '../admin/RoleUIConfig';
+import { NotificationBell } from './NotificationBell';
 
 // ── Tree Node ────────────────────────────────────────────────
 const TreeNode = ({ node, depth = 0, sidebarOpen }) => {
@@ -314,6 +316,7 @@ export function Layout() {
                                                 {can('audit_logs') && <TreeNode node={{ label: 'Audit Logs', icon: Shield, path: '/audit-logs' }} depth={0} sidebarOpen={open} />}
                                                 {can('role_access') && <TreeNode node={{ label: 'Role Access Config', icon: Lock, path: '/settings/role-access' }} depth={0} sidebarOpen={open} />}
                                                 {isAdmin() && <TreeNode node={{ label: 'API Keys', icon: KeyRound, path: '/settings/api-keys' }} depth={0} sidebarOpen={open} />}
+                                                <TreeNode node={{ label: 'Email Templates', icon: Mail, path: '/settings/email-templates' }} depth={0} sidebarOpen={open} />
                                             </>
                                         )}
                                     </>
@@ -323,6 +326,8 @@ export function Layout() {
 
                         {/* Footer */}
                         <div>
+                            <NotificationBell sidebarOpen={open} />
+
                             <button onClick={toggleTheme} className="flex items-center justify-start gap-2 group/sidebar py-2 w-full mb-2">
                                 {theme === 'dark'
                                     ? <Sun className="text-gray-700 dark:text-gray-200 h-5 w-5 flex-shrink-0" />
@@ -346,7 +351,11 @@ export function Layout() {
                             </button>
 
                             {user && (
-                                <div className="mt-4 flex items-center gap-2">
+                                <button
+                                    onClick={() => navigate('/settings/profile')}
+                                    title="Profile settings"
+                                    className="mt-4 flex items-center gap-2 w-full text-left rounded-md hover:bg-gray-100 dark:hover:bg-gray-800"
+                                >
                                     <div className="h-8 w-8 rounded-full bg-blue-500/20 flex items-center justify-center text-blue-600 dark:text-blue-400 font-bold flex-shrink-0">
                                         {user.firstName ? user.firstName[0] : 'U'}
                                     </div>
@@ -359,7 +368,7 @@ export function Layout() {
                                             {user.role ? user.role.replace(/_/g, ' ').toUpperCase() : ''}
                                         </div>
                                     </motion.div>
-                                </div>
+                                </button>
                             )}
                         </div>
                     </SidebarBody>
@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Bell, CheckCheck } from "lucide-react";
+import { notificationsAPI } from '../../services/api';
+
+// How often the unread badge is refreshed
+const POLL_INTERVAL_MS = 60 * 1000;
+const DROPDOWN_LIMIT = 15;
+
+const MotionSpan = motion.span;
+
+const formatTime = (value) => {
+    const date = new Date(value);
+    const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return date.toLocaleDateString();
+};
+
+export function NotificationBell({ sidebarOpen }) {
+    const navigate = useNavigate();
+    const containerRef = useRef(null);
+    const [showDropdown, setShowDropdown] = useState(false);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    const loadUnreadCount = useCallback(async () => {
+        try {
+            const res = await notificationsAPI.getUnreadCount();
+            setUnreadCount(res.data.unreadCount || 0);
+        } catch (err) {
+            console.warn('Could not load unread notification count:', err);
+        }
+    }, []);
+
+    const loadNotifications = async () => {
+        setLoading(true);
+        try {
+            const res = await notificationsAPI.getAll({ limit: DROPDOWN_LIMIT });
+            setNotifications(res.data.notifications || []);
+            setUnreadCount(res.data.unreadCount || 0);
+        } catch (err) {
+            console.error('Error loading notifications:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadUnreadCount();
+        const interval = setInterval(loadUnreadCount, POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [loadUnreadCount]);
+
+    // Close the dropdown when clicking elsewhere
+    useEffect(() => {
+        if (!showDropdown) return undefined;
+        const handleClickOutside = (event) => {
+            if (containerRef.current && !containerRef.current.contains(event.target)) {
+                setShowDropdown(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [showDropdown]);
+
+    const handleToggle = () => {
+        if (!showDropdown) loadNotifications();
+        setShowDropdown(prev => !prev);
+    };
+
+    const handleOpenNotification = async (notification) => {
+        if (!notification.read_at) {
+            try {
+                await notificationsAPI.markRead(notification.id);
+                setNotifications(prev => prev.map(n => n.id === notification.id ? { ...n, read_at: new Date().toISOString() } : n));
+                setUnreadCount(prev => Math.max(prev - 1, 0));
+            } catch (err) {
+                console.error('Error marking notification as read:', err);
+            }
+        }
+
+        if (notification.link) {
+            setShowDropdown(false);
+            navigate(notification.link);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await notificationsAPI.markAllRead();
+            const now = new Date().toISOString();
+            setNotifications(prev => prev.map(n => n.read_at ? n : { ...n, read_at: now }));
+            setUnreadCount(0);
+        } catch (err) {
+            console.error('Error marking all notifications as read:', err);
+        }
+    };
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button onClick={handleToggle} className="flex items-center justify-start gap-2 group/sidebar py-2 w-full mb-2" title="Notifications">
+                <span className="relative flex-shrink-0">
+                    <Bell className="text-gray-700 dark:text-gray-200 h-5 w-5" />
+                    {unreadCount > 0 && (
+                        <span className="absolute -top-1.5 -right-1.5 min-w-[16px] h-4 px-1 rounded-full bg-red-500 text-white text-[10px] font-bold leading-4 text-center">
+                            {unreadCount > 99 ? '99+' : unreadCount}
+                        </span>
+                    )}
+                </span>
+                <MotionSpan
+                    animate={{ display: sidebarOpen ? "inline-block" : "none", opacity: sidebarOpen ? 1 : 0 }}
+                    className="text-gray-700 dark:text-gray-200 text-sm group-hover/sidebar:translate-x-1 transition duration-150 whitespace-pre inline-block !p-0 !m-0"
+                >
+                    Notifications
+                </MotionSpan>
+            </button>
+
+            {showDropdown && (
+                <div className="absolute bottom-0 left-full ml-3 w-80 max-h-[28rem] flex flex-col bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl z-50">
+                    <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+                        <span className="text-sm font-semibold text-gray-900 dark:text-white">Notifications</span>
+                        {unreadCount > 0 && (
+                            <button
+                                onClick={handleMarkAllRead}
+                                className="flex items-center gap-1 text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700"
+                            >
+                                <CheckCheck className="h-3.5 w-3.5" />
+                                Mark all read
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="overflow-y-auto custom-scrollbar">
+                        {loading && notifications.length === 0 ? (
+                            <div className="flex justify-center py-6">
+                                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-600"></div>
+                            </div>
+                        ) : notifications.length === 0 ? (
+                            <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">No notifications yet</p>
+                        ) : (
+                            notifications.map(notification => (
+                                <button
+                                    key={notification.id}
+                                    onClick={() => handleOpenNotification(notification)}
+                                    className={`w-full text-left px-4 py-3 border-b border-gray-100 dark:border-gray-700 last:border-b-0 hover:bg-gray-50 dark:hover:bg-gray-700/50 ${notification.read_at ? '' : 'bg-blue-50/60 dark:bg-blue-900/20'}`}
+                                >
+                                    <div className="flex items-start gap-2">
+                                        {!notification.read_at && <span className="mt-1.5 h-2 w-2 rounded-full bg-blue-500 flex-shrink-0" />}
+                                        <div className="min-w-0 flex-1">
+                                            <p className="text-sm font-medium text-gray-900 dark:text-white">{notification.title}</p>
+                                            {notification.message && (
+                                                <p className="text-xs text-gray-600 dark:text-gray-400 line-clamp-2">{notification.message}</p>
+                                            )}
+                                            <p className="text-[11px] text-gray-400 mt-1">
+                                                {formatTime(notification.created_at || notification.createdAt)}
+                                            </p>
+                                        </div>
+                                    </div>
+                                </button>
+                            ))
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
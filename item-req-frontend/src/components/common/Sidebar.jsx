@@ -24,7 +24,11 @@ import {
     Building,
     Shield,
     GitBranch,
-    KeyRound
+    KeyRound,
+    Laptop,
+    ShoppingCart,
+    Store,
+    ClipboardCheck
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import STC_LOGO from '../../assets/STC_LOGO.png';
@@ -287,6 +291,8 @@ const Sidebar = ({ isOpen, toggleSidebar, isMobile }) => {
                             <TreeNode key={rootNode.id} node={rootNode} depth={0} isOpen={isOpen} />
                         ))}
 
+                        <TreeNode node={{ label: 'My Equipment', icon: Laptop, path: '/my-equipment' }} depth={0} isOpen={isOpen} />
+
                         {/* Inventory section */}
                         {canManageInventory && canManageInventory() && (
                             <>
@@ -299,6 +305,9 @@ const Sidebar = ({ isOpen, toggleSidebar, isMobile }) => {
                                 )}
                                 <TreeNode node={{ label: 'Inventory Management', icon: Package, path: '/inventory' }} depth={0} isOpen={isOpen} />
                                 <TreeNode node={{ label: 'Deployed Assets', icon: Monitor, path: '/deployed-assets' }} depth={0} isOpen={isOpen} />
+                                <TreeNode node={{ label: 'Purchase Requisitions', icon: ShoppingCart, path: '/purchase-requisitions' }} depth={0} isOpen={isOpen} />
+                                <TreeNode node={{ label: 'Vendors', icon: Store, path: '/vendors' }} depth={0} isOpen={isOpen} />
+                                <TreeNode node={{ label: 'Stock Counts', icon: ClipboardCheck, path: '/stock-counts' }} depth={0} isOpen={isOpen} />
                             </>
                         )}
 
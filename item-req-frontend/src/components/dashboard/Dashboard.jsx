@@ -24,8 +24,10 @@ import {
 
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useRealtimeEvents } from '../../hooks/useRealtimeEvents';
 import { settingsAPI } from '../../services/api';
 import { MODULES } from '../../config/modules';
+import LowStockAlerts from './LowStockAlerts';
 
 // --- Global Stats Component ---
 const GlobalStats = ({ stats, user }) => {
@@ -185,9 +187,17 @@ const Dashboard = () => {
     }
   }, []);
 
-  const loadGlobalData = async () => {
+  // Keep the stats and recent activity current while the dashboard is open
+  const liveRefreshTimer = useRef(null);
+  useRealtimeEvents({ queues: Object.values(MODULES).map(m => m.formType) }, () => {
+    clearTimeout(liveRefreshTimer.current);
+    liveRefreshTimer.current = setTimeout(() => loadGlobalData({ silent: true }), 1000);
+  });
+  useEffect(() => () => clearTimeout(liveRefreshTimer.current), []);
+
+  const loadGlobalData = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const modules = Object.values(MODULES);
 
       // 1. Fetch Stats from all modules
@@ -280,6 +290,11 @@ const Dashboard = () => {
           {/* Global Stats with shadcn style */}
           <GlobalStats stats={globalStats} user={user} />
 
+          {/* Low-stock alerts with reorder suggestions */}
+          {['service_desk', 'it_manager', 'super_administrator'].includes(user?.role) && (
+            <LowStockAlerts user={user} />
+          )}
+
           {/* Recent Activity Feed Restyled */}
           <h2 className="text-lg font-semibold tracking-tight text-gray-900 dark:text-white mb-4">Recent Activity Summary</h2>
           <div className="bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-md shadow-sm overflow-hidden">
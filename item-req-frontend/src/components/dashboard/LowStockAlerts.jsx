@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AlertTriangle, PackagePlus } from 'lucide-react';
+import { stockAlertsAPI, stockMovementsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+import ReplenishmentModal from '../inventory/ReplenishmentModal';
+
+// SKUs at or below their minimum stock, with a suggested reorder quantity each.
+// Service Desk can replenish straight from here; the modal opens pre-filled with the suggestion.
+const LowStockAlerts = ({ user }) => {
+  const { success, error } = useContext(ToastContext);
+  const [alerts, setAlerts] = useState([]);
+  const [windowDays, setWindowDays] = useState(90);
+  const [replenishing, setReplenishing] = useState(null);
+
+  const canReplenish = ['service_desk', 'super_administrator'].includes(user?.role);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const response = await stockAlertsAPI.getAll();
+      setAlerts(response.data.alerts);
+      setWindowDays(response.data.consumptionWindowDays);
+    } catch (err) {
+      console.error('Error loading low-stock alerts:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  const openReplenishment = (selected) => {
+    setReplenishing(selected.map(alert => ({
+      id: alert.sku_id,
+      category: `${alert.name} (${alert.code})`,
+      suggestedQty: alert.suggested_quantity,
+      stockSummary: `Available: ${alert.available} | Min: ${alert.min_stock_level}`
+    })));
+  };
+
+  const handleReplenish = async (replenishmentData) => {
+    setReplenishing(null);
+    const entries = Object.entries(replenishmentData);
+    const failed = [];
+
+    for (const [skuId, { prNumber, addedQty }] of entries) {
+      try {
+        await stockMovementsAPI.create({
+          sku_id: parseInt(skuId, 10),
+          movement_type: 'receipt',
+          quantity: parseInt(addedQty, 10),
+          pr_number: prNumber,
+          notes: 'Low-stock replenishment'
+        });
+      } catch (err) {
+        console.error('Error replenishing stock:', err);
+        const name = alerts.find(alert => String(alert.sku_id) === skuId)?.name || skuId;
+        failed.push(`${name}: ${err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'failed'}`);
+      }
+    }
+
+    if (failed.length > 0) {
+      error(`Some stock could not be replenished - ${failed.join('; ')}`);
+    }
+    if (failed.length < entries.length) {
+      success('Stock replenished');
+    }
+    loadAlerts();
+  };
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="mb-8 bg-white dark:bg-gray-900 border border-red-200 dark:border-red-900 rounded-md shadow-sm overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 bg-red-50 dark:bg-red-900/20 border-b border-red-200 dark:border-red-900">
+        <h2 className="flex items-center text-sm font-semibold text-red-800 dark:text-red-300">
+          <AlertTriangle className="h-4 w-4 mr-2" />
+          {alerts.length} stock {alerts.length === 1 ? 'item is' : 'items are'} running low
+        </h2>
+        {canReplenish && alerts.length > 1 && (
+          <button
+            onClick={() => openReplenishment(alerts)}
+            className="flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
+          >
+            <PackagePlus className="h-3 w-3 mr-1" /> Replenish All
+          </button>
+        )}
+      </div>
+      <table className="min-w-full divide-y divide-gray-100 dark:divide-gray-800">
+        <thead>
+          <tr>
+            <th className="px-4 py-2 text-left text-[10px] font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+            <th className="px-4 py-2 text-right text-[10px] font-medium text-gray-500 uppercase tracking-wider">Available / Min</th>
+            <th className="px-4 py-2 text-right text-[10px] font-medium text-gray-500 uppercase tracking-wider" title={`Consumed by completed requests in the last ${windowDays} days`}>Used ({windowDays}d)</th>
+            <th className="px-4 py-2 text-right text-[10px] font-medium text-gray-500 uppercase tracking-wider">Open Requests</th>
+            <th className="px-4 py-2 text-right text-[10px] font-medium text-gray-500 uppercase tracking-wider">On Order</th>
+            <th className="px-4 py-2 text-right text-[10px] font-medium text-gray-500 uppercase tracking-wider">Suggested</th>
+            {canReplenish && <th className="px-4 py-2"></th>}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+          {alerts.map(alert => (
+            <tr key={alert.sku_id}>
+              <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">
+                {alert.name}
+                <span className={`ml-2 px-2 py-0.5 rounded-full text-[10px] font-semibold ${alert.status === 'out_of_stock' ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-700'}`}>
+                  {alert.status === 'out_of_stock' ? 'OUT OF STOCK' : 'LOW'}
+                </span>
+                <span className="block text-[10px] text-gray-500">{alert.code} · {alert.category_name}</span>
+              </td>
+              <td className="px-4 py-2 text-sm text-right text-gray-700 dark:text-gray-300">
+                {alert.available} / {alert.min_stock_level}
+                {alert.reserved > 0 && <span className="block text-[10px] text-gray-500">{alert.on_hand} on hand, {alert.reserved} reserved</span>}
+              </td>
+              <td className="px-4 py-2 text-sm text-right text-gray-700 dark:text-gray-300">{alert.consumed_quantity}</td>
+              <td className="px-4 py-2 text-sm text-right text-gray-700 dark:text-gray-300">{alert.open_request_quantity}</td>
+              <td className="px-4 py-2 text-sm text-right text-gray-700 dark:text-gray-300">{alert.on_order_quantity}</td>
+              <td className="px-4 py-2 text-sm text-right font-semibold text-gray-900 dark:text-gray-100">{alert.suggested_quantity}</td>
+              {canReplenish && (
+                <td className="px-4 py-2 text-right">
+                  <button
+                    onClick={() => openReplenishment([alert])}
+                    className="inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                  >
+                    <PackagePlus className="h-3 w-3 mr-1" /> Replenish
+                  </button>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <ReplenishmentModal
+        isOpen={!!replenishing}
+        onClose={() => setReplenishing(null)}
+        onConfirm={handleReplenish}
+        items={replenishing || []}
+        title="Replenish Low Stock"
+        description="Enter the PR each delivery was bought under. Quantities start at the suggested reorder amount."
+        confirmLabel="Add to Stock"
+      />
+    </div>
+  );
+};
+
+export default LowStockAlerts;
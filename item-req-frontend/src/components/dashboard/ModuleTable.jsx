@@ -1,9 +1,17 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
-    FileText, Car, Bell, Eye, Trash2, Calendar, UserCheck, XCircle, ChevronLeft, ChevronRight
+    FileText, Car, Bell, Eye, Trash2, Calendar, UserCheck, XCircle, ChevronLeft, ChevronRight,
+    CheckCircle, AlertCircle, PenTool
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { getStatusColor } from '../../config/modules';
+import SignatureModal from '../common/SignatureModal';
+
+// Roles that may approve/decline several requests at once, per module
+const BULK_APPROVER_ROLES = {
+    item: ['department_approver', 'endorser', 'it_manager', 'super_administrator'],
+    vehicle: ['department_approver', 'super_administrator']
+};
 
 // --- Cell Components ---
 
@@ -327,10 +335,71 @@ const ModuleTable = ({
     setFilters,
     selectedIds,
     onToggleSelection,
-    onToggleAll
+    onToggleAll,
+    onBulkComplete
 }) => {
     const navigate = useNavigate();
 
+    // Bulk approve / decline
+    const [bulkComments, setBulkComments] = useState('');
+    const [bulkSignature, setBulkSignature] = useState('');
+    const [tempBulkSignature, setTempBulkSignature] = useState('');
+    const [showBulkSignatureModal, setShowBulkSignatureModal] = useState(false);
+    const [bulkProcessing, setBulkProcessing] = useState(false);
+    const [bulkResults, setBulkResults] = useState({}); // requestId -> { success, message }
+    const [bulkSummary, setBulkSummary] = useState(null);
+
+    const canBulkAct = !!config.api.bulkAction && (BULK_APPROVER_ROLES[config.id] || []).includes(user.role);
+    const isODHCVehicle = config.id === 'vehicle' && user?.department?.name?.toUpperCase()?.includes('ODHC');
+    const showSelection = isODHCVehicle || canBulkAct;
+
+    const handleBulkAction = async (action) => {
+        const ids = Array.from(selectedIds);
+        if (ids.length === 0) return;
+
+        if (action === 'decline' && !bulkComments.trim()) {
+            alert('Comments are required when declining');
+            return;
+        }
+
+        const verb = action === 'decline' ? 'Decline' : 'Approve';
+        if (!window.confirm(`${verb} ${ids.length} selected request(s)?`)) return;
+
+        try {
+            setBulkProcessing(true);
+            // Each request is only acted on if it hasn't changed since the list was loaded
+            const versions = Object.fromEntries(data
+                .filter(request => selectedIds.has(request.id || request.request_id))
+                .map(request => [request.id || request.request_id, request.version]));
+            const response = await config.api.bulkAction({
+                action,
+                ids,
+                versions,
+                comments: bulkComments.trim() || undefined,
+                signature: bulkSignature || null
+            });
+
+            const results = response.data.results || [];
+            setBulkResults(Object.fromEntries(results.map(result => [result.id, result])));
+            setBulkSummary({ success: response.data.failed === 0, message: response.data.message });
+            setBulkComments('');
+
+            if (onBulkComplete) {
+                // Keep the failed requests selected so they can be reviewed or retried
+                onBulkComplete(results.filter(result => !result.success).map(result => result.id));
+            }
+        } catch (error) {
+            console.error('Bulk action failed:', error);
+            const details = error.response?.data?.details || error.response?.data?.errors;
+            setBulkSummary({
+                success: false,
+                message: details?.[0]?.msg || error.response?.data?.message || 'Bulk action failed'
+            });
+        } finally {
+            setBulkProcessing(false);
+        }
+    };
+
     // Helper to check if pending approval
     const isPendingMyApproval = (request) => {
         // Basic logic - needs to be robust for both types
@@ -385,12 +454,72 @@ const ModuleTable = ({
                 </h2>
             </div>
 
+            {/* Bulk Action Bar */}
+            {canBulkAct && selectedIds.size > 0 && (
+                <div className="px-6 py-3 border-b border-gray-200 dark:border-gray-700 bg-primary-50 dark:bg-primary-900/20 flex flex-wrap items-center gap-3">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">
+                        {selectedIds.size} selected
+                    </span>
+                    <input
+                        type="text"
+                        value={bulkComments}
+                        onChange={(e) => setBulkComments(e.target.value)}
+                        maxLength={1000}
+                        placeholder="Comments (required when declining)"
+                        className="flex-1 min-w-[200px] px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-1 focus:ring-primary-500"
+                    />
+                    <button
+                        onClick={() => {
+                            setTempBulkSignature(bulkSignature);
+                            setShowBulkSignatureModal(true);
+                        }}
+                        className={`flex items-center px-3 py-1.5 border rounded-md text-sm font-medium ${bulkSignature ? 'border-green-300 text-green-700 bg-green-50' : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'}`}
+                    >
+                        <PenTool className="h-4 w-4 mr-1" />
+                        {bulkSignature ? 'Signed' : 'Sign'}
+                    </button>
+                    <button
+                        onClick={() => handleBulkAction('approve')}
+                        disabled={bulkProcessing}
+                        className="flex items-center px-3 py-1.5 bg-green-600 text-white rounded-md text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+                    >
+                        <CheckCircle className="h-4 w-4 mr-1" />
+                        Approve
+                    </button>
+                    <button
+                        onClick={() => handleBulkAction('decline')}
+                        disabled={bulkProcessing}
+                        className="flex items-center px-3 py-1.5 bg-red-600 text-white rounded-md text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+                    >
+                        <XCircle className="h-4 w-4 mr-1" />
+                        Decline
+                    </button>
+                    {bulkProcessing && <span className="text-sm text-gray-500">Processing...</span>}
+                </div>
+            )}
+
+            {bulkSummary && (
+                <div className={`px-6 py-2 border-b text-sm flex items-center justify-between ${bulkSummary.success ? 'bg-green-50 border-green-200 text-green-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'}`}>
+                    <span>{bulkSummary.message}</span>
+                    <button
+                        onClick={() => {
+                            setBulkSummary(null);
+                            setBulkResults({});
+                        }}
+                        className="font-bold ml-4"
+                        title="Dismiss"
+                    >
+                        ✕
+                    </button>
+                </div>
+            )}
+
             <div className="overflow-x-auto">
                 <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
                     <thead className="bg-gray-50 dark:bg-gray-700/50">
                         <tr>
-                            {/* Render Checkbox Column if needed (custom logic for now) */}
-                            {config.id === 'vehicle' && user?.department?.name?.toUpperCase()?.includes('ODHC') && (
+                            {/* Checkbox column: trip tickets (ODHC vehicle) and bulk approve/decline */}
+                            {showSelection && (
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-4">
                                     <div className="flex items-center">
                                         <input
@@ -413,7 +542,7 @@ const ModuleTable = ({
                     <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
                         {data.length === 0 ? (
                             <tr>
-                                <td colSpan={visibleColumns.length + 1} className="px-6 py-12 text-center text-gray-500">
+                                <td colSpan={visibleColumns.length + (showSelection ? 1 : 0)} className="px-6 py-12 text-center text-gray-500">
                                     <config.icon className="h-12 w-12 mx-auto text-gray-300 mb-4" />
                                     <p>No {config.label.toLowerCase()} found</p>
                                     {user.role === 'requestor' && (
@@ -431,41 +560,58 @@ const ModuleTable = ({
                                 const requestId = request.id || request.request_id;
                                 const isVerifier = request.verifier_id === user.id && request.verification_status === 'pending';
                                 const rowClass = `hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors duration-150 ${isVerifier ? 'bg-purple-50 dark:bg-purple-900/20' : ''}`;
+                                const bulkResult = bulkResults[requestId];
 
                                 return (
-                                    <tr key={requestId} className={rowClass}>
-                                        {/* Checkbox Cell */}
-                                        {config.id === 'vehicle' && user?.department?.name?.toUpperCase()?.includes('ODHC') && (
-                                            <td className="px-6 py-4 whitespace-nowrap">
-                                                <input
-                                                    type="checkbox"
-                                                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                                                    checked={selectedIds.has(requestId)}
-                                                    onChange={() => onToggleSelection(requestId)}
-                                                />
-                                            </td>
-                                        )}
-
-                                        {visibleColumns.map((col) => {
-                                            const CellComponent = getCellComponent(col.component);
-                                            if (!CellComponent) return <td key={col.id} className="px-6 py-4">?</td>;
-
-                                            return (
-                                                <td key={col.id} className="px-2 py-2">
-                                                    <CellComponent
-                                                        request={request}
-                                                        user={user}
-                                                        config={config} // Pass config to cells if needed
-                                                        navigate={navigate}
-                                                        onDelete={onDelete}
-                                                        type={config.id} // 'item' or 'vehicle'
-                                                        field={col.field}
-                                                        isPendingApproval={isPendingMyApproval(request)}
-                                                    />
+                                    <React.Fragment key={requestId}>
+                                        <tr className={rowClass}>
+                                            {/* Checkbox Cell */}
+                                            {showSelection && (
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <div className="flex items-center gap-2">
+                                                        <input
+                                                            type="checkbox"
+                                                            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                                                            checked={selectedIds.has(requestId)}
+                                                            onChange={() => onToggleSelection(requestId)}
+                                                        />
+                                                        {bulkResult && (bulkResult.success ? (
+                                                            <CheckCircle className="h-4 w-4 text-green-600" title={bulkResult.message || 'Done'} />
+                                                        ) : (
+                                                            <AlertCircle className="h-4 w-4 text-red-600" title={bulkResult.message || 'Failed'} />
+                                                        ))}
+                                                    </div>
+                                                </td>
+                                            )}
+
+                                            {visibleColumns.map((col) => {
+                                                const CellComponent = getCellComponent(col.component);
+                                                if (!CellComponent) return <td key={col.id} className="px-6 py-4">?</td>;
+
+                                                return (
+                                                    <td key={col.id} className="px-2 py-2">
+                                                        <CellComponent
+                                                            request={request}
+                                                            user={user}
+                                                            config={config} // Pass config to cells if needed
+                                                            navigate={navigate}
+                                                            onDelete={onDelete}
+                                                            type={config.id} // 'item' or 'vehicle'
+                                                            field={col.field}
+                                                            isPendingApproval={isPendingMyApproval(request)}
+                                                        />
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                        {bulkResult && !bulkResult.success && (
+                                            <tr className="bg-red-50 dark:bg-red-900/20">
+                                                <td colSpan={visibleColumns.length + 1} className="px-6 py-1.5 text-xs text-red-700 dark:text-red-300">
+                                                    Not processed: {bulkResult.message || 'Unknown error'}
                                                 </td>
-                                            );
-                                        })}
-                                    </tr>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
                                 );
                             })
                         )}
@@ -535,6 +681,17 @@ const ModuleTable = ({
                     </div>
                 </div>
             )}
+
+            <SignatureModal
+                isOpen={showBulkSignatureModal}
+                onClose={() => setShowBulkSignatureModal(false)}
+                value={tempBulkSignature}
+                onChange={(signature) => setTempBulkSignature(signature)}
+                approverName={user?.fullName || ''}
+                approverTitle={user?.title || ''}
+                label="Approver E-Signature"
+                onSave={() => setBulkSignature(tempBulkSignature)}
+            />
         </div>
     );
 };
@@ -0,0 +1,199 @@
+import React, { useState, useContext } from 'react';
+import { X, Save, Tag } from 'lucide-react';
+import { assetsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const STATUS_OPTIONS = [
+    { value: 'in_stock', label: 'In Stock' },
+    { value: 'deployed', label: 'Deployed' },
+    { value: 'pending_return', label: 'Pending Return' },
+    { value: 'in_repair', label: 'In Repair' },
+    { value: 'retired', label: 'Retired' }
+];
+
+const toDateInput = (value) => (value ? String(value).slice(0, 10) : '');
+
+const initialForm = (asset) => ({
+    asset_tag: '',
+    serial_number: asset?.serial_number || '',
+    model: asset?.model || '',
+    category_id: asset?.category_id || '',
+    custodian_name: asset?.custodian_name || '',
+    department_id: asset?.department_id || '',
+    location: asset?.location || '',
+    deployed_at: toDateInput(asset?.deployed_at),
+    warranty_end: toDateInput(asset?.warranty_end),
+    status: asset?.status || 'in_stock',
+    notes: asset?.notes || ''
+});
+
+// Create or edit one entry of the asset registry. The form is filled from `asset` when it mounts.
+const AssetFormModal = ({ isOpen, asset, categories, departments, onClose, onSaved }) => {
+    const { success, error } = useContext(ToastContext);
+    const [formData, setFormData] = useState(() => initialForm(asset));
+    const [saving, setSaving] = useState(false);
+
+    if (!isOpen) return null;
+
+    const isEdit = Boolean(asset);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const payload = {
+            ...formData,
+            category_id: formData.category_id ? parseInt(formData.category_id, 10) : null,
+            department_id: formData.department_id ? parseInt(formData.department_id, 10) : null
+        };
+        if (isEdit) {
+            delete payload.asset_tag;
+            // A renamed custodian is no longer the linked user account
+            if (formData.custodian_name.trim() !== (asset.custodian_name || '')) {
+                payload.custodian_id = null;
+            }
+        }
+
+        try {
+            setSaving(true);
+            const response = isEdit
+                ? await assetsAPI.update(asset.id, payload)
+                : await assetsAPI.create(payload);
+            success(response.data.message);
+            onSaved(response.data.asset);
+        } catch (err) {
+            console.error('Error saving asset:', err);
+            error(err.response?.data?.message || 'Failed to save asset');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm border px-3 py-2';
+    const labelClass = 'block text-sm font-medium text-gray-700';
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+                    <form onSubmit={handleSubmit}>
+                        <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                            <div className="flex justify-between items-start mb-4">
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+                                    <Tag className="h-5 w-5 mr-2 text-blue-600" />
+                                    {isEdit ? `Edit Asset ${asset.asset_tag}` : 'Register Asset'}
+                                </h3>
+                                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                    <X className="h-6 w-6" />
+                                </button>
+                            </div>
+
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                {!isEdit && (
+                                    <div className="sm:col-span-2">
+                                        <label className={labelClass}>Asset Tag</label>
+                                        <input
+                                            type="text"
+                                            name="asset_tag"
+                                            value={formData.asset_tag}
+                                            onChange={handleChange}
+                                            maxLength={30}
+                                            placeholder="Leave blank to generate one"
+                                            className={inputClass}
+                                        />
+                                    </div>
+                                )}
+                                <div>
+                                    <label className={labelClass}>Serial Number</label>
+                                    <input type="text" name="serial_number" value={formData.serial_number} onChange={handleChange} maxLength={100} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Model</label>
+                                    <input type="text" name="model" value={formData.model} onChange={handleChange} maxLength={255} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Category</label>
+                                    <select name="category_id" value={formData.category_id} onChange={handleChange} className={inputClass}>
+                                        <option value="">Uncategorized</option>
+                                        {categories.map(category => (
+                                            <option key={category.id} value={category.id}>{category.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Status</label>
+                                    <select name="status" value={formData.status} onChange={handleChange} className={inputClass}>
+                                        {STATUS_OPTIONS.map(option => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Custodian</label>
+                                    <input type="text" name="custodian_name" value={formData.custodian_name} onChange={handleChange} maxLength={255} className={inputClass} />
+                                    {isEdit && asset.Custodian && (
+                                        <p className="mt-1 text-xs text-gray-500">
+                                            Linked account: {asset.Custodian.first_name} {asset.Custodian.last_name}
+                                        </p>
+                                    )}
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Department</label>
+                                    <select name="department_id" value={formData.department_id} onChange={handleChange} className={inputClass}>
+                                        <option value="">None</option>
+                                        {departments.map(department => (
+                                            <option key={department.id} value={department.id}>{department.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="sm:col-span-2">
+                                    <label className={labelClass}>Location</label>
+                                    <input type="text" name="location" value={formData.location} onChange={handleChange} maxLength={255} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Deployment Date</label>
+                                    <input type="date" name="deployed_at" value={formData.deployed_at} onChange={handleChange} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Warranty End</label>
+                                    <input type="date" name="warranty_end" value={formData.warranty_end} onChange={handleChange} className={inputClass} />
+                                </div>
+                                <div className="sm:col-span-2">
+                                    <label className={labelClass}>Notes</label>
+                                    <textarea name="notes" value={formData.notes} onChange={handleChange} rows={3} maxLength={2000} className={inputClass} />
+                                </div>
+                            </div>
+                        </div>
+                        <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end space-x-3">
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={saving}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                <Save className="h-4 w-4 mr-2" />
+                                {saving ? 'Saving...' : 'Save'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AssetFormModal;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { X, History, RefreshCw } from 'lucide-react';
+import { assetsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const MOVEMENT_LABELS = {
+    registered: { label: 'Registered', className: 'bg-gray-100 text-gray-800' },
+    deployed: { label: 'Deployed', className: 'bg-blue-100 text-blue-800' },
+    transferred: { label: 'Transferred', className: 'bg-purple-100 text-purple-800' },
+    reassigned: { label: 'Reassigned', className: 'bg-indigo-100 text-indigo-800' },
+    loaned: { label: 'Lent', className: 'bg-amber-100 text-amber-800' },
+    loan_returned: { label: 'Loan Returned', className: 'bg-green-100 text-green-800' },
+    returned: { label: 'Returned', className: 'bg-green-100 text-green-800' },
+    status_changed: { label: 'Status Changed', className: 'bg-yellow-100 text-yellow-800' }
+};
+
+const CONDITION_LABELS = {
+    good: 'Good',
+    fair: 'Fair',
+    damaged: 'Damaged',
+    not_working: 'Not working'
+};
+
+const formatStatus = (value) => (value ? value.replace('_', ' ') : null);
+
+// Where a movement took the asset from and to, e.g. "Jane Doe (IT) → John Roe (Finance)"
+const describeParty = (name, department) => {
+    if (!name && !department) return 'Nobody';
+    return department ? `${name || 'Unassigned'} (${department.name})` : name;
+};
+
+// Every recorded movement of one asset, newest first
+const AssetHistoryModal = ({ asset, onClose }) => {
+    const { error } = useContext(ToastContext);
+    const [movements, setMovements] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        assetsAPI.getHistory(asset.id)
+            .then(response => setMovements(response.data.movements))
+            .catch(err => {
+                console.error('Error loading asset history:', err);
+                error('Failed to load asset history');
+            })
+            .finally(() => setLoading(false));
+    }, [asset.id, error]);
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-3xl sm:w-full">
+                    <div className="bg-white px-4 pt-5 pb-4 sm:p-6">
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+                                    <History className="h-5 w-5 mr-2 text-blue-600" />
+                                    History of {asset.asset_tag}
+                                </h3>
+                                <p className="text-sm text-gray-500 mt-1">{asset.model}{asset.serial_number ? ` | S/N ${asset.serial_number}` : ''}</p>
+                            </div>
+                            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                <X className="h-6 w-6" />
+                            </button>
+                        </div>
+
+                        {loading ? (
+                            <div className="p-8 text-center text-gray-500">
+                                <RefreshCw className="h-6 w-6 mx-auto mb-3 animate-spin text-blue-500" />
+                                Loading history...
+                            </div>
+                        ) : movements.length === 0 ? (
+                            <div className="p-8 text-center text-gray-500">No movements recorded yet.</div>
+                        ) : (
+                            <ol className="relative border-l border-gray-200 ml-2 max-h-[60vh] overflow-y-auto">
+                                {movements.map(movement => {
+                                    const type = MOVEMENT_LABELS[movement.movement_type] || MOVEMENT_LABELS.registered;
+                                    const statusChanged = movement.from_status && movement.from_status !== movement.to_status;
+
+                                    return (
+                                        <li key={movement.id} className="mb-5 ml-4">
+                                            <div className="absolute w-3 h-3 bg-blue-200 rounded-full -left-1.5 mt-1.5 border border-white"></div>
+                                            <div className="flex flex-wrap items-center gap-2">
+                                                <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${type.className}`}>
+                                                    {type.label}
+                                                </span>
+                                                <time className="text-xs text-gray-500">{new Date(movement.created_at).toLocaleString()}</time>
+                                                {movement.PerformedBy && (
+                                                    <span className="text-xs text-gray-500">
+                                                        by {movement.PerformedBy.first_name} {movement.PerformedBy.last_name}
+                                                    </span>
+                                                )}
+                                            </div>
+                                            <p className="text-sm text-gray-900 mt-1">
+                                                {describeParty(movement.from_custodian_name, movement.FromDepartment)}
+                                                {' → '}
+                                                {describeParty(movement.to_custodian_name, movement.ToDepartment)}
+                                            </p>
+                                            {statusChanged && (
+                                                <p className="text-xs text-gray-500 capitalize">
+                                                    {formatStatus(movement.from_status)} → {formatStatus(movement.to_status)}
+                                                </p>
+                                            )}
+                                            {movement.condition && (
+                                                <p className="text-xs text-gray-700 mt-1">
+                                                    Condition on return: <span className="font-medium">{CONDITION_LABELS[movement.condition]}</span>
+                                                </p>
+                                            )}
+                                            {movement.notes && <p className="text-xs text-gray-500 mt-1 whitespace-pre-line">{movement.notes}</p>}
+                                            {movement.Request && (
+                                                <p className="text-xs text-gray-400 mt-1">Request {movement.Request.request_number}</p>
+                                            )}
+                                        </li>
+                                    );
+                                })}
+                            </ol>
+                        )}
+                    </div>
+                    <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AssetHistoryModal;
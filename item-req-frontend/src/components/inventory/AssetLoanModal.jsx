@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { X, CalendarClock } from 'lucide-react';
+import { assetLoansAPI, usersAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const todayInput = () => new Date().toISOString().slice(0, 10);
+
+// Lend an in-stock asset until a due date; the borrower holds it until it is returned
+const AssetLoanModal = ({ asset, departments, onClose, onLent }) => {
+    const { success, error } = useContext(ToastContext);
+    const [departmentUsers, setDepartmentUsers] = useState([]);
+    const [formData, setFormData] = useState({
+        department_id: '',
+        borrower_id: '',
+        borrower_name: '',
+        due_date: '',
+        purpose: ''
+    });
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        setDepartmentUsers([]);
+        if (!formData.department_id) return;
+
+        usersAPI.getByDepartment(formData.department_id)
+            .then(response => setDepartmentUsers(response.data.users || []))
+            .catch(() => setDepartmentUsers([]));
+    }, [formData.department_id]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value,
+            ...(name === 'department_id' && { borrower_id: '' })
+        }));
+    };
+
+    const handleBorrowerSelect = (e) => {
+        const selected = departmentUsers.find(candidate => String(candidate.id) === e.target.value);
+        setFormData(prev => ({
+            ...prev,
+            borrower_id: e.target.value,
+            borrower_name: selected ? selected.fullName || `${selected.firstName} ${selected.lastName}` : prev.borrower_name
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            const response = await assetLoansAPI.create({
+                asset_id: asset.id,
+                borrower_id: formData.borrower_id ? parseInt(formData.borrower_id, 10) : null,
+                borrower_name: formData.borrower_name.trim() || null,
+                department_id: formData.department_id ? parseInt(formData.department_id, 10) : null,
+                due_date: formData.due_date,
+                purpose: formData.purpose.trim() || null
+            });
+            success(response.data.message);
+            onLent(response.data.loan);
+        } catch (err) {
+            console.error('Error lending asset:', err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to lend asset');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm border px-3 py-2';
+    const labelClass = 'block text-sm font-medium text-gray-700';
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+                    <form onSubmit={handleSubmit}>
+                        <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                            <div className="flex justify-between items-start mb-4">
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+                                    <CalendarClock className="h-5 w-5 mr-2 text-amber-600" />
+                                    Lend {asset.asset_tag}
+                                </h3>
+                                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                    <X className="h-6 w-6" />
+                                </button>
+                            </div>
+
+                            <div className="space-y-4">
+                                <div>
+                                    <label className={labelClass}>Department</label>
+                                    <select name="department_id" value={formData.department_id} onChange={handleChange} className={inputClass}>
+                                        <option value="">None</option>
+                                        {departments.map(department => (
+                                            <option key={department.id} value={department.id}>{department.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {departmentUsers.length > 0 && (
+                                    <div>
+                                        <label className={labelClass}>Borrower Account</label>
+                                        <select value={formData.borrower_id} onChange={handleBorrowerSelect} className={inputClass}>
+                                            <option value="">Not a user account</option>
+                                            {departmentUsers.map(candidate => (
+                                                <option key={candidate.id} value={candidate.id}>
+                                                    {candidate.fullName || `${candidate.firstName} ${candidate.lastName}`}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                                <div>
+                                    <label className={labelClass}>Borrower Name *</label>
+                                    <input
+                                        type="text"
+                                        value={formData.borrower_name}
+                                        onChange={(e) => setFormData(prev => ({ ...prev, borrower_name: e.target.value, borrower_id: '' }))}
+                                        required
+                                        maxLength={255}
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Due Back *</label>
+                                    <input type="date" name="due_date" value={formData.due_date} onChange={handleChange} min={todayInput()} required className={inputClass} />
+                                    <p className="mt-1 text-xs text-gray-500">The borrower is reminded daily once the loan is overdue.</p>
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Purpose</label>
+                                    <textarea name="purpose" value={formData.purpose} onChange={handleChange} rows={2} maxLength={2000} className={inputClass} />
+                                </div>
+                            </div>
+                        </div>
+                        <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end space-x-3">
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={saving}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-amber-600 hover:bg-amber-700 disabled:opacity-50"
+                            >
+                                {saving ? 'Saving...' : 'Lend Asset'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AssetLoanModal;
@@ -0,0 +1,112 @@
+import React, { useState, useContext } from 'react';
+import { X, ClipboardCheck } from 'lucide-react';
+import { assetsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const CONDITION_OPTIONS = [
+    { value: 'good', label: 'Good', hint: 'Back to stock' },
+    { value: 'fair', label: 'Fair', hint: 'Back to stock, shows wear' },
+    { value: 'damaged', label: 'Damaged', hint: 'Sent for repair' },
+    { value: 'not_working', label: 'Not Working', hint: 'Sent for repair' }
+];
+
+// Take back a deployed or loaned asset, recording the condition it came back in
+const AssetReturnModal = ({ asset, onClose, onReturned }) => {
+    const { success, error } = useContext(ToastContext);
+    const [condition, setCondition] = useState('good');
+    const [notes, setNotes] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const isLoan = asset.Loans?.length > 0;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            const response = await assetsAPI.returnAsset(asset.id, { condition, notes: notes.trim() || null });
+            success(response.data.message);
+            onReturned(response.data.asset);
+        } catch (err) {
+            console.error('Error returning asset:', err);
+            error(err.response?.data?.message || 'Failed to return asset');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+                    <form onSubmit={handleSubmit}>
+                        <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                            <div className="flex justify-between items-start mb-4">
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+                                    <ClipboardCheck className="h-5 w-5 mr-2 text-green-600" />
+                                    Return {asset.asset_tag}
+                                </h3>
+                                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                    <X className="h-6 w-6" />
+                                </button>
+                            </div>
+
+                            <p className="text-sm text-gray-500 mb-4">
+                                {isLoan
+                                    ? `Closes the loan to ${asset.custodian_name}.`
+                                    : `Takes the asset back from ${asset.custodian_name || 'its custodian'}.`}
+                                {' '}Inspect it and record the condition it came back in.
+                            </p>
+
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Condition</label>
+                            <div className="grid grid-cols-2 gap-2 mb-4">
+                                {CONDITION_OPTIONS.map(option => (
+                                    <button
+                                        key={option.value}
+                                        type="button"
+                                        onClick={() => setCondition(option.value)}
+                                        className={`text-left rounded-lg border px-3 py-2 transition-colors ${condition === option.value ? 'border-blue-500 ring-2 ring-blue-200 bg-blue-50' : 'border-gray-200 hover:border-gray-300'}`}
+                                    >
+                                        <div className="text-sm font-medium text-gray-900">{option.label}</div>
+                                        <div className="text-xs text-gray-500">{option.hint}</div>
+                                    </button>
+                                ))}
+                            </div>
+
+                            <label className="block text-sm font-medium text-gray-700">Inspection Notes</label>
+                            <textarea
+                                value={notes}
+                                onChange={(e) => setNotes(e.target.value)}
+                                rows={3}
+                                maxLength={2000}
+                                placeholder="Missing accessories, visible damage, faults found..."
+                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm border px-3 py-2"
+                            />
+                        </div>
+                        <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end space-x-3">
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={saving}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                            >
+                                {saving ? 'Saving...' : 'Record Return'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AssetReturnModal;
@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { X, ArrowRightLeft } from 'lucide-react';
+import { assetTransfersAPI, departmentsAPI, usersAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+// Ask to hand a deployed asset to another custodian and/or department.
+// Both departments' approvers have to approve before the asset moves.
+const AssetTransferModal = ({ asset, onClose, onRequested }) => {
+    const { success, error } = useContext(ToastContext);
+    const [departments, setDepartments] = useState([]);
+    const [departmentUsers, setDepartmentUsers] = useState([]);
+    const [formData, setFormData] = useState({
+        to_department_id: '',
+        to_custodian_id: '',
+        to_custodian_name: '',
+        to_location: '',
+        reason: ''
+    });
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        departmentsAPI.getAll()
+            .then(response => setDepartments(response.data.departments || response.data))
+            .catch(err => console.error('Error loading departments:', err));
+    }, []);
+
+    // Not everyone may list another department's users; the name can always be typed instead
+    useEffect(() => {
+        setDepartmentUsers([]);
+        if (!formData.to_department_id) return;
+
+        usersAPI.getByDepartment(formData.to_department_id)
+            .then(response => setDepartmentUsers(response.data.users || []))
+            .catch(() => setDepartmentUsers([]));
+    }, [formData.to_department_id]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value,
+            ...(name === 'to_department_id' && { to_custodian_id: '' })
+        }));
+    };
+
+    const handleCustodianSelect = (e) => {
+        const selected = departmentUsers.find(candidate => String(candidate.id) === e.target.value);
+        setFormData(prev => ({
+            ...prev,
+            to_custodian_id: e.target.value,
+            to_custodian_name: selected ? selected.fullName || `${selected.firstName} ${selected.lastName}` : prev.to_custodian_name
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            const response = await assetTransfersAPI.create({
+                asset_id: asset.id,
+                to_department_id: parseInt(formData.to_department_id, 10),
+                to_custodian_id: formData.to_custodian_id ? parseInt(formData.to_custodian_id, 10) : null,
+                to_custodian_name: formData.to_custodian_name.trim() || null,
+                to_location: formData.to_location.trim() || null,
+                reason: formData.reason.trim()
+            });
+            success(response.data.message);
+            onRequested(response.data.transfer);
+        } catch (err) {
+            console.error('Error requesting transfer:', err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to request transfer');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm border px-3 py-2';
+    const labelClass = 'block text-sm font-medium text-gray-700';
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+                    <form onSubmit={handleSubmit}>
+                        <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                            <div className="flex justify-between items-start mb-4">
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+                                    <ArrowRightLeft className="h-5 w-5 mr-2 text-purple-600" />
+                                    Transfer {asset.asset_tag}
+                                </h3>
+                                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                    <X className="h-6 w-6" />
+                                </button>
+                            </div>
+
+                            <p className="text-sm text-gray-500 mb-4">
+                                Currently with <span className="font-medium text-gray-700">{asset.custodian_name || 'nobody'}</span>
+                                {asset.Department ? ` (${asset.Department.name})` : ''}. The approvers of both departments
+                                must approve before the asset changes hands.
+                            </p>
+
+                            <div className="space-y-4">
+                                <div>
+                                    <label className={labelClass}>Receiving Department *</label>
+                                    <select name="to_department_id" value={formData.to_department_id} onChange={handleChange} required className={inputClass}>
+                                        <option value="">Select a department</option>
+                                        {departments.map(department => (
+                                            <option key={department.id} value={department.id}>{department.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {departmentUsers.length > 0 && (
+                                    <div>
+                                        <label className={labelClass}>New Custodian</label>
+                                        <select value={formData.to_custodian_id} onChange={handleCustodianSelect} className={inputClass}>
+                                            <option value="">Not a user account</option>
+                                            {departmentUsers.map(candidate => (
+                                                <option key={candidate.id} value={candidate.id}>
+                                                    {candidate.fullName || `${candidate.firstName} ${candidate.lastName}`}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                                <div>
+                                    <label className={labelClass}>Custodian Name *</label>
+                                    <input
+                                        type="text"
+                                        name="to_custodian_name"
+                                        value={formData.to_custodian_name}
+                                        onChange={(e) => setFormData(prev => ({ ...prev, to_custodian_name: e.target.value, to_custodian_id: '' }))}
+                                        required
+                                        maxLength={255}
+                                        className={inputClass}
+                                    />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>New Location</label>
+                                    <input type="text" name="to_location" value={formData.to_location} onChange={handleChange} maxLength={255} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Reason *</label>
+                                    <textarea name="reason" value={formData.reason} onChange={handleChange} required rows={3} maxLength={2000} className={inputClass} />
+                                </div>
+                            </div>
+                        </div>
+                        <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end space-x-3">
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={saving}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-purple-600 hover:bg-purple-700 disabled:opacity-50"
+                            >
+                                {saving ? 'Submitting...' : 'Request Transfer'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AssetTransferModal;
@@ -0,0 +1,162 @@
+import React, { useState, useContext } from 'react';
+import { ArrowRight, Check, X, Ban } from 'lucide-react';
+import { assetTransfersAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const TRANSFER_STATUS_STYLES = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-green-100 text-green-800',
+    declined: 'bg-red-100 text-red-800',
+    cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const DECISION_STYLES = {
+    pending: 'text-yellow-700',
+    approved: 'text-green-700',
+    declined: 'text-red-700'
+};
+
+const personName = (person) => (person ? `${person.first_name} ${person.last_name}` : null);
+
+// Asset transfers with the approve/decline/cancel actions the viewer may take
+const AssetTransfersList = ({ transfers, onChanged, emptyText = 'No transfers.' }) => {
+    const { user } = useAuth();
+    const { success, error } = useContext(ToastContext);
+    const [busyId, setBusyId] = useState(null);
+    const [decliningId, setDecliningId] = useState(null);
+    const [comments, setComments] = useState('');
+
+    const canManage = ['service_desk', 'super_administrator'].includes(user?.role);
+
+    const runAction = async (transfer, action) => {
+        try {
+            setBusyId(transfer.id);
+            const response = action === 'approve'
+                ? await assetTransfersAPI.approve(transfer.id, { comments: comments.trim() || null })
+                : action === 'decline'
+                    ? await assetTransfersAPI.decline(transfer.id, { comments: comments.trim() })
+                    : await assetTransfersAPI.cancel(transfer.id);
+            success(response.data.message);
+            setDecliningId(null);
+            setComments('');
+            onChanged();
+        } catch (err) {
+            console.error(`Error (${action}) on transfer:`, err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || `Failed to ${action} transfer`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    if (transfers.length === 0) {
+        return <div className="p-8 text-center text-sm text-gray-500">{emptyText}</div>;
+    }
+
+    return (
+        <ul className="divide-y divide-gray-200">
+            {transfers.map(transfer => {
+                const canCancel = transfer.status === 'pending' && (canManage || transfer.requested_by === user?.id);
+                const isDeclining = decliningId === transfer.id;
+
+                return (
+                    <li key={transfer.id} className="p-4">
+                        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+                            <div className="min-w-0">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-sm font-medium text-gray-900">{transfer.Asset?.asset_tag}</span>
+                                    <span className="text-sm text-gray-500 truncate">{transfer.Asset?.model}</span>
+                                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium capitalize ${TRANSFER_STATUS_STYLES[transfer.status]}`}>
+                                        {transfer.status}
+                                    </span>
+                                </div>
+                                <div className="flex items-center text-sm text-gray-700 mt-1">
+                                    <span>{transfer.from_custodian_name || 'Unassigned'}{transfer.FromDepartment ? ` (${transfer.FromDepartment.name})` : ''}</span>
+                                    <ArrowRight className="h-4 w-4 mx-2 text-gray-400 flex-shrink-0" />
+                                    <span>{transfer.to_custodian_name} ({transfer.ToDepartment?.name})</span>
+                                </div>
+                                <p className="text-xs text-gray-500 mt-1">{transfer.reason}</p>
+                                <div className="flex flex-wrap gap-x-4 text-xs mt-1">
+                                    <span className={DECISION_STYLES[transfer.from_decision]}>
+                                        Releasing dept: {transfer.from_decision}{transfer.FromDecidedBy ? ` by ${personName(transfer.FromDecidedBy)}` : ''}
+                                    </span>
+                                    <span className={DECISION_STYLES[transfer.to_decision]}>
+                                        Receiving dept: {transfer.to_decision}{transfer.ToDecidedBy ? ` by ${personName(transfer.ToDecidedBy)}` : ''}
+                                    </span>
+                                    <span className="text-gray-400">
+                                        Requested {new Date(transfer.created_at).toLocaleDateString()}
+                                        {transfer.RequestedBy ? ` by ${personName(transfer.RequestedBy)}` : ''}
+                                    </span>
+                                </div>
+                                {transfer.decision_comments && (
+                                    <p className="text-xs text-gray-600 mt-1 italic whitespace-pre-line">{transfer.decision_comments}</p>
+                                )}
+                            </div>
+
+                            {(transfer.can_decide || canCancel) && !isDeclining && (
+                                <div className="flex items-center gap-2 flex-shrink-0">
+                                    {transfer.can_decide && (
+                                        <>
+                                            <button
+                                                onClick={() => runAction(transfer, 'approve')}
+                                                disabled={busyId === transfer.id}
+                                                className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                                            >
+                                                <Check className="h-3 w-3 mr-1" /> Approve
+                                            </button>
+                                            <button
+                                                onClick={() => { setDecliningId(transfer.id); setComments(''); }}
+                                                disabled={busyId === transfer.id}
+                                                className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                                            >
+                                                <X className="h-3 w-3 mr-1" /> Decline
+                                            </button>
+                                        </>
+                                    )}
+                                    {canCancel && (
+                                        <button
+                                            onClick={() => runAction(transfer, 'cancel')}
+                                            disabled={busyId === transfer.id}
+                                            className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                        >
+                                            <Ban className="h-3 w-3 mr-1" /> Cancel
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+
+                        {isDeclining && (
+                            <div className="mt-3 flex flex-col md:flex-row gap-2">
+                                <input
+                                    type="text"
+                                    value={comments}
+                                    onChange={(e) => setComments(e.target.value)}
+                                    placeholder="Reason for declining"
+                                    maxLength={2000}
+                                    className="flex-1 rounded-md border border-gray-300 px-3 py-1.5 text-sm focus:border-blue-500 focus:ring-blue-500"
+                                    autoFocus
+                                />
+                                <button
+                                    onClick={() => runAction(transfer, 'decline')}
+                                    disabled={!comments.trim() || busyId === transfer.id}
+                                    className="px-3 py-1.5 text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                                >
+                                    Confirm Decline
+                                </button>
+                                <button
+                                    onClick={() => setDecliningId(null)}
+                                    className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+                                >
+                                    Back
+                                </button>
+                            </div>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default AssetTransfersList;
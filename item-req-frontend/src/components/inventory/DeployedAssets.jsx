@@ -1,160 +1,195 @@
-import React, { useState, useEffect, useContext } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Package, Search, ArrowLeft, RefreshCw, CheckCircle, RotateCcw, Trash2 } from 'lucide-react';
-import { requestsAPI } from '../../services/api';
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { Package, Search, ArrowLeft, RefreshCw, ClipboardCheck, Edit2, Plus, ChevronLeft, ChevronRight, History, ArrowRightLeft, CalendarClock } from 'lucide-react';
+import { assetsAPI, assetLoansAPI, assetTransfersAPI, categoriesAPI, departmentsAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 import { ToastContext } from '../../contexts/ToastContext';
-import ConfirmDialog from '../common/ConfirmDialog';
+import AssetFormModal from './AssetFormModal';
+import AssetHistoryModal from './AssetHistoryModal';
+import AssetTransferModal from './AssetTransferModal';
+import AssetLoanModal from './AssetLoanModal';
+import AssetReturnModal from './AssetReturnModal';
+import AssetTransfersList from './AssetTransfersList';
+
+const STATUS_STYLES = {
+    in_stock: { label: 'In Stock', className: 'bg-green-100 text-green-800' },
+    deployed: { label: 'Deployed', className: 'bg-blue-100 text-blue-800' },
+    pending_return: { label: 'Pending Return', className: 'bg-orange-100 text-orange-800' },
+    in_repair: { label: 'In Repair', className: 'bg-yellow-100 text-yellow-800' },
+    retired: { label: 'Retired', className: 'bg-gray-100 text-gray-800' }
+};
+
+const PAGE_SIZE = 20;
+
+const TABS = [
+    { id: 'assets', label: 'Assets' },
+    { id: 'returns', label: 'Return Tasks' },
+    { id: 'loans', label: 'Loans' },
+    { id: 'transfers', label: 'Transfers' }
+];
 
 export default function DeployedAssets() {
     const navigate = useNavigate();
     const { user } = useAuth();
-    const { success, error } = useContext(ToastContext);
+    const { error } = useContext(ToastContext);
+
+    const canEdit = ['service_desk', 'super_administrator'].includes(user?.role);
 
     const [loading, setLoading] = useState(true);
-    const [deployedItems, setDeployedItems] = useState([]);
-    const [searchTerm, setSearchTerm] = useState('');
     const [refreshing, setRefreshing] = useState(false);
-    const [confirmDialogState, setConfirmDialogState] = useState({
-        isOpen: false,
-        title: "",
-        message: "",
-        onConfirm: () => { },
-        variant: "warning",
-        confirmText: "Confirm"
+    const [assets, setAssets] = useState([]);
+    const [summary, setSummary] = useState(null);
+    const [categories, setCategories] = useState([]);
+    const [departments, setDepartments] = useState([]);
+    const [searchInput, setSearchInput] = useState('');
+    const [filters, setFilters] = useState({
+        search: '',
+        status: '',
+        category_id: '',
+        department_id: '',
+        page: 1
     });
+    const [pagination, setPagination] = useState({ total: 0, pages: 0, page: 1 });
+    const [editingAsset, setEditingAsset] = useState(null);
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [activeTab, setActiveTab] = useState('assets');
+    const [returnTasks, setReturnTasks] = useState([]);
+    const [loans, setLoans] = useState([]);
+    const [loanFilter, setLoanFilter] = useState('active');
+    const [transfers, setTransfers] = useState([]);
+    const [transferStatus, setTransferStatus] = useState('pending');
+    // The asset an action modal is open for: { type: 'history' | 'transfer' | 'loan' | 'return', asset }
+    const [assetAction, setAssetAction] = useState(null);
 
     useEffect(() => {
-        // Only Service Desk and Admin should access this
+        // Only Service Desk, IT Managers and Admins should access this
         if (user && !['service_desk', 'super_administrator', 'it_manager'].includes(user.role)) {
             navigate('/dashboard');
-            return;
         }
-        loadData();
-    }, [user]);
+    }, [user, navigate]);
 
-    const loadData = async () => {
+    useEffect(() => {
+        Promise.all([categoriesAPI.getAll(), departmentsAPI.getAll()])
+            .then(([categoriesResponse, departmentsResponse]) => {
+                setCategories(categoriesResponse.data);
+                setDepartments(departmentsResponse.data.departments || departmentsResponse.data);
+            })
+            .catch(err => console.error('Error loading asset filters:', err));
+    }, []);
+
+    const loadData = useCallback(async () => {
         try {
             setLoading(true);
-            // Fetch all completed requests
-            const response = await requestsAPI.getAll({ status: 'completed', limit: 100 });
-
-            // Flatten requests into items list
-            const itemsList = [];
-
-            // Since getAll only returns high-level request data, we might need to fetch details for each if items aren't included
-            // But typically getAll includes Items? Let's check logic.
-            // Based on previous controller code, getAll DOES include RequestItem as 'Items'.
-            // So we can iterate.
-
-            if (response.data && response.data.requests) {
-                // Need to fetch details to get Items if they aren't fully populated in list view,
-                // OR rely on what's there. The dashboard list usually has summary data.
-                // Let's assume we need to fetch individual request details OR rely on the existing Items array in the list response.
-                // Looking at controller: getAllRequests includes Items.
-
-                for (const req of response.data.requests) {
-                    // We need to map the items.
-                    // Note: getAllRequests response maps itemsCount, but maybe not the full items array in the mapped object?
-                    // Let's check controller getAllRequests logic... 
-                    // It maps: itemsCount: request.Items?.length || 0. 
-                    // It DOES NOT return the actual items array in the mapped object.
-                    // So we actually need to fetch the detailed request for each completed request to get the items.
-                    // This could be slow if there are many. 
-                    // Ideally we'd have a specific endpoint /api/assets/deployed but for now let's fetch details.
-
-                    // Optimization: We can just use the raw `requests` array from the `findAndCountAll` if we were in backend.
-                    // But we are in frontend.
-                    // Let's try to fetch details for the top 20 completed requests or similar?
-                    // Or better, let's just make a quick loop.
-                    try {
-                        const detailRes = await requestsAPI.getById(req.id);
-                        const fullReq = detailRes.data.request;
-
-                        if (fullReq && fullReq.items) {
-                            fullReq.items.forEach(item => {
-                                itemsList.push({
-                                    ...item,
-                                    requestId: fullReq.id,
-                                    requestNumber: fullReq.requestNumber,
-                                    requestorName: fullReq.requestor.fullName,
-                                    userName: fullReq.userName,
-                                    userPosition: fullReq.userPosition,
-                                    departmentName: fullReq.department.name,
-                                    deployedDate: fullReq.completedAt,
-                                    isReturned: item.isReturned,
-                                    returnedAt: item.returnedAt
-                                });
-                            });
-                        }
-                    } catch (err) {
-                        console.error(`Failed to fetch details for request ${req.id}`, err);
-                    }
-                }
+            const params = { page: filters.page, limit: PAGE_SIZE };
+            for (const key of ['search', 'status', 'category_id', 'department_id']) {
+                if (filters[key]) params[key] = filters[key];
             }
 
-            setDeployedItems(itemsList);
+            const [assetsResponse, summaryResponse] = await Promise.all([
+                assetsAPI.getAll(params),
+                assetsAPI.getSummary()
+            ]);
+            setAssets(assetsResponse.data.assets);
+            setPagination(assetsResponse.data.pagination);
+            setSummary(summaryResponse.data);
+        } catch (err) {
+            console.error('Error loading assets:', err);
+            error('Failed to load assets');
+        } finally {
+            setLoading(false);
+            setRefreshing(false);
+        }
+    }, [filters, error]);
+
+    const loadReturnTasks = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await assetsAPI.getReturnTasks();
+            setReturnTasks(response.data.tasks);
+        } catch (err) {
+            console.error('Error loading return tasks:', err);
+            error('Failed to load return tasks');
+        } finally {
+            setLoading(false);
+            setRefreshing(false);
+        }
+    }, [error]);
+
+    const loadLoans = useCallback(async () => {
+        try {
+            setLoading(true);
+            const params = loanFilter === 'overdue' ? { overdue: true } : loanFilter ? { status: loanFilter } : {};
+            const response = await assetLoansAPI.getAll(params);
+            setLoans(response.data.loans);
         } catch (err) {
-            console.error('Error loading deployed assets:', err);
-            error('Failed to load deployed assets');
+            console.error('Error loading loans:', err);
+            error('Failed to load loans');
         } finally {
             setLoading(false);
             setRefreshing(false);
         }
+    }, [loanFilter, error]);
+
+    const loadTransfers = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await assetTransfersAPI.getAll(transferStatus ? { status: transferStatus } : {});
+            setTransfers(response.data.transfers);
+        } catch (err) {
+            console.error('Error loading transfers:', err);
+            error('Failed to load transfers');
+        } finally {
+            setLoading(false);
+            setRefreshing(false);
+        }
+    }, [transferStatus, error]);
+
+    const reload = {
+        returns: loadReturnTasks,
+        loans: loadLoans,
+        transfers: loadTransfers
+    }[activeTab] || loadData;
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    const updateFilter = (name, value) => {
+        setFilters(prev => ({ ...prev, [name]: value, page: 1 }));
     };
 
-    const handleRestock = async (requestId, itemId) => {
-        setConfirmDialogState({
-            isOpen: true,
-            title: "Return to Inventory",
-            message: "Are you sure you want to return this item to inventory? This will increase the stock quantity.",
-            variant: "warning",
-            confirmText: "Return Item",
-            onConfirm: async () => {
-                setConfirmDialogState(prev => ({ ...prev, isOpen: false }));
-                try {
-                    setRefreshing(true);
-                    await requestsAPI.restockItem(requestId, itemId);
-                    success('Item returned to inventory successfully');
-                    await loadData();
-                } catch (err) {
-                    console.error('Error restocking item:', err);
-                    error(err.response?.data?.message || 'Failed to restock item');
-                    setRefreshing(false);
-                }
-            }
-        });
+    const handleSearch = (e) => {
+        e.preventDefault();
+        updateFilter('search', searchInput.trim());
     };
 
-    const handleDelete = async (requestId, itemId) => {
-        setConfirmDialogState({
-            isOpen: true,
-            title: "Delete Asset Record",
-            message: "Are you sure you want to delete this deployed asset record? This action cannot be undone.",
-            variant: "danger",
-            confirmText: "Delete",
-            onConfirm: async () => {
-                setConfirmDialogState(prev => ({ ...prev, isOpen: false }));
-                try {
-                    setRefreshing(true);
-                    await requestsAPI.deleteItem(requestId, itemId);
-                    success('Asset record deleted successfully');
-                    await loadData();
-                } catch (err) {
-                    console.error('Error deleting item:', err);
-                    error(err.response?.data?.message || 'Failed to delete item');
-                    setRefreshing(false);
-                }
-            }
+    const openForm = (asset = null) => {
+        setEditingAsset(asset);
+        setIsFormOpen(true);
+    };
+
+    const handleSaved = () => {
+        setIsFormOpen(false);
+        setEditingAsset(null);
+        loadData();
+    };
+
+    const handleActionDone = () => {
+        setAssetAction(null);
+        reload();
+    };
+
+    // Loans list the asset on its own; the return modal needs its borrower and loan
+    const returnLoan = (loan) => {
+        setAssetAction({
+            type: 'return',
+            asset: { ...loan.Asset, custodian_name: loan.borrower_name, Loans: [loan] }
         });
     };
 
-    const filteredItems = deployedItems.filter(item =>
-        item.userName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        item.requestNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        item.category?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        item.itemDescription?.toLowerCase().includes(searchTerm.toLowerCase())
-    );
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+    const isWarrantyExpired = (value) => value && new Date(value) < new Date();
 
     return (
         <div className="min-h-screen bg-gray-50 p-6">
@@ -167,139 +202,451 @@ export default function DeployedAssets() {
                         <div>
                             <h1 className="text-2xl font-bold text-gray-900 flex items-center">
                                 <Package className="h-8 w-8 mr-3 text-blue-600" />
-                                Deployed Assets Tracking
+                                Asset Registry
                             </h1>
                             <p className="text-sm text-gray-500 mt-1">
-                                Track deployed items and manage inventory returns
+                                Every unit of equipment deployed, with its custodian, location and warranty
                             </p>
                         </div>
                     </div>
-                    <button
-                        onClick={() => { setRefreshing(true); loadData(); }}
-                        disabled={refreshing || loading}
-                        className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
-                    >
-                        <RefreshCw className={`h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} />
-                        <span>Refresh</span>
-                    </button>
+                    <div className="flex items-center space-x-3">
+                        {canEdit && (
+                            <button
+                                onClick={() => openForm()}
+                                className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 shadow-sm"
+                            >
+                                <Plus className="h-4 w-4" />
+                                <span>Register Asset</span>
+                            </button>
+                        )}
+                        <button
+                            onClick={() => { setRefreshing(true); reload(); }}
+                            disabled={refreshing || loading}
+                            className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+                        >
+                            <RefreshCw className={`h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} />
+                            <span>Refresh</span>
+                        </button>
+                    </div>
                 </div>
 
-                {/* Search */}
-                <div className="mb-6">
-                    <div className="relative">
-                        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
-                        <input
-                            type="text"
-                            placeholder="Search by User Name, Request #, Item, or Category..."
-                            className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white shadow-sm"
-                            value={searchTerm}
-                            onChange={(e) => setSearchTerm(e.target.value)}
-                        />
-                    </div>
+                {/* Tabs */}
+                <div className="mb-6 border-b border-gray-200 flex space-x-6">
+                    {TABS.map(tab => (
+                        <button
+                            key={tab.id}
+                            onClick={() => setActiveTab(tab.id)}
+                            className={`pb-3 text-sm font-medium border-b-2 -mb-px transition-colors ${activeTab === tab.id ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+                        >
+                            {tab.label}
+                        </button>
+                    ))}
                 </div>
 
-                {/* Table */}
-                <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-                    {loading ? (
-                        <div className="p-12 text-center text-gray-500">
-                            <RefreshCw className="h-8 w-8 mx-auto mb-4 animate-spin text-blue-500" />
-                            Loading assets...
+                {activeTab === 'assets' && (
+                    <>
+                        {/* Status summary */}
+                        {summary && (
+                            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                                {Object.entries(STATUS_STYLES).map(([status, { label }]) => (
+                                    <button
+                                        key={status}
+                                        onClick={() => updateFilter('status', filters.status === status ? '' : status)}
+                                        className={`bg-white rounded-xl shadow-sm border p-4 text-left transition-colors ${filters.status === status ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200 hover:border-gray-300'}`}
+                                    >
+                                        <div className="text-sm text-gray-500">{label}</div>
+                                        <div className="text-2xl font-bold text-gray-900">{summary.byStatus[status] || 0}</div>
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
+                        {/* Search and filters */}
+                        <div className="mb-6 flex flex-col md:flex-row gap-3">
+                            <form onSubmit={handleSearch} className="relative flex-1">
+                                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                                <input
+                                    type="text"
+                                    placeholder="Search by asset tag, serial number, model, custodian, location or request #..."
+                                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white shadow-sm"
+                                    value={searchInput}
+                                    onChange={(e) => setSearchInput(e.target.value)}
+                                />
+                            </form>
+                            <select
+                                value={filters.status}
+                                onChange={(e) => updateFilter('status', e.target.value)}
+                                className="px-3 py-3 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                            >
+                                <option value="">All Statuses</option>
+                                {Object.entries(STATUS_STYLES).map(([value, { label }]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={filters.category_id}
+                                onChange={(e) => updateFilter('category_id', e.target.value)}
+                                className="px-3 py-3 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                            >
+                                <option value="">All Categories</option>
+                                {categories.map(category => (
+                                    <option key={category.id} value={category.id}>{category.name}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={filters.department_id}
+                                onChange={(e) => updateFilter('department_id', e.target.value)}
+                                className="px-3 py-3 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                            >
+                                <option value="">All Departments</option>
+                                {departments.map(department => (
+                                    <option key={department.id} value={department.id}>{department.name}</option>
+                                ))}
+                            </select>
                         </div>
-                    ) : filteredItems.length === 0 ? (
-                        <div className="p-12 text-center text-gray-500">
-                            No deployed assets found.
+
+                        {/* Table */}
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                            {loading && assets.length === 0 ? (
+                                <div className="p-12 text-center text-gray-500">
+                                    <RefreshCw className="h-8 w-8 mx-auto mb-4 animate-spin text-blue-500" />
+                                    Loading assets...
+                                </div>
+                            ) : assets.length === 0 ? (
+                                <div className="p-12 text-center text-gray-500">
+                                    No assets found.
+                                </div>
+                            ) : (
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-gray-200">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset</th>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Custodian</th>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Request</th>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deployed / Warranty</th>
+                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Status / Actions</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white divide-y divide-gray-200">
+                                            {assets.map(asset => {
+                                                const status = STATUS_STYLES[asset.status] || STATUS_STYLES.deployed;
+                                                const loan = asset.Loans?.[0];
+                                                const pendingTransfer = asset.Transfers?.[0];
+
+                                                return (
+                                                    <tr key={asset.id} className="hover:bg-gray-50 transition-colors">
+                                                        <td className="px-6 py-4">
+                                                            <div className="flex items-center">
+                                                                <div className="h-10 w-10 flex-shrink-0 bg-blue-100 rounded-lg flex items-center justify-center text-blue-600 font-bold">
+                                                                    {(asset.Category?.name || asset.model || '?').charAt(0).toUpperCase()}
+                                                                </div>
+                                                                <div className="ml-4">
+                                                                    <div className="text-sm font-medium text-gray-900">{asset.asset_tag}</div>
+                                                                    <div className="text-sm text-gray-500">{asset.model || asset.Category?.name || 'Unknown model'}</div>
+                                                                    <div className="text-xs text-gray-400 mt-1">
+                                                                        {asset.Category?.name || 'Uncategorized'} | {asset.serial_number ? `S/N ${asset.serial_number}` : 'No serial'}
+                                                                    </div>
+                                                                </div>
+                                                            </div>
+                                                        </td>
+                                                        <td className="px-6 py-4">
+                                                            <div className="text-sm font-medium text-gray-900">{asset.custodian_name || '—'}</div>
+                                                            <div className="text-sm text-gray-500">{asset.Department?.name}</div>
+                                                            {asset.location && <div className="text-xs text-gray-400 mt-1">{asset.location}</div>}
+                                                            {loan && (
+                                                                <div className={`text-xs mt-1 ${loan.due_date < new Date().toISOString().slice(0, 10) ? 'text-red-600 font-medium' : 'text-amber-700'}`}>
+                                                                    On loan, due {formatDate(loan.due_date)}
+                                                                </div>
+                                                            )}
+                                                            {pendingTransfer && (
+                                                                <div className="text-xs text-yellow-700 mt-1">Transfer to {pendingTransfer.to_custodian_name} pending</div>
+                                                            )}
+                                                        </td>
+                                                        <td className="px-6 py-4">
+                                                            {asset.Request ? (
+                                                                <Link to={`/requests/${asset.Request.id}`} className="text-sm text-blue-600 font-medium hover:underline">
+                                                                    {asset.Request.request_number}
+                                                                </Link>
+                                                            ) : (
+                                                                <span className="text-sm text-gray-400">Registered manually</span>
+                                                            )}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap">
+                                                            <div className="text-sm text-gray-900">{formatDate(asset.deployed_at)}</div>
+                                                            <div className={`text-xs mt-1 ${isWarrantyExpired(asset.warranty_end) ? 'text-red-600' : 'text-gray-500'}`}>
+                                                                {asset.warranty_end ? `Warranty to ${formatDate(asset.warranty_end)}` : 'No warranty info'}
+                                                            </div>
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                            <div className="flex items-center justify-end space-x-3">
+                                                                <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${status.className}`}>
+                                                                    {status.label}
+                                                                </span>
+                                                                {canEdit && ['deployed', 'pending_return'].includes(asset.status) && (
+                                                                    <button
+                                                                        onClick={() => setAssetAction({ type: 'return', asset })}
+                                                                        className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                                                                    >
+                                                                        <ClipboardCheck className="h-3 w-3 mr-1" />
+                                                                        Return
+                                                                    </button>
+                                                                )}
+                                                                {canEdit && asset.status === 'deployed' && !loan && !pendingTransfer && (
+                                                                    <button
+                                                                        onClick={() => setAssetAction({ type: 'transfer', asset })}
+                                                                        className="p-1.5 text-gray-400 hover:text-purple-600 hover:bg-purple-50 rounded-full transition-colors"
+                                                                        title="Transfer Asset"
+                                                                    >
+                                                                        <ArrowRightLeft className="h-4 w-4" />
+                                                                    </button>
+                                                                )}
+                                                                {canEdit && asset.status === 'in_stock' && (
+                                                                    <button
+                                                                        onClick={() => setAssetAction({ type: 'loan', asset })}
+                                                                        className="p-1.5 text-gray-400 hover:text-amber-600 hover:bg-amber-50 rounded-full transition-colors"
+                                                                        title="Lend Asset"
+                                                                    >
+                                                                        <CalendarClock className="h-4 w-4" />
+                                                                    </button>
+                                                                )}
+                                                                <button
+                                                                    onClick={() => setAssetAction({ type: 'history', asset })}
+                                                                    className="p-1.5 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+                                                                    title="Asset History"
+                                                                >
+                                                                    <History className="h-4 w-4" />
+                                                                </button>
+                                                                {canEdit && (
+                                                                    <button
+                                                                        onClick={() => openForm(asset)}
+                                                                        className="p-1.5 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+                                                                        title="Edit Asset"
+                                                                    >
+                                                                        <Edit2 className="h-4 w-4" />
+                                                                    </button>
+                                                                )}
+                                                            </div>
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+
+                            {/* Pagination */}
+                            {pagination.pages > 1 && (
+                                <div className="bg-white px-4 py-3 border-t border-gray-200 flex items-center justify-between sm:px-6">
+                                    <div className="text-sm text-gray-700">
+                                        Page <span className="font-medium">{pagination.page}</span> of <span className="font-medium">{pagination.pages}</span> ({pagination.total} assets)
+                                    </div>
+                                    <div className="flex space-x-2">
+                                        <button
+                                            onClick={() => setFilters(prev => ({ ...prev, page: Math.max(1, prev.page - 1) }))}
+                                            disabled={pagination.page === 1}
+                                            className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                        >
+                                            <ChevronLeft className="h-4 w-4 mr-1" /> Previous
+                                        </button>
+                                        <button
+                                            onClick={() => setFilters(prev => ({ ...prev, page: Math.min(pagination.pages, prev.page + 1) }))}
+                                            disabled={pagination.page === pagination.pages}
+                                            className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                        >
+                                            Next <ChevronRight className="h-4 w-4 ml-1" />
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
                         </div>
-                    ) : (
-                        <div className="overflow-x-auto">
-                            <table className="min-w-full divide-y divide-gray-200">
-                                <thead className="bg-gray-50">
-                                    <tr>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset Info</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deployed To (User)</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Request Details</th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deployed Date</th>
-                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Status / Actions</th>
-                                    </tr>
-                                </thead>
-                                <tbody className="bg-white divide-y divide-gray-200">
-                                    {filteredItems.map((item, index) => (
-                                        <tr key={`${item.requestId}-${index}`} className="hover:bg-gray-50 transition-colors">
-                                            <td className="px-6 py-4">
-                                                <div className="flex items-center">
-                                                    <div className="h-10 w-10 flex-shrink-0 bg-blue-100 rounded-lg flex items-center justify-center text-blue-600 font-bold">
-                                                        {item.category?.charAt(0).toUpperCase()}
-                                                    </div>
-                                                    <div className="ml-4">
-                                                        <div className="text-sm font-medium text-gray-900">{item.category}</div>
-                                                        <div className="text-sm text-gray-500">{item.itemDescription}</div>
-                                                        <div className="text-xs text-gray-400 mt-1">Qty: {item.quantity} | {item.inventoryNumber || 'No Inv#'}</div>
+                    </>
+                )}
+
+                {activeTab === 'returns' && (
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                        {returnTasks.length === 0 ? (
+                            <div className="p-12 text-center text-gray-500">
+                                {loading ? 'Loading return tasks...' : 'No replaced equipment is waiting to be collected.'}
+                            </div>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset to Collect</th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">From</th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Replaced By</th>
+                                            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {returnTasks.map(task => (
+                                            <tr key={task.id} className="hover:bg-gray-50 transition-colors">
+                                                <td className="px-6 py-4">
+                                                    <div className="text-sm font-medium text-gray-900">{task.Asset?.asset_tag}</div>
+                                                    <div className="text-sm text-gray-500">{task.Asset?.model}</div>
+                                                    {task.Asset?.serial_number && <div className="text-xs text-gray-400 mt-1">S/N {task.Asset.serial_number}</div>}
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <div className="text-sm font-medium text-gray-900">{task.custodian_name || '—'}</div>
+                                                    <div className="text-sm text-gray-500">{task.Asset?.Department?.name}</div>
+                                                    {task.Asset?.location && <div className="text-xs text-gray-400 mt-1">{task.Asset.location}</div>}
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    {task.Request && (
+                                                        <Link to={`/requests/${task.Request.id}`} className="text-sm text-blue-600 font-medium hover:underline">
+                                                            {task.Request.request_number}
+                                                        </Link>
+                                                    )}
+                                                    <div className="text-xs text-gray-500 mt-1">
+                                                        {task.RequestItem?.category} | since {formatDate(task.created_at)}
                                                     </div>
-                                                </div>
-                                            </td>
-                                            <td className="px-6 py-4">
-                                                <div className="text-sm font-medium text-gray-900">{item.userName}</div>
-                                                <div className="text-sm text-gray-500">{item.userPosition}</div>
-                                            </td>
-                                            <td className="px-6 py-4">
-                                                <div className="text-sm text-blue-600 font-medium">{item.requestNumber}</div>
-                                                <div className="text-sm text-gray-500">{item.departmentName}</div>
-                                            </td>
-                                            <td className="px-6 py-4 whitespace-nowrap">
-                                                <div className="text-sm text-gray-900">
-                                                    {item.deployedDate ? new Date(item.deployedDate).toLocaleDateString() : 'N/A'}
-                                                </div>
-                                            </td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-right">
-                                                <div className="flex items-center justify-end space-x-3">
-                                                    {item.isReturned ? (
-                                                        <div className="flex flex-col items-end">
-                                                            <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
-                                                                <CheckCircle className="h-3 w-3 mr-1" />
-                                                                Returned
-                                                            </span>
-                                                            {item.returnedAt && (
-                                                                <span className="text-xs text-gray-400 mt-1">
-                                                                    {new Date(item.returnedAt).toLocaleDateString()}
-                                                                </span>
-                                                            )}
-                                                        </div>
-                                                    ) : (
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                    {canEdit && task.Asset && (
                                                         <button
-                                                            onClick={() => handleRestock(item.requestId, item.id)}
-                                                            className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                                                            onClick={() => setAssetAction({ type: 'return', asset: task.Asset })}
+                                                            className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 shadow-sm"
                                                         >
-                                                            <RotateCcw className="h-3 w-3 mr-1" />
-                                                            Return to Stock
+                                                            <ClipboardCheck className="h-3 w-3 mr-1" />
+                                                            Record Return
                                                         </button>
                                                     )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                )}
 
-                                                    <button
-                                                        onClick={() => handleDelete(item.requestId, item.id)}
-                                                        className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-full transition-colors"
-                                                        title="Delete Record"
-                                                    >
-                                                        <Trash2 className="h-4 w-4" />
-                                                    </button>
-                                                </div>
-                                            </td>
-                                        </tr>
-                                    ))}
-                                </tbody>
-                            </table>
+                {activeTab === 'loans' && (
+                    <>
+                        <div className="mb-4 flex justify-end">
+                            <select
+                                value={loanFilter}
+                                onChange={(e) => setLoanFilter(e.target.value)}
+                                className="px-3 py-2 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                            >
+                                <option value="active">Active</option>
+                                <option value="overdue">Overdue</option>
+                                <option value="returned">Returned</option>
+                                <option value="">All Loans</option>
+                            </select>
                         </div>
-                    )}
-                </div>
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                            {loans.length === 0 ? (
+                                <div className="p-12 text-center text-gray-500">
+                                    {loading ? 'Loading loans...' : 'No loans found.'}
+                                </div>
+                            ) : (
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-gray-200">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset</th>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Borrower</th>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lent / Due</th>
+                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Status / Actions</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white divide-y divide-gray-200">
+                                            {loans.map(loan => (
+                                                <tr key={loan.id} className={loan.is_overdue ? 'bg-red-50' : 'hover:bg-gray-50 transition-colors'}>
+                                                    <td className="px-6 py-4">
+                                                        <div className="text-sm font-medium text-gray-900">{loan.Asset?.asset_tag}</div>
+                                                        <div className="text-sm text-gray-500">{loan.Asset?.model}</div>
+                                                    </td>
+                                                    <td className="px-6 py-4">
+                                                        <div className="text-sm font-medium text-gray-900">{loan.borrower_name}</div>
+                                                        <div className="text-sm text-gray-500">{loan.Department?.name}</div>
+                                                        {loan.purpose && <div className="text-xs text-gray-400 mt-1">{loan.purpose}</div>}
+                                                    </td>
+                                                    <td className="px-6 py-4 whitespace-nowrap">
+                                                        <div className="text-sm text-gray-900">{formatDate(loan.loaned_at)}</div>
+                                                        <div className={`text-xs mt-1 ${loan.is_overdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                                                            Due {formatDate(loan.due_date)}{loan.is_overdue ? ` (overdue, ${loan.reminder_count} reminder${loan.reminder_count === 1 ? '' : 's'} sent)` : ''}
+                                                        </div>
+                                                    </td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                        {loan.status === 'returned' ? (
+                                                            <div className="text-xs text-gray-500">
+                                                                Returned {formatDate(loan.returned_at)}
+                                                                {loan.return_condition && <span className="capitalize"> | {loan.return_condition.replace('_', ' ')}</span>}
+                                                            </div>
+                                                        ) : canEdit && (
+                                                            <button
+                                                                onClick={() => returnLoan(loan)}
+                                                                className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 shadow-sm"
+                                                            >
+                                                                <ClipboardCheck className="h-3 w-3 mr-1" />
+                                                                Return
+                                                            </button>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    </>
+                )}
+
+                {activeTab === 'transfers' && (
+                    <>
+                        <div className="mb-4 flex justify-end">
+                            <select
+                                value={transferStatus}
+                                onChange={(e) => setTransferStatus(e.target.value)}
+                                className="px-3 py-2 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                            >
+                                <option value="pending">Pending</option>
+                                <option value="approved">Approved</option>
+                                <option value="declined">Declined</option>
+                                <option value="cancelled">Cancelled</option>
+                                <option value="">All Transfers</option>
+                            </select>
+                        </div>
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                            <AssetTransfersList
+                                transfers={transfers}
+                                onChanged={loadTransfers}
+                                emptyText={loading ? 'Loading transfers...' : 'No transfers found.'}
+                            />
+                        </div>
+                    </>
+                )}
             </div>
 
-            <ConfirmDialog
-                isOpen={confirmDialogState.isOpen}
-                onClose={() => setConfirmDialogState(prev => ({ ...prev, isOpen: false }))}
-                onConfirm={confirmDialogState.onConfirm}
-                title={confirmDialogState.title}
-                message={confirmDialogState.message}
-                variant={confirmDialogState.variant}
-                confirmText={confirmDialogState.confirmText}
-            />
+            {isFormOpen && (
+                <AssetFormModal
+                    isOpen={isFormOpen}
+                    asset={editingAsset}
+                    categories={categories}
+                    departments={departments}
+                    onClose={() => { setIsFormOpen(false); setEditingAsset(null); }}
+                    onSaved={handleSaved}
+                />
+            )}
+
+            {assetAction?.type === 'history' && (
+                <AssetHistoryModal asset={assetAction.asset} onClose={() => setAssetAction(null)} />
+            )}
+            {assetAction?.type === 'transfer' && (
+                <AssetTransferModal asset={assetAction.asset} onClose={() => setAssetAction(null)} onRequested={handleActionDone} />
+            )}
+            {assetAction?.type === 'loan' && (
+                <AssetLoanModal asset={assetAction.asset} departments={departments} onClose={() => setAssetAction(null)} onLent={handleActionDone} />
+            )}
+            {assetAction?.type === 'return' && (
+                <AssetReturnModal asset={assetAction.asset} onClose={() => setAssetAction(null)} onReturned={handleActionDone} />
+            )}
         </div>
     );
 }
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { Laptop, ArrowLeft, RefreshCw, ArrowRightLeft, CalendarClock } from 'lucide-react';
+import { assetsAPI, assetTransfersAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { ToastContext } from '../../contexts/ToastContext';
+import AssetTransferModal from './AssetTransferModal';
+import AssetTransfersList from './AssetTransfersList';
+
+const isOverdue = (dueDate) => dueDate < new Date().toISOString().slice(0, 10);
+
+// Equipment assigned to the signed-in user, their transfers, and transfers awaiting their approval
+export default function MyEquipment() {
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const { error } = useContext(ToastContext);
+
+    const [loading, setLoading] = useState(true);
+    const [assets, setAssets] = useState([]);
+    const [awaitingMe, setAwaitingMe] = useState([]);
+    const [myTransfers, setMyTransfers] = useState([]);
+    const [transferAsset, setTransferAsset] = useState(null);
+
+    const loadData = useCallback(async () => {
+        try {
+            setLoading(true);
+            const [assetsResponse, awaitingResponse, transfersResponse] = await Promise.all([
+                assetsAPI.getMine(),
+                assetTransfersAPI.getAll({ awaiting_me: true }),
+                assetTransfersAPI.getAll()
+            ]);
+            setAssets(assetsResponse.data.assets);
+            setAwaitingMe(awaitingResponse.data.transfers);
+            // IT staff can see every transfer; this page only lists the user's own
+            setMyTransfers(transfersResponse.data.transfers.filter(transfer =>
+                [transfer.requested_by, transfer.from_custodian_id, transfer.to_custodian_id].includes(user?.id)
+            ));
+        } catch (err) {
+            console.error('Error loading equipment:', err);
+            error('Failed to load your equipment');
+        } finally {
+            setLoading(false);
+        }
+    }, [user?.id, error]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-7xl mx-auto">
+                <div className="flex items-center justify-between mb-8">
+                    <div className="flex items-center space-x-4">
+                        <button onClick={() => navigate('/dashboard')} className="p-2 hover:bg-gray-200 rounded-full">
+                            <ArrowLeft className="h-6 w-6 text-gray-600" />
+                        </button>
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+                                <Laptop className="h-8 w-8 mr-3 text-blue-600" />
+                                My Equipment
+                            </h1>
+                            <p className="text-sm text-gray-500 mt-1">
+                                Equipment currently assigned to you, including items on loan
+                            </p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={loadData}
+                        disabled={loading}
+                        className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+                    >
+                        <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                        <span>Refresh</span>
+                    </button>
+                </div>
+
+                {awaitingMe.length > 0 && (
+                    <div className="bg-white rounded-xl shadow-sm border border-yellow-300 overflow-hidden mb-6">
+                        <div className="px-6 py-4 border-b border-gray-200 bg-yellow-50">
+                            <h2 className="text-lg font-semibold text-gray-900">Transfers Awaiting Your Approval</h2>
+                        </div>
+                        <AssetTransfersList transfers={awaitingMe} onChanged={loadData} />
+                    </div>
+                )}
+
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mb-6">
+                    {loading && assets.length === 0 ? (
+                        <div className="p-12 text-center text-gray-500">
+                            <RefreshCw className="h-8 w-8 mx-auto mb-4 animate-spin text-blue-500" />
+                            Loading equipment...
+                        </div>
+                    ) : assets.length === 0 ? (
+                        <div className="p-12 text-center text-gray-500">
+                            No equipment is assigned to you.
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department / Location</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned</th>
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {assets.map(asset => {
+                                        const loan = asset.Loans?.[0];
+                                        const pendingTransfer = asset.Transfers?.[0];
+
+                                        return (
+                                            <tr key={asset.id} className="hover:bg-gray-50 transition-colors">
+                                                <td className="px-6 py-4">
+                                                    <div className="text-sm font-medium text-gray-900">{asset.asset_tag}</div>
+                                                    <div className="text-sm text-gray-500">{asset.model || asset.Category?.name || 'Unknown model'}</div>
+                                                    <div className="text-xs text-gray-400 mt-1">
+                                                        {asset.Category?.name || 'Uncategorized'} | {asset.serial_number ? `S/N ${asset.serial_number}` : 'No serial'}
+                                                    </div>
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <div className="text-sm text-gray-900">{asset.Department?.name || '—'}</div>
+                                                    {asset.location && <div className="text-xs text-gray-400 mt-1">{asset.location}</div>}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    {loan ? (
+                                                        <div className={`flex items-center text-sm ${isOverdue(loan.due_date) ? 'text-red-600 font-medium' : 'text-amber-700'}`}>
+                                                            <CalendarClock className="h-4 w-4 mr-1" />
+                                                            On loan, due {formatDate(loan.due_date)}{isOverdue(loan.due_date) ? ' (overdue)' : ''}
+                                                        </div>
+                                                    ) : (
+                                                        <div className="text-sm text-gray-900">{formatDate(asset.deployed_at)}</div>
+                                                    )}
+                                                    {asset.Request && (
+                                                        <Link to={`/requests/${asset.Request.id}`} className="text-xs text-blue-600 hover:underline">
+                                                            {asset.Request.request_number}
+                                                        </Link>
+                                                    )}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                    {asset.status === 'pending_return' ? (
+                                                        <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                                                            Replaced - please return to the Service Desk
+                                                        </span>
+                                                    ) : pendingTransfer ? (
+                                                        <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                                            Transfer to {pendingTransfer.to_custodian_name} pending
+                                                        </span>
+                                                    ) : !loan && (
+                                                        <button
+                                                            onClick={() => setTransferAsset(asset)}
+                                                            className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                                                        >
+                                                            <ArrowRightLeft className="h-3 w-3 mr-1" />
+                                                            Request Transfer
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                    <div className="px-6 py-4 border-b border-gray-200">
+                        <h2 className="text-lg font-semibold text-gray-900">My Transfers</h2>
+                    </div>
+                    <AssetTransfersList transfers={myTransfers} onChanged={loadData} emptyText="You have no equipment transfers." />
+                </div>
+            </div>
+
+            {transferAsset && (
+                <AssetTransferModal
+                    asset={transferAsset}
+                    onClose={() => setTransferAsset(null)}
+                    onRequested={() => { setTransferAsset(null); loadData(); }}
+                />
+            )}
+        </div>
+    );
+}
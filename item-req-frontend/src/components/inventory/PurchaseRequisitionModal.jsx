@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { X, ShoppingCart } from 'lucide-react';
+import { purchaseRequisitionsAPI, vendorsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+// Draft a PR for the approved items of a request that no PR covers yet
+const PurchaseRequisitionModal = ({ request, onClose, onCreated }) => {
+    const { success, error } = useContext(ToastContext);
+    const eligibleItems = request.items.filter(item => item.id && item.approvalStatus === 'approved' && !item.purchaseRequisition);
+    // The quotation picked for each item, used to prefill the vendor and quoted costs
+    const selectedQuote = (item) => (item.quotations || []).find(quotation => quotation.isSelected);
+
+    const [formData, setFormData] = useState(() => ({
+        pr_number: '',
+        vendor_id: String(eligibleItems.map(selectedQuote).find(Boolean)?.vendor?.id || ''),
+        vendor_name: '',
+        notes: ''
+    }));
+    const [vendors, setVendors] = useState([]);
+    const [lines, setLines] = useState(() => Object.fromEntries(eligibleItems.map(item => {
+        const cost = selectedQuote(item)?.unitPrice ?? item.estimatedCost;
+        return [item.id, {
+            selected: item.endorserStatus === 'needs_pr',
+            quantity: String(item.quantity),
+            quoted_unit_cost: cost ? String(cost) : ''
+        }];
+    })));
+    const [documentFile, setDocumentFile] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        vendorsAPI.getAll()
+            .then(response => setVendors(response.data.vendors))
+            .catch(err => console.error('Error loading vendors:', err));
+    }, []);
+
+    const updateLine = (itemId, field, value) => {
+        setLines(prev => ({ ...prev, [itemId]: { ...prev[itemId], [field]: value } }));
+    };
+
+    const selectedItems = eligibleItems.filter(item => lines[item.id]?.selected);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (selectedItems.length === 0) {
+            error('Select at least one item for the PR');
+            return;
+        }
+
+        try {
+            setSaving(true);
+            const response = await purchaseRequisitionsAPI.create({
+                pr_number: formData.pr_number.trim(),
+                request_id: request.id,
+                vendor_id: formData.vendor_id ? parseInt(formData.vendor_id, 10) : null,
+                vendor_name: formData.vendor_id ? null : formData.vendor_name.trim() || null,
+                notes: formData.notes.trim() || null,
+                items: selectedItems.map(item => ({
+                    request_item_id: item.id,
+                    quantity: parseInt(lines[item.id].quantity, 10),
+                    quoted_unit_cost: lines[item.id].quoted_unit_cost === '' ? null : parseFloat(lines[item.id].quoted_unit_cost)
+                }))
+            });
+
+            let requisition = response.data.requisition;
+            if (documentFile) {
+                const upload = new FormData();
+                upload.append('document', documentFile);
+                try {
+                    requisition = (await purchaseRequisitionsAPI.uploadDocument(requisition.id, upload)).data.requisition;
+                } catch (uploadErr) {
+                    console.error('Error attaching PR document:', uploadErr);
+                    error(`PR ${requisition.pr_number} was drafted, but the document could not be attached`);
+                }
+            }
+
+            success(response.data.message);
+            onCreated(requisition);
+        } catch (err) {
+            console.error('Error creating purchase requisition:', err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to create purchase requisition');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm border px-3 py-2';
+    const labelClass = 'block text-sm font-medium text-gray-700';
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+                    <form onSubmit={handleSubmit}>
+                        <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                            <div className="flex justify-between items-start mb-4">
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+                                    <ShoppingCart className="h-5 w-5 mr-2 text-blue-600" />
+                                    New Purchase Requisition
+                                </h3>
+                                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                    <X className="h-6 w-6" />
+                                </button>
+                            </div>
+
+                            <div className="space-y-4">
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                    <div>
+                                        <label className={labelClass}>PR Number *</label>
+                                        <input
+                                            type="text"
+                                            value={formData.pr_number}
+                                            onChange={(e) => setFormData(prev => ({ ...prev, pr_number: e.target.value.replace(/\D/g, '') }))}
+                                            required
+                                            pattern="\d{8}"
+                                            maxLength={8}
+                                            placeholder="8 digits"
+                                            className={inputClass}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className={labelClass}>Vendor</label>
+                                        <select
+                                            value={formData.vendor_id}
+                                            onChange={(e) => setFormData(prev => ({ ...prev, vendor_id: e.target.value }))}
+                                            className={inputClass}
+                                        >
+                                            <option value="">Not in the directory</option>
+                                            {vendors.map(vendor => (
+                                                <option key={vendor.id} value={vendor.id}>{vendor.name}</option>
+                                            ))}
+                                        </select>
+                                        {!formData.vendor_id && (
+                                            <input
+                                                type="text"
+                                                value={formData.vendor_name}
+                                                onChange={(e) => setFormData(prev => ({ ...prev, vendor_name: e.target.value }))}
+                                                maxLength={255}
+                                                placeholder="Vendor name"
+                                                className={inputClass}
+                                            />
+                                        )}
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <label className={labelClass}>Items</label>
+                                    {eligibleItems.length === 0 ? (
+                                        <p className="mt-1 text-sm text-gray-500">Every approved item is already covered by a PR.</p>
+                                    ) : (
+                                        <table className="mt-1 min-w-full divide-y divide-gray-200 border border-gray-200 rounded-md">
+                                            <thead className="bg-gray-50">
+                                                <tr>
+                                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase w-24">Qty</th>
+                                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase w-36">Quoted Unit Cost</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="divide-y divide-gray-200">
+                                                {eligibleItems.map(item => (
+                                                    <tr key={item.id}>
+                                                        <td className="px-3 py-2">
+                                                            <label className="flex items-start space-x-2">
+                                                                <input
+                                                                    type="checkbox"
+                                                                    checked={lines[item.id].selected}
+                                                                    onChange={(e) => updateLine(item.id, 'selected', e.target.checked)}
+                                                                    className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                                                />
+                                                                <span>
+                                                                    <span className="block text-sm font-medium text-gray-900">{item.category}</span>
+                                                                    <span className="block text-xs text-gray-500">
+                                                                        {item.endorserStatus === 'needs_pr' ? 'Needs PR' : 'In stock'}
+                                                                        {item.itemDescription ? ` | ${item.itemDescription}` : ''}
+                                                                    </span>
+                                                                </span>
+                                                            </label>
+                                                        </td>
+                                                        <td className="px-3 py-2">
+                                                            <input
+                                                                type="number"
+                                                                min="1"
+                                                                value={lines[item.id].quantity}
+                                                                onChange={(e) => updateLine(item.id, 'quantity', e.target.value)}
+                                                                disabled={!lines[item.id].selected}
+                                                                required={lines[item.id].selected}
+                                                                className="block w-full rounded-md border border-gray-300 px-2 py-1 text-sm disabled:bg-gray-50"
+                                                            />
+                                                        </td>
+                                                        <td className="px-3 py-2">
+                                                            <input
+                                                                type="number"
+                                                                min="0"
+                                                                step="0.01"
+                                                                value={lines[item.id].quoted_unit_cost}
+                                                                onChange={(e) => updateLine(item.id, 'quoted_unit_cost', e.target.value)}
+                                                                disabled={!lines[item.id].selected}
+                                                                className="block w-full rounded-md border border-gray-300 px-2 py-1 text-sm disabled:bg-gray-50"
+                                                            />
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                </div>
+
+                                <div>
+                                    <label className={labelClass}>PR Document</label>
+                                    <input
+                                        type="file"
+                                        onChange={(e) => setDocumentFile(e.target.files?.[0] || null)}
+                                        className="mt-1 block w-full text-sm text-gray-700"
+                                    />
+                                    <p className="mt-1 text-xs text-gray-500">Required before the PR can be approved; it can also be attached later.</p>
+                                </div>
+
+                                <div>
+                                    <label className={labelClass}>Notes</label>
+                                    <textarea
+                                        value={formData.notes}
+                                        onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+                                        rows={2}
+                                        maxLength={2000}
+                                        className={inputClass}
+                                    />
+                                </div>
+                            </div>
+                        </div>
+                        <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end space-x-3">
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={saving || selectedItems.length === 0}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                {saving ? 'Saving...' : 'Draft PR'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PurchaseRequisitionModal;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { X, PackageCheck } from 'lucide-react';
+import { purchaseRequisitionsAPI, stockLocationsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+// Record a full or partial delivery against an ordered PR
+const PurchaseRequisitionReceiveModal = ({ requisition, onClose, onReceived }) => {
+    const { success, error } = useContext(ToastContext);
+    const openLines = requisition.Items.filter(line => line.quantity_received < line.quantity);
+
+    const [receipts, setReceipts] = useState(() => Object.fromEntries(openLines.map(line => [line.id, {
+        quantity: String(line.quantity - line.quantity_received),
+        actual_unit_cost: line.actual_unit_cost ?? line.quoted_unit_cost ?? ''
+    }])));
+    const [locations, setLocations] = useState([]);
+    const [locationId, setLocationId] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        stockLocationsAPI.getAll()
+            .then(response => setLocations(response.data.locations))
+            .catch(err => console.error('Error loading stock locations:', err));
+    }, []);
+
+    const updateReceipt = (lineId, field, value) => {
+        setReceipts(prev => ({ ...prev, [lineId]: { ...prev[lineId], [field]: value } }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            const response = await purchaseRequisitionsAPI.receive(requisition.id, {
+                // Lines with nothing delivered only carry their cost
+                items: openLines.map(line => {
+                    const quantity = parseInt(receipts[line.id].quantity, 10) || 0;
+                    return {
+                        id: line.id,
+                        ...(quantity > 0 && { quantity }),
+                        ...(receipts[line.id].actual_unit_cost !== '' && { actual_unit_cost: parseFloat(receipts[line.id].actual_unit_cost) })
+                    };
+                }),
+                location_id: locationId ? parseInt(locationId, 10) : null
+            });
+            success(response.data.message);
+            onReceived(response.data.requisition);
+        } catch (err) {
+            console.error('Error receiving purchase requisition:', err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to record delivery');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+                    <form onSubmit={handleSubmit}>
+                        <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                            <div className="flex justify-between items-start mb-4">
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+                                    <PackageCheck className="h-5 w-5 mr-2 text-green-600" />
+                                    Receive Delivery for PR {requisition.pr_number}
+                                </h3>
+                                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                    <X className="h-6 w-6" />
+                                </button>
+                            </div>
+
+                            <p className="text-sm text-gray-500 mb-3">
+                                Enter what arrived in this delivery. Received quantities are added to stock straight away.
+                            </p>
+
+                            {locations.length > 1 && (
+                                <div className="mb-3">
+                                    <label className="block text-sm font-medium text-gray-700">Delivered To</label>
+                                    <select
+                                        value={locationId}
+                                        onChange={(e) => setLocationId(e.target.value)}
+                                        className="mt-1 block w-full rounded-md border border-gray-300 px-2 py-1.5 text-sm"
+                                    >
+                                        {locations.map(location => (
+                                            <option key={location.id} value={location.is_default ? '' : location.id}>{location.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            <table className="min-w-full divide-y divide-gray-200 border border-gray-200 rounded-md">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Line</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Received So Far</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase w-24">Now</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase w-36">Actual Unit Cost</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {openLines.map(line => (
+                                        <tr key={line.id}>
+                                            <td className="px-3 py-2">
+                                                <div className="text-sm font-medium text-gray-900">{line.description}</div>
+                                                {!line.Category?.track_stock && (
+                                                    <div className="text-xs text-gray-400">Not stock-tracked</div>
+                                                )}
+                                            </td>
+                                            <td className="px-3 py-2 text-sm text-gray-700">{line.quantity_received} of {line.quantity}</td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max={line.quantity - line.quantity_received}
+                                                    value={receipts[line.id].quantity}
+                                                    onChange={(e) => updateReceipt(line.id, 'quantity', e.target.value)}
+                                                    className="block w-full rounded-md border border-gray-300 px-2 py-1 text-sm"
+                                                />
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    step="0.01"
+                                                    value={receipts[line.id].actual_unit_cost}
+                                                    onChange={(e) => updateReceipt(line.id, 'actual_unit_cost', e.target.value)}
+                                                    className="block w-full rounded-md border border-gray-300 px-2 py-1 text-sm"
+                                                />
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end space-x-3">
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={saving}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                            >
+                                {saving ? 'Saving...' : 'Record Delivery'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PurchaseRequisitionReceiveModal;
@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useContext, useCallback, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { ShoppingCart, Search, ArrowLeft, RefreshCw, CheckCircle, Truck, PackageCheck, Upload, FileText, Trash2 } from 'lucide-react';
+import { purchaseRequisitionsAPI, getBaseUrl } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { ToastContext } from '../../contexts/ToastContext';
+import ConfirmDialog from '../common/ConfirmDialog';
+import PurchaseRequisitionReceiveModal from './PurchaseRequisitionReceiveModal';
+
+const PR_STATUS_STYLES = {
+    drafted: { label: 'Drafted', className: 'bg-gray-100 text-gray-800' },
+    approved: { label: 'Approved', className: 'bg-blue-100 text-blue-800' },
+    ordered: { label: 'Ordered', className: 'bg-purple-100 text-purple-800' },
+    partially_received: { label: 'Partially Received', className: 'bg-yellow-100 text-yellow-800' },
+    received: { label: 'Received', className: 'bg-green-100 text-green-800' }
+};
+
+// Open PRs older than this are highlighted
+const STALE_AFTER_DAYS = 30;
+
+const formatMoney = (value) => (value === null || value === undefined
+    ? '—'
+    : Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+
+// Purchase requisitions with their lines, costs and age, and the actions that move them along
+export default function PurchaseRequisitions() {
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const { success, error } = useContext(ToastContext);
+    const documentInput = useRef(null);
+
+    const canEdit = ['service_desk', 'super_administrator'].includes(user?.role);
+
+    const [loading, setLoading] = useState(true);
+    const [requisitions, setRequisitions] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('open');
+    const [searchInput, setSearchInput] = useState('');
+    const [search, setSearch] = useState('');
+    const [busyId, setBusyId] = useState(null);
+    const [receiving, setReceiving] = useState(null);
+    const [uploadTarget, setUploadTarget] = useState(null);
+    const [discarding, setDiscarding] = useState(null);
+
+    const loadData = useCallback(async () => {
+        try {
+            setLoading(true);
+            const params = statusFilter === 'open' ? { open: true } : { status: statusFilter || undefined };
+            const response = await purchaseRequisitionsAPI.getAll({ ...params, search: search || undefined });
+            setRequisitions(response.data.requisitions);
+        } catch (err) {
+            console.error('Error loading purchase requisitions:', err);
+            error('Failed to load purchase requisitions');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, search, error]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const runAction = async (requisition, action) => {
+        try {
+            setBusyId(requisition.id);
+            const response = await action();
+            success(response.data.message);
+            loadData();
+        } catch (err) {
+            console.error('Error updating purchase requisition:', err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to update purchase requisition');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDocumentSelected = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !uploadTarget) return;
+
+        const formData = new FormData();
+        formData.append('document', file);
+        await runAction(uploadTarget, () => purchaseRequisitionsAPI.uploadDocument(uploadTarget.id, formData));
+        setUploadTarget(null);
+    };
+
+    const chooseDocument = (requisition) => {
+        setUploadTarget(requisition);
+        documentInput.current?.click();
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-7xl mx-auto">
+                <div className="flex items-center justify-between mb-8">
+                    <div className="flex items-center space-x-4">
+                        <button onClick={() => navigate('/dashboard')} className="p-2 hover:bg-gray-200 rounded-full">
+                            <ArrowLeft className="h-6 w-6 text-gray-600" />
+                        </button>
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+                                <ShoppingCart className="h-8 w-8 mr-3 text-blue-600" />
+                                Purchase Requisitions
+                            </h1>
+                            <p className="text-sm text-gray-500 mt-1">
+                                PRs raised for requested equipment, from draft to delivery
+                            </p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={loadData}
+                        disabled={loading}
+                        className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+                    >
+                        <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                        <span>Refresh</span>
+                    </button>
+                </div>
+
+                <div className="mb-6 flex flex-col md:flex-row gap-3">
+                    <form onSubmit={(e) => { e.preventDefault(); setSearch(searchInput.trim()); }} className="relative flex-1">
+                        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                        <input
+                            type="text"
+                            placeholder="Search by PR number, vendor or request #..."
+                            className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white shadow-sm"
+                            value={searchInput}
+                            onChange={(e) => setSearchInput(e.target.value)}
+                        />
+                    </form>
+                    <select
+                        value={statusFilter}
+                        onChange={(e) => setStatusFilter(e.target.value)}
+                        className="px-3 py-3 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                    >
+                        <option value="open">Open</option>
+                        <option value="">All Statuses</option>
+                        {Object.entries(PR_STATUS_STYLES).map(([value, { label }]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                    {loading && requisitions.length === 0 ? (
+                        <div className="p-12 text-center text-gray-500">
+                            <RefreshCw className="h-8 w-8 mx-auto mb-4 animate-spin text-blue-500" />
+                            Loading purchase requisitions...
+                        </div>
+                    ) : requisitions.length === 0 ? (
+                        <div className="p-12 text-center text-gray-500">
+                            No purchase requisitions found.
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PR</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lines</th>
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quoted / Actual</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {requisitions.map(requisition => {
+                                        const status = PR_STATUS_STYLES[requisition.status];
+                                        const isOpen = requisition.status !== 'received';
+                                        const isBusy = busyId === requisition.id;
+
+                                        return (
+                                            <tr key={requisition.id} className="hover:bg-gray-50 transition-colors align-top">
+                                                <td className="px-6 py-4">
+                                                    <div className="text-sm font-medium text-gray-900">{requisition.pr_number}</div>
+                                                    <div className="text-sm text-gray-500">{requisition.vendor_name || 'No vendor yet'}</div>
+                                                    {requisition.Request && (
+                                                        <Link to={`/requests/${requisition.Request.id}`} className="text-xs text-blue-600 hover:underline">
+                                                            {requisition.Request.request_number}
+                                                        </Link>
+                                                    )}
+                                                    {requisition.document ? (
+                                                        <a
+                                                            href={`${getBaseUrl()}${requisition.document.path}`}
+                                                            target="_blank"
+                                                            rel="noopener noreferrer"
+                                                            className="flex items-center text-xs text-blue-600 hover:underline mt-1"
+                                                        >
+                                                            <FileText className="h-3 w-3 mr-1" />
+                                                            {requisition.document.originalName}
+                                                        </a>
+                                                    ) : (
+                                                        <div className="text-xs text-red-600 mt-1">No PR document</div>
+                                                    )}
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <ul className="space-y-1">
+                                                        {requisition.Items.map(line => (
+                                                            <li key={line.id} className="text-sm text-gray-700">
+                                                                {line.description}
+                                                                <span className="text-xs text-gray-500 ml-2">
+                                                                    {line.quantity_received} of {line.quantity} received
+                                                                </span>
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                    <div className="text-sm text-gray-900">{formatMoney(requisition.quoted_total)}</div>
+                                                    <div className="text-xs text-gray-500">{formatMoney(requisition.actual_total)}</div>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                                                        {status.label}
+                                                    </span>
+                                                    <div className={`text-xs mt-1 ${isOpen && requisition.age_days > STALE_AFTER_DAYS ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                                                        {isOpen
+                                                            ? `Open ${requisition.age_days} day${requisition.age_days === 1 ? '' : 's'}`
+                                                            : `Received ${formatDate(requisition.received_at)}`}
+                                                    </div>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                    {canEdit && (
+                                                        <div className="flex justify-end items-center gap-2">
+                                                            <button
+                                                                onClick={() => chooseDocument(requisition)}
+                                                                disabled={isBusy}
+                                                                className="p-1.5 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-md"
+                                                                title={requisition.document ? 'Replace PR document' : 'Attach PR document'}
+                                                            >
+                                                                <Upload className="h-4 w-4" />
+                                                            </button>
+                                                            {requisition.status === 'drafted' && (
+                                                                <>
+                                                                    <button
+                                                                        onClick={() => runAction(requisition, () => purchaseRequisitionsAPI.approve(requisition.id))}
+                                                                        disabled={isBusy || !requisition.document}
+                                                                        title={requisition.document ? 'Approve PR' : 'Attach the PR document first'}
+                                                                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                                                                    >
+                                                                        <CheckCircle className="h-3 w-3 mr-1" /> Approve
+                                                                    </button>
+                                                                    <button
+                                                                        onClick={() => setDiscarding(requisition)}
+                                                                        disabled={isBusy}
+                                                                        className="p-1.5 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-md"
+                                                                        title="Discard draft"
+                                                                    >
+                                                                        <Trash2 className="h-4 w-4" />
+                                                                    </button>
+                                                                </>
+                                                            )}
+                                                            {requisition.status === 'approved' && (
+                                                                <button
+                                                                    onClick={() => runAction(requisition, () => purchaseRequisitionsAPI.order(requisition.id))}
+                                                                    disabled={isBusy}
+                                                                    className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 disabled:opacity-50"
+                                                                >
+                                                                    <Truck className="h-3 w-3 mr-1" /> Mark Ordered
+                                                                </button>
+                                                            )}
+                                                            {['ordered', 'partially_received'].includes(requisition.status) && (
+                                                                <button
+                                                                    onClick={() => setReceiving(requisition)}
+                                                                    disabled={isBusy}
+                                                                    className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                                                                >
+                                                                    <PackageCheck className="h-3 w-3 mr-1" /> Receive
+                                                                </button>
+                                                            )}
+                                                        </div>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <input type="file" ref={documentInput} onChange={handleDocumentSelected} className="hidden" />
+
+            {receiving && (
+                <PurchaseRequisitionReceiveModal
+                    requisition={receiving}
+                    onClose={() => setReceiving(null)}
+                    onReceived={() => { setReceiving(null); loadData(); }}
+                />
+            )}
+
+            <ConfirmDialog
+                isOpen={!!discarding}
+                onClose={() => setDiscarding(null)}
+                onConfirm={async () => {
+                    const requisition = discarding;
+                    setDiscarding(null);
+                    await runAction(requisition, () => purchaseRequisitionsAPI.delete(requisition.id));
+                }}
+                title="Discard PR"
+                message={`Discard draft PR ${discarding?.pr_number}? Its items will no longer be covered by a PR.`}
+                confirmText="Discard"
+                variant="danger"
+            />
+        </div>
+    );
+}
@@ -1,7 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { X, AlertCircle } from 'lucide-react';
 
-const ReplenishmentModal = ({ isOpen, onClose, onConfirm, items }) => {
+// Collects a PR number and quantity per item. Items may carry `suggestedQty` to prefill
+// the quantity and `stockSummary` to replace the requested/stock line.
+const ReplenishmentModal = ({
+    isOpen,
+    onClose,
+    onConfirm,
+    items,
+    title = 'Insufficient Stock',
+    description = 'The following items have insufficient stock. Please provide PR details to replenish stock before completing this request.',
+    confirmLabel = 'Replenish & Complete'
+}) => {
     const [replenishmentData, setReplenishmentData] = useState({});
     const [errors, setErrors] = useState({});
 
@@ -12,7 +22,7 @@ const ReplenishmentModal = ({ isOpen, onClose, onConfirm, items }) => {
             items.forEach(item => {
                 initialData[item.id] = {
                     prNumber: '',
-                    addedQty: '' // Start empty
+                    addedQty: item.suggestedQty ? String(item.suggestedQty) : '' // Start empty unless suggested
                 };
             });
             setReplenishmentData(initialData);
@@ -98,7 +108,7 @@ const ReplenishmentModal = ({ isOpen, onClose, onConfirm, items }) => {
                             <div className="mt-3 text-center sm:mt-0 sm:ml-4 sm:text-left w-full">
                                 <div className="flex justify-between items-center mb-4">
                                     <h3 className="text-lg leading-6 font-medium text-gray-900" id="modal-title">
-                                        Insufficient Stock
+                                        {title}
                                     </h3>
                                     <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
                                         <X className="h-5 w-5" />
@@ -107,7 +117,7 @@ const ReplenishmentModal = ({ isOpen, onClose, onConfirm, items }) => {
 
                                 <div className="mt-2 mb-4">
                                     <p className="text-sm text-gray-500">
-                                        The following items have insufficient stock. Please provide PR details to replenish stock before completing this request.
+                                        {description}
                                     </p>
                                 </div>
 
@@ -118,7 +128,7 @@ const ReplenishmentModal = ({ isOpen, onClose, onConfirm, items }) => {
                                                 <div className="flex justify-between items-start mb-2">
                                                     <h4 className="font-medium text-gray-900">{item.category}</h4>
                                                     <div className="text-xs text-red-600 font-semibold bg-red-50 px-2 py-1 rounded">
-                                                        Requested: {item.requestedQty} | Stock: {item.currentStock}
+                                                        {item.stockSummary || `Requested: ${item.requestedQty} | Stock: ${item.currentStock}`}
                                                     </div>
                                                 </div>
 
@@ -166,7 +176,7 @@ const ReplenishmentModal = ({ isOpen, onClose, onConfirm, items }) => {
                                             type="submit"
                                             className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 sm:ml-3 sm:w-auto sm:text-sm"
                                         >
-                                            Replenish & Complete
+                                            {confirmLabel}
                                         </button>
                                         <button
                                             type="button"
@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { ArrowLeft, RefreshCw, Save, Download, CheckCircle, XCircle } from 'lucide-react';
+import { stocktakesAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+import ConfirmDialog from '../common/ConfirmDialog';
+
+const LINE_FILTERS = {
+    all: 'All SKUs',
+    uncounted: 'Not counted',
+    variance: 'With variance'
+};
+
+const formatSigned = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+// One stock count: enter counted quantities and reasons, review the variance, then post or export it
+export default function StockCountSheet({ stocktakeId, statusStyles, onBack }) {
+    const { success, error } = useContext(ToastContext);
+
+    const [loading, setLoading] = useState(true);
+    const [stocktake, setStocktake] = useState(null);
+    // Unsaved entries by line id: { counted_quantity, reason }
+    const [edits, setEdits] = useState({});
+    const [lineFilter, setLineFilter] = useState('all');
+    const [search, setSearch] = useState('');
+    const [defaultReason, setDefaultReason] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [confirming, setConfirming] = useState(null);
+
+    const loadData = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await stocktakesAPI.getById(stocktakeId);
+            setStocktake(response.data.stocktake);
+            setEdits({});
+        } catch (err) {
+            console.error('Error loading stock count:', err);
+            error('Failed to load stock count');
+        } finally {
+            setLoading(false);
+        }
+    }, [stocktakeId, error]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const isOpen = stocktake?.status === 'open';
+    const isDirty = Object.keys(edits).length > 0;
+
+    const setEdit = (line, field, value) => {
+        setEdits(prev => ({
+            ...prev,
+            [line.line_id]: {
+                counted_quantity: line.counted_quantity ?? '',
+                reason: line.reason || '',
+                ...prev[line.line_id],
+                [field]: value
+            }
+        }));
+    };
+
+    const runAction = async (action, fallbackMessage) => {
+        try {
+            setBusy(true);
+            const response = await action();
+            success(response.data.message);
+            setStocktake(response.data.stocktake);
+            setEdits({});
+        } catch (err) {
+            console.error('Error updating stock count:', err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallbackMessage);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSave = () => runAction(() => stocktakesAPI.saveCounts(
+        stocktakeId,
+        Object.entries(edits).map(([lineId, edit]) => ({
+            line_id: parseInt(lineId),
+            counted_quantity: edit.counted_quantity === '' ? null : parseInt(edit.counted_quantity),
+            reason: edit.reason
+        }))
+    ), 'Failed to save counts');
+
+    const handleExport = async () => {
+        try {
+            const response = await stocktakesAPI.exportVariance(stocktakeId);
+            const blob = new Blob([response.data], {
+                type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            });
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `stock_count_${stocktake.reference}_variance.xlsx`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Error exporting stock count:', err);
+            error('Failed to export variance report');
+        }
+    };
+
+    if (loading && !stocktake) {
+        return (
+            <div className="min-h-screen bg-gray-50 p-12 text-center text-gray-500">
+                <RefreshCw className="h-8 w-8 mx-auto mb-4 animate-spin text-blue-500" />
+                Loading stock count...
+            </div>
+        );
+    }
+    if (!stocktake) return null;
+
+    const term = search.trim().toLowerCase();
+    const lines = stocktake.lines.filter(line => {
+        if (lineFilter === 'uncounted' && line.counted_quantity !== null) return false;
+        if (lineFilter === 'variance' && !line.variance) return false;
+        return !term || [line.name, line.code, line.category_name, line.location_name].some(value => value.toLowerCase().includes(term));
+    });
+    const status = statusStyles[stocktake.status];
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-7xl mx-auto">
+                <div className="flex items-center justify-between mb-6">
+                    <div className="flex items-center space-x-4">
+                        <button onClick={onBack} className="p-2 hover:bg-gray-200 rounded-full">
+                            <ArrowLeft className="h-6 w-6 text-gray-600" />
+                        </button>
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+                                Stock Count {stocktake.reference}
+                                <span className={`ml-3 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                                    {status.label}
+                                </span>
+                            </h1>
+                            <p className="text-sm text-gray-500 mt-1">
+                                {stocktake.Category?.name || 'All stock-tracked categories'} · {stocktake.Location?.name || 'All locations'} · {stocktake.counted_count} of {stocktake.line_count} lines counted · {stocktake.variance_count} with variance (net {formatSigned(stocktake.net_variance)})
+                            </p>
+                        </div>
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={handleExport}
+                            className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+                        >
+                            <Download className="h-4 w-4" />
+                            <span>Export Excel</span>
+                        </button>
+                        <button
+                            onClick={loadData}
+                            disabled={loading || busy}
+                            title={isDirty ? 'Discards unsaved counts' : 'Refresh'}
+                            className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+                        >
+                            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                            <span>Refresh</span>
+                        </button>
+                    </div>
+                </div>
+
+                {isOpen && (
+                    <div className="mb-4 p-3 text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-lg">
+                        Stock stays in use while counting. Each count is compared with the system quantity when it is saved,
+                        and posting adjusts stock by that variance, so issues and receipts made in the meantime are kept.
+                    </div>
+                )}
+
+                <div className="mb-4 flex flex-col md:flex-row gap-3">
+                    <input
+                        type="text"
+                        placeholder="Search SKU, code, category or location..."
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        className="flex-1 px-4 py-2 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                    />
+                    <select
+                        value={lineFilter}
+                        onChange={(e) => setLineFilter(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                    >
+                        {Object.entries(LINE_FILTERS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">At Opening</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Counted</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">System When Counted</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Variance</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Moved Since</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {lines.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="7" className="px-4 py-8 text-center text-sm text-gray-500">No SKUs match.</td>
+                                    </tr>
+                                ) : lines.map(line => {
+                                    const edit = edits[line.line_id];
+                                    const editable = isOpen && line.posted_quantity === null;
+                                    return (
+                                        <tr key={line.line_id} className={edit ? 'bg-yellow-50' : ''}>
+                                            <td className="px-4 py-3">
+                                                <div className="text-sm font-medium text-gray-900">{line.name}</div>
+                                                <div className="text-xs text-gray-500">{line.code} · {line.category_name} · {line.location_name}</div>
+                                            </td>
+                                            <td className="px-4 py-3 text-right text-sm text-gray-500">{line.snapshot_quantity}</td>
+                                            <td className="px-4 py-3 text-right">
+                                                {editable ? (
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        value={edit ? edit.counted_quantity : line.counted_quantity ?? ''}
+                                                        onChange={(e) => setEdit(line, 'counted_quantity', e.target.value)}
+                                                        placeholder="—"
+                                                        className="w-20 px-2 py-1 border border-gray-300 rounded text-sm text-right"
+                                                    />
+                                                ) : (
+                                                    <span className="text-sm text-gray-900">{line.counted_quantity ?? '—'}</span>
+                                                )}
+                                                <span className="ml-1 text-xs text-gray-400">{line.unit}</span>
+                                            </td>
+                                            <td className="px-4 py-3 text-right text-sm text-gray-700">{line.expected_quantity ?? '—'}</td>
+                                            <td className={`px-4 py-3 text-right text-sm font-semibold ${line.variance > 0 ? 'text-green-700' : line.variance < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                                                {line.variance === null ? '—' : formatSigned(line.variance)}
+                                                {line.posted_quantity !== null && line.posted_quantity !== line.variance && (
+                                                    <div className="text-xs font-normal text-gray-500">posted {formatSigned(line.posted_quantity)}</div>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-3 text-right text-sm text-gray-500" title="Net stock movements since this SKU was counted">
+                                                {line.moved_since_count === 0 ? '—' : formatSigned(line.moved_since_count)}
+                                            </td>
+                                            <td className="px-4 py-3">
+                                                {editable ? (
+                                                    <input
+                                                        type="text"
+                                                        maxLength={1000}
+                                                        value={edit ? edit.reason : line.reason || ''}
+                                                        onChange={(e) => setEdit(line, 'reason', e.target.value)}
+                                                        placeholder={line.variance ? 'Why does it differ?' : ''}
+                                                        className="w-full min-w-[12rem] px-2 py-1 border border-gray-300 rounded text-sm"
+                                                    />
+                                                ) : (
+                                                    <span className="text-sm text-gray-700">{line.reason || '—'}</span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                {isOpen && (
+                    <div className="mt-6 flex flex-col md:flex-row md:items-end gap-3">
+                        <div className="flex-1">
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Reason for variances without their own</label>
+                            <input
+                                type="text"
+                                maxLength={1000}
+                                value={defaultReason}
+                                onChange={(e) => setDefaultReason(e.target.value)}
+                                placeholder="e.g. Quarterly count"
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+                            />
+                        </div>
+                        <button
+                            onClick={() => setConfirming('cancel')}
+                            disabled={busy}
+                            className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            <XCircle className="h-4 w-4 mr-2" /> Cancel Count
+                        </button>
+                        <button
+                            onClick={handleSave}
+                            disabled={busy || !isDirty}
+                            className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            <Save className="h-4 w-4 mr-2" /> Save Counts
+                        </button>
+                        <button
+                            onClick={() => setConfirming('post')}
+                            disabled={busy || isDirty || stocktake.counted_count === 0}
+                            title={isDirty ? 'Save your counts first' : ''}
+                            className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                        >
+                            <CheckCircle className="h-4 w-4 mr-2" /> Post Count
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            <ConfirmDialog
+                isOpen={confirming === 'post'}
+                onClose={() => setConfirming(null)}
+                onConfirm={async () => {
+                    setConfirming(null);
+                    await runAction(() => stocktakesAPI.post(stocktakeId, { reason: defaultReason }), 'Failed to post stock count');
+                }}
+                title="Post Stock Count"
+                message={`Record ${stocktake.variance_count} variance${stocktake.variance_count === 1 ? '' : 's'} (net ${formatSigned(stocktake.net_variance)}) as stock adjustments? SKUs not counted are left unchanged, and the count can't be edited afterwards.`}
+                confirmText="Post"
+                variant="info"
+            />
+            <ConfirmDialog
+                isOpen={confirming === 'cancel'}
+                onClose={() => setConfirming(null)}
+                onConfirm={async () => {
+                    setConfirming(null);
+                    await runAction(() => stocktakesAPI.cancel(stocktakeId), 'Failed to cancel stock count');
+                }}
+                title="Cancel Stock Count"
+                message={`Cancel stock count ${stocktake.reference}? The counts entered are kept for reference but no stock is adjusted.`}
+                confirmText="Cancel Count"
+                variant="danger"
+            />
+        </div>
+    );
+}
@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ClipboardCheck, ArrowLeft, RefreshCw, Plus, X } from 'lucide-react';
+import { stocktakesAPI, categoriesAPI, stockLocationsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+import StockCountSheet from './StockCountSheet';
+
+const STOCKTAKE_STATUS_STYLES = {
+    open: { label: 'Open', className: 'bg-blue-100 text-blue-800' },
+    posted: { label: 'Posted', className: 'bg-green-100 text-green-800' },
+    cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' }
+};
+
+// Physical stock counts: open a count, enter what is on the shelf, then post the variance
+export default function StockCounts() {
+    const navigate = useNavigate();
+    const { success, error } = useContext(ToastContext);
+
+    const [loading, setLoading] = useState(true);
+    const [stocktakes, setStocktakes] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [selectedId, setSelectedId] = useState(null);
+    const [categories, setCategories] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [isStarting, setIsStarting] = useState(false);
+    const [startForm, setStartForm] = useState({ category_id: '', location_id: '', notes: '' });
+    const [starting, setStarting] = useState(false);
+
+    useEffect(() => {
+        categoriesAPI.getAll()
+            .then(response => setCategories(response.data.filter(category => category.track_stock)))
+            .catch(err => console.error('Error loading categories:', err));
+        stockLocationsAPI.getAll()
+            .then(response => setLocations(response.data.locations))
+            .catch(err => console.error('Error loading stock locations:', err));
+    }, []);
+
+    const loadData = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await stocktakesAPI.getAll({ status: statusFilter || undefined });
+            setStocktakes(response.data.stocktakes);
+        } catch (err) {
+            console.error('Error loading stock counts:', err);
+            error('Failed to load stock counts');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, error]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const handleStart = async (e) => {
+        e.preventDefault();
+        try {
+            setStarting(true);
+            const response = await stocktakesAPI.create({
+                category_id: startForm.category_id ? parseInt(startForm.category_id) : null,
+                location_id: startForm.location_id ? parseInt(startForm.location_id) : null,
+                notes: startForm.notes
+            });
+            success(response.data.message);
+            setIsStarting(false);
+            setStartForm({ category_id: '', location_id: '', notes: '' });
+            setSelectedId(response.data.stocktake.id);
+            loadData();
+        } catch (err) {
+            console.error('Error opening stock count:', err);
+            error(err.response?.data?.message || 'Failed to open stock count');
+        } finally {
+            setStarting(false);
+        }
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+    const formatUser = (person) => (person ? `${person.first_name} ${person.last_name}` : 'System');
+
+    if (selectedId) {
+        return (
+            <StockCountSheet
+                stocktakeId={selectedId}
+                statusStyles={STOCKTAKE_STATUS_STYLES}
+                onBack={() => { setSelectedId(null); loadData(); }}
+            />
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-7xl mx-auto">
+                <div className="flex items-center justify-between mb-8">
+                    <div className="flex items-center space-x-4">
+                        <button onClick={() => navigate('/dashboard')} className="p-2 hover:bg-gray-200 rounded-full">
+                            <ArrowLeft className="h-6 w-6 text-gray-600" />
+                        </button>
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+                                <ClipboardCheck className="h-8 w-8 mr-3 text-blue-600" />
+                                Stock Counts
+                            </h1>
+                            <p className="text-sm text-gray-500 mt-1">
+                                Physical counts checked against system stock; posting records the variance as adjustments
+                            </p>
+                        </div>
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={loadData}
+                            disabled={loading}
+                            className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+                        >
+                            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                            <span>Refresh</span>
+                        </button>
+                        <button
+                            onClick={() => setIsStarting(true)}
+                            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 shadow-sm"
+                        >
+                            <Plus className="h-4 w-4" />
+                            <span>Start Count</span>
+                        </button>
+                    </div>
+                </div>
+
+                <div className="mb-6 flex justify-end">
+                    <select
+                        value={statusFilter}
+                        onChange={(e) => setStatusFilter(e.target.value)}
+                        className="px-3 py-3 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                    >
+                        <option value="">All Statuses</option>
+                        {Object.entries(STOCKTAKE_STATUS_STYLES).map(([value, { label }]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                    {loading && stocktakes.length === 0 ? (
+                        <div className="p-12 text-center text-gray-500">
+                            <RefreshCw className="h-8 w-8 mx-auto mb-4 animate-spin text-blue-500" />
+                            Loading stock counts...
+                        </div>
+                    ) : stocktakes.length === 0 ? (
+                        <div className="p-12 text-center text-gray-500">
+                            No stock counts yet.
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Count</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Opened</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Progress</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {stocktakes.map(stocktake => {
+                                        const status = STOCKTAKE_STATUS_STYLES[stocktake.status];
+                                        return (
+                                            <tr key={stocktake.id} className="hover:bg-gray-50 transition-colors">
+                                                <td className="px-6 py-4">
+                                                    <div className="text-sm font-medium text-gray-900">{stocktake.reference}</div>
+                                                    <div className="text-sm text-gray-500">
+                                                        {stocktake.Category?.name || 'All stock-tracked categories'} · {stocktake.Location?.name || 'All locations'}
+                                                    </div>
+                                                    {stocktake.notes && <div className="text-xs text-gray-400 truncate max-w-xs">{stocktake.notes}</div>}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <div className="text-sm text-gray-900">{formatDate(stocktake.createdAt)}</div>
+                                                    <div className="text-xs text-gray-500">{formatUser(stocktake.OpenedBy)}</div>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                                                    {stocktake.counted_count} of {stocktake.line_count} lines counted
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                                                        {status.label}
+                                                    </span>
+                                                    {stocktake.posted_at && (
+                                                        <div className="text-xs text-gray-500 mt-1">{formatDate(stocktake.posted_at)} by {formatUser(stocktake.PostedBy)}</div>
+                                                    )}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                    <button
+                                                        onClick={() => setSelectedId(stocktake.id)}
+                                                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                                                    >
+                                                        {stocktake.status === 'open' ? 'Continue Count' : 'View'}
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {isStarting && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+                    <form onSubmit={handleStart} className="bg-white rounded-xl shadow-xl w-full max-w-md">
+                        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">Start Stock Count</h2>
+                            <button type="button" onClick={() => setIsStarting(false)} className="text-gray-400 hover:text-gray-600">
+                                <X className="h-5 w-5" />
+                            </button>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">What to count</label>
+                                <select
+                                    value={startForm.category_id}
+                                    onChange={(e) => setStartForm(prev => ({ ...prev, category_id: e.target.value }))}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                >
+                                    <option value="">All stock-tracked categories</option>
+                                    {categories.map(category => (
+                                        <option key={category.id} value={category.id}>{category.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {locations.length > 1 && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Where</label>
+                                    <select
+                                        value={startForm.location_id}
+                                        onChange={(e) => setStartForm(prev => ({ ...prev, location_id: e.target.value }))}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="">All locations</option>
+                                        {locations.map(location => (
+                                            <option key={location.id} value={location.id}>{location.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <textarea
+                                    rows="2"
+                                    value={startForm.notes}
+                                    onChange={(e) => setStartForm(prev => ({ ...prev, notes: e.target.value }))}
+                                    placeholder="e.g. Q3 count, storeroom B"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                            </div>
+                            <p className="text-xs text-gray-500">
+                                Stock can still be issued and received while the count is open; each count is compared with the system quantity at the moment it is entered.
+                            </p>
+                        </div>
+                        <div className="flex justify-end gap-2 px-6 py-4 bg-gray-50 rounded-b-xl">
+                            <button
+                                type="button"
+                                onClick={() => setIsStarting(false)}
+                                className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={starting}
+                                className="px-4 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                {starting ? 'Opening...' : 'Open Count'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+}
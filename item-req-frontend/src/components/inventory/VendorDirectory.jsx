@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Store, Search, ArrowLeft, RefreshCw, Plus, Edit, Mail, Phone, AlertTriangle } from 'lucide-react';
+import { vendorsAPI, categoriesAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { ToastContext } from '../../contexts/ToastContext';
+import VendorFormModal from './VendorFormModal';
+
+// The vendor directory: who supplies what, their accreditation and payment terms
+export default function VendorDirectory() {
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const { error } = useContext(ToastContext);
+
+    const canEdit = ['service_desk', 'super_administrator'].includes(user?.role);
+
+    const [loading, setLoading] = useState(true);
+    const [vendors, setVendors] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [searchInput, setSearchInput] = useState('');
+    const [search, setSearch] = useState('');
+    const [categoryFilter, setCategoryFilter] = useState('');
+    const [includeInactive, setIncludeInactive] = useState(false);
+    // null when closed, {} when adding, the vendor when editing
+    const [editing, setEditing] = useState(null);
+
+    useEffect(() => {
+        categoriesAPI.getAll()
+            .then(response => setCategories(response.data))
+            .catch(err => console.error('Error loading categories:', err));
+    }, []);
+
+    const loadData = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await vendorsAPI.getAll({
+                search: search || undefined,
+                category_id: categoryFilter || undefined,
+                include_inactive: includeInactive || undefined
+            });
+            setVendors(response.data.vendors);
+        } catch (err) {
+            console.error('Error loading vendors:', err);
+            error('Failed to load vendors');
+        } finally {
+            setLoading(false);
+        }
+    }, [search, categoryFilter, includeInactive, error]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-7xl mx-auto">
+                <div className="flex items-center justify-between mb-8">
+                    <div className="flex items-center space-x-4">
+                        <button onClick={() => navigate('/dashboard')} className="p-2 hover:bg-gray-200 rounded-full">
+                            <ArrowLeft className="h-6 w-6 text-gray-600" />
+                        </button>
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+                                <Store className="h-8 w-8 mr-3 text-blue-600" />
+                                Vendors
+                            </h1>
+                            <p className="text-sm text-gray-500 mt-1">
+                                Suppliers that can be asked for quotations
+                            </p>
+                        </div>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                        <button
+                            onClick={loadData}
+                            disabled={loading}
+                            className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+                        >
+                            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                            <span>Refresh</span>
+                        </button>
+                        {canEdit && (
+                            <button
+                                onClick={() => setEditing({})}
+                                className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 shadow-sm"
+                            >
+                                <Plus className="h-4 w-4" />
+                                <span>Add Vendor</span>
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                <div className="mb-6 flex flex-col md:flex-row gap-3">
+                    <form onSubmit={(e) => { e.preventDefault(); setSearch(searchInput.trim()); }} className="relative flex-1">
+                        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                        <input
+                            type="text"
+                            placeholder="Search by name, contact, email or accreditation number..."
+                            className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white shadow-sm"
+                            value={searchInput}
+                            onChange={(e) => setSearchInput(e.target.value)}
+                        />
+                    </form>
+                    <select
+                        value={categoryFilter}
+                        onChange={(e) => setCategoryFilter(e.target.value)}
+                        className="px-3 py-3 border border-gray-300 rounded-lg bg-white shadow-sm text-sm"
+                    >
+                        <option value="">All Categories</option>
+                        {categories.map(category => (
+                            <option key={category.id} value={category.id}>{category.name}</option>
+                        ))}
+                    </select>
+                    <label className="flex items-center space-x-2 px-3 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={includeInactive}
+                            onChange={(e) => setIncludeInactive(e.target.checked)}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        <span>Show inactive</span>
+                    </label>
+                </div>
+
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                    {loading && vendors.length === 0 ? (
+                        <div className="p-12 text-center text-gray-500">
+                            <RefreshCw className="h-8 w-8 mx-auto mb-4 animate-spin text-blue-500" />
+                            Loading vendors...
+                        </div>
+                    ) : vendors.length === 0 ? (
+                        <div className="p-12 text-center text-gray-500">
+                            No vendors found.
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Categories</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Accreditation</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment Terms</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                        {canEdit && <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>}
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {vendors.map(vendor => (
+                                        <tr key={vendor.id} className="hover:bg-gray-50 transition-colors align-top">
+                                            <td className="px-6 py-4">
+                                                <div className="text-sm font-medium text-gray-900">{vendor.name}</div>
+                                                {vendor.contact_person && <div className="text-sm text-gray-500">{vendor.contact_person}</div>}
+                                                {vendor.email && (
+                                                    <div className="flex items-center text-xs text-gray-500 mt-1">
+                                                        <Mail className="h-3 w-3 mr-1" /> {vendor.email}
+                                                    </div>
+                                                )}
+                                                {vendor.phone && (
+                                                    <div className="flex items-center text-xs text-gray-500">
+                                                        <Phone className="h-3 w-3 mr-1" /> {vendor.phone}
+                                                    </div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4">
+                                                <div className="flex flex-wrap gap-1">
+                                                    {vendor.categories.length === 0 ? (
+                                                        <span className="text-sm text-gray-400">—</span>
+                                                    ) : vendor.categories.map(category => (
+                                                        <span key={category.id} className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+                                                            {category.name}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <div className="text-sm text-gray-900">{vendor.accreditation_number || '—'}</div>
+                                                {vendor.accreditation_expires_on && (
+                                                    <div className={`flex items-center text-xs mt-1 ${vendor.accreditation_expired ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                                                        {vendor.accreditation_expired && <AlertTriangle className="h-3 w-3 mr-1" />}
+                                                        {vendor.accreditation_expired ? 'Expired' : 'Expires'} {formatDate(vendor.accreditation_expires_on)}
+                                                    </div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                                                {vendor.payment_terms || '—'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${vendor.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                                                    {vendor.is_active ? 'Active' : 'Inactive'}
+                                                </span>
+                                            </td>
+                                            {canEdit && (
+                                                <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                    <button
+                                                        onClick={() => setEditing(vendor)}
+                                                        className="p-1.5 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-md"
+                                                        title="Edit vendor"
+                                                    >
+                                                        <Edit className="h-4 w-4" />
+                                                    </button>
+                                                </td>
+                                            )}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {editing && (
+                <VendorFormModal
+                    vendor={editing.id ? editing : null}
+                    categories={categories}
+                    onClose={() => setEditing(null)}
+                    onSaved={() => { setEditing(null); loadData(); }}
+                />
+            )}
+        </div>
+    );
+}
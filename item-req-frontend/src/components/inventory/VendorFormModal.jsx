@@ -0,0 +1,168 @@
+import React, { useState, useContext } from 'react';
+import { X, Store } from 'lucide-react';
+import { vendorsAPI } from '../../services/api';
+import { ToastContext } from '../../contexts/ToastContext';
+
+const initialForm = (vendor) => ({
+    name: vendor?.name || '',
+    contact_person: vendor?.contact_person || '',
+    email: vendor?.email || '',
+    phone: vendor?.phone || '',
+    address: vendor?.address || '',
+    category_ids: vendor?.category_ids || [],
+    accreditation_number: vendor?.accreditation_number || '',
+    accreditation_expires_on: vendor?.accreditation_expires_on || '',
+    payment_terms: vendor?.payment_terms || '',
+    notes: vendor?.notes || '',
+    is_active: vendor?.is_active ?? true
+});
+
+// Add a vendor to the directory or edit one. The form is filled from `vendor` when it mounts.
+const VendorFormModal = ({ vendor, categories, onClose, onSaved }) => {
+    const { success, error } = useContext(ToastContext);
+    const [formData, setFormData] = useState(() => initialForm(vendor));
+    const [saving, setSaving] = useState(false);
+
+    const isEdit = Boolean(vendor);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const toggleCategory = (categoryId) => {
+        setFormData(prev => ({
+            ...prev,
+            category_ids: prev.category_ids.includes(categoryId)
+                ? prev.category_ids.filter(id => id !== categoryId)
+                : [...prev.category_ids, categoryId]
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            const response = isEdit
+                ? await vendorsAPI.update(vendor.id, formData)
+                : await vendorsAPI.create(formData);
+            success(response.data.message);
+            onSaved(response.data.vendor);
+        } catch (err) {
+            console.error('Error saving vendor:', err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to save vendor');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm border px-3 py-2';
+    const labelClass = 'block text-sm font-medium text-gray-700';
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+                <div className="fixed inset-0 transition-opacity" aria-hidden="true" onClick={onClose}>
+                    <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+                </div>
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+                <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+                    <form onSubmit={handleSubmit}>
+                        <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                            <div className="flex justify-between items-start mb-4">
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center">
+                                    <Store className="h-5 w-5 mr-2 text-blue-600" />
+                                    {isEdit ? `Edit ${vendor.name}` : 'Add Vendor'}
+                                </h3>
+                                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                                    <X className="h-6 w-6" />
+                                </button>
+                            </div>
+
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                <div className="sm:col-span-2">
+                                    <label className={labelClass}>Name *</label>
+                                    <input type="text" name="name" value={formData.name} onChange={handleChange} required maxLength={200} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Contact Person</label>
+                                    <input type="text" name="contact_person" value={formData.contact_person} onChange={handleChange} maxLength={200} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Email</label>
+                                    <input type="email" name="email" value={formData.email} onChange={handleChange} maxLength={255} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Phone</label>
+                                    <input type="text" name="phone" value={formData.phone} onChange={handleChange} maxLength={50} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Payment Terms</label>
+                                    <input type="text" name="payment_terms" value={formData.payment_terms} onChange={handleChange} maxLength={100} placeholder="e.g. 30 days net" className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Accreditation Number</label>
+                                    <input type="text" name="accreditation_number" value={formData.accreditation_number} onChange={handleChange} maxLength={100} className={inputClass} />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Accreditation Expires</label>
+                                    <input type="date" name="accreditation_expires_on" value={formData.accreditation_expires_on} onChange={handleChange} className={inputClass} />
+                                </div>
+                                <div className="sm:col-span-2">
+                                    <label className={labelClass}>Address</label>
+                                    <textarea name="address" value={formData.address} onChange={handleChange} rows={2} maxLength={2000} className={inputClass} />
+                                </div>
+                                <div className="sm:col-span-2">
+                                    <label className={labelClass}>Categories Supplied</label>
+                                    <div className="mt-2 flex flex-wrap gap-2">
+                                        {categories.map(category => {
+                                            const selected = formData.category_ids.includes(category.id);
+                                            return (
+                                                <button
+                                                    key={category.id}
+                                                    type="button"
+                                                    onClick={() => toggleCategory(category.id)}
+                                                    className={`px-3 py-1 rounded-full text-xs font-medium border ${selected ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                                                >
+                                                    {category.name}
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                </div>
+                                <div className="sm:col-span-2">
+                                    <label className={labelClass}>Notes</label>
+                                    <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} maxLength={2000} className={inputClass} />
+                                </div>
+                                {isEdit && (
+                                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                        <input type="checkbox" name="is_active" checked={formData.is_active} onChange={handleChange} className="rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                                        <span>Active (available for new quotations)</span>
+                                    </label>
+                                )}
+                            </div>
+                        </div>
+                        <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-end space-x-3">
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={saving}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                {saving ? 'Saving...' : 'Save Vendor'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VendorFormModal;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { UserCog, Bell, Save, RefreshCw } from 'lucide-react';
+import { notificationsAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useToast } from '../../hooks/useToast';
+
+const MODE_LABELS = {
+    immediate: 'Email right away',
+    digest: 'Daily digest',
+    in_app: 'In-app only',
+    off: 'Off'
+};
+
+const ProfileSettings = () => {
+    const { user } = useAuth();
+    const toast = useToast();
+    const [eventTypes, setEventTypes] = useState([]);
+    const [modes, setModes] = useState([]);
+    const [preferences, setPreferences] = useState({});
+    const [savedPreferences, setSavedPreferences] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+
+    const fetchPreferences = async () => {
+        try {
+            setLoading(true);
+            const res = await notificationsAPI.getPreferences();
+            setEventTypes(res.data.eventTypes || []);
+            setModes(res.data.modes || []);
+            setPreferences(res.data.preferences || {});
+            setSavedPreferences(res.data.preferences || {});
+        } catch (err) {
+            console.error('Error loading notification preferences:', err);
+            toast.error('Failed to load notification preferences.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    useEffect(() => { fetchPreferences(); }, []);
+
+    const hasChanges = eventTypes.some(({ key }) => preferences[key] !== savedPreferences[key]);
+
+    const handleSetAll = (mode) => {
+        setPreferences(Object.fromEntries(eventTypes.map(({ key }) => [key, mode])));
+    };
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            const res = await notificationsAPI.updatePreferences(preferences);
+            setPreferences(res.data.preferences);
+            setSavedPreferences(res.data.preferences);
+            toast.success('Notification preferences saved');
+        } catch (err) {
+            console.error('Error saving notification preferences:', err);
+            toast.error(err.response?.data?.message || 'Failed to save notification preferences.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-6">
+            <div className="max-w-4xl mx-auto">
+                {/* Header */}
+                <div className="flex items-center gap-3 mb-8">
+                    <div className="p-2 bg-blue-600 rounded-xl">
+                        <UserCog className="h-6 w-6 text-white" />
+                    </div>
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Profile Settings</h1>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            {user?.fullName}{user?.email ? ` · ${user.email}` : ''}
+                        </p>
+                    </div>
+                </div>
+
+                {/* Notification Preferences */}
+                <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+                    <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between gap-4">
+                        <div className="flex items-center gap-2">
+                            <Bell className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+                            <div>
+                                <h2 className="font-semibold text-gray-900 dark:text-white">Notifications</h2>
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                    Choose how you hear about each event. The daily digest sends one summary email a day; in-app notifications appear under the bell.
+                                </p>
+                            </div>
+                        </div>
+                        <button
+                            onClick={fetchPreferences}
+                            className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                            title="Reload"
+                        >
+                            <RefreshCw className="h-4 w-4" />
+                        </button>
+                    </div>
+
+                    {loading ? (
+                        <div className="flex justify-center py-12">
+                            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr className="bg-gray-50 dark:bg-gray-900/40 text-gray-600 dark:text-gray-300">
+                                            <th className="px-6 py-3 text-left font-medium">Event</th>
+                                            {modes.map(mode => (
+                                                <th key={mode} className="px-4 py-3 text-center font-medium">
+                                                    <button
+                                                        onClick={() => handleSetAll(mode)}
+                                                        className="hover:text-blue-600 dark:hover:text-blue-400"
+                                                        title={`Set all to ${MODE_LABELS[mode] || mode}`}
+                                                    >
+                                                        {MODE_LABELS[mode] || mode}
+                                                    </button>
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                                        {eventTypes.map(({ key, label }) => (
+                                            <tr key={key}>
+                                                <td className="px-6 py-3 text-gray-900 dark:text-white">{label}</td>
+                                                {modes.map(mode => (
+                                                    <td key={mode} className="px-4 py-3 text-center">
+                                                        <input
+                                                            type="radio"
+                                                            name={`pref-${key}`}
+                                                            checked={preferences[key] === mode}
+                                                            onChange={() => setPreferences(prev => ({ ...prev, [key]: mode }))}
+                                                            className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+                                                        />
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex justify-end">
+                                <button
+                                    onClick={handleSave}
+                                    disabled={!hasChanges || saving}
+                                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    <Save className="h-4 w-4" />
+                                    {saving ? 'Saving...' : 'Save Preferences'}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProfileSettings;
@@ -0,0 +1,267 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { CheckCircle, XCircle, RotateCcw, AlertCircle, Package, Car, Mail } from 'lucide-react';
+import { emailActionsAPI } from '../../services/api';
+
+const ACTIONS = {
+  approve: {
+    label: 'Approve',
+    done: 'approved',
+    icon: CheckCircle,
+    button: 'bg-green-600 hover:bg-green-700 focus:ring-green-500',
+    selected: 'border-green-500 bg-green-50 text-green-700'
+  },
+  decline: {
+    label: 'Decline',
+    done: 'declined',
+    icon: XCircle,
+    button: 'bg-red-600 hover:bg-red-700 focus:ring-red-500',
+    selected: 'border-red-500 bg-red-50 text-red-700'
+  },
+  return: {
+    label: 'Return',
+    done: 'returned for revision',
+    icon: RotateCcw,
+    button: 'bg-gray-600 hover:bg-gray-700 focus:ring-gray-500',
+    selected: 'border-gray-500 bg-gray-50 text-gray-700'
+  }
+};
+
+const EmailActionPage = () => {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const [loading, setLoading] = useState(true);
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState('');
+  const [action, setAction] = useState(ACTIONS[searchParams.get('action')] ? searchParams.get('action') : 'approve');
+  const [comments, setComments] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const loadDetails = async () => {
+      try {
+        const response = await emailActionsAPI.get(token);
+        setDetails(response.data);
+      } catch (err) {
+        console.error('Error loading email action:', err);
+        setError(err.response?.data?.message || 'This link could not be loaded.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDetails();
+  }, [token]);
+
+  const commentRequired = action !== 'approve';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (commentRequired && !comments.trim()) {
+      setError(`Please give a reason for ${action === 'decline' ? 'declining' : 'returning'} this request.`);
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await emailActionsAPI.submit(token, { action, comments: comments.trim(), version: details.request?.version });
+      setResult(response.data);
+    } catch (err) {
+      console.error('Error submitting email action:', err);
+      setError(err.response?.data?.message || 'The action could not be completed. Please try again or open the request in the app.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const request = details?.request;
+  const requestPath = request
+    ? `${request.formType === 'vehicle_request' ? '/service-vehicle-requests' : '/requests'}/${request.id}`
+    : '/login';
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      );
+    }
+
+    if (result) {
+      const ResultIcon = ACTIONS[result.action].icon;
+      return (
+        <div className="text-center py-6">
+          <ResultIcon className="w-12 h-12 text-green-600 mx-auto mb-3" />
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+            Request {request?.number} {ACTIONS[result.action].done}
+          </h2>
+          {result.message && (
+            <p className="text-gray-600 dark:text-gray-400 mb-4">{result.message}</p>
+          )}
+          <Link to={requestPath} className="text-sm text-blue-600 hover:text-blue-700">
+            Open the request in the app
+          </Link>
+        </div>
+      );
+    }
+
+    if (!details) {
+      return (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4 flex items-start">
+          <AlertCircle className="h-5 w-5 text-red-400 mt-0.5 mr-2 flex-shrink-0" />
+          <div className="text-sm text-red-600">{error}</div>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {request && (
+          <div className="mb-6">
+            <div className="flex items-center gap-2 mb-3">
+              {request.formType === 'vehicle_request' ? (
+                <Car className="w-5 h-5 text-blue-600" />
+              ) : (
+                <Package className="w-5 h-5 text-blue-600" />
+              )}
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">{request.number}</h2>
+              <span className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded text-xs font-medium capitalize">
+                {request.status?.replace(/_/g, ' ')}
+              </span>
+            </div>
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+              <dt className="text-gray-500 dark:text-gray-400">Requestor</dt>
+              <dd className="text-gray-900 dark:text-white">{request.requestor || 'N/A'}</dd>
+              <dt className="text-gray-500 dark:text-gray-400">Department</dt>
+              <dd className="text-gray-900 dark:text-white">{request.department || 'N/A'}</dd>
+              {request.formType === 'vehicle_request' ? (
+                <>
+                  <dt className="text-gray-500 dark:text-gray-400">Request Type</dt>
+                  <dd className="text-gray-900 dark:text-white capitalize">{(request.requestType || 'N/A').replace(/_/g, ' ')}</dd>
+                  <dt className="text-gray-500 dark:text-gray-400">Travel Date</dt>
+                  <dd className="text-gray-900 dark:text-white">
+                    {request.travelDate ? new Date(request.travelDate).toLocaleDateString() : 'N/A'}
+                  </dd>
+                  <dt className="text-gray-500 dark:text-gray-400">Destination</dt>
+                  <dd className="text-gray-900 dark:text-white">{request.destination || 'N/A'}</dd>
+                  <dt className="text-gray-500 dark:text-gray-400">Purpose</dt>
+                  <dd className="text-gray-900 dark:text-white">{request.purpose || 'N/A'}</dd>
+                </>
+              ) : (
+                <>
+                  <dt className="text-gray-500 dark:text-gray-400">Priority</dt>
+                  <dd className="text-gray-900 dark:text-white capitalize">{request.priority}</dd>
+                  <dt className="text-gray-500 dark:text-gray-400">Items</dt>
+                  <dd className="text-gray-900 dark:text-white">
+                    {request.items.length > 0
+                      ? request.items.map(item => `${item.quantity} × ${item.description || item.category}`).join(', ')
+                      : 'N/A'}
+                  </dd>
+                </>
+              )}
+            </dl>
+          </div>
+        )}
+
+        {!details.usable ? (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4 flex items-start">
+            <AlertCircle className="h-5 w-5 text-yellow-500 mt-0.5 mr-2 flex-shrink-0" />
+            <div className="text-sm text-yellow-800">
+              {details.message}{' '}
+              <Link to={requestPath} className="text-blue-600 hover:text-blue-700 underline">
+                Open the request in the app
+              </Link>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-3 gap-2">
+              {Object.entries(ACTIONS).map(([key, config]) => {
+                const Icon = config.icon;
+                return (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => {
+                      setAction(key);
+                      setError('');
+                    }}
+                    className={`flex items-center justify-center gap-2 px-3 py-2 border rounded-md text-sm font-medium ${action === key
+                      ? config.selected
+                      : 'border-gray-300 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+                  >
+                    <Icon className="w-4 h-4" />
+                    {config.label}
+                  </button>
+                );
+              })}
+            </div>
+
+            <div>
+              <label htmlFor="comments" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                {commentRequired ? 'Reason (required)' : 'Comment (optional)'}
+              </label>
+              <textarea
+                id="comments"
+                rows={3}
+                maxLength={1000}
+                value={comments}
+                onChange={(e) => {
+                  setComments(e.target.value);
+                  setError('');
+                }}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                disabled={submitting}
+              />
+            </div>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-md p-3 flex items-start">
+                <AlertCircle className="h-5 w-5 text-red-400 mt-0.5 mr-2 flex-shrink-0" />
+                <div className="text-sm text-red-600">{error}</div>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={submitting}
+              className={`w-full px-4 py-2 text-white rounded-md focus:outline-none focus:ring-2 disabled:opacity-50 disabled:cursor-not-allowed ${ACTIONS[action].button}`}
+            >
+              {submitting ? 'Submitting...' : `Confirm ${ACTIONS[action].label}`}
+            </button>
+
+            <p className="text-xs text-gray-500 dark:text-gray-400 text-center">
+              Acting as {details.approver}. This link works once and expires on {new Date(details.expiresAt).toLocaleString()}.
+            </p>
+          </form>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800 p-4 transition-colors duration-200">
+      <div className="max-w-xl mx-auto">
+        <div className="text-center mb-6 pt-8">
+          <div className="mx-auto h-16 w-16 bg-blue-600 rounded-full flex items-center justify-center mb-4">
+            <Mail className="text-white w-8 h-8" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Confirm Approval Action
+          </h1>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 transition-colors duration-200">
+          {renderBody()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailActionPage;
@@ -0,0 +1,338 @@
+import React, { useState, useContext } from 'react';
+import { FileText, Plus, Trash2, Award, AlertTriangle, X } from 'lucide-react';
+import { quotationsAPI, vendorsAPI, getBaseUrl } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { ToastContext } from '../../contexts/ToastContext';
+
+// Matches MAX_QUOTATIONS_PER_ITEM on the server; the server has the final say
+const MAX_QUOTATIONS = 3;
+
+// Quotations can't change once the request is closed
+const CLOSED_STATUSES = ['department_declined', 'endorser_declined', 'it_manager_declined', 'cancelled', 'completed'];
+
+const formatMoney = (value) => (value === null || value === undefined
+    ? '—'
+    : Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+
+const emptyQuote = { vendor_id: '', unit_price: '', lead_time_days: '', valid_until: '', notes: '' };
+
+// Vendor quotations for one request item, compared side by side, with the selected one and why
+export default function ItemQuotations({ item, requestStatus, onChanged }) {
+    const { user } = useAuth();
+    const { success, error } = useContext(ToastContext);
+
+    const canManage = ['service_desk', 'super_administrator'].includes(user?.role);
+    const canSelect = ['service_desk', 'it_manager', 'super_administrator'].includes(user?.role);
+    const isOpen = !CLOSED_STATUSES.includes(requestStatus);
+
+    const [adding, setAdding] = useState(false);
+    const [vendors, setVendors] = useState([]);
+    const [quote, setQuote] = useState(emptyQuote);
+    const [file, setFile] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [selecting, setSelecting] = useState(null);
+    const [reason, setReason] = useState('');
+
+    const quotations = item.quotations || [];
+
+    if (!canSelect || (quotations.length === 0 && !(canManage && isOpen))) return null;
+
+    const startAdding = async () => {
+        setAdding(true);
+        try {
+            const response = await vendorsAPI.getAll();
+            setVendors(response.data.vendors);
+        } catch (err) {
+            console.error('Error loading vendors:', err);
+            error('Failed to load vendors');
+        }
+    };
+
+    const cancelAdding = () => {
+        setAdding(false);
+        setQuote(emptyQuote);
+        setFile(null);
+    };
+
+    const handleAdd = async () => {
+        if (!quote.vendor_id || quote.unit_price === '') {
+            error('Choose a vendor and enter the unit price');
+            return;
+        }
+        const formData = new FormData();
+        formData.append('request_item_id', item.id);
+        Object.entries(quote).forEach(([key, value]) => {
+            if (value !== '') formData.append(key, value);
+        });
+        if (file) formData.append('file', file);
+
+        try {
+            setSaving(true);
+            const response = await quotationsAPI.create(formData);
+            success(response.data.message);
+            cancelAdding();
+            onChanged();
+        } catch (err) {
+            console.error('Error adding quotation:', err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to add quotation');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRemove = async (quotation) => {
+        try {
+            setSaving(true);
+            const response = await quotationsAPI.delete(quotation.id);
+            success(response.data.message);
+            onChanged();
+        } catch (err) {
+            console.error('Error removing quotation:', err);
+            error(err.response?.data?.message || 'Failed to remove quotation');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSelect = async () => {
+        if (!reason.trim()) {
+            error('Give the reason for selecting this quotation');
+            return;
+        }
+        try {
+            setSaving(true);
+            const response = await quotationsAPI.select(selecting.id, { reason: reason.trim() });
+            success(response.data.message);
+            setSelecting(null);
+            setReason('');
+            onChanged();
+        } catch (err) {
+            console.error('Error selecting quotation:', err);
+            error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to select quotation');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = 'w-full border border-gray-300 rounded-md px-2 py-1 text-xs focus:ring-blue-500 focus:border-blue-500';
+
+    return (
+        <div className="w-full mt-2 border border-gray-200 rounded-md no-print">
+            <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-b border-gray-200">
+                <span className="text-xs font-semibold text-gray-700">
+                    Quotations ({quotations.length}/{MAX_QUOTATIONS})
+                </span>
+                {canManage && isOpen && !adding && quotations.length < MAX_QUOTATIONS && (
+                    <button
+                        type="button"
+                        onClick={startAdding}
+                        className="inline-flex items-center text-xs text-blue-600 hover:text-blue-800"
+                    >
+                        <Plus className="h-3 w-3 mr-1" /> Add Quotation
+                    </button>
+                )}
+            </div>
+
+            {quotations.length > 0 && (
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead>
+                        <tr>
+                            <th className="px-3 py-1.5 text-left text-[10px] font-medium text-gray-500 uppercase">Vendor</th>
+                            <th className="px-3 py-1.5 text-right text-[10px] font-medium text-gray-500 uppercase">Unit Price</th>
+                            <th className="px-3 py-1.5 text-right text-[10px] font-medium text-gray-500 uppercase">Total (x{item.quantity})</th>
+                            <th className="px-3 py-1.5 text-left text-[10px] font-medium text-gray-500 uppercase">Lead Time</th>
+                            <th className="px-3 py-1.5 text-left text-[10px] font-medium text-gray-500 uppercase">Valid Until</th>
+                            <th className="px-3 py-1.5 text-left text-[10px] font-medium text-gray-500 uppercase">Quote</th>
+                            <th className="px-3 py-1.5"></th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {quotations.map(quotation => (
+                            <tr key={quotation.id} className={`align-top ${quotation.isSelected ? 'bg-green-50' : ''}`}>
+                                <td className="px-3 py-2 text-xs text-gray-900">
+                                    <div className="font-medium flex items-center">
+                                        {quotation.isSelected && <Award className="h-3 w-3 mr-1 text-green-600" />}
+                                        {quotation.vendor.name}
+                                    </div>
+                                    {quotation.vendor.paymentTerms && (
+                                        <div className="text-gray-500">{quotation.vendor.paymentTerms}</div>
+                                    )}
+                                    {quotation.vendor.accreditationExpired && (
+                                        <div className="flex items-center text-red-600">
+                                            <AlertTriangle className="h-3 w-3 mr-1" /> Accreditation expired
+                                        </div>
+                                    )}
+                                    {quotation.notes && <div className="text-gray-500 italic">{quotation.notes}</div>}
+                                    {quotation.isSelected && (
+                                        <div className="text-green-700 mt-1">
+                                            Selected by {quotation.selectedBy || 'N/A'}
+                                            {quotation.selectedAt && ` on ${new Date(quotation.selectedAt).toLocaleDateString()}`}
+                                            : {quotation.selectionReason}
+                                        </div>
+                                    )}
+                                </td>
+                                <td className="px-3 py-2 text-xs text-gray-900 text-right whitespace-nowrap">{formatMoney(quotation.unitPrice)}</td>
+                                <td className="px-3 py-2 text-xs text-gray-900 text-right whitespace-nowrap">{formatMoney(quotation.totalPrice)}</td>
+                                <td className="px-3 py-2 text-xs text-gray-700 whitespace-nowrap">
+                                    {quotation.leadTimeDays !== null ? `${quotation.leadTimeDays} day${quotation.leadTimeDays === 1 ? '' : 's'}` : '—'}
+                                </td>
+                                <td className="px-3 py-2 text-xs text-gray-700 whitespace-nowrap">
+                                    {quotation.validUntil ? new Date(quotation.validUntil).toLocaleDateString() : '—'}
+                                </td>
+                                <td className="px-3 py-2 text-xs">
+                                    {quotation.file ? (
+                                        <a
+                                            href={`${getBaseUrl()}${quotation.file.path}`}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="flex items-center text-blue-600 hover:underline"
+                                        >
+                                            <FileText className="h-3 w-3 mr-1" />
+                                            {quotation.file.originalName}
+                                        </a>
+                                    ) : '—'}
+                                </td>
+                                <td className="px-3 py-2 text-xs text-right whitespace-nowrap">
+                                    {isOpen && (
+                                        <div className="flex justify-end items-center gap-2">
+                                            {!quotation.isSelected && (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => { setSelecting(quotation); setReason(''); }}
+                                                    disabled={saving}
+                                                    className="px-2 py-1 rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                                                >
+                                                    Select
+                                                </button>
+                                            )}
+                                            {canManage && (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleRemove(quotation)}
+                                                    disabled={saving}
+                                                    className="p-1 text-gray-500 hover:text-red-600"
+                                                    title="Remove quotation"
+                                                >
+                                                    <Trash2 className="h-3 w-3" />
+                                                </button>
+                                            )}
+                                        </div>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {selecting && (
+                <div className="px-3 py-2 border-t border-gray-200 bg-green-50 flex items-start gap-2">
+                    <textarea
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        rows={2}
+                        maxLength={2000}
+                        placeholder={`Why ${selecting.vendor.name}? e.g. lowest price, shortest lead time...`}
+                        className={inputClass}
+                    />
+                    <button
+                        type="button"
+                        onClick={handleSelect}
+                        disabled={saving}
+                        className="px-3 py-1 text-xs rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 whitespace-nowrap"
+                    >
+                        {saving ? 'Saving...' : 'Confirm Selection'}
+                    </button>
+                    <button type="button" onClick={() => setSelecting(null)} className="p-1 text-gray-400 hover:text-gray-600">
+                        <X className="h-4 w-4" />
+                    </button>
+                </div>
+            )}
+
+            {adding && (
+                <div className="px-3 py-2 border-t border-gray-200 grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+                    <div className="md:col-span-2">
+                        <label className="block text-[10px] font-medium text-gray-500">Vendor *</label>
+                        <select
+                            value={quote.vendor_id}
+                            onChange={(e) => setQuote(prev => ({ ...prev, vendor_id: e.target.value }))}
+                            className={inputClass}
+                        >
+                            <option value="">Select vendor...</option>
+                            {vendors.map(vendor => (
+                                <option key={vendor.id} value={vendor.id}>
+                                    {vendor.name}{vendor.accreditation_expired ? ' (accreditation expired)' : ''}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-[10px] font-medium text-gray-500">Unit Price *</label>
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={quote.unit_price}
+                            onChange={(e) => setQuote(prev => ({ ...prev, unit_price: e.target.value }))}
+                            className={inputClass}
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-[10px] font-medium text-gray-500">Lead Time (days)</label>
+                        <input
+                            type="number"
+                            min="0"
+                            value={quote.lead_time_days}
+                            onChange={(e) => setQuote(prev => ({ ...prev, lead_time_days: e.target.value }))}
+                            className={inputClass}
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-[10px] font-medium text-gray-500">Valid Until</label>
+                        <input
+                            type="date"
+                            value={quote.valid_until}
+                            onChange={(e) => setQuote(prev => ({ ...prev, valid_until: e.target.value }))}
+                            className={inputClass}
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-[10px] font-medium text-gray-500">Quote File</label>
+                        <input
+                            type="file"
+                            onChange={(e) => setFile(e.target.files?.[0] || null)}
+                            className="w-full text-xs"
+                        />
+                    </div>
+                    <div className="col-span-2 md:col-span-4">
+                        <label className="block text-[10px] font-medium text-gray-500">Notes</label>
+                        <input
+                            type="text"
+                            value={quote.notes}
+                            maxLength={2000}
+                            onChange={(e) => setQuote(prev => ({ ...prev, notes: e.target.value }))}
+                            className={inputClass}
+                        />
+                    </div>
+                    <div className="col-span-2 flex justify-end gap-2">
+                        <button
+                            type="button"
+                            onClick={cancelAdding}
+                            className="px-3 py-1 text-xs border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="button"
+                            onClick={handleAdd}
+                            disabled={saving}
+                            className="px-3 py-1 text-xs rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {saving ? 'Saving...' : 'Add'}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Plus, Search, FileText, Download } from 'lucide-react';
 import jsPDF from 'jspdf';
@@ -6,6 +6,7 @@ import autoTable from 'jspdf-autotable';
 import STC_LOGO from '../../assets/STC_LOGO.png';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useRealtimeEvents } from '../../hooks/useRealtimeEvents';
 import { settingsAPI } from '../../services/api';
 import ModuleStatsGrid from '../dashboard/ModuleStats';
 import ModuleTable from '../dashboard/ModuleTable';
@@ -68,10 +69,19 @@ const ModuleRequestsPage = ({ moduleConfig }) => {
         loadData();
     }, [moduleConfig.id, filters]);
 
+    // Refresh in place when someone changes a request in this queue (debounced: one approval
+    // touches the request and its approval row)
+    const liveRefreshTimer = useRef(null);
+    useRealtimeEvents({ queues: [moduleConfig.formType] }, () => {
+        clearTimeout(liveRefreshTimer.current);
+        liveRefreshTimer.current = setTimeout(() => loadData({ silent: true }), 1000);
+    });
+    useEffect(() => () => clearTimeout(liveRefreshTimer.current), []);
+
     // Data Loading
-    const loadData = async () => {
+    const loadData = async ({ silent = false } = {}) => {
         try {
-            setLoading(true);
+            if (!silent) setLoading(true);
             const queryParams = { ...filters };
 
             const [listRes, statsRes] = await Promise.all([
@@ -289,6 +299,10 @@ const ModuleRequestsPage = ({ moduleConfig }) => {
                                 setSelectedRequestIds(new Set());
                             }
                         }}
+                        onBulkComplete={(failedIds) => {
+                            setSelectedRequestIds(new Set(failedIds));
+                            loadData();
+                        }}
                     />
                 </div>
             </main>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext } from "react";
+import React, { useState, useEffect, useContext, useRef } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import {
   Plus,
@@ -16,13 +16,18 @@ import {
   X,
   Package,
   ShieldAlert,
+  Clock,
+  RefreshCw,
+  ShoppingCart,
 } from "lucide-react";
 import { useAuth } from "../../contexts/AuthContext";
 import { ToastContext } from "../../contexts/ToastContext";
+import { useRealtimeEvents } from "../../hooks/useRealtimeEvents";
 import {
   requestsAPI,
   departmentsAPI,
   categoriesAPI,
+  assetsAPI,
   settingsAPI,
   PRIORITY_OPTIONS,
   getBaseUrl,
@@ -31,11 +36,49 @@ import STC_LOGO from "../../assets/STC_LOGO.png";
 import SignatureModal from "../common/SignatureModal";
 import ActionModal from "../common/ActionModal";
 import ConfirmDialog from "../common/ConfirmDialog";
+import ConflictDialog from "../common/ConflictDialog";
 import ReturnRequestModal from "./ReturnRequestModal";
+import ItemQuotations from "./ItemQuotations";
 import ReplenishmentModal from "../inventory/ReplenishmentModal";
+import PurchaseRequisitionModal from "../inventory/PurchaseRequisitionModal";
 import VerifierAssignmentModal from "./VerifierAssignmentModal";
 import VerificationResponseModal from "./VerificationResponseModal";
 
+// Fields compared when a save collides with someone else's change (HTTP 409)
+const CONFLICT_FIELDS = [
+  ["status", "Status"],
+  ["userName", "User name"],
+  ["userPosition", "Position"],
+  ["priority", "Priority"],
+  ["comments", "Comments"],
+];
+
+const describeItems = (items = []) =>
+  items
+    .map((item) => {
+      const decision = item.approvalStatus && item.approvalStatus !== "pending" ? ` (${item.approvalStatus})` : "";
+      return `${item.quantity} × ${item.category}${decision}`;
+    })
+    .join(", ");
+
+const describeRequestDifferences = (mine, current) => {
+  const differences = CONFLICT_FIELDS.filter(
+    ([field]) => String(mine[field] ?? "") !== String(current[field] ?? ""),
+  ).map(([field, label]) => ({
+    label,
+    mine: String(mine[field] ?? ""),
+    theirs: String(current[field] ?? ""),
+  }));
+
+  const myItems = describeItems(mine.items);
+  const theirItems = describeItems(current.items);
+  if (myItems !== theirItems) {
+    differences.push({ label: "Items", mine: myItems, theirs: theirItems });
+  }
+
+  return differences;
+};
+
 const RequestForm = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -44,6 +87,7 @@ const RequestForm = () => {
     success: toastSuccess,
     error: toastError,
     warning: toastWarning,
+    info: toastInfo,
   } = useContext(ToastContext);
 
   const currentPath = window.location.pathname;
@@ -72,6 +116,8 @@ const RequestForm = () => {
   const [requestData, setRequestData] = useState(null);
   const [categories, setCategories] = useState([]);
   const [generalPurposes, setGeneralPurposes] = useState([]);
+  // Equipment held by the requestor or their department, for replacement items to point at
+  const [replaceableAssets, setReplaceableAssets] = useState([]);
   const [formData, setFormData] = useState({
     userName:
       user?.fullName ||
@@ -85,6 +131,7 @@ const RequestForm = () => {
     items: [
       {
         category: "laptop",
+        skuId: null,
         itemDescription: "",
         quantity: 1,
         inventoryNumber: "",
@@ -146,6 +193,8 @@ const RequestForm = () => {
   const [showReplenishmentModal, setShowReplenishmentModal] = useState(false);
   const [lowStockItems, setLowStockItems] = useState([]);
   const [pendingApprovalData, setPendingApprovalData] = useState(null); // To store approval data while waiting for replenishment inputs
+  const [showPurchaseRequisitionModal, setShowPurchaseRequisitionModal] =
+    useState(false);
 
   const canEditReturned =
     requestData?.status === "returned" &&
@@ -255,6 +304,7 @@ const RequestForm = () => {
 
         const response = await requestsAPI.uploadAttachments(id, formData);
         setAttachments(response.data.attachments);
+        setRequestData((prev) => ({ ...prev, version: response.data.version }));
         toastSuccess("Files uploaded successfully");
       } catch (error) {
         console.error("Error uploading files:", error);
@@ -293,13 +343,16 @@ const RequestForm = () => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
   };
 
+  // Approved items to be bought that no purchase requisition covers yet
+  const uncoveredPurchaseItems = formData.items.filter(
+    (item) =>
+      item.approvalStatus === "approved" &&
+      item.endorserStatus === "needs_pr" &&
+      !item.purchaseRequisition,
+  );
+
   const handleApprovePR = async () => {
     try {
-      if (attachments.length === 0) {
-        toastWarning("Please upload PR/Attachment before approving.");
-        return;
-      }
-
       setLoading(true);
       await requestsAPI.approvePR(id);
       toastSuccess("PR Approved successfully");
@@ -354,6 +407,64 @@ const RequestForm = () => {
     }
   }, [id]);
 
+  // Live updates: someone else approved, returned, attached files, etc. while this is open.
+  // Untouched forms refresh in place; forms with unsaved input get a banner instead.
+  const [remoteChange, setRemoteChange] = useState(null);
+  const loadedFormRef = useRef(null);
+  const remoteChangeTimer = useRef(null);
+
+  useRealtimeEvents(
+    { requests: id ? [{ formType: "item_request", requestId: id }] : [] },
+    (event) => {
+      if (event.changedBy?.id && event.changedBy.id === user?.id) return;
+
+      // An approval touches both the request and its approval row; handle them as one change
+      clearTimeout(remoteChangeTimer.current);
+      remoteChangeTimer.current = setTimeout(() => {
+        const hasUnsavedInput =
+          isEditing || JSON.stringify(formData) !== loadedFormRef.current;
+        const who = event.changedBy?.name || "another user";
+
+        if (hasUnsavedInput) {
+          setRemoteChange(event);
+        } else {
+          loadRequest({ silent: true });
+          toastInfo(`This request was just updated by ${who}`);
+        }
+      }, 500);
+    }
+  );
+
+  useEffect(() => () => clearTimeout(remoteChangeTimer.current), []);
+
+  // Saves and approvals send back the version they were made against; a 409 means someone
+  // else changed the request first
+  const [conflict, setConflict] = useState(null);
+
+  const handleVersionConflict = (error) => {
+    if (error.response?.status !== 409) return false;
+
+    const current = error.response.data?.request || null;
+    setConflict({
+      message: error.response.data?.message,
+      current,
+      differences: current ? describeRequestDifferences(formData, current) : [],
+    });
+    return true;
+  };
+
+  const handleKeepMine = () => {
+    // Adopt the latest version (and permissions) but leave the form input as it is
+    setRequestData(conflict.current);
+    setConflict(null);
+    toastInfo("Your changes are kept. Save or repeat your action to apply them to the latest version.");
+  };
+
+  const handleConflictReload = () => {
+    setConflict(null);
+    loadRequest();
+  };
+
   const loadData = async () => {
     // Load Departments
     try {
@@ -381,12 +492,13 @@ const RequestForm = () => {
     }
   };
 
-  const loadRequest = async () => {
+  const loadRequest = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const response = await requestsAPI.getById(id);
       const request = response.data.request;
       setRequestData(request);
+      setRemoteChange(null);
       if (request.attachments) {
         setAttachments(request.attachments);
       }
@@ -405,7 +517,7 @@ const RequestForm = () => {
         return;
       }
 
-      setFormData({
+      const loadedForm = {
         requestNumber: request.requestNumber,
         status: request.status,
         userName: request.userName || "",
@@ -424,6 +536,7 @@ const RequestForm = () => {
         items: request.items.map((item) => ({
           id: item.id,
           category: item.category,
+          skuId: item.skuId || null,
           // itemDescription: item.itemDescription, // Removed
           quantity: item.quantity,
           inventoryNumber: item.inventoryNumber || "",
@@ -433,6 +546,10 @@ const RequestForm = () => {
           vendorInfo: item.vendorInfo || "",
           isReplacement: item.isReplacement,
           replacedItemInfo: item.replacedItemInfo || "",
+          replacedAssetId: item.replacedAssetId || null,
+          replacedAsset: item.replacedAsset || null,
+          purchaseRequisition: item.purchaseRequisition || null,
+          quotations: item.quotations || [],
           urgencyReason: item.urgencyReason || "",
           priority: item.priority || "medium",
           dateRequired: item.dateRequired || "",
@@ -441,13 +558,17 @@ const RequestForm = () => {
           approvalStatus: item.approvalStatus || "pending",
           endorserStatus: item.endorserStatus || "pending",
           endorserRemarks: item.endorserRemarks || "",
+          reservationStatus: item.reservationStatus || null,
+          reservedQuantity: item.reservedQuantity || 0,
           originalQuantity:
             item.original_quantity !== null &&
               item.original_quantity !== undefined
               ? item.original_quantity
               : item.quantity,
         })),
-      });
+      };
+      setFormData(loadedForm);
+      loadedFormRef.current = JSON.stringify(loadedForm);
     } catch (error) {
       console.error("Error loading request:", error);
       if (!isViewing) {
@@ -491,6 +612,14 @@ const RequestForm = () => {
     return `Stock: ${qty}`;
   };
 
+  useEffect(() => {
+    if (isViewing) return;
+    assetsAPI
+      .getReplaceable(formData.departmentId ? { department_id: formData.departmentId } : {})
+      .then((response) => setReplaceableAssets(response.data.assets || []))
+      .catch((error) => console.error("Error loading replaceable assets:", error));
+  }, [isViewing, formData.departmentId]);
+
   // Update items when categories load (initial population for new requests)
   useEffect(() => {
     if (categories.length > 0 && isCreating) {
@@ -517,6 +646,61 @@ const RequestForm = () => {
     }
   }, [categories]);
 
+  // SKUs a requester can pick for a category; discontinued ones are no longer offered
+  const getSelectableSkus = (categoryName) => {
+    const category = categories.find((c) => c.name === categoryName);
+    if (!category || !category.track_stock) return [];
+    return (category.skus || []).filter((sku) => sku.status !== "discontinued");
+  };
+
+  // The SKU an item draws stock from: the one picked, otherwise the category's default
+  const getItemSku = (item) => {
+    const category = categories.find((c) => c.name === item.category);
+    const skus = category?.skus || [];
+    return skus.find((sku) => sku.id === item.skuId) || skus.find((sku) => sku.is_default) || null;
+  };
+
+  // Stock an item could still take: what's available plus anything already reserved for it
+  const getAvailableForItem = (item) => {
+    const category = categories.find((c) => c.name === item.category);
+    if (!category || !category.track_stock) return null;
+    const sku = getItemSku(item);
+    const available = sku ? (sku.available_quantity ?? sku.quantity) : (category.available_quantity ?? category.quantity);
+    return available + (item.reservationStatus === "active" ? item.reservedQuantity : 0);
+  };
+
+  // Where an item's stock is held, e.g. "IT Storeroom: 4, Plant 2: 2"
+  const describeItemLocations = (item) => {
+    const sku = getItemSku(item);
+    const held = (sku?.balances || []).map((balance) => `${balance.name}: ${balance.quantity}`).join(", ");
+    const inTransit = sku?.in_transit_quantity ? `${sku.in_transit_quantity} in transit` : "";
+    return [held, inTransit].filter(Boolean).join("; ");
+  };
+
+  // Locations holding stock of any approved item, offered as the source at Ready to Deploy
+  const getDeploySourceLocations = () => {
+    const held = new Map();
+    formData.items
+      .filter((item) => item.approvalStatus === "approved")
+      .forEach((item) => {
+        (getItemSku(item)?.balances || []).forEach((balance) => {
+          held.set(balance.location_id, balance.name);
+        });
+      });
+    return [...held].map(([locationId, name]) => ({ label: name, value: String(locationId) }));
+  };
+
+  const handleMarkInStock = (index, item) => {
+    handleItemChange(index, "endorserStatus", "in_stock");
+
+    const available = getAvailableForItem(item);
+    if (available !== null && available < item.quantity) {
+      toastWarning(
+        `Only ${Math.max(available, 0)} ${item.category} available (the rest is on hand but reserved for other requests). Approving will still reserve ${item.quantity}, but it may need a PR.`,
+      );
+    }
+  };
+
   const handleItemChange = (index, field, value) => {
     setFormData((prev) => ({
       ...prev,
@@ -528,6 +712,7 @@ const RequestForm = () => {
         // Auto-update INV (Stock) and Copy Category to Description when category changes
         if (field === "category") {
           updatedItem.inventoryNumber = getInventoryString(value, categories);
+          updatedItem.skuId = null;
         }
 
         return updatedItem;
@@ -542,6 +727,7 @@ const RequestForm = () => {
         ...prev.items,
         {
           category: categories.length > 0 ? categories[0].name : "",
+          skuId: null,
           itemDescription: "",
           quantity: 1,
           inventoryNumber:
@@ -594,6 +780,10 @@ const RequestForm = () => {
       if (item.quantity < 1) {
         newErrors[`item_${index}_quantity`] = "Quantity must be at least 1";
       }
+      if (item.isReplacement && !item.replacedAssetId && !item.replacedItemInfo?.trim()) {
+        newErrors[`item_${index}_replacedAsset`] =
+          "Pick the equipment being replaced or describe it";
+      }
     });
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -604,7 +794,7 @@ const RequestForm = () => {
     try {
       setLoading(true);
       if (isEditing) {
-        await requestsAPI.update(id, formData);
+        await requestsAPI.update(id, { ...formData, version: requestData?.version });
         toastSuccess("Request updated successfully");
       } else {
         const response = await requestsAPI.create(formData);
@@ -614,6 +804,7 @@ const RequestForm = () => {
       }
       navigate("/dashboard");
     } catch (error) {
+      if (handleVersionConflict(error)) return;
       console.error("Error saving request:", error);
       toastError(error.response?.data?.message || "Failed to save request");
     } finally {
@@ -664,16 +855,20 @@ const RequestForm = () => {
     try {
       setLoading(true);
       let requestId = id;
+      let version;
       if (!isEditing) {
         const response = await requestsAPI.create(formData);
         requestId = response.data.request.id;
+        version = response.data.request.version;
       } else {
-        await requestsAPI.update(id, formData);
+        const response = await requestsAPI.update(id, { ...formData, version: requestData?.version });
+        version = response.data.request.version;
       }
-      await requestsAPI.submit(requestId);
+      await requestsAPI.submit(requestId, { version });
       toastSuccess("Request submitted successfully");
       navigate("/dashboard");
     } catch (error) {
+      if (handleVersionConflict(error)) return;
       console.error("Error submitting request:", error);
       toastError(error.response?.data?.message || "Failed to submit request");
     } finally {
@@ -717,10 +912,15 @@ const RequestForm = () => {
             setActionModalState((prev) => ({ ...prev, isOpen: false }));
             try {
               setLoading(true);
-              await requestsAPI.decline(id, { comments: reason, signature: approvalSignature || null });
+              await requestsAPI.decline(id, {
+                comments: reason,
+                signature: approvalSignature || null,
+                version: requestData?.version,
+              });
               toastSuccess("Request declined (all items rejected).");
               navigate("/dashboard");
             } catch (error) {
+              if (handleVersionConflict(error)) return;
               console.error("Error declining request:", error);
               toastError(error.response?.data?.message || "Failed to decline request");
             } finally {
@@ -793,6 +993,7 @@ const RequestForm = () => {
           // Check each item against current category stock
           formData.items.forEach((item) => {
             if (item.approvalStatus === "rejected") return; // Skip rejected items
+            if (item.reservationStatus === "consumed") return; // Already deployed at Ready to Deploy
 
             const category = categories.find((c) => c.name === item.category);
             if (category && category.track_stock) {
@@ -840,6 +1041,7 @@ const RequestForm = () => {
         comments: comments,
         signature: signature || null,
         items: items,
+        version: requestData?.version,
       };
 
       if (replenishmentData) {
@@ -847,8 +1049,14 @@ const RequestForm = () => {
       }
 
       // Pass items with statuses/remarks to approve endpoint
-      await requestsAPI.approve(id, payload);
+      const response = await requestsAPI.approve(id, payload);
       toastSuccess("Request approved successfully!");
+      const stockWarnings = response.data?.stockWarnings || [];
+      if (stockWarnings.length > 0) {
+        toastWarning(
+          `Stock reserved, but not enough is available: ${stockWarnings.map((w) => w.message).join("; ")}`,
+        );
+      }
       setApprovalSignature(""); // Clear signature after approval
       setCurrentApprovalId(null); // Clear current approval ID
       // Reload request data to show updated status and permissions
@@ -856,6 +1064,7 @@ const RequestForm = () => {
       // Reload categories to show updated stock
       loadData();
     } catch (error) {
+      if (handleVersionConflict(error)) return;
       console.error("Error approving request:", error);
       toastError(error.response?.data?.message || "Failed to approve request");
     } finally {
@@ -915,12 +1124,14 @@ const RequestForm = () => {
           await requestsAPI.decline(id, {
             comments: declineReason,
             signature: signatureToUse || null,
+            version: requestData?.version,
           });
           toastSuccess("Request declined");
           setApprovalSignature(""); // Clear signature after declining
           setCurrentApprovalId(null); // Clear current approval ID
           navigate("/dashboard");
         } catch (error) {
+          if (handleVersionConflict(error)) return;
           console.error("Error declining request:", error);
           toastError(
             error.response?.data?.message || "Failed to decline request",
@@ -1008,6 +1219,7 @@ const RequestForm = () => {
         returnReason,
         returnTo,
         signature: signatureToUse || null,
+        version: requestData?.version,
       });
       toastSuccess(
         `Request returned to ${returnTo === "department_approver" ? "Department Approver" : "Requestor"}`,
@@ -1016,6 +1228,7 @@ const RequestForm = () => {
       setCurrentApprovalId(null); // Clear current approval ID
       navigate("/dashboard");
     } catch (error) {
+      if (handleVersionConflict(error)) return;
       console.error("Error returning request:", error);
       toastError(error.response?.data?.message || "Failed to return request");
     } finally {
@@ -1044,6 +1257,34 @@ const RequestForm = () => {
         </button>
       </div>
 
+      {remoteChange && (
+        <div className="max-w-4xl mx-auto mb-4 px-4 no-print">
+          <div className="flex items-center justify-between gap-4 p-3 bg-amber-50 border border-amber-300 rounded-lg text-sm text-amber-800">
+            <span>
+              This request was updated by {remoteChange.changedBy?.name || "another user"}
+              {remoteChange.status ? ` (status: ${remoteChange.status.replace(/_/g, " ")})` : ""}
+              {" "}while you had it open. Reload to see the latest version; unsaved changes will be lost.
+            </span>
+            <div className="flex items-center gap-2 shrink-0">
+              <button
+                onClick={() => loadRequest()}
+                className="flex items-center gap-1 px-3 py-1.5 bg-amber-600 text-white rounded-md hover:bg-amber-700"
+              >
+                <RefreshCw className="h-4 w-4" />
+                Reload
+              </button>
+              <button
+                onClick={() => setRemoteChange(null)}
+                className="p-1 text-amber-700 hover:text-amber-900"
+                title="Dismiss"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* PDF-like Form Container */}
       <div
         className="max-w-4xl mx-auto bg-white shadow-2xl transition-colors duration-200 print:!shadow-none print:!w-full print:!max-w-none print:!m-0 print:!border-0"
@@ -1119,6 +1360,8 @@ const RequestForm = () => {
                             <p className="text-sm font-medium text-gray-700">
                               {approval.approver?.fullName} (
                               {approval.approver?.role?.replace("_", " ")})
+                              {approval.onBehalfOf &&
+                                ` on behalf of ${approval.onBehalfOf.fullName}`}
                             </p>
                             <p className="text-sm text-gray-600 mt-1">
                               <strong>Reason:</strong>{" "}
@@ -1355,6 +1598,19 @@ const RequestForm = () => {
                                   : "IN STOCK"}
                               </span>
                             )}
+
+                          {/* Purchase Requisition covering the item */}
+                          {item.purchaseRequisition && (
+                            <span
+                              className="px-2 py-0.5 rounded text-[10px] font-bold uppercase bg-purple-100 text-purple-800"
+                              title={item.purchaseRequisition.vendorName || ""}
+                            >
+                              PR {item.purchaseRequisition.prNumber} -{" "}
+                              {item.purchaseRequisition.status.replace("_", " ")}
+                              {item.purchaseRequisition.quantityReceived > 0 &&
+                                ` (${item.purchaseRequisition.quantityReceived}/${item.purchaseRequisition.quantity})`}
+                            </span>
+                          )}
                         </div>
 
                         {/* IT Manager Item Actions - Approve/Reject Items */}
@@ -1410,15 +1666,18 @@ const RequestForm = () => {
                                 const itemCategory = categories.find(
                                   (c) => c.name === item.category,
                                 );
+                                // Stock is held per SKU; fall back to the category total
+                                const onHand =
+                                  getItemSku(item)?.quantity ?? itemCategory?.quantity;
                                 const isOutOfStock =
                                   itemCategory &&
                                   itemCategory.track_stock &&
-                                  itemCategory.quantity <= 0;
+                                  onHand <= 0;
                                 // Item has stock = category tracks stock AND quantity > 0
                                 const hasStock =
                                   itemCategory &&
                                   itemCategory.track_stock &&
-                                  itemCategory.quantity > 0;
+                                  onHand > 0;
 
                                 return (
                                   <>
@@ -1426,11 +1685,7 @@ const RequestForm = () => {
                                     <button
                                       type="button"
                                       onClick={() =>
-                                        handleItemChange(
-                                          index,
-                                          "endorserStatus",
-                                          "in_stock",
-                                        )
+                                        handleMarkInStock(index, item)
                                       }
                                       disabled={isOutOfStock}
                                       className={`p-1 rounded-full transition-colors ${item.endorserStatus === "in_stock"
@@ -1441,8 +1696,12 @@ const RequestForm = () => {
                                         }`}
                                       title={
                                         isOutOfStock
-                                          ? "Out of Stock"
-                                          : "Mark as In Stock"
+                                          ? describeItemLocations(item)
+                                            ? `Out of Stock (${describeItemLocations(item)})`
+                                            : "Out of Stock"
+                                          : getAvailableForItem(item) !== null
+                                            ? `Mark as In Stock (${Math.max(getAvailableForItem(item), 0)} available; ${describeItemLocations(item) || "none held"})`
+                                            : "Mark as In Stock"
                                       }
                                     >
                                       <CheckCircle className="h-4 w-4" />
@@ -1508,6 +1767,50 @@ const RequestForm = () => {
                           )}
                         </div>
 
+                        {/* SKU (only when the category offers a choice) */}
+                        {getSelectableSkus(item.category).length > 1 && (
+                          <div>
+                            <label className="block text-xs font-semibold text-gray-700 mb-1">
+                              Model / SKU
+                            </label>
+                            <div className="w-56 border-b-2 border-gray-400 pb-1">
+                              <select
+                                value={item.skuId || ""}
+                                {...getInputProps({
+                                  onChange: (e) =>
+                                    handleItemChange(
+                                      index,
+                                      "skuId",
+                                      e.target.value ? parseInt(e.target.value) : null,
+                                    ),
+                                  className:
+                                    "w-full bg-transparent border-0 focus:outline-none text-sm text-gray-900 print:text-xs text-center",
+                                  disabled:
+                                    !isCreating &&
+                                    !isEditing &&
+                                    !(
+                                      user?.role === "it_manager" &&
+                                      [
+                                        "department_approved",
+                                        "checked_endorsed",
+                                      ].includes(requestData?.status)
+                                    ),
+                                })}
+                              >
+                                <option value="">Any</option>
+                                {getSelectableSkus(item.category).map((sku) => (
+                                  <option key={sku.id} value={sku.id}>
+                                    {sku.name} ({sku.code})
+                                    {["endorser", "it_manager", "service_desk", "super_administrator"].includes(user?.role)
+                                      ? ` - ${Math.max(sku.available_quantity ?? sku.quantity, 0)} available`
+                                      : ""}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                          </div>
+                        )}
+
                         {/* Quantity */}
                         <div className="mr-8">
                           <label className="block text-xs font-semibold text-gray-700 mb-1">
@@ -1685,6 +1988,105 @@ const RequestForm = () => {
                           </div>
                         </div>
 
+                        {/* Replacement */}
+                        <div className="w-full">
+                          <label className="inline-flex items-center text-xs font-semibold text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={Boolean(item.isReplacement)}
+                              {...getInputProps({
+                                onChange: (e) => {
+                                  handleItemChange(index, "isReplacement", e.target.checked);
+                                  if (!e.target.checked) {
+                                    handleItemChange(index, "replacedAssetId", null);
+                                  }
+                                },
+                                className: "mr-2",
+                              })}
+                            />
+                            Replacement for existing equipment
+                          </label>
+                          {item.isReplacement && (
+                            <div className="mt-1 grid grid-cols-1 md:grid-cols-2 gap-4">
+                              <div>
+                                <label className="block text-xs font-semibold text-gray-700 mb-1">
+                                  Equipment being replaced
+                                </label>
+                                <div className="border-b-2 border-gray-400 pb-1">
+                                  {isViewing ? (
+                                    <span className="text-sm text-gray-900">
+                                      {item.replacedAsset
+                                        ? `${item.replacedAsset.assetTag} - ${item.replacedAsset.model || "Unknown model"}${item.replacedAsset.serialNumber ? ` (S/N ${item.replacedAsset.serialNumber})` : ""}`
+                                        : "Not a registered asset"}
+                                    </span>
+                                  ) : (
+                                    <select
+                                      value={item.replacedAssetId || ""}
+                                      onChange={(e) =>
+                                        handleItemChange(
+                                          index,
+                                          "replacedAssetId",
+                                          e.target.value ? parseInt(e.target.value, 10) : null,
+                                        )
+                                      }
+                                      className="w-full bg-transparent border-0 focus:outline-none text-sm text-gray-900 py-0"
+                                    >
+                                      <option value="">Not in the list (describe it)</option>
+                                      {/* Keep a linked asset selectable even if it is no longer deployed */}
+                                      {item.replacedAsset &&
+                                        !replaceableAssets.some((asset) => asset.id === item.replacedAsset.id) && (
+                                          <option value={item.replacedAsset.id}>
+                                            {item.replacedAsset.assetTag} - {item.replacedAsset.model}
+                                          </option>
+                                        )}
+                                      {replaceableAssets.map((asset) => (
+                                        <option key={asset.id} value={asset.id}>
+                                          {asset.asset_tag} - {asset.model || asset.Category?.name || "Unknown model"}
+                                          {asset.custodian_name ? ` (${asset.custodian_name})` : ""}
+                                        </option>
+                                      ))}
+                                    </select>
+                                  )}
+                                </div>
+                                {item.replacedAsset?.status === "pending_return" && (
+                                  <p className="text-xs text-amber-600 mt-1">
+                                    Awaiting return to the Service Desk
+                                  </p>
+                                )}
+                                {errors[`item_${index}_replacedAsset`] && (
+                                  <p className="text-red-500 text-xs mt-1">
+                                    {errors[`item_${index}_replacedAsset`]}
+                                  </p>
+                                )}
+                              </div>
+                              <div>
+                                <label className="block text-xs font-semibold text-gray-700 mb-1">
+                                  Replacement details
+                                </label>
+                                <div className="border-b-2 border-gray-400">
+                                  <textarea
+                                    value={item.replacedItemInfo || ""}
+                                    {...getInputProps({
+                                      onChange: (e) =>
+                                        handleItemChange(
+                                          index,
+                                          "replacedItemInfo",
+                                          e.target.value,
+                                        ),
+                                      rows: 1,
+                                      placeholder: item.replacedAssetId
+                                        ? "What is wrong with it..."
+                                        : "Describe the equipment being replaced...",
+                                      className:
+                                        "w-full bg-transparent border-0 focus:outline-none text-sm text-gray-900 print:text-xs print:resize-none py-0",
+                                    })}
+                                  />
+                                </div>
+                              </div>
+                            </div>
+                          )}
+                        </div>
+
                         {/* Purpose */}
                         <div className="w-full">
                           <label className="block text-xs font-semibold text-gray-700 mb-1">
@@ -1868,6 +2270,14 @@ const RequestForm = () => {
                             </div>
                           </div>
                         </div>
+
+                        {isViewing && item.id && (
+                          <ItemQuotations
+                            item={item}
+                            requestStatus={requestData?.status}
+                            onChanged={() => loadRequest({ silent: true })}
+                          />
+                        )}
                       </div>
                     </div>
                   ),
@@ -2218,6 +2628,11 @@ const RequestForm = () => {
                                         {approval.approver.title}
                                       </p>
                                     )}
+                                    {approval.onBehalfOf && (
+                                      <p className="text-xs text-indigo-700 mt-1">
+                                        on behalf of {approval.onBehalfOf.fullName}
+                                      </p>
+                                    )}
 
                                     {/* Return Reason */}
                                     {approval.return_reason && (
@@ -2357,6 +2772,55 @@ const RequestForm = () => {
                       </div>
                     )}
                 </div>
+
+                {/* Parallel Approvals - branches of the same workflow step, side by side */}
+                {requestData?.parallelBranches?.length > 0 && (
+                  <div className="space-y-3 print:space-y-1">
+                    {requestData.parallelBranches.map((group) => (
+                      <div key={group.stepOrder}>
+                        <p className="text-[10px] text-gray-500 font-semibold uppercase tracking-wider mb-2">
+                          Parallel Approval (Step {group.stepOrder})
+                        </p>
+                        <div className="flex flex-col md:flex-row print:!flex-row gap-3 print:!gap-2">
+                          {group.branches.map((branch) => (
+                            <div
+                              key={branch.stepId}
+                              className={`flex-1 p-3 print:p-1 rounded border text-sm ${branch.status === "approved"
+                                ? "border-green-300 bg-green-50"
+                                : branch.status === "declined"
+                                  ? "border-red-300 bg-red-50"
+                                  : "border-yellow-300 bg-yellow-50"
+                                }`}
+                            >
+                              <div className="flex items-center gap-2 font-semibold text-gray-900">
+                                {branch.status === "approved" ? (
+                                  <CheckCircle className="h-4 w-4 text-green-600" />
+                                ) : branch.status === "declined" ? (
+                                  <XCircle className="h-4 w-4 text-red-600" />
+                                ) : (
+                                  <Clock className="h-4 w-4 text-yellow-600" />
+                                )}
+                                <span>{branch.stepName}</span>
+                              </div>
+                              <p className="text-xs text-gray-600 mt-1">
+                                {branch.status === "approved"
+                                  ? `Approved${branch.completedBy ? ` by ${branch.completedBy}` : ""}`
+                                  : branch.status === "declined"
+                                    ? `Declined${branch.completedBy ? ` by ${branch.completedBy}` : ""}`
+                                    : "Awaiting approval"}
+                              </p>
+                              {branch.completedAt && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                  {new Date(branch.completedAt).toLocaleString()}
+                                </p>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
 
@@ -2711,48 +3175,69 @@ const RequestForm = () => {
                           </>
                         )}
 
-                      {/* Approve PR Button - For Service Desk when APPROVED items need PR */}
+                      {/* Purchase Requisition Buttons - For Service Desk when APPROVED items need PR */}
                       {user?.role === "service_desk" &&
                         requestData?.status === "service_desk_processing" &&
                         formData.items
                           .filter((i) => i.approvalStatus === "approved")
                           .some((i) => i.endorserStatus === "needs_pr") && (
-                          <button
-                            type="button"
-                            onClick={() => {
-                              if (attachments.length === 0) {
-                                toastWarning(
-                                  "Cannot approve PR without attachments.",
-                                );
-                                return;
+                          <>
+                            {formData.items.some(
+                              (i) =>
+                                i.approvalStatus === "approved" &&
+                                !i.purchaseRequisition,
+                            ) && (
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  setShowPurchaseRequisitionModal(true)
+                                }
+                                disabled={loading}
+                                className="flex items-center px-6 py-2 bg-white border border-blue-600 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50 text-sm font-semibold"
+                              >
+                                <ShoppingCart className="h-4 w-4 mr-2" />
+                                Create PR
+                              </button>
+                            )}
+                            <button
+                              type="button"
+                              onClick={() => {
+                                if (uncoveredPurchaseItems.length > 0) {
+                                  toastWarning(
+                                    "Create a PR for every item that needs one before approving.",
+                                  );
+                                  return;
+                                }
+                                setActionModalState({
+                                  isOpen: true,
+                                  title: "Approve PR",
+                                  message:
+                                    "Are you sure you want to approve the PR for this request?",
+                                  confirmText: "Approve PR",
+                                  variant: "info",
+                                  onConfirm: async () => {
+                                    setActionModalState((prev) => ({
+                                      ...prev,
+                                      isOpen: false,
+                                    }));
+                                    await handleApprovePR();
+                                  },
+                                });
+                              }}
+                              className={`flex items-center px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 text-sm font-semibold ${uncoveredPurchaseItems.length > 0 ? "opacity-50 cursor-not-allowed" : ""}`}
+                              disabled={
+                                loading || uncoveredPurchaseItems.length > 0
                               }
-                              setActionModalState({
-                                isOpen: true,
-                                title: "Approve PR",
-                                message:
-                                  "Are you sure you want to approve the PR for this request?",
-                                confirmText: "Approve PR",
-                                variant: "info",
-                                onConfirm: async () => {
-                                  setActionModalState((prev) => ({
-                                    ...prev,
-                                    isOpen: false,
-                                  }));
-                                  await handleApprovePR();
-                                },
-                              });
-                            }}
-                            className={`flex items-center px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 text-sm font-semibold ${attachments.length === 0 ? "opacity-50 cursor-not-allowed" : ""}`}
-                            disabled={loading || attachments.length === 0}
-                            title={
-                              attachments.length === 0
-                                ? "Upload attachment (PR) first"
-                                : "Approve PR"
-                            }
-                          >
-                            <CheckCircle className="h-4 w-4 mr-2" />
-                            Approve PR
-                          </button>
+                              title={
+                                uncoveredPurchaseItems.length > 0
+                                  ? `Create a PR for: ${uncoveredPurchaseItems.map((i) => i.category).join(", ")}`
+                                  : "Approve PR"
+                              }
+                            >
+                              <CheckCircle className="h-4 w-4 mr-2" />
+                              Approve PR
+                            </button>
+                          </>
                         )}
 
                       {/* Ready to Deploy Button - ONLY if ALL APPROVED items are marked "in_stock" by endorser */}
@@ -2771,14 +3256,25 @@ const RequestForm = () => {
                           <button
                             type="button"
                             onClick={() => {
+                              // With stock at more than one location, pick where it is issued from
+                              const sourceLocations = getDeploySourceLocations();
                               setActionModalState({
                                 isOpen: true,
                                 title: "Ready to Deploy",
                                 message:
-                                  "Mark this request as Ready to Deploy? (All items are in stock)",
+                                  "Mark this request as Ready to Deploy? (All items are in stock; their reserved stock will be deducted now)",
                                 confirmText: "Ready to Deploy",
                                 variant: "success",
-                                onConfirm: async () => {
+                                ...(sourceLocations.length > 1 && {
+                                  inputLabel: "Issue stock from",
+                                  inputType: "select",
+                                  allowEmpty: true,
+                                  options: [
+                                    { label: "Automatic (default location first)", value: "" },
+                                    ...sourceLocations,
+                                  ],
+                                }),
+                                onConfirm: async (locationId) => {
                                   setActionModalState((prev) => ({
                                     ...prev,
                                     isOpen: false,
@@ -2786,14 +3282,19 @@ const RequestForm = () => {
                                   // Call readyToDeploy API
                                   try {
                                     setLoading(true);
-                                    await requestsAPI.readyToDeploy(id);
+                                    await requestsAPI.readyToDeploy(id, {
+                                      location_id: locationId ? parseInt(locationId, 10) : null,
+                                    });
                                     toastSuccess(
                                       "Request marked as Ready to Deploy",
                                     );
                                     navigate("/dashboard");
                                   } catch (error) {
                                     console.error("Error:", error);
-                                    toastError("Failed to update status");
+                                    toastError(
+                                      error.response?.data?.message ||
+                                      "Failed to update status",
+                                    );
                                   } finally {
                                     setLoading(false);
                                   }
@@ -2958,6 +3459,15 @@ const RequestForm = () => {
         confirmText={confirmDialogState.confirmText}
       />
 
+      <ConflictDialog
+        isOpen={!!conflict}
+        onClose={() => setConflict(null)}
+        onReload={handleConflictReload}
+        onKeepMine={conflict?.current ? handleKeepMine : null}
+        message={conflict?.message}
+        differences={conflict?.differences}
+      />
+
       <VerifierAssignmentModal
         isOpen={showAssignVerifierModal}
         onClose={() => setShowAssignVerifierModal(false)}
@@ -2980,6 +3490,16 @@ const RequestForm = () => {
         returnOptions={returnOptions}
         loading={loading}
       />
+      {showPurchaseRequisitionModal && (
+        <PurchaseRequisitionModal
+          request={{ id: requestData.id, items: formData.items }}
+          onClose={() => setShowPurchaseRequisitionModal(false)}
+          onCreated={async () => {
+            setShowPurchaseRequisitionModal(false);
+            await loadRequest();
+          }}
+        />
+      )}
       <ReplenishmentModal
         isOpen={showReplenishmentModal}
         onClose={() => setShowReplenishmentModal(false)}
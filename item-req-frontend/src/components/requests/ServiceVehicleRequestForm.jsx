@@ -1,4 +1,4 @@
-import { useContext, useState, useEffect } from "react";
+import { useContext, useState, useEffect, useRef } from "react";
 import {
   ArrowLeft,
   Plus,
@@ -14,10 +14,12 @@ import {
   Paperclip,
   X,
   Download,
+  RefreshCw,
 } from "lucide-react";
 import { useNavigate, useParams, useLocation } from "react-router-dom";
 import { useAuth } from '../../contexts/AuthContext';
 import { ToastContext } from '../../contexts/ToastContext';
+import { useRealtimeEvents } from '../../hooks/useRealtimeEvents';
 import { validateServiceVehicleForm } from '../../helpers/validations';
 import STC_LOGO from '../../assets/STC_LOGO.png';
 import {
@@ -28,6 +30,7 @@ import {
 } from '../../services/api';
 
 import ConfirmDialog from '../common/ConfirmDialog';
+import ConflictDialog from '../common/ConflictDialog';
 import ActionModal from '../common/ActionModal';
 import ReturnRequestModal from "./ReturnRequestModal";
 import VerifierAssignmentModal from "./VerifierAssignmentModal";
@@ -50,11 +53,34 @@ const REQUEST_TYPE_OPTIONS = [
   { value: "car_only", label: "Car Only" },
 ];
 
+// Fields compared when a save collides with someone else's change (HTTP 409)
+const CONFLICT_FIELDS = [
+  ["status", "Status"],
+  ["purpose", "Purpose"],
+  ["request_type", "Request type"],
+  ["travel_date_from", "Travel date from"],
+  ["travel_date_to", "Travel date to"],
+  ["pick_up_location", "Pick-up location"],
+  ["destination", "Destination"],
+  ["assigned_vehicle", "Assigned vehicle"],
+  ["assigned_driver", "Assigned driver"],
+  ["comments", "Comments"],
+];
+
+const describeRequestDifferences = (mine, current) =>
+  CONFLICT_FIELDS.filter(
+    ([field]) => String(mine[field] ?? "") !== String(current[field] ?? "")
+  ).map(([field, label]) => ({
+    label,
+    mine: String(mine[field] ?? ""),
+    theirs: String(current[field] ?? ""),
+  }));
+
 export default function ServiceVehicleRequestForm() {
   const navigate = useNavigate();
   const { id } = useParams();
   const { user } = useAuth();
-  const { success: toastSuccess, error: toastError, warning: toastWarning } = useContext(ToastContext);
+  const { success: toastSuccess, error: toastError, warning: toastWarning, info: toastInfo } = useContext(ToastContext);
   const location = useLocation();
 
 
@@ -263,6 +289,64 @@ export default function ServiceVehicleRequestForm() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [formData.travel_date_from, formData.travel_date_to, formData.pick_up_time, formData.drop_off_time]);
 
+  // Live updates: someone else approved, returned, attached files, etc. while this is open.
+  // Untouched forms refresh in place; forms with unsaved input get a banner instead.
+  const [remoteChange, setRemoteChange] = useState(null);
+  const loadedFormRef = useRef(null);
+  const remoteChangeTimer = useRef(null);
+
+  useRealtimeEvents(
+    { requests: id ? [{ formType: "vehicle_request", requestId: id }] : [] },
+    (event) => {
+      if (event.changedBy?.id && event.changedBy.id === user?.id) return;
+
+      // An approval touches both the request and its approval row; handle them as one change
+      clearTimeout(remoteChangeTimer.current);
+      remoteChangeTimer.current = setTimeout(() => {
+        const hasUnsavedInput =
+          isEditing || JSON.stringify(formData) !== loadedFormRef.current;
+
+        if (hasUnsavedInput) {
+          setRemoteChange(event);
+        } else {
+          loadFormData(id);
+          toastInfo(`This request was just updated by ${event.changedBy?.name || "another user"}`);
+        }
+      }, 500);
+    }
+  );
+
+  useEffect(() => () => clearTimeout(remoteChangeTimer.current), []);
+
+  // Saves and approvals send back the version they were made against; a 409 means someone
+  // else changed the request first
+  const [conflict, setConflict] = useState(null);
+
+  const handleVersionConflict = (error) => {
+    if (error.response?.status !== 409) return false;
+
+    const current = error.response.data?.request || null;
+    setConflict({
+      message: error.response.data?.message,
+      current,
+      differences: current ? describeRequestDifferences(formData, current) : [],
+    });
+    return true;
+  };
+
+  const handleKeepMine = () => {
+    // Adopt the latest version and workflow state but leave the form input as it is
+    const { version, status, pending_approver_ids, isPendingMyApproval } = conflict.current;
+    setFormData((prev) => ({ ...prev, version, status, pending_approver_ids, isPendingMyApproval }));
+    setConflict(null);
+    toastInfo("Your changes are kept. Save or repeat your action to apply them to the latest version.");
+  };
+
+  const handleConflictReload = () => {
+    setConflict(null);
+    loadFormData(id);
+  };
+
   const loadFormData = async (requestId) => {
     try {
       setLoading(true);
@@ -312,7 +396,7 @@ export default function ServiceVehicleRequestForm() {
       }
 
       // Ensure all required fields have default values
-      setFormData({
+      const loadedForm = {
         ...formData,
         ...data,
         passengers: data.passengers || [{ name: "" }],
@@ -328,7 +412,10 @@ export default function ServiceVehicleRequestForm() {
           : (data.assigned_vehicle_other ? "other" : ""),
         assigned_vehicle_other: data.assigned_vehicle_other || "",
         approval_date: data.approval_date || new Date().toISOString().split("T")[0],
-      });
+      };
+      setFormData(loadedForm);
+      loadedFormRef.current = JSON.stringify(loadedForm);
+      setRemoteChange(null);
 
       // Store the requestor's department from loaded data
       if (data.Department) {
@@ -499,10 +586,12 @@ export default function ServiceVehicleRequestForm() {
       const dataToSubmit = { ...cleanedFormData };
 
       let requestId = id;
+      let version;
 
       if (id) {
         // Update existing request (as draft)
-        await serviceVehicleRequestsAPI.update(id, dataToSubmit);
+        const response = await serviceVehicleRequestsAPI.update(id, dataToSubmit);
+        version = response.data?.request?.version;
         requestId = id;
       } else {
         // Create new request (as draft)
@@ -512,6 +601,7 @@ export default function ServiceVehicleRequestForm() {
           response.data?.request?.id ||
           response.data?.request?.request_id ||
           response.data?.id;
+        version = response.data?.request?.version;
 
         if (!requestId) {
           console.error("Response structure:", response.data);
@@ -535,6 +625,7 @@ export default function ServiceVehicleRequestForm() {
           if (uploadResponse.data.success) {
             setAttachments((prev) => [...prev, ...uploadResponse.data.attachments]);
             setPendingFiles([]); // Clear pending files after upload
+            version = uploadResponse.data.version;
           }
         } catch (uploadError) {
           console.error("Error uploading pending files:", uploadError);
@@ -544,7 +635,7 @@ export default function ServiceVehicleRequestForm() {
 
       // Now submit the request (this will trigger email notifications)
       if (requestId) {
-        await serviceVehicleRequestsAPI.submit(requestId);
+        await serviceVehicleRequestsAPI.submit(requestId, { version });
         toastSuccess("Service Vehicle Request submitted successfully!");
       } else {
         throw new Error("Failed to get request ID after creation");
@@ -554,6 +645,7 @@ export default function ServiceVehicleRequestForm() {
         navigate("/dashboard");
       }, 2000);
     } catch (error) {
+      if (handleVersionConflict(error)) return;
       console.error("Error submitting form:", error);
 
       const errorMessage = error.response?.data?.message || "Error submitting request. Please try again.";
@@ -622,6 +714,7 @@ export default function ServiceVehicleRequestForm() {
         }, 1500);
       }
     } catch (error) {
+      if (handleVersionConflict(error)) return;
       console.error("Error saving draft:", error);
       setErrors({ submit: "Error saving draft. Please try again." });
     } finally {
@@ -670,10 +763,11 @@ export default function ServiceVehicleRequestForm() {
   const handleCancelRequest = async (reason) => {
     try {
       setLoading(true);
-      await serviceVehicleRequestsAPI.cancel(id, { reason });
+      await serviceVehicleRequestsAPI.cancel(id, { reason, version: formData.version });
       toastSuccess('Request cancelled successfully');
       setTimeout(() => navigate('/dashboard'), 1500);
     } catch (err) {
+      if (handleVersionConflict(err)) return;
       toastError(err.response?.data?.message || err.message || "Failed to cancel request");
     } finally {
       setLoading(false);
@@ -732,6 +826,7 @@ export default function ServiceVehicleRequestForm() {
 
       if (response.data.success) {
         setAttachments((prev) => [...prev, ...response.data.attachments]);
+        setFormData((prev) => ({ ...prev, version: response.data.version }));
         toastSuccess("Files uploaded successfully!");
       }
     } catch (error) {
@@ -914,16 +1009,20 @@ export default function ServiceVehicleRequestForm() {
           };
 
           try {
-            if (id) await serviceVehicleRequestsAPI.update(id, approvalData);
+            const updateResponse = await serviceVehicleRequestsAPI.update(id, { ...approvalData, version: formData.version });
 
             // Call approve endpoint
-            await serviceVehicleRequestsAPI.approve(id, { remarks: approvalReason || "" });
+            await serviceVehicleRequestsAPI.approve(id, {
+              remarks: approvalReason || "",
+              version: updateResponse.data?.request?.version,
+            });
 
             toastSuccess("Request approved and completed successfully!");
             setTimeout(() => {
               navigate("/dashboard");
             }, 2000);
           } catch (error) {
+            if (handleVersionConflict(error)) return;
             console.error("Error approving request:", error);
             toastError(error.response?.data?.message || "Error approving request");
           } finally {
@@ -957,6 +1056,7 @@ export default function ServiceVehicleRequestForm() {
       setLoading(true);
       await serviceVehicleRequestsAPI.return(id, {
         reason: returnReason,
+        version: formData.version,
         // Phase 2: returnTo: returnTo 
       });
       toastSuccess("Request returned successfully!");
@@ -964,6 +1064,7 @@ export default function ServiceVehicleRequestForm() {
         navigate("/dashboard");
       }, 1500);
     } catch (error) {
+      if (handleVersionConflict(error)) return;
       console.error("Error returning request:", error);
       toastError(error.response?.data?.message || "Error returning request");
     } finally {
@@ -1003,12 +1104,14 @@ export default function ServiceVehicleRequestForm() {
           setLoading(true);
           await serviceVehicleRequestsAPI.decline(id, {
             reason: declineReason,
+            version: formData.version,
           });
           toastSuccess("Request declined successfully!");
           setTimeout(() => {
             navigate("/dashboard");
           }, 1500);
         } catch (error) {
+          if (handleVersionConflict(error)) return;
           console.error("Error declining request:", error);
           toastError(error.response?.data?.message || "Error declining request");
         } finally {
@@ -1085,6 +1188,34 @@ export default function ServiceVehicleRequestForm() {
         </button>
       </div>
 
+      {remoteChange && (
+        <div className="max-w-4xl mx-auto mb-4 px-4 no-print">
+          <div className="flex items-center justify-between gap-4 p-3 bg-amber-50 border border-amber-300 rounded-lg text-sm text-amber-800">
+            <span>
+              This request was updated by {remoteChange.changedBy?.name || "another user"}
+              {remoteChange.status ? ` (status: ${remoteChange.status.replace(/_/g, " ")})` : ""}
+              {" "}while you had it open. Reload to see the latest version; unsaved changes will be lost.
+            </span>
+            <div className="flex items-center gap-2 shrink-0">
+              <button
+                onClick={() => loadFormData(id)}
+                className="flex items-center gap-1 px-3 py-1.5 bg-amber-600 text-white rounded-md hover:bg-amber-700"
+              >
+                <RefreshCw className="h-4 w-4" />
+                Reload
+              </button>
+              <button
+                onClick={() => setRemoteChange(null)}
+                className="p-1 text-amber-700 hover:text-amber-900"
+                title="Dismiss"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* PDF-like Form Container */}
       <div
         className="max-w-4xl mx-auto bg-white shadow-2xl transition-colors duration-200 print:!shadow-none print:!w-full print:!max-w-none print:!m-0 print:!border-0"
@@ -2045,6 +2176,15 @@ export default function ServiceVehicleRequestForm() {
         confirmText={confirmDialogState.confirmText}
       />
 
+      <ConflictDialog
+        isOpen={!!conflict}
+        onClose={() => setConflict(null)}
+        onReload={handleConflictReload}
+        onKeepMine={conflict?.current ? handleKeepMine : null}
+        message={conflict?.message}
+        differences={conflict?.differences}
+      />
+
       <ActionModal
         isOpen={actionModalState.isOpen}
         onClose={() => setActionModalState(prev => ({ ...prev, isOpen: false }))}
@@ -349,6 +349,40 @@ const TrackRequest = () => {
                             }`}>
                             {event.description}
                           </p>
+                          {event.branches && (
+                            <div className="mt-3 flex flex-col sm:flex-row gap-3">
+                              {event.branches.map((branch, branchIndex) => (
+                                <div
+                                  key={branchIndex}
+                                  className={`flex-1 p-3 rounded border text-sm ${branch.status === 'approved' ? 'border-green-200 bg-green-50' :
+                                    branch.status === 'declined' ? 'border-red-200 bg-red-50' :
+                                      'border-yellow-200 bg-white'
+                                    }`}
+                                >
+                                  <div className="flex items-center gap-2 font-medium text-gray-900">
+                                    {getStatusIcon({
+                                      isCompleted: branch.status === 'approved',
+                                      isDeclined: branch.status === 'declined',
+                                      isPending: branch.status === 'pending'
+                                    })}
+                                    <span>{branch.stepName}</span>
+                                  </div>
+                                  <p className="mt-1 text-gray-600">
+                                    {branch.status === 'approved' ? 'Approved' : branch.status === 'declined' ? 'Declined' : 'Awaiting approval'}
+                                  </p>
+                                  {branch.completedBy && (
+                                    <div className="mt-1 flex items-center gap-1 text-gray-500">
+                                      <User className="w-3 h-3" />
+                                      <span>{branch.completedBy}</span>
+                                    </div>
+                                  )}
+                                  {branch.completedAt && (
+                                    <p className="mt-1 text-xs text-gray-500">{formatDate(branch.completedAt)}</p>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          )}
                           {event.completedBy && (
                             <div className="mt-2 flex items-center gap-2 text-sm text-gray-500">
                               <User className="w-4 h-4" />
@@ -38,6 +38,7 @@ export const getStatusColor = (status, type = 'item') => {
 export const MODULES = {
     ITEM: {
         id: 'item',
+        formType: 'item_request', // used for live update subscriptions
         label: 'Item Requests',
         icon: FileText,
         api: requestsAPI,
@@ -143,6 +144,7 @@ export const MODULES = {
     },
     VEHICLE: {
         id: 'vehicle',
+        formType: 'vehicle_request',
         label: 'Vehicle Requests',
         icon: Car,
         api: serviceVehicleRequestsAPI,
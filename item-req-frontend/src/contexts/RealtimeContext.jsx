@@ -0,0 +1,119 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { RealtimeContext } from '../hooks/useRealtimeEvents';
+import { realtimeAPI } from '../services/api';
+
+// How long to wait before reopening a dropped stream, and after failing to get a ticket
+const RECONNECT_MS = 3 * 1000;
+const RETRY_MS = 30 * 1000;
+
+export const RealtimeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const listenersRef = useRef(new Map());
+  const clientIdRef = useRef(null);
+  const syncTimerRef = useRef(null);
+  const nextListenerIdRef = useRef(1);
+  const [reconnectKey, setReconnectKey] = useState(0);
+
+  // Tell the server the union of everything mounted pages are listening to
+  const syncSubscriptions = useCallback(() => {
+    clearTimeout(syncTimerRef.current);
+    syncTimerRef.current = setTimeout(() => {
+      if (!clientIdRef.current) return;
+
+      const requests = new Map();
+      const queues = new Set();
+      for (const listener of listenersRef.current.values()) {
+        listener.requests.forEach(r => requests.set(`${r.formType}:${r.requestId}`, r));
+        listener.queues.forEach(q => queues.add(q));
+      }
+
+      realtimeAPI.updateSubscriptions({
+        client_id: clientIdRef.current,
+        requests: [...requests.values()].map(r => ({ form_type: r.formType, request_id: r.requestId })),
+        queues: [...queues]
+      }).catch(err => console.error('Failed to update live update subscriptions:', err));
+    }, 100);
+  }, []);
+
+  const subscribe = useCallback(({ requests, queues }, handler) => {
+    const id = nextListenerIdRef.current++;
+    listenersRef.current.set(id, { requests, queues, handler });
+    syncSubscriptions();
+
+    return () => {
+      listenersRef.current.delete(id);
+      syncSubscriptions();
+    };
+  }, [syncSubscriptions]);
+
+  useEffect(() => {
+    if (!user?.id || typeof EventSource === 'undefined') return undefined;
+
+    let source = null;
+    let retryTimer = null;
+    let stopped = false;
+    const reconnect = (delay) => {
+      retryTimer = setTimeout(() => setReconnectKey(k => k + 1), delay);
+    };
+
+    realtimeAPI.getTicket().then(response => {
+      if (stopped) return;
+      source = new EventSource(realtimeAPI.streamUrl(response.data.ticket));
+
+      source.onmessage = (message) => {
+        let event;
+        try {
+          event = JSON.parse(message.data);
+        } catch {
+          return;
+        }
+
+        // Sent on every (re)connect; the server forgets subscriptions when a stream drops
+        if (event.type === 'ready') {
+          clientIdRef.current = event.clientId;
+          syncSubscriptions();
+          return;
+        }
+
+        const requestKey = `${event.formType}:${event.requestId}`;
+        for (const listener of listenersRef.current.values()) {
+          const wantsQueue = listener.queues.includes(event.formType);
+          const wantsRequest = listener.requests.some(r => `${r.formType}:${r.requestId}` === requestKey);
+          if (wantsQueue || wantsRequest) {
+            listener.handler(event);
+          }
+        }
+      };
+
+      // Tickets are single-use, so EventSource's own retry would be refused: reopen with a new one
+      source.onerror = () => {
+        source.close();
+        clientIdRef.current = null;
+        reconnect(RECONNECT_MS);
+      };
+    }).catch(err => {
+      console.error('Failed to open live updates:', err);
+      if (!stopped) reconnect(RETRY_MS);
+    });
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      clientIdRef.current = null;
+      source?.close();
+    };
+  }, [user?.id, reconnectKey, syncSubscriptions]);
+
+  useEffect(() => () => clearTimeout(syncTimerRef.current), []);
+
+  const value = useMemo(() => ({ subscribe }), [subscribe]);
+
+  return (
+    <RealtimeContext.Provider value={value}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+export default RealtimeProvider;
@@ -0,0 +1,36 @@
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+export const RealtimeContext = createContext(null);
+
+/**
+ * Listen for live changes to specific requests and/or whole queues.
+ *
+ *   useRealtimeEvents(
+ *     { requests: [{ formType: 'item_request', requestId: 12 }], queues: ['vehicle_request'] },
+ *     (event) => { ... }
+ *   );
+ *
+ * Events look like { type, formType, requestId, status, previousStatus, changes, changedBy, at }.
+ * Does nothing outside a RealtimeProvider.
+ */
+export const useRealtimeEvents = ({ requests = [], queues = [] }, handler) => {
+  const context = useContext(RealtimeContext);
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  // Compare by value so callers can pass inline arrays
+  const key = JSON.stringify({
+    requests: requests.filter(r => r.requestId).map(r => ({ formType: r.formType, requestId: Number(r.requestId) })),
+    queues
+  });
+
+  useEffect(() => {
+    if (!context) return undefined;
+    return context.subscribe(JSON.parse(key), (event) => handlerRef.current?.(event));
+  }, [context, key]);
+};
+
+export default useRealtimeEvents;
@@ -93,7 +93,10 @@ export const usersAPI = {
   syncUser: (username) => api.post(`/users/${username}/sync`),
   getSyncStatus: () => api.get('/users/sync/status'),
   getByDepartment: (departmentId) => api.get(`/users/department/${departmentId}`),
-  exportExcel: (params) => api.get('/users/export/excel', { params, responseType: 'blob' })
+  exportExcel: (params) => api.get('/users/export/excel', { params, responseType: 'blob' }),
+  getDelegation: (id) => api.get(`/users/${id}/delegation`),
+  setDelegation: (id, data) => api.put(`/users/${id}/delegation`, data),
+  cancelDelegation: (id) => api.delete(`/users/${id}/delegation`)
 };
 
 // Departments API
@@ -114,11 +117,12 @@ export const requestsAPI = {
   getById: (id) => api.get(`/requests/${id}`),
   create: (data) => api.post('/requests', data),
   update: (id, data) => api.put(`/requests/${id}`, data),
-  submit: (id) => api.post(`/requests/${id}/submit`),
+  submit: (id, data) => api.post(`/requests/${id}/submit`, data),
   approve: (id, data) => api.post(`/requests/${id}/approve`, data),
   decline: (id, data) => api.post(`/requests/${id}/decline`, data),
+  bulkAction: (data) => api.post('/requests/bulk-action', data),
   return: (id, data) => api.post(`/requests/${id}/return`, data),
-  cancel: (id) => api.post(`/requests/${id}/cancel`),
+  cancel: (id, data) => api.post(`/requests/${id}/cancel`, data),
   delete: (id) => api.delete(`/requests/${id}`),
   getStats: () => api.get('/requests/stats/overview'),
   trackByTicket: (ticketCode) => api.get(`/requests/public/track/${ticketCode}`),
@@ -129,7 +133,7 @@ export const requestsAPI = {
   }),
   deleteAttachment: (id, index) => api.delete(`/requests/${id}/attachments/${index}`),
   approvePR: (id, data) => api.post(`/requests/${id}/approve-pr`, data),
-  readyToDeploy: (id) => api.post(`/requests/${id}/ready-to-deploy`),
+  readyToDeploy: (id, data = {}) => api.post(`/requests/${id}/ready-to-deploy`, data),
   assignVerifier: (id, data) => api.post(`/requests/${id}/assign-verifier`, data),
   verifyRequest: (id, data) => api.post(`/requests/${id}/verify`, data)
 };
@@ -190,9 +194,10 @@ export const serviceVehicleRequestsAPI = {
   getById: (id) => api.get(`/service-vehicle-requests/${id}`),
   create: (data) => api.post('/service-vehicle-requests', data),
   update: (id, data) => api.put(`/service-vehicle-requests/${id}`, data),
-  submit: (id) => api.post(`/service-vehicle-requests/${id}/submit`),
+  submit: (id, data) => api.post(`/service-vehicle-requests/${id}/submit`, data),
   approve: (id, data) => api.post(`/service-vehicle-requests/${id}/approve`, data),
   decline: (id, data) => api.post(`/service-vehicle-requests/${id}/decline`, data),
+  bulkAction: (data) => api.post('/service-vehicle-requests/bulk-action', data),
   return: (id, data) => api.post(`/service-vehicle-requests/${id}/return`, data),
   cancel: (id, data) => api.put(`/service-vehicle-requests/${id}/cancel`, data),
   delete: (id) => api.delete(`/service-vehicle-requests/${id}`),
@@ -219,6 +224,10 @@ export const workflowsAPI = {
   delete: (id) => api.delete(`/workflows/${id}`),
   getActive: (formType) => api.get(`/workflows/active/${formType}`),
   getAllUsers: () => api.get('/workflows/users'), // Get all users for workflow configuration
+  validateCondition: (expression, formType) => api.post('/workflows/validate-condition', { expression, form_type: formType }),
+  getVersions: (id) => api.get(`/workflows/${id}/versions`),
+  diffVersions: (id, from, to) => api.get(`/workflows/${id}/versions/diff`, { params: { from, to } }),
+  simulate: (data) => api.post('/workflows/simulate', data),
 }
 //Vehicle Management API
 export const vehicleManagementApi = {
@@ -247,13 +256,126 @@ export const categoriesAPI = {
   delete: (id) => api.delete(`/categories/${id}`)
 };
 
-// Items API
-export const itemsAPI = {
-  getAll: (params) => api.get('/items', { params }),
-  getById: (id) => api.get(`/items/${id}`),
-  create: (data) => api.post('/items', data),
-  update: (id, data) => api.put(`/items/${id}`, data),
-  delete: (id) => api.delete(`/items/${id}`)
+// Stock Movements API
+export const stockMovementsAPI = {
+  getAll: (params) => api.get('/stock-movements', { params }),
+  create: (data) => api.post('/stock-movements', data),
+  getReservations: (params) => api.get('/stock-movements/reservations', { params }),
+  getReconciliation: () => api.get('/stock-movements/reconciliation'),
+  reconcile: (skuId, data = {}) => api.post(`/stock-movements/reconciliation/${skuId}`, data)
+};
+
+// Low-stock alerts API
+export const stockAlertsAPI = {
+  getAll: () => api.get('/stock-alerts')
+};
+
+// Assets API
+export const assetsAPI = {
+  getAll: (params) => api.get('/assets', { params }),
+  getSummary: () => api.get('/assets/summary'),
+  getById: (id) => api.get(`/assets/${id}`),
+  create: (data) => api.post('/assets', data),
+  update: (id, data) => api.put(`/assets/${id}`, data),
+  getMine: () => api.get('/assets/mine'),
+  getHistory: (id) => api.get(`/assets/${id}/history`),
+  returnAsset: (id, data) => api.post(`/assets/${id}/return`, data),
+  getReplaceable: (params) => api.get('/assets/replaceable', { params }),
+  getReturnTasks: (params) => api.get('/assets/return-tasks', { params })
+};
+
+// Asset Transfers API
+export const assetTransfersAPI = {
+  getAll: (params) => api.get('/asset-transfers', { params }),
+  create: (data) => api.post('/asset-transfers', data),
+  approve: (id, data = {}) => api.post(`/asset-transfers/${id}/approve`, data),
+  decline: (id, data) => api.post(`/asset-transfers/${id}/decline`, data),
+  cancel: (id) => api.post(`/asset-transfers/${id}/cancel`)
+};
+
+// Asset Loans API
+export const assetLoansAPI = {
+  getAll: (params) => api.get('/asset-loans', { params }),
+  create: (data) => api.post('/asset-loans', data)
+};
+
+// Purchase Requisitions API
+export const purchaseRequisitionsAPI = {
+  getAll: (params) => api.get('/purchase-requisitions', { params }),
+  getById: (id) => api.get(`/purchase-requisitions/${id}`),
+  create: (data) => api.post('/purchase-requisitions', data),
+  update: (id, data) => api.put(`/purchase-requisitions/${id}`, data),
+  uploadDocument: (id, formData) => api.post(`/purchase-requisitions/${id}/document`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  approve: (id) => api.post(`/purchase-requisitions/${id}/approve`),
+  order: (id, data = {}) => api.post(`/purchase-requisitions/${id}/order`, data),
+  receive: (id, data) => api.post(`/purchase-requisitions/${id}/receive`, data),
+  delete: (id) => api.delete(`/purchase-requisitions/${id}`)
+};
+
+// Vendors API
+export const vendorsAPI = {
+  getAll: (params) => api.get('/vendors', { params }),
+  getById: (id) => api.get(`/vendors/${id}`),
+  create: (data) => api.post('/vendors', data),
+  update: (id, data) => api.put(`/vendors/${id}`, data)
+};
+
+// Quotations API
+export const quotationsAPI = {
+  getAll: (params) => api.get('/quotations', { params }),
+  create: (formData) => api.post('/quotations', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  select: (id, data) => api.post(`/quotations/${id}/select`, data),
+  delete: (id) => api.delete(`/quotations/${id}`)
+};
+
+// Stock Counts API
+export const stocktakesAPI = {
+  getAll: (params) => api.get('/stocktakes', { params }),
+  getById: (id) => api.get(`/stocktakes/${id}`),
+  create: (data) => api.post('/stocktakes', data),
+  saveCounts: (id, counts) => api.put(`/stocktakes/${id}/counts`, { counts }),
+  post: (id, data = {}) => api.post(`/stocktakes/${id}/post`, data),
+  cancel: (id) => api.post(`/stocktakes/${id}/cancel`),
+  exportVariance: (id) => api.get(`/stocktakes/${id}/export`, { responseType: 'blob' })
+};
+
+// Stock Locations API
+export const stockLocationsAPI = {
+  getAll: (params) => api.get('/stock-locations', { params }),
+  create: (data) => api.post('/stock-locations', data),
+  update: (id, data) => api.put(`/stock-locations/${id}`, data)
+};
+
+// Stock Transfers API
+export const stockTransfersAPI = {
+  getAll: (params) => api.get('/stock-transfers', { params }),
+  create: (data) => api.post('/stock-transfers', data),
+  receive: (id) => api.post(`/stock-transfers/${id}/receive`),
+  cancel: (id) => api.post(`/stock-transfers/${id}/cancel`)
+};
+
+// Inventory Import API
+export const inventoryImportAPI = {
+  downloadTemplate: () => api.get('/inventory-import/template', { responseType: 'blob' }),
+  preview: (formData) => api.post('/inventory-import/preview', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  commit: (formData) => api.post('/inventory-import/commit', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  })
+};
+
+// SKUs API
+export const skusAPI = {
+  getAll: (params) => api.get('/skus', { params }),
+  getById: (id) => api.get(`/skus/${id}`),
+  create: (data) => api.post('/skus', data),
+  update: (id, data) => api.put(`/skus/${id}`, data),
+  delete: (id) => api.delete(`/skus/${id}`)
 };
 
 // Audit Logs API
@@ -278,4 +400,38 @@ export const approvalMatrixAPI = {
   delete: (id) => api.delete(`/approval-matrix/${id}`)
 };
 
+// Notifications API
+export const notificationsAPI = {
+  getAll: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (id) => api.patch(`/notifications/${id}/read`),
+  markAllRead: () => api.patch('/notifications/read-all'),
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (preferences) => api.put('/notifications/preferences', { preferences })
+};
+
+// Email Templates API
+export const emailTemplatesAPI = {
+  getAll: () => api.get('/email-templates'),
+  get: (key) => api.get(`/email-templates/${key}`),
+  update: (key, data) => api.put(`/email-templates/${key}`, data),
+  reset: (key) => api.post(`/email-templates/${key}/reset`),
+  preview: (key, data) => api.post(`/email-templates/${key}/preview`, data),
+  sendTest: (key, data) => api.post(`/email-templates/${key}/test`, data)
+};
+
+// Realtime API (Server-Sent Events; EventSource can't set headers, so the stream is opened
+// with a short-lived, single-use ticket in the URL rather than the token)
+export const realtimeAPI = {
+  getTicket: () => api.post('/realtime/ticket'),
+  streamUrl: (ticket) => `${api.defaults.baseURL}/realtime/stream?ticket=${encodeURIComponent(ticket)}`,
+  updateSubscriptions: (data) => api.put('/realtime/subscriptions', data)
+};
+
+// Email Action API (public: the signed link from the approval email is the credential)
+export const emailActionsAPI = {
+  get: (token) => api.get(`/email-actions/${encodeURIComponent(token)}`),
+  submit: (token, data) => api.post(`/email-actions/${encodeURIComponent(token)}`, data)
+};
+
 export default api;